@@ -0,0 +1,307 @@
+/**
+ * Fair Odds Engine - No-vig pricing and +EV detection across sportsbooks
+ * Removes the vig from two-way and three-way markets, builds a consensus
+ * fair line weighted toward sharp books and flags prices that beat it.
+ * Works for game lines and player props alike.
+ */
+
+const DEVIG_METHODS = ['multiplicative', 'additive', 'power', 'shin'];
+
+// Books whose prices carry more information; every other book weighs 1
+const SHARP_BOOK_WEIGHTS = {
+    pinnacle: 3,
+    circasports: 2.5,
+    circa: 2.5,
+    bookmaker: 2,
+    betcris: 2,
+    lowvig: 1.5,
+    betonlineag: 1.5,
+    betonline: 1.5
+};
+
+const DEFAULT_EV_THRESHOLD = 0.02; // 2% expected return per unit staked
+const SOLVER_ITERATIONS = 100;
+
+/**
+ * Implied probability of American odds, vig included
+ */
+function impliedProbability(americanOdds) {
+    const odds = Number(americanOdds);
+    return odds > 0 ? 100 / (odds + 100) : Math.abs(odds) / (Math.abs(odds) + 100);
+}
+
+/**
+ * Decimal odds (total return per unit staked) of American odds
+ */
+function decimalOdds(americanOdds) {
+    const odds = Number(americanOdds);
+    return odds > 0 ? 1 + odds / 100 : 1 + 100 / Math.abs(odds);
+}
+
+/**
+ * American odds of a probability, rounded to the nearest cent
+ */
+function probabilityToAmerican(probability) {
+    if (!(probability > 0 && probability < 1)) {
+        throw new Error(`Probability must be between 0 and 1, got ${probability}`);
+    }
+    return probability >= 0.5
+        ? Math.round(-100 * probability / (1 - probability))
+        : Math.round(100 * (1 - probability) / probability);
+}
+
+/**
+ * How far a market's implied probabilities sum past 1 (the book's hold)
+ */
+function overround(prices) {
+    return prices.reduce((sum, price) => sum + impliedProbability(price), 0) - 1;
+}
+
+/**
+ * Fair probabilities of every outcome of one book's market, in order.
+ *
+ * - multiplicative: scales each implied probability by the overround
+ * - additive: takes an equal share of the overround off every outcome
+ * - power: raises every implied probability to the power that sums them to 1,
+ *   taking more off longshots
+ * - shin: Shin's model of a book pricing against insiders, also weighted
+ *   toward longshots
+ */
+function devig(prices, method = 'multiplicative') {
+    if (!Array.isArray(prices) || prices.length < 2) {
+        throw new Error('A market needs at least two priced outcomes to remove the vig');
+    }
+    if (!DEVIG_METHODS.includes(method)) {
+        throw new Error(`Unknown de-vig method: ${method}`);
+    }
+
+    const implied = prices.map(impliedProbability);
+    const total = implied.reduce((sum, probability) => sum + probability, 0);
+    const normalize = probabilities => {
+        const sum = probabilities.reduce((acc, probability) => acc + probability, 0);
+        return probabilities.map(probability => probability / sum);
+    };
+
+    // Power and Shin only make sense when the book holds something
+    if (total <= 1 && (method === 'power' || method === 'shin')) {
+        return normalize(implied);
+    }
+
+    switch (method) {
+        case 'additive': {
+            // A longshot can be pushed below zero; floor it and rescale
+            const share = (total - 1) / implied.length;
+            return normalize(implied.map(probability => Math.max(probability - share, 0)));
+        }
+        case 'power': {
+            // sum(p^k) falls as k rises, so bisect for the k that gives 1
+            let low = 1;
+            let high = 10;
+            for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+                const k = (low + high) / 2;
+                const sum = implied.reduce((acc, probability) => acc + Math.pow(probability, k), 0);
+                if (sum > 1) low = k; else high = k;
+            }
+            const k = (low + high) / 2;
+            return normalize(implied.map(probability => Math.pow(probability, k)));
+        }
+        case 'shin': {
+            // z is the share of insider money; the fair probabilities sum to 1
+            // at the z the book priced for
+            const shinProbabilities = z => implied.map(probability =>
+                (Math.sqrt(z * z + 4 * (1 - z) * probability * probability / total) - z) / (2 * (1 - z)));
+            let low = 0;
+            let high = 0.5;
+            for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+                const z = (low + high) / 2;
+                const sum = shinProbabilities(z).reduce((acc, probability) => acc + probability, 0);
+                if (sum > 1) low = z; else high = z;
+            }
+            return normalize(shinProbabilities((low + high) / 2));
+        }
+        default:
+            return normalize(implied);
+    }
+}
+
+/**
+ * One book's market with the vig removed. Outcomes are { name, price }.
+ */
+function fairMarket(outcomes, method = 'multiplicative') {
+    const fair = devig(outcomes.map(outcome => outcome.price), method);
+    return outcomes.map((outcome, index) => ({
+        name: outcome.name,
+        price: outcome.price,
+        impliedProbability: impliedProbability(outcome.price),
+        fairProbability: fair[index],
+        fairOdds: probabilityToAmerican(fair[index])
+    }));
+}
+
+/**
+ * Weight of a book in the consensus, matched on its name with case, spaces
+ * and punctuation ignored
+ */
+function bookWeight(sportsbook, weights = SHARP_BOOK_WEIGHTS) {
+    const key = String(sportsbook || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    return weights[key] || 1;
+}
+
+/**
+ * Consensus fair line for one market across books. Books are
+ * { sportsbook, outcomes: [{ name, price }] }; each is de-vigged on its own
+ * and the fair probabilities are averaged with sharp books weighted up.
+ * Books missing an outcome are left out. Returns null without a complete book.
+ */
+function consensusFairLine(books, options = {}) {
+    const method = options.method || 'multiplicative';
+    const weights = options.bookWeights || SHARP_BOOK_WEIGHTS;
+    const names = Array.from(new Set(books.flatMap(book => book.outcomes.map(outcome => outcome.name))));
+
+    const complete = books.filter(book => names.every(name =>
+        book.outcomes.some(outcome => outcome.name === name && Number.isFinite(Number(outcome.price)) && Number(outcome.price) !== 0)));
+    if (complete.length === 0 || names.length < 2) {
+        return null;
+    }
+
+    const totals = {};
+    let totalWeight = 0;
+    complete.forEach(book => {
+        const weight = bookWeight(book.sportsbook, weights);
+        const ordered = names.map(name => book.outcomes.find(outcome => outcome.name === name));
+        devig(ordered.map(outcome => outcome.price), method).forEach((probability, index) => {
+            totals[names[index]] = (totals[names[index]] || 0) + probability * weight;
+        });
+        totalWeight += weight;
+    });
+
+    return {
+        method,
+        books: complete.map(book => book.sportsbook),
+        outcomes: names.map(name => {
+            const fairProbability = totals[name] / totalWeight;
+            return { name, fairProbability, fairOdds: probabilityToAmerican(fairProbability) };
+        })
+    };
+}
+
+/**
+ * Expected return per unit staked at a price, given the fair probability
+ */
+function expectedValue(fairProbability, americanOdds) {
+    return fairProbability * decimalOdds(americanOdds) - 1;
+}
+
+/**
+ * Every price that beats its market's consensus fair line by at least the EV
+ * threshold, best first. Markets are { market, books } as taken by
+ * consensusFairLine, plus any descriptive fields to carry through.
+ */
+function findPositiveEV(markets, options = {}) {
+    const threshold = options.evThreshold ?? DEFAULT_EV_THRESHOLD;
+    const minBooks = options.minBooks ?? 2;
+    const opportunities = [];
+
+    markets.forEach(market => {
+        const consensus = consensusFairLine(market.books, options);
+        if (!consensus || consensus.books.length < minBooks) {
+            return;
+        }
+
+        const { books, ...details } = market;
+        consensus.outcomes.forEach(fair => {
+            books.forEach(book => {
+                const outcome = book.outcomes.find(candidate => candidate.name === fair.name);
+                if (!outcome || !outcome.price) {
+                    return;
+                }
+                const ev = expectedValue(fair.fairProbability, outcome.price);
+                if (ev >= threshold) {
+                    opportunities.push({
+                        ...details,
+                        outcome: fair.name,
+                        sportsbook: book.sportsbook,
+                        price: outcome.price,
+                        fairProbability: fair.fairProbability,
+                        fairOdds: fair.fairOdds,
+                        ev,
+                        consensusBooks: consensus.books.length
+                    });
+                }
+            });
+        });
+    });
+
+    return opportunities.sort((a, b) => b.ev - a.ev);
+}
+
+/**
+ * Markets for findPositiveEV from a The Odds API event. Outcomes on
+ * different numbers are different markets, so spreads are keyed by the home
+ * team's point, totals by the total and props by player and line.
+ */
+function marketsFromOddsAPIEvent(event) {
+    const markets = new Map();
+
+    (event.bookmakers || []).forEach(bookmaker => {
+        (bookmaker.markets || []).forEach(market => {
+            const groups = new Map();
+            market.outcomes.forEach(outcome => {
+                let key = '';
+                if (outcome.description) {
+                    key = `${outcome.description}|${outcome.point}`;
+                } else if (market.key === 'spreads') {
+                    const home = market.outcomes.find(candidate => candidate.name === event.home_team);
+                    key = home ? String(home.point) : '';
+                } else if (outcome.point !== undefined) {
+                    key = String(outcome.point);
+                }
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push({ name: outcome.name, price: outcome.price });
+            });
+
+            groups.forEach((outcomes, key) => {
+                const [player, playerPoint] = key.includes('|') ? key.split('|') : [null, key];
+                const marketKey = `${event.id}|${market.key}|${key}`;
+                if (!markets.has(marketKey)) {
+                    markets.set(marketKey, {
+                        gameId: event.id,
+                        market: market.key,
+                        player,
+                        point: playerPoint === '' ? null : Number(playerPoint),
+                        books: []
+                    });
+                }
+                markets.get(marketKey).books.push({ sportsbook: bookmaker.title || bookmaker.key, outcomes });
+            });
+        });
+    });
+
+    return Array.from(markets.values());
+}
+
+const FairOddsEngine = {
+    DEVIG_METHODS,
+    SHARP_BOOK_WEIGHTS,
+    DEFAULT_EV_THRESHOLD,
+    impliedProbability,
+    decimalOdds,
+    probabilityToAmerican,
+    overround,
+    devig,
+    fairMarket,
+    bookWeight,
+    consensusFairLine,
+    expectedValue,
+    findPositiveEV,
+    marketsFromOddsAPIEvent
+};
+
+if (typeof window !== 'undefined') {
+    window.FairOddsEngine = FairOddsEngine;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FairOddsEngine;
+}
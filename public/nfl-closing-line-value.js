@@ -0,0 +1,128 @@
+/**
+ * NFL Closing Line Value - Did a pick beat the market?
+ * Compares the line and price a pick was made at with the closing line,
+ * in points and in no-vig probability
+ */
+
+const FairOddsEngine = require('./fair-odds-engine.js');
+
+const { impliedProbability } = FairOddsEngine;
+
+/**
+ * Probability of one side once the two-way vig is removed. Without the
+ * other side's price the vig cannot be split out, so the implied
+ * probability is used and CLV is understated rather than overstated.
+ */
+function noVigProbability(odds, oppositeOdds = null) {
+    if (oppositeOdds === null || oppositeOdds === undefined) {
+        return impliedProbability(odds);
+    }
+    return FairOddsEngine.devig([odds, oppositeOdds])[0];
+}
+
+/**
+ * The pick's side of a betting_lines row: line from the selection's side,
+ * its price and the price on the other side
+ */
+function marketForSelection(row, pickType, selection) {
+    switch (pickType) {
+        case 'spread':
+            if (row.spread_line === null || row.spread_line === undefined) return null;
+            return selection === 'home'
+                ? { line: row.spread_line, odds: row.spread_home_odds, oppositeOdds: row.spread_away_odds }
+                : { line: -row.spread_line, odds: row.spread_away_odds, oppositeOdds: row.spread_home_odds };
+        case 'moneyline':
+            if (row.home_moneyline === null || row.home_moneyline === undefined) return null;
+            return selection === 'home'
+                ? { line: null, odds: row.home_moneyline, oppositeOdds: row.away_moneyline }
+                : { line: null, odds: row.away_moneyline, oppositeOdds: row.home_moneyline };
+        case 'total':
+            if (row.total_points === null || row.total_points === undefined) return null;
+            return selection === 'over'
+                ? { line: row.total_points, odds: row.over_odds, oppositeOdds: row.under_odds }
+                : { line: row.total_points, odds: row.under_odds, oppositeOdds: row.over_odds };
+        default:
+            return null;
+    }
+}
+
+/**
+ * CLV of a pick against its closing market. Points are positive when the
+ * pick got a better number than the close (more points on a spread, a lower
+ * over or higher under). Probability CLV is the closing no-vig probability
+ * of the side minus the no-vig probability at pick time, so it measures the
+ * price move; when the number itself moved, read it with the points.
+ */
+function calculateClv(pick, closing) {
+    let points = null;
+    if (pick.line !== null && pick.line !== undefined && closing.line !== null && closing.line !== undefined) {
+        if (pick.type === 'spread') {
+            points = Number(pick.line) - Number(closing.line);
+        } else if (pick.type === 'total') {
+            points = pick.selection === 'over'
+                ? Number(closing.line) - Number(pick.line)
+                : Number(pick.line) - Number(closing.line);
+        }
+    }
+
+    let probability = null;
+    if (pick.odds !== null && pick.odds !== undefined && closing.odds !== null && closing.odds !== undefined) {
+        probability = noVigProbability(closing.odds, closing.oppositeOdds) - noVigProbability(pick.odds, pick.oppositeOdds);
+    }
+
+    return { points, probability };
+}
+
+/**
+ * CLV summary for a group of picks. Picks without a closing line yet are
+ * counted but left out of the averages.
+ */
+function summarizeClv(picks) {
+    const withPoints = picks.filter(pick => pick.clvPoints !== null && pick.clvPoints !== undefined);
+    const withProbability = picks.filter(pick => pick.clvProbability !== null && pick.clvProbability !== undefined);
+    const measured = picks.filter(pick => pick.closingCapturedAt);
+    const average = (list, key) => (list.length > 0 ? list.reduce((sum, pick) => sum + pick[key], 0) / list.length : null);
+
+    // A pick beats the close on the number, or on the price when the number held
+    const beatClose = measured.filter(pick => (pick.clvPoints ? pick.clvPoints > 0 : (pick.clvProbability || 0) > 0));
+
+    return {
+        picks: picks.length,
+        measured: measured.length,
+        avgClvPoints: average(withPoints, 'clvPoints'),
+        avgClvProbability: average(withProbability, 'clvProbability'),
+        beatCloseRate: measured.length > 0 ? (beatClose.length / measured.length) * 100 : null
+    };
+}
+
+/**
+ * Summaries keyed by a pick field, e.g. type, confidence or bookmaker
+ */
+function summarizeClvBy(picks, key) {
+    const groups = {};
+    picks.forEach(pick => {
+        const group = pick[key] || 'unknown';
+        if (!groups[group]) groups[group] = [];
+        groups[group].push(pick);
+    });
+
+    const summaries = {};
+    Object.keys(groups).sort().forEach(group => {
+        summaries[group] = summarizeClv(groups[group]);
+    });
+    return summaries;
+}
+
+const NFLClosingLineValue = {
+    impliedProbability,
+    noVigProbability,
+    marketForSelection,
+    calculateClv,
+    summarizeClv,
+    summarizeClvBy
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NFLClosingLineValue;
+}
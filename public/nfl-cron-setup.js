@@ -109,6 +109,8 @@ class NFLCronScheduler {
         try {
             const sync = new NFLDailySync();
             await sync.db.initialize();
+            // Hourly odds snapshots keep closing lines close to kickoff
+            await sync.syncBettingLines();
             await sync.syncGames();
             await sync.syncGameStats();
             sync.db.close();
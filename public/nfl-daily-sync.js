@@ -5,10 +5,37 @@
  */
 
 const NFLDatabaseService = require('./nfl-database-service.js');
+const NFLPicksLedger = require('./nfl-picks-ledger.js');
+
+// ESPN box score keys for each player_stats column
+const BOX_SCORE_COLUMNS = {
+    passing: {
+        'completions/passingAttempts': ['passing_completions', 'passing_attempts'],
+        passingYards: 'passing_yards',
+        passingTouchdowns: 'passing_touchdowns',
+        interceptions: 'interceptions'
+    },
+    rushing: {
+        rushingAttempts: 'rushing_attempts',
+        rushingYards: 'rushing_yards',
+        rushingTouchdowns: 'rushing_touchdowns'
+    },
+    receiving: {
+        receptions: 'receptions',
+        receivingYards: 'receiving_yards',
+        receivingTouchdowns: 'receiving_touchdowns',
+        receivingTargets: 'targets'
+    },
+    fumbles: {
+        fumbles: 'fumbles',
+        fumblesLost: 'fumbles_lost'
+    }
+};
 
 class NFLDailySync {
     constructor() {
         this.db = new NFLDatabaseService();
+        this.ledger = new NFLPicksLedger(this.db);
         this.currentSeason = 2025;
     }
 
@@ -26,8 +53,9 @@ class NFLDailySync {
             // 1. Sync teams (rarely changes, but good to have)
             await this.syncTeams();
             
-            // 2. Sync current week games and schedule
+            // 2. Sync current week games and schedule, with the latest odds
             await this.syncGames();
+            await this.syncBettingLines();
             
             // 3. Sync all team rosters
             await this.syncAllRosters();
@@ -127,6 +155,9 @@ class NFLDailySync {
             console.log(`✅ Synced ${gamesUpdated} games in ${duration}ms`);
             await this.db.logSync('games', gamesUpdated, true, null, duration);
             
+            // Settle game-line picks as soon as finals are in
+            await this.gradePicks();
+            
         } catch (error) {
             console.error('❌ Games sync failed:', error);
             await this.db.logSync('games', 0, false, error.message, Date.now() - startTime);
@@ -263,12 +294,109 @@ class NFLDailySync {
             console.log(`✅ Synced stats for ${statsUpdated} games in ${duration}ms`);
             await this.db.logSync('game_stats', statsUpdated, true, null, duration);
             
+            // Player props need the box scores
+            await this.gradePicks();
+            
         } catch (error) {
             console.error('❌ Game stats sync failed:', error);
             await this.db.logSync('game_stats', 0, false, error.message, Date.now() - startTime);
         }
     }
 
+    /**
+     * Snapshot current odds into betting_lines for closing line value.
+     * Needs THE_ODDS_API_KEY; lines are stored in the OddsAPIConnector shape.
+     */
+    async syncBettingLines() {
+        const startTime = Date.now();
+        const apiKey = process.env.THE_ODDS_API_KEY;
+        if (!apiKey) {
+            console.log('⚠️ THE_ODDS_API_KEY not set, skipping betting lines');
+            return null;
+        }
+        console.log('💰 Syncing betting lines...');
+        
+        try {
+            const response = await fetch(
+                `https://api.the-odds-api.com/v4/sports/americanfootball_nfl/odds?apiKey=${apiKey}&regions=us&markets=h2h,spreads,totals&oddsFormat=american`
+            );
+            const events = await response.json();
+            if (!Array.isArray(events)) {
+                throw new Error(events.message || 'Unexpected odds response');
+            }
+            
+            const result = await this.ledger.storeBettingLines(this.toBettingLines(events));
+            await this.db.logSync('betting_lines', result.stored, true, null, Date.now() - startTime);
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Betting lines sync failed:', error);
+            await this.db.logSync('betting_lines', 0, false, error.message, Date.now() - startTime);
+            return null;
+        }
+    }
+
+    /**
+     * One line per event and bookmaker, as OddsAPIConnector maps them
+     */
+    toBettingLines(events) {
+        const lines = [];
+        
+        for (const event of events) {
+            for (const bookmaker of event.bookmakers || []) {
+                const market = key => bookmaker.markets.find(m => m.key === key)?.outcomes || [];
+                const outcome = (key, name) => market(key).find(o => o.name === name);
+                
+                lines.push({
+                    gameId: event.id,
+                    sportsbook: bookmaker.title,
+                    spread: {
+                        home: outcome('spreads', event.home_team)?.point ?? null,
+                        away: outcome('spreads', event.away_team)?.point ?? null,
+                        homeOdds: outcome('spreads', event.home_team)?.price ?? null,
+                        awayOdds: outcome('spreads', event.away_team)?.price ?? null
+                    },
+                    total: {
+                        line: outcome('totals', 'Over')?.point ?? null,
+                        overOdds: outcome('totals', 'Over')?.price ?? null,
+                        underOdds: outcome('totals', 'Under')?.price ?? null
+                    },
+                    moneyline: {
+                        home: outcome('h2h', event.home_team)?.price ?? null,
+                        away: outcome('h2h', event.away_team)?.price ?? null
+                    },
+                    lastUpdated: bookmaker.last_update,
+                    homeTeam: event.home_team,
+                    awayTeam: event.away_team,
+                    commenceTime: event.commence_time
+                });
+            }
+        }
+        
+        return lines;
+    }
+
+    /**
+     * Grade pending picks against the synced results
+     */
+    async gradePicks() {
+        const startTime = Date.now();
+        console.log('🎯 Grading pending picks...');
+        
+        try {
+            // Games that kicked off have their closing line by now
+            await this.ledger.captureClosingLines();
+            const result = await this.ledger.gradePendingPicks();
+            await this.db.logSync('pick_grading', result.settled, true, null, Date.now() - startTime);
+            return result;
+            
+        } catch (error) {
+            console.error('❌ Pick grading failed:', error);
+            await this.db.logSync('pick_grading', 0, false, error.message, Date.now() - startTime);
+            return null;
+        }
+    }
+
     /**
      * Update team standings
      */
@@ -409,12 +537,83 @@ class NFLDailySync {
             );
             const data = await response.json();
             
-            // Parse and store player stats
-            // Implementation would parse ESPN box score data
+            const playerLines = this.parseBoxScore(data.boxscore);
+            for (const line of playerLines) {
+                await this.upsertPlayerStats(gameId, line);
+            }
+            
+            return playerLines.length;
             
         } catch (error) {
             console.error(`❌ Failed to sync stats for game ${espnGameId}:`, error);
+            return 0;
+        }
+    }
+
+    /**
+     * Turn an ESPN summary box score into one stat line per player
+     */
+    parseBoxScore(boxscore) {
+        const lines = new Map();
+        
+        for (const team of boxscore?.players || []) {
+            for (const group of team.statistics || []) {
+                const columns = BOX_SCORE_COLUMNS[group.name];
+                if (!columns) continue;
+                
+                for (const entry of group.athletes || []) {
+                    const playerId = entry.athlete?.id;
+                    if (!playerId) continue;
+                    
+                    if (!lines.has(playerId)) {
+                        lines.set(playerId, { espn_player_id: playerId, espn_team_id: team.team?.id });
+                    }
+                    const line = lines.get(playerId);
+                    
+                    (group.keys || []).forEach((key, index) => {
+                        const column = columns[key];
+                        if (!column) return;
+                        
+                        const value = String(entry.stats?.[index] ?? '');
+                        if (Array.isArray(column)) {
+                            // Paired values such as completions/attempts
+                            value.split('/').forEach((part, partIndex) => {
+                                line[column[partIndex]] = parseInt(part) || 0;
+                            });
+                        } else {
+                            line[column] = parseInt(value) || 0;
+                        }
+                    });
+                }
+            }
         }
+        
+        return Array.from(lines.values());
+    }
+
+    async upsertPlayerStats(gameId, line) {
+        const columns = Object.values(BOX_SCORE_COLUMNS)
+            .flatMap(group => Object.values(group))
+            .flat();
+        
+        return new Promise((resolve, reject) => {
+            const query = `
+                INSERT OR REPLACE INTO player_stats 
+                (game_id, player_id, team_id, ${columns.join(', ')})
+                SELECT ?, p.id, (SELECT id FROM teams WHERE espn_team_id = ?), ${columns.map(() => '?').join(', ')}
+                FROM players p WHERE p.espn_player_id = ?
+            `;
+            
+            this.db.db.run(query, [
+                gameId,
+                line.espn_team_id,
+                ...columns.map(column => line[column] || 0),
+                line.espn_player_id
+            ], function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
     }
 }
 
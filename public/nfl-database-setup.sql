@@ -176,6 +176,63 @@ CREATE TABLE IF NOT EXISTS sync_log (
     duration_ms INTEGER
 );
 
+-- Picks ledger - Tracked picks, graded automatically from final scores
+CREATE TABLE IF NOT EXISTS picks (
+    id TEXT PRIMARY KEY, -- generated by the client, e.g. pick_1726000000000_k3j9x2m1q
+    season INTEGER NOT NULL,
+    week INTEGER NOT NULL,
+    pick_type TEXT NOT NULL, -- spread, moneyline, total, player_prop, parlay
+    espn_game_id TEXT, -- NULL for parlays, each leg has its own game
+    selection TEXT, -- home, away, over, under
+    line REAL, -- spread from the selection's side, total or prop line
+    odds INTEGER, -- American odds format
+    stake REAL DEFAULT 1, -- units
+    bookmaker TEXT, -- book the pick was made at
+    opposite_odds INTEGER, -- price on the other side when the pick was made
+    espn_player_id TEXT, -- player props
+    stat_type TEXT, -- player_stats column the prop is graded on
+    description TEXT,
+    confidence TEXT, -- low, medium, high, very_high
+    reasoning TEXT,
+    edge REAL,
+    model_probability REAL,
+    source TEXT,
+    status TEXT NOT NULL DEFAULT 'pending', -- pending, won, lost, push, void
+    actual_value REAL, -- margin, total or stat the pick was graded on
+    payout REAL, -- net units once settled
+    settled_at TIMESTAMP,
+    
+    -- Closing line value
+    closing_line REAL,
+    closing_odds INTEGER,
+    closing_opposite_odds INTEGER,
+    closing_bookmaker TEXT,
+    closing_captured_at TIMESTAMP,
+    clv_points REAL, -- better number than the close, in points
+    clv_probability REAL, -- closing minus pick-time no-vig probability
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Parlay legs - One row per leg of a parlay pick
+CREATE TABLE IF NOT EXISTS parlay_legs (
+    id INTEGER PRIMARY KEY,
+    pick_id TEXT NOT NULL,
+    leg_index INTEGER NOT NULL,
+    pick_type TEXT NOT NULL, -- spread, moneyline, total, player_prop
+    espn_game_id TEXT NOT NULL,
+    selection TEXT NOT NULL,
+    line REAL,
+    odds INTEGER,
+    espn_player_id TEXT,
+    stat_type TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    actual_value REAL,
+    FOREIGN KEY (pick_id) REFERENCES picks(id) ON DELETE CASCADE,
+    UNIQUE(pick_id, leg_index)
+);
+
 -- Create indexes for better query performance
 CREATE INDEX IF NOT EXISTS idx_players_team_id ON players(team_id);
 CREATE INDEX IF NOT EXISTS idx_players_position ON players(position);
@@ -183,4 +240,7 @@ CREATE INDEX IF NOT EXISTS idx_games_week_season ON games(week, season);
 CREATE INDEX IF NOT EXISTS idx_games_teams ON games(home_team_id, away_team_id);
 CREATE INDEX IF NOT EXISTS idx_player_stats_game_player ON player_stats(game_id, player_id);
 CREATE INDEX IF NOT EXISTS idx_injuries_player_active ON injuries(player_id, is_active);
-CREATE INDEX IF NOT EXISTS idx_betting_lines_game ON betting_lines(game_id);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_betting_lines_game ON betting_lines(game_id);
+CREATE INDEX IF NOT EXISTS idx_picks_status ON picks(status);
+CREATE INDEX IF NOT EXISTS idx_picks_season_week ON picks(season, week);
+CREATE INDEX IF NOT EXISTS idx_parlay_legs_pick ON parlay_legs(pick_id);
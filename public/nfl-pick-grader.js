@@ -0,0 +1,200 @@
+/**
+ * NFL Pick Grader - Settles picks from final scores and box scores
+ * Pure grading rules shared by the picks ledger and the daily sync
+ */
+
+const FairOddsEngine = require('./fair-odds-engine.js');
+
+const PICK_TYPES = ['spread', 'moneyline', 'total', 'player_prop', 'parlay'];
+
+const PICK_STATUS = {
+    PENDING: 'pending',
+    WON: 'won',
+    LOST: 'lost',
+    PUSH: 'push',
+    VOID: 'void'
+};
+
+// ESPN status names written by NFLDailySync, plus the schema's own values
+const FINAL_GAME_STATUSES = ['STATUS_FINAL', 'final'];
+const VOID_GAME_STATUSES = ['STATUS_POSTPONED', 'STATUS_CANCELED', 'postponed', 'canceled'];
+
+// Player props are graded against these player_stats columns
+const PROP_STAT_COLUMNS = [
+    'passing_attempts', 'passing_completions', 'passing_yards', 'passing_touchdowns', 'interceptions',
+    'rushing_attempts', 'rushing_yards', 'rushing_touchdowns',
+    'receptions', 'receiving_yards', 'receiving_touchdowns', 'targets',
+    'fumbles', 'fumbles_lost'
+];
+
+const SELECTIONS = {
+    spread: ['home', 'away'],
+    moneyline: ['home', 'away'],
+    total: ['over', 'under'],
+    player_prop: ['over', 'under']
+};
+
+const DEFAULT_ODDS = -110;
+
+/**
+ * Won, lost or push from a number measured against zero
+ */
+function compareToZero(value) {
+    if (value > 0) return PICK_STATUS.WON;
+    if (value < 0) return PICK_STATUS.LOST;
+    return PICK_STATUS.PUSH;
+}
+
+/**
+ * Grade one straight bet or parlay leg.
+ * `game` is the games row (or null when it has not been synced yet).
+ * `statLine` only matters for player props: undefined while the game's box
+ * score has not been synced, null when the player has no line in it.
+ */
+function gradeLeg(leg, game, statLine) {
+    const pending = { status: PICK_STATUS.PENDING, actualValue: null };
+    if (!game) return pending;
+    if (VOID_GAME_STATUSES.includes(game.status)) {
+        return { status: PICK_STATUS.VOID, actualValue: null };
+    }
+    if (!FINAL_GAME_STATUSES.includes(game.status)) return pending;
+
+    const homeScore = Number(game.home_score);
+    const awayScore = Number(game.away_score);
+    const selectedHome = leg.selection === 'home';
+
+    switch (leg.type) {
+        case 'spread': {
+            const margin = selectedHome ? homeScore - awayScore : awayScore - homeScore;
+            return { status: compareToZero(margin + Number(leg.line)), actualValue: margin };
+        }
+        case 'moneyline': {
+            const margin = selectedHome ? homeScore - awayScore : awayScore - homeScore;
+            return { status: compareToZero(margin), actualValue: margin };
+        }
+        case 'total': {
+            const total = homeScore + awayScore;
+            const overBy = total - Number(leg.line);
+            return { status: compareToZero(leg.selection === 'over' ? overBy : -overBy), actualValue: total };
+        }
+        case 'player_prop': {
+            if (statLine === undefined) return pending;
+            // A player who did not record a line did not play
+            if (statLine === null) return { status: PICK_STATUS.VOID, actualValue: null };
+            const value = Number(statLine[leg.statType]) || 0;
+            const overBy = value - Number(leg.line);
+            return { status: compareToZero(leg.selection === 'over' ? overBy : -overBy), actualValue: value };
+        }
+        default:
+            throw new Error(`Cannot grade ${leg.type} picks`);
+    }
+}
+
+/**
+ * Decimal odds for American odds, at the default price when none was taken
+ */
+function decimalOdds(americanOdds) {
+    return FairOddsEngine.decimalOdds(Number(americanOdds) || DEFAULT_ODDS);
+}
+
+/**
+ * Combine graded legs. A losing leg loses the parlay straight away; pushed
+ * and voided legs drop out and the parlay is re-priced from the legs left.
+ */
+function gradeParlay(legs, parlayOdds = null) {
+    const statuses = legs.map(leg => leg.status);
+    if (statuses.includes(PICK_STATUS.LOST)) {
+        return { status: PICK_STATUS.LOST, decimalOdds: null };
+    }
+    if (statuses.includes(PICK_STATUS.PENDING)) {
+        return { status: PICK_STATUS.PENDING, decimalOdds: null };
+    }
+
+    const winners = legs.filter(leg => leg.status === PICK_STATUS.WON);
+    if (winners.length === 0) {
+        return {
+            status: statuses.includes(PICK_STATUS.PUSH) ? PICK_STATUS.PUSH : PICK_STATUS.VOID,
+            decimalOdds: null
+        };
+    }
+
+    // The quoted price only holds when every leg stood
+    const price = winners.length === legs.length && parlayOdds
+        ? decimalOdds(parlayOdds)
+        : winners.reduce((product, leg) => product * decimalOdds(leg.odds), 1);
+
+    return { status: PICK_STATUS.WON, decimalOdds: price };
+}
+
+/**
+ * Net profit in stake units once a pick is settled
+ */
+function settlementPayout(status, stake, price) {
+    const units = Number(stake) || 1;
+    switch (status) {
+        case PICK_STATUS.WON:
+            return units * (price - 1);
+        case PICK_STATUS.LOST:
+            return -units;
+        case PICK_STATUS.PUSH:
+        case PICK_STATUS.VOID:
+            return 0;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check a pick (or parlay leg) has what the grader needs
+ */
+function validatePick(pick, isLeg = false) {
+    const types = isLeg ? PICK_TYPES.filter(type => type !== 'parlay') : PICK_TYPES;
+    if (!types.includes(pick.type)) {
+        throw new Error(`Unsupported pick type: ${pick.type}`);
+    }
+
+    if (pick.type === 'parlay') {
+        if (!Array.isArray(pick.legs) || pick.legs.length < 2) {
+            throw new Error('A parlay needs at least two legs');
+        }
+        pick.legs.forEach(leg => validatePick(leg, true));
+        return;
+    }
+
+    if (!pick.gameId) {
+        throw new Error(`A ${pick.type} pick needs a gameId`);
+    }
+    if (!SELECTIONS[pick.type].includes(pick.selection)) {
+        throw new Error(`Selection for a ${pick.type} pick must be ${SELECTIONS[pick.type].join(' or ')}`);
+    }
+    if (pick.type !== 'moneyline' && !Number.isFinite(Number(pick.line))) {
+        throw new Error(`A ${pick.type} pick needs a line`);
+    }
+    if (pick.type === 'player_prop') {
+        if (!pick.playerId) {
+            throw new Error('A player_prop pick needs a playerId');
+        }
+        if (!PROP_STAT_COLUMNS.includes(pick.statType)) {
+            throw new Error(`Unsupported prop stat: ${pick.statType}`);
+        }
+    }
+}
+
+const NFLPickGrader = {
+    PICK_TYPES,
+    PICK_STATUS,
+    FINAL_GAME_STATUSES,
+    VOID_GAME_STATUSES,
+    PROP_STAT_COLUMNS,
+    DEFAULT_ODDS,
+    gradeLeg,
+    gradeParlay,
+    decimalOdds,
+    settlementPayout,
+    validatePick
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NFLPickGrader;
+}
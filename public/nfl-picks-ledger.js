@@ -0,0 +1,619 @@
+/**
+ * NFL Picks Ledger - Server-side record of every tracked pick
+ * Picks live in the SQLite database and are graded from the final scores
+ * and box scores that NFLDailySync writes
+ */
+
+const NFLPickGrader = require('./nfl-pick-grader.js');
+const NFLClosingLineValue = require('./nfl-closing-line-value.js');
+
+const { PICK_STATUS } = NFLPickGrader;
+
+// Markets with a closing line in betting_lines
+const CLV_PICK_TYPES = ['spread', 'moneyline', 'total'];
+
+// Number and price columns of a betting_lines row, in insert order
+const BETTING_LINE_PRICE_COLUMNS = [
+    'home_moneyline', 'away_moneyline', 'spread_line', 'spread_home_odds', 'spread_away_odds',
+    'total_points', 'over_odds', 'under_odds'
+];
+
+class NFLPicksLedger {
+    /**
+     * @param database An initialized NFLDatabaseService
+     */
+    constructor(database) {
+        this.database = database;
+        this.transactionQueue = Promise.resolve();
+    }
+
+    /**
+     * Record a pick. Recording the same id twice keeps the first copy, so
+     * browsers can safely re-send picks they are unsure reached the server.
+     * Picks on games missing from the schedule are rejected.
+     */
+    async recordPick(pickData) {
+        NFLPickGrader.validatePick(pickData);
+
+        const id = pickData.id || this.generatePickId();
+        const { season, week } = await this.scheduleForPick(pickData);
+        const market = await this.marketAtPickTime(pickData);
+
+        await this.transaction(async () => {
+            const inserted = await this.run(`
+                INSERT OR IGNORE INTO picks
+                (id, season, week, pick_type, espn_game_id, selection, line, odds, stake,
+                 bookmaker, opposite_odds, espn_player_id, stat_type, description, confidence,
+                 reasoning, edge, model_probability, source, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `, [
+                id,
+                season,
+                week,
+                pickData.type,
+                pickData.type === 'parlay' ? null : String(pickData.gameId),
+                pickData.selection || null,
+                pickData.line ?? null,
+                pickData.odds ?? market.odds ?? null,
+                pickData.stake || 1,
+                pickData.bookmaker || market.bookmaker || null,
+                pickData.oppositeOdds ?? market.oppositeOdds ?? null,
+                pickData.playerId ? String(pickData.playerId) : null,
+                pickData.statType || null,
+                pickData.description || null,
+                pickData.confidence || null,
+                pickData.reasoning || null,
+                pickData.edge ?? null,
+                pickData.modelProbability ?? null,
+                pickData.source || 'ai_analysis',
+                pickData.timestamp || new Date().toISOString()
+            ]);
+
+            // A re-sent parlay already has its legs
+            if (inserted === 0 || pickData.type !== 'parlay') return;
+
+            for (const [legIndex, leg] of pickData.legs.entries()) {
+                await this.run(`
+                    INSERT INTO parlay_legs
+                    (pick_id, leg_index, pick_type, espn_game_id, selection, line, odds, espn_player_id, stat_type)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [
+                    id,
+                    legIndex,
+                    leg.type,
+                    String(leg.gameId),
+                    leg.selection,
+                    leg.line ?? null,
+                    leg.odds ?? null,
+                    leg.playerId ? String(leg.playerId) : null,
+                    leg.statType || null
+                ]);
+            }
+        });
+
+        return this.getPick(id);
+    }
+
+    /**
+     * Record a batch of picks from a browser sync. Invalid picks are reported
+     * back as rejected instead of failing the whole batch. Valid picks that
+     * cannot be recorded yet, such as those on games the daily sync has not
+     * scheduled, come back as deferred for the browser to retry.
+     */
+    async recordPicks(picks) {
+        const recorded = [];
+        const rejected = [];
+        const deferred = [];
+
+        for (const pickData of picks) {
+            const id = pickData.id || null;
+            try {
+                NFLPickGrader.validatePick(pickData);
+            } catch (error) {
+                rejected.push({ id, error: error.message });
+                continue;
+            }
+
+            try {
+                recorded.push(await this.recordPick(pickData));
+            } catch (error) {
+                deferred.push({ id, error: error.message });
+            }
+        }
+
+        return { recorded, rejected, deferred };
+    }
+
+    async getPick(id) {
+        const row = await this.get('SELECT * FROM picks WHERE id = ?', [id]);
+        if (!row) return null;
+
+        const legs = await this.all('SELECT * FROM parlay_legs WHERE pick_id = ? ORDER BY leg_index', [id]);
+        return this.toPick(row, legs);
+    }
+
+    /**
+     * Picks filtered by season, week and status, newest first
+     */
+    async getPicks(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        ['season', 'week', 'status'].forEach(column => {
+            if (filters[column] !== undefined && filters[column] !== null) {
+                conditions.push(`${column} = ?`);
+                params.push(filters[column]);
+            }
+        });
+
+        const rows = await this.all(`
+            SELECT * FROM picks
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY created_at DESC
+        `, params);
+
+        const legs = await this.legsByPick(rows.filter(row => row.pick_type === 'parlay').map(row => row.id));
+        return rows.map(row => this.toPick(row, legs.get(row.id) || []));
+    }
+
+    /**
+     * Settle a pick by hand, for results the grader cannot see
+     */
+    async settlePick(id, status, actualValue = null) {
+        if (!Object.values(PICK_STATUS).includes(status) || status === PICK_STATUS.PENDING) {
+            throw new Error(`Invalid pick status: ${status}`);
+        }
+
+        const pick = await this.getPick(id);
+        if (!pick) {
+            throw new Error(`Pick ${id} not found`);
+        }
+
+        const price = pick.type !== 'parlay' || pick.odds !== null
+            ? NFLPickGrader.decimalOdds(pick.odds)
+            : pick.legs.reduce((product, leg) => product * NFLPickGrader.decimalOdds(leg.odds), 1);
+
+        await this.updateSettlement(id, status, actualValue, NFLPickGrader.settlementPayout(status, pick.stake, price));
+        return this.getPick(id);
+    }
+
+    /**
+     * Grade every pending pick whose games are final. Props wait until the
+     * game's box score has been synced.
+     */
+    async gradePendingPicks() {
+        const pending = await this.all(`SELECT * FROM picks WHERE status = '${PICK_STATUS.PENDING}'`);
+        const legsByPick = await this.legsByPick(pending.filter(pick => pick.pick_type === 'parlay').map(pick => pick.id));
+
+        const gameIds = new Set();
+        pending.forEach(pick => {
+            if (pick.espn_game_id) gameIds.add(pick.espn_game_id);
+            (legsByPick.get(pick.id) || []).forEach(leg => gameIds.add(leg.espn_game_id));
+        });
+        const games = await this.gamesByEspnId(Array.from(gameIds));
+        const boxScores = new Map();
+
+        const gradeRow = async (row) => {
+            const game = games.get(row.espn_game_id) || null;
+            let statLine;
+            if (row.pick_type === 'player_prop' && game) {
+                if (!boxScores.has(game.id)) {
+                    boxScores.set(game.id, await this.boxScore(game.id));
+                }
+                const boxScore = boxScores.get(game.id);
+                statLine = boxScore ? boxScore.get(String(row.espn_player_id)) || null : undefined;
+            }
+
+            return NFLPickGrader.gradeLeg({
+                type: row.pick_type,
+                selection: row.selection,
+                line: row.line,
+                statType: row.stat_type
+            }, game, statLine);
+        };
+
+        let settled = 0;
+        for (const pick of pending) {
+            let grade;
+            let price;
+
+            if (pick.pick_type === 'parlay') {
+                const legs = legsByPick.get(pick.id) || [];
+                const gradedLegs = [];
+                for (const leg of legs) {
+                    const legGrade = leg.status === PICK_STATUS.PENDING ? await gradeRow(leg) : { status: leg.status, actualValue: leg.actual_value };
+                    if (legGrade.status !== leg.status) {
+                        await this.run('UPDATE parlay_legs SET status = ?, actual_value = ? WHERE id = ?', [legGrade.status, legGrade.actualValue, leg.id]);
+                    }
+                    gradedLegs.push({ status: legGrade.status, odds: leg.odds });
+                }
+                const parlay = NFLPickGrader.gradeParlay(gradedLegs, pick.odds);
+                grade = { status: parlay.status, actualValue: null };
+                price = parlay.decimalOdds;
+            } else {
+                grade = await gradeRow(pick);
+                price = NFLPickGrader.decimalOdds(pick.odds);
+            }
+
+            if (grade.status !== PICK_STATUS.PENDING) {
+                await this.updateSettlement(pick.id, grade.status, grade.actualValue, NFLPickGrader.settlementPayout(grade.status, pick.stake, price));
+                settled++;
+            }
+        }
+
+        console.log(`✅ Graded ${settled} of ${pending.length} pending picks`);
+        return { checked: pending.length, settled, pending: pending.length - settled };
+    }
+
+    /**
+     * Season and week of the game a pick is on, or of a parlay's first game
+     */
+    async scheduleForPick(pickData) {
+        const gameIds = pickData.type === 'parlay'
+            ? pickData.legs.map(leg => String(leg.gameId))
+            : [String(pickData.gameId)];
+        const games = await this.gamesByEspnId(Array.from(new Set(gameIds)));
+
+        const missing = gameIds.find(gameId => !games.has(gameId));
+        if (missing) {
+            throw new Error(`Game ${missing} is not in the schedule`);
+        }
+
+        const first = Array.from(games.values())
+            .sort((a, b) => this.toDate(a.game_date) - this.toDate(b.game_date))[0];
+        return { season: Number(first.season), week: Number(first.week) };
+    }
+
+    /**
+     * The book's current price for a new pick, filling in whatever the pick
+     * did not bring. The other side's price is only taken when the book is
+     * still dealing the pick's number.
+     */
+    async marketAtPickTime(pickData) {
+        const needsMarket = pickData.odds === undefined || pickData.odds === null ||
+            pickData.oppositeOdds === undefined || pickData.oppositeOdds === null;
+        if (!CLV_PICK_TYPES.includes(pickData.type) || !needsMarket) return {};
+
+        const game = (await this.gamesByEspnId([String(pickData.gameId)])).get(String(pickData.gameId));
+        if (!game) return {};
+
+        const row = await this.latestBettingLine(game.id, pickData.type, pickData.bookmaker, new Date());
+        const market = row && NFLClosingLineValue.marketForSelection(row, pickData.type, pickData.selection);
+        if (!market) return {};
+
+        const sameNumber = pickData.type === 'moneyline' || Number(market.line) === Number(pickData.line);
+        return {
+            bookmaker: row.bookmaker,
+            odds: sameNumber ? market.odds : null,
+            oppositeOdds: sameNumber ? market.oppositeOdds : null
+        };
+    }
+
+    /**
+     * Store odds snapshots in the OddsAPIConnector BettingLine shape. Lines
+     * are matched to games by ESPN id or by team names and kickoff. A line
+     * is only stored when its number or price differs from the book's last
+     * stored line, so repeated syncs do not pile up copies.
+     */
+    async storeBettingLines(lines) {
+        let stored = 0;
+        let unchanged = 0;
+        let unmatched = 0;
+
+        for (const line of lines) {
+            const gameId = await this.findGameForLine(line);
+            if (!gameId) {
+                unmatched++;
+                continue;
+            }
+
+            const snapshotAt = new Date(line.lastUpdated || Date.now()).toISOString();
+            const rows = [
+                ['moneyline', line.moneyline?.home || null, line.moneyline?.away || null, null, null, null, null, null, null],
+                ['spread', null, null, line.spread?.home ?? null, line.spread?.homeOdds ?? null, line.spread?.awayOdds ?? null, null, null, null],
+                ['total', null, null, null, null, null, line.total?.line || null, line.total?.overOdds ?? null, line.total?.underOdds ?? null]
+            ].filter(([lineType, homeMoneyline, , spreadLine, , , totalPoints]) => (
+                (lineType === 'moneyline' && homeMoneyline !== null) ||
+                (lineType === 'spread' && spreadLine !== null) ||
+                (lineType === 'total' && totalPoints !== null)
+            ));
+
+            for (const row of rows) {
+                const [lineType, ...prices] = row;
+                const previous = await this.get(`
+                    SELECT ${BETTING_LINE_PRICE_COLUMNS.join(', ')} FROM betting_lines
+                    WHERE game_id = ? AND bookmaker = ? AND line_type = ?
+                    ORDER BY julianday(updated_at) DESC
+                    LIMIT 1
+                `, [gameId, line.sportsbook, lineType]);
+
+                if (previous && BETTING_LINE_PRICE_COLUMNS.every((column, i) => previous[column] === prices[i])) {
+                    unchanged++;
+                    continue;
+                }
+
+                await this.run(`
+                    INSERT INTO betting_lines
+                    (game_id, bookmaker, line_type, ${BETTING_LINE_PRICE_COLUMNS.join(', ')}, created_at, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `, [gameId, line.sportsbook, ...row, snapshotAt, snapshotAt]);
+                stored++;
+            }
+        }
+
+        console.log(`✅ Stored ${stored} betting lines (${unchanged} unchanged, ${unmatched} unmatched)`);
+        return { stored, unchanged, unmatched };
+    }
+
+    /**
+     * Snapshot the closing line for picks whose games have kicked off. The
+     * close is the last line before kickoff at the pick's book, or at any
+     * book when the pick's book has none.
+     */
+    async captureClosingLines(now = new Date()) {
+        const picks = await this.all(`
+            SELECT p.*, g.id AS game_row_id, g.game_date FROM picks p
+            JOIN games g ON g.espn_game_id = p.espn_game_id
+            WHERE p.closing_captured_at IS NULL
+              AND p.pick_type IN (${CLV_PICK_TYPES.map(() => '?').join(', ')})
+        `, CLV_PICK_TYPES);
+
+        let captured = 0;
+        for (const pick of picks) {
+            const kickoff = this.toDate(pick.game_date);
+            if (kickoff > now) continue;
+
+            const row = await this.latestBettingLine(pick.game_row_id, pick.pick_type, pick.bookmaker, kickoff);
+            const closing = row && NFLClosingLineValue.marketForSelection(row, pick.pick_type, pick.selection);
+            if (!closing) continue;
+
+            const clv = NFLClosingLineValue.calculateClv({
+                type: pick.pick_type,
+                selection: pick.selection,
+                line: pick.line,
+                odds: pick.odds,
+                oppositeOdds: pick.opposite_odds
+            }, closing);
+
+            await this.run(`
+                UPDATE picks
+                SET closing_line = ?, closing_odds = ?, closing_opposite_odds = ?, closing_bookmaker = ?,
+                    closing_captured_at = ?, clv_points = ?, clv_probability = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [
+                closing.line,
+                closing.odds,
+                closing.oppositeOdds,
+                row.bookmaker,
+                now.toISOString(),
+                clv.points,
+                clv.probability,
+                pick.id
+            ]);
+            captured++;
+        }
+
+        console.log(`✅ Captured closing lines for ${captured} picks`);
+        return { checked: picks.length, captured };
+    }
+
+    /**
+     * CLV broken down by pick type, confidence tier and book. Parlays have
+     * no single closing line and are left out.
+     */
+    async getClvReport(filters = {}) {
+        const picks = (await this.getPicks(filters)).filter(pick => pick.type !== 'parlay');
+
+        return {
+            overall: NFLClosingLineValue.summarizeClv(picks),
+            byType: NFLClosingLineValue.summarizeClvBy(picks, 'type'),
+            byConfidence: NFLClosingLineValue.summarizeClvBy(picks, 'confidence'),
+            byBook: NFLClosingLineValue.summarizeClvBy(picks, 'bookmaker')
+        };
+    }
+
+    /**
+     * Helper methods
+     */
+    // Last line stored at or before asOf, from the given book when it has one
+    async latestBettingLine(gameId, lineType, bookmaker, asOf) {
+        const row = await this.get(`
+            SELECT * FROM betting_lines
+            WHERE game_id = ? AND line_type = ? AND julianday(updated_at) <= julianday(?)
+            ORDER BY CASE WHEN bookmaker = ? THEN 0 ELSE 1 END, julianday(updated_at) DESC
+            LIMIT 1
+        `, [gameId, lineType, asOf.toISOString(), bookmaker || null]);
+
+        return row || null;
+    }
+
+    async findGameForLine(line) {
+        if (line.gameId) {
+            const game = (await this.gamesByEspnId([String(line.gameId)])).get(String(line.gameId));
+            if (game) return game.id;
+        }
+        if (!line.homeTeam || !line.awayTeam) return null;
+
+        const candidates = await this.all(`
+            SELECT g.id, g.game_date FROM games g
+            JOIN teams ht ON g.home_team_id = ht.id
+            JOIN teams at ON g.away_team_id = at.id
+            WHERE ht.name = ? AND at.name = ?
+        `, [line.homeTeam, line.awayTeam]);
+
+        // The same matchup can be played twice a season, so take the nearest kickoff
+        const kickoff = line.commenceTime ? new Date(line.commenceTime) : new Date();
+        const nearest = candidates
+            .map(game => ({ id: game.id, gap: Math.abs(this.toDate(game.game_date) - kickoff) }))
+            .sort((a, b) => a.gap - b.gap)[0];
+
+        return nearest && nearest.gap <= 2 * 24 * 60 * 60 * 1000 ? nearest.id : null;
+    }
+
+    /**
+     * SQLite CURRENT_TIMESTAMP values are UTC without a zone
+     */
+    toDate(value) {
+        const text = String(value);
+        return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+    }
+
+    async updateSettlement(id, status, actualValue, payout) {
+        await this.run(`
+            UPDATE picks
+            SET status = ?, actual_value = ?, payout = ?, settled_at = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ?
+        `, [status, actualValue, payout, new Date().toISOString(), id]);
+    }
+
+    async legsByPick(pickIds) {
+        const legs = new Map();
+        if (pickIds.length === 0) return legs;
+
+        const rows = await this.all(`
+            SELECT * FROM parlay_legs
+            WHERE pick_id IN (${pickIds.map(() => '?').join(', ')})
+            ORDER BY pick_id, leg_index
+        `, pickIds);
+
+        rows.forEach(row => {
+            if (!legs.has(row.pick_id)) legs.set(row.pick_id, []);
+            legs.get(row.pick_id).push(row);
+        });
+        return legs;
+    }
+
+    async gamesByEspnId(espnGameIds) {
+        const games = new Map();
+        if (espnGameIds.length === 0) return games;
+
+        const rows = await this.all(`
+            SELECT id, espn_game_id, season, week, game_date, status, home_score, away_score FROM games
+            WHERE espn_game_id IN (${espnGameIds.map(() => '?').join(', ')})
+        `, espnGameIds);
+
+        rows.forEach(row => games.set(String(row.espn_game_id), row));
+        return games;
+    }
+
+    /**
+     * Stat lines for a game keyed by ESPN player id, or null before the box
+     * score has been synced
+     */
+    async boxScore(gameId) {
+        const rows = await this.all(`
+            SELECT ps.*, p.espn_player_id FROM player_stats ps
+            JOIN players p ON ps.player_id = p.id
+            WHERE ps.game_id = ?
+        `, [gameId]);
+
+        if (rows.length === 0) return null;
+        return new Map(rows.map(row => [String(row.espn_player_id), row]));
+    }
+
+    /**
+     * Ledger row in the shape PicksTrackerService uses
+     */
+    toPick(row, legs = []) {
+        return {
+            id: row.id,
+            timestamp: row.created_at,
+            season: row.season,
+            week: row.week,
+            gameId: row.espn_game_id,
+            type: row.pick_type,
+            selection: row.selection,
+            line: row.line,
+            odds: row.odds,
+            stake: row.stake,
+            bookmaker: row.bookmaker,
+            oppositeOdds: row.opposite_odds,
+            playerId: row.espn_player_id,
+            statType: row.stat_type,
+            description: row.description,
+            confidence: row.confidence,
+            reasoning: row.reasoning,
+            edge: row.edge,
+            modelProbability: row.model_probability,
+            source: row.source,
+            status: row.status,
+            result: row.actual_value,
+            payout: row.payout,
+            settledAt: row.settled_at,
+            closingLine: row.closing_line,
+            closingOdds: row.closing_odds,
+            closingOppositeOdds: row.closing_opposite_odds,
+            closingBookmaker: row.closing_bookmaker,
+            closingCapturedAt: row.closing_captured_at,
+            clvPoints: row.clv_points,
+            clvProbability: row.clv_probability,
+            legs: legs.map(leg => ({
+                type: leg.pick_type,
+                gameId: leg.espn_game_id,
+                selection: leg.selection,
+                line: leg.line,
+                odds: leg.odds,
+                playerId: leg.espn_player_id,
+                statType: leg.stat_type,
+                status: leg.status,
+                result: leg.actual_value
+            }))
+        };
+    }
+
+    /**
+     * Run work inside one SQLite transaction. The ledger shares a single
+     * connection, so transactions are queued rather than nested.
+     */
+    transaction(work) {
+        const result = this.transactionQueue.then(async () => {
+            await this.run('BEGIN IMMEDIATE');
+            try {
+                const value = await work();
+                await this.run('COMMIT');
+                return value;
+            } catch (error) {
+                await this.run('ROLLBACK');
+                throw error;
+            }
+        });
+        this.transactionQueue = result.catch(() => {});
+        return result;
+    }
+
+    generatePickId() {
+        return `pick_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    run(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.database.db.run(query, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+    }
+
+    all(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.database.db.all(query, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    get(query, params = []) {
+        return new Promise((resolve, reject) => {
+            this.database.db.get(query, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NFLPicksLedger;
+}
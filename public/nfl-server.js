@@ -8,12 +8,14 @@ const express = require('express');
 const cors = require('cors');
 const NFLDatabaseService = require('./nfl-database-service.js');
 const NFLDailySync = require('./nfl-daily-sync.js');
+const NFLPicksLedger = require('./nfl-picks-ledger.js');
 
 class NFLAPIServer {
     constructor(port = 3001) {
         this.port = port;
         this.app = express();
         this.db = new NFLDatabaseService();
+        this.ledger = new NFLPicksLedger(this.db);
         this.setupMiddleware();
         this.setupRoutes();
     }
@@ -122,6 +124,117 @@ class NFLAPIServer {
             }
         });
 
+        // Get tracked picks
+        router.get('/picks', async (req, res) => {
+            try {
+                const picks = await this.ledger.getPicks({
+                    season: req.query.season ? parseInt(req.query.season) : null,
+                    week: req.query.week ? parseInt(req.query.week) : null,
+                    status: req.query.status || null
+                });
+                res.json(picks);
+            } catch (error) {
+                console.error('❌ Picks API error:', error);
+                res.status(500).json({ error: 'Failed to fetch picks' });
+            }
+        });
+
+        // Record a pick
+        router.post('/picks', async (req, res) => {
+            try {
+                const pick = await this.ledger.recordPick(req.body);
+                res.status(201).json(pick);
+            } catch (error) {
+                console.error('❌ Record pick API error:', error);
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        // Upload picks a browser recorded while offline
+        router.post('/picks/sync', async (req, res) => {
+            try {
+                const picks = Array.isArray(req.body.picks) ? req.body.picks : [];
+                const result = await this.ledger.recordPicks(picks);
+                res.json(result);
+            } catch (error) {
+                console.error('❌ Picks sync API error:', error);
+                res.status(500).json({ error: 'Failed to sync picks' });
+            }
+        });
+
+        // Grade pending picks now instead of waiting for the daily sync
+        router.post('/picks/grade', async (req, res) => {
+            try {
+                const result = await this.ledger.gradePendingPicks();
+                res.json(result);
+            } catch (error) {
+                console.error('❌ Pick grading API error:', error);
+                res.status(500).json({ error: 'Failed to grade picks' });
+            }
+        });
+
+        // Closing line value by pick type, confidence tier and book
+        router.get('/picks/clv', async (req, res) => {
+            try {
+                const report = await this.ledger.getClvReport({
+                    season: req.query.season ? parseInt(req.query.season) : null,
+                    week: req.query.week ? parseInt(req.query.week) : null
+                });
+                res.json(report);
+            } catch (error) {
+                console.error('❌ CLV report API error:', error);
+                res.status(500).json({ error: 'Failed to build CLV report' });
+            }
+        });
+
+        // Snapshot closing lines for picks whose games have kicked off
+        router.post('/picks/closing-lines', async (req, res) => {
+            try {
+                const result = await this.ledger.captureClosingLines();
+                res.json(result);
+            } catch (error) {
+                console.error('❌ Closing lines API error:', error);
+                res.status(500).json({ error: 'Failed to capture closing lines' });
+            }
+        });
+
+        // Store odds snapshots (OddsAPIConnector betting lines)
+        router.post('/betting-lines', async (req, res) => {
+            try {
+                const lines = Array.isArray(req.body.lines) ? req.body.lines : [];
+                const result = await this.ledger.storeBettingLines(lines);
+                res.json(result);
+            } catch (error) {
+                console.error('❌ Betting lines API error:', error);
+                res.status(500).json({ error: 'Failed to store betting lines' });
+            }
+        });
+
+        // Get a single pick
+        router.get('/picks/:pickId', async (req, res) => {
+            try {
+                const pick = await this.ledger.getPick(req.params.pickId);
+                if (!pick) {
+                    return res.status(404).json({ error: `Pick ${req.params.pickId} not found` });
+                }
+                res.json(pick);
+            } catch (error) {
+                console.error('❌ Pick API error:', error);
+                res.status(500).json({ error: 'Failed to fetch pick' });
+            }
+        });
+
+        // Settle a pick by hand
+        router.post('/picks/:pickId/settle', async (req, res) => {
+            try {
+                const pick = await this.ledger.settlePick(req.params.pickId, req.body.status, req.body.result ?? null);
+                res.json(pick);
+            } catch (error) {
+                console.error('❌ Settle pick API error:', error);
+                res.status(error.message.includes('not found') ? 404 : 400).json({ error: error.message });
+            }
+        });
+
         // Trigger manual sync (for testing)
         router.post('/sync', async (req, res) => {
             try {
@@ -143,6 +143,52 @@ class OddsAPIService {
         }
     }
 
+    /**
+     * Find +EV game line prices: every book's price that beats the no-vig
+     * consensus of all books by at least evThreshold
+     */
+    async getPositiveEVGameLines(evThreshold = FairOddsEngine.DEFAULT_EV_THRESHOLD) {
+        try {
+            await this.enforceRateLimit();
+
+            const cacheKey = 'nfl_game_lines';
+            let events = this.getCachedData(cacheKey);
+
+            if (!events) {
+                console.log('💰 Fetching NFL game lines from The Odds API...');
+
+                const params = new URLSearchParams({
+                    apiKey: this.apiKey,
+                    regions: 'us',
+                    markets: 'h2h,spreads,totals',
+                    oddsFormat: 'american',
+                    dateFormat: 'iso'
+                });
+
+                const response = await fetch(`${this.baseUrl}/sports/americanfootball_nfl/odds?${params}`);
+
+                if (!response.ok) {
+                    throw new Error(`The Odds API error: ${response.status} ${response.statusText}`);
+                }
+
+                events = await response.json();
+                this.updateUsageStats(response.headers);
+                this.setCachedData(cacheKey, events);
+            }
+
+            const markets = events.flatMap(event => FairOddsEngine.marketsFromOddsAPIEvent(event)
+                .map(market => ({ ...market, game_title: `${event.away_team} @ ${event.home_team}` })));
+            const opportunities = FairOddsEngine.findPositiveEV(markets, { evThreshold });
+
+            console.log(`✅ Found ${opportunities.length} +EV game line prices`);
+            return opportunities;
+
+        } catch (error) {
+            console.error('❌ Error finding +EV game lines:', error);
+            return [];
+        }
+    }
+
     /**
      * Extract tackle props from The Odds API response
      */
@@ -331,7 +377,10 @@ class OddsAPIService {
                 return {
                     ...prop,
                     lineShoppingValue: 0,
-                    marketEfficiency: 100
+                    marketEfficiency: 100,
+                    fair_over_odds: null,
+                    fair_under_odds: null,
+                    positive_ev: []
                 };
             }
             
@@ -345,36 +394,43 @@ class OddsAPIService {
             const worstUnder = Math.min(...underOdds);
             
             // Convert to implied probabilities for value calculation
-            const overValue = this.oddsToImpliedProb(worstOver) - this.oddsToImpliedProb(bestOver);
-            const underValue = this.oddsToImpliedProb(worstUnder) - this.oddsToImpliedProb(bestUnder);
+            const overValue = FairOddsEngine.impliedProbability(worstOver) - FairOddsEngine.impliedProbability(bestOver);
+            const underValue = FairOddsEngine.impliedProbability(worstUnder) - FairOddsEngine.impliedProbability(bestUnder);
             const lineShoppingValue = Math.max(overValue, underValue) * 100;
             
-            // Calculate market efficiency (total implied probability)
-            const avgOverImplied = overOdds.reduce((sum, odds) => sum + this.oddsToImpliedProb(odds), 0) / overOdds.length;
-            const avgUnderImplied = underOdds.reduce((sum, odds) => sum + this.oddsToImpliedProb(odds), 0) / underOdds.length;
-            const marketEfficiency = ((avgOverImplied + avgUnderImplied - 1) * 100);
+            // Calculate market efficiency (average hold across books)
+            const marketEfficiency = prop.books
+                .reduce((sum, book) => sum + FairOddsEngine.overround([book.over_odds, book.under_odds]), 0) / prop.books.length * 100;
+
+            // No-vig consensus across books, weighted toward sharp books
+            const market = {
+                market: prop.prop_type,
+                player: prop.player_name,
+                point: prop.line,
+                books: prop.books.map(book => ({
+                    sportsbook: book.sportsbook,
+                    outcomes: [
+                        { name: 'Over', price: book.over_odds },
+                        { name: 'Under', price: book.under_odds }
+                    ]
+                }))
+            };
+            const fairLine = FairOddsEngine.consensusFairLine(market.books);
+            const [fairOver, fairUnder] = fairLine ? fairLine.outcomes : [null, null];
             
             return {
                 ...prop,
                 lineShoppingValue: Math.round(lineShoppingValue * 100) / 100,
                 marketEfficiency: Math.round(marketEfficiency * 100) / 100,
+                fair_over_odds: fairOver ? fairOver.fairOdds : null,
+                fair_under_odds: fairUnder ? fairUnder.fairOdds : null,
+                positive_ev: FairOddsEngine.findPositiveEV([market]),
                 book_count: prop.books.length
             };
         })
         .sort((a, b) => b.lineShoppingValue - a.lineShoppingValue);
     }
 
-    /**
-     * Convert American odds to implied probability
-     */
-    oddsToImpliedProb(americanOdds) {
-        if (americanOdds > 0) {
-            return 100 / (americanOdds + 100);
-        } else {
-            return Math.abs(americanOdds) / (Math.abs(americanOdds) + 100);
-        }
-    }
-
     /**
      * Search for player name variations
      */
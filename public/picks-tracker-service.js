@@ -1,15 +1,18 @@
 /**
  * NFL Picks Tracker Service - Performance Analytics & Historical Tracking
- * Tracks all predictions by week with win/loss results and performance metrics
+ * Tracks all predictions by week with win/loss results and performance metrics.
+ * The server-side picks ledger is the source of truth and grades picks from
+ * final scores; IndexedDB only caches it and queues picks made while offline.
  */
 
 class PicksTrackerService {
     constructor() {
         this.dbName = 'nfl_picks_tracker';
-        this.dbVersion = 1;
+        this.dbVersion = 2; // 2: picks cached before the ledger existed are queued for upload
         this.db = null;
         this.isReady = false;
         this.initPromise = null;
+        this.apiUrl = this.getApiUrl();
         
         this.pickTypes = {
             SPREAD: 'spread',
@@ -40,6 +43,18 @@ class PicksTrackerService {
         this.initPromise = this.initializeDatabase();
     }
 
+    /**
+     * Picks ledger lives on the NFL database server
+     */
+    getApiUrl() {
+        if (window.productionConfig) {
+            return window.productionConfig.getApiUrl();
+        }
+        
+        const isLocal = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+        return isLocal ? 'http://localhost:3001/api/nfl' : `${window.location.origin}/api/nfl`;
+    }
+
     /**
      * Initialize IndexedDB for local storage of picks data
      */
@@ -72,31 +87,53 @@ class PicksTrackerService {
             request.onupgradeneeded = (event) => {
                 const db = event.target.result;
                 
-                // Create picks store
-                const picksStore = db.createObjectStore('picks', { 
-                    keyPath: 'id', 
-                    autoIncrement: true 
-                });
-                
-                // Create indexes for efficient querying
-                picksStore.createIndex('week', 'week', { unique: false });
-                picksStore.createIndex('season', 'season', { unique: false });
-                picksStore.createIndex('type', 'type', { unique: false });
-                picksStore.createIndex('status', 'status', { unique: false });
-                picksStore.createIndex('timestamp', 'timestamp', { unique: false });
-                picksStore.createIndex('gameId', 'gameId', { unique: false });
-                
-                // Create weekly performance store
-                const weeklyStore = db.createObjectStore('weekly_performance', { 
-                    keyPath: 'weekKey' // Format: "season_week"
-                });
-                
-                // Create overall performance store  
-                const performanceStore = db.createObjectStore('performance_metrics', {
-                    keyPath: 'metricType'
-                });
+                if (event.oldVersion < 1) {
+                    // Create picks store
+                    const picksStore = db.createObjectStore('picks', { 
+                        keyPath: 'id', 
+                        autoIncrement: true 
+                    });
+                    
+                    // Create indexes for efficient querying
+                    picksStore.createIndex('week', 'week', { unique: false });
+                    picksStore.createIndex('season', 'season', { unique: false });
+                    picksStore.createIndex('type', 'type', { unique: false });
+                    picksStore.createIndex('status', 'status', { unique: false });
+                    picksStore.createIndex('timestamp', 'timestamp', { unique: false });
+                    picksStore.createIndex('gameId', 'gameId', { unique: false });
+                    
+                    // Create weekly performance store
+                    db.createObjectStore('weekly_performance', { 
+                        keyPath: 'weekKey' // Format: "season_week"
+                    });
+                    
+                    // Create overall performance store  
+                    db.createObjectStore('performance_metrics', {
+                        keyPath: 'metricType'
+                    });
+                    
+                    console.log('🔧 Database schema created');
+                    return;
+                }
                 
-                console.log('🔧 Database schema created');
+                if (event.oldVersion < 2) {
+                    // Version 1 kept picks only in the browser; queue them so
+                    // the next sync uploads them to the ledger
+                    const cursorRequest = event.target.transaction.objectStore('picks').openCursor();
+                    let queued = 0;
+                    cursorRequest.onsuccess = () => {
+                        const cursor = cursorRequest.result;
+                        if (!cursor) {
+                            console.log(`🔧 Queued ${queued} locally stored picks for upload`);
+                            return;
+                        }
+                        if (cursor.value.synced === undefined) {
+                            cursor.update({ ...cursor.value, synced: false });
+                            queued++;
+                        }
+                        cursor.continue();
+                    };
+                }
             };
             
             } catch (error) {
@@ -123,29 +160,36 @@ class PicksTrackerService {
     }
 
     /**
-     * Record a new pick
+     * Record a new pick in the server ledger. Picks made while the server is
+     * unreachable are kept locally and uploaded by syncWithServer.
      */
     async recordPick(pickData) {
         try {
             const pick = {
                 // Basic Info
-                id: this.generatePickId(),
+                id: pickData.id || this.generatePickId(), // callers with stable ids can re-send safely
                 timestamp: new Date().toISOString(),
-                season: pickData.season || '2025',
+                season: Number(pickData.season) || 2025,
                 week: pickData.week || this.getCurrentWeek(),
                 gameId: pickData.gameId,
                 
                 // Pick Details
                 type: pickData.type,
-                selection: pickData.selection,
+                selection: pickData.selection, // home/away for sides, over/under for totals and props
                 line: pickData.line,
                 odds: pickData.odds,
+                oppositeOdds: pickData.oppositeOdds, // Other side's price, for no-vig CLV
+                bookmaker: pickData.bookmaker,
                 stake: pickData.stake || 1, // Units
+                legs: pickData.legs || [], // For parlays
                 
                 // Teams/Players
                 homeTeam: pickData.homeTeam,
                 awayTeam: pickData.awayTeam,
                 player: pickData.player, // For player props
+                playerId: pickData.playerId, // ESPN player id
+                statType: pickData.statType, // e.g. passing_yards
+                description: pickData.description,
                 
                 // Analysis
                 confidence: pickData.confidence,
@@ -165,17 +209,20 @@ class PicksTrackerService {
                 notes: pickData.notes || ''
             };
 
-            // Store in database
-            const transaction = this.db.transaction(['picks'], 'readwrite');
-            const store = transaction.objectStore('picks');
-            await store.add(pick);
-            
-            console.log(`✅ Recorded ${pick.type} pick: ${pick.selection} (${pick.confidence} confidence)`);
+            let stored;
+            try {
+                stored = { ...pick, ...(await this.apiRequest('/picks', { method: 'POST', body: pick })), synced: true };
+            } catch (error) {
+                if (error.status === 400) throw error;
+                console.warn('⚠️ Picks server unreachable, queueing pick for sync');
+                stored = { ...pick, synced: false };
+            }
+
+            await this.cachePicks([stored]);
             
-            // Update weekly stats
-            await this.updateWeeklyStats(pick.season, pick.week);
+            console.log(`✅ Recorded ${stored.type} pick: ${stored.selection} (${stored.confidence} confidence)`);
             
-            return pick;
+            return stored;
             
         } catch (error) {
             console.error('❌ Failed to record pick:', error);
@@ -184,40 +231,19 @@ class PicksTrackerService {
     }
 
     /**
-     * Update pick result (won/lost/push)
+     * Settle a pick by hand (won/lost/push/void). Picks are normally graded
+     * by the server once final scores are in.
      */
     async updatePickResult(pickId, result, actualResult = null) {
         try {
-            const transaction = this.db.transaction(['picks'], 'readwrite');
-            const store = transaction.objectStore('picks');
-            const pick = await store.get(pickId);
-            
-            if (!pick) {
-                throw new Error(`Pick ${pickId} not found`);
-            }
-            
-            // Update pick status
-            pick.status = result;
-            pick.result = actualResult;
-            pick.settledAt = new Date().toISOString();
-            
-            // Calculate payout
-            if (result === this.pickStatus.WON) {
-                pick.payout = this.calculatePayout(pick.stake, pick.odds);
-            } else if (result === this.pickStatus.PUSH) {
-                pick.payout = pick.stake; // Get stake back
-            } else {
-                pick.payout = -pick.stake; // Lose stake
-            }
-            
-            await store.put(pick);
+            const pick = await this.apiRequest(`/picks/${encodeURIComponent(pickId)}/settle`, {
+                method: 'POST',
+                body: { status: result, result: actualResult }
+            });
+            await this.cachePicks([{ ...pick, synced: true }]);
             
             console.log(`📊 Updated pick ${pickId}: ${result} (${pick.payout > 0 ? '+' : ''}${pick.payout} units)`);
             
-            // Update weekly and overall performance
-            await this.updateWeeklyStats(pick.season, pick.week);
-            await this.updateOverallPerformance();
-            
             return pick;
             
         } catch (error) {
@@ -226,43 +252,46 @@ class PicksTrackerService {
         }
     }
 
+    /**
+     * Upload queued picks, then refresh the local cache from the ledger
+     */
+    async syncWithServer(season = null) {
+        await this.ensureReady();
+        
+        const queued = (await this.getCachedPicks()).filter(p => p.synced === false);
+        if (queued.length > 0) {
+            const { recorded, rejected, deferred = [] } = await this.apiRequest('/picks/sync', {
+                method: 'POST',
+                body: { picks: queued }
+            });
+            rejected.forEach(r => console.warn(`⚠️ Server rejected pick ${r.id}: ${r.error}`));
+            deferred.forEach(r => console.warn(`⚠️ Pick ${r.id} not recorded yet, will retry: ${r.error}`));
+            await this.cachePicks(recorded.map(p => ({ ...p, synced: true })));
+            // Deferred picks stay queued with the reason, e.g. a game not yet
+            // in the schedule, until a later sync records them
+            const queuedById = new Map(queued.map(p => [p.id, p]));
+            await this.cachePicks(deferred
+                .filter(r => queuedById.has(r.id))
+                .map(r => ({ ...queuedById.get(r.id), syncError: r.error })));
+            // Invalid picks would never grade, so stop retrying them
+            await this.removeCachedPicks(rejected.map(r => r.id).filter(Boolean));
+        }
+        
+        const picks = await this.fetchPicks(season ? { season } : {});
+        console.log(`🔄 Synced ${queued.length} queued picks, ${picks.length} picks in ledger`);
+        return picks;
+    }
+
     /**
      * Get picks for a specific week
      */
     async getPicksByWeek(season, week) {
         try {
-            // Ensure service is ready first
-            const isReady = await this.ensureReady();
-            if (!isReady || !this.db) {
-                console.log('📊 Service not ready, providing empty picks array');
-                return [];
-            }
-
-            const transaction = this.db.transaction(['picks'], 'readonly');
-            const store = transaction.objectStore('picks');
-            const index = store.index('week');
-            
-            const picks = [];
-            const request = index.openCursor(IDBKeyRange.only(week));
-            
-            return new Promise((resolve, reject) => {
-                request.onsuccess = (event) => {
-                    const cursor = event.target.result;
-                    if (cursor) {
-                        if (cursor.value.season === season) {
-                            picks.push(cursor.value);
-                        }
-                        cursor.continue();
-                    } else {
-                        resolve(picks);
-                    }
-                };
-                request.onerror = () => reject(request.error);
-            });
-            
+            return await this.fetchPicks({ season, week });
         } catch (error) {
-            console.error('❌ Failed to get picks by week:', error);
-            return [];
+            console.warn('⚠️ Picks server unreachable, using cached picks:', error.message);
+            const picks = await this.getCachedPicks();
+            return picks.filter(p => Number(p.season) === Number(season) && Number(p.week) === Number(week));
         }
     }
 
@@ -271,13 +300,6 @@ class PicksTrackerService {
      */
     async getWeeklyPerformance(season, week) {
         try {
-            // Ensure service is ready first
-            const isReady = await this.ensureReady();
-            if (!isReady) {
-                console.log('📊 Service not ready, providing sample weekly performance data');
-                return this.generateSampleWeeklyPerformance(season, week);
-            }
-
             const picks = await this.getPicksByWeek(season, week);
             
             const performance = {
@@ -315,8 +337,8 @@ class PicksTrackerService {
                 performance.winRate = (performance.wins / performance.settledPicks) * 100;
             }
             
-            // Calculate ROI
-            performance.netProfit = performance.totalReturn - performance.totalStaked;
+            // Calculate ROI (payouts are already net of stake)
+            performance.netProfit = performance.totalReturn;
             if (performance.totalStaked > 0) {
                 performance.roi = (performance.netProfit / performance.totalStaked) * 100;
             }
@@ -349,33 +371,15 @@ class PicksTrackerService {
      */
     async getOverallPerformance() {
         try {
-            // Ensure service is ready first
-            const isReady = await this.ensureReady();
-            if (!isReady || !this.db) {
-                console.log('📊 Service not ready, providing sample overall performance data');
-                return this.generateSampleOverallPerformance();
+            let picks;
+            try {
+                picks = await this.fetchPicks();
+            } catch (error) {
+                console.warn('⚠️ Picks server unreachable, using cached picks:', error.message);
+                picks = await this.getCachedPicks();
             }
-
-            const transaction = this.db.transaction(['picks'], 'readonly');
-            const store = transaction.objectStore('picks');
             
-            const allPicks = [];
-            const request = store.openCursor();
-            
-            return new Promise((resolve, reject) => {
-                request.onsuccess = (event) => {
-                    const cursor = event.target.result;
-                    if (cursor) {
-                        allPicks.push(cursor.value);
-                        cursor.continue();
-                    } else {
-                        // Calculate overall metrics
-                        const performance = this.calculateOverallMetrics(allPicks);
-                        resolve(performance);
-                    }
-                };
-                request.onerror = () => reject(request.error);
-            });
+            return this.calculateOverallMetrics(picks);
             
         } catch (error) {
             console.error('❌ Failed to get overall performance:', error);
@@ -393,7 +397,7 @@ class PicksTrackerService {
         
         const totalStaked = picks.reduce((sum, p) => sum + (p.stake || 1), 0);
         const totalReturn = picks.reduce((sum, p) => sum + (p.payout || 0), 0);
-        const netProfit = totalReturn - totalStaked;
+        const netProfit = totalReturn;
         
         return {
             totalPicks: picks.length,
@@ -418,6 +422,9 @@ class PicksTrackerService {
             longestWinStreak: this.calculateLongestStreak(picks, this.pickStatus.WON),
             longestLoseStreak: this.calculateLongestStreak(picks, this.pickStatus.LOST),
             
+            // Closing line value - beating the market shows edge long before win rate does
+            clv: this.calculateClvMetrics(picks),
+            
             // By confidence level
             byConfidence: this.calculatePerformanceByConfidence(picks),
             
@@ -485,7 +492,8 @@ class PicksTrackerService {
                 wins: confPicks.filter(p => p.status === this.pickStatus.WON).length,
                 losses: confPicks.filter(p => p.status === this.pickStatus.LOST).length,
                 winRate: settledPicks.length > 0 ? 
-                    (confPicks.filter(p => p.status === this.pickStatus.WON).length / settledPicks.length) * 100 : 0
+                    (confPicks.filter(p => p.status === this.pickStatus.WON).length / settledPicks.length) * 100 : 0,
+                clv: this.calculateClvMetrics(confPicks)
             };
         });
         
@@ -506,27 +514,47 @@ class PicksTrackerService {
                 losses: typePicks.filter(p => p.status === this.pickStatus.LOST).length,
                 winRate: settledPicks.length > 0 ? 
                     (typePicks.filter(p => p.status === this.pickStatus.WON).length / settledPicks.length) * 100 : 0,
-                netProfit: typePicks.reduce((sum, p) => sum + (p.payout || 0), 0) - 
-                          typePicks.reduce((sum, p) => sum + (p.stake || 1), 0)
+                netProfit: typePicks.reduce((sum, p) => sum + (p.payout || 0), 0),
+                clv: this.calculateClvMetrics(typePicks)
             };
         });
         
         return byType;
     }
 
+    /**
+     * Average CLV in points and no-vig probability over picks with a
+     * captured closing line
+     */
+    calculateClvMetrics(picks) {
+        const measured = picks.filter(p => p.closingCapturedAt);
+        const withPoints = measured.filter(p => p.clvPoints !== null && p.clvPoints !== undefined);
+        const withProbability = measured.filter(p => p.clvProbability !== null && p.clvProbability !== undefined);
+        const beatClose = measured.filter(p => (p.clvPoints ? p.clvPoints > 0 : (p.clvProbability || 0) > 0));
+        
+        return {
+            measured: measured.length,
+            avgClvPoints: withPoints.length > 0 ? withPoints.reduce((sum, p) => sum + p.clvPoints, 0) / withPoints.length : null,
+            avgClvProbability: withProbability.length > 0 ? withProbability.reduce((sum, p) => sum + p.clvProbability, 0) / withProbability.length : null,
+            beatCloseRate: measured.length > 0 ? (beatClose.length / measured.length) * 100 : null
+        };
+    }
+
+    /**
+     * Server CLV report by pick type, confidence tier and book
+     */
+    async getClvReport(season = null, week = null) {
+        const query = new URLSearchParams(
+            Object.entries({ season, week }).filter(([, value]) => value !== null)
+        ).toString();
+        return this.apiRequest(`/picks/clv${query ? `?${query}` : ''}`);
+    }
+
     // Utility methods
     generatePickId() {
         return `pick_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     }
 
-    calculatePayout(stake, odds) {
-        if (odds > 0) {
-            return stake * (odds / 100); // Positive odds
-        } else {
-            return stake * (100 / Math.abs(odds)); // Negative odds
-        }
-    }
-
     getCurrentWeek() {
         // Calculate current NFL week based on date
         const now = new Date();
@@ -535,71 +563,76 @@ class PicksTrackerService {
         return Math.max(1, Math.min(18, weeksSinceStart + 1));
     }
 
-    async updateWeeklyStats(season, week) {
-        // Update cached weekly performance data
-        // Implementation would update the weekly_performance store
+    /**
+     * Ledger API helpers
+     */
+    async apiRequest(path, options = {}) {
+        const response = await fetch(`${this.apiUrl}${path}`, {
+            method: options.method || 'GET',
+            headers: options.body ? { 'Content-Type': 'application/json' } : undefined,
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            const error = new Error(data.error || `Picks API returned ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    async fetchPicks(filters = {}) {
+        const query = new URLSearchParams(
+            Object.entries(filters).filter(([, value]) => value !== null && value !== undefined)
+        ).toString();
+        const picks = await this.apiRequest(`/picks${query ? `?${query}` : ''}`);
+        await this.cachePicks(picks.map(p => ({ ...p, synced: true })));
+        return picks;
     }
 
-    async updateOverallPerformance() {
-        // Update cached overall performance metrics
-        // Implementation would update the performance_metrics store
+    /**
+     * IndexedDB cache helpers
+     */
+    requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
     }
 
-    async loadHistoricalData() {
-        // Load any existing historical performance data
-        console.log('📈 Loading historical picks data...');
+    async cachePicks(picks) {
+        await this.ensureReady();
+        if (!this.db || picks.length === 0) return;
+        
+        const store = this.db.transaction(['picks'], 'readwrite').objectStore('picks');
+        await Promise.all(picks.map(pick => this.requestToPromise(store.put(pick))));
     }
 
-    // Fallback data generation methods
-    generateSampleWeeklyPerformance(season, week) {
-        return {
-            weekKey: `${season}_${week}`,
-            season,
-            week,
-            totalPicks: 0,
-            settledPicks: 0,
-            pendingPicks: 0,
-            wins: 0,
-            losses: 0,
-            pushes: 0,
-            voids: 0,
-            byType: {},
-            byConfidence: {},
-            winRate: 0,
-            totalStake: 0,
-            totalPayout: 0,
-            netResult: 0,
-            roi: 0,
-            topPick: null,
-            averageOdds: 0,
-            averageStake: 0
-        };
+    async removeCachedPicks(pickIds) {
+        await this.ensureReady();
+        if (!this.db || pickIds.length === 0) return;
+        
+        const store = this.db.transaction(['picks'], 'readwrite').objectStore('picks');
+        await Promise.all(pickIds.map(id => this.requestToPromise(store.delete(id))));
     }
 
-    generateSampleOverallPerformance() {
-        return {
-            totalPicks: 0,
-            settledPicks: 0,
-            pendingPicks: 0,
-            wins: 0,
-            losses: 0,
-            pushes: 0,
-            voids: 0,
-            winRate: 0,
-            totalStake: 0,
-            totalPayout: 0,
-            netResult: 0,
-            roi: 0,
-            bestWeek: null,
-            worstWeek: null,
-            currentStreak: { type: 'none', count: 0 },
-            longestWinStreak: 0,
-            longestLoseStreak: 0,
-            byType: {},
-            byConfidence: {},
-            weeklyBreakdown: [],
-            lastUpdated: new Date().toISOString()
-        };
+    async getCachedPicks() {
+        await this.ensureReady();
+        if (!this.db) return [];
+        
+        const store = this.db.transaction(['picks'], 'readonly').objectStore('picks');
+        return this.requestToPromise(store.getAll());
+    }
+
+    async loadHistoricalData() {
+        // Upload anything queued offline and refresh the cache
+        console.log('📈 Loading historical picks data...');
+        try {
+            await this.syncWithServer();
+        } catch (error) {
+            console.warn('⚠️ Picks sync deferred, server unreachable:', error.message);
+        }
     }
 }
 
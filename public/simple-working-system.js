@@ -863,9 +863,8 @@ class SimpleWorkingSystem {
         const underPrice = underOutcome.price;
         const line = overOutcome.point || 0;
         
-        // Calculate implied probabilities
-        const overProb = this.oddsToImpliedProb(overPrice);
-        const underProb = this.oddsToImpliedProb(underPrice);
+        // Calculate no-vig probabilities
+        const [overProb, underProb] = FairOddsEngine.devig([overPrice, underPrice]);
         
         // Enhanced player analysis
         const topTierPlayers = [
@@ -926,14 +925,6 @@ class SimpleWorkingSystem {
         return reasons[Math.floor(Math.random() * reasons.length)];
     }
 
-    oddsToImpliedProb(americanOdds) {
-        if (americanOdds > 0) {
-            return 100 / (americanOdds + 100);
-        } else {
-            return Math.abs(americanOdds) / (Math.abs(americanOdds) + 100);
-        }
-    }
-
     async setupBettingLines() {
         const container = document.getElementById('nfl-betting-lines');
         if (container) {
@@ -313,13 +313,20 @@ class SportsbookAPIService {
                 return odds > best.odds ? { sportsbook: prop.sportsbook, odds, line: prop.line } : best;
             }, { sportsbook: null, odds: -Infinity, line: null });
 
-            // Calculate market efficiency
-            const avgOverOdds = props.reduce((sum, prop) => sum + prop.overOdds, 0) / props.length;
-            const avgUnderOdds = props.reduce((sum, prop) => sum + prop.underOdds, 0) / props.length;
+            // Average the books in probability space; averaging American
+            // odds breaks down across even money
+            const avgOverOdds = this.averageOdds(props.map(prop => prop.overOdds));
+            const avgUnderOdds = this.averageOdds(props.map(prop => prop.underOdds));
             
             // Identify line shopping opportunities
             const lineShoppingValue = this.calculateLineShoppingValue(props);
 
+            // No-vig consensus across books, weighted toward sharp books
+            const market = this.toFairOddsMarket(player, parseFloat(line), props);
+            const fairLine = FairOddsEngine.consensusFairLine(market.books);
+            const [fairOver, fairUnder] = fairLine ? fairLine.outcomes : [null, null];
+            const positiveEV = FairOddsEngine.findPositiveEV([market]);
+
             analyzed.push({
                 player: player,
                 line: parseFloat(line),
@@ -330,12 +337,15 @@ class SportsbookAPIService {
                 bestUnder: bestUnder,
                 
                 // Market analysis
-                averageOverOdds: Math.round(avgOverOdds),
-                averageUnderOdds: Math.round(avgUnderOdds),
+                averageOverOdds: avgOverOdds,
+                averageUnderOdds: avgUnderOdds,
                 
                 // Edge opportunities
                 lineShoppingValue: lineShoppingValue,
-                marketEfficiency: this.calculateMarketEfficiency(avgOverOdds, avgUnderOdds),
+                marketEfficiency: this.calculateMarketEfficiency(props),
+                fairOverOdds: fairOver ? fairOver.fairOdds : null,
+                fairUnderOdds: fairUnder ? fairUnder.fairOdds : null,
+                positiveEV: positiveEV,
                 
                 // All available lines
                 availableLines: props.map(prop => ({
@@ -368,47 +378,53 @@ class SportsbookAPIService {
         const worstUnder = Math.min(...underOdds);
 
         // Convert to implied probability and back to see value difference
-        const overValue = this.oddsToImpliedProb(worstOver) - this.oddsToImpliedProb(bestOver);
-        const underValue = this.oddsToImpliedProb(worstUnder) - this.oddsToImpliedProb(bestUnder);
+        const overValue = FairOddsEngine.impliedProbability(worstOver) - FairOddsEngine.impliedProbability(bestOver);
+        const underValue = FairOddsEngine.impliedProbability(worstUnder) - FairOddsEngine.impliedProbability(bestUnder);
 
         return Math.max(overValue, underValue) * 100; // Convert to percentage
     }
 
     /**
-     * Calculate market efficiency based on juice/vig
+     * Calculate market efficiency as the average hold across books.
+     * Perfect market would be 0%, higher = more juice
      */
-    calculateMarketEfficiency(overOdds, underOdds) {
-        const overImplied = this.oddsToImpliedProb(overOdds);
-        const underImplied = this.oddsToImpliedProb(underOdds);
-        const totalImplied = overImplied + underImplied;
-        
-        // Perfect market would be 100%, higher = more juice
-        return Math.round((totalImplied - 1) * 100 * 100) / 100;
+    calculateMarketEfficiency(props) {
+        const holds = props.map(prop => FairOddsEngine.overround([prop.overOdds, prop.underOdds]));
+        const averageHold = holds.reduce((sum, hold) => sum + hold, 0) / holds.length;
+        return Math.round(averageHold * 100 * 100) / 100;
     }
 
     /**
-     * Convert American odds to implied probability
+     * Average of American odds taken in probability space
      */
-    oddsToImpliedProb(americanOdds) {
-        if (americanOdds > 0) {
-            return 100 / (americanOdds + 100);
-        } else {
-            return Math.abs(americanOdds) / (Math.abs(americanOdds) + 100);
-        }
+    averageOdds(odds) {
+        const probability = odds.reduce((sum, price) => sum + FairOddsEngine.impliedProbability(price), 0) / odds.length;
+        return FairOddsEngine.probabilityToAmerican(probability);
+    }
+
+    /**
+     * A player's line across books in the shape the fair odds engine takes
+     */
+    toFairOddsMarket(player, line, props) {
+        return {
+            market: 'player_tackles',
+            player,
+            point: line,
+            books: props.map(prop => ({
+                sportsbook: prop.sportsbook,
+                outcomes: [
+                    { name: 'Over', price: prop.overOdds },
+                    { name: 'Under', price: prop.underOdds }
+                ]
+            }))
+        };
     }
 
     /**
-     * Calculate opposite odds (rough estimate)
+     * Calculate opposite odds (rough estimate, no vig)
      */
     calculateOppositeOdds(odds) {
-        const impliedProb = this.oddsToImpliedProb(odds);
-        const oppositeProb = 1 - impliedProb;
-        
-        if (oppositeProb > 0.5) {
-            return Math.round(-100 / (oppositeProb - 1));
-        } else {
-            return Math.round((1 - oppositeProb) * 100);
-        }
+        return FairOddsEngine.probabilityToAmerican(1 - FairOddsEngine.impliedProbability(odds));
     }
 
     // Rate limiting methods
@@ -1011,7 +1027,7 @@ class SportsbookAPIService {
             
             // Enhanced market metrics
             marketMetrics: {
-                impliedProbability: this.calculateImpliedProbability(prop.averageOverOdds),
+                impliedProbability: FairOddsEngine.impliedProbability(prop.averageOverOdds) * 100,
                 fairValue: prop.projectedTackles,
                 edgePercentage: this.calculateEdgePercentage(prop.projectedTackles, prop.line, prop.averageOverOdds),
                 valueRating: prop.goldmineOpportunity ? 'EXCELLENT' : 'FAIR'
@@ -1151,7 +1167,7 @@ class SportsbookAPIService {
                 },
                 
                 marketMetrics: {
-                    impliedProbability: this.calculateImpliedProbability(-107),
+                    impliedProbability: FairOddsEngine.impliedProbability(-107) * 100,
                     fairValue: projection,
                     edgePercentage: this.calculateEdgePercentage(projection, line, -107),
                     valueRating: isGoldmine ? 'EXCELLENT' : (edge > 0.5 ? 'GOOD' : 'FAIR')
@@ -1248,22 +1264,11 @@ class SportsbookAPIService {
         return schemes[team] || '4-3 Multiple';
     }
 
-    /**
-     * Calculate implied probability from American odds
-     */
-    calculateImpliedProbability(americanOdds) {
-        if (americanOdds > 0) {
-            return (100 / (americanOdds + 100)) * 100;
-        } else {
-            return (Math.abs(americanOdds) / (Math.abs(americanOdds) + 100)) * 100;
-        }
-    }
-
     /**
      * Calculate edge percentage for tackle props
      */
     calculateEdgePercentage(projectedValue, line, odds) {
-        const impliedProb = this.calculateImpliedProbability(odds) / 100;
+        const impliedProb = FairOddsEngine.impliedProbability(odds);
         const fairProb = projectedValue > line ? 0.55 : 0.45; // Simplified model
         const edge = ((fairProb - impliedProb) / impliedProb) * 100;
         return Math.round(edge * 10) / 10;
@@ -151,6 +151,9 @@ class WeeklyPicksMCP {
             this.cacheTimestamp = Date.now();
             console.log(`💾 MCP: Cached picks for 15 minutes - won't change on refresh`);
             
+            // Track results and closing line value without holding up the picks
+            this.trackPicks(injuryFilteredPicks, season, week);
+            
             return weeklyRecommendations;
             
         } catch (error) {
@@ -252,9 +255,8 @@ class WeeklyPicksMCP {
                 const homeMoneyline = game.odds?.homeML || -110;
                 const awayMoneyline = game.odds?.awayML || -110;
                 
-                // Calculate implied probability
-                const homeImplied = this.oddsToImpliedProbability(homeMoneyline);
-                const awayImplied = this.oddsToImpliedProbability(awayMoneyline);
+                // Calculate the market's no-vig probability
+                const [homeFair, awayFair] = FairOddsEngine.devig([homeMoneyline, awayMoneyline]);
                 
                 // Get AI model probability from actual analysis (not random)
                 const aiAnalysis = await this.getAIGameAnalysis(game);
@@ -267,11 +269,11 @@ class WeeklyPicksMCP {
                 const awayModelProb = 1 - homeModelProb;
                 
                 // Calculate edges
-                const homeEdge = (homeModelProb - homeImplied) * 100;
-                const awayEdge = (awayModelProb - awayImplied) * 100;
+                const homeEdge = (homeModelProb - homeFair) * 100;
+                const awayEdge = (awayModelProb - awayFair) * 100;
                 
-                console.log(`   🔍 AI Model: Home ${(homeModelProb*100).toFixed(1)}% vs Implied ${(homeImplied*100).toFixed(1)}% = ${homeEdge.toFixed(2)}% edge`);
-                console.log(`   🔍 AI Model: Away ${(awayModelProb*100).toFixed(1)}% vs Implied ${(awayImplied*100).toFixed(1)}% = ${awayEdge.toFixed(2)}% edge`);
+                console.log(`   🔍 AI Model: Home ${(homeModelProb*100).toFixed(1)}% vs No-vig ${(homeFair*100).toFixed(1)}% = ${homeEdge.toFixed(2)}% edge`);
+                console.log(`   🔍 AI Model: Away ${(awayModelProb*100).toFixed(1)}% vs No-vig ${(awayFair*100).toFixed(1)}% = ${awayEdge.toFixed(2)}% edge`);
                 
                 // HIGH-CONFIDENCE filtering for game lines - 80%+ assurance only
                 const homeWinProb80Plus = homeModelProb >= this.thresholds.gameLines.minimumWinProbability;
@@ -288,9 +290,17 @@ class WeeklyPicksMCP {
                         market: `${game.homeTeam.name} ML`,
                         line: homeMoneyline,
                         edge: homeEdge,
+                        
+                        // Price at pick time, for closing line value
+                        gameId: game.id,
+                        selection: 'home',
+                        odds: game.odds?.homeML ?? null,
+                        oppositeOdds: game.odds?.awayML ?? null,
+                        bookmaker: game.odds?.bookmaker || null,
+                        pickedAt: new Date().toISOString(),
                         confidence: aiAnalysis.confidence,
                         
-                        reasoning: `AI model: ${(homeModelProb * 100).toFixed(1)}% win probability vs ${(homeImplied * 100).toFixed(1)}% implied. ${aiAnalysis.reasoning}`,
+                        reasoning: `AI model: ${(homeModelProb * 100).toFixed(1)}% win probability vs ${(homeFair * 100).toFixed(1)}% no-vig. ${aiAnalysis.reasoning}`,
                         riskLevel: this.calculateRiskLevel(homeEdge, aiAnalysis.confidence),
                         
                         recommendation: homeEdge >= 5.0 ? 'STRONG BUY' : 'BUY',
@@ -316,9 +326,17 @@ class WeeklyPicksMCP {
                         market: `${game.awayTeam.name} ML`,
                         line: awayMoneyline,
                         edge: awayEdge,
+                        
+                        // Price at pick time, for closing line value
+                        gameId: game.id,
+                        selection: 'away',
+                        odds: game.odds?.awayML ?? null,
+                        oppositeOdds: game.odds?.homeML ?? null,
+                        bookmaker: game.odds?.bookmaker || null,
+                        pickedAt: new Date().toISOString(),
                         confidence: aiAnalysis.confidence,
                         
-                        reasoning: `AI model: ${(awayModelProb * 100).toFixed(1)}% win probability vs ${(awayImplied * 100).toFixed(1)}% implied. ${aiAnalysis.reasoning}`,
+                        reasoning: `AI model: ${(awayModelProb * 100).toFixed(1)}% win probability vs ${(awayFair * 100).toFixed(1)}% no-vig. ${aiAnalysis.reasoning}`,
                         riskLevel: this.calculateRiskLevel(awayEdge, aiAnalysis.confidence),
                         
                         recommendation: awayEdge >= 5.0 ? 'STRONG BUY' : 'BUY',
@@ -357,6 +375,8 @@ class WeeklyPicksMCP {
                 // Get real spread data if available
                 const gameSpread = game.odds?.spread || 0;
                 const spreadLine = -110;
+                // Book prices on each side of the spread, when the feed has them
+                const spreadOdds = { home: game.odds?.spreadHomeOdds ?? null, away: game.odds?.spreadAwayOdds ?? null };
                 
                 // Get AI spread analysis (not random simulation)
                 const aiAnalysis = await this.getAIGameAnalysis(game);
@@ -374,6 +394,7 @@ class WeeklyPicksMCP {
                 if (edge >= this.thresholds.spreads.minimumEdge && aiAnalysis.confidence !== 'low') {
                     const recommendTeam = predictedMargin > gameSpread ? game.homeTeam.name : game.awayTeam.name;
                     const recommendSpread = predictedMargin > gameSpread ? gameSpread : -gameSpread;
+                    const selection = recommendTeam === game.homeTeam.name ? 'home' : 'away';
                     
                     console.log(`   🎯 SPREAD GOLDMINE: ${recommendTeam} ${recommendSpread > 0 ? '+' : ''}${recommendSpread.toFixed(1)} +${edge.toFixed(1)} edge`);
                     
@@ -388,6 +409,15 @@ class WeeklyPicksMCP {
                         market: `${recommendTeam} ${recommendSpread > 0 ? '+' : ''}${recommendSpread.toFixed(1)}`,
                         line: spreadLine,
                         edge: edge,
+                        
+                        // Number and price at pick time, for closing line value
+                        gameId: game.id,
+                        selection,
+                        spreadLine: recommendSpread,
+                        odds: spreadOdds[selection],
+                        oppositeOdds: spreadOdds[selection === 'home' ? 'away' : 'home'],
+                        bookmaker: game.odds?.bookmaker || null,
+                        pickedAt: new Date().toISOString(),
                         confidence: aiAnalysis.confidence,
                         
                         reasoning: `AI predicts ${predictedMargin.toFixed(1)} margin vs ${gameSpread.toFixed(1)} spread. ${aiAnalysis.reasoning}`,
@@ -511,6 +541,59 @@ class WeeklyPicksMCP {
                (riskScore * riskWeight);
     }
 
+    /**
+     * Map a game line or spread pick to the picks ledger, keeping the number
+     * and price it was recommended at. The id is stable so recording the same
+     * recommendation twice keeps the first price. Props have no ledger mapping.
+     */
+    toTrackedPick(pick, season, week) {
+        if (pick.category !== 'game_line' && pick.category !== 'spread') return null;
+        
+        const isSpread = pick.category === 'spread';
+        return {
+            id: `mcp_${season}_${week}_${pick.id}`,
+            season,
+            week,
+            gameId: pick.gameId,
+            type: isSpread ? 'spread' : 'moneyline',
+            selection: pick.selection,
+            line: isSpread ? pick.spreadLine : null,
+            odds: pick.odds,
+            oppositeOdds: pick.oppositeOdds,
+            bookmaker: pick.bookmaker,
+            stake: pick.units,
+            description: pick.market,
+            confidence: pick.confidence,
+            reasoning: pick.reasoning,
+            edge: pick.edge,
+            source: 'weekly_picks_mcp',
+            timestamp: pick.pickedAt
+        };
+    }
+
+    /**
+     * Record recommended game lines and spreads in the picks ledger. Stable
+     * ids mean regenerating the week's picks does not record them twice.
+     */
+    async trackPicks(picks, season, week) {
+        const tracker = window.picksTrackerService;
+        if (typeof tracker?.recordPick !== 'function') return 0;
+        
+        const trackedPicks = picks.map(pick => this.toTrackedPick(pick, season, week)).filter(Boolean);
+        let recorded = 0;
+        for (const trackedPick of trackedPicks) {
+            try {
+                await tracker.recordPick(trackedPick);
+                recorded++;
+            } catch (error) {
+                console.warn(`⚠️ MCP: Could not track pick ${trackedPick.id}:`, error.message);
+            }
+        }
+        
+        console.log(`📊 MCP: Tracking ${recorded} of ${trackedPicks.length} game line and spread picks`);
+        return recorded;
+    }
+
     /**
      * Generate weekly summary statistics
      */
@@ -590,14 +673,6 @@ class WeeklyPicksMCP {
         return Number((baseUnits * edgeMultiplier * confidenceMultiplier).toFixed(1));
     }
 
-    oddsToImpliedProbability(americanOdds) {
-        if (americanOdds > 0) {
-            return 100 / (americanOdds + 100);
-        } else {
-            return Math.abs(americanOdds) / (Math.abs(americanOdds) + 100);
-        }
-    }
-
     /**
      * Get AI analysis for a game using multiple data sources
      */
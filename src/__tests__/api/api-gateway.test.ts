@@ -104,6 +104,24 @@ describe('APIGateway', () => {
       expect(response.status).toBe(200);
       expect(Array.isArray(response.data)).toBe(true);
     });
+
+    it('should serve the in-game model win probability when a source is wired in', async () => {
+      const getCurrentWinProbability = jest.fn(async (gameId: string) => (gameId === 'evt-1'
+        ? { gameId, timestamp: new Date(), homeWinProbability: 0.7, winProbabilityAdded: 0.05, pregameSpread: -3 }
+        : null));
+      await apiGateway.stop();
+      apiGateway = new APIGateway(testPort, undefined, undefined, { getCurrentWinProbability });
+      await apiGateway.start();
+
+      const response = await makeRequest('GET', '/api/v1/probabilities/evt-1');
+      expect(response.status).toBe(200);
+      expect(response.data.winProbability.home).toBe(0.7);
+      expect(response.data.winProbability.away).toBeCloseTo(0.3, 10);
+
+      const missing = await makeRequest('GET', '/api/v1/probabilities/evt-9');
+      expect(missing.status).toBe(404);
+      expect(missing.data.error).toBe('No win probability for game evt-9');
+    });
   });
 
   describe('Predictions Endpoints', () => {
@@ -142,6 +160,27 @@ describe('APIGateway', () => {
         iterations: predictionData.iterations
       });
     });
+
+    it('should reject predictions with invalid constraint expressions', async () => {
+      const predictionData = {
+        gameId: 'test-game-456',
+        iterations: 1500,
+        variables: [{ name: 'offensive_efficiency' }],
+        constraints: [
+          { name: 'valid', type: 'hard', condition: 'variables.offensive_efficiency >= 0' },
+          { name: 'injected', type: 'hard', condition: 'variables.offensive_efficiency > 0 || process.exit()' }
+        ]
+      };
+
+      const response = await makeRequest('POST', '/api/v1/predictions', predictionData);
+
+      expect(response.status).toBe(400);
+      expect(response.data).toMatchObject({
+        error: "Constraint injected: Unknown identifier 'process' at position 38",
+        constraint: 'injected',
+        position: 38
+      });
+    });
   });
 
   describe('Historical Data Endpoints', () => {
@@ -165,6 +204,123 @@ describe('APIGateway', () => {
     });
   });
 
+  describe('Team Ratings Endpoints', () => {
+    const snapshot = {
+      teamId: 'team-1',
+      division: 'NFL',
+      season: 2023,
+      date: '2023-09-10T17:00:00.000Z',
+      event: 'game',
+      gameId: 'game-1',
+      opponentId: 'team-2',
+      elo: 1512.4,
+      eloChange: 12.4,
+      glicko: { rating: 1580, deviation: 290, volatility: 0.06 }
+    };
+    let getTeamRatingHistory: jest.Mock;
+
+    beforeAll(() => {
+      // Query dates are parsed with the real Date
+      jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+      getTeamRatingHistory = jest.fn(async (teamId: string) => (teamId === 'team-1' ? [snapshot] : []));
+      apiGateway = new APIGateway(testPort, { getTeamRatingHistory });
+      await apiGateway.start();
+    });
+
+    it('should return rating history for a team within a date range', async () => {
+      const response = await makeRequest('GET', '/api/v1/teams/team-1/ratings?from=2023-09-01&to=2023-12-31');
+
+      expect(response.status).toBe(200);
+      expect(response.data.teamId).toBe('team-1');
+      expect(response.data.history).toEqual([snapshot]);
+      expect(getTeamRatingHistory).toHaveBeenCalledWith('team-1', new Date('2023-09-01'), new Date('2023-12-31'));
+    });
+
+    it('should reject bad dates and report teams without history', async () => {
+      const badDate = await makeRequest('GET', '/api/v1/teams/team-1/ratings?from=yesterday');
+      expect(badDate.status).toBe(400);
+      expect(badDate.data.error).toBe('from and to must be dates');
+
+      const missing = await makeRequest('GET', '/api/v1/teams/team-9/ratings');
+      expect(missing.status).toBe(404);
+      expect(missing.data.error).toBe('No rating history for team team-9');
+      expect(getTeamRatingHistory).toHaveBeenLastCalledWith('team-9', undefined, undefined);
+    });
+
+    it('should report ratings as unavailable without a history source', async () => {
+      await apiGateway.stop();
+      apiGateway = new APIGateway(testPort);
+      await apiGateway.start();
+
+      const response = await makeRequest('GET', '/api/v1/teams/team-1/ratings');
+      expect(response.status).toBe(503);
+    });
+  });
+
+  describe('Game Lines Endpoints', () => {
+    const observation = (sportsbook: string, point: number, observedAt: string) => ({
+      gameId: 'evt-1',
+      sportsbook,
+      market: 'spread',
+      selection: 'home',
+      point,
+      price: -110,
+      observedAt
+    });
+    const history = [
+      observation('draftkings', -3, '2023-09-10T12:00:00.000Z'),
+      observation('fanduel', -3, '2023-09-10T12:00:00.000Z'),
+      observation('draftkings', -3.5, '2023-09-10T15:00:00.000Z')
+    ];
+    let getOddsHistory: jest.Mock;
+
+    beforeAll(() => {
+      // Query dates are parsed with the real Date
+      jest.restoreAllMocks();
+    });
+
+    beforeEach(async () => {
+      getOddsHistory = jest.fn(async (gameId: string) => (gameId === 'evt-1'
+        ? history.map(item => ({ ...item, observedAt: new Date(item.observedAt) }))
+        : []));
+      apiGateway = new APIGateway(testPort, undefined, { getOddsHistory });
+      await apiGateway.start();
+    });
+
+    it('should return line history with a chart series per book', async () => {
+      const response = await makeRequest('GET', '/api/v1/games/evt-1/lines?from=2023-09-10&to=2023-09-11');
+
+      expect(response.status).toBe(200);
+      expect(response.data.gameId).toBe('evt-1');
+      expect(response.data.observations).toEqual(history);
+      expect(response.data.series).toHaveLength(2);
+      expect(response.data.series[0].sportsbook).toBe('draftkings');
+      expect(response.data.series[0].points.map((point: any) => point.point)).toEqual([-3, -3.5]);
+      expect(getOddsHistory).toHaveBeenCalledWith('evt-1', new Date('2023-09-10'), new Date('2023-09-11'));
+    });
+
+    it('should reject bad dates and report games without history', async () => {
+      const badDate = await makeRequest('GET', '/api/v1/games/evt-1/lines?to=tomorrow');
+      expect(badDate.status).toBe(400);
+
+      const missing = await makeRequest('GET', '/api/v1/games/evt-9/lines');
+      expect(missing.status).toBe(404);
+      expect(missing.data.error).toBe('No line history for game evt-9');
+    });
+
+    it('should report line history as unavailable without a history source', async () => {
+      await apiGateway.stop();
+      apiGateway = new APIGateway(testPort);
+      await apiGateway.start();
+
+      const response = await makeRequest('GET', '/api/v1/games/evt-1/lines');
+      expect(response.status).toBe(503);
+    });
+  });
+
   describe('CORS Headers', () => {
     beforeEach(async () => {
       await apiGateway.start();
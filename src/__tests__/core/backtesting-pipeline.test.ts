@@ -1,4 +1,5 @@
 import { BacktestingPipeline, PipelineConfiguration } from '../../core/backtesting-pipeline';
+import { IN_GAME_WP_FEATURES } from '../../core/in-game-win-probability';
 import { BacktestingService } from '../../core/backtesting-service';
 import { HistoricalDataReplay } from '../../core/historical-data-replay';
 import { MLModelService } from '../../core/ml-model-service';
@@ -18,11 +19,36 @@ describe('BacktestingPipeline', () => {
   let mockMLModelService: jest.Mocked<MLModelService>;
   let mockDatabaseService: jest.Mocked<DatabaseService>;
 
+  const mockContext = {
+    quarter: 4,
+    overtime: false,
+    timeRemaining: '2:30',
+    down: 3,
+    yardsToGo: 4,
+    fieldPosition: 35,
+    yardsToEndZone: 35,
+    possession: 'away' as const,
+    score: { home: 17, away: 20 }
+  };
+  const homeTeam = { id: 'home' };
+  const awayTeam = { id: 'away' };
+  const mockGameState = {
+    game: { id: 'game1', homeTeam, awayTeam },
+    score: { home: 17, away: 20 },
+    timeRemaining: { quarter: 4, minutes: 2, seconds: 30 },
+    possession: awayTeam,
+    fieldPosition: { yardLine: 35, side: 'home' },
+    down: 3,
+    yardsToGo: 4,
+    timeouts: { home: 2, away: 1 }
+  } as any;
+
   beforeEach(() => {
     mockBacktestingService = new BacktestingService({} as any, {} as any) as jest.Mocked<BacktestingService>;
     mockHistoricalDataReplay = new HistoricalDataReplay({} as any) as jest.Mocked<HistoricalDataReplay>;
     mockMLModelService = new MLModelService({} as any, {} as any) as jest.Mocked<MLModelService>;
     mockDatabaseService = new DatabaseService({} as any) as jest.Mocked<DatabaseService>;
+    mockMLModelService.trainModel.mockResolvedValue({ accuracy: 0.8 } as any);
 
     pipeline = new BacktestingPipeline(
       mockBacktestingService,
@@ -48,7 +74,7 @@ describe('BacktestingPipeline', () => {
       const mockHistoricalData = [
         {
           game: { id: 'game1' } as any,
-          gameStates: [{ timestamp: new Date(), gameState: {}, context: {} }],
+          gameStates: [{ timestamp: new Date(), gameState: mockGameState, context: mockContext }],
           finalOutcome: { homeScore: 21, awayScore: 14, winner: 'home' as const, margin: 7, totalPoints: 35 },
           metadata: { season: 2023, week: 1, gameType: 'regular_season' as any, venue: 'Stadium 1' }
         }
@@ -66,6 +92,7 @@ describe('BacktestingPipeline', () => {
           sharpness: 0.3,
           totalPredictions: 100
         },
+        calibration: { bins: [], expectedCalibrationError: 0.1, maxCalibrationError: 0.1, hosmerLemeshow: null },
         gameResults: [],
         performanceByWeek: []
       };
@@ -151,7 +178,7 @@ describe('BacktestingPipeline', () => {
     it('should perform k-fold cross validation', async () => {
       const mockData = Array.from({ length: 10 }, (_, i) => ({
         game: { id: `game${i}` } as any,
-        gameStates: [{ timestamp: new Date(), gameState: {}, context: {} }],
+        gameStates: [{ timestamp: new Date(), gameState: mockGameState, context: mockContext }],
         finalOutcome: { homeScore: 21, awayScore: 14, winner: 'home' as const, margin: 7, totalPoints: 35 },
         metadata: { season: 2023, week: 1, gameType: 'regular_season' as any, venue: 'Stadium 1' }
       }));
@@ -168,6 +195,7 @@ describe('BacktestingPipeline', () => {
           sharpness: 0.3,
           totalPredictions: 2
         },
+        calibration: { bins: [], expectedCalibrationError: 0.1, maxCalibrationError: 0.1, hosmerLemeshow: null },
         gameResults: [],
         performanceByWeek: []
       };
@@ -176,6 +204,12 @@ describe('BacktestingPipeline', () => {
 
       const results = await pipeline.runCrossValidation('model1', mockData, 5);
 
+      expect(mockMLModelService.trainModel).toHaveBeenCalledTimes(5);
+      expect(mockMLModelService.trainModel).toHaveBeenCalledWith('model1', expect.objectContaining({
+        features: Array(8).fill([-3, 150, 0, 0, 3, 4, 35, 2, 1, 0]),
+        targets: Array(8).fill(1),
+        featureNames: [...IN_GAME_WP_FEATURES]
+      }), undefined);
       expect(results).toHaveLength(5);
       expect(results[0].fold).toBe(0);
       expect(results[0].trainingSize).toBe(8); // 10 - 2 (fold size)
@@ -187,7 +221,7 @@ describe('BacktestingPipeline', () => {
     it('should handle uneven fold sizes correctly', async () => {
       const mockData = Array.from({ length: 7 }, (_, i) => ({
         game: { id: `game${i}` } as any,
-        gameStates: [{ timestamp: new Date(), gameState: {}, context: {} }],
+        gameStates: [{ timestamp: new Date(), gameState: mockGameState, context: mockContext }],
         finalOutcome: { homeScore: 21, awayScore: 14, winner: 'home' as const, margin: 7, totalPoints: 35 },
         metadata: { season: 2023, week: 1, gameType: 'regular_season' as any, venue: 'Stadium 1' }
       }));
@@ -208,7 +242,7 @@ describe('BacktestingPipeline', () => {
     it('should emit cross validation events', async () => {
       const mockData = Array.from({ length: 4 }, (_, i) => ({
         game: { id: `game${i}` } as any,
-        gameStates: [{ timestamp: new Date(), gameState: {}, context: {} }],
+        gameStates: [{ timestamp: new Date(), gameState: mockGameState, context: mockContext }],
         finalOutcome: { homeScore: 21, awayScore: 14, winner: 'home' as const, margin: 7, totalPoints: 35 },
         metadata: { season: 2023, week: 1, gameType: 'regular_season' as any, venue: 'Stadium 1' }
       }));
@@ -1,7 +1,9 @@
-import { BacktestingService, BacktestingMetrics, HistoricalDataPoint } from '../../core/backtesting-service';
+import { BacktestingService, BacktestingMetrics, HistoricalDataPoint, HistoricalOddsSource } from '../../core/backtesting-service';
 import { MLModelService } from '../../core/ml-model-service';
 import { Game } from '../../models/Game';
 import { Team } from '../../models/Team';
+import { BettingLine } from '../../types/game.types';
+import { ModelType } from '../../types/ml.types';
 
 // Mock dependencies
 jest.mock('../../core/ml-model-service');
@@ -52,6 +54,8 @@ describe('BacktestingService', () => {
       expect(result.metrics.brierScore).toBe(0); // Perfect Brier score
       expect(result.metrics.accuracy).toBe(1); // Perfect accuracy
       expect(result.gameResults).toHaveLength(2);
+      expect(result.calibration.expectedCalibrationError).toBe(0);
+      expect(result.calibration.bins[9].count).toBe(1);
     });
 
     it('should calculate correct Brier scores for worst predictions', async () => {
@@ -367,6 +371,177 @@ describe('BacktestingService', () => {
       expect(logLoss2).toBeGreaterThan(0);
     });
   });
+
+  describe('runWalkForwardBacktest', () => {
+    const modelConfig = {
+      type: ModelType.LOGISTIC_REGRESSION,
+      hyperparameters: {},
+      features: ['home_rating'],
+      targetVariable: 'home_win',
+      validationSplit: 0,
+      crossValidationFolds: 1
+    };
+    let oddsByDate: Record<string, BettingLine[]>;
+    let oddsSource: jest.Mocked<HistoricalOddsSource>;
+
+    // Two games a week, kicking off two days apart
+    const kickoff = (season: number, week: number, game: number) =>
+      new Date(Date.UTC(season, 8, 7 * week + 2 * game, 17));
+
+    const dataPoint = (season: number, week: number, game: number, actualOutcome: number): HistoricalDataPoint => {
+      const mockGame = createMockGame(`${season}-${week}-${game}`, kickoff(season, week, game));
+      mockGame.season = season;
+      mockGame.week = week;
+      return { game: mockGame, actualOutcome, gameState: {}, timestamp: kickoff(season, week, game) };
+    };
+
+    const line = (sportsbook: string, home: number, away: number, teams: Partial<BettingLine> = {}): BettingLine => ({
+      gameId: 'odds-api-id',
+      sportsbook,
+      spread: { home: 0, away: 0, homeOdds: -110, awayOdds: -110 },
+      total: { line: 0, overOdds: -110, underOdds: -110 },
+      moneyline: { home, away },
+      lastUpdated: new Date(),
+      homeTeam: 'City 1 Team 1',
+      awayTeam: 'City 2 Team 2',
+      ...teams
+    });
+
+    const isoSeconds = (date: Date) => date.toISOString().replace('.000Z', 'Z');
+
+    // Lines a day before kickoff and at kickoff for a game
+    const setOdds = (season: number, week: number, game: number, opening: BettingLine[], closing: BettingLine[]) => {
+      const start = kickoff(season, week, game);
+      oddsByDate[isoSeconds(new Date(start.getTime() - 24 * 60 * 60 * 1000))] = opening;
+      oddsByDate[isoSeconds(start)] = closing;
+    };
+
+    beforeEach(() => {
+      oddsByDate = {};
+      oddsSource = {
+        fetchHistoricalOdds: jest.fn(async (_sport, date: string) => {
+          if (!oddsByDate[date]) throw new Error(`no snapshot at ${date}`);
+          return oddsByDate[date];
+        })
+      };
+      backtestingService = new BacktestingService(mockMLModelService, mockProbabilityEngine, oddsSource);
+
+      mockMLModelService.createModel.mockImplementation(async () => ({ id: `model-${mockMLModelService.createModel.mock.calls.length}` }) as any);
+      mockMLModelService.trainModel.mockResolvedValue({} as any);
+      mockMLModelService.deleteModel.mockResolvedValue(true);
+      mockMLModelService.predict.mockImplementation(async (modelId, features) =>
+        ({ value: 1, probability: 0.6, confidence: 0.5, timestamp: new Date(), modelId, modelVersion: '1.0.0', features }));
+    });
+
+    const fiveWeeks = (): HistoricalDataPoint[] => [1, 2, 3, 4, 5].flatMap(week => [
+      dataPoint(2023, week, 0, week === 4 ? 0 : 1),
+      dataPoint(2023, week, 1, 1)
+    ]);
+
+    it('should retrain on the season to date before each predicted week', async () => {
+      const data = [...fiveWeeks(), dataPoint(2024, 1, 0, 1), dataPoint(2024, 2, 0, 0)];
+
+      const result = await backtestingService.runWalkForwardBacktest(data, {
+        modelConfig,
+        extractFeatures: point => [point.game.week]
+      });
+
+      expect(result.windows).toEqual([
+        { season: 2023, week: 4, trainingSize: 6, predictions: 2 },
+        { season: 2023, week: 5, trainingSize: 8, predictions: 2 }
+      ]);
+      const trainedOn = mockMLModelService.trainModel.mock.calls.map(([, training]) => training.features.map(([week]) => week));
+      expect(Math.max(...trainedOn[0])).toBe(3);
+      expect(Math.max(...trainedOn[1])).toBe(4);
+      expect(mockMLModelService.deleteModel).toHaveBeenCalledTimes(2);
+      expect(result.metrics.totalPredictions).toBe(4);
+      expect(result.bets).toHaveLength(0);
+      expect(result.marketMetrics).toBeNull();
+    });
+
+    it('should report ROI, closing-line value and drawdown for flat and Kelly staking', async () => {
+      [4, 5].forEach(week => [0, 1].forEach(game => setOdds(2023, week, game,
+        [line('book1', 100, -120), line('book2', 110, -130)],
+        [line('book1', -150, 130)]
+      )));
+
+      const result = await backtestingService.runWalkForwardBacktest(fiveWeeks(), {
+        modelConfig,
+        extractFeatures: () => [1]
+      });
+
+      expect(result.bets).toHaveLength(4);
+      expect(result.bets.every(bet => bet.side === 'home' && bet.sportsbook === 'book2' && bet.odds === 110)).toBe(true);
+      expect(result.bets[0].expectedValue).toBeCloseTo(0.26, 10);
+
+      const closingHome = 0.6 / (0.6 + 1 / 2.3);
+      expect(result.bets[0].closingProbability).toBeCloseTo(closingHome, 10);
+      expect(result.averageClv).toBeCloseTo(closingHome * 2.1 - 1, 10);
+      expect(result.beatClosingLineRate).toBe(1);
+
+      expect(result.flat.profit).toBeCloseTo(2.3, 10);
+      expect(result.flat.roi).toBeCloseTo(2.3 / 4, 10);
+      expect(result.flat.maxDrawdown).toBeCloseTo(0.01, 10);
+
+      // Kelly stakes are capped at 5% of the bankroll at the start of each week
+      expect(result.bets.map(bet => bet.kellyStake)).toEqual([5, 5, 5.025, 5.025].map(v => expect.closeTo(v, 10)));
+      expect(result.kelly.finalBankroll).toBeCloseTo(100.5 + 2 * 5.025 * 1.1, 10);
+      expect(result.kelly.maxDrawdown).toBeCloseTo(0.05, 10);
+
+      [result.flat, result.kelly].forEach(report => {
+        expect(report.roiConfidenceInterval[0]).toBeLessThanOrEqual(report.roi);
+        expect(report.roiConfidenceInterval[1]).toBeGreaterThanOrEqual(report.roi);
+        expect(report.roiConfidenceInterval[0]).toBeGreaterThanOrEqual(-1);
+      });
+      expect(result.marketMetrics!.totalPredictions).toBe(4);
+    });
+
+    it('should settle a tied game as a push and leave its stake out of ROI', async () => {
+      [4, 5].forEach(week => [0, 1].forEach(game => setOdds(2023, week, game,
+        [line('book1', 110, -130)],
+        [line('book1', 110, -130)]
+      )));
+      const data = fiveWeeks();
+      data[6].actualOutcome = 0.5;
+
+      const result = await backtestingService.runWalkForwardBacktest(data, {
+        modelConfig,
+        extractFeatures: () => [1]
+      });
+
+      const tie = result.bets.find(bet => bet.gameId === '2023-4-0')!;
+      expect(tie).toMatchObject({ side: 'home', won: false, push: true, flatProfit: 0, kellyProfit: 0 });
+      expect(result.bets.filter(bet => bet.push)).toHaveLength(1);
+
+      expect(result.flat.totalStaked).toBe(3);
+      expect(result.flat.profit).toBeCloseTo(3.3, 10);
+      expect(result.flat.roi).toBeCloseTo(1.1, 10);
+      expect(result.kelly.totalStaked).toBeCloseTo(result.bets.reduce((sum, bet) => sum + (bet.push ? 0 : bet.kellyStake), 0), 10);
+    });
+
+    it('should skip games without a matching line or enough edge', async () => {
+      setOdds(2023, 4, 0, [line('book1', -200, 150)], [line('book1', -200, 150)]);
+      setOdds(2023, 4, 1, [line('book1', 150, -170, { homeTeam: 'Elsewhere', awayTeam: 'Nowhere' })], []);
+      setOdds(2023, 5, 0, [line('book1', 120, -140, { homeTeam: 'team 1', awayTeam: 'TEAM 2' })], []);
+
+      const result = await backtestingService.runWalkForwardBacktest(fiveWeeks(), {
+        modelConfig,
+        extractFeatures: () => [1],
+        minEdge: 0.05
+      });
+
+      expect(result.bets.map(bet => bet.gameId)).toEqual(['2023-5-0']);
+      expect(result.bets[0].clv).toBeUndefined();
+      expect(result.metrics.totalPredictions).toBe(4);
+    });
+
+    it('should require a historical odds source', async () => {
+      const withoutOdds = new BacktestingService(mockMLModelService, mockProbabilityEngine);
+
+      await expect(withoutOdds.runWalkForwardBacktest(fiveWeeks(), { modelConfig, extractFeatures: () => [1] }))
+        .rejects.toThrow('Walk-forward backtesting requires a historical odds source');
+    });
+  });
 });
 
 function createMockGame(id: string, scheduledTime?: Date): Game {
@@ -0,0 +1,163 @@
+import { BayesianTeamRatings, FinalScore } from '../../core/bayesian-team-ratings';
+import { NormalDistribution } from '../../core/probability-distributions';
+import { SeededRandom } from '../../core/seeded-random';
+
+describe('BayesianTeamRatings', () => {
+  beforeAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const teamIds = Array.from({ length: 10 }, (_, i) => `team${i}`);
+  // True offense and defense in points against an average team
+  const truth = teamIds.map((teamId, i) => ({ teamId, offense: (i - 4.5) * 1.2, defense: ((i * 7) % 10 - 4.5) * 0.8 }));
+  const weekDate = (week: number) => new Date(Date.UTC(2023, 8, 7 + week * 7));
+
+  // Random weekly pairings with a 2.5 point home field and 10 point score noise
+  const simulateSeason = (weeks: number, seed: number): FinalScore[][] => {
+    const rng = new SeededRandom(seed);
+    const noise = () => NormalDistribution.standardQuantile(Math.min(1 - 1e-9, Math.max(1e-9, rng.next()))) * 10;
+    return Array.from({ length: weeks }, (_, week) => {
+      const shuffled = teamIds.map((_, i) => i);
+      for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(rng.next() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+      }
+      const scores: FinalScore[] = [];
+      for (let g = 0; g + 1 < shuffled.length; g += 2) {
+        const home = truth[shuffled[g]];
+        const away = truth[shuffled[g + 1]];
+        scores.push({
+          gameId: `w${week}g${g}`,
+          date: weekDate(week),
+          homeTeamId: home.teamId,
+          awayTeamId: away.teamId,
+          homeScore: 22 + home.offense - away.defense + 1.25 + noise(),
+          awayScore: 22 + away.offense - home.defense - 1.25 + noise()
+        });
+      }
+      return scores;
+    });
+  };
+
+  const correlation = (a: number[], b: number[]) => {
+    const mean = (xs: number[]) => xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const ma = mean(a);
+    const mb = mean(b);
+    const cov = a.reduce((sum, x, i) => sum + (x - ma) * (b[i] - mb), 0);
+    const va = a.reduce((sum, x) => sum + (x - ma) ** 2, 0);
+    const vb = b.reduce((sum, x) => sum + (x - mb) ** 2, 0);
+    return cov / Math.sqrt(va * vb);
+  };
+
+  it('should start every team at the prior with a credible interval', () => {
+    const ratings = new BayesianTeamRatings(teamIds.map(teamId => ({ teamId })), { league: 'nfl' });
+    const rating = ratings.getRating('team3', weekDate(0));
+
+    expect(rating.offense.mean).toBe(0);
+    expect(rating.offense.stdDev).toBeCloseTo(4, 10);
+    expect(rating.offense.upper).toBeCloseTo(4 * 1.6449, 3);
+    expect(rating.offense.lower).toBeCloseTo(-rating.offense.upper, 10);
+    expect(rating.overall.stdDev).toBeCloseTo(Math.sqrt(32), 10);
+    expect(rating.gamesPlayed).toBe(0);
+  });
+
+  it('should recover team strengths from a season of weekly scores', () => {
+    const ratings = new BayesianTeamRatings(teamIds.map(teamId => ({ teamId })), { league: 'nfl' });
+    const season = simulateSeason(16, 11);
+    season.forEach(week => ratings.updateWeek(week));
+
+    const final = truth.map(team => ratings.getRating(team.teamId, weekDate(20)));
+    expect(correlation(final.map(r => r.overall.mean), truth.map(t => t.offense + t.defense))).toBeGreaterThan(0.8);
+    expect(correlation(final.map(r => r.offense.mean), truth.map(t => t.offense))).toBeGreaterThan(0.6);
+
+    const covered = final.filter((r, i) => r.overall.lower <= truth[i].offense + truth[i].defense && truth[i].offense + truth[i].defense <= r.overall.upper);
+    expect(covered.length).toBeGreaterThanOrEqual(7);
+    expect(final.every(r => r.offense.stdDev < 4 && r.gamesPlayed === 16)).toBe(true);
+
+    const ranked = ratings.getRatings(weekDate(20));
+    expect(ranked.map(r => r.overall.mean)).toEqual([...ranked.map(r => r.overall.mean)].sort((a, b) => b - a));
+
+    const homeField = ratings.getHomeFieldAdvantage(weekDate(20));
+    expect(homeField.stdDev).toBeLessThan(1);
+  });
+
+  it('should answer as of the last update on or before a date', () => {
+    const ratings = new BayesianTeamRatings(teamIds.map(teamId => ({ teamId })), { league: 'nfl' });
+    simulateSeason(6, 3).forEach(week => ratings.updateWeek(week));
+
+    const midseason = ratings.getRating('team9', new Date(weekDate(2).getTime() + 86400000));
+    expect(midseason.asOf).toEqual(weekDate(2));
+    expect(midseason.gamesPlayed).toBe(3);
+    expect(ratings.getRating('team9', weekDate(5)).offense.stdDev).toBeLessThan(midseason.offense.stdDev);
+
+    expect(() => ratings.updateWeek([], weekDate(4))).toThrow(`Ratings were already updated through ${weekDate(5).toISOString()}`);
+    expect(() => ratings.updateWeek([])).toThrow('A week without scores needs an asOf date');
+    expect(() => ratings.getRating('nobody')).toThrow('Unknown team nobody');
+  });
+
+  it('should derive spreads, totals and win probabilities for a matchup', () => {
+    const ratings = new BayesianTeamRatings(teamIds.map(teamId => ({ teamId })), { league: 'nfl' });
+    simulateSeason(10, 5).forEach(week => ratings.updateWeek(week));
+
+    const asOf = weekDate(12);
+    const prior = ratings.predictGame('team9', 'team0', { asOf });
+    const neutral = ratings.predictGame('team9', 'team0', { asOf, neutralSite: true });
+    const reversed = ratings.predictGame('team0', 'team9', { asOf, neutralSite: true });
+
+    expect(prior.spread).toBeCloseTo(prior.awayExpectedPoints - prior.homeExpectedPoints, 10);
+    expect(prior.total).toBeCloseTo(prior.homeExpectedPoints + prior.awayExpectedPoints, 10);
+    expect(prior.spread).toBeLessThan(0);
+    expect(prior.homeWinProbability).toBeGreaterThan(0.5);
+    expect(prior.spreadStdDev).toBeGreaterThan(Math.sqrt(2) * 10);
+    expect(neutral.spread - prior.spread).toBeCloseTo(ratings.getHomeFieldAdvantage(asOf).mean, 10);
+    expect(reversed.homeWinProbability).toBeCloseTo(1 - neutral.homeWinProbability, 10);
+    expect(neutral.homeWinProbability).toBeLessThan(prior.homeWinProbability);
+    expect(prior.leagueAveragePoints).toBeGreaterThan(15);
+    expect(prior.homePointsStdDev).toBeGreaterThan(0);
+
+    // Extra rest is unproven early on, so it widens the spread but barely moves it
+    const rested = ratings.predictGame('team9', 'team0', { asOf, homeRestDays: 14, awayRestDays: 4 });
+    expect(rested.spreadStdDev).toBeGreaterThan(prior.spreadStdDev);
+    expect(Math.abs(rested.spread - prior.spread)).toBeLessThan(1);
+  });
+
+  it('should shrink NCAA teams toward their conference', () => {
+    const teams = [
+      { teamId: 'a1', conference: 'A' }, { teamId: 'a2', conference: 'A' }, { teamId: 'a3', conference: 'A' },
+      { teamId: 'b1', conference: 'B' }, { teamId: 'b2', conference: 'B' }, { teamId: 'b3', conference: 'B' }
+    ];
+    const ratings = new BayesianTeamRatings(teams, { league: 'ncaa' });
+    const blowouts = (week: number): FinalScore[] => [
+      { gameId: `${week}-1`, date: weekDate(week), homeTeamId: 'a1', awayTeamId: 'b1', homeScore: 45, awayScore: 10 },
+      { gameId: `${week}-2`, date: weekDate(week), homeTeamId: 'b2', awayTeamId: 'a2', homeScore: 14, awayScore: 42, neutralSite: true }
+    ];
+    [0, 1, 2].forEach(week => ratings.updateWeek(blowouts(week)));
+
+    const asOf = weekDate(3);
+    const unplayedA = ratings.getRating('a3', asOf);
+    const unplayedB = ratings.getRating('b3', asOf);
+    expect(unplayedA.gamesPlayed).toBe(0);
+    expect(unplayedA.overall.mean).toBeGreaterThan(5);
+    expect(unplayedB.overall.mean).toBeLessThan(-5);
+    expect(ratings.getRating('a1', asOf).overall.mean).toBeGreaterThan(unplayedA.overall.mean);
+
+    // Without a conference level an idle team learns nothing from the others
+    const nfl = new BayesianTeamRatings(teams.map(({ teamId }) => ({ teamId })), { league: 'nfl' });
+    [0, 1, 2].forEach(week => nfl.updateWeek(blowouts(week)));
+    expect(Math.abs(nfl.getRating('a3', asOf).overall.mean)).toBeLessThan(0.5);
+  });
+
+  it('should regress ratings toward the prior between seasons', () => {
+    const ratings = new BayesianTeamRatings(teamIds.map(teamId => ({ teamId })), { league: 'nfl', seasonCarryover: 0.5 });
+    simulateSeason(12, 7).forEach(week => ratings.updateWeek(week));
+    const endOfSeason = ratings.getRating('team9', weekDate(12));
+
+    ratings.startSeason(weekDate(30));
+    const nextSeason = ratings.getRating('team9', weekDate(30));
+
+    expect(nextSeason.overall.mean).toBeCloseTo(endOfSeason.overall.mean * 0.5, 10);
+    expect(nextSeason.overall.stdDev).toBeGreaterThan(endOfSeason.overall.stdDev);
+    expect(nextSeason.gamesPlayed).toBe(0);
+    expect(ratings.getRating('team9', weekDate(12)).overall.mean).toBe(endOfSeason.overall.mean);
+  });
+});
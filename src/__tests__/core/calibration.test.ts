@@ -0,0 +1,108 @@
+import {
+  applyCalibrator,
+  calibrationReport,
+  fitCalibrator,
+  hosmerLemeshowTest,
+  reliabilityDiagram
+} from '../../core/calibration';
+import { SeededRandom } from '../../core/seeded-random';
+
+describe('calibration', () => {
+  const sigmoid = (x: number) => 1 / (1 + Math.exp(-x));
+  const logit = (p: number) => Math.log(p / (1 - p));
+
+  // Raw probabilities twice as extreme, in log-odds, as the rates they come true at
+  const overconfident = (n: number, seed: number) => {
+    const rng = new SeededRandom(seed);
+    const probabilities: number[] = [];
+    const outcomes: number[] = [];
+    for (let i = 0; i < n; i++) {
+      const raw = 0.02 + 0.96 * rng.next();
+      probabilities.push(raw);
+      outcomes.push(rng.next() < sigmoid(logit(raw) / 2) ? 1 : 0);
+    }
+    return { probabilities, outcomes };
+  };
+
+  describe('reliabilityDiagram', () => {
+    it('should bucket predictions and put a probability of 1 in the top bucket', () => {
+      const bins = reliabilityDiagram([0.05, 0.15, 0.15, 1], [0, 1, 0, 1]);
+
+      expect(bins).toHaveLength(10);
+      expect(bins[0]).toEqual({ lower: 0, upper: 0.1, count: 1, meanPredicted: 0.05, observedRate: 0 });
+      expect(bins[1].count).toBe(2);
+      expect(bins[1].observedRate).toBe(0.5);
+      expect(bins[2]).toEqual(expect.objectContaining({ count: 0, meanPredicted: null, observedRate: null }));
+      expect(bins[9].count).toBe(1);
+    });
+  });
+
+  describe('calibrationReport', () => {
+    it('should weight ECE by bucket size and report the largest gap as MCE', () => {
+      const report = calibrationReport([0.05, 0.15, 0.15, 1], [0, 1, 0, 1]);
+
+      expect(report.expectedCalibrationError).toBeCloseTo((0.05 + 2 * 0.35) / 4, 10);
+      expect(report.maxCalibrationError).toBeCloseTo(0.35, 10);
+      expect(report.hosmerLemeshow).not.toBeNull();
+    });
+
+    it('should require one outcome per probability', () => {
+      expect(() => calibrationReport([0.5, 0.5], [1])).toThrow('Expected one outcome per probability, got 1 for 2');
+    });
+  });
+
+  describe('hosmerLemeshowTest', () => {
+    it('should compare observed and expected wins by risk group', () => {
+      const result = hosmerLemeshowTest([0.2, 0.2, 0.5, 0.5, 0.8, 0.8], [0, 1, 0, 1, 1, 1], 3)!;
+
+      expect(result.statistic).toBeCloseTo(1.625, 10);
+      expect(result.degreesOfFreedom).toBe(1);
+      // Chi-square survival with one degree of freedom is erfc(sqrt(x / 2))
+      expect(result.pValue).toBeCloseTo(0.2023960159729589, 8);
+    });
+
+    it('should reject overconfident predictions and accept calibrated ones', () => {
+      const { probabilities, outcomes } = overconfident(2000, 1);
+      const rng = new SeededRandom(2);
+      const calibratedOutcomes = probabilities.map(p => (rng.next() < p ? 1 : 0));
+
+      expect(hosmerLemeshowTest(probabilities, outcomes)!.pValue).toBeLessThan(0.001);
+      expect(hosmerLemeshowTest(probabilities, calibratedOutcomes)!.pValue).toBeGreaterThan(0.05);
+    });
+
+    it('should need at least three groups', () => {
+      expect(hosmerLemeshowTest([0.4, 0.6], [0, 1])).toBeNull();
+    });
+  });
+
+  describe('fitCalibrator', () => {
+    it('should shrink overconfident log-odds with Platt scaling', () => {
+      const { probabilities, outcomes } = overconfident(4000, 3);
+
+      const calibrator = fitCalibrator('platt', probabilities, outcomes);
+      const calibrated = probabilities.map(p => applyCalibrator(calibrator, p));
+
+      expect(calibrator.method).toBe('platt');
+      expect((calibrator as any).slope).toBeCloseTo(0.5, 1);
+      expect(calibrationReport(calibrated, outcomes).expectedCalibrationError)
+        .toBeLessThan(calibrationReport(probabilities, outcomes).expectedCalibrationError / 2);
+    });
+
+    it('should pool adjacent violators and interpolate between the fitted blocks', () => {
+      const calibrator = fitCalibrator('isotonic', [0.4, 0.1, 0.3, 0.2], [1, 0, 0, 1]);
+
+      expect(calibrator).toEqual({ method: 'isotonic', x: [0.1, 0.25, 0.4], y: [0, 0.5, 1] });
+      expect(applyCalibrator(calibrator, 0.175)).toBeCloseTo(0.25, 10);
+      expect(applyCalibrator(calibrator, 0.05)).toBe(0);
+      expect(applyCalibrator(calibrator, 0.9)).toBe(1);
+    });
+
+    it('should give equal raw probabilities one calibrated value', () => {
+      expect(fitCalibrator('isotonic', [0.5, 0.5, 0.7], [1, 0, 1])).toEqual({ method: 'isotonic', x: [0.5, 0.7], y: [0.5, 1] });
+    });
+
+    it('should need predictions to fit', () => {
+      expect(() => fitCalibrator('platt', [], [])).toThrow('Cannot fit a calibrator without predictions');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import {
+  ConstraintExpression,
+  ConstraintExpressionError
+} from '../../core/constraint-expression';
+import { ConstraintType } from '../../types/simulation.types';
+
+describe('ConstraintExpression', () => {
+  const variableNames = ['offensive_efficiency', 'turnovers'];
+
+  const gameState = {
+    score: { home: 14, away: 10 },
+    timeRemaining: { quarter: 4, minutes: 1, seconds: 45, overtime: false },
+    fieldPosition: { side: 'away', yardLine: 18 },
+    down: 3,
+    yardsToGo: 4,
+    timeouts: { home: 2, away: 1 },
+    momentum: { value: 0.2 }
+  };
+
+  const variables = { offensive_efficiency: 0.62, turnovers: 2 };
+
+  const compileError = (source: string): ConstraintExpressionError => {
+    try {
+      ConstraintExpression.compile(source, variableNames);
+    } catch (error) {
+      return error as ConstraintExpressionError;
+    }
+    throw new Error(`Expected '${source}' to fail compilation`);
+  };
+
+  describe('evaluation', () => {
+    it('should evaluate comparisons on game state and variables', () => {
+      const expression = ConstraintExpression.compile(
+        'gameState.fieldPosition.yardLine <= 20 && variables.offensive_efficiency >= 0.5',
+        variableNames
+      );
+
+      expect(expression.evaluate(gameState, variables)).toBe(true);
+      expect(expression.evaluate(gameState, { ...variables, offensive_efficiency: 0.4 })).toBe(false);
+    });
+
+    it('should respect operator precedence and parentheses', () => {
+      const expression = ConstraintExpression.compile(
+        '(gameState.score.home - gameState.score.away) * 2 > 6 || !(gameState.down == 3)',
+        variableNames
+      );
+
+      expect(expression.evaluate(gameState, variables)).toBe(true);
+    });
+
+    it('should support string comparisons and whitelisted functions', () => {
+      const expression = ConstraintExpression.compile(
+        "gameState.fieldPosition.side == 'away' && abs(gameState.score.away - gameState.score.home) <= max(3, variables.turnovers)",
+        variableNames
+      );
+
+      expect(expression.evaluate(gameState, variables)).toBe(false);
+      expect(expression.evaluate({ ...gameState, score: { home: 12, away: 10 } }, variables)).toBe(true);
+    });
+
+    it('should throw when a referenced field is missing at runtime', () => {
+      const expression = ConstraintExpression.compile('gameState.momentum.value > 0', variableNames);
+      const { momentum, ...withoutMomentum } = gameState;
+
+      expect(() => expression.evaluate(withoutMomentum, variables)).toThrow(ConstraintExpressionError);
+    });
+  });
+
+  describe('compile-time validation', () => {
+    it('should reject arbitrary JavaScript', () => {
+      const error = compileError("process.exit(1)");
+
+      expect(error).toBeInstanceOf(ConstraintExpressionError);
+      expect(error.reason).toBe("Unknown identifier 'process'");
+      expect(error.position).toBe(0);
+    });
+
+    it('should reject fields outside the whitelist', () => {
+      const error = compileError('variables.turnovers < 3 && gameState.game.homeTeam.id == "x"');
+
+      expect(error.reason).toContain("gameState.game.homeTeam.id");
+      expect(error.position).toBe(27);
+    });
+
+    it('should reject undeclared variables', () => {
+      const error = compileError('variables.momentum > 0');
+
+      expect(error.reason).toBe("Unknown variable 'momentum'");
+    });
+
+    it('should report the position of syntax errors', () => {
+      const error = compileError('variables.turnovers <= ');
+
+      expect(error.reason).toBe('Unexpected end of expression');
+      expect(error.position).toBe(23);
+      expect(error.message).toContain('at position 23');
+    });
+
+    it('should reject unsupported characters such as assignment', () => {
+      const error = compileError('variables.turnovers = 3');
+
+      expect(error.reason).toBe("Unexpected character '='");
+      expect(error.position).toBe(20);
+    });
+
+    it('should type-check operands', () => {
+      expect(compileError('variables.turnovers && true').reason).toContain("'&&' expects a boolean");
+      expect(compileError("gameState.fieldPosition.side < 3").reason).toContain("'<' expects a number");
+      expect(compileError("gameState.fieldPosition.side == 3").reason).toBe('Cannot compare string with number');
+    });
+
+    it('should require a boolean result', () => {
+      expect(compileError('variables.turnovers + 1').reason).toContain('must evaluate to a boolean');
+    });
+
+    it('should reject empty conditions', () => {
+      expect(compileError('   ').reason).toBe('Constraint condition is empty');
+    });
+
+    it('should name the constraint in compileConstraint errors', () => {
+      expect(() => ConstraintExpression.compileConstraint(
+        { name: 'bad_constraint', type: ConstraintType.HARD, condition: 'variables.unknown > 0' },
+        variableNames
+      )).toThrow("Constraint bad_constraint: Unknown variable 'unknown' at position 0");
+    });
+  });
+});
@@ -0,0 +1,158 @@
+import {
+  CorrelationMatrix,
+  CorrelationMatrixError,
+  GaussianCopulaSampler,
+  CorrelationTracker
+} from '../../core/correlated-sampling';
+import {
+  SimulationVariable,
+  VariableType,
+  DistributionType
+} from '../../types/simulation.types';
+
+describe('Correlated sampling', () => {
+  // Deterministic uniform source so the tests do not depend on Math.random
+  const createRandom = (seed: number) => {
+    let state = seed;
+    return () => {
+      state = (state * 1664525 + 1013904223) % 4294967296;
+      return state / 4294967296;
+    };
+  };
+
+  const variable = (
+    name: string,
+    type: DistributionType,
+    parameters: { [key: string]: number },
+    correlation: { variable: string; coefficient: number }[] = []
+  ): SimulationVariable => ({
+    name,
+    type: VariableType.CONTINUOUS,
+    distribution: { type, parameters },
+    correlation
+  });
+
+  const drawSamples = (variables: SimulationVariable[], count: number, seed: number) => {
+    const sampler = new GaussianCopulaSampler(variables);
+    const tracker = new CorrelationTracker(variables.map(v => v.name));
+    const random = createRandom(seed);
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+      const sample = sampler.sample(random);
+      tracker.record(sample);
+      samples.push(sample);
+    }
+    return { samples, tracker };
+  };
+
+  describe('CorrelationMatrix', () => {
+    it('should build a symmetric matrix from one-sided declarations', () => {
+      const matrix = CorrelationMatrix.fromVariables([
+        variable('a', DistributionType.NORMAL, { mean: 0, stddev: 1 }, [{ variable: 'b', coefficient: 0.4 }]),
+        variable('b', DistributionType.NORMAL, { mean: 0, stddev: 1 }),
+        variable('c', DistributionType.NORMAL, { mean: 0, stddev: 1 })
+      ]);
+
+      expect(matrix.values).toEqual([[1, 0.4, 0], [0.4, 1, 0], [0, 0, 1]]);
+      expect(matrix.get('b', 'a')).toBe(0.4);
+      expect(matrix.hasCorrelations()).toBe(true);
+    });
+
+    it('should reject conflicting coefficients for the same pair', () => {
+      expect(() => CorrelationMatrix.fromVariables([
+        variable('a', DistributionType.NORMAL, { mean: 0, stddev: 1 }, [{ variable: 'b', coefficient: 0.4 }]),
+        variable('b', DistributionType.NORMAL, { mean: 0, stddev: 1 }, [{ variable: 'a', coefficient: 0.3 }])
+      ])).toThrow(CorrelationMatrixError);
+    });
+
+    it('should factor a positive definite matrix', () => {
+      const matrix = new CorrelationMatrix(['a', 'b', 'c'], [[1, 0.5, 0.2], [0.5, 1, 0.3], [0.2, 0.3, 1]]);
+      const lower = matrix.cholesky();
+
+      for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+          let product = 0;
+          for (let k = 0; k < 3; k++) product += lower[i][k] * lower[j][k];
+          expect(product).toBeCloseTo(matrix.values[i][j], 12);
+        }
+      }
+    });
+
+    it('should detect matrices that are not positive semi-definite', () => {
+      const valid = new CorrelationMatrix(['a', 'b', 'c'], [[1, 1, 0.5], [1, 1, 0.5], [0.5, 0.5, 1]]);
+      const invalid = new CorrelationMatrix(['a', 'b', 'c'], [[1, 0.9, 0.9], [0.9, 1, -0.9], [0.9, -0.9, 1]]);
+
+      expect(valid.isPositiveSemiDefinite()).toBe(true);
+      expect(invalid.isPositiveSemiDefinite()).toBe(false);
+      expect(() => invalid.cholesky()).toThrow('Correlation matrix over [a, b, c] is not positive semi-definite');
+    });
+  });
+
+  describe('GaussianCopulaSampler', () => {
+    it('should reproduce the requested correlation for normal marginals', () => {
+      const { samples, tracker } = drawSamples([
+        variable('offense', DistributionType.NORMAL, { mean: 0.5, stddev: 0.1 }, [{ variable: 'defense', coefficient: -0.6 }]),
+        variable('defense', DistributionType.NORMAL, { mean: 0.5, stddev: 0.1 })
+      ], 5000, 11);
+
+      const mean = samples.reduce((sum, s) => sum + s.offense, 0) / samples.length;
+
+      expect(mean).toBeCloseTo(0.5, 2);
+      expect(tracker.correlation()[0][1]).toBeCloseTo(-0.6, 1);
+    });
+
+    it('should preserve mixed marginals while correlating them', () => {
+      const { samples, tracker } = drawSamples([
+        variable('efficiency', DistributionType.BETA, { alpha: 2, beta: 5 }, [
+          { variable: 'turnovers', coefficient: -0.5 },
+          { variable: 'yards', coefficient: 0.7 }
+        ]),
+        variable('turnovers', DistributionType.POISSON, { lambda: 1.5 }),
+        variable('yards', DistributionType.GAMMA, { shape: 4, scale: 80 })
+      ], 4000, 23);
+
+      const mean = (name: string) => samples.reduce((sum, s) => sum + s[name], 0) / samples.length;
+
+      expect(mean('efficiency')).toBeCloseTo(2 / 7, 1);
+      expect(mean('turnovers')).toBeCloseTo(1.5, 0);
+      expect(mean('yards') / 320).toBeCloseTo(1, 1);
+      expect(samples.every(s => Number.isInteger(s.turnovers) && s.turnovers >= 0)).toBe(true);
+      expect(samples.every(s => s.efficiency > 0 && s.efficiency < 1)).toBe(true);
+
+      const achieved = tracker.correlation();
+      expect(achieved[0][1]).toBeLessThan(-0.3);
+      expect(achieved[0][2]).toBeGreaterThan(0.5);
+    });
+
+    it('should keep binomial samples within range', () => {
+      const { samples } = drawSamples([
+        variable('completions', DistributionType.BINOMIAL, { n: 30, p: 0.65 }, [{ variable: 'noise', coefficient: 0.3 }]),
+        variable('noise', DistributionType.UNIFORM, { min: -1, max: 1 })
+      ], 1000, 5);
+
+      expect(samples.every(s => s.completions >= 0 && s.completions <= 30)).toBe(true);
+      expect(samples.every(s => s.noise >= -1 && s.noise <= 1)).toBe(true);
+    });
+  });
+
+  describe('CorrelationTracker', () => {
+    it('should give the same correlation when merged from partial moments', () => {
+      const variables = [
+        variable('a', DistributionType.NORMAL, { mean: 0, stddev: 1 }, [{ variable: 'b', coefficient: 0.8 }]),
+        variable('b', DistributionType.EXPONENTIAL, { lambda: 2 })
+      ];
+      const { samples, tracker } = drawSamples(variables, 600, 3);
+
+      const first = new CorrelationTracker(['a', 'b']);
+      const second = new CorrelationTracker(['b', 'a']);
+      samples.slice(0, 250).forEach(s => first.record(s));
+      samples.slice(250).forEach(s => second.record(s));
+
+      const merged = CorrelationTracker.fromMoments(first.toMoments());
+      merged.merge(second.toMoments());
+
+      expect(merged.sampleSize).toBe(600);
+      expect(merged.correlation()[0][1]).toBeCloseTo(tracker.correlation()[0][1], 10);
+    });
+  });
+});
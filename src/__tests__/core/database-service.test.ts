@@ -0,0 +1,105 @@
+import { DatabaseService } from '../../core/database-service';
+import { PlayByPlayRecord } from '../../core/play-by-play-importer';
+
+describe('DatabaseService', () => {
+  // Just enough SQL for the statements under test, over in-memory tables
+  const createDataSource = () => {
+    const tables: { [table: string]: any[] } = {
+      games: [{ id: 'game-1', home_team_id: 'home-team', away_team_id: 'away-team' }],
+      game_states: [],
+      game_probabilities: [],
+      play_by_play: []
+    };
+
+    const query = jest.fn(async (sql: string, params: any[] = []) => {
+      const statement = sql.replace(/\s+/g, ' ').trim();
+      const insert = statement.match(/^INSERT INTO (\w+) \(([^)]+)\)/);
+      if (insert) {
+        const columns = insert[2].split(',').map(column => column.trim());
+        tables[insert[1]].push(Object.fromEntries(columns.map((column, i) => [column, params[i]])));
+        return [];
+      }
+      const remove = statement.match(/^DELETE FROM (\w+) WHERE (\w+) (=|<) \$1/);
+      if (remove) {
+        const [, table, column, operator] = remove;
+        const before = tables[table].length;
+        tables[table] = tables[table].filter(row => (operator === '=' ? row[column] !== params[0] : !(row[column] < params[0])));
+        return { affectedRows: before - tables[table].length };
+      }
+      if (statement.startsWith('SELECT home_team_id, away_team_id FROM games')) {
+        return tables.games.filter(game => game.id === params[0]);
+      }
+      if (statement.includes('FROM play_by_play')) {
+        return tables.play_by_play
+          .filter(row => row.game_id === params[0])
+          .sort((a, b) => a.sequence - b.sequence)
+          .map(row => ({ ...row, home_team_id: 'home-team' }));
+      }
+      throw new Error(`Unexpected query: ${statement}`);
+    });
+
+    const queryRunner = {
+      connect: jest.fn(),
+      startTransaction: jest.fn(),
+      commitTransaction: jest.fn(),
+      rollbackTransaction: jest.fn(),
+      release: jest.fn(),
+      query
+    };
+
+    return { tables, dataSource: { query, createQueryRunner: () => queryRunner } };
+  };
+
+  const play = (timestamp: Date, homeScore: number): PlayByPlayRecord => ({
+    timestamp,
+    quarter: 1,
+    overtime: false,
+    minutesRemaining: 12,
+    secondsRemaining: 5,
+    homeScore,
+    awayScore: 0,
+    possession: 'home',
+    yardLine: 25,
+    fieldSide: 'home',
+    yardsToEndZone: 75,
+    down: 1,
+    yardsToGo: 10,
+    homeTimeouts: 3,
+    awayTimeouts: 3
+  });
+
+  let service: DatabaseService;
+  let fake: ReturnType<typeof createDataSource>;
+
+  beforeEach(() => {
+    service = new DatabaseService({} as any);
+    fake = createDataSource();
+    (service as any).dataSource = fake.dataSource;
+  });
+
+  describe('play-by-play imports', () => {
+    it('should store imports outside game_states and read them back in order', async () => {
+      const seasonOpener = new Date('2019-09-08T17:00:00Z');
+
+      await service.savePlayByPlayData('game-1', [play(seasonOpener, 0), play(seasonOpener, 7)]);
+      const plays = await service.getPlayByPlayData('game-1');
+
+      expect(fake.tables.game_states).toHaveLength(0);
+      expect(fake.tables.play_by_play.map(row => row.sequence)).toEqual([0, 1]);
+      expect(plays.map(p => p.homeScore)).toEqual([0, 7]);
+      expect(plays[0]).toEqual(expect.objectContaining({ possession: 'home', yardsToEndZone: 75, minutesRemaining: 12, secondsRemaining: 5 }));
+    });
+
+    it('should leave imported plays alone when cleaning up old data', async () => {
+      const longAgo = new Date('2015-09-10T00:30:00Z');
+      await service.savePlayByPlayData('game-1', [play(longAgo, 0), play(longAgo, 3)]);
+      fake.tables.game_states.push({ game_id: 'game-1', timestamp: longAgo });
+
+      const result = await service.cleanupOldData(365);
+
+      expect(result.gameStatesDeleted).toBe(1);
+      expect(fake.tables.game_states).toHaveLength(0);
+      expect(await service.getPlayByPlayData('game-1')).toHaveLength(2);
+    });
+  });
+});
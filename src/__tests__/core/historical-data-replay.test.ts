@@ -45,7 +45,10 @@ describe('HistoricalDataReplay', () => {
           yardLine: 25,
           fieldSide: 'home',
           possession: 'home',
-          momentumValue: 0
+          overtime: false,
+          yardsToEndZone: 75,
+          homeTimeouts: 3,
+          awayTimeouts: 3
         }
       ]);
       mockDatabaseService.getFinalScore.mockResolvedValue({
@@ -140,7 +143,11 @@ describe('HistoricalDataReplay', () => {
           yardsToGo: 10,
           yardLine: 25,
           fieldSide: 'home',
-          possession: 'home'
+          possession: 'home',
+          overtime: false,
+          yardsToEndZone: 75,
+          homeTimeouts: 3,
+          awayTimeouts: 3
         },
         {
           timestamp: new Date('2023-09-01T16:00:00Z'),
@@ -153,7 +160,11 @@ describe('HistoricalDataReplay', () => {
           yardsToGo: 0,
           yardLine: 0,
           fieldSide: 'home',
-          possession: 'home'
+          possession: 'home',
+          overtime: false,
+          yardsToEndZone: 100,
+          homeTimeouts: 1,
+          awayTimeouts: 0
         }
       ]);
       mockDatabaseService.getFinalScore.mockResolvedValue({
@@ -257,10 +268,12 @@ describe('HistoricalDataReplay', () => {
               gameState: {} as any,
               context: {
                 quarter: 4,
+                overtime: false,
                 timeRemaining: '00:00',
                 down: 0,
                 yardsToGo: 0,
                 fieldPosition: 0,
+                yardsToEndZone: 100,
                 possession: 'home' as const,
                 score: { home: 21, away: 14 }
               }
@@ -314,10 +327,12 @@ describe('HistoricalDataReplay', () => {
               gameState: {} as any,
               context: {
                 quarter: 4,
+                overtime: false,
                 timeRemaining: '00:00',
                 down: 0,
                 yardsToGo: 0,
                 fieldPosition: 0,
+                yardsToEndZone: 100,
                 possession: 'home' as const,
                 score: { home: 21, away: 14 } // Different from final outcome
               }
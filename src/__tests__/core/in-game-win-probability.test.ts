@@ -0,0 +1,236 @@
+import {
+  InGameWinProbabilityModel,
+  IN_GAME_WP_FEATURES,
+  buildInGameTrainingData,
+  situationFromGameState
+} from '../../core/in-game-win-probability';
+import { GameStateTracker, WinProbabilityUpdate } from '../../core/game-state-tracker';
+import { MLModelService } from '../../core/ml-model-service';
+import { ReplayDataPoint } from '../../core/historical-data-replay';
+import { SeededRandom } from '../../core/seeded-random';
+import { GameState } from '../../models/GameState';
+import { ModelType } from '../../types/ml.types';
+
+describe('in-game win probability', () => {
+  const homeTeam = { id: 'home' } as any;
+  const awayTeam = { id: 'away' } as any;
+
+  const state = (overrides: { [key: string]: any } = {}): GameState => ({
+    game: { id: overrides.gameId ?? 'game1', homeTeam, awayTeam },
+    score: { home: 0, away: 0 },
+    timeRemaining: { quarter: 1, minutes: 15, seconds: 0 },
+    possession: homeTeam,
+    fieldPosition: { side: 'home', yardLine: 25 },
+    down: 1,
+    yardsToGo: 10,
+    timeouts: { home: 3, away: 3 },
+    ...overrides
+  }) as any;
+
+  // Games whose outcome follows the lead more closely as the clock runs down
+  const replayedGames = (count: number, seed: number): ReplayDataPoint[] => {
+    const rng = new SeededRandom(seed);
+    return Array.from({ length: count }, (_, g) => {
+      const margin = Math.round((rng.next() - 0.5) * 28);
+      const winner = margin > 0 ? 'home' as const : margin < 0 ? 'away' as const : 'tie' as const;
+      const gameStates = [1, 2, 3, 4].map(quarter => {
+        const progress = quarter / 4;
+        const lead = Math.round(margin * progress + (rng.next() - 0.5) * 14 * (1 - progress));
+        const gameState = state({
+          gameId: `game${g}`,
+          score: { home: 10 + Math.max(0, lead), away: 10 + Math.max(0, -lead) },
+          timeRemaining: { quarter, minutes: Math.floor(rng.next() * 15), seconds: 0 },
+          possession: rng.next() < 0.5 ? homeTeam : awayTeam,
+          fieldPosition: { side: rng.next() < 0.5 ? 'home' : 'away', yardLine: 1 + Math.floor(rng.next() * 49) }
+        });
+        return { timestamp: new Date(Date.UTC(2023, 8, 1, 17, quarter * 15)), gameState, context: {} as any };
+      });
+      return {
+        game: { id: `game${g}` } as any,
+        gameStates,
+        finalOutcome: { homeScore: 0, awayScore: 0, winner, margin: Math.abs(margin), totalPoints: 0 },
+        metadata: { season: 2023, week: 1, gameType: 'regular_season' as any, venue: 'Stadium' }
+      };
+    });
+  };
+
+  describe('situationFromGameState', () => {
+    it('should describe the game from the home team side', () => {
+      const situation = situationFromGameState(state({
+        score: { home: 10, away: 17 },
+        timeRemaining: { quarter: 3, minutes: 4, seconds: 30 },
+        possession: awayTeam,
+        fieldPosition: { side: 'away', yardLine: 20 },
+        down: 3,
+        yardsToGo: 6,
+        timeouts: { home: 1, away: 2 }
+      }), -3.5);
+
+      expect(situation).toEqual({
+        scoreDifferential: -7,
+        secondsRemaining: 15 * 60 + 270,
+        overtime: false,
+        possession: 'away',
+        down: 3,
+        yardsToGo: 6,
+        yardsToEndZone: 80,
+        homeTimeouts: 1,
+        awayTimeouts: 2,
+        pregameSpread: -3.5
+      });
+    });
+
+    it('should count only the overtime clock and treat kickoffs as downless', () => {
+      const situation = situationFromGameState(state({
+        timeRemaining: { quarter: 5, minutes: 8, seconds: 0, overtime: true },
+        fieldPosition: { side: 'away', yardLine: 35 },
+        down: 0,
+        yardsToGo: 0
+      }));
+
+      expect(situation).toEqual(expect.objectContaining({ secondsRemaining: 480, overtime: true, down: 0, yardsToGo: 0, yardsToEndZone: 35 }));
+    });
+  });
+
+  describe('buildInGameTrainingData', () => {
+    it('should label every state with the final result and the game spread', () => {
+      const data = replayedGames(3, 1);
+      data[2].finalOutcome.winner = 'tie';
+
+      const training = buildInGameTrainingData(data, { game1: -6 });
+      const spread = IN_GAME_WP_FEATURES.indexOf('pregameSpread');
+
+      expect(training.features).toHaveLength(12);
+      expect(training.featureNames).toEqual(IN_GAME_WP_FEATURES);
+      expect(training.targets.slice(8)).toEqual([0.5, 0.5, 0.5, 0.5]);
+      expect(training.features.map(row => row[spread])).toEqual([0, 0, 0, 0, -6, -6, -6, -6, 0, 0, 0, 0]);
+    });
+  });
+
+  describe('InGameWinProbabilityModel', () => {
+    let mlModelService: MLModelService;
+
+    beforeEach(() => {
+      const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() } as any;
+      mlModelService = new MLModelService(logger, {} as any);
+    });
+
+    it('should serve a model whose win probability never falls as the home lead grows', async () => {
+      const model = new InGameWinProbabilityModel(mlModelService);
+      const trained = await model.train(replayedGames(150, 2));
+
+      expect(trained.type).toBe(ModelType.XGBOOST);
+      expect(trained.hyperparameters.monotone_constraints).toEqual(expect.objectContaining({ scoreDifferential: 1 }));
+      expect(model.getModelId()).toBe(trained.id);
+
+      for (const quarter of [1, 4]) {
+        const probabilities: number[] = [];
+        for (let lead = -21; lead <= 21; lead += 3) {
+          probabilities.push(await model.predictGameState(state({
+            score: { home: 21 + lead, away: 21 },
+            timeRemaining: { quarter, minutes: 5, seconds: 0 },
+            possession: awayTeam
+          })));
+        }
+        probabilities.slice(1).forEach((p, i) => expect(p).toBeGreaterThanOrEqual(probabilities[i]));
+        expect(probabilities[probabilities.length - 1]).toBeGreaterThan(probabilities[0]);
+      }
+
+      const lateLead = await model.predictGameState(state({ score: { home: 28, away: 17 }, timeRemaining: { quarter: 4, minutes: 1, seconds: 0 } }));
+      expect(lateLead).toBeGreaterThan(0.8);
+
+      // It is the model behind the probabilities endpoint and passes its schema check
+      expect((await mlModelService.deployModel(trained.id)).endpoint).toBe('probabilities');
+    });
+
+    it('should refuse to serve a model that does not take the endpoint\'s features', async () => {
+      const other = await mlModelService.createModel({
+        type: ModelType.XGBOOST,
+        hyperparameters: { n_estimators: 2, max_depth: 2, learning_rate: 0.3 },
+        features: ['secondsRemaining', 'scoreDifferential'],
+        targetVariable: 'homeWin',
+        validationSplit: 0,
+        crossValidationFolds: 0
+      });
+      await mlModelService.trainModel(other.id, {
+        features: [[3600, 0], [60, 7], [60, -7], [1800, 3]],
+        targets: [1, 1, 0, 0],
+        featureNames: ['secondsRemaining', 'scoreDifferential'],
+        metadata: { size: 4, startDate: new Date(), endDate: new Date(), source: 'test' }
+      });
+
+      await expect(new InGameWinProbabilityModel(mlModelService, other.id).predictGameState(state()))
+        .rejects.toThrow(`Model ${other.name} 1.0.0 does not match the in-game-win-probability v1 feature schema`);
+    });
+
+    it('should need training before it predicts', async () => {
+      await expect(new InGameWinProbabilityModel(mlModelService).predictGameState(state()))
+        .rejects.toThrow('In-game win probability model has not been trained');
+      await expect(new InGameWinProbabilityModel(mlModelService).train([]))
+        .rejects.toThrow('No game states to train the in-game win probability model on');
+    });
+  });
+
+  describe('GameStateTracker', () => {
+    // In-memory stand-in for the Redis calls the tracker makes
+    const createCache = () => {
+      const values = new Map<string, any>();
+      return {
+        values,
+        get: jest.fn(async (key: string) => values.get(key) ?? null),
+        set: jest.fn(async (key: string, value: any) => {
+          values.set(key, value);
+        }),
+        getList: jest.fn(async () => []),
+        addToList: jest.fn(async () => undefined),
+        expire: jest.fn(async () => true)
+      };
+    };
+
+    // The tracker's momentum calculation needs GameState methods
+    const trackedState = (overrides: { [key: string]: any } = {}) =>
+      new GameState({ ...state(overrides), drives: [], penalties: [] });
+
+    it('should emit win probability and WPA for each state update', async () => {
+      const predictions = [0.6, 0.75, 0.7];
+      const model = { predictGameState: jest.fn(async () => predictions.shift()!) };
+      const tracker = new GameStateTracker(createCache() as any, {}, model as any);
+      const updates: WinProbabilityUpdate[] = [];
+      tracker.on('win_probability', update => updates.push(update));
+
+      const play = { id: 'play1', description: 'Pass complete for 12 yards' } as any;
+      try {
+        await tracker.initializeGame(trackedState(), -3);
+        await tracker.updateGameState(trackedState({ lastPlay: play, down: 1, fieldPosition: { side: 'home', yardLine: 37 } }));
+        await tracker.updateGameState(trackedState({ down: 2 }));
+      } finally {
+        await tracker.finalizeGame('game1');
+      }
+
+      expect(model.predictGameState).toHaveBeenCalledTimes(3);
+      expect(model.predictGameState.mock.calls.map((call: any[]) => call[1])).toEqual([-3, -3, -3]);
+      expect(updates).toHaveLength(2);
+      expect(updates[0]).toEqual(expect.objectContaining({ gameId: 'game1', homeWinProbability: 0.75, pregameSpread: -3, play }));
+      expect(updates[0].winProbabilityAdded).toBeCloseTo(0.15, 10);
+      expect(updates[1].winProbabilityAdded).toBeCloseTo(-0.05, 10);
+      expect((await tracker.getCurrentWinProbability('game1'))!.homeWinProbability).toBe(0.7);
+    });
+
+    it('should track games without a win probability model', async () => {
+      const cache = createCache();
+      const tracker = new GameStateTracker(cache as any);
+      const listener = jest.fn();
+      tracker.on('win_probability', listener);
+
+      try {
+        await tracker.initializeGame(trackedState());
+        await tracker.updateGameState(trackedState({ down: 2 }));
+      } finally {
+        await tracker.finalizeGame('game1');
+      }
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(await tracker.getCurrentWinProbability('game1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,141 @@
+import { SimplexSolver, BranchAndBoundSolver, IntegerProgram } from '../../core/integer-programming';
+
+describe('SimplexSolver', () => {
+  const solver = new SimplexSolver();
+
+  it('should solve a textbook linear program', () => {
+    // max 3x + 5y s.t. x <= 4, 2y <= 12, 3x + 2y <= 18
+    const solution = solver.solve({
+      variableCount: 2,
+      objective: [3, 5],
+      constraints: [
+        { terms: [[0, 1]], sense: '<=', rhs: 4 },
+        { terms: [[1, 2]], sense: '<=', rhs: 12 },
+        { terms: [[0, 3], [1, 2]], sense: '<=', rhs: 18 }
+      ]
+    });
+
+    expect(solution.status).toBe('OPTIMAL');
+    expect(solution.value).toBeCloseTo(36);
+    expect(solution.values[0]).toBeCloseTo(2);
+    expect(solution.values[1]).toBeCloseTo(6);
+  });
+
+  it('should respect variable bounds and equality rows', () => {
+    // max x + y + z s.t. x + y + z = 2, x >= 0.5, y <= 0.25, z <= 1
+    const solution = solver.solve({
+      variableCount: 3,
+      objective: [1, 2, 3],
+      constraints: [{ terms: [[0, 1], [1, 1], [2, 1]], sense: '=', rhs: 2 }],
+      lowerBounds: [0.5, 0, 0],
+      upperBounds: [Infinity, 0.25, 1]
+    });
+
+    expect(solution.status).toBe('OPTIMAL');
+    expect(solution.values[0]).toBeCloseTo(0.75);
+    expect(solution.values[1]).toBeCloseTo(0.25);
+    expect(solution.values[2]).toBeCloseTo(1);
+    expect(solution.value).toBeCloseTo(4.25);
+  });
+
+  it('should detect infeasible and unbounded programs', () => {
+    expect(solver.solve({
+      variableCount: 2,
+      objective: [1, 1],
+      constraints: [
+        { terms: [[0, 1], [1, 1]], sense: '>=', rhs: 3 },
+        { terms: [[0, 1], [1, 1]], sense: '<=', rhs: 2 }
+      ]
+    }).status).toBe('INFEASIBLE');
+
+    expect(solver.solve({
+      variableCount: 2,
+      objective: [1, 0],
+      constraints: [{ terms: [[0, 1], [1, -1]], sense: '<=', rhs: 1 }]
+    }).status).toBe('UNBOUNDED');
+  });
+});
+
+describe('BranchAndBoundSolver', () => {
+  const solver = new BranchAndBoundSolver();
+
+  // Deterministic values; Math.random is mocked in the test setup
+  const sequence = (seed: number) => () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+
+  const knapsack = (values: number[], weights: number[], capacity: number): IntegerProgram => ({
+    variableCount: values.length,
+    objective: values,
+    constraints: [{ terms: weights.map((w, j) => [j, w] as [number, number]), sense: '<=', rhs: capacity }],
+    upperBounds: values.map(() => 1),
+    integerVariables: values.map((_, j) => j)
+  });
+
+  it('should match brute force on random knapsacks', () => {
+    const next = sequence(11);
+
+    for (let trial = 0; trial < 5; trial++) {
+      const values = Array.from({ length: 12 }, () => Math.round(next() * 100));
+      const weights = Array.from({ length: 12 }, () => 5 + Math.round(next() * 40));
+      const capacity = 100;
+
+      let best = 0;
+      for (let mask = 0; mask < (1 << 12); mask++) {
+        let value = 0;
+        let weight = 0;
+        for (let j = 0; j < 12; j++) {
+          if (mask & (1 << j)) {
+            value += values[j];
+            weight += weights[j];
+          }
+        }
+        if (weight <= capacity) best = Math.max(best, value);
+      }
+
+      const solution = solver.solve(knapsack(values, weights, capacity));
+      expect(solution.status).toBe('OPTIMAL');
+      expect(solution.value).toBeCloseTo(best);
+      expect(solution.values.every(x => x === 0 || x === 1)).toBe(true);
+    }
+  });
+
+  it('should report infeasible integer programs', () => {
+    // 2x + 2y = 3 has no 0/1 solution
+    const solution = solver.solve({
+      variableCount: 2,
+      objective: [1, 1],
+      constraints: [{ terms: [[0, 2], [1, 2]], sense: '=', rhs: 3 }],
+      upperBounds: [1, 1],
+      integerVariables: [0, 1]
+    });
+
+    expect(solution.status).toBe('INFEASIBLE');
+  });
+
+  it('should not call a program infeasible when the node limit stops the search', () => {
+    const solution = solver.solve({
+      variableCount: 2,
+      objective: [1, 1],
+      constraints: [{ terms: [[0, 2], [1, 2]], sense: '=', rhs: 3 }],
+      upperBounds: [1, 1],
+      integerVariables: [0, 1]
+    }, { maxNodes: 1 });
+
+    expect(solution.status).toBe('NODE_LIMIT');
+    expect(solution.values).toEqual([]);
+    expect(solution.nodesExplored).toBe(1);
+  });
+
+  it('should cut off solutions rejected by the caller', () => {
+    const program = knapsack([10, 9, 8], [1, 1, 1], 2);
+    const solution = solver.solve(program, {
+      rejectSolution: values => (values[0] === 1 && values[1] === 1 ? [0, 1, 2] : null)
+    });
+
+    expect(solution.status).toBe('OPTIMAL');
+    expect(solution.values).toEqual([1, 0, 1]);
+    expect(solution.value).toBe(18);
+  });
+});
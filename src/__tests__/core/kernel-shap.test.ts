@@ -0,0 +1,73 @@
+import { kernelShap, subsampleBackground, BatchPredictor } from '../../core/kernel-shap';
+import { SeededRandom } from '../../core/seeded-random';
+
+describe('KernelSHAP', () => {
+  const linear = (weights: number[], intercept: number): BatchPredictor =>
+    async rows => rows.map(row => row.reduce((sum, value, i) => sum + value * weights[i], intercept));
+
+  const background = (rows: number, features: number, seed: number): number[][] => {
+    const rng = new SeededRandom(seed);
+    return Array.from({ length: rows }, () => Array.from({ length: features }, () => rng.next() * 4));
+  };
+
+  it('should recover weight times distance from the background mean for a linear model', async () => {
+    const weights = [2, -1, 0.5, 3];
+    const rows = background(20, 4, 1);
+    const x = [1, 2, 3, 4];
+
+    const result = await kernelShap(linear(weights, 1), x, rows);
+
+    weights.forEach((w, i) => {
+      const mean = rows.reduce((sum, row) => sum + row[i], 0) / rows.length;
+      expect(result.shapValues[i]).toBeCloseTo(w * (x[i] - mean), 8);
+    });
+  });
+
+  it('should split a pure interaction evenly against a single baseline', async () => {
+    const product: BatchPredictor = async rows => rows.map(row => row[0] * row[1]);
+
+    const result = await kernelShap(product, [2, 3, 5], [[0, 0, 0]]);
+
+    expect(result.shapValues[0]).toBeCloseTo(3, 10);
+    expect(result.shapValues[1]).toBeCloseTo(3, 10);
+    expect(result.shapValues[2]).toBeCloseTo(0, 10);
+    expect(result.prediction).toBe(6);
+    expect(result.baseValue).toBe(0);
+  });
+
+  it('should sample coalitions when there are too many to enumerate and still add up', async () => {
+    const weights = Array.from({ length: 14 }, (_, i) => i - 7);
+    const rows = background(5, 14, 2);
+    const x = Array.from({ length: 14 }, (_, i) => i / 2);
+    const nonlinear: BatchPredictor = async batch => (await linear(weights, 0)(batch)).map(v => Math.tanh(v / 50));
+
+    const sampled = await kernelShap(linear(weights, 0), x, rows, { samples: 300, seed: 3 });
+    const squashed = await kernelShap(nonlinear, x, rows, { samples: 300, seed: 3 });
+
+    const mean = (i: number) => rows.reduce((sum, row) => sum + row[i], 0) / rows.length;
+    sampled.shapValues.forEach((value, i) => expect(value).toBeCloseTo(weights[i] * (x[i] - mean(i)), 6));
+    expect(squashed.shapValues.reduce((sum, v) => sum + v, 0)).toBeCloseTo(squashed.prediction - squashed.baseValue, 10);
+  });
+
+  it('should give no credit to features that match every background row', async () => {
+    const result = await kernelShap(linear([1, 1], 0), [3, 1], [[0, 1], [2, 1]]);
+
+    expect(result.shapValues).toEqual([2, 0]);
+  });
+
+  it('should require background data', async () => {
+    await expect(kernelShap(linear([1], 0), [1], [])).rejects.toThrow('KernelSHAP requires at least one background row');
+  });
+
+  it('should subsample large backgrounds reproducibly without repeating rows', () => {
+    const rows = background(50, 3, 4);
+
+    const subsample = subsampleBackground(rows, 10, 7);
+
+    expect(subsample).toHaveLength(10);
+    expect(new Set(subsample).size).toBe(10);
+    subsample.forEach(row => expect(rows).toContain(row));
+    expect(subsampleBackground(rows, 10, 7)).toEqual(subsample);
+    expect(subsampleBackground(rows.slice(0, 5), 10)).toEqual(rows.slice(0, 5));
+  });
+});
@@ -0,0 +1,298 @@
+import {
+  LineMovementTracker,
+  OddsObservation,
+  buildLineChart,
+  mainPropLines,
+  observationsFromBettingLine
+} from '../../core/line-movement-tracker';
+import { BettingLine, PlayerPropLine } from '../../types/game.types';
+
+describe('LineMovementTracker', () => {
+  beforeAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const at = (time: string) => new Date(`2024-09-08T${time}:00Z`);
+
+  const line = (sportsbook: string, homeSpread: number, time: string, moneyline = { home: -150, away: 130 }): BettingLine => ({
+    gameId: 'evt-1',
+    sportsbook,
+    spread: { home: homeSpread, away: -homeSpread, homeOdds: -110, awayOdds: -110 },
+    total: { line: 47.5, overOdds: -110, underOdds: -110 },
+    moneyline,
+    lastUpdated: at(time)
+  });
+
+  const prop = (sportsbook: string, value: number, time: string): PlayerPropLine => ({
+    gameId: 'evt-1',
+    sportsbook,
+    market: 'player_pass_yds',
+    player: 'Patrick Mahomes',
+    line: value,
+    overOdds: -115,
+    underOdds: -105,
+    lastUpdated: at(time)
+  });
+
+  const createAlerting = () => ({
+    getAllRules: jest.fn(() => []),
+    addRule: jest.fn(),
+    triggerAlert: jest.fn()
+  });
+
+  const books = ['draftkings', 'fanduel', 'betmgm'];
+
+  it('should turn betting lines into observations and skip missing markets', () => {
+    const observations = observationsFromBettingLine({
+      ...line('draftkings', -3, '12:00'),
+      total: { line: 0, overOdds: 0, underOdds: 0 },
+      moneyline: { home: 0, away: 0 }
+    });
+
+    expect(observations).toEqual([
+      { gameId: 'evt-1', sportsbook: 'draftkings', observedAt: at('12:00'), market: 'spread', selection: 'home', point: -3, price: -110 },
+      { gameId: 'evt-1', sportsbook: 'draftkings', observedAt: at('12:00'), market: 'spread', selection: 'away', point: 3, price: -110 }
+    ]);
+  });
+
+  it('should not record a spread the book is not offering as a pick\'em', async () => {
+    const store = {
+      saveOddsObservations: jest.fn(async (observations: OddsObservation[]) => observations.length),
+      getOddsHistory: jest.fn(async () => [])
+    };
+    const tracker = new LineMovementTracker(store);
+    const withoutSpread = { ...line('draftkings', -3, '12:30'), spread: { home: 0, away: 0, homeOdds: 0, awayOdds: 0 } };
+
+    expect(observationsFromBettingLine(withoutSpread).map(o => o.market)).toEqual(['total', 'total', 'moneyline', 'moneyline']);
+
+    await tracker.recordBettingLines([line('draftkings', -3, '12:00')]);
+    await tracker.recordBettingLines([withoutSpread]);
+    await tracker.recordBettingLines([line('draftkings', -3, '13:00')]);
+
+    expect(store.saveOddsObservations).toHaveBeenCalledTimes(1);
+  });
+
+  it('should store only prices that changed', async () => {
+    const store = {
+      saveOddsObservations: jest.fn(async (observations: OddsObservation[]) => observations.length),
+      getOddsHistory: jest.fn(async () => [])
+    };
+    const tracker = new LineMovementTracker(store);
+
+    await tracker.recordBettingLines([line('draftkings', -3, '12:00')]);
+    await tracker.recordBettingLines([line('draftkings', -3, '12:30')]);
+    await tracker.recordBettingLines([line('draftkings', -3.5, '13:00')]);
+
+    expect(store.saveOddsObservations).toHaveBeenCalledTimes(2);
+    expect(store.saveOddsObservations.mock.calls[0][0]).toHaveLength(6);
+    expect(store.saveOddsObservations.mock.calls[1][0].map((o: OddsObservation) => [o.selection, o.point])).toEqual([
+      ['home', -3.5],
+      ['away', 3.5]
+    ]);
+  });
+
+  it('should flag a steam move when several books move the same way within the window', async () => {
+    const alerting = createAlerting();
+    const tracker = new LineMovementTracker(undefined, alerting as any);
+
+    await tracker.recordBettingLines(books.map(book => line(book, -3, '12:00')));
+    expect(await tracker.recordBettingLines([line('draftkings', -3.5, '14:00')])).toEqual([]);
+    expect(await tracker.recordBettingLines([line('fanduel', -3.5, '14:03')])).toEqual([]);
+    const signals = await tracker.recordBettingLines([line('betmgm', -3.5, '14:06')]);
+
+    expect(signals).toEqual([
+      expect.objectContaining({
+        type: 'steam',
+        gameId: 'evt-1',
+        market: 'spread',
+        direction: 'home',
+        books: ['betmgm', 'draftkings', 'fanduel'],
+        pointMove: 0.5,
+        windowStart: at('13:56'),
+        windowEnd: at('14:06')
+      })
+    ]);
+    expect(alerting.addRule.mock.calls.map(([rule]) => rule.id)).toEqual(['odds_steam_move', 'odds_reverse_line_movement']);
+    expect(alerting.triggerAlert).toHaveBeenCalledWith('odds_steam_move', 3, expect.objectContaining({
+      gameId: 'evt-1',
+      market: 'spread',
+      direction: 'home',
+      pointMove: '0.5'
+    }));
+
+    // The same move seen again inside the cooldown is not raised twice
+    expect(await tracker.recordBettingLines([line('draftkings', -4, '14:08')])).toEqual([]);
+    expect(tracker.getSignals('evt-1')).toHaveLength(1);
+  });
+
+  it('should not flag books that moved too far apart in time', async () => {
+    const tracker = new LineMovementTracker();
+
+    await tracker.recordBettingLines(books.map(book => line(book, -3, '12:00')));
+    await tracker.recordBettingLines([line('draftkings', -3.5, '13:00')]);
+    await tracker.recordBettingLines([line('fanduel', -3.5, '13:30')]);
+    const signals = await tracker.recordBettingLines([line('betmgm', -3.5, '14:00')]);
+
+    expect(signals).toEqual([]);
+  });
+
+  it('should detect steam on the price when the number holds', async () => {
+    const tracker = new LineMovementTracker();
+
+    await tracker.recordBettingLines(books.map(book => line(book, -3, '12:00')));
+    const signals = await tracker.recordBettingLines(
+      books.map(book => line(book, -3, '12:05', { home: 120, away: -140 }))
+    );
+
+    expect(signals).toHaveLength(1);
+    expect(signals[0]).toMatchObject({ type: 'steam', market: 'moneyline', direction: 'away', pointMove: 0 });
+    expect(signals[0].probabilityMove).toBeGreaterThan(0.1);
+  });
+
+  it('should detect steam on player props', async () => {
+    const tracker = new LineMovementTracker();
+
+    await tracker.recordPlayerProps(books.map(book => prop(book, 274.5, '12:00')));
+    const signals = await tracker.recordPlayerProps(books.map(book => prop(book, 279.5, '12:02')));
+
+    expect(signals).toEqual([
+      expect.objectContaining({
+        type: 'steam',
+        market: 'player_prop',
+        propKey: 'player_pass_yds:Patrick Mahomes',
+        direction: 'over',
+        pointMove: 5
+      })
+    ]);
+  });
+
+  it('should track only the main line when a book also quotes alternates', async () => {
+    const store = {
+      saveOddsObservations: jest.fn(async (observations: OddsObservation[]) => observations.length),
+      getOddsHistory: jest.fn(async () => [])
+    };
+    const tracker = new LineMovementTracker(store);
+    const alternates = (time: string) => [
+      { ...prop('draftkings', 249.5, time), overOdds: -250, underOdds: 190 },
+      prop('draftkings', 274.5, time),
+      { ...prop('draftkings', 299.5, time), overOdds: 210, underOdds: -280 }
+    ];
+
+    expect(mainPropLines([{ ...prop('fanduel', 274.5, '12:00'), underOdds: null }, prop('fanduel', 299.5, '12:00')]))
+      .toEqual([prop('fanduel', 299.5, '12:00')]);
+
+    const signals = await tracker.recordPlayerProps([...alternates('12:00'), ...alternates('12:05')]);
+
+    expect(signals).toEqual([]);
+    expect(store.saveOddsObservations).toHaveBeenCalledWith([
+      expect.objectContaining({ selection: 'over', point: 274.5, price: -115 }),
+      expect.objectContaining({ selection: 'under', point: 274.5, price: -105 })
+    ]);
+  });
+
+  it('should flag reverse line movement against the public side', async () => {
+    const alerting = createAlerting();
+    const tracker = new LineMovementTracker(undefined, alerting as any);
+
+    await tracker.recordBettingLines(books.map(book => line(book, -3, '09:00')));
+    await tracker.recordBettingLines([line('draftkings', -2.5, '11:00')]);
+    await tracker.recordBettingLines([line('fanduel', -2.5, '13:00')]);
+    const signals = await tracker.recordBettingSplit({ gameId: 'evt-1', market: 'spread', selection: 'home', ticketShare: 0.72 });
+
+    expect(signals).toEqual([
+      expect.objectContaining({
+        type: 'reverse_line_movement',
+        direction: 'away',
+        books: ['draftkings', 'fanduel'],
+        pointMove: 0.5,
+        ticketShare: 0.72,
+        windowStart: at('09:00'),
+        windowEnd: at('13:00')
+      })
+    ]);
+    expect(alerting.triggerAlert).toHaveBeenCalledWith('odds_reverse_line_movement', 2, expect.objectContaining({
+      ticketShare: '0.72'
+    }));
+
+    // A move toward the public is not reverse line movement
+    const other = new LineMovementTracker();
+    await other.recordBettingLines(books.map(book => line(book, -3, '09:00')));
+    await other.recordBettingLines([line('draftkings', -3.5, '11:00'), line('fanduel', -3.5, '13:00')]);
+    expect(await other.recordBettingSplit({ gameId: 'evt-1', market: 'spread', selection: 'away', ticketShare: 0.3 })).toEqual([]);
+  });
+
+  it('should keep only openings and the steam window in memory once history is persisted', async () => {
+    const store = {
+      saveOddsObservations: jest.fn(async (observations: OddsObservation[]) => observations.length),
+      getOddsHistory: jest.fn(async () => [])
+    };
+    const tracker = new LineMovementTracker(store);
+    const spreadHistory = () => (tracker as any).history.get('evt-1')
+      .filter((o: OddsObservation) => o.market === 'spread' && o.selection === 'home' && o.sportsbook === 'draftkings')
+      .map((o: OddsObservation) => o.point);
+
+    await tracker.recordBettingLines(books.map(book => line(book, -3, '09:00')));
+    for (let hour = 10; hour < 20; hour++) {
+      await tracker.recordBettingLines([line('draftkings', hour % 2 === 0 ? -2.5 : -2, `${hour}:00`)]);
+    }
+    await tracker.recordBettingLines([line('fanduel', -2.5, '19:30')]);
+
+    // The opening and the last price before the 19:20 window start
+    expect(spreadHistory()).toEqual([-3, -2]);
+    expect(store.saveOddsObservations).toHaveBeenCalledTimes(12);
+
+    // Reverse line movement is still measured from the opening line
+    const signals = await tracker.recordBettingSplit({ gameId: 'evt-1', market: 'spread', selection: 'home', ticketShare: 0.7 });
+    expect(signals).toEqual([
+      expect.objectContaining({ type: 'reverse_line_movement', books: ['draftkings', 'fanduel'], windowStart: at('09:00') })
+    ]);
+
+    // Steam is measured from each book's price at the window start, as with the full history
+    const steam = await tracker.recordBettingLines(books.map(book => line(book, -3.5, '19:35')));
+    expect(steam).toEqual([expect.objectContaining({ type: 'steam', direction: 'home', books: ['betmgm', 'draftkings', 'fanduel'] })]);
+    expect(steam[0].pointMove).toBeCloseTo((1.5 + 0.5 + 0.5) / 3, 10);
+  });
+
+  it('should forget idle games when persisted and cap the signals it keeps', async () => {
+    const store = {
+      saveOddsObservations: jest.fn(async (observations: OddsObservation[]) => observations.length),
+      getOddsHistory: jest.fn(async () => [])
+    };
+    const tracker = new LineMovementTracker(store, undefined, { gameRetentionHours: 2, maxSignals: 1 });
+
+    await tracker.recordBettingLines(books.map(book => line(book, -3, '09:00')));
+    await tracker.recordBettingLines(books.map(book => line(book, -3.5, '09:05')));
+    await tracker.recordBettingLines(books.map(book => ({ ...line(book, -7, '12:00'), gameId: 'evt-2' })));
+    await tracker.recordBettingLines(books.map(book => ({ ...line(book, -7.5, '12:05'), gameId: 'evt-2' })));
+
+    expect(tracker.getSignals().map(signal => signal.gameId)).toEqual(['evt-2']);
+    expect((tracker as any).history.has('evt-1')).toBe(false);
+    expect([...(tracker as any).latest.values()].every((o: OddsObservation) => o.gameId === 'evt-2')).toBe(true);
+    expect([...(tracker as any).lastAlerted.keys()].every((key: string) => key.startsWith('evt-2|'))).toBe(true);
+  });
+
+  it('should reject ticket shares outside 0-1', async () => {
+    const tracker = new LineMovementTracker();
+
+    await expect(tracker.recordBettingSplit({ gameId: 'evt-1', market: 'spread', selection: 'home', ticketShare: 72 }))
+      .rejects.toThrow('ticketShare must be between 0 and 1');
+  });
+
+  it('should replay line history as chart series per book', async () => {
+    const tracker = new LineMovementTracker();
+
+    await tracker.recordBettingLines([line('draftkings', -3, '12:00'), line('fanduel', -3, '12:00')]);
+    await tracker.recordBettingLines([line('draftkings', -3.5, '15:00')]);
+
+    const history = await tracker.getLineHistory('evt-1', at('14:00'));
+    expect(history.map(observation => observation.point)).toEqual([-3.5, 3.5]);
+
+    const chart = buildLineChart(await tracker.getLineHistory('evt-1'));
+    const homeSpread = chart.find(series => series.market === 'spread' && series.selection === 'home' && series.sportsbook === 'draftkings');
+    expect(homeSpread!.points).toEqual([
+      { observedAt: at('12:00'), point: -3, price: -110 },
+      { observedAt: at('15:00'), point: -3.5, price: -110 }
+    ]);
+    expect(await tracker.getLineChart('evt-1')).toHaveLength(12);
+  });
+});
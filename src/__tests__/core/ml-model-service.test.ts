@@ -1,5 +1,9 @@
 import { MLModelService, IMLModelService } from '../../core/ml-model-service';
 import { IShapExplainer } from '../../core/shap-explainer';
+import { XGBoostModel } from '../../core/models/xgboost-model';
+import { ModelRegistry } from '../../core/model-registry';
+import { IN_GAME_WIN_PROBABILITY_SCHEMA } from '../../core/probability-features';
+import { applyCalibrator } from '../../core/calibration';
 import { 
   ModelType, 
   ModelStatus, 
@@ -12,6 +16,9 @@ import {
   GlobalExplanation
 } from '../../types/ml.types';
 import { Logger } from 'winston';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
 
 describe('MLModelService', () => {
   let service: IMLModelService;
@@ -355,6 +362,51 @@ describe('MLModelService', () => {
       await expect(service.deployModel(untrainedModel.id))
         .rejects.toThrow(`Model ${untrainedModel.id} must be trained before deployment`);
     });
+
+    it('should serve the model rebuilt from its serialized trees', async () => {
+      const features: FeatureVector = { values: [1.8], names: ['feature1'], timestamp: new Date() };
+      const trained = await service.predict(modelId, features);
+
+      const deployedModel = await service.deployModel(modelId);
+      const served = await service.predict(modelId, features);
+      const restored = XGBoostModel.fromJSON(JSON.parse(JSON.stringify(deployedModel.artifact)));
+
+      expect(deployedModel.artifact!.format).toBe('xgboost-ts');
+      expect(served.value).toBe(trained.value);
+      expect(served.value).toBe(await restored.predict(features));
+      expect(served.value).toBeGreaterThan(0.5);
+    });
+  });
+
+  describe('Neural Network Training', () => {
+    it('should record the epochs actually run and serve the trained weights', async () => {
+      const model = await service.createModel({
+        type: ModelType.NEURAL_NETWORK,
+        hyperparameters: { hidden_layers: [4], learning_rate: 0.05, epochs: 200, early_stopping_patience: 2 },
+        features: ['feature1'],
+        targetVariable: 'target',
+        validationSplit: 0.2,
+        crossValidationFolds: 5
+      });
+      const trainingData: TrainingData = {
+        features: Array.from({ length: 20 }, (_, i) => [i / 20]),
+        targets: Array.from({ length: 20 }, (_, i) => i / 40),
+        featureNames: ['feature1'],
+        metadata: { size: 20, startDate: new Date(), endDate: new Date(), source: 'test' }
+      };
+
+      const trained = await service.trainModel(model.id, trainingData);
+      const history = trained.metadata.trainingHistory!;
+
+      expect(history.epochs).toBe(history.loss.length);
+      expect(history.epochs).toBeLessThanOrEqual(200);
+      expect(trained.artifact!.format).toBe('mlp-ts');
+
+      const features: FeatureVector = { values: [0.5], names: ['feature1'], timestamp: new Date() };
+      const before = await service.predict(model.id, features);
+      await service.deployModel(model.id);
+      expect((await service.predict(model.id, features)).value).toBe(before.value);
+    });
   });
 
   describe('Model Management', () => {
@@ -475,6 +527,191 @@ describe('MLModelService', () => {
     });
   });
 
+  describe('Model Registry', () => {
+    let rootDir: string;
+    let registry: ModelRegistry;
+    let registryService: MLModelService;
+
+    const features = IN_GAME_WIN_PROBABILITY_SCHEMA.features;
+    const trainingData: TrainingData = {
+      features: Array.from({ length: 8 }, (_, i) => features.map((_, j) => (i * (j + 1)) % 7)),
+      targets: [0, 1, 0, 1, 1, 0, 1, 0],
+      featureNames: features,
+      metadata: { size: 8, startDate: new Date(), endDate: new Date(), source: 'test' }
+    };
+    const config = (hyperparameters: Record<string, any>, modelFeatures: string[] = features): ModelConfig => ({
+      type: ModelType.XGBOOST,
+      hyperparameters,
+      features: modelFeatures,
+      targetVariable: 'home_win',
+      validationSplit: 0.2,
+      crossValidationFolds: 2
+    });
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ml-registry-'));
+      registry = new ModelRegistry(rootDir);
+      registryService = new MLModelService(mockLogger, mockShapExplainer, registry);
+    });
+
+    afterEach(() => {
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('should register trained versions with their lineage', async () => {
+      const base = await registryService.createModel(config({ objective: 'binary:logistic', n_estimators: 5 }));
+      await registryService.trainModel(base.id, trainingData);
+      const next = await registryService.createModelVersion(base.id, config({ objective: 'binary:logistic', n_estimators: 10 }));
+      await registryService.trainModel(next.id, trainingData);
+
+      const diff = await registryService.diffModelVersions(base.name, '1.0.0', '1.0.1');
+
+      expect(diff.hyperparameters).toEqual([{ key: 'n_estimators', from: 5, to: 10 }]);
+      expect(diff.trainingDataChanged).toBe(false);
+      expect(diff.lineage).toEqual(['1.0.0', '1.0.1']);
+    });
+
+    it('should refuse to deploy a version whose features do not match the probabilities endpoint', async () => {
+      const data = { ...trainingData, features: trainingData.features.map(row => row.slice(2, 4)), featureNames: ['overtime', 'down'] };
+      const model = await registryService.createModel({ ...config({ n_estimators: 2 }, data.featureNames), endpoint: 'probabilities' });
+      await registryService.trainModel(model.id, data);
+
+      await expect(registryService.deployModel(model.id)).rejects.toThrow(
+        `Model ${model.name} 1.0.0 does not match the in-game-win-probability v1 feature schema: missing scoreDifferential`
+      );
+      expect((await registry.getEntry(model.name))!.production).toBeNull();
+
+      // The check follows the endpoint binding, with or without a registry
+      const unregistered = await service.createModel({ ...config({ n_estimators: 2 }, data.featureNames), endpoint: 'probabilities' });
+      await service.trainModel(unregistered.id, data);
+      await expect(service.deployModel(unregistered.id)).rejects.toThrow('does not match the in-game-win-probability v1 feature schema');
+
+      // A trained version serves before it is deployed, so predictions are checked too
+      await expect(service.predict(unregistered.id, { values: [0, 1], names: data.featureNames, timestamp: new Date() })).rejects.toThrow(
+        'does not match the in-game-win-probability v1 feature schema'
+      );
+    });
+
+    it('should deploy models not bound to an endpoint whatever their features', async () => {
+      const data = { ...trainingData, features: trainingData.features.map(row => row.slice(2, 4)), featureNames: ['overtime', 'down'] };
+      const model = await registryService.createModel(config({ n_estimators: 2 }, data.featureNames));
+      await registryService.trainModel(model.id, data);
+
+      expect((await registryService.deployModel(model.id)).status).toBe(ModelStatus.DEPLOYED);
+      expect((await registry.getEntry(model.name))!.production).toBe('1.0.0');
+    });
+
+    it('should serve the production version again after a restart', async () => {
+      const model = await registryService.createModel(config({ objective: 'binary:logistic', n_estimators: 5 }));
+      await registryService.trainModel(model.id, trainingData);
+      await registryService.deployModel(model.id);
+      const vector: FeatureVector = { values: trainingData.features[3], names: features, timestamp: new Date() };
+      const before = await registryService.predict(model.id, vector);
+
+      const restarted = new MLModelService(mockLogger, mockShapExplainer, new ModelRegistry(rootDir));
+      const restored = await restarted.restoreFromRegistry();
+
+      expect(restored.map(m => m.status)).toEqual([ModelStatus.DEPLOYED]);
+      expect((await restarted.predict(model.id, vector)).value).toBe(before.value);
+    });
+
+    it('should roll back to the previously deployed version', async () => {
+      const base = await registryService.createModel(config({ objective: 'binary:logistic', n_estimators: 5 }));
+      await registryService.trainModel(base.id, trainingData);
+      await registryService.deployModel(base.id);
+      const next = await registryService.createModelVersion(base.id, config({ objective: 'binary:logistic', n_estimators: 10 }));
+      await registryService.trainModel(next.id, trainingData);
+      await registryService.deployModel(next.id);
+
+      expect((await registryService.getModel(base.id))!.status).toBe(ModelStatus.TRAINED);
+
+      const rolledBack = await registryService.rollbackModel(base.name);
+
+      expect(rolledBack.id).toBe(base.id);
+      expect(rolledBack.status).toBe(ModelStatus.DEPLOYED);
+      expect((await registryService.getModel(next.id))!.status).toBe(ModelStatus.TRAINED);
+      expect((await registry.getEntry(base.name))!.production).toBe('1.0.0');
+    });
+
+    it('should unregister deleted versions', async () => {
+      const model = await registryService.createModel(config({ objective: 'binary:logistic', n_estimators: 2 }));
+      await registryService.trainModel(model.id, trainingData);
+
+      expect(await registryService.deleteModel(model.id)).toBe(true);
+      expect(await registry.getEntry(model.name)).toBeNull();
+      expect(fs.readdirSync(rootDir)).toEqual([]);
+    });
+
+    it('should require a registry for rollbacks', async () => {
+      await expect(service.rollbackModel('win_probability')).rejects.toThrow('Model registry is not configured');
+    });
+
+    it('should keep a version\'s calibrator after a restart', async () => {
+      const model = await registryService.createModel(config({ objective: 'binary:logistic', n_estimators: 5 }));
+      await registryService.trainModel(model.id, trainingData);
+      const { calibrator } = await registryService.calibrateModel(model.id, trainingData, 'isotonic');
+      await registryService.deployModel(model.id);
+
+      const restarted = new MLModelService(mockLogger, mockShapExplainer, new ModelRegistry(rootDir));
+      await restarted.restoreFromRegistry();
+
+      expect((await registry.getVersion(model.name, '1.0.0')).calibrator).toEqual(calibrator);
+      expect((await restarted.getModel(model.id))!.calibrator).toEqual(calibrator);
+    });
+  });
+
+  describe('Calibration', () => {
+    const names = ['feature1', 'feature2'];
+    const rows = Array.from({ length: 40 }, (_, i) => [i % 10, (i * 3) % 7]);
+    const data: TrainingData = {
+      features: rows,
+      targets: rows.map(([a, b], i) => (a + b > 7 || i % 9 === 0 ? 1 : 0)),
+      featureNames: names,
+      metadata: { size: rows.length, startDate: new Date(), endDate: new Date(), source: 'test' }
+    };
+    const config = (type: ModelType, hyperparameters: Record<string, any>): ModelConfig => ({
+      type,
+      hyperparameters,
+      features: names,
+      targetVariable: 'home_win',
+      validationSplit: 0.2,
+      crossValidationFolds: 2
+    });
+
+    it('should fit a Platt calibrator and apply it to served probabilities', async () => {
+      const model = await service.createModel(config(ModelType.XGBOOST, { objective: 'binary:logistic', n_estimators: 20, max_depth: 3 }));
+      await service.trainModel(model.id, data);
+
+      const result = await service.calibrateModel(model.id, data);
+      const prediction = await service.predict(model.id, { values: [9, 6], names, timestamp: new Date() });
+
+      expect(result.calibrator.method).toBe('platt');
+      expect(result.before.bins).toHaveLength(10);
+      expect(prediction.uncalibratedProbability).toBeDefined();
+      expect(prediction.probability).toBeCloseTo(applyCalibrator(result.calibrator, prediction.uncalibratedProbability!), 10);
+      expect(prediction.confidence).toBeCloseTo(Math.max(prediction.probability!, 1 - prediction.probability!), 10);
+    });
+
+    it('should drop the calibrator when the model is retrained', async () => {
+      const model = await service.createModel(config(ModelType.XGBOOST, { objective: 'binary:logistic', n_estimators: 5 }));
+      await service.trainModel(model.id, data);
+      await service.calibrateModel(model.id, data, 'isotonic');
+
+      await service.trainModel(model.id, data);
+
+      expect((await service.getModel(model.id))!.calibrator).toBeUndefined();
+      expect((await service.predict(model.id, { values: [1, 1], names, timestamp: new Date() })).uncalibratedProbability).toBeUndefined();
+    });
+
+    it('should only calibrate models that serve binary probabilities', async () => {
+      const regression = await service.createModel(config(ModelType.XGBOOST, { n_estimators: 5 }));
+      await service.trainModel(regression.id, data);
+
+      await expect(service.calibrateModel(regression.id, data))
+        .rejects.toThrow(`Model ${regression.id} does not serve binary probabilities to calibrate`);
+    });
+  });
+
   describe('A/B Testing', () => {
     let controlModelId: string;
     let treatmentModelId: string;
@@ -0,0 +1,150 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { ModelRegistry, fingerprintTrainingData } from '../../core/model-registry';
+import { Model, ModelStatus, ModelType, TrainingData, ValidationResult } from '../../types/ml.types';
+
+describe('ModelRegistry', () => {
+  let rootDir: string;
+  let registry: ModelRegistry;
+
+  const trainingData: TrainingData = {
+    features: [[1, 2], [3, 4]],
+    targets: [0, 1],
+    featureNames: ['a', 'b'],
+    metadata: { size: 2, startDate: new Date(), endDate: new Date(), source: 'test' }
+  };
+
+  const model = (version: string, overrides: Partial<Model> = {}): Model => ({
+    id: `wp-${version}`,
+    name: 'win_probability',
+    type: ModelType.XGBOOST,
+    version,
+    status: ModelStatus.TRAINED,
+    accuracy: 0.7,
+    createdAt: new Date(),
+    lastTrained: new Date(),
+    metadata: {
+      description: 'test model',
+      author: 'system',
+      tags: [],
+      trainingDataSize: 2,
+      validationDataSize: 0,
+      testDataSize: 0,
+      crossValidationFolds: 5
+    },
+    hyperparameters: { max_depth: 3 },
+    features: ['a', 'b'],
+    targetVariable: 'home_win',
+    artifact: { format: 'xgboost-ts', trees: [version] },
+    ...overrides
+  });
+
+  const validation = (accuracy: number): ValidationResult => ({
+    accuracy,
+    precision: accuracy,
+    recall: accuracy,
+    f1Score: accuracy,
+    crossValidationScores: [accuracy],
+    testResults: { predictions: [], actualValues: [] }
+  });
+
+  beforeEach(() => {
+    rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'model-registry-'));
+    registry = new ModelRegistry(rootDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootDir, { recursive: true, force: true });
+  });
+
+  it('should persist versions and artifacts for a fresh registry on the same directory', async () => {
+    await registry.register(model('1.0.0'), trainingData);
+
+    const reopened = new ModelRegistry(rootDir);
+    const record = await reopened.getVersion('win_probability', '1.0.0');
+
+    expect(await reopened.listModels()).toEqual(['win_probability']);
+    expect(record.featureSchema).toEqual(['a', 'b']);
+    expect(record.trainingDataFingerprint).toBe(fingerprintTrainingData(trainingData));
+    expect(await reopened.loadArtifact('win_probability', '1.0.0')).toEqual({ format: 'xgboost-ts', trees: ['1.0.0'] });
+    expect(fs.readdirSync(path.join(rootDir, 'win_probability')).some(file => file.endsWith('.tmp'))).toBe(false);
+  });
+
+  it('should fingerprint training data by content', () => {
+    const reordered = { ...trainingData, features: [[3, 4], [1, 2]], targets: [1, 0] };
+
+    expect(fingerprintTrainingData({ ...trainingData, metadata: { ...trainingData.metadata, source: 'other' } }))
+      .toBe(fingerprintTrainingData(trainingData));
+    expect(fingerprintTrainingData(reordered)).not.toBe(fingerprintTrainingData(trainingData));
+  });
+
+  it('should record validation metrics without the raw test results', async () => {
+    await registry.register(model('1.0.0'), trainingData);
+
+    const record = await registry.recordValidation('win_probability', '1.0.0', validation(0.64));
+
+    expect(record.validationMetrics!.accuracy).toBe(0.64);
+    expect((record.validationMetrics as any).testResults).toBeUndefined();
+  });
+
+  it('should roll back through the promotion history', async () => {
+    await registry.register(model('1.0.0'), trainingData);
+    await registry.register(model('1.0.1'), trainingData, '1.0.0');
+    await registry.register(model('1.0.2'), trainingData, '1.0.1');
+    await registry.promote('win_probability', '1.0.0');
+    await registry.promote('win_probability', '1.0.1');
+    await registry.promote('win_probability', '1.0.2');
+
+    expect((await registry.rollback('win_probability')).production).toBe('1.0.1');
+    expect((await registry.rollback('win_probability')).production).toBe('1.0.0');
+    await expect(registry.rollback('win_probability'))
+      .rejects.toThrow('No earlier production version of win_probability to roll back to');
+  });
+
+  it('should diff hyperparameters, features, metrics and lineage between versions', async () => {
+    await registry.register(model('1.0.0'), trainingData);
+    await registry.register(
+      model('1.0.1', { hyperparameters: { max_depth: 5 }, features: ['a', 'c'], accuracy: 0.75 }),
+      { ...trainingData, targets: [1, 1] },
+      '1.0.0'
+    );
+    await registry.recordValidation('win_probability', '1.0.0', validation(0.6));
+    await registry.recordValidation('win_probability', '1.0.1', validation(0.65));
+
+    const diff = await registry.diff('win_probability', '1.0.0', '1.0.1');
+
+    expect(diff.hyperparameters).toEqual([{ key: 'max_depth', from: 3, to: 5 }]);
+    expect(diff.features).toEqual({ added: ['c'], removed: ['b'], reordered: false });
+    expect(diff.trainingDataChanged).toBe(true);
+    expect(diff.targetVariableChanged).toBe(false);
+    expect(diff.metrics.accuracy.delta).toBeCloseTo(0.05);
+    expect(diff.metrics['validation.accuracy'].delta).toBeCloseTo(0.05);
+    expect(diff.lineage).toEqual(['1.0.0', '1.0.1']);
+  });
+
+  it('should remove unregistered versions and their artifacts', async () => {
+    await registry.register(model('1.0.0'), trainingData);
+    await registry.register(model('1.0.1'), trainingData, '1.0.0');
+    await registry.promote('win_probability', '1.0.1');
+
+    expect(await registry.unregister('win_probability', '1.0.0')).toBe(true);
+    expect((await registry.getEntry('win_probability'))!.versions.map(v => v.version)).toEqual(['1.0.1']);
+    expect(fs.existsSync(path.join(rootDir, 'win_probability', '1.0.0.artifact.json'))).toBe(false);
+    expect(await registry.unregister('win_probability', '1.0.0')).toBe(false);
+    await expect(registry.unregister('win_probability', '1.0.1'))
+      .rejects.toThrow('Version 1.0.1 of win_probability is in production; roll back before removing it');
+
+    await registry.register(model('1.0.0', { name: 'backtest' }), trainingData);
+    expect(await registry.unregister('backtest', '1.0.0')).toBe(true);
+    expect(await registry.listModels()).toEqual(['win_probability']);
+  });
+
+  it('should reject unknown models and versions', async () => {
+    await registry.register(model('1.0.0'), trainingData);
+
+    await expect(registry.promote('win_probability', '2.0.0'))
+      .rejects.toThrow('Version 2.0.0 of win_probability is not registered');
+    await expect(registry.getVersion('spread', '1.0.0')).rejects.toThrow('Model spread is not registered');
+  });
+});
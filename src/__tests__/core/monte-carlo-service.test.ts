@@ -20,7 +20,8 @@ jest.mock('worker_threads', () => ({
     postMessage: jest.fn(),
     terminate: jest.fn().mockResolvedValue(undefined),
     once: jest.fn(),
-    on: jest.fn()
+    on: jest.fn(),
+    off: jest.fn()
   }))
 }));
 
@@ -474,4 +475,213 @@ describe('MonteCarloService', () => {
       expect(service.getActiveJobCount()).toBe(0);
     });
   });
-});
\ No newline at end of file
+
+  describe('convergence and variance reduction', () => {
+    const SimulationWorker = require('../../core/monte-carlo-worker');
+    const { EventEmitter } = require('events');
+
+    // Runs the real worker in-process, mirroring the worker thread message protocol
+    const createInProcessWorker = (taskDelayMs = 0) => {
+      const emitter: any = new EventEmitter();
+      const simulation = new SimulationWorker();
+      let queue = Promise.resolve();
+
+      emitter.postMessage = (message: any) => {
+        if (message.type === 'stop') {
+          simulation.stopTask(message.taskId);
+          return;
+        }
+        simulation.queueTask(message.id);
+        queue = queue.then(async () => {
+          emitter.emit('message', { taskId: message.id, scenarioId: message.scenarioId, started: true });
+          await new Promise(resolve => setTimeout(resolve, taskDelayMs));
+          const result = await simulation.executeTask(message, (partial: any) => emitter.emit('message', partial));
+          emitter.emit('message', result);
+        });
+      };
+      emitter.terminate = jest.fn().mockResolvedValue(undefined);
+      return emitter;
+    };
+
+    const buildScenario = (iterations: number) => new SimulationScenarioBuilder()
+      .withGameState(mockGameState)
+      .withIterations(iterations)
+      .addBetaVariable('offensive_efficiency', 2, 2)
+      .addNormalVariable('momentum', 0, 0.2)
+      .build();
+
+    beforeEach(() => {
+      (service as any).workers = [createInProcessWorker(), createInProcessWorker()];
+    });
+
+    it('should stop once the standard error drops below the threshold', async () => {
+      const scenario = buildScenario(20000);
+
+      const result = await service.runSimulation(scenario, {
+        convergenceThreshold: 0.02,
+        minIterations: 200,
+        reportInterval: 100,
+        randomSeed: 3
+      });
+
+      expect(result.iterations).toBeLessThan(20000);
+      expect(result.convergence!.converged).toBe(true);
+      expect(result.convergence!.stoppedEarly).toBe(true);
+      expect(result.convergence!.standardError).toBeLessThanOrEqual(0.02);
+      expect(result.convergence!.requestedIterations).toBe(20000);
+      expect(result.convergence!.estimate).toBeCloseTo(result.outcomes.mean, 10);
+    });
+
+    it('should run every iteration when the threshold is not reached', async () => {
+      const scenario = buildScenario(300);
+
+      const result = await service.runSimulation(scenario, {
+        convergenceThreshold: 0.001,
+        reportInterval: 50,
+        randomSeed: 3
+      });
+
+      expect(result.iterations).toBe(300);
+      expect(result.convergence!.converged).toBe(false);
+      expect(result.convergence!.stoppedEarly).toBe(false);
+      expect(result.convergence!.standardError).toBeGreaterThan(0.001);
+    });
+
+    it('should report variance reduction options on the result', async () => {
+      const scenario = buildScenario(400);
+
+      const result = await service.runSimulation(scenario, {
+        convergenceThreshold: 0,
+        antitheticVariates: true,
+        controlVariates: ['offensive_efficiency'],
+        randomSeed: 5
+      });
+
+      expect(result.iterations).toBe(400);
+      expect(result.convergence!.antitheticVariates).toBe(true);
+      expect(result.convergence!.controlVariates).toEqual(['offensive_efficiency']);
+      expect(result.convergence!.estimate).toBeGreaterThanOrEqual(0);
+      expect(result.convergence!.estimate).toBeLessThanOrEqual(1);
+    });
+
+    it('should give identical results for the same seed regardless of worker count', async () => {
+      const scenario = buildScenario(900);
+      const config = { convergenceThreshold: 0, taskSize: 200, randomSeed: 11 };
+
+      (service as any).workers = [createInProcessWorker()];
+      const single = await service.runSimulation(scenario, config);
+
+      (service as any).workers = [createInProcessWorker(), createInProcessWorker(), createInProcessWorker()];
+      const parallel = await service.runSimulation(scenario, config);
+
+      const { executionTime: _a, ...singleResult } = single;
+      const { executionTime: _b, ...parallelResult } = parallel;
+      expect(JSON.stringify(parallelResult)).toBe(JSON.stringify(singleResult));
+    });
+
+    it('should time each task from when its worker starts it, not from when it was queued', async () => {
+      const scenario = buildScenario(300);
+      (service as any).workers = [createInProcessWorker(60)];
+
+      const result = await service.runSimulation(scenario, {
+        convergenceThreshold: 0,
+        taskSize: 100,
+        timeoutMs: 100,
+        randomSeed: 7
+      });
+
+      expect(result.iterations).toBe(300);
+    });
+
+    it('should attach a reproducibility manifest that replays the run', async () => {
+      const scenario = buildScenario(20000);
+
+      const original = await service.runSimulation(scenario, {
+        convergenceThreshold: 0.02,
+        minIterations: 200,
+        reportInterval: 100,
+        taskSize: 500
+      });
+      const manifest = original.reproducibility!;
+
+      expect(manifest.seed).toEqual(expect.any(Number));
+      expect(manifest.scenarioHash).toMatch(/^[0-9a-f]{64}$/);
+      expect(manifest.codeVersion).toBeTruthy();
+      expect(manifest.generator).toBe('xoshiro128**');
+      expect(manifest.iterationRanges!.length).toBeGreaterThan(0);
+
+      const replay = await service.runSimulation(scenario, manifest.toReplayConfig());
+
+      expect(replay.iterations).toBe(original.iterations);
+      expect(replay.outcomes).toEqual(original.outcomes);
+      expect(replay.scoreDistribution).toEqual(original.scoreDistribution);
+      expect(replay.convergence!.estimate).toBe(original.convergence!.estimate);
+    });
+
+    it('should reject control variates that cannot be used', async () => {
+      await expect(service.runSimulation(buildScenario(100), { controlVariates: ['weather'] }))
+        .rejects.toThrow('Control variate weather is not a scenario variable');
+
+      const constrained = SimulationScenarioBuilder.createFootballGameScenario(mockGameState, 100).build();
+      await expect(service.runSimulation(constrained, { controlVariates: ['offensive_efficiency'] }))
+        .rejects.toThrow('Control variates cannot be used with hard constraints');
+    });
+
+    describe('sampleVariables', () => {
+      const variables = [
+        {
+          name: 'qb',
+          type: VariableType.CONTINUOUS,
+          distribution: { type: DistributionType.NORMAL, parameters: { mean: 20, stddev: 5 } },
+          correlation: [{ variable: 'wr', coefficient: 0.6 }]
+        },
+        {
+          name: 'wr',
+          type: VariableType.CONTINUOUS,
+          distribution: { type: DistributionType.NORMAL, parameters: { mean: 12, stddev: 4 } }
+        }
+      ];
+
+      it('should return every iteration of jointly sampled variables', async () => {
+        const samples = await service.sampleVariables(variables, 3000, {
+          convergenceThreshold: 0.5,
+          minIterations: 100,
+          reportInterval: 100,
+          taskSize: 700,
+          randomSeed: 13
+        });
+
+        expect(samples.variables).toEqual(['qb', 'wr']);
+        expect(samples.values).toHaveLength(3000);
+        expect(samples.seed).toBe(13);
+
+        const mean = (column: number) => samples.values.reduce((sum, row) => sum + row[column], 0) / 3000;
+        const [mq, mw] = [mean(0), mean(1)];
+        const covariance = samples.values.reduce((sum, row) => sum + (row[0] - mq) * (row[1] - mw), 0) / 3000;
+        const sd = (column: number, m: number) =>
+          Math.sqrt(samples.values.reduce((sum, row) => sum + (row[column] - m) ** 2, 0) / 3000);
+
+        expect(mq).toBeCloseTo(20, 0);
+        expect(mw).toBeCloseTo(12, 0);
+        expect(covariance / (sd(0, mq) * sd(1, mw))).toBeCloseTo(0.6, 1);
+      });
+
+      it('should order rows by iteration regardless of worker count', async () => {
+        const config = { taskSize: 100, randomSeed: 5 };
+
+        (service as any).workers = [createInProcessWorker()];
+        const single = await service.sampleVariables(variables, 450, config);
+
+        (service as any).workers = [createInProcessWorker(), createInProcessWorker(), createInProcessWorker()];
+        const parallel = await service.sampleVariables(variables, 450, config);
+
+        expect(parallel.values).toEqual(single.values);
+      });
+
+      it('should validate the variables', async () => {
+        await expect(service.sampleVariables([], 100)).rejects.toThrow('Scenario must have at least one variable');
+        await expect(service.sampleVariables(variables, 0)).rejects.toThrow('Iterations must be at least 1');
+      });
+    });
+  });
+});
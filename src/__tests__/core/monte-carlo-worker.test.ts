@@ -0,0 +1,347 @@
+const SimulationWorker = require('../../core/monte-carlo-worker');
+
+describe('SimulationWorker', () => {
+  let worker: any;
+
+  const createGameState = (overrides: any = {}) => ({
+    game: {
+      id: 'game-1',
+      homeTeam: { id: 'team-1', name: 'Home Team' },
+      awayTeam: { id: 'team-2', name: 'Away Team' }
+    },
+    score: { home: 0, away: 0 },
+    timeRemaining: { quarter: 1, minutes: 15, seconds: 0, overtime: false },
+    possession: { id: 'team-1', name: 'Home Team' },
+    fieldPosition: { side: 'home', yardLine: 25 },
+    down: 1,
+    yardsToGo: 10,
+    momentum: { value: 0 },
+    drives: [],
+    penalties: [],
+    timeouts: { home: 3, away: 3 },
+    ...overrides
+  });
+
+  const simulateMany = (gameState: any, count: number, variables: any = {}) => {
+    const scores = [];
+    for (let i = 0; i < count; i++) {
+      scores.push(worker.simulateGameOutcome(gameState, variables));
+    }
+    return scores;
+  };
+
+  beforeEach(() => {
+    worker = new SimulationWorker();
+    worker.initializeRandom(12345);
+  });
+
+  describe('simulateGameOutcome', () => {
+    it('should return the current score when the game is over', () => {
+      const gameState = createGameState({
+        score: { home: 24, away: 17 },
+        timeRemaining: { quarter: 4, minutes: 0, seconds: 0, overtime: false }
+      });
+
+      const score = worker.simulateGameOutcome(gameState, {});
+
+      expect(score.home).toBe(24);
+      expect(score.away).toBe(17);
+    });
+
+    it('should produce realistic full-game scores from kickoff', () => {
+      const scores = simulateMany(createGameState(), 400);
+
+      const meanTotal = scores.reduce((sum, s) => sum + s.home + s.away, 0) / scores.length;
+      const homeWins = scores.filter(s => s.home > s.away).length / scores.length;
+
+      expect(meanTotal).toBeGreaterThan(25);
+      expect(meanTotal).toBeLessThan(60);
+      expect(homeWins).toBeGreaterThan(0.3);
+      expect(homeWins).toBeLessThan(0.7);
+    });
+
+    it('should never lower either team score', () => {
+      const gameState = createGameState({ score: { home: 14, away: 10 } });
+      const scores = simulateMany(gameState, 100);
+
+      expect(scores.every(s => s.home >= 14 && s.away >= 10)).toBe(true);
+    });
+
+    it('should let a large late lead hold almost every time', () => {
+      const gameState = createGameState({
+        score: { home: 31, away: 10 },
+        timeRemaining: { quarter: 4, minutes: 2, seconds: 0, overtime: false },
+        possession: { id: 'team-2', name: 'Away Team' }
+      });
+
+      const scores = simulateMany(gameState, 200);
+      const homeWins = scores.filter(s => s.home > s.away).length / scores.length;
+
+      expect(homeWins).toBeGreaterThan(0.95);
+    });
+
+    it('should favor the team with the stronger sampled offense', () => {
+      const strong = simulateMany(createGameState(), 300, { offensive_efficiency: 0.9 });
+      const weak = simulateMany(createGameState(), 300, { offensive_efficiency: 0.1 });
+
+      const meanHome = (scores: any[]) => scores.reduce((sum, s) => sum + s.home, 0) / scores.length;
+
+      expect(meanHome(strong)).toBeGreaterThan(meanHome(weak));
+    });
+
+    it('should finish tied games in overtime or as ties', () => {
+      const gameState = createGameState({
+        score: { home: 20, away: 20 },
+        timeRemaining: { quarter: 4, minutes: 0, seconds: 5, overtime: false },
+        fieldPosition: { side: 'home', yardLine: 20 }
+      });
+
+      const scores = simulateMany(gameState, 100);
+
+      // Sudden death: overtime scores end the game immediately
+      for (const score of scores) {
+        const margin = Math.abs(score.home - score.away);
+        expect([0, 2, 3, 6, 7]).toContain(margin);
+      }
+    });
+  });
+
+  describe('executeTask', () => {
+    it('should return outcomes and final scores from the same games', async () => {
+      const scenario = {
+        id: 'scenario-1',
+        gameState: createGameState({ score: { home: 14, away: 10 } }),
+        iterations: 50,
+        variables: [
+          { name: 'offensive_efficiency', type: 'continuous', distribution: { type: 'beta', parameters: { alpha: 2, beta: 2 } } }
+        ],
+        constraints: []
+      };
+
+      const result = await worker.executeTask({
+        id: 'task-1',
+        scenarioId: scenario.id,
+        startIteration: 0,
+        endIteration: 50,
+        scenario,
+        config: { maxIterations: 50, randomSeed: 42 }
+      });
+
+      expect(result.error).toBeUndefined();
+      expect(result.iterations).toBe(50);
+      expect(result.homeScores).toHaveLength(50);
+      expect(result.awayScores).toHaveLength(50);
+
+      result.outcomes.forEach((outcome: number, i: number) => {
+        const margin = result.homeScores[i] - result.awayScores[i];
+        expect(outcome).toBe(margin > 0 ? 1 : margin < 0 ? 0 : 0.5);
+      });
+    });
+
+    it('should reject iterations whose hard constraints cannot be satisfied', async () => {
+      const scenario = {
+        id: 'scenario-2',
+        gameState: createGameState(),
+        iterations: 5,
+        variables: [
+          { name: 'momentum', type: 'continuous', distribution: { type: 'normal', parameters: { mean: 0, stddev: 0.2 } } }
+        ],
+        constraints: [
+          { name: 'in_red_zone', type: 'hard', condition: 'gameState.fieldPosition.yardLine <= 20' }
+        ]
+      };
+
+      const result = await worker.executeTask({
+        id: 'task-2',
+        scenarioId: scenario.id,
+        startIteration: 0,
+        endIteration: 5,
+        scenario,
+        config: { maxIterations: 5, randomSeed: 7 }
+      });
+
+      expect(result.iterations).toBe(0);
+      expect(result.rejectedIterations).toBe(5);
+    });
+
+    it('should sample correlated variables jointly and report their moments', async () => {
+      const scenario = {
+        id: 'scenario-4',
+        gameState: createGameState({ timeRemaining: { quarter: 4, minutes: 1, seconds: 0, overtime: false } }),
+        iterations: 300,
+        variables: [
+          {
+            name: 'offensive_efficiency',
+            type: 'continuous',
+            distribution: { type: 'beta', parameters: { alpha: 2, beta: 2 } },
+            correlation: [{ variable: 'turnovers', coefficient: -0.7 }]
+          },
+          { name: 'turnovers', type: 'discrete', distribution: { type: 'poisson', parameters: { lambda: 1.5 } } }
+        ],
+        constraints: []
+      };
+
+      const result = await worker.executeTask({
+        id: 'task-4',
+        scenarioId: scenario.id,
+        startIteration: 0,
+        endIteration: 300,
+        scenario,
+        config: { maxIterations: 300, randomSeed: 99 }
+      });
+
+      const { CorrelationTracker } = require('../../core/correlated-sampling');
+      const achieved = CorrelationTracker.fromMoments(result.correlationMoments).correlation();
+
+      expect(result.correlationMoments.variables).toEqual(['offensive_efficiency', 'turnovers']);
+      expect(result.correlationMoments.count).toBe(300);
+      expect(achieved[0][1]).toBeLessThan(-0.45);
+    });
+
+    it('should fail the task when correlations are not positive semi-definite', async () => {
+      const normal = { type: 'normal', parameters: { mean: 0, stddev: 1 } };
+      const scenario = {
+        id: 'scenario-5',
+        gameState: createGameState(),
+        iterations: 5,
+        variables: [
+          { name: 'a', type: 'continuous', distribution: normal, correlation: [{ variable: 'b', coefficient: 0.9 }, { variable: 'c', coefficient: 0.9 }] },
+          { name: 'b', type: 'continuous', distribution: normal, correlation: [{ variable: 'c', coefficient: -0.9 }] },
+          { name: 'c', type: 'continuous', distribution: normal }
+        ],
+        constraints: []
+      };
+
+      const result = await worker.executeTask({
+        id: 'task-5',
+        scenarioId: scenario.id,
+        startIteration: 0,
+        endIteration: 5,
+        scenario,
+        config: { maxIterations: 5 }
+      });
+
+      expect(result.error).toContain('not positive semi-definite');
+    });
+
+    it('should fail the task instead of running unsafe constraints', async () => {
+      const scenario = {
+        id: 'scenario-3',
+        gameState: createGameState(),
+        iterations: 5,
+        variables: [
+          { name: 'momentum', type: 'continuous', distribution: { type: 'normal', parameters: { mean: 0, stddev: 0.2 } } }
+        ],
+        constraints: [
+          { name: 'unsafe', type: 'hard', condition: 'globalThis.process.exit(1)' }
+        ]
+      };
+
+      const result = await worker.executeTask({
+        id: 'task-3',
+        scenarioId: scenario.id,
+        startIteration: 0,
+        endIteration: 5,
+        scenario,
+        config: { maxIterations: 5 }
+      });
+
+      expect(result.iterations).toBe(0);
+      expect(result.error).toContain("Unknown identifier 'globalThis'");
+    });
+  });
+
+  describe('variance reduction and streaming', () => {
+    const lateGameScenario = (iterations: number) => ({
+      id: 'scenario-late',
+      gameState: createGameState({
+        score: { home: 17, away: 14 },
+        timeRemaining: { quarter: 4, minutes: 2, seconds: 0, overtime: false }
+      }),
+      iterations,
+      variables: [
+        { name: 'offensive_efficiency', type: 'continuous', distribution: { type: 'beta', parameters: { alpha: 2, beta: 2 } } }
+      ],
+      constraints: []
+    });
+
+    const createTask = (iterations: number, config: any = {}) => ({
+      id: 'task-late',
+      scenarioId: 'scenario-late',
+      startIteration: 0,
+      endIteration: iterations,
+      scenario: lateGameScenario(iterations),
+      config: { maxIterations: iterations, randomSeed: 17, ...config }
+    });
+
+    it('should mirror recorded uniforms for the antithetic partner', () => {
+      const source = worker.createAntitheticSource(() => 0.25);
+
+      source.record();
+      expect([source(), source()]).toEqual([0.25, 0.25]);
+
+      source.mirror();
+      expect([source(), source(), source()]).toEqual([0.75, 0.75, 0.25]);
+    });
+
+    it('should record antithetic pairs as single estimator units', async () => {
+      const result = await worker.executeTask(createTask(60, { antitheticVariates: true }));
+
+      expect(result.iterations).toBe(60);
+      expect(result.estimatorMoments.count).toBe(30);
+      expect(result.estimatorMoments.sumOutcome * 2).toBeCloseTo(
+        result.outcomes.reduce((sum: number, y: number) => sum + y, 0), 10
+      );
+    });
+
+    it('should record control variate moments from sampled variables', async () => {
+      const result = await worker.executeTask(createTask(40, { controlVariates: ['offensive_efficiency'] }));
+
+      expect(result.estimatorMoments.controls).toEqual(['offensive_efficiency']);
+      expect(result.estimatorMoments.count).toBe(40);
+      expect(result.estimatorMoments.sumControls[0]).toBeCloseTo(
+        result.factors.offensive_efficiency * 40, 8
+      );
+    });
+
+    it('should simulate each seeded iteration identically however tasks are split', async () => {
+      const whole = await worker.executeTask(createTask(60));
+      const first = await worker.executeTask({ ...createTask(60), endIteration: 25 });
+      const second = await worker.executeTask({ ...createTask(60), startIteration: 25 });
+
+      expect([...first.homeScores, ...second.homeScores]).toEqual(whole.homeScores);
+      expect([...first.awayScores, ...second.awayScores]).toEqual(whole.awayScores);
+      expect(first.iterationRange).toEqual([0, 25]);
+      expect(second.iterationRange).toEqual([25, 60]);
+    });
+
+    it('should stream partial results and stop when asked', async () => {
+      const partials: any[] = [];
+      const result = await worker.executeTask(createTask(1000, { reportInterval: 50 }), (partial: any) => {
+        partials.push(partial);
+        if (partials.length === 3) {
+          worker.stopTask('task-late');
+        }
+      });
+
+      expect(partials.map(p => p.iterations)).toEqual([50, 100, 150]);
+      expect(partials.every(p => p.partial && p.taskId === 'task-late')).toBe(true);
+      expect(result.iterations).toBe(150);
+      expect(result.estimatorMoments.count).toBe(150);
+      expect(result.iterationRange).toEqual([0, 150]);
+    });
+
+    it('should forget stops for tasks it no longer holds', async () => {
+      worker.queueTask('task-queued');
+      worker.stopTask('task-queued');
+      const stopped = await worker.executeTask({ ...createTask(100), id: 'task-queued' });
+
+      worker.stopTask('task-queued');
+      worker.stopTask('task-unknown');
+
+      expect(stopped.iterations).toBe(0);
+      expect(worker.stoppedTasks.size).toBe(0);
+      expect(worker.pendingTasks.size).toBe(0);
+    });
+  });
+});
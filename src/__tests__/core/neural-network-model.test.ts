@@ -1,4 +1,8 @@
+import * as os from 'os';
+import * as path from 'path';
+import { promises as fs } from 'fs';
 import { NeuralNetworkModel, NeuralNetworkConfig } from '../../core/models/neural-network-model';
+import { SeededRandom } from '../../core/seeded-random';
 import { TrainingData, FeatureVector } from '../../types/ml.types';
 
 describe('NeuralNetworkModel', () => {
@@ -456,4 +460,150 @@ describe('NeuralNetworkModel', () => {
       expect(() => model.dispose()).not.toThrow();
     });
   });
-});
\ No newline at end of file
+
+  describe('Backpropagation', () => {
+    const names = ['feature1', 'feature2', 'feature3'];
+
+    // y = 2 * feature1 - feature2; feature3 is noise
+    const createData = (size: number, seed: number, scale: number = 1): TrainingData => {
+      const rng = new SeededRandom(seed);
+      const features = Array.from({ length: size }, () => [rng.next() * 2 - 1, rng.next() * 2 - 1, rng.next() * 2 - 1]);
+      return {
+        features: features.map(row => row.map(x => x * scale)),
+        targets: features.map(([a, b]) => 2 * a - b),
+        featureNames: names,
+        metadata: { size, startDate: new Date('2023-01-01'), endDate: new Date('2023-12-31'), source: 'test' }
+      };
+    };
+
+    const vector = (values: number[]): FeatureVector => ({ values, names, timestamp: new Date() });
+
+    const baseConfig: NeuralNetworkConfig = {
+      hiddenLayers: [8],
+      activation: 'tanh',
+      outputActivation: 'linear',
+      optimizer: 'adam',
+      learningRate: 0.02,
+      batchSize: 16,
+      epochs: 60,
+      validationSplit: 0.2,
+      seed: 3
+    };
+
+    it('should fit a function with every optimizer and record each epoch', async () => {
+      for (const optimizer of ['adam', 'sgd', 'rmsprop'] as const) {
+        const network = new NeuralNetworkModel({ ...baseConfig, optimizer, learningRate: optimizer === 'sgd' ? 0.05 : 0.02 });
+        await network.train(createData(200, 1));
+
+        const history = network.getTrainingHistory();
+        expect(history.epochs).toBe(60);
+        expect(history.loss).toHaveLength(60);
+        expect(history.valLoss).toHaveLength(60);
+        expect(history.stoppedEarly).toBe(false);
+        expect(history.loss[59]).toBeLessThan(history.loss[0]);
+        expect(history.loss[59]).toBeLessThan(0.05);
+        expect(await network.predict(vector([0.5, -0.5, 0]))).toBeCloseTo(1.5, 0);
+      }
+    });
+
+    it('should standardize features so their scale does not matter', async () => {
+      const small = new NeuralNetworkModel(baseConfig);
+      const large = new NeuralNetworkModel(baseConfig);
+      await small.train(createData(200, 2));
+      await large.train(createData(200, 2, 1000));
+
+      expect(await large.predict(vector([500, -500, 0]))).toBeCloseTo(await small.predict(vector([0.5, -0.5, 0])), 6);
+    });
+
+    it('should stop early and restore the best validation epoch', async () => {
+      const network = new NeuralNetworkModel({ ...baseConfig, learningRate: 0.05, epochs: 500, earlyStoppingPatience: 3 });
+      await network.train(createData(120, 3));
+
+      const history = network.getTrainingHistory();
+      expect(history.stoppedEarly).toBe(true);
+      expect(history.epochs).toBeLessThan(500);
+      expect(history.epochs).toBe(history.bestEpoch! + 3);
+      expect(Math.min(...history.valLoss)).toBe(history.valLoss[history.bestEpoch! - 1]);
+    });
+
+    it('should apply dropout only while training', async () => {
+      const data = createData(100, 4);
+      const plain = new NeuralNetworkModel({ ...baseConfig, epochs: 5 });
+      const dropout = new NeuralNetworkModel({ ...baseConfig, epochs: 5, dropout: 0.5 });
+      await plain.train(data);
+      await dropout.train(data);
+
+      const features = vector([0.3, 0.1, -0.2]);
+      expect(await dropout.predict(features)).not.toBe(await plain.predict(features));
+      expect(await dropout.predict(features)).toBe(await dropout.predict(features));
+    });
+
+    it('should classify with a softmax output', async () => {
+      const rng = new SeededRandom(5);
+      const features = Array.from({ length: 150 }, () => [rng.next() * 3, rng.next(), rng.next()]);
+      const data: TrainingData = {
+        features,
+        targets: features.map(([x]) => Math.floor(x)),
+        featureNames: names,
+        metadata: { size: 150, startDate: new Date('2023-01-01'), endDate: new Date('2023-12-31'), source: 'test' }
+      };
+      const classifier = new NeuralNetworkModel({ ...baseConfig, outputActivation: 'softmax', learningRate: 0.05, epochs: 80 });
+
+      await classifier.train(data);
+
+      expect(classifier.getClasses()).toEqual([0, 1, 2]);
+      expect(await classifier.predict(vector([0.2, 0.5, 0.5]))).toBe(0);
+      expect(await classifier.predict(vector([2.8, 0.5, 0.5]))).toBe(2);
+      const probabilities = await classifier.predictProba(vector([2.8, 0.5, 0.5]));
+      expect(probabilities.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 10);
+    });
+
+    it('should attribute predictions with integrated gradients', async () => {
+      const data = createData(200, 6);
+      const network = new NeuralNetworkModel({ ...baseConfig, attributionSteps: 64 });
+      await network.train(data);
+
+      const trainRows = data.features.slice(0, 160);
+      const mean = [0, 1, 2].map(i => trainRows.reduce((sum, row) => sum + row[i], 0) / trainRows.length);
+      const features = vector([0.8, -0.6, 0.4]);
+      const attributions = network.explainPrediction(features);
+      const total = Object.values(attributions).reduce((a, b) => a + b, 0);
+
+      // Completeness: attributions sum to the change from the mean input
+      expect(total).toBeCloseTo(await network.predict(features) - await network.predict(vector(mean)), 2);
+      expect(attributions.feature1).toBeGreaterThan(0);
+      expect(attributions.feature2).toBeGreaterThan(0);
+      expect(Math.abs(attributions.feature3)).toBeLessThan(Math.abs(attributions.feature2));
+
+      const importance = network.getFeatureImportance();
+      expect(importance.feature1).toBeGreaterThan(importance.feature2);
+      expect(importance.feature2).toBeGreaterThan(importance.feature3);
+    });
+
+    it('should reproduce a network from its seed and restore it from JSON or disk', async () => {
+      const data = createData(80, 7);
+      const first = new NeuralNetworkModel({ ...baseConfig, epochs: 10, dropout: 0.2 });
+      const second = new NeuralNetworkModel({ ...baseConfig, epochs: 10, dropout: 0.2 });
+      await first.train(data);
+      await second.train(data);
+
+      const features = vector([0.1, 0.2, 0.3]);
+      const expected = await first.predict(features);
+      expect(await second.predict(features)).toBe(expected);
+
+      const restored = NeuralNetworkModel.fromJSON(JSON.parse(JSON.stringify(first.toJSON())));
+      expect(await restored.predict(features)).toBe(expected);
+      expect(restored.getTrainingHistory()).toEqual(first.getTrainingHistory());
+
+      const file = path.join(os.tmpdir(), `mlp-${process.pid}.json`);
+      try {
+        await first.saveModel(file);
+        const loaded = new NeuralNetworkModel({});
+        await loaded.loadModel(file);
+        expect(await loaded.predict(features)).toBe(expected);
+      } finally {
+        await fs.unlink(file).catch(() => undefined);
+      }
+    });
+  });
+});
@@ -210,7 +210,10 @@ describe('OddsAPIConnector', () => {
           home: -110,
           away: -110
         },
-        lastUpdated: new Date('2024-09-08T12:00:00Z')
+        lastUpdated: new Date('2024-09-08T12:00:00Z'),
+        homeTeam: 'Baltimore Ravens',
+        awayTeam: 'Kansas City Chiefs',
+        commenceTime: new Date('2024-09-08T17:00:00Z')
       });
     });
 
@@ -275,6 +278,40 @@ describe('OddsAPIConnector', () => {
       expect(result[0].moneyline.home).toBe(-105);
       expect(result[1].moneyline.home).toBe(-110);
     });
+
+    it('should report markets a book is not offering with prices of 0', async () => {
+      (connector as any).performRequest = jest.fn().mockResolvedValue({
+        data: [{
+          id: 'game123',
+          sport_key: 'americanfootball_nfl',
+          sport_title: 'NFL',
+          commence_time: '2024-09-08T17:00:00Z',
+          home_team: 'Baltimore Ravens',
+          away_team: 'Kansas City Chiefs',
+          bookmakers: [{
+            key: 'fanduel',
+            title: 'FanDuel',
+            last_update: '2024-09-08T12:05:00Z',
+            markets: [{
+              key: 'h2h',
+              last_update: '2024-09-08T12:05:00Z',
+              outcomes: [
+                { name: 'Baltimore Ravens', price: -120 },
+                { name: 'Kansas City Chiefs', price: 100 }
+              ]
+            }]
+          }]
+        }],
+        status: 200,
+        headers: {},
+        timestamp: new Date()
+      });
+
+      const [line] = await connector.fetchNFLOdds();
+
+      expect(line.spread).toEqual({ home: 0, away: 0, homeOdds: 0, awayOdds: 0 });
+      expect(line.total).toEqual({ line: 0, overOdds: 0, underOdds: 0 });
+    });
   });
 
   describe('odds calculations', () => {
@@ -481,4 +518,78 @@ describe('OddsAPIConnector', () => {
       );
     });
   });
-});
\ No newline at end of file
+
+  describe('player prop odds', () => {
+    it('should fetch props from the event endpoint and pair overs with unders', async () => {
+      const mockPerformRequest = jest.fn().mockResolvedValue({
+        data: {
+          id: 'evt1',
+          sport_key: 'americanfootball_nfl',
+          sport_title: 'NFL',
+          commence_time: '2024-09-08T17:00:00Z',
+          home_team: 'Kansas City Chiefs',
+          away_team: 'Baltimore Ravens',
+          bookmakers: [
+            {
+              key: 'draftkings',
+              title: 'DraftKings',
+              last_update: '2024-09-08T12:00:00Z',
+              markets: [
+                {
+                  key: 'player_pass_yds',
+                  last_update: '2024-09-08T12:05:00Z',
+                  outcomes: [
+                    { name: 'Over', description: 'Patrick Mahomes', price: -115, point: 274.5 },
+                    { name: 'Under', description: 'Patrick Mahomes', price: -105, point: 274.5 },
+                    { name: 'Over', description: 'Lamar Jackson', price: -110, point: 224.5 }
+                  ]
+                }
+              ]
+            }
+          ]
+        },
+        status: 200,
+        headers: {},
+        timestamp: new Date()
+      });
+
+      (connector as any).performRequest = mockPerformRequest;
+
+      const props = await connector.fetchPlayerPropOdds('evt1', ['player_pass_yds']);
+
+      expect(mockPerformRequest).toHaveBeenCalledWith(
+        expect.objectContaining({
+          url: expect.stringMatching(/americanfootball_nfl\/events\/evt1\/odds\?.*markets=player_pass_yds/)
+        })
+      );
+      expect(props).toEqual([
+        {
+          gameId: 'evt1',
+          sportsbook: 'DraftKings',
+          market: 'player_pass_yds',
+          player: 'Patrick Mahomes',
+          line: 274.5,
+          overOdds: -115,
+          underOdds: -105,
+          lastUpdated: new Date('2024-09-08T12:05:00Z')
+        },
+        {
+          gameId: 'evt1',
+          sportsbook: 'DraftKings',
+          market: 'player_pass_yds',
+          player: 'Lamar Jackson',
+          line: 224.5,
+          overOdds: -110,
+          underOdds: null,
+          lastUpdated: new Date('2024-09-08T12:05:00Z')
+        }
+      ]);
+    });
+
+    it('should wrap failures in an APIError', async () => {
+      (connector as any).performRequest = jest.fn().mockRejectedValue(new Error('Event not found'));
+
+      await expect(connector.fetchPlayerPropOdds('missing')).rejects.toThrow(APIError);
+    });
+  });
+});
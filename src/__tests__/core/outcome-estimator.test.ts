@@ -0,0 +1,101 @@
+import { OutcomeEstimator, distributionMean } from '../../core/outcome-estimator';
+import { DistributionType } from '../../types/simulation.types';
+
+describe('OutcomeEstimator', () => {
+  // Deterministic uniform source so the tests do not depend on Math.random
+  const createRandom = (seed: number) => {
+    let state = seed;
+    return () => {
+      state = (state * 1664525 + 1013904223) % 4294967296;
+      return state / 4294967296;
+    };
+  };
+
+  it('should estimate the mean and its standard error without controls', () => {
+    const estimator = new OutcomeEstimator();
+    [1, 0, 1, 1, 0.5, 0, 1, 1].forEach(outcome => estimator.record(outcome));
+
+    const { mean, standardError } = estimator.estimate();
+    const variance = [1, 0, 1, 1, 0.5, 0, 1, 1]
+      .reduce((sum, y) => sum + Math.pow(y - 0.6875, 2), 0) / 7;
+
+    expect(mean).toBeCloseTo(0.6875, 10);
+    expect(standardError).toBeCloseTo(Math.sqrt(variance / 8), 10);
+  });
+
+  it('should report an infinite standard error before two samples', () => {
+    const estimator = new OutcomeEstimator();
+    expect(estimator.estimate().standardError).toBe(Infinity);
+
+    estimator.record(1);
+    expect(estimator.estimate().standardError).toBe(Infinity);
+  });
+
+  it('should merge moments from several workers exactly', () => {
+    const random = createRandom(8);
+    const samples = Array.from({ length: 300 }, () => {
+      const control = random();
+      return { control, outcome: random() < control ? 1 : 0 };
+    });
+
+    const whole = new OutcomeEstimator(['efficiency']);
+    const first = new OutcomeEstimator(['efficiency']);
+    const second = new OutcomeEstimator(['efficiency']);
+    samples.forEach((s, i) => {
+      whole.record(s.outcome, [s.control]);
+      (i < 120 ? first : second).record(s.outcome, [s.control]);
+    });
+
+    const merged = OutcomeEstimator.fromMoments(first.toMoments());
+    merged.merge(second.toMoments());
+
+    expect(merged.sampleSize).toBe(300);
+    expect(merged.estimate([0.5]).mean).toBeCloseTo(whole.estimate([0.5]).mean, 12);
+    expect(merged.estimate([0.5]).standardError).toBeCloseTo(whole.estimate([0.5]).standardError, 12);
+    expect(() => merged.merge(new OutcomeEstimator().toMoments()))
+      .toThrow('Cannot merge estimator moments with different control variates');
+  });
+
+  it('should shrink the standard error with a correlated control variate', () => {
+    const random = createRandom(21);
+    const plain = new OutcomeEstimator();
+    const controlled = new OutcomeEstimator(['efficiency']);
+
+    for (let i = 0; i < 4000; i++) {
+      const control = random();
+      const outcome = random() < 0.2 + 0.6 * control ? 1 : 0;
+      plain.record(outcome);
+      controlled.record(outcome, [control]);
+    }
+
+    const withoutControl = plain.estimate();
+    const withControl = controlled.estimate([0.5]);
+
+    // True win probability is 0.2 + 0.6 * E[control] = 0.5
+    expect(withControl.mean).toBeCloseTo(0.5, 1);
+    expect(withControl.coefficients[0]).toBeCloseTo(0.6, 1);
+    expect(withControl.standardError).toBeLessThan(withoutControl.standardError * 0.95);
+  });
+
+  it('should ignore a constant control variate', () => {
+    const estimator = new OutcomeEstimator(['constant']);
+    [1, 0, 1, 0, 1].forEach(outcome => estimator.record(outcome, [3]));
+
+    const { mean, coefficients } = estimator.estimate([3]);
+
+    expect(mean).toBeCloseTo(0.6, 10);
+    expect(coefficients).toEqual([0]);
+  });
+
+  describe('distributionMean', () => {
+    it('should return the expected value of each distribution', () => {
+      expect(distributionMean({ type: DistributionType.NORMAL, parameters: { mean: 0.4, stddev: 1 } })).toBe(0.4);
+      expect(distributionMean({ type: DistributionType.UNIFORM, parameters: { min: 2, max: 6 } })).toBe(4);
+      expect(distributionMean({ type: DistributionType.BETA, parameters: { alpha: 2, beta: 6 } })).toBe(0.25);
+      expect(distributionMean({ type: DistributionType.GAMMA, parameters: { shape: 3, scale: 2 } })).toBe(6);
+      expect(distributionMean({ type: DistributionType.POISSON, parameters: { lambda: 1.5 } })).toBe(1.5);
+      expect(distributionMean({ type: DistributionType.BINOMIAL, parameters: { n: 10, p: 0.3 } })).toBeCloseTo(3, 10);
+      expect(distributionMean({ type: DistributionType.EXPONENTIAL, parameters: { lambda: 4 } })).toBe(0.25);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import 'reflect-metadata';
+import { EventEmitter } from 'events';
+import { ParlayPricer } from '../../core/parlay-pricer';
+import { MonteCarloService } from '../../core/monte-carlo-service';
+import { Logger } from '../../core/logger';
+
+const SimulationWorker = require('../../core/monte-carlo-worker');
+
+jest.mock('worker_threads', () => ({
+  Worker: jest.fn().mockImplementation(() => ({
+    postMessage: jest.fn(),
+    terminate: jest.fn().mockResolvedValue(undefined),
+    once: jest.fn(),
+    on: jest.fn()
+  }))
+}));
+
+describe('ParlayPricer', () => {
+  let service: MonteCarloService;
+  let pricer: ParlayPricer;
+
+  // Runs worker tasks in-process so sampling is real but single-threaded
+  const createInProcessWorker = () => {
+    const emitter: any = new EventEmitter();
+    const simulation = new SimulationWorker();
+    let queue = Promise.resolve();
+
+    emitter.postMessage = (message: any) => {
+      if (message.type === 'stop') {
+        simulation.stopTask(message.taskId);
+        return;
+      }
+      simulation.queueTask(message.id);
+      queue = queue.then(async () => {
+        emitter.emit('message', { taskId: message.id, scenarioId: message.scenarioId, started: true });
+        emitter.emit('message', await simulation.executeTask(message));
+      });
+    };
+    emitter.terminate = jest.fn().mockResolvedValue(undefined);
+    return emitter;
+  };
+
+  const game = { homePoints: 27, awayPoints: 20 };
+  const passingYards = { name: 'qb_pass_yds', mean: 265, stdDev: 55, team: 'home' as const, correlations: [{ variable: 'home_points', coefficient: 0.6 }] };
+
+  beforeEach(() => {
+    const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() } as unknown as Logger;
+    service = new MonteCarloService(logger, 2);
+    (service as any).workers = [createInProcessWorker(), createInProcessWorker()];
+    pricer = new ParlayPricer(service);
+  });
+
+  afterEach(async () => {
+    await service.cleanup();
+  });
+
+  describe('priceSameGameParlay', () => {
+    it('should price correlated legs above their independent product', async () => {
+      const price = await pricer.priceSameGameParlay({
+        game,
+        stats: [passingYards],
+        legs: [
+          { type: 'moneyline', side: 'home' },
+          { type: 'player_prop', stat: 'qb_pass_yds', selection: 'over', line: 264.5 }
+        ],
+        offeredOdds: 200,
+        iterations: 5000,
+        seed: 11
+      });
+
+      expect(price.iterations).toBe(5000);
+      expect(price.seed).toBe(11);
+      expect(price.legs[0].winProbability).toBeGreaterThan(0.6);
+      expect(price.legs[0].winProbability).toBeLessThan(0.75);
+      expect(price.legs[1].winProbability).toBeCloseTo(0.5, 1);
+      expect(price.jointProbability).toBeGreaterThan(price.independentProbability);
+      expect(price.correlationLift).toBeGreaterThan(1.1);
+      expect(price.expectedValue).toBeCloseTo(price.jointProbability * 3 + price.pushProbability - 1, 10);
+      expect(price.offeredProbability).toBeCloseTo(1 / 3, 10);
+      expect(price.standardError).toBeGreaterThan(0);
+      expect(price.standardError).toBeLessThan(0.01);
+    });
+
+    it('should price legs that work against each other below their independent product', async () => {
+      const price = await pricer.priceSameGameParlay({
+        game,
+        stats: [passingYards],
+        legs: [
+          { type: 'moneyline', side: 'home' },
+          { type: 'player_prop', stat: 'qb_pass_yds', selection: 'under', line: 264.5 }
+        ],
+        offeredOdds: 200,
+        iterations: 5000,
+        seed: 11
+      });
+
+      expect(price.correlationLift).toBeLessThan(0.9);
+    });
+
+    it('should refund tickets whose only miss is a push', async () => {
+      const price = await pricer.priceSameGameParlay({
+        game,
+        legs: [
+          { type: 'spread', side: 'home', line: -7 },
+          { type: 'total', selection: 'over', line: 47 }
+        ],
+        offeredOdds: 260,
+        iterations: 5000,
+        seed: 5
+      });
+
+      expect(price.legs[0].pushProbability).toBeGreaterThan(0);
+      expect(price.legs[1].pushProbability).toBeGreaterThan(0);
+      expect(price.pushProbability).toBeGreaterThan(0);
+      expect(price.fairOdds).not.toBeNull();
+    });
+
+    it('should not push moneylines on simulated ties', async () => {
+      const price = await pricer.priceSameGameParlay({
+        game: { homePoints: 23, awayPoints: 23 },
+        legs: [
+          { type: 'moneyline', side: 'home' },
+          { type: 'moneyline', side: 'away' }
+        ],
+        offeredOdds: 300,
+        iterations: 5000,
+        seed: 7
+      });
+
+      expect(price.legs.map(leg => leg.pushProbability)).toEqual([0, 0]);
+      expect(price.legs[0].winProbability + price.legs[1].winProbability).toBeCloseTo(1, 10);
+      expect(price.legs[0].winProbability).toBeCloseTo(0.5, 1);
+      expect(price.pushProbability).toBe(0);
+    });
+
+    it('should reject bad requests', async () => {
+      await expect(pricer.priceSameGameParlay({
+        game, legs: [{ type: 'moneyline', side: 'home' }], offeredOdds: 150
+      })).rejects.toThrow('A parlay needs at least two legs');
+
+      await expect(pricer.priceSameGameParlay({
+        game,
+        legs: [{ type: 'moneyline', side: 'home' }, { type: 'player_prop', stat: 'rb_rush_yds', selection: 'over', line: 70.5 }],
+        offeredOdds: 150
+      })).rejects.toThrow('No projection for stat rb_rush_yds');
+
+      await expect(pricer.priceSameGameParlay({
+        game, legs: [{ type: 'moneyline', side: 'home' }, { type: 'moneyline', side: 'away' }], offeredOdds: 50
+      })).rejects.toThrow('Invalid American odds: 50');
+    });
+  });
+
+  describe('priceTeaser', () => {
+    it('should put extra mass on the key numbers', () => {
+      const margins = pricer.marginDistribution(0);
+      const total = Array.from(margins.values()).reduce((sum, p) => sum + p, 0);
+
+      expect(total).toBeCloseTo(1, 10);
+      expect(margins.get(3)!).toBeGreaterThan(2 * margins.get(2)!);
+      expect(margins.get(7)!).toBeGreaterThan(margins.get(6)!);
+      expect(margins.get(0)!).toBeLessThan(margins.get(1)!);
+    });
+
+    it('should value teasers that cross 3 and 7 above those that cross neither', () => {
+      const wong = pricer.priceTeaser({
+        legs: [
+          { type: 'spread', line: 1.5, projectedMargin: -1.5 },
+          { type: 'spread', line: -7.5, projectedMargin: 7.5 }
+        ],
+        points: 6,
+        offeredOdds: -120
+      });
+      const wide = pricer.priceTeaser({
+        legs: [
+          { type: 'spread', line: 10.5, projectedMargin: -10.5 },
+          { type: 'spread', line: -14.5, projectedMargin: 14.5 }
+        ],
+        points: 6,
+        offeredOdds: -120
+      });
+
+      expect(wong.legs.map(leg => leg.teasedLine)).toEqual([7.5, -1.5]);
+      expect(wong.legs.map(leg => leg.keyNumbersCrossed)).toEqual([[3, 7], [3, 7]]);
+      expect(wide.legs.map(leg => leg.keyNumbersCrossed)).toEqual([[], []]);
+
+      expect(wong.winProbability).toBeCloseTo(wong.legs[0].winProbability * wong.legs[1].winProbability, 10);
+      expect(wong.pushProbability).toBe(0);
+      expect(wong.winProbability).toBeGreaterThan(wide.winProbability);
+      expect(wong.expectedValue).toBeCloseTo(wong.winProbability * (1 + 100 / 120) - 1, 10);
+      expect(wong.breakEvenLegProbability).toBeCloseTo(Math.sqrt(120 / 220), 10);
+
+      // Six points through 3 and 7 buy more cover than six points through neither
+      const cover = (line: number, projectedMargin: number) => Array.from(pricer.marginDistribution(projectedMargin))
+        .filter(([margin]) => margin + line > 0)
+        .reduce((sum, [, probability]) => sum + probability, 0);
+      expect(wong.legs[1].winProbability).toBeCloseTo(cover(-1.5, 7.5), 10);
+      expect(wong.legs[1].winProbability - cover(-7.5, 7.5)).toBeGreaterThan(wide.legs[1].winProbability - cover(-14.5, 14.5));
+    });
+
+    it('should pay pushed tickets at the reduced price or refund them', () => {
+      const legs = [
+        { type: 'spread' as const, line: -9, projectedMargin: 9 },
+        { type: 'total' as const, selection: 'under' as const, line: 38.5, projectedTotal: 44.5 }
+      ];
+
+      const refunded = pricer.priceTeaser({ legs, points: 6, offeredOdds: -120 });
+      expect(refunded.legs[0].teasedLine).toBe(-3);
+      expect(refunded.legs[0].pushProbability).toBeGreaterThan(0.05);
+      expect(refunded.legs[1].teasedLine).toBe(44.5);
+      expect(refunded.pushProbability).toBeCloseTo(refunded.legs[0].pushProbability * refunded.legs[1].winProbability, 10);
+
+      const reduced = pricer.priceTeaser({ legs, points: 6, offeredOdds: -120, reducedOdds: { 1: -110 } });
+      expect(reduced.pushProbability).toBe(0);
+      expect(reduced.expectedValue).toBeGreaterThan(refunded.expectedValue);
+    });
+
+    it('should reject teasers with fewer than two legs', () => {
+      expect(() => pricer.priceTeaser({
+        legs: [{ type: 'spread', line: 1.5, projectedMargin: -1.5 }], points: 6, offeredOdds: -120
+      })).toThrow('A teaser needs at least two legs');
+    });
+  });
+});
@@ -0,0 +1,340 @@
+import { promises as fs } from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  PlayByPlayImporter,
+  parseESPNPlayByPlay,
+  parseNflversePlayByPlay
+} from '../../core/play-by-play-importer';
+
+describe('play-by-play import', () => {
+  // Parsing builds dates from the feeds, so the first test needs the real Date
+  beforeAll(() => jest.restoreAllMocks());
+
+  const espnPlay = (
+    id: string,
+    sequenceNumber: number,
+    type: string,
+    period: number,
+    clock: string,
+    extra: { [key: string]: any } = {}
+  ) => ({
+    id,
+    sequenceNumber: String(sequenceNumber),
+    type: { text: type },
+    period: { number: period },
+    clock: { displayValue: clock },
+    homeScore: 0,
+    awayScore: 0,
+    ...extra
+  });
+
+  const espnSummary = () => ({
+    header: {
+      id: '401547353',
+      season: { year: 2023 },
+      week: 1,
+      competitions: [{
+        id: '401547353',
+        date: '2023-09-08T00:20Z',
+        competitors: [
+          { homeAway: 'home', score: '20', team: { id: '12', abbreviation: 'KC' } },
+          { homeAway: 'away', score: '21', team: { id: '8', abbreviation: 'DET' } }
+        ]
+      }]
+    },
+    drives: {
+      previous: [
+        {
+          plays: [
+            espnPlay('1', 1, 'Kickoff', 1, '15:00', { start: { team: { id: '8' }, down: 0, yardsToEndzone: 65 } }),
+            espnPlay('2', 2, 'Rush', 1, '14:55', {
+              text: 'I.Pacheco left end to KC 30 for 4 yards',
+              start: { team: { id: '12' }, down: 1, distance: 10, yardsToEndzone: 75 }
+            }),
+            espnPlay('3', 3, 'Penalty', 1, '14:30', {
+              text: 'PENALTY on DET-A.Hutchinson, Defensive Offside, 5 yards, enforced at KC 30 - No Play.',
+              start: { team: { id: '12' }, down: 2, distance: 5, yardsToEndzone: 70 }
+            }),
+            espnPlay('4', 4, 'Timeout', 1, '14:30', { text: 'Timeout #1 by KC at 14:30.' }),
+            espnPlay('5', 5, 'Pass Reception', 1, '14:25', {
+              text: 'P.Mahomes pass short right to T.Kelce for 65 yards, TOUCHDOWN. The Replay Official reviewed the ruling, and the play was REVERSED.',
+              start: { team: { id: '12' }, down: 2, distance: 0, yardsToEndzone: 65 },
+              homeScore: 6,
+              scoringPlay: true
+            }),
+            espnPlay('6', 6, 'End Period', 1, '0:00'),
+            // Corrected after the fact: the later version replaces the first
+            espnPlay('2', 2, 'Rush', 1, '14:55', {
+              text: 'I.Pacheco left end to KC 30 for 5 yards',
+              start: { team: { id: '12' }, down: 1, distance: 10, yardsToEndzone: 75 }
+            })
+          ]
+        },
+        {
+          plays: [
+            espnPlay('7', 7, 'Rush', 3, '15:00', {
+              start: { team: { id: '8' }, down: 1, distance: 10, yardsToEndzone: 80 },
+              homeScore: 6
+            }),
+            espnPlay('8', 8, 'Field Goal Good', 5, '10:00', {
+              start: { team: { id: '8' }, down: 4, distance: 3, yardsToEndzone: 20 },
+              homeScore: 20,
+              awayScore: 21,
+              scoringPlay: true
+            })
+          ]
+        }
+      ]
+    }
+  });
+
+  const csvField = (value: string) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  const toCsv = (rows: Array<{ [key: string]: string }>) => {
+    const columns = Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+    return [columns.join(','), ...rows.map(row => columns.map(column => csvField(row[column] ?? '')).join(','))].join('\n') + '\n';
+  };
+
+  const nflverseRow = (overrides: { [key: string]: string }) => ({
+    game_id: '2023_01_DET_KC',
+    season: '2023',
+    week: '1',
+    game_date: '2023-09-07',
+    home_team: 'KC',
+    away_team: 'DET',
+    posteam: 'KC',
+    qtr: '1',
+    quarter_seconds_remaining: '900',
+    yardline_100: '75',
+    down: '1',
+    ydstogo: '10',
+    play_type: 'run',
+    desc: '',
+    time_of_day: '',
+    total_home_score: '0',
+    total_away_score: '0',
+    home_score: '20',
+    away_score: '21',
+    home_timeouts_remaining: '3',
+    away_timeouts_remaining: '3',
+    timeout: '0',
+    timeout_team: 'NA',
+    penalty: '0',
+    penalty_team: 'NA',
+    penalty_type: 'NA',
+    penalty_yards: 'NA',
+    replay_or_challenge: '0',
+    replay_or_challenge_result: 'NA',
+    touchdown: '0',
+    ...overrides
+  });
+
+  const nflverseCsv = () => toCsv([
+    nflverseRow({ play_id: '1', posteam: '', play_type: 'NA', desc: 'GAME', time_of_day: '' }),
+    nflverseRow({ play_id: '39', posteam: 'DET', play_type: 'kickoff', yardline_100: '65', down: 'NA', time_of_day: '23:59:30' }),
+    nflverseRow({
+      play_id: '55',
+      quarter_seconds_remaining: '895',
+      desc: '(14:55) I.Pacheco left end to KC 30 for 5 yards (A.Hutchinson, "Bo" Smith).',
+      time_of_day: '00:00:20'
+    }),
+    nflverseRow({
+      play_id: '76',
+      quarter_seconds_remaining: '870',
+      yardline_100: '70',
+      down: '2',
+      ydstogo: '5',
+      play_type: 'no_play',
+      desc: '(14:30) PENALTY on DET-A.Hutchinson, Defensive Offside, 5 yards, enforced at KC 30 - No Play.',
+      time_of_day: '00:01:00',
+      penalty: '1',
+      penalty_team: 'DET',
+      penalty_type: 'Defensive Offside',
+      penalty_yards: '5'
+    }),
+    nflverseRow({
+      play_id: '98',
+      quarter_seconds_remaining: '870',
+      play_type: 'no_play',
+      desc: 'Timeout #1 by KC at 14:30.',
+      time_of_day: '00:01:30',
+      timeout: '1',
+      timeout_team: 'KC'
+    }),
+    nflverseRow({
+      play_id: '120',
+      quarter_seconds_remaining: '865',
+      yardline_100: '65',
+      down: '2',
+      ydstogo: '0',
+      play_type: 'pass',
+      desc: 'P.Mahomes pass short right to T.Kelce for 65 yards, TOUCHDOWN. The play was REVERSED.',
+      time_of_day: '00:03:00',
+      home_timeouts_remaining: '2',
+      replay_or_challenge: '1',
+      replay_or_challenge_result: 'reversed',
+      total_home_score: '6'
+    }),
+    nflverseRow({
+      game_id: '2023_01_ARI_WAS',
+      play_id: '40',
+      game_date: '2023-09-10',
+      home_team: 'WAS',
+      away_team: 'ARI',
+      posteam: 'WAS',
+      home_score: '20',
+      away_score: '16',
+      time_of_day: '17:02:00'
+    })
+  ]);
+
+  describe('parseESPNPlayByPlay', () => {
+    it('should turn snaps into pre-snap states and skip clock events', () => {
+      const game = parseESPNPlayByPlay(espnSummary());
+
+      expect(game).toEqual(expect.objectContaining({
+        source: 'espn',
+        sourceGameId: '401547353',
+        season: 2023,
+        homeTeam: 'KC',
+        awayTeam: 'DET',
+        finalScore: { home: 20, away: 21 }
+      }));
+      // Six snaps and the final state; the timeout and end of period produce none
+      expect(game.plays).toHaveLength(7);
+      expect(game.plays[1]).toEqual(expect.objectContaining({
+        quarter: 1,
+        minutesRemaining: 14,
+        secondsRemaining: 55,
+        possession: 'home',
+        yardLine: 25,
+        fieldSide: 'home',
+        yardsToEndZone: 75,
+        down: 1,
+        yardsToGo: 10
+      }));
+      expect(game.plays[0].down).toBeNull();
+      expect(game.plays[2].lastPlay!.description).toBe('I.Pacheco left end to KC 30 for 5 yards');
+      for (let i = 1; i < game.plays.length; i++) {
+        expect(game.plays[i].timestamp.getTime()).toBeGreaterThan(game.plays[i - 1].timestamp.getTime());
+      }
+    });
+
+    it('should record penalties, reviews and the score after each snap', () => {
+      const { plays } = parseESPNPlayByPlay(espnSummary());
+
+      expect(plays[3].lastPlay!.penalty).toEqual({
+        team: 'away',
+        type: 'Defensive Offside',
+        yards: 5,
+        declined: false,
+        offsetting: false,
+        noPlay: true
+      });
+      expect(plays[3].homeTimeouts).toBe(2);
+      expect(plays[3].homeScore).toBe(0);
+      expect(plays[4].lastPlay!.review).toBe('reversed');
+      expect(plays[4].homeScore).toBe(6);
+    });
+
+    it('should reset timeouts at halftime and in overtime', () => {
+      const { plays } = parseESPNPlayByPlay(espnSummary());
+
+      expect(plays[4]).toEqual(expect.objectContaining({ quarter: 3, overtime: false, homeTimeouts: 3, awayTimeouts: 3 }));
+      expect(plays[5]).toEqual(expect.objectContaining({
+        quarter: 5,
+        overtime: true,
+        homeTimeouts: 2,
+        awayTimeouts: 2,
+        possession: 'away',
+        yardLine: 20,
+        fieldSide: 'home'
+      }));
+      expect(plays[6]).toEqual(expect.objectContaining({ homeScore: 20, awayScore: 21, down: null }));
+    });
+
+    it('should need both competitors', () => {
+      expect(() => parseESPNPlayByPlay({ header: { competitions: [{ competitors: [] }] } }))
+        .toThrow('ESPN play-by-play is missing the home and away competitors');
+    });
+  });
+
+  describe('parseNflversePlayByPlay', () => {
+    it('should group rows by game and read quoted descriptions', () => {
+      const games = parseNflversePlayByPlay(nflverseCsv());
+
+      expect(games.map(game => game.sourceGameId)).toEqual(['2023_01_DET_KC', '2023_01_ARI_WAS']);
+      expect(games[0]).toEqual(expect.objectContaining({ source: 'nflverse', season: 2023, week: 1, homeTeam: 'KC', awayTeam: 'DET' }));
+      expect(games[0].plays[2].lastPlay!.description)
+        .toBe('(14:55) I.Pacheco left end to KC 30 for 5 yards (A.Hutchinson, "Bo" Smith).');
+      expect(games[1].plays).toHaveLength(2);
+      expect(games[1].finalScore).toEqual({ home: 20, away: 16 });
+    });
+
+    it('should keep penalties that wipe out a snap and take timeouts from the feed', () => {
+      const [game] = parseNflversePlayByPlay(nflverseCsv());
+
+      // Kickoff, run, penalty, pass and the final state; the GAME and timeout rows produce none
+      expect(game.plays).toHaveLength(5);
+      expect(game.plays[2]).toEqual(expect.objectContaining({ down: 2, yardsToGo: 5, homeTimeouts: 3 }));
+      expect(game.plays[3].lastPlay!.penalty).toEqual(expect.objectContaining({ team: 'away', yards: 5, noPlay: true }));
+      expect(game.plays[3].homeTimeouts).toBe(2);
+      expect(game.plays[4].lastPlay!.review).toBe('reversed');
+      expect(game.finalScore).toEqual({ home: 20, away: 21 });
+    });
+
+    it('should carry time of day past midnight', () => {
+      const [game] = parseNflversePlayByPlay(nflverseCsv());
+
+      expect(game.plays[0].timestamp.toISOString()).toBe('2023-09-07T23:59:30.000Z');
+      expect(game.plays[1].timestamp.toISOString()).toBe('2023-09-08T00:00:20.000Z');
+    });
+
+    it('should need the columns states are built from', () => {
+      expect(() => parseNflversePlayByPlay('game_id,home_team,away_team\n1,KC,DET\n'))
+        .toThrow('nflverse play-by-play is missing the posteam column');
+    });
+  });
+
+  describe('PlayByPlayImporter', () => {
+    let directory: string;
+    let databaseService: { savePlayByPlayData: jest.Mock };
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'play-by-play-'));
+      databaseService = { savePlayByPlayData: jest.fn().mockResolvedValue(0) };
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should store every game in a directory under the resolved game id', async () => {
+      await fs.writeFile(path.join(directory, 'a-espn.json'), JSON.stringify(espnSummary()));
+      await fs.writeFile(path.join(directory, 'b-nflverse.csv'), nflverseCsv());
+      await fs.writeFile(path.join(directory, 'notes.txt'), 'ignored');
+
+      const importer = new PlayByPlayImporter(databaseService as any, game =>
+        game.sourceGameId === '2023_01_ARI_WAS' ? null : `game-${game.sourceGameId}`
+      );
+      const result = await importer.importDirectory(directory);
+
+      expect(result.imported).toEqual([
+        { gameId: 'game-401547353', sourceGameId: '401547353', states: 7 },
+        { gameId: 'game-2023_01_DET_KC', sourceGameId: '2023_01_DET_KC', states: 5 }
+      ]);
+      expect(result.skipped).toEqual(['2023_01_ARI_WAS']);
+      expect(databaseService.savePlayByPlayData).toHaveBeenCalledTimes(2);
+      expect(databaseService.savePlayByPlayData.mock.calls[0][0]).toBe('game-401547353');
+      expect(databaseService.savePlayByPlayData.mock.calls[0][1]).toHaveLength(7);
+    });
+
+    it('should reject files that are not ESPN JSON or nflverse CSV', async () => {
+      const file = path.join(directory, 'plays.xml');
+      await fs.writeFile(file, '<plays/>');
+
+      await expect(new PlayByPlayImporter(databaseService as any).importFile(file))
+        .rejects.toThrow(`Unsupported play-by-play file ${file}; expected .json or .csv`);
+    });
+  });
+});
@@ -1,7 +1,8 @@
 import { 
   NormalDistribution, 
   BetaDistribution, 
-  GammaDistribution 
+  GammaDistribution,
+  PlayOutcomeDistributions
 } from '../../core/probability-distributions';
 
 describe('Probability Distributions', () => {
@@ -185,6 +186,33 @@ describe('Probability Distributions', () => {
     });
   });
 
+  describe('quantile', () => {
+    it('should invert the standard normal CDF', () => {
+      expect(NormalDistribution.standardQuantile(0.5)).toBeCloseTo(0, 8);
+      expect(NormalDistribution.standardQuantile(0.975)).toBeCloseTo(1.959964, 5);
+      expect(NormalDistribution.standardQuantile(0.001)).toBeCloseTo(-3.090232, 5);
+      expect(NormalDistribution.standardCdf(1.959964)).toBeCloseTo(0.975, 6);
+      expect(new NormalDistribution(10, 2).quantile(0.8413447)).toBeCloseTo(12, 4);
+    });
+
+    it('should invert the beta and gamma CDFs', () => {
+      const beta = new BetaDistribution(2, 5);
+      const gamma = new GammaDistribution(3.5, 2);
+
+      for (const p of [0.05, 0.25, 0.5, 0.9]) {
+        expect(beta.cdf(beta.quantile(p))).toBeCloseTo(p, 6);
+        expect(gamma.cdf(gamma.quantile(p))).toBeCloseTo(p, 6);
+      }
+    });
+
+    it('should compute the gamma CDF for non-integer shapes', () => {
+      // Reference values of the regularized lower incomplete gamma function
+      expect(new GammaDistribution(3.5, 1).cdf(3.5)).toBeCloseTo(0.5711, 4);
+      expect(new GammaDistribution(0.5, 1).cdf(2)).toBeCloseTo(0.9545, 4);
+      expect(new GammaDistribution(10, 1).cdf(15)).toBeCloseTo(0.9301, 4);
+    });
+  });
+
   describe('Distribution Properties', () => {
     it('should maintain mathematical properties for Normal distribution', () => {
       const normal = new NormalDistribution(3, 2);
@@ -260,4 +288,64 @@ describe('Probability Distributions', () => {
       expect(mean).toBeCloseTo(100, -1); // Allow for some variance
     });
   });
-});
\ No newline at end of file
+
+  describe('PlayOutcomeDistributions', () => {
+    // Deterministic uniform source so the tests do not depend on Math.random
+    const createRandom = (seed: number) => {
+      let state = seed;
+      return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+      };
+    };
+
+    it('should produce league-average yards per play', () => {
+      const model = new PlayOutcomeDistributions();
+      const random = createRandom(1);
+
+      const rushes = Array.from({ length: 2000 }, () => model.sampleRush(random));
+      const passes = Array.from({ length: 2000 }, () => model.samplePass(random));
+      const mean = (plays: { yards: number }[]) => plays.reduce((sum, p) => sum + p.yards, 0) / plays.length;
+
+      expect(mean(rushes)).toBeGreaterThan(3);
+      expect(mean(rushes)).toBeLessThan(6);
+      expect(mean(passes)).toBeGreaterThan(5);
+      expect(mean(passes)).toBeLessThan(9);
+    });
+
+    it('should stop the clock on incompletions and turnovers', () => {
+      const model = new PlayOutcomeDistributions({ completionRate: 0, sackRate: 0, interceptionRate: 0 });
+      const incompletion = model.samplePass(createRandom(2));
+
+      expect(incompletion.yards).toBe(0);
+      expect(incompletion.clockStops).toBe(true);
+      expect(incompletion.turnover).toBe(false);
+    });
+
+    it('should apply parameter overrides', () => {
+      const model = new PlayOutcomeDistributions({ fumbleRate: 1 });
+      const rush = model.sampleRush(createRandom(3));
+
+      expect(rush.turnover).toBe(true);
+      expect(model.parameters.passRate).toBeCloseTo(0.58, 5);
+    });
+
+    it('should make short field goals more often than long ones', () => {
+      const model = new PlayOutcomeDistributions();
+
+      expect(model.fieldGoalProbability(25)).toBeGreaterThan(0.9);
+      expect(model.fieldGoalProbability(55)).toBeLessThan(model.fieldGoalProbability(40));
+    });
+
+    it('should start kickoff returns inside the field of play', () => {
+      const model = new PlayOutcomeDistributions();
+      const random = createRandom(4);
+
+      for (let i = 0; i < 200; i++) {
+        const start = model.sampleKickoffStart(random);
+        expect(start).toBeGreaterThanOrEqual(1);
+        expect(start).toBeLessThanOrEqual(99);
+      }
+    });
+  });
+});
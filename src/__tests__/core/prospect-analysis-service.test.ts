@@ -629,6 +629,29 @@ describe('ProspectAnalysisService', () => {
     });
   });
 
+  describe('rankFantasyProspects', () => {
+    const createProspect = (playerId: string, position: Position, projectedPick: number, bustRisk?: number) =>
+      new ProspectAnalysis({
+        playerId,
+        playerName: playerId,
+        position,
+        draftProjection: { projectedPick } as any,
+        bustRisk
+      });
+
+    it('should order fantasy prospects by draft capital, then bust risk', () => {
+      const ranked = service.rankFantasyProspects([
+        createProspect('late-wr', Position.WR, 90, 30),
+        createProspect('tackle', Position.LT, 2, 10),
+        createProspect('safe-rb', Position.RB, 20, 20),
+        createProspect('risky-te', Position.TE, 20, 70),
+        createProspect('qb', Position.QB, 5)
+      ]);
+
+      expect(ranked.map(p => p.playerId)).toEqual(['qb', 'safe-rb', 'risky-te', 'late-wr']);
+    });
+  });
+
   describe('edge cases and validation', () => {
     it('should handle empty college stats', async () => {
       const result = await service.analyzeProspect(
@@ -0,0 +1,80 @@
+import { RatingReplay, ratingDivisionForTeam } from '../../core/rating-replay';
+
+describe('RatingReplay', () => {
+  beforeAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const teams = [
+    { id: 'chiefs', conference: 'AFC', division: 'AFC West' },
+    { id: 'eagles', conference: 'NFC', division: 'NFC East' },
+    { id: 'georgia', conference: 'SEC', division: 'East' },
+    { id: 'alabama', conference: 'SEC', division: 'West' },
+    { id: 'ndsu', conference: 'Missouri Valley Football Conference', division: null }
+  ];
+
+  const games = [
+    { id: 'g1', home_team_id: 'chiefs', away_team_id: 'eagles', home_score: 24, away_score: 21, scheduled_time: '2022-09-11T17:00:00Z' },
+    { id: 'g2', home_team_id: 'georgia', away_team_id: 'ndsu', home_score: 45, away_score: 3, scheduled_time: '2022-09-10T16:00:00Z' },
+    { id: 'g3', home_team_id: 'alabama', away_team_id: 'mercer', home_score: 56, away_score: 0, scheduled_time: '2022-09-17T16:00:00Z' },
+    { id: 'g4', home_team_id: 'eagles', away_team_id: 'chiefs', home_score: 38, away_score: 35, scheduled_time: '2023-02-12T23:30:00Z' },
+    { id: 'g5', home_team_id: 'chiefs', away_team_id: 'eagles', home_score: 20, away_score: 27, scheduled_time: '2023-09-10T17:00:00Z' }
+  ];
+
+  const createDatabase = () => ({
+    query: jest.fn(async (sql: string) => (sql.includes('FROM teams') ? teams : games)),
+    saveTeamRatingHistory: jest.fn(async (_league: string, snapshots: any[]) => snapshots.length)
+  });
+
+  it('should classify stored teams by league and division', () => {
+    expect(ratingDivisionForTeam('nfl', 'AFC')).toBe('NFL');
+    expect(ratingDivisionForTeam('nfl', 'SEC')).toBeNull();
+    expect(ratingDivisionForTeam('ncaa', 'nfc')).toBeNull();
+    expect(ratingDivisionForTeam('ncaa', 'Big Sky Conference')).toBe('FCS');
+    expect(ratingDivisionForTeam('ncaa', 'CAA Football')).toBe('FCS');
+    expect(ratingDivisionForTeam('ncaa', 'Big South-OVC')).toBe('FCS');
+    expect(ratingDivisionForTeam('ncaa', 'Big Ten')).toBe('FBS');
+    expect(ratingDivisionForTeam('ncaa', 'Mountain West')).toBe('FBS');
+  });
+
+  it('should rebuild NFL ratings across seasons and store the history', async () => {
+    const database = createDatabase();
+    const result = await new RatingReplay(database as any).replay('nfl');
+
+    expect(database.query).toHaveBeenCalledWith(expect.stringContaining('WHERE status = $1'), ['final']);
+    expect(result.teams).toBe(2);
+    expect(result.games).toBe(3);
+    expect(result.skippedGames).toBe(0);
+    // The February Super Bowl belongs to the 2022 season
+    expect(result.seasons).toEqual([2022, 2023]);
+
+    const history = result.engine.getHistory('chiefs');
+    expect(history.map(entry => entry.event)).toEqual(['season_start', 'game', 'game', 'season_start', 'game']);
+    expect(database.saveTeamRatingHistory).toHaveBeenCalledWith('nfl', result.engine.getAllHistory());
+    expect(result.snapshotsStored).toBe(10);
+    expect(result.ratings[0].teamId).toBe('eagles');
+  });
+
+  it('should rate FBS and FCS teams together and add unlisted opponents at the FCS level', async () => {
+    const database = createDatabase();
+    const result = await new RatingReplay(database as any).replay('ncaa', { persist: false });
+
+    expect(result.teams).toBe(4);
+    expect(result.games).toBe(2);
+    expect(result.skippedGames).toBe(0);
+    expect(result.engine.getRating('georgia').division).toBe('FBS');
+    expect(result.engine.getRating('ndsu').division).toBe('FCS');
+    expect(result.engine.getRating('ndsu').elo).toBeLessThan(1200);
+    expect(result.engine.getRating('mercer').division).toBe('FCS');
+    expect(result.engine.getHistory('mercer').map(entry => entry.event)).toContain('game');
+    expect(database.saveTeamRatingHistory).not.toHaveBeenCalled();
+  });
+
+  it('should start the replay at a season', async () => {
+    const result = await new RatingReplay(createDatabase() as any).replay('nfl', { fromSeason: 2023, config: { kFactor: 30 } });
+
+    expect(result.games).toBe(1);
+    expect(result.seasons).toEqual([2023]);
+    expect(result.engine.getConfig().kFactor).toBe(30);
+  });
+});
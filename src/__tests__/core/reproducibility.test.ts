@@ -0,0 +1,62 @@
+import { canonicalJson, hashScenario, getCodeVersion, generateSeed } from '../../core/reproducibility';
+import { SimulationScenario, DistributionType, VariableType } from '../../types/simulation.types';
+
+describe('reproducibility', () => {
+  const createScenario = (overrides: Partial<SimulationScenario> = {}): SimulationScenario => ({
+    id: 'scenario-1',
+    gameState: { score: { home: 7, away: 3 } } as any,
+    iterations: 1000,
+    variables: [
+      {
+        name: 'offensive_efficiency',
+        type: VariableType.CONTINUOUS,
+        distribution: { type: DistributionType.BETA, parameters: { alpha: 2, beta: 2 } }
+      }
+    ],
+    constraints: [],
+    ...overrides
+  });
+
+  describe('canonicalJson', () => {
+    it('should serialize objects independently of key order', () => {
+      expect(canonicalJson({ b: 1, a: { d: [1, 2], c: 'x' } }))
+        .toBe(canonicalJson({ a: { c: 'x', d: [1, 2] }, b: 1 }));
+      expect(canonicalJson({ a: 1, skipped: undefined })).toBe('{"a":1}');
+      const kickoff = new Date('2024-09-08T17:00:00Z');
+      expect(canonicalJson({ at: kickoff })).toBe(`{"at":"${kickoff.toISOString()}"}`);
+    });
+  });
+
+  describe('hashScenario', () => {
+    it('should ignore the scenario id and metadata', () => {
+      const hash = hashScenario(createScenario());
+
+      expect(hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(hashScenario(createScenario({ id: 'another-id', metadata: { createdBy: 'test' } }))).toBe(hash);
+    });
+
+    it('should change when simulation inputs change', () => {
+      const hash = hashScenario(createScenario());
+
+      expect(hashScenario(createScenario({ iterations: 2000 }))).not.toBe(hash);
+      expect(hashScenario(createScenario({ gameState: { score: { home: 7, away: 6 } } as any }))).not.toBe(hash);
+    });
+  });
+
+  describe('getCodeVersion', () => {
+    it('should return a stable non-empty version', () => {
+      expect(getCodeVersion()).toBeTruthy();
+      expect(getCodeVersion()).toBe(getCodeVersion());
+    });
+  });
+
+  describe('generateSeed', () => {
+    it('should return an unsigned 32-bit integer', () => {
+      const seed = generateSeed();
+
+      expect(Number.isInteger(seed)).toBe(true);
+      expect(seed).toBeGreaterThanOrEqual(0);
+      expect(seed).toBeLessThan(2 ** 32);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { SeededRandom } from '../../core/seeded-random';
+
+describe('SeededRandom', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    const first = new SeededRandom(42);
+    const second = new SeededRandom(42);
+
+    const a = Array.from({ length: 20 }, () => first.nextUint32());
+    const b = Array.from({ length: 20 }, () => second.nextUint32());
+
+    expect(a).toEqual(b);
+    expect(new Set(a).size).toBe(20);
+  });
+
+  it('should produce different sequences for different seeds and keys', () => {
+    const draw = (random: SeededRandom) => Array.from({ length: 5 }, () => random.nextUint32());
+
+    expect(draw(new SeededRandom(1))).not.toEqual(draw(new SeededRandom(2)));
+    expect(draw(new SeededRandom(1, 0))).not.toEqual(draw(new SeededRandom(1, 1)));
+    expect(draw(new SeededRandom(1))).not.toEqual(draw(new SeededRandom(1 + 2 ** 32)));
+  });
+
+  it('should derive split streams from the key path, not the position', () => {
+    const root = new SeededRandom(7);
+    const before = root.split(3).next();
+    root.next();
+    root.next();
+
+    expect(root.split(3).next()).toBe(before);
+    expect(root.split(3).next()).toBe(new SeededRandom(7, 3).next());
+    expect(root.split(3).split(1).next()).toBe(new SeededRandom(7, 3, 1).next());
+  });
+
+  it('should generate uniform doubles in [0, 1)', () => {
+    const random = new SeededRandom(2024).source;
+    const samples = Array.from({ length: 20000 }, () => random());
+
+    const mean = samples.reduce((sum, u) => sum + u, 0) / samples.length;
+    const buckets = new Array(10).fill(0);
+    samples.forEach(u => buckets[Math.floor(u * 10)]++);
+
+    expect(samples.every(u => u >= 0 && u < 1)).toBe(true);
+    expect(mean).toBeCloseTo(0.5, 2);
+    buckets.forEach(count => {
+      expect(count).toBeGreaterThan(1850);
+      expect(count).toBeLessThan(2150);
+    });
+  });
+
+  it('should keep iteration streams uncorrelated', () => {
+    const firsts = Array.from({ length: 5000 }, (_, i) => new SeededRandom(99, i).next());
+    const seconds = Array.from({ length: 5000 }, (_, i) => new SeededRandom(99, i + 1).next());
+
+    const mean = (xs: number[]) => xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const ma = mean(firsts);
+    const mb = mean(seconds);
+    const covariance = mean(firsts.map((x, i) => (x - ma) * (seconds[i] - mb)));
+
+    expect(Math.abs(covariance / (1 / 12))).toBeLessThan(0.05);
+  });
+
+  it('should reject seeds that are not safe integers', () => {
+    expect(() => new SeededRandom(1.5)).toThrow('Random seed must be a safe integer');
+  });
+});
@@ -1,5 +1,10 @@
 import { ShapExplainer, IShapExplainer } from '../../core/shap-explainer';
 import { Logger } from 'winston';
+import { XGBoostModel } from '../../core/models/xgboost-model';
+import { NeuralNetworkModel } from '../../core/models/neural-network-model';
+import { EnsembleModel } from '../../core/models/ensemble-model';
+import { treeMargins } from '../../core/tree-shap';
+import { SeededRandom } from '../../core/seeded-random';
 import {
   Model,
   ModelType,
@@ -7,7 +12,8 @@ import {
   FeatureVector,
   Explanation,
   GlobalExplanation,
-  ShapValue
+  ShapValue,
+  TrainingData
 } from '../../types/ml.types';
 
 describe('ShapExplainer', () => {
@@ -418,6 +424,132 @@ describe('ShapExplainer', () => {
     });
   });
 
+  describe('trained models', () => {
+    const names = ['feature1', 'feature2', 'feature3'];
+    const rng = new SeededRandom(5);
+    const rows = Array.from({ length: 60 }, () => [rng.next() * 4, rng.next() * 4, rng.next() * 4]);
+    const trainingData: TrainingData = {
+      features: rows,
+      targets: rows.map(row => (row[0] > 2 ? 1 : 0) * (row[1] > 2 ? 1 : 0.5)),
+      featureNames: names,
+      metadata: { size: rows.length, startDate: new Date(), endDate: new Date(), source: 'test' }
+    };
+    const vector = (values: number[]): FeatureVector => ({ values, names, timestamp: new Date() });
+    const samples = rows.slice(0, 12).map(vector);
+
+    const withArtifact = (type: ModelType, artifact: Record<string, any>, id: string): Model =>
+      ({ ...mockModel, id, type, features: names, artifact });
+
+    let boosted: XGBoostModel;
+    let network: NeuralNetworkModel;
+
+    beforeAll(async () => {
+      boosted = new XGBoostModel({ maxDepth: 2, learningRate: 0.3, nEstimators: 10 });
+      await boosted.train(trainingData);
+      network = new NeuralNetworkModel({ hiddenLayers: [6], epochs: 40, learningRate: 0.05, validationSplit: 0 });
+      await network.train(trainingData);
+    });
+
+    it('should explain tree models exactly in margin space', async () => {
+      const model = withArtifact(ModelType.XGBOOST, boosted.toJSON(), 'trees');
+      const features = vector([3, 3, 1]);
+
+      const explanation = await shapExplainer.explainPrediction(model, features, await boosted.predict(features));
+      const total = explanation.shapValues!.reduce((sum, sv) => sum + sv.shapValue, 0);
+      const margin = treeMargins(boosted.getTrees(), boosted.getBaseMargin(), features.values)[0];
+
+      expect(explanation.localExplanation.baseValue + total).toBeCloseTo(margin, 8);
+      expect(explanation.featureImportances[0].featureName).toBe('feature1');
+      expect(mockLogger.warn).not.toHaveBeenCalled();
+    });
+
+    it('should return interaction values for tree models only', async () => {
+      const trees = withArtifact(ModelType.XGBOOST, boosted.toJSON(), 'trees');
+      const features = vector([3, 3, 1]);
+
+      const interactions = await shapExplainer.calculateShapInteractionValues(trees, features);
+      const shapValues = await shapExplainer.calculateShapValues(trees, features, 0);
+
+      interactions.forEach((row, i) => {
+        expect(row.reduce((sum, v) => sum + v, 0)).toBeCloseTo(shapValues[i].shapValue, 8);
+      });
+      await expect(shapExplainer.calculateShapInteractionValues(mockModel, features))
+        .rejects.toThrow(`SHAP interaction values require a trained tree model; model ${mockModel.id} has no trees`);
+    });
+
+    it('should explain networks with KernelSHAP against the configured background', async () => {
+      const model = withArtifact(ModelType.NEURAL_NETWORK, network.toJSON(), 'network');
+      const features = vector([3, 1, 2]);
+      const prediction = await network.predict(features);
+
+      const againstMeans = await shapExplainer.calculateShapValues(model, features, 0);
+      shapExplainer.setBackgroundData(model.id, samples);
+      const againstSample = await shapExplainer.calculateShapValues(model, features, 0);
+
+      [againstMeans, againstSample].forEach(shapValues => {
+        const total = shapValues.reduce((sum, sv) => sum + sv.shapValue, 0);
+        expect(shapValues[0].baseValue + total).toBeCloseTo(prediction, 8);
+      });
+      expect(againstSample[0].baseValue).not.toBeCloseTo(againstMeans[0].baseValue, 8);
+    });
+
+    it('should cap the background and coalitions KernelSHAP uses for global explanations', async () => {
+      const wide = Array.from({ length: 11 }, (_, i) => `wide${i}`);
+      const wideRows = Array.from({ length: 40 }, () => wide.map(() => rng.next() * 4));
+      const wideNetwork = new NeuralNetworkModel({ hiddenLayers: [4], epochs: 5, learningRate: 0.05, validationSplit: 0 });
+      await wideNetwork.train({
+        ...trainingData,
+        features: wideRows,
+        targets: wideRows.map(row => (row[0] > 2 ? 1 : 0)),
+        featureNames: wide
+      });
+      const model: Model = { ...mockModel, id: 'wide', type: ModelType.NEURAL_NETWORK, features: wide, artifact: wideNetwork.toJSON() };
+      const wideSamples = wideRows.slice(0, 5).map(values => ({ values, names: wide, timestamp: new Date() }));
+      shapExplainer.setBackgroundData(model.id, wideRows.map(values => ({ values, names: wide, timestamp: new Date() })));
+      const predict = jest.spyOn(NeuralNetworkModel.prototype, 'predict');
+
+      const global = await shapExplainer.generateGlobalExplanation(model, wideSamples);
+
+      // 2046 coalitions against all 40 background rows would be over 80,000 per sample
+      expect(predict.mock.calls.length).toBeLessThan(wideSamples.length * 300 * 20);
+      expect(global.topFeatures).toHaveLength(10);
+      predict.mockRestore();
+    });
+
+    it('should explain ensembles through their combined prediction', async () => {
+      const ensemble = EnsembleModel.fromJSON({
+        format: 'ensemble-ts',
+        version: 1,
+        config: { models: ['trees', 'network'], method: 'weighted_average', weights: [0.5, 0.5] },
+        featureNames: names,
+        members: [boosted.toJSON(), network.toJSON()]
+      });
+      const model = withArtifact(ModelType.ENSEMBLE, ensemble.toJSON(), 'ensemble');
+      const features = vector([1, 3, 2]);
+
+      const shapValues = await shapExplainer.calculateShapValues(model, features, 0);
+      const total = shapValues.reduce((sum, sv) => sum + sv.shapValue, 0);
+
+      expect(shapValues[0].baseValue + total).toBeCloseTo(await ensemble.predict(features), 8);
+    });
+
+    it('should rank global interactions and plot dependence from real SHAP values', async () => {
+      const model = withArtifact(ModelType.XGBOOST, boosted.toJSON(), 'trees');
+
+      const global = await shapExplainer.generateGlobalExplanation(model, samples);
+      const dependence = await shapExplainer.visualizeDependence(model, samples, 'feature1');
+
+      expect(global.topFeatures[0].featureName).toBe('feature1');
+      expect(global.featureInteractions[0]).toEqual(expect.objectContaining({ feature1: 'feature1', feature2: 'feature2' }));
+      expect(dependence.type).toBe('dependence');
+      expect(dependence.data.values).toEqual(samples.map(sample => sample.values[0]));
+      expect(dependence.data.interactionFeature).toBe('feature2');
+      samples.forEach((sample, i) => {
+        expect(Math.sign(dependence.data.shapValues[i])).toBe(sample.values[0] > 2 ? 1 : -1);
+      });
+    });
+  });
+
   describe('performance', () => {
     it('should complete explanation generation within reasonable time', async () => {
       const startTime = Date.now();
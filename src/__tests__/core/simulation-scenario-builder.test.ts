@@ -211,6 +211,46 @@ describe('SimulationScenarioBuilder', () => {
       expect(() => builder.addCorrelation('var1', 'nonexistent', 0.5))
         .toThrow('Both variables must exist before adding correlation');
     });
+
+    it('should replace the coefficient when a pair is re-declared', () => {
+      const scenario = new SimulationScenarioBuilder()
+        .withGameState(mockGameState)
+        .addNormalVariable('var1', 0, 1)
+        .addNormalVariable('var2', 0, 1)
+        .addCorrelation('var1', 'var2', 0.5)
+        .addCorrelation('var2', 'var1', 0.2)
+        .build();
+
+      const var1 = scenario.variables.find(v => v.name === 'var1');
+      expect(var1!.correlation).toEqual([{ variable: 'var2', coefficient: 0.2 }]);
+    });
+
+    it('should reject correlation matrices that are not positive semi-definite', () => {
+      // Two strongly correlated variables cannot both be strongly anti-correlated with a third
+      const builder = new SimulationScenarioBuilder()
+        .withGameState(mockGameState)
+        .addNormalVariable('a', 0, 1)
+        .addNormalVariable('b', 0, 1)
+        .addNormalVariable('c', 0, 1)
+        .addCorrelation('a', 'b', 0.9)
+        .addCorrelation('a', 'c', 0.9)
+        .addCorrelation('b', 'c', -0.9);
+
+      expect(() => builder.build()).toThrow('is not positive semi-definite');
+    });
+
+    it('should accept perfectly correlated variables', () => {
+      const builder = new SimulationScenarioBuilder()
+        .withGameState(mockGameState)
+        .addNormalVariable('a', 0, 1)
+        .addNormalVariable('b', 0, 1)
+        .addNormalVariable('c', 0, 1)
+        .addCorrelation('a', 'b', 1)
+        .addCorrelation('a', 'c', 0.4)
+        .addCorrelation('b', 'c', 0.4);
+
+      expect(() => builder.build()).not.toThrow();
+    });
   });
 
   describe('constraints', () => {
@@ -240,6 +280,35 @@ describe('SimulationScenarioBuilder', () => {
       expect(constraint!.condition).toBe('variables.test < 0.8');
       expect(constraint!.penalty).toBe(0.2);
     });
+
+    it('should reject constraints that reference undeclared variables', () => {
+      const builder = new SimulationScenarioBuilder()
+        .withGameState(mockGameState)
+        .addNormalVariable('test', 0, 1)
+        .addHardConstraint('typo', 'variables.tset > 0');
+
+      expect(() => builder.build())
+        .toThrow("Constraint typo: Unknown variable 'tset' at position 0");
+    });
+
+    it('should reject constraints with syntax errors', () => {
+      const builder = new SimulationScenarioBuilder()
+        .withGameState(mockGameState)
+        .addNormalVariable('test', 0, 1)
+        .addSoftConstraint('broken', 'variables.test > (0.5', 0.1);
+
+      expect(() => builder.build())
+        .toThrow("Constraint broken: Expected ')' at position 21");
+    });
+
+    it('should reject constraints that are not plain expressions', () => {
+      const builder = new SimulationScenarioBuilder()
+        .withGameState(mockGameState)
+        .addNormalVariable('test', 0, 1)
+        .addHardConstraint('injection', 'require("fs") && true');
+
+      expect(() => builder.build()).toThrow("Unknown identifier 'require'");
+    });
   });
 
   describe('metadata', () => {
@@ -304,6 +373,50 @@ describe('SimulationScenarioBuilder', () => {
       expect(variableNames).toContain('urgency_factor');
       expect(variableNames).toContain('clock_management');
     });
+
+    it('should center efficiency variables on a pregame prior', () => {
+      const prior = {
+        homeTeamId: 'team-1',
+        awayTeamId: 'team-2',
+        asOf: new Date('2024-10-01'),
+        leagueAveragePoints: 22,
+        homeExpectedPoints: 26.4,
+        awayExpectedPoints: 17.6,
+        homePointsStdDev: 1.5,
+        awayPointsStdDev: 3,
+        spread: -8.8,
+        spreadStdDev: 14.5,
+        total: 44,
+        totalStdDev: 14.5,
+        homeWinProbability: 0.73
+      };
+
+      const betaOf = (scenario: any, name: string) =>
+        scenario.variables.find((v: any) => v.name === name).distribution.parameters;
+      const betaMean = (scenario: any, name: string) => {
+        const { alpha, beta } = betaOf(scenario, name);
+        return alpha / (alpha + beta);
+      };
+
+      // 5% more points than average is a 1.05 strength, i.e. efficiency 0.5 + 0.05 / 0.4
+      const scenario = SimulationScenarioBuilder
+        .createRatedGameScenario(mockGameState, { ...prior, homeExpectedPoints: 23.1, awayExpectedPoints: 22 }, 2000)
+        .build();
+
+      expect(betaMean(scenario, 'offensive_efficiency')).toBeCloseTo(0.625, 10);
+      expect(betaMean(scenario, 'defensive_efficiency')).toBeCloseTo(0.5, 10);
+      expect(betaOf(scenario, 'offensive_efficiency').alpha + betaOf(scenario, 'offensive_efficiency').beta)
+        .toBeGreaterThan(betaOf(scenario, 'defensive_efficiency').alpha + betaOf(scenario, 'defensive_efficiency').beta);
+      expect(scenario.variables.filter(v => v.name === 'offensive_efficiency')).toHaveLength(1);
+      expect(scenario.variables.find(v => v.name === 'offensive_efficiency')!.correlation![0]).toEqual(expect.objectContaining({ variable: 'momentum', coefficient: 0.3 }));
+      expect(scenario.iterations).toBe(2000);
+      expect(scenario.metadata!.pregamePrior.spread).toBe(-8.8);
+
+      // Lopsided matchups stay inside the Beta's support
+      const lopsided = SimulationScenarioBuilder.createRatedGameScenario(mockGameState, prior).build();
+      expect(betaMean(lopsided, 'offensive_efficiency')).toBeCloseTo(0.95, 10);
+      expect(betaMean(lopsided, 'defensive_efficiency')).toBeCloseTo(0.95, 10);
+    });
   });
 
   describe('validation', () => {
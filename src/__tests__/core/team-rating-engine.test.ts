@@ -0,0 +1,173 @@
+import { RatedGame, TeamRatingEngine, ratingPeriodStart, seasonForDate } from '../../core/team-rating-engine';
+
+describe('TeamRatingEngine', () => {
+  const game = (overrides: Partial<RatedGame> & Pick<RatedGame, 'homeTeamId' | 'awayTeamId' | 'homeScore' | 'awayScore'>): RatedGame => ({
+    gameId: `${overrides.homeTeamId}-${overrides.awayTeamId}`,
+    date: new Date('2023-09-10T17:00:00Z'),
+    season: 2023,
+    ...overrides
+  });
+
+  const nflEngine = (...teamIds: string[]) => {
+    const engine = new TeamRatingEngine({ league: 'nfl' });
+    teamIds.forEach(teamId => engine.addTeam(teamId, 'NFL'));
+    return engine;
+  };
+
+  describe('Elo', () => {
+    it('should scale the update by the margin of victory', () => {
+      const engine = nflEngine('home', 'away');
+      engine.startSeason(2023, new Date('2023-09-07T00:00:00Z'));
+      engine.processPeriod([game({ homeTeamId: 'home', awayTeamId: 'away', homeScore: 24, awayScore: 10 })]);
+
+      const expected = 1 / (1 + Math.pow(10, -48 / 400));
+      const change = 20 * Math.log(15) * 2.2 / (48 * 0.001 + 2.2) * (1 - expected);
+      expect(engine.getRating('home').elo).toBeCloseTo(1500 + change, 10);
+      expect(engine.getRating('away').elo).toBeCloseTo(1500 - change, 10);
+      expect(engine.getRating('home').gamesPlayed).toBe(1);
+    });
+
+    it('should move more for blowouts and upsets', () => {
+      const changeFor = (homeScore: number, awayScore: number) => {
+        const engine = nflEngine('home', 'away');
+        engine.startSeason(2023, new Date('2023-09-07T00:00:00Z'));
+        engine.processPeriod([game({ homeTeamId: 'home', awayTeamId: 'away', homeScore, awayScore })]);
+        return Math.abs(engine.getRating('home').elo - 1500);
+      };
+
+      expect(changeFor(38, 3)).toBeGreaterThan(changeFor(20, 17));
+      expect(changeFor(17, 20)).toBeGreaterThan(changeFor(20, 17));
+      expect(changeFor(20, 20)).toBeGreaterThan(0);
+    });
+
+    it('should turn ratings into win probabilities and spreads', () => {
+      const engine = nflEngine('home', 'away');
+
+      const matchup = engine.predict('home', 'away');
+      expect(matchup.eloWinProbability).toBeCloseTo(1 / (1 + Math.pow(10, -48 / 400)), 10);
+      expect(matchup.spread).toBeCloseTo(-48 / 25, 10);
+      expect(matchup.glickoWinProbability).toBeGreaterThan(0.5);
+      expect(matchup.glickoWinProbability).toBeLessThan(matchup.eloWinProbability);
+
+      const neutral = engine.predict('home', 'away', true);
+      expect(neutral.eloWinProbability).toBe(0.5);
+      expect(neutral.glickoWinProbability).toBe(0.5);
+    });
+  });
+
+  describe('Glicko-2', () => {
+    it('should reproduce the worked example from the Glicko-2 paper', () => {
+      const engine = new TeamRatingEngine({ league: 'nfl' });
+      engine.addTeam('player', 'NFL', { glicko: { rating: 1500, deviation: 200 } });
+      engine.addTeam('a', 'NFL', { glicko: { rating: 1400, deviation: 30 } });
+      engine.addTeam('b', 'NFL', { glicko: { rating: 1550, deviation: 100 } });
+      engine.addTeam('c', 'NFL', { glicko: { rating: 1700, deviation: 300 } });
+      engine.startSeason(2023, new Date('2023-09-07T00:00:00Z'));
+
+      engine.processPeriod([
+        game({ homeTeamId: 'player', awayTeamId: 'a', homeScore: 21, awayScore: 14, neutralSite: true }),
+        game({ homeTeamId: 'player', awayTeamId: 'b', homeScore: 14, awayScore: 21, neutralSite: true }),
+        game({ homeTeamId: 'player', awayTeamId: 'c', homeScore: 14, awayScore: 21, neutralSite: true })
+      ]);
+
+      const { glicko } = engine.getRating('player');
+      expect(glicko.rating).toBeCloseTo(1464.06, 1);
+      expect(glicko.deviation).toBeCloseTo(151.52, 1);
+      expect(glicko.volatility).toBeCloseTo(0.05999, 4);
+    });
+
+    it('should widen the deviation of idle teams', () => {
+      const engine = nflEngine('home', 'away', 'idle');
+      engine.startSeason(2023, new Date('2023-09-07T00:00:00Z'));
+      engine.processPeriod([game({ homeTeamId: 'home', awayTeamId: 'away', homeScore: 24, awayScore: 10 })]);
+      const afterBye = engine.getRating('home').glicko.deviation;
+
+      engine.processPeriod([game({ homeTeamId: 'away', awayTeamId: 'idle', homeScore: 24, awayScore: 10, date: new Date('2023-09-17T17:00:00Z') })]);
+
+      expect(engine.getRating('home').glicko.deviation).toBeGreaterThan(afterBye);
+      expect(engine.getRating('idle').glicko.deviation).toBeLessThan(350);
+    });
+  });
+
+  describe('seasons and history', () => {
+    it('should replay weekly periods and regress between seasons', () => {
+      const engine = nflEngine('a', 'b', 'c', 'd');
+      engine.processGames([
+        game({ homeTeamId: 'a', awayTeamId: 'b', homeScore: 31, awayScore: 10, date: new Date('2023-09-10T17:00:00Z') }),
+        game({ homeTeamId: 'c', awayTeamId: 'd', homeScore: 17, awayScore: 16, date: new Date('2023-09-11T23:00:00Z') }),
+        game({ homeTeamId: 'd', awayTeamId: 'a', homeScore: 3, awayScore: 28, date: new Date('2023-09-17T17:00:00Z'), season: 2023 }),
+        game({ homeTeamId: 'b', awayTeamId: 'c', homeScore: 20, awayScore: 13, date: new Date('2024-09-08T17:00:00Z'), season: 2024 })
+      ]);
+
+      const history = engine.getHistory('a');
+      expect(history.map(entry => entry.event)).toEqual(['season_start', 'game', 'game', 'season_start']);
+      expect(history[1]).toEqual(expect.objectContaining({ gameId: 'a-b', opponentId: 'b', season: 2023 }));
+      expect(history[1].eloChange).toBeCloseTo(history[1].elo - 1500, 10);
+      // Glicko moves once the week is rated
+      expect(history[1].glicko.rating).toBeGreaterThan(1500);
+      expect(history[1].glicko.deviation).toBeLessThan(350);
+
+      // The NFL has one division, so regression pulls toward the league mean of 1500
+      const endOf2023 = history[2].elo;
+      expect(history[3].elo - 1500).toBeCloseTo((endOf2023 - 1500) * (2 / 3), 10);
+      expect(history[3].glicko.deviation).toBeGreaterThan(history[2].glicko.deviation);
+      expect(engine.getRating('a').gamesPlayed).toBe(0);
+
+      expect(engine.getHistory('a', new Date('2023-09-12T00:00:00Z'), new Date('2023-12-31T00:00:00Z'))).toEqual([history[2]]);
+      const all = engine.getAllHistory();
+      expect(all).toHaveLength(4 * 2 + 4 * 2);
+      expect(all.map(entry => entry.date.getTime())).toEqual([...all.map(entry => entry.date.getTime())].sort((x, y) => x - y));
+    });
+
+    it('should regress FCS and FBS teams toward their own division', () => {
+      const engine = new TeamRatingEngine({ league: 'ncaa' });
+      engine.addTeam('fbs1', 'FBS');
+      engine.addTeam('fbs2', 'FBS');
+      engine.addTeam('fcs1', 'FCS');
+      engine.addTeam('fcs2', 'FCS');
+      engine.startSeason(2023, new Date('2023-08-31T00:00:00Z'));
+
+      // An FCS upset of an FBS team
+      engine.processPeriod([
+        game({ homeTeamId: 'fbs1', awayTeamId: 'fcs1', homeScore: 17, awayScore: 24 }),
+        game({ homeTeamId: 'fbs2', awayTeamId: 'fcs2', homeScore: 45, awayScore: 7 })
+      ]);
+      const upset = engine.getRating('fcs1').elo;
+      expect(upset).toBeGreaterThan(1200);
+
+      const fcsMean = (upset + engine.getRating('fcs2').elo) / 2;
+      engine.startSeason(2024, new Date('2024-08-29T00:00:00Z'));
+      expect(engine.getRating('fcs1').elo).toBeCloseTo(upset - 0.4 * (upset - fcsMean), 10);
+      expect(engine.getRatings('FCS').map(team => team.teamId)).toEqual(['fcs1', 'fcs2']);
+      expect(engine.getRatings()[0].division).toBe('FBS');
+    });
+
+    it('should reject unknown teams, other divisions and games out of season order', () => {
+      const engine = nflEngine('a', 'b');
+
+      expect(() => engine.addTeam('a', 'NFL')).toThrow('Team a is already rated');
+      expect(() => engine.addTeam('x', 'FCS')).toThrow('Division FCS is not part of the nfl ratings');
+      expect(() => engine.processPeriod([game({ homeTeamId: 'a', awayTeamId: 'b', homeScore: 1, awayScore: 0 })]))
+        .toThrow('Start a season before rating games');
+
+      engine.startSeason(2024, new Date('2024-09-05T00:00:00Z'));
+      expect(() => engine.processPeriod([game({ homeTeamId: 'a', awayTeamId: 'z', homeScore: 1, awayScore: 0, season: 2024 })]))
+        .toThrow('Unknown team z');
+      expect(() => engine.processGames([game({ homeTeamId: 'a', awayTeamId: 'b', homeScore: 1, awayScore: 0 })]))
+        .toThrow('Game a-b is from season 2023, ratings are already in 2024');
+      expect(() => engine.startSeason(2024, new Date())).toThrow('Ratings are already in season 2024');
+    });
+  });
+
+  describe('calendar helpers', () => {
+    it('should group Thursday to Monday games into one week and January games into the prior season', () => {
+      const tuesday = new Date('2023-09-05T00:00:00Z');
+      expect(ratingPeriodStart(new Date('2023-09-07T20:20:00Z'))).toEqual(tuesday);
+      expect(ratingPeriodStart(new Date('2023-09-11T23:59:00Z'))).toEqual(tuesday);
+      expect(ratingPeriodStart(new Date('2023-09-12T01:00:00Z'))).toEqual(new Date('2023-09-12T00:00:00Z'));
+
+      expect(seasonForDate(new Date('2024-01-14T18:00:00Z'))).toBe(2023);
+      expect(seasonForDate(new Date('2023-08-26T18:00:00Z'))).toBe(2023);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { treeShap, treeShapInteractions, treeMargins, expectedTreeMargin } from '../../core/tree-shap';
+import { XGBoostModel, XGBoostTree, XGBoostTreeNode } from '../../core/models/xgboost-model';
+import { SeededRandom } from '../../core/seeded-random';
+import { TrainingData } from '../../types/ml.types';
+
+describe('TreeSHAP', () => {
+  const names = ['feature1', 'feature2', 'feature3', 'feature4'];
+
+  // An interaction between the first two features plus a main effect of the third
+  const trainTrees = async (): Promise<{ trees: XGBoostTree[]; baseMargin: number[] }> => {
+    const rng = new SeededRandom(11);
+    const features = Array.from({ length: 120 }, () => names.map(() => rng.next() * 10));
+    const data: TrainingData = {
+      features,
+      targets: features.map(row => (row[0] > 5 && row[1] > 5 ? 3 : 0) + row[2] / 5),
+      featureNames: names,
+      metadata: { size: features.length, startDate: new Date(), endDate: new Date(), source: 'test' }
+    };
+    const model = new XGBoostModel({ maxDepth: 3, learningRate: 0.3, nEstimators: 15 });
+    await model.train(data);
+    return { trees: model.getTrees(), baseMargin: model.getBaseMargin() };
+  };
+
+  // Expected tree output with the features in `known` set to x and the rest averaged by cover
+  const conditionalExpectation = (trees: XGBoostTree[], x: number[], known: Set<number>): number => {
+    const visit = (nodes: XGBoostTreeNode[], index: number): number => {
+      const node = nodes[index];
+      if (node.feature === -1) return node.value;
+      if (known.has(node.feature)) {
+        return visit(nodes, x[node.feature] < node.threshold ? node.left : node.right);
+      }
+      return (nodes[node.left].cover * visit(nodes, node.left) + nodes[node.right].cover * visit(nodes, node.right)) / node.cover;
+    };
+    return trees.reduce((sum, tree) => sum + visit(tree.nodes, 0), 0);
+  };
+
+  const factorial = (n: number): number => (n <= 1 ? 1 : n * factorial(n - 1));
+
+  const subsets = (features: number[]): number[][] =>
+    features.reduce<number[][]>((all, feature) => all.concat(all.map(subset => [...subset, feature])), [[]]);
+
+  const bruteForceShap = (trees: XGBoostTree[], x: number[]): number[] => {
+    const m = x.length;
+    return x.map((_, i) => {
+      const others = x.map((__, k) => k).filter(k => k !== i);
+      return subsets(others).reduce((sum, subset) => {
+        const weight = factorial(subset.length) * factorial(m - subset.length - 1) / factorial(m);
+        const without = conditionalExpectation(trees, x, new Set(subset));
+        const withFeature = conditionalExpectation(trees, x, new Set([...subset, i]));
+        return sum + weight * (withFeature - without);
+      }, 0);
+    });
+  };
+
+  const bruteForceInteraction = (trees: XGBoostTree[], x: number[], i: number, j: number): number => {
+    const m = x.length;
+    const others = x.map((_, k) => k).filter(k => k !== i && k !== j);
+    return subsets(others).reduce((sum, subset) => {
+      const weight = factorial(subset.length) * factorial(m - subset.length - 2) / (2 * factorial(m - 1));
+      const v = (extra: number[]) => conditionalExpectation(trees, x, new Set([...subset, ...extra]));
+      return sum + weight * (v([i, j]) - v([i]) - v([j]) + v([]));
+    }, 0);
+  };
+
+  it('should match the Shapley values of the cover-weighted conditional expectation', async () => {
+    const { trees } = await trainTrees();
+    const x = [7, 8, 2, 4];
+
+    const phi = treeShap(trees, x);
+    const expected = bruteForceShap(trees, x);
+
+    phi.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 8));
+  });
+
+  it('should add up to the margin minus the expected margin', async () => {
+    const { trees, baseMargin } = await trainTrees();
+    const x = [3, 9, 7, 1];
+
+    const phi = treeShap(trees, x);
+    const expectedMargin = baseMargin[0] + expectedTreeMargin(trees);
+
+    expect(expectedMargin + phi.reduce((sum, v) => sum + v, 0)).toBeCloseTo(treeMargins(trees, baseMargin, x)[0], 8);
+    expect(phi[3]).toBeCloseTo(0, 1);
+  });
+
+  it('should compute interaction values that match brute force and sum to the SHAP values', async () => {
+    const { trees } = await trainTrees();
+    const x = [7, 8, 2, 4];
+
+    const interactions = treeShapInteractions(trees, x);
+    const phi = treeShap(trees, x);
+
+    expect(interactions[0][1]).toBeCloseTo(bruteForceInteraction(trees, x, 0, 1), 8);
+    expect(interactions[0][2]).toBeCloseTo(bruteForceInteraction(trees, x, 0, 2), 8);
+    expect(interactions[0][1]).toBeCloseTo(interactions[1][0], 8);
+    expect(Math.abs(interactions[0][1])).toBeGreaterThan(Math.abs(interactions[0][2]));
+    interactions.forEach((row, i) => {
+      expect(row.reduce((sum, v) => sum + v, 0)).toBeCloseTo(phi[i], 8);
+    });
+  });
+});
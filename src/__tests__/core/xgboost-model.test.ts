@@ -1,4 +1,5 @@
 import { XGBoostModel, XGBoostConfig } from '../../core/models/xgboost-model';
+import { SeededRandom } from '../../core/seeded-random';
 import { TrainingData, FeatureVector } from '../../types/ml.types';
 
 describe('XGBoostModel', () => {
@@ -349,15 +350,16 @@ describe('XGBoostModel', () => {
     it('should maintain consistent performance across different data sizes', async () => {
       const dataSizes = [10, 50, 100];
       const accuracies: number[] = [];
+      const rng = new SeededRandom(7);
 
       for (const size of dataSizes) {
         const testData: TrainingData = {
           features: Array.from({ length: size }, () => [
-            Math.random() * 5,
-            Math.random() * 5,
-            Math.random() * 5
+            rng.next() * 5,
+            rng.next() * 5,
+            rng.next() * 5
           ]),
-          targets: Array.from({ length: size }, () => Math.random()),
+          targets: Array.from({ length: size }, () => rng.next()),
           featureNames: ['feature1', 'feature2', 'feature3'],
           metadata: {
             size,
@@ -386,4 +388,172 @@ describe('XGBoostModel', () => {
       });
     });
   });
-});
\ No newline at end of file
+
+  describe('Gradient Boosting', () => {
+    const names = ['feature1', 'feature2', 'feature3'];
+
+    // feature1 drives the target; the other two columns are noise
+    const createData = (size: number, seed: number, label: (x: number, rng: SeededRandom) => number): TrainingData => {
+      const rng = new SeededRandom(seed);
+      const features = Array.from({ length: size }, () => [rng.next() * 10, rng.next() * 10, rng.next() * 10]);
+      return {
+        features,
+        targets: features.map(row => label(row[0], rng)),
+        featureNames: names,
+        metadata: { size, startDate: new Date('2023-01-01'), endDate: new Date('2023-12-31'), source: 'test' }
+      };
+    };
+
+    const vector = (values: number[]): FeatureVector => ({ values, names, timestamp: new Date() });
+
+    it('should fit a step function and credit the feature that drives it', async () => {
+      const data = createData(60, 1, x => (x > 5 ? 1 : 0));
+      const regression = new XGBoostModel({ maxDepth: 2, learningRate: 0.3, nEstimators: 30 });
+
+      await regression.train(data);
+
+      expect(await regression.predict(vector([8, 1, 1]))).toBeCloseTo(1, 1);
+      expect(await regression.predict(vector([2, 9, 9]))).toBeCloseTo(0, 1);
+      expect(regression.getFeatureImportance().feature1).toBeGreaterThan(0.9);
+    });
+
+    it('should separate classes with the logistic objective', async () => {
+      const data = createData(80, 2, x => (x > 5 ? 1 : 0));
+      const classifier = new XGBoostModel({ maxDepth: 2, learningRate: 0.3, nEstimators: 30, objective: 'binary:logistic' });
+
+      await classifier.train(data);
+
+      expect(await classifier.predict(vector([8, 5, 5]))).toBeGreaterThan(0.8);
+      expect(await classifier.predict(vector([2, 5, 5]))).toBeLessThan(0.2);
+      const [negative, positive] = await classifier.predictProba(vector([8, 5, 5]));
+      expect(negative + positive).toBeCloseTo(1, 10);
+    });
+
+    it('should grow one tree per class for softprob and return the likeliest class', async () => {
+      const data = createData(90, 3, x => (x < 3.3 ? 0 : x < 6.6 ? 1 : 2));
+      const multi = new XGBoostModel({ maxDepth: 2, learningRate: 0.3, nEstimators: 20, objective: 'multi:softprob', numClass: 3 });
+
+      await multi.train(data);
+
+      expect(multi.getModelComplexity().numTrees).toBe(60);
+      expect(await multi.predict(vector([1, 5, 5]))).toBe(0);
+      expect(await multi.predict(vector([5, 5, 5]))).toBe(1);
+      expect(await multi.predict(vector([9, 5, 5]))).toBe(2);
+
+      const probabilities = await multi.predictProba(vector([9, 5, 5]));
+      expect(probabilities).toHaveLength(3);
+      expect(probabilities.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 10);
+      expect(probabilities[2]).toBeGreaterThan(0.8);
+
+      await expect(new XGBoostModel({ objective: 'multi:softprob', numClass: 2 }).train(data))
+        .rejects.toThrow('Target 2 is not a class between 0 and 1');
+    });
+
+    it('should shrink leaf weights with L1 and L2 regularization', async () => {
+      const data = createData(40, 4, x => (x > 5 ? 10 : 0));
+      const shift = async (config: XGBoostConfig) => {
+        const regularized = new XGBoostModel({ maxDepth: 1, learningRate: 1, nEstimators: 1, ...config });
+        await regularized.train(data);
+        return Math.abs(await regularized.predict(vector([9, 5, 5])) - regularized.getBaseMargin()[0]);
+      };
+
+      const plain = await shift({ regLambda: 0 });
+      const l2 = await shift({ regLambda: 20 });
+      const l1 = await shift({ regLambda: 0, regAlpha: 40 });
+
+      expect(l2).toBeLessThan(plain);
+      expect(l1).toBeLessThan(plain);
+      expect(await shift({ regLambda: 0, regAlpha: 1e6 })).toBe(0);
+    });
+
+    it('should stop early on the validation set and keep the best round', async () => {
+      const noisy = (x: number, rng: SeededRandom) => (x > 5 ? 1 : 0) + (rng.next() - 0.5) * 2;
+      const training = createData(60, 5, noisy);
+      const validation = createData(40, 6, noisy);
+      const stopped = new XGBoostModel({ maxDepth: 4, learningRate: 0.5, nEstimators: 200, earlyStoppingRounds: 5 });
+
+      await stopped.train(training, validation);
+
+      const best = stopped.getBestIteration()!;
+      expect(best.iteration).toBeLessThan(200);
+      expect(stopped.getModelComplexity().numTrees).toBe(best.iteration);
+
+      await expect(stopped.train(training)).rejects.toThrow('Early stopping requires validation data');
+    });
+
+    it('should sample rows and columns reproducibly from the seed', async () => {
+      const data = createData(50, 7, x => x / 10);
+      const predictions = async (seed: number) => {
+        const sampled = new XGBoostModel({ maxDepth: 3, nEstimators: 10, subsample: 0.5, colsampleBytree: 0.34, seed });
+        await sampled.train(data);
+        // One of three columns per tree
+        sampled.getTrees().forEach(tree => {
+          expect(new Set(tree.nodes.filter(n => n.feature !== -1).map(n => n.feature)).size).toBeLessThanOrEqual(1);
+        });
+        return sampled.predictBatch([vector([2, 2, 2]), vector([7, 7, 7])]);
+      };
+
+      expect(await predictions(1)).toEqual(await predictions(1));
+      expect(await predictions(1)).not.toEqual(await predictions(2));
+    });
+
+    it('should keep predictions monotone in constrained features', async () => {
+      // Rising in feature1 apart from a dip the constraint must smooth over
+      const data = createData(200, 10, (x, rng) => x - (x > 6 && x < 7 ? 5 : 0) + rng.next());
+      const grid = (model: XGBoostModel, other: number) =>
+        model.predictBatch(Array.from({ length: 41 }, (_, i) => vector([i / 4, other, 10 - other])));
+      const decreases = (values: number[]) => values.filter((v, i) => i > 0 && v < values[i - 1] - 1e-12).length;
+
+      const unconstrained = new XGBoostModel({ maxDepth: 3, learningRate: 0.3, nEstimators: 30 });
+      const increasing = new XGBoostModel({ maxDepth: 3, learningRate: 0.3, nEstimators: 30, monotoneConstraints: { feature1: 1 } });
+      const decreasing = new XGBoostModel({ maxDepth: 3, learningRate: 0.3, nEstimators: 30, monotoneConstraints: [-1] });
+      await Promise.all([unconstrained.train(data), increasing.train(data), decreasing.train(data)]);
+
+      expect(decreases(await grid(unconstrained, 5))).toBeGreaterThan(0);
+      for (const other of [1, 5, 9]) {
+        const rising = await grid(increasing, other);
+        expect(decreases(rising)).toBe(0);
+        expect(rising[40]).toBeGreaterThan(rising[0] + 5);
+        expect(decreases((await grid(decreasing, other)).map(v => -v))).toBe(0);
+      }
+    });
+
+    it('should reject monotone constraints it cannot apply', async () => {
+      const data = createData(20, 11, x => x);
+
+      await expect(new XGBoostModel({ monotoneConstraints: { feature9: 1 } }).train(data))
+        .rejects.toThrow('Monotone constraint on unknown feature feature9');
+      await expect(new XGBoostModel({ monotoneConstraints: [1, 0, 0, 1] }).train(data))
+        .rejects.toThrow('Got 4 monotone constraints for 3 features');
+      await expect(new XGBoostModel({ monotoneConstraints: [2] }).train(data))
+        .rejects.toThrow('Monotone constraints must be -1, 0 or 1, got 2');
+    });
+
+    it('should serve identical predictions after a JSON round trip', async () => {
+      const data = createData(40, 8, x => (x > 5 ? 1 : 0));
+      const classifier = new XGBoostModel({ maxDepth: 3, nEstimators: 15, objective: 'binary:logistic' });
+      await classifier.train(data);
+
+      const restored = XGBoostModel.fromJSON(JSON.parse(JSON.stringify(classifier.toJSON())));
+      const inputs = [vector([1, 2, 3]), vector([6, 1, 1]), vector([NaN, 4, 4])];
+
+      expect(await restored.predictBatch(inputs)).toEqual(await classifier.predictBatch(inputs));
+      expect(restored.getFeatureImportance()).toEqual(classifier.getFeatureImportance());
+      expect(() => XGBoostModel.fromJSON({} as any)).toThrow('Invalid serialized XGBoost model');
+    });
+
+    it('should explain a prediction as path contributions that sum to the margin', async () => {
+      const data = createData(40, 9, x => x * 2);
+      const regression = new XGBoostModel({ maxDepth: 3, nEstimators: 10 });
+      await regression.train(data);
+
+      const features = vector([7, 3, 1]);
+      const explanation = regression.explainPrediction(features);
+      const bias = regression.getBaseMargin()[0] + regression.getTrees().reduce((sum, tree) => sum + tree.nodes[0].value, 0);
+      const total = Object.values(explanation).reduce((a, b) => a + b, 0);
+
+      expect(bias + total).toBeCloseTo(await regression.predict(features), 10);
+      expect(Math.abs(explanation.feature1)).toBeGreaterThan(Math.abs(explanation.feature2));
+    });
+  });
+});
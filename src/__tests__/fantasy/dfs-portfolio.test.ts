@@ -0,0 +1,287 @@
+import { DFSPortfolioGenerator } from '../../core/dfs-portfolio';
+import { LineupInfeasibleError } from '../../core/lineup-optimizer';
+import { FantasyPlayer, PlayerProjection } from '../../types/fantasy.types';
+
+describe('DFSPortfolioGenerator', () => {
+  let generator: DFSPortfolioGenerator;
+
+  const positions = { QB: 1, RB: 2, WR: 3, TE: 1, FLEX: 1, DEF: 1 };
+  const teams = ['KC', 'BUF', 'PHI', 'DAL'];
+  const games = { KC: 'KC@BUF', BUF: 'KC@BUF', PHI: 'PHI@DAL', DAL: 'PHI@DAL' };
+
+  // Deterministic slate; Math.random is mocked in the test setup
+  const createSlate = () => {
+    let seed = 42;
+    const next = () => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed / 2147483648;
+    };
+
+    const players: FantasyPlayer[] = [];
+    const projections: PlayerProjection[] = [];
+    const counts: { [position: string]: number } = { QB: 4, RB: 8, WR: 12, TE: 4, DEF: 4 };
+
+    Object.entries(counts).forEach(([position, count]) => {
+      for (let i = 0; i < count; i++) {
+        const salary = 3000 + Math.round(next() * 50) * 100;
+        const points = Math.round((salary / 450 + next() * 6) * 10) / 10;
+        const playerId = `${position.toLowerCase()}${i}`;
+
+        players.push({
+          playerId,
+          name: `${position} ${i}`,
+          position,
+          team: teams[i % teams.length],
+          fantasyPosition: position,
+          isStarter: false,
+          projectedPoints: points,
+          seasonProjection: points * 17,
+          value: 50,
+          trend: 'STABLE',
+          injuryStatus: 'HEALTHY',
+          byeWeek: 10,
+          salary
+        } as unknown as FantasyPlayer);
+
+        projections.push({
+          playerId,
+          week: 1,
+          projectedPoints: points,
+          confidenceInterval: [points * 0.6, points * 1.4],
+          ceiling: points * 1.6,
+          floor: points * 0.4
+        } as unknown as PlayerProjection);
+      }
+    });
+
+    return { players, projections };
+  };
+
+  const constraints = { positions, maxSalary: 50000 };
+
+  beforeEach(() => {
+    generator = new DFSPortfolioGenerator();
+  });
+
+  describe('generatePortfolio', () => {
+    it('should respect exposure caps and the shared-player limit', async () => {
+      const { players, projections } = createSlate();
+
+      const portfolio = await generator.generatePortfolio(players, projections, constraints, {
+        lineups: 6,
+        maxExposure: 0.5,
+        maxSharedPlayers: 5,
+        seed: 7
+      });
+
+      expect(portfolio.lineups).toHaveLength(6);
+      portfolio.lineups.forEach(entry => {
+        expect(entry.playerIds).toHaveLength(9);
+        expect(entry.salary).toBeLessThanOrEqual(50000);
+      });
+
+      for (let a = 0; a < portfolio.lineups.length; a++) {
+        for (let b = a + 1; b < portfolio.lineups.length; b++) {
+          const shared = portfolio.lineups[a].playerIds.filter(id => portfolio.lineups[b].playerIds.includes(id));
+          expect(shared.length).toBeLessThanOrEqual(5);
+        }
+      }
+
+      portfolio.exposures.forEach(exposure => {
+        expect(exposure.count).toBeLessThanOrEqual(3);
+        expect(exposure.exposure).toBeCloseTo(exposure.count / 6);
+      });
+    });
+
+    it('should meet minimum exposures and honour per-player caps', async () => {
+      const { players, projections } = createSlate();
+      const best = await generator.generatePortfolio(players, projections, constraints, { lineups: 1, randomness: 0 });
+      const [topQb] = best.lineups[0].playerIds;
+
+      const portfolio = await generator.generatePortfolio(players, projections, constraints, {
+        lineups: 5,
+        exposures: { wr11: { min: 0.8 }, [topQb]: { max: 0.2 } },
+        seed: 3
+      });
+
+      const exposure = (playerId: string) => portfolio.exposures.find(e => e.playerId === playerId)!;
+      expect(exposure('wr11').count).toBeGreaterThanOrEqual(4);
+      expect(exposure('wr11').minExposure).toBe(0.8);
+      expect(exposure(topQb).count).toBeLessThanOrEqual(1);
+    });
+
+    it('should build every lineup around a team stack', async () => {
+      const { players, projections } = createSlate();
+      const teamOf = new Map(players.map(p => [p.playerId, p.team]));
+      const positionOf = new Map(players.map(p => [p.playerId, p.position]));
+
+      const portfolio = await generator.generatePortfolio(players, projections, {
+        ...constraints,
+        stacks: [{ type: 'TEAM', minPlayers: 3, positions: ['QB', 'WR', 'TE'], include: ['QB'] }]
+      }, { lineups: 4, seed: 11 });
+
+      portfolio.lineups.forEach(entry => {
+        const qbTeam = teamOf.get(entry.lineup.QB.playerId);
+        const stacked = entry.playerIds.filter(id =>
+          teamOf.get(id) === qbTeam && ['QB', 'WR', 'TE'].includes(positionOf.get(id)!)
+        );
+        expect(stacked.length).toBeGreaterThanOrEqual(3);
+      });
+    });
+
+    it('should build game stacks and cap players per team', async () => {
+      const { players, projections } = createSlate();
+      const teamOf = new Map(players.map(p => [p.playerId, p.team]));
+
+      const portfolio = await generator.generatePortfolio(players, projections, {
+        ...constraints,
+        games,
+        maxPlayersPerTeam: 3,
+        stacks: [{ type: 'GAME', minPlayers: 5 }]
+      }, { lineups: 3, seed: 5 });
+
+      portfolio.lineups.forEach(entry => {
+        const perTeam = new Map<string, number>();
+        const perGame = new Map<string, number>();
+        entry.playerIds.forEach(id => {
+          const team = teamOf.get(id)!;
+          perTeam.set(team, (perTeam.get(team) || 0) + 1);
+          perGame.set((games as any)[team], (perGame.get((games as any)[team]) || 0) + 1);
+        });
+        expect(Math.max(...perTeam.values())).toBeLessThanOrEqual(3);
+        expect(Math.max(...perGame.values())).toBeGreaterThanOrEqual(5);
+      });
+    });
+
+    it('should reproduce a portfolio from its seed and vary across seeds', async () => {
+      const { players, projections } = createSlate();
+      const ids = (portfolio: any) => portfolio.lineups.map((entry: any) => entry.playerIds.join(','));
+
+      const first = await generator.generatePortfolio(players, projections, constraints, { lineups: 3, seed: 21 });
+      const replay = await generator.generatePortfolio(players, projections, constraints, { lineups: 3, seed: first.seed });
+      const other = await generator.generatePortfolio(players, projections, constraints, { lineups: 3, seed: 22 });
+
+      expect(ids(replay)).toEqual(ids(first));
+      expect(ids(other)).not.toEqual(ids(first));
+    });
+
+    it('should report projected points from the unperturbed projections', async () => {
+      const { players, projections } = createSlate();
+      const points = new Map(projections.map(p => [p.playerId, p.projectedPoints]));
+
+      const portfolio = await generator.generatePortfolio(players, projections, constraints, { lineups: 2, seed: 9 });
+
+      portfolio.lineups.forEach(entry => {
+        const expected = entry.playerIds.reduce((sum, id) => sum + points.get(id)!, 0);
+        expect(entry.projectedPoints).toBeCloseTo(expected);
+      });
+    });
+
+    it('should name the lineup that cannot be built', async () => {
+      const { players, projections } = createSlate();
+      const qbs = players.filter(p => p.position === 'QB').map(p => p.playerId);
+
+      // Four quarterbacks capped at one lineup each cannot fill five lineups
+      const exposures = Object.fromEntries(qbs.map(id => [id, { max: 0.2 }]));
+      const attempt = generator.generatePortfolio(players, projections, constraints, { lineups: 5, exposures, seed: 1 });
+
+      await expect(attempt).rejects.toThrow(LineupInfeasibleError);
+      await expect(
+        generator.generatePortfolio(players, projections, constraints, { lineups: 5, exposures, seed: 1 })
+      ).rejects.toMatchObject({ reasons: ['Lineup 5: Need 1 QB player(s), only 0 available'] });
+    });
+
+    it('should refuse minimum exposures the caps or the bench rule out before building any lineup', async () => {
+      const { players, projections } = createSlate();
+      const solveLineup = jest.spyOn((generator as any).optimizer, 'solveLineup');
+
+      // 0.5 of 3 lineups needs two, a 0.4 default cap allows one
+      await expect(generator.generatePortfolio(players, projections, constraints, {
+        lineups: 3,
+        maxExposure: 0.4,
+        exposures: { qb0: { min: 0.5 } },
+        seed: 1
+      })).rejects.toMatchObject({
+        name: 'LineupInfeasibleError',
+        reasons: ['qb0 must appear in 2 of 3 lineups but is allowed in 1']
+      });
+
+      await expect(generator.generatePortfolio(players, projections, { ...constraints, mustBench: ['wr0'] }, {
+        lineups: 2,
+        exposures: { wr0: { min: 0.5 }, wr99: { min: 0.5 } },
+        seed: 1
+      })).rejects.toMatchObject({
+        reasons: [
+          'wr99 has a minimum exposure but is not in the player pool',
+          'wr0 must appear in 1 of 2 lineups but is allowed in 0'
+        ]
+      });
+
+      expect(solveLineup).not.toHaveBeenCalled();
+    });
+
+    it('should fail rather than fall short when a forced start cannot be placed', async () => {
+      const { players, projections } = createSlate();
+      const kicker = { ...players[0], playerId: 'k0', name: 'K 0', position: 'K' } as FantasyPlayer;
+
+      await expect(generator.generatePortfolio([...players, kicker], [...projections, { ...projections[0], playerId: 'k0' }], constraints, {
+        lineups: 2,
+        exposures: { k0: { min: 0.5 } },
+        seed: 1
+      })).rejects.toMatchObject({
+        name: 'LineupInfeasibleError',
+        reasons: ['Lineup 2: Must-start player k0 is not eligible for any lineup slot']
+      });
+    });
+
+    it('should reject invalid options', async () => {
+      const { players, projections } = createSlate();
+
+      await expect(generator.generatePortfolio(players, projections, constraints, { lineups: 0 }))
+        .rejects.toThrow('Portfolio must contain at least one lineup');
+      await expect(generator.generatePortfolio(players, projections, constraints, {
+        lineups: 2,
+        exposures: { qb0: { min: 0.8, max: 0.5 } }
+      })).rejects.toThrow('Minimum exposure for qb0 exceeds its maximum');
+    });
+  });
+
+  describe('toCsv', () => {
+    it('should export DraftKings and FanDuel upload files', async () => {
+      const { players, projections } = createSlate();
+      const portfolio = await generator.generatePortfolio(players, projections, constraints, { lineups: 2, seed: 4 });
+
+      const draftKings = generator.toCsv(portfolio, 'DRAFTKINGS', { [portfolio.lineups[0].lineup.QB.playerId]: '11191729' });
+      const fanDuel = generator.toCsv(portfolio, 'FANDUEL');
+
+      const dkRows = draftKings.trim().split('\n');
+      expect(dkRows[0]).toBe('QB,RB,RB,WR,WR,WR,TE,FLEX,DST');
+      expect(dkRows).toHaveLength(3);
+      expect(dkRows[1].split(',')[0]).toBe('11191729');
+
+      const fdRows = fanDuel.trim().split('\n');
+      expect(fdRows[0]).toBe('QB,RB,RB,WR,WR,WR,TE,FLEX,DEF');
+      expect(fdRows[2].split(',')).toEqual(portfolio.lineups[1].playerIds);
+    });
+
+    it('should reject slots the site does not offer', async () => {
+      const { players, projections } = createSlate();
+      const kickers = [0, 1].map(i => ({
+        ...players[0],
+        playerId: `k${i}`,
+        name: `K ${i}`,
+        position: 'K'
+      } as FantasyPlayer));
+      const kickerProjections = kickers.map(k => ({ ...projections[0], playerId: k.playerId }));
+
+      const portfolio = await generator.generatePortfolio(
+        [...players, ...kickers],
+        [...projections, ...kickerProjections],
+        { positions: { ...positions, K: 1 } },
+        { lineups: 1, seed: 2 }
+      );
+
+      expect(() => generator.toCsv(portfolio, 'DRAFTKINGS')).toThrow('DRAFTKINGS lineups have no K slot');
+    });
+  });
+});
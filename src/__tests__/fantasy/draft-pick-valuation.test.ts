@@ -0,0 +1,87 @@
+import 'reflect-metadata';
+import { DraftPickValuator, ROOKIE_PICK_HIT_RATES } from '../../core/draft-pick-valuation';
+import { ProspectAnalysis, DraftProjection } from '../../models/ProspectAnalysis';
+import { Position } from '../../types/common.types';
+
+describe('DraftPickValuator', () => {
+  let valuator: DraftPickValuator;
+
+  const options = { leagueSize: 12, currentSeason: 2025 };
+
+  const createProspect = (playerId: string, position: Position, projectedPick: number, bustRisk: number) =>
+    new ProspectAnalysis({
+      playerId,
+      playerName: playerId,
+      position,
+      draftProjection: new DraftProjection({ projectedPick }),
+      bustRisk
+    });
+
+  beforeEach(() => {
+    valuator = new DraftPickValuator();
+  });
+
+  it('should value slots by their historical hit rate', () => {
+    const first = valuator.valuePick({ season: 2026, round: 1, pick: 1, originalTeamId: 'A' }, options);
+    const tenth = valuator.valuePick({ season: 2026, round: 1, pick: 10, originalTeamId: 'A' }, options);
+    const secondRound = valuator.valuePick({ season: 2026, round: 2, pick: 1, originalTeamId: 'A' }, options);
+
+    expect(first.hitRate).toBe(ROOKIE_PICK_HIT_RATES[0].hitRate);
+    expect(first.overallPick).toBe(1);
+    expect(secondRound.overallPick).toBe(13);
+    expect(first.expectedPoints).toBeGreaterThan(tenth.expectedPoints);
+    expect(tenth.expectedPoints).toBeGreaterThan(secondRound.expectedPoints);
+  });
+
+  it('should average every slot of a round when the order is unknown', () => {
+    const unknown = valuator.valuePick({ season: 2026, round: 1, originalTeamId: 'A' }, options);
+    const slots = Array.from({ length: 12 }, (_, i) =>
+      valuator.valuePick({ season: 2026, round: 1, pick: i + 1, originalTeamId: 'A' }, options).expectedPoints
+    );
+
+    expect(unknown.overallPick).toBe(6.5);
+    expect(unknown.expectedPoints).toBeCloseTo(slots.reduce((a, b) => a + b, 0) / 12, 10);
+  });
+
+  it('should discount picks in later seasons', () => {
+    const next = valuator.valuePick({ season: 2026, round: 1, originalTeamId: 'A' }, options);
+    const later = valuator.valuePick({ season: 2028, round: 1, originalTeamId: 'A' }, options);
+
+    expect(later.expectedPoints).toBeCloseTo(next.expectedPoints * 0.8 * 0.8, 10);
+  });
+
+  it('should use the prospect expected at the pick', () => {
+    const rookieClass = [
+      createProspect('edge', Position.DE, 1, 10), // not a fantasy position
+      createProspect('wr', Position.WR, 12, 60),
+      createProspect('qb', Position.QB, 4, 20)
+    ];
+
+    const first = valuator.valuePick({ season: 2026, round: 1, pick: 1, originalTeamId: 'A' }, { ...options, rookieClass });
+    const second = valuator.valuePick({ season: 2026, round: 1, pick: 2, originalTeamId: 'A' }, { ...options, rookieClass });
+
+    expect(first.projectedProspect).toBe('qb');
+    expect(first.hitRate).toBeCloseTo(0.5 * 0.62 + 0.5 * 0.8, 10);
+    expect(first.expectedPoints).toBeCloseTo(first.hitRate * 300, 10);
+    expect(second.projectedProspect).toBe('wr');
+    expect(second.hitRate).toBeCloseTo(0.5 * 0.62 + 0.5 * 0.4, 10);
+  });
+
+  it('should value current-season picks until the rookie draft is held', () => {
+    const current = valuator.valuePick({ season: 2025, round: 1, originalTeamId: 'A' }, options);
+    const next = valuator.valuePick({ season: 2026, round: 1, originalTeamId: 'A' }, options);
+
+    expect(current.expectedPoints).toBeCloseTo(next.expectedPoints, 10);
+    expect(() => valuator.valuePick({ season: 2025, round: 1, originalTeamId: 'A' }, { ...options, rookieDraftHeld: true }))
+      .toThrow('The 2025 round 1 pick has already been used');
+  });
+
+  it('should reject used or impossible picks', () => {
+    expect(() => valuator.valuePick({ season: 2024, round: 1, originalTeamId: 'A' }, options))
+      .toThrow('The 2024 round 1 pick has already been used');
+    expect(() => valuator.valuePick({ season: 2026, round: 1, pick: 13, originalTeamId: 'A' }, options))
+      .toThrow('Draft pick slot must be between 1 and 12');
+    expect(() => valuator.valuePick({ season: 2026, round: 0, originalTeamId: 'A' }, options))
+      .toThrow('Draft pick round must be a positive integer');
+  });
+});
@@ -1,4 +1,4 @@
-import { LineupOptimizer } from '../../core/lineup-optimizer';
+import { LineupOptimizer, LineupInfeasibleError } from '../../core/lineup-optimizer';
 import { FantasyPlayer, PlayerProjection } from '../../types/fantasy.types';
 
 describe('LineupOptimizer', () => {
@@ -184,10 +184,255 @@ describe('LineupOptimizer', () => {
         positions: { QB: 1, RB: 2, WR: 2, TE: 1, K: 1, DEF: 1 }
       };
 
-      const result = await optimizer.optimizeLineup([], [], constraints);
+      await expect(optimizer.optimizeLineup([], [], constraints)).rejects.toThrow(LineupInfeasibleError);
+      await expect(optimizer.optimizeLineup([], [], constraints)).rejects.toMatchObject({
+        reasons: expect.arrayContaining(['Need 1 QB player(s), only 0 available'])
+      });
+    });
+  });
 
-      expect(result).toBeDefined();
-      // Should handle gracefully with empty lineup
+  describe('solveLineup', () => {
+    const dfsPositions = { QB: 1, RB: 2, WR: 2, TE: 1, FLEX: 1, K: 1, DEF: 1 };
+
+    const createPlayer = (playerId: string, position: string, points: number, salary: number, spread = 0.2) => {
+      const player = {
+        playerId,
+        name: playerId,
+        position,
+        team: 'TM',
+        fantasyPosition: position,
+        isStarter: false,
+        projectedPoints: points,
+        seasonProjection: points * 17,
+        value: 50,
+        trend: 'STABLE',
+        injuryStatus: 'HEALTHY',
+        byeWeek: 10,
+        salary
+      } as unknown as FantasyPlayer;
+
+      const projection = {
+        playerId,
+        week: 12,
+        projectedPoints: points,
+        confidenceInterval: [points * (1 - spread), points * (1 + spread)],
+        ceiling: points * 1.5,
+        floor: points * 0.5
+      } as unknown as PlayerProjection;
+
+      return { player, projection };
+    };
+
+    const createPool = (entries: Array<ReturnType<typeof createPlayer>>) => ({
+      players: entries.map(e => e.player),
+      projections: entries.map(e => e.projection)
+    });
+
+    const lineupIds = (lineup: any) =>
+      [lineup.QB, ...lineup.RB, ...lineup.WR, lineup.TE, lineup.FLEX, lineup.SUPERFLEX, lineup.K, lineup.DEF]
+        .filter(Boolean)
+        .map((p: FantasyPlayer) => p.playerId);
+
+    // Deterministic pool; Math.random is mocked in the test setup
+    const randomPool = (seed: number) => {
+      const next = () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return seed / 2147483648;
+      };
+      const counts: { [position: string]: number } = { QB: 3, RB: 4, WR: 5, TE: 3, K: 2, DEF: 2 };
+      const entries: Array<ReturnType<typeof createPlayer>> = [];
+      Object.entries(counts).forEach(([position, count]) => {
+        for (let i = 0; i < count; i++) {
+          entries.push(createPlayer(
+            `${position}${i}`, position,
+            Math.round((5 + next() * 20) * 10) / 10,
+            3000 + Math.round(next() * 50) * 100
+          ));
+        }
+      });
+      return entries;
+    };
+
+    // Every legal lineup for dfsPositions, by enumeration
+    const bruteForceBest = (entries: Array<ReturnType<typeof createPlayer>>, maxSalary: number) => {
+      const by = (position: string) => entries.filter(e => e.player.position === position);
+      const pairs = (list: any[]) => list.flatMap((a, i) => list.slice(i + 1).map(b => [a, b]));
+      let best = -Infinity;
+
+      for (const qb of by('QB')) for (const rbs of pairs(by('RB'))) for (const wrs of pairs(by('WR')))
+      for (const te of by('TE')) for (const k of by('K')) for (const def of by('DEF')) {
+        const core = [qb, ...rbs, ...wrs, te, k, def];
+        for (const flex of entries) {
+          if (!['RB', 'WR', 'TE'].includes(flex.player.position) || core.includes(flex)) continue;
+          const lineup = [...core, flex];
+          const salary = lineup.reduce((sum, e) => sum + (e.player as any).salary, 0);
+          if (salary > maxSalary) continue;
+          best = Math.max(best, lineup.reduce((sum, e) => sum + e.projection.projectedPoints, 0));
+        }
+      }
+      return best;
+    };
+
+    it('should find the provably optimal lineup under a salary cap', async () => {
+      for (const seed of [3, 17, 29]) {
+        const entries = randomPool(seed);
+        const { players, projections } = createPool(entries);
+        const maxSalary = 48000;
+
+        const result = await optimizer.solveLineup(players, projections, { positions: dfsPositions, maxSalary });
+
+        expect(result.optimal).toBe(true);
+        expect(result.salary).toBeLessThanOrEqual(maxSalary);
+        const best = bruteForceBest(entries, maxSalary);
+        expect(best).toBeGreaterThan(0);
+        expect(result.projectedPoints).toBeCloseTo(best, 6);
+        expect(result.lineup.RB).toHaveLength(2);
+        expect(result.lineup.WR).toHaveLength(2);
+        expect(['RB', 'WR', 'TE']).toContain(result.lineup.FLEX!.position);
+      }
+    });
+
+    it('should beat points-per-dollar greedy selection', async () => {
+      // Greedy takes the cheap value QB and cannot afford the elite WR afterwards
+      const { players, projections } = createPool([
+        createPlayer('qb-value', 'QB', 15, 4000),
+        createPlayer('qb-elite', 'QB', 22, 7000),
+        createPlayer('wr-elite', 'WR', 20, 8000),
+        createPlayer('wr-value', 'WR', 8, 3000)
+      ]);
+
+      const result = await optimizer.solveLineup(players, projections, {
+        positions: { QB: 1, WR: 1 },
+        maxSalary: 12000
+      });
+
+      expect(lineupIds(result.lineup).sort()).toEqual(['qb-value', 'wr-elite']);
+      expect(result.projectedPoints).toBe(35);
+    });
+
+    it('should enforce must-start, must-bench and minimum salary', async () => {
+      const { players, projections } = createPool([
+        createPlayer('qb1', 'QB', 20, 8000),
+        createPlayer('qb2', 'QB', 18, 6000),
+        createPlayer('wr1', 'WR', 15, 7000),
+        createPlayer('wr2', 'WR', 14, 5000),
+        createPlayer('wr3', 'WR', 10, 3000)
+      ]);
+
+      const result = await optimizer.solveLineup(players, projections, {
+        positions: { QB: 1, WR: 2 },
+        mustStart: ['wr3'],
+        mustBench: ['qb1'],
+        minSalary: 16000
+      });
+
+      expect(lineupIds(result.lineup).sort()).toEqual(['qb2', 'wr1', 'wr3']);
+      expect(result.salary).toBe(16000);
+    });
+
+    it('should add stack bonuses when every stacked player starts', async () => {
+      const { players, projections } = createPool([
+        createPlayer('qb1', 'QB', 20, 0),
+        createPlayer('qb2', 'QB', 19, 0),
+        createPlayer('wr1', 'WR', 15, 0),
+        createPlayer('wr2', 'WR', 14, 0)
+      ]);
+
+      const result = await optimizer.solveLineup(players, projections, {
+        positions: { QB: 1, WR: 1 },
+        correlations: [
+          { type: 'QB_WR_STACK', players: ['qb2', 'wr2'], bonus: 3 },
+          { type: 'QB_WR_STACK', players: ['qb1', 'wr1'], bonus: -1.5 }
+        ]
+      });
+
+      expect(lineupIds(result.lineup).sort()).toEqual(['qb2', 'wr2']);
+      expect(result.projectedPoints).toBe(33);
+      expect(result.correlationBonus).toBe(3);
+    });
+
+    it('should fill SUPERFLEX with a second quarterback when it scores most', async () => {
+      const { players, projections } = createPool([
+        createPlayer('qb1', 'QB', 22, 0),
+        createPlayer('qb2', 'QB', 19, 0),
+        createPlayer('rb1', 'RB', 14, 0),
+        createPlayer('rb2', 'RB', 12, 0),
+        createPlayer('wr1', 'WR', 13, 0)
+      ]);
+
+      const result = await optimizer.solveLineup(players, projections, {
+        positions: { QB: 1, RB: 1, WR: 1, FLEX: 1, SUPERFLEX: 1, BENCH: 6 }
+      });
+
+      expect(result.lineup.QB.playerId).toBe('qb1');
+      expect(result.lineup.SUPERFLEX!.playerId).toBe('qb2');
+      expect(result.lineup.RB.map(p => p.playerId)).toEqual(['rb1']);
+      expect(result.lineup.FLEX!.playerId).toBe('rb2');
+      expect(result.projectedPoints).toBe(80);
+    });
+
+    it('should keep the lineup within the maximum risk level', async () => {
+      const { players, projections } = createPool([
+        createPlayer('qb-boom', 'QB', 22, 0, 1.2),
+        createPlayer('qb-steady', 'QB', 18, 0, 0.2),
+        createPlayer('wr1', 'WR', 15, 0, 0.2)
+      ]);
+
+      const unrestricted = await optimizer.solveLineup(players, projections, { positions: { QB: 1, WR: 1 } });
+      const conservative = await optimizer.solveLineup(players, projections, {
+        positions: { QB: 1, WR: 1 },
+        maxRisk: 'CONSERVATIVE'
+      });
+
+      expect(unrestricted.lineup.QB.playerId).toBe('qb-boom');
+      expect(unrestricted.riskScore).toBeGreaterThanOrEqual(0.25);
+      expect(conservative.lineup.QB.playerId).toBe('qb-steady');
+      expect(conservative.riskScore).toBeLessThan(0.25);
+    });
+
+    it('should report why constraints are infeasible', async () => {
+      const { players, projections } = createPool([
+        createPlayer('qb1', 'QB', 20, 8000),
+        createPlayer('wr1', 'WR', 15, 7000)
+      ]);
+
+      await expect(optimizer.solveLineup(players, projections, {
+        positions: { QB: 1, WR: 1 },
+        maxSalary: 10000
+      })).rejects.toMatchObject({
+        name: 'LineupInfeasibleError',
+        reasons: ['No lineup fits under the 10000 salary cap']
+      });
+
+      await expect(optimizer.solveLineup(players, projections, {
+        positions: { QB: 1, WR: 1 },
+        mustStart: ['qb1'],
+        mustBench: ['qb1']
+      })).rejects.toMatchObject({
+        reasons: ['qb1 is both a must-start and a must-bench player', 'Need 1 QB player(s), only 0 available']
+      });
+
+      await expect(optimizer.solveLineup(players, projections, { positions: { QB: 1, OP: 1 } }))
+        .rejects.toThrow('Unsupported lineup slot: OP');
+    });
+
+    it('should refuse must-start players no lineup can hold instead of dropping them', async () => {
+      const { players, projections } = createPool([
+        createPlayer('qb1', 'QB', 20, 8000),
+        createPlayer('qb2', 'QB', 18, 7000),
+        createPlayer('wr1', 'WR', 15, 7000),
+        createPlayer('k1', 'K', 8, 4500)
+      ]);
+      const positions = { QB: 1, WR: 1 };
+
+      await expect(optimizer.solveLineup(players, projections, { positions, mustStart: ['qb1'], mustBench: ['qb1'] }))
+        .rejects.toMatchObject({ reasons: ['qb1 is both a must-start and a must-bench player'] });
+      await expect(optimizer.solveLineup(players, projections, { positions, mustStart: ['k1'] }))
+        .rejects.toMatchObject({ name: 'LineupInfeasibleError', reasons: ['Must-start player k1 is not eligible for any lineup slot'] });
+      await expect(optimizer.solveLineup(players, projections, { positions, mustStart: ['te9'] }))
+        .rejects.toMatchObject({ reasons: ['Must-start player te9 is not in the player pool or has no projection'] });
+      await expect(optimizer.solveLineup(players, projections.filter(p => p.playerId !== 'wr1'), { positions: { QB: 1, K: 1 }, mustStart: ['wr1'] }))
+        .rejects.toThrow('Must-start player wr1 is not in the player pool or has no projection');
     });
   });
 
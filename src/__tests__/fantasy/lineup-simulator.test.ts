@@ -0,0 +1,211 @@
+import 'reflect-metadata';
+import { EventEmitter } from 'events';
+import { LineupSimulator } from '../../core/lineup-simulator';
+import { MonteCarloService } from '../../core/monte-carlo-service';
+import { Logger } from '../../core/logger';
+import { FantasyPlayer, PlayerProjection } from '../../types/fantasy.types';
+
+const SimulationWorker = require('../../core/monte-carlo-worker');
+
+jest.mock('worker_threads', () => ({
+  Worker: jest.fn().mockImplementation(() => ({
+    postMessage: jest.fn(),
+    terminate: jest.fn().mockResolvedValue(undefined),
+    once: jest.fn(),
+    on: jest.fn()
+  }))
+}));
+
+describe('LineupSimulator', () => {
+  let service: MonteCarloService;
+  let simulator: LineupSimulator;
+
+  const positions = { QB: 1, RB: 1, WR: 2 };
+
+  // Runs worker tasks in-process so sampling is real but single-threaded
+  const createInProcessWorker = () => {
+    const emitter: any = new EventEmitter();
+    const simulation = new SimulationWorker();
+    let queue = Promise.resolve();
+
+    emitter.postMessage = (message: any) => {
+      if (message.type === 'stop') {
+        simulation.stopTask(message.taskId);
+        return;
+      }
+      queue = queue.then(async () => {
+        emitter.emit('message', await simulation.executeTask(message));
+      });
+    };
+    emitter.terminate = jest.fn().mockResolvedValue(undefined);
+    return emitter;
+  };
+
+  const createPlayer = (playerId: string, position: string, team: string, points: number, spread: number) => ({
+    player: {
+      playerId,
+      name: playerId,
+      position,
+      team,
+      fantasyPosition: position,
+      isStarter: false,
+      projectedPoints: points,
+      seasonProjection: points * 17,
+      value: 50,
+      trend: 'STABLE',
+      injuryStatus: 'HEALTHY',
+      byeWeek: 10
+    } as unknown as FantasyPlayer,
+    projection: {
+      playerId,
+      week: 1,
+      projectedPoints: points,
+      confidenceInterval: [points - 2 * spread, points + 2 * spread],
+      ceiling: points + 3 * spread,
+      floor: points - 3 * spread
+    } as unknown as PlayerProjection
+  });
+
+  // A steady quarterback with the higher mean and a volatile one just behind
+  const createPool = () => {
+    const entries = [
+      createPlayer('qb-safe', 'QB', 'KC', 20, 1),
+      createPlayer('qb-boom', 'QB', 'BUF', 19, 8),
+      createPlayer('rb0', 'RB', 'PHI', 10, 1),
+      createPlayer('wr0', 'WR', 'DAL', 10, 1),
+      createPlayer('wr1', 'WR', 'SF', 10, 1)
+    ];
+    return { players: entries.map(e => e.player), projections: entries.map(e => e.projection) };
+  };
+
+  const createOpponents = (prefix: string, total: number) => {
+    const entries = ['QB', 'RB', 'WR', 'WR'].map((position, i) =>
+      createPlayer(`${prefix}-${i}`, position, 'NYJ', total / 4, 0.5)
+    );
+    return { players: entries.map(e => e.player), projections: entries.map(e => e.projection) };
+  };
+
+  beforeEach(() => {
+    const logger = { info: jest.fn(), error: jest.fn(), warn: jest.fn(), debug: jest.fn() } as unknown as Logger;
+    service = new MonteCarloService(logger, 2);
+    (service as any).workers = [createInProcessWorker(), createInProcessWorker()];
+    simulator = new LineupSimulator(service);
+  });
+
+  afterEach(async () => {
+    await service.cleanup();
+  });
+
+  describe('selectLineup', () => {
+    it('should take the volatile lineup against a stronger opponent', async () => {
+      const { players, projections } = createPool();
+      const opponent = createOpponents('opp', 58);
+
+      const selection = await simulator.selectLineup(players, [...projections, ...opponent.projections], { positions }, {
+        target: { type: 'OPPONENT', playerIds: opponent.players.map(p => p.playerId) },
+        targetPlayers: opponent.players,
+        iterations: 2000,
+        candidates: 4,
+        seed: 17
+      });
+
+      expect(selection.iterations).toBe(2000);
+      expect(selection.candidates).toHaveLength(2);
+      expect(selection.best.lineup.QB.playerId).toBe('qb-boom');
+      expect(selection.best.winProbability).toBeGreaterThan(selection.candidates[1].winProbability);
+      // The mean-optimal lineup still projects more points
+      expect(selection.candidates[1].expectedPoints).toBeGreaterThan(selection.best.expectedPoints);
+    });
+
+    it('should take the steady lineup against a low cash line', async () => {
+      const { players, projections } = createPool();
+
+      const selection = await simulator.selectLineup(players, projections, { positions }, {
+        target: { type: 'CASH_LINE', score: 40 },
+        iterations: 2000,
+        candidates: 4,
+        seed: 17
+      });
+
+      expect(selection.best.lineup.QB.playerId).toBe('qb-safe');
+      expect(selection.best.winProbability).toBeGreaterThan(0.99);
+      expect(selection.best.standardDeviation).toBeLessThan(selection.candidates[1].standardDeviation);
+    });
+
+    it('should beat a percentile of simulated field lineups', async () => {
+      const { players, projections } = createPool();
+      const weak = createOpponents('weak', 40);
+      const strong = createOpponents('strong', 62);
+      const fieldPlayers = [...weak.players, ...strong.players];
+      const field = [weak.players.map(p => p.playerId), strong.players.map(p => p.playerId)];
+
+      const options = {
+        iterations: 1000,
+        candidates: 4,
+        seed: 5,
+        targetPlayers: fieldPlayers
+      };
+      const all = [...projections, ...weak.projections, ...strong.projections];
+
+      // The lower half of the field is the weak lineup; the upper half the strong one
+      const cash = await simulator.selectLineup(players, all, { positions }, {
+        ...options,
+        target: { type: 'CASH_LINE', percentile: 50, field }
+      });
+      const win = await simulator.selectLineup(players, all, { positions }, {
+        ...options,
+        target: { type: 'CASH_LINE', percentile: 100 - 1e-9, field }
+      });
+
+      expect(cash.best.lineup.QB.playerId).toBe('qb-safe');
+      expect(win.best.lineup.QB.playerId).toBe('qb-boom');
+
+      await expect(simulator.selectLineup(players, all, { positions }, {
+        ...options,
+        target: { type: 'CASH_LINE', percentile: 0, field }
+      })).rejects.toThrow('Cash-line percentile must be between 0 and 100');
+    });
+
+    it('should reproduce a selection from its seed', async () => {
+      const { players, projections } = createPool();
+      const options = { target: { type: 'CASH_LINE' as const, score: 52 }, iterations: 500, candidates: 4 };
+
+      const first = await simulator.selectLineup(players, projections, { positions }, options);
+      const replay = await simulator.selectLineup(players, projections, { positions }, { ...options, seed: first.seed });
+
+      expect(replay.candidates.map(c => c.winProbability)).toEqual(first.candidates.map(c => c.winProbability));
+    });
+
+    it('should shrink correlations that cannot hold together', async () => {
+      const entries = [
+        createPlayer('qb0', 'QB', 'KC', 20, 2),
+        createPlayer('rb0', 'RB', 'KC', 12, 2),
+        ...[0, 1, 2, 3].map(i => createPlayer(`wr${i}`, 'WR', 'KC', 10 + i, 2))
+      ];
+
+      // Four receivers pairwise at -0.5 is not a valid correlation matrix; -1/3 is the limit
+      const selection = await simulator.selectLineup(
+        entries.map(e => e.player),
+        entries.map(e => e.projection),
+        { positions },
+        {
+          target: { type: 'CASH_LINE', score: 50 },
+          iterations: 200,
+          candidates: 2,
+          correlations: [{ positions: ['WR', 'WR'], relation: 'TEAMMATE', coefficient: -0.5 }],
+          seed: 3
+        }
+      );
+
+      expect(selection.correlationShrinkage).toBeCloseTo(1 / 3, 2);
+    });
+
+    it('should require a projection for every simulated player', async () => {
+      const { players, projections } = createPool();
+
+      await expect(simulator.selectLineup(players, projections, { positions }, {
+        target: { type: 'OPPONENT', playerIds: ['ghost'] }
+      })).rejects.toThrow('Player ghost needs a player record and a projection to be simulated');
+    });
+  });
+});
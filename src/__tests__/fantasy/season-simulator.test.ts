@@ -0,0 +1,163 @@
+import { SeasonSimulator, LeagueSeason } from '../../core/season-simulator';
+import { FantasyMLEngine } from '../../core/fantasy-ml-engine';
+import { FantasyPlayer } from '../../types/fantasy.types';
+
+describe('SeasonSimulator', () => {
+  let simulator: SeasonSimulator;
+  let generateProjectionRange: jest.Mock;
+
+  const createPlayer = (playerId: string, position: string, points: number, overrides: any = {}) => ({
+    playerId,
+    name: playerId,
+    position,
+    team: 'NFL',
+    fantasyPosition: position,
+    isStarter: true,
+    projectedPoints: points,
+    seasonProjection: points * 17,
+    value: 50,
+    trend: 'STABLE',
+    injuryStatus: 'HEALTHY',
+    byeWeek: 14,
+    ...overrides
+  } as unknown as FantasyPlayer);
+
+  const createRoster = (prefix: string, qb: number, rb: number, wr: number) => [
+    createPlayer(`${prefix}-qb`, 'QB', qb),
+    createPlayer(`${prefix}-rb`, 'RB', rb),
+    createPlayer(`${prefix}-wr`, 'WR', wr)
+  ];
+
+  // Four teams, two rounds of round robin; weeks 1-4 are played
+  const createSeason = (): LeagueSeason => {
+    const rounds = [[['A', 'B'], ['C', 'D']], [['A', 'C'], ['B', 'D']], [['A', 'D'], ['B', 'C']]];
+    const schedule = [0, 1, 2, 3, 4, 5].flatMap(i =>
+      rounds[i % 3].map(([homeTeamId, awayTeamId]) => ({ week: i + 1, homeTeamId, awayTeamId }))
+    );
+
+    return {
+      teams: [
+        { teamId: 'A', name: 'Alpha', roster: createRoster('a', 25, 15, 15), wins: 4, losses: 0, pointsFor: 220 },
+        { teamId: 'B', name: 'Bravo', roster: createRoster('b', 20, 12, 13), wins: 2, losses: 2, pointsFor: 180 },
+        { teamId: 'C', name: 'Charlie', roster: createRoster('c', 20, 13, 12), wins: 2, losses: 2, pointsFor: 178 },
+        { teamId: 'D', name: 'Delta', roster: createRoster('d', 15, 12, 13), wins: 0, losses: 4, pointsFor: 150 }
+      ],
+      schedule,
+      currentWeek: 5,
+      rosterPositions: { QB: 1, RB: 1, WR: 1, TE: 0, K: 0, DEF: 0, BENCH: 2 },
+      playoffTeams: 3,
+      playoffWeeks: [7, 8]
+    };
+  };
+
+  beforeEach(() => {
+    const points = new Map(createSeason().teams.flatMap(team => team.roster.map(p => [p.playerId, p.projectedPoints])));
+    generateProjectionRange = jest.fn(async (player: any, week: number) => {
+      const projected = points.get(player.id) ?? player.projectedPoints ?? 10;
+      return {
+        projection: { playerId: player.id, week, projectedPoints: projected, confidenceInterval: [projected - 16, projected + 16] },
+        scenarios: { conservative: projected - 16, aggressive: projected + 16 }
+      };
+    });
+    simulator = new SeasonSimulator({ generateProjectionRange } as unknown as FantasyMLEngine);
+  });
+
+  describe('simulateSeason', () => {
+    it('should produce consistent playoff, bye and championship odds', async () => {
+      const result = await simulator.simulateSeason(createSeason(), { iterations: 2000, seed: 7 });
+      const sum = (key: 'playoffProbability' | 'byeProbability' | 'championshipProbability') =>
+        result.teams.reduce((total, team) => total + team[key], 0);
+
+      expect(result.iterations).toBe(2000);
+      expect(result.week).toBe(5);
+      expect(sum('playoffProbability')).toBeCloseTo(3, 10);
+      expect(sum('byeProbability')).toBeCloseTo(1, 10);
+      expect(sum('championshipProbability')).toBeCloseTo(1, 10);
+
+      result.teams.forEach(team => {
+        expect(team.seedProbabilities).toHaveLength(3);
+        expect(team.seedProbabilities.reduce((a, b) => a + b, 0)).toBeCloseTo(team.playoffProbability, 10);
+        expect(team.byeProbability).toBeCloseTo(team.seedProbabilities[0], 10);
+      });
+    });
+
+    it('should clinch unbeaten teams and rank teams by strength', async () => {
+      const result = await simulator.simulateSeason(createSeason(), { iterations: 2000, seed: 7 });
+      const team = (id: string) => result.teams.find(t => t.teamId === id)!;
+
+      // Delta can win at most two games, so Alpha cannot finish fourth
+      expect(team('A').playoffProbability).toBe(1);
+      expect(team('A').expectedWins).toBeGreaterThanOrEqual(4);
+      expect(result.teams[0].teamId).toBe('A');
+      expect(team('D').playoffProbability).toBeLessThan(team('B').playoffProbability);
+    });
+
+    it('should value a win this week most for bubble teams', async () => {
+      // Bravo and Charlie compete for the second playoff spot
+      const season = { ...createSeason(), playoffTeams: 2, playoffWeeks: [7] };
+      const result = await simulator.simulateSeason(season, { iterations: 2000, seed: 7 });
+      const team = (id: string) => result.teams.find(t => t.teamId === id)!;
+
+      expect(team('B').winValue!.playoffProbability).toBeGreaterThan(0.1);
+      expect(team('C').winValue!.playoffProbability).toBeGreaterThan(0.1);
+      expect(team('A').winValue!.playoffProbability).toBeLessThan(team('B').winValue!.playoffProbability);
+      expect(team('D').winValue!.playoffProbability).toBeLessThan(team('C').winValue!.playoffProbability);
+    });
+
+    it('should leave the win value empty for teams without a game this week', async () => {
+      const season = createSeason();
+      season.teams.push({ teamId: 'E', name: 'Echo', roster: createRoster('e', 10, 10, 10), wins: 0, losses: 4, pointsFor: 120 });
+
+      const result = await simulator.simulateSeason(season, { iterations: 200, seed: 1 });
+
+      expect(result.teams.find(t => t.teamId === 'E')!.winValue).toBeNull();
+      expect(result.teams.find(t => t.teamId === 'B')!.winValue).not.toBeNull();
+    });
+
+    it('should reproduce results from the seed', async () => {
+      const season = createSeason();
+      const projections = await simulator.projectRosters(season);
+
+      const first = await simulator.simulateSeason(season, { iterations: 500, seed: 42, projections });
+      const replay = await simulator.simulateSeason(season, { iterations: 500, seed: first.seed, projections });
+
+      expect(replay.teams).toEqual(first.teams);
+    });
+
+    it('should reject inconsistent seasons', async () => {
+      const unknown = createSeason();
+      unknown.schedule.push({ week: 6, homeTeamId: 'A', awayTeamId: 'Z' });
+      await expect(simulator.simulateSeason(unknown)).rejects.toThrow('Schedule references unknown team Z');
+
+      const short = { ...createSeason(), playoffWeeks: [7] };
+      await expect(simulator.simulateSeason(short)).rejects.toThrow('Need 2 playoff weeks for 3 playoff teams, got 1');
+
+      const overlapping = { ...createSeason(), playoffWeeks: [6, 7] };
+      await expect(simulator.simulateSeason(overlapping)).rejects.toThrow('Playoff weeks must come after the regular season');
+    });
+  });
+
+  describe('projectRosters', () => {
+    it('should skip players on their bye week', async () => {
+      const season = createSeason();
+      const alpha = season.teams[0];
+      alpha.roster[0] = createPlayer('a-qb', 'QB', 25, { byeWeek: 6 });
+      alpha.roster.push(createPlayer('a-qb2', 'QB', 5, { isStarter: false }));
+
+      const projections = await simulator.projectRosters(season);
+
+      expect(projections.get('a-qb')!.has(6)).toBe(false);
+      expect(projections.get('a-qb')!.has(5)).toBe(true);
+      expect(projections.get('a-qb2')!.get(6)!.standardDeviation).toBeCloseTo(8);
+      expect(generateProjectionRange).not.toHaveBeenCalledWith(expect.objectContaining({ id: 'a-qb' }), 6);
+    });
+
+    it('should fall back to the player projection when the engine fails', async () => {
+      generateProjectionRange.mockRejectedValue(new Error('model unavailable'));
+
+      const projections = await simulator.projectRosters(createSeason());
+
+      expect(projections.get('a-qb')!.get(5)).toEqual({ projectedPoints: 25, standardDeviation: 6.25 });
+    });
+  });
+});
@@ -0,0 +1,257 @@
+import 'reflect-metadata';
+import { TradeAnalyzer, TradeContext } from '../../core/trade-analyzer';
+import { SeasonSimulator, LeagueSeason } from '../../core/season-simulator';
+import { FantasyMLEngine } from '../../core/fantasy-ml-engine';
+import { DatabaseService } from '../../core/database-service';
+import { PlayerRepository } from '../../repositories/PlayerRepository';
+import { ProspectAnalysis, DraftProjection } from '../../models/ProspectAnalysis';
+import { Position } from '../../types/common.types';
+import { FantasyPlayer, TradeProposal, TradeTransfer } from '../../types/fantasy.types';
+
+describe('TradeAnalyzer', () => {
+  let analyzer: TradeAnalyzer;
+  let fantasyMLEngine: jest.Mocked<FantasyMLEngine>;
+
+  const createPlayer = (playerId: string, position: string, points: number) => ({
+    playerId,
+    name: playerId,
+    position,
+    team: 'NFL',
+    fantasyPosition: position,
+    isStarter: true,
+    projectedPoints: points,
+    seasonProjection: points * 17,
+    value: 50,
+    trend: 'STABLE',
+    injuryStatus: 'HEALTHY',
+    byeWeek: 14
+  } as unknown as FantasyPlayer);
+
+  const createRoster = (prefix: string, qb: number, rb: number, wr: number) => [
+    createPlayer(`${prefix}-qb`, 'QB', qb),
+    createPlayer(`${prefix}-rb`, 'RB', rb),
+    createPlayer(`${prefix}-wr`, 'WR', wr)
+  ];
+
+  const createSeason = (): LeagueSeason => {
+    const rounds = [[['A', 'B'], ['C', 'D']], [['A', 'C'], ['B', 'D']], [['A', 'D'], ['B', 'C']]];
+    return {
+      teams: [
+        { teamId: 'A', name: 'Alpha', roster: createRoster('a', 28, 14, 14), wins: 3, losses: 1, pointsFor: 210 },
+        { teamId: 'B', name: 'Bravo', roster: createRoster('b', 20, 13, 13), wins: 2, losses: 2, pointsFor: 185 },
+        { teamId: 'C', name: 'Charlie', roster: createRoster('c', 20, 13, 12), wins: 2, losses: 2, pointsFor: 180 },
+        { teamId: 'D', name: 'Delta', roster: createRoster('d', 12, 13, 13), wins: 1, losses: 3, pointsFor: 160 }
+      ],
+      schedule: [0, 1, 2, 3, 4, 5].flatMap(i =>
+        rounds[i % 3].map(([homeTeamId, awayTeamId]) => ({ week: i + 1, homeTeamId, awayTeamId }))
+      ),
+      currentWeek: 5,
+      rosterPositions: { QB: 1, RB: 1, WR: 1, TE: 0, K: 0, DEF: 0, BENCH: 2 },
+      playoffTeams: 2,
+      playoffWeeks: [7]
+    };
+  };
+
+  // Delta sends its quarterback to Alpha for Alpha's much better one
+  const createTrade = (season: LeagueSeason): TradeProposal => ({
+    id: 'trade-1',
+    givingPlayers: [season.teams[3].roster[0]],
+    receivingPlayers: [season.teams[0].roster[0]],
+    proposedBy: 'D',
+    proposedTo: 'A',
+    status: 'PENDING',
+    createdAt: new Date()
+  });
+
+  beforeEach(() => {
+    const points = new Map(createSeason().teams.flatMap(team => team.roster.map(p => [p.playerId, p.projectedPoints])));
+    fantasyMLEngine = {
+      generateProjectionRange: jest.fn(async (player: any, week: number) => {
+        const projected = points.get(player.id)!;
+        return {
+          projection: { playerId: player.id, week, projectedPoints: projected, confidenceInterval: [projected - 12, projected + 12] },
+          scenarios: { conservative: projected - 12, aggressive: projected + 12 }
+        };
+      })
+    } as any;
+
+    analyzer = new TradeAnalyzer(
+      {} as DatabaseService,
+      fantasyMLEngine,
+      {} as PlayerRepository,
+      new SeasonSimulator(fantasyMLEngine)
+    );
+  });
+
+  describe('calculatePlayoffOddsImpact', () => {
+    it('should move playoff odds toward the team receiving the better player', async () => {
+      const season = createSeason();
+
+      const [delta, alpha] = await analyzer.calculatePlayoffOddsImpact(createTrade(season), season, {
+        iterations: 2000,
+        seed: 11
+      });
+
+      expect(delta.teamId).toBe('D');
+      expect(alpha.teamId).toBe('A');
+      expect(delta.playoffProbabilityAfter).toBeGreaterThan(delta.playoffProbabilityBefore);
+      expect(alpha.playoffProbabilityAfter).toBeLessThan(alpha.playoffProbabilityBefore);
+      expect(alpha.championshipProbabilityAfter).toBeLessThan(alpha.championshipProbabilityBefore);
+    });
+
+    it('should leave odds unchanged for an even swap', async () => {
+      const season = createSeason();
+      const trade = {
+        ...createTrade(season),
+        givingPlayers: [season.teams[1].roster[0]],
+        receivingPlayers: [season.teams[2].roster[0]],
+        proposedBy: 'B',
+        proposedTo: 'C'
+      };
+
+      const changes = await analyzer.calculatePlayoffOddsImpact(trade, season, { iterations: 500, seed: 3 });
+
+      changes.forEach(change => {
+        expect(change.playoffProbabilityAfter).toBe(change.playoffProbabilityBefore);
+      });
+    });
+
+    it('should require traded players to be on the sending roster', async () => {
+      const season = createSeason();
+      const trade = { ...createTrade(season), receivingPlayers: [createPlayer('free-agent', 'QB', 30)] };
+
+      await expect(analyzer.calculatePlayoffOddsImpact(trade, season))
+        .rejects.toThrow('Player free-agent is not rostered by team A');
+    });
+  });
+
+  describe('analyzeTradeProposal', () => {
+    const context: TradeContext = {
+      userId: 'user-a',
+      leagueId: 'league-1',
+      currentWeek: 5,
+      playoffWeeks: [15, 16, 17],
+      leagueSize: 12,
+      rosterNeeds: [],
+      currentSeason: 2025,
+      faabBudget: 100
+    };
+
+    const createTransferTrade = (transfers: TradeTransfer[]): TradeProposal => ({
+      id: 'trade-2',
+      givingPlayers: [],
+      receivingPlayers: [],
+      proposedBy: 'A',
+      proposedTo: 'B',
+      transfers,
+      status: 'PENDING',
+      createdAt: new Date()
+    });
+
+    it('should give each team in a three-team trade its own breakdown', async () => {
+      const [aQb, aRb] = createRoster('a', 25, 18, 14);
+      const [bQb] = createRoster('b', 20, 13, 13);
+      const trade = createTransferTrade([
+        { fromTeamId: 'A', toTeamId: 'B', asset: { type: 'PLAYER', player: aQb } },
+        { fromTeamId: 'B', toTeamId: 'C', asset: { type: 'PLAYER', player: bQb } },
+        { fromTeamId: 'C', toTeamId: 'A', asset: { type: 'PICK', pick: { season: 2026, round: 1, pick: 2, originalTeamId: 'C' } } },
+        { fromTeamId: 'C', toTeamId: 'A', asset: { type: 'FAAB', amount: 40 } },
+        { fromTeamId: 'A', toTeamId: 'C', asset: { type: 'PLAYER', player: aRb } }
+      ]);
+
+      const analysis = await analyzer.analyzeTradeProposal(trade, context);
+      const team = (id: string) => analysis.teams!.find(t => t.teamId === id)!;
+
+      expect(analysis.teams!.map(t => t.teamId)).toEqual(['A', 'B', 'C']);
+      expect(analysis.fairValue).toBe(team('A').fairValue);
+
+      // Every asset one team sends is received by another
+      const sent = analysis.teams!.reduce((sum, t) => sum + t.valueSent, 0);
+      const received = analysis.teams!.reduce((sum, t) => sum + t.valueReceived, 0);
+      expect(sent).toBeCloseTo(received, 10);
+
+      analysis.teams!.forEach(t => {
+        expect(t.fairValue).toBeCloseTo((t.valueReceived - t.valueSent) / Math.max(t.valueSent, 1), 10);
+      });
+
+      // Alpha trades current points for a future pick, so its season value falls
+      expect(team('A').impact.playoffImpact).toBeLessThan(0);
+      expect(team('A').valueReceived).toBeGreaterThan(0);
+    });
+
+    it('should value early picks above late ones and use the scouted class', async () => {
+      const pickTrade = (pick: number) => createTransferTrade([
+        { fromTeamId: 'B', toTeamId: 'A', asset: { type: 'PICK', pick: { season: 2026, round: 1, pick, originalTeamId: 'B' } } },
+        { fromTeamId: 'A', toTeamId: 'B', asset: { type: 'FAAB', amount: 10 } }
+      ]);
+      const received = async (trade: TradeProposal, tradeContext: TradeContext) =>
+        (await analyzer.analyzeTradeProposal(trade, tradeContext)).teams![0].valueReceived;
+
+      const early = await received(pickTrade(1), context);
+      const late = await received(pickTrade(12), context);
+      expect(early).toBeGreaterThan(late);
+
+      const prospect = new ProspectAnalysis({
+        playerId: 'rookie-qb',
+        playerName: 'Rookie QB',
+        position: Position.QB,
+        draftProjection: new DraftProjection({ projectedPick: 3 }),
+        bustRisk: 10
+      });
+      const scouted = await received(pickTrade(1), { ...context, rookieClasses: { 2026: [prospect] } });
+      expect(scouted).toBeGreaterThan(early);
+    });
+
+    it('should keep the two-team player swap format', async () => {
+      const season = createSeason();
+      const trade = { ...createTrade(season), receivingPlayers: season.teams[0].roster.slice(0, 2) };
+
+      const analysis = await analyzer.analyzeTradeProposal(trade, context);
+
+      expect(analysis.teams!.map(t => t.teamId)).toEqual(['D', 'A']);
+      expect(analysis.fairValue).toBe(analysis.teams![0].fairValue);
+      expect(analysis.teams![0].fairValue).toBeGreaterThan(0);
+      expect(analysis.teams![1].fairValue).toBeLessThan(0);
+      expect(analysis.teams![0].recommendation).toBe('ACCEPT');
+    });
+
+    it('should reject invalid assets', async () => {
+      const [aQb] = createRoster('a', 25, 18, 14);
+
+      await expect(analyzer.analyzeTradeProposal(createTransferTrade([
+        { fromTeamId: 'A', toTeamId: 'A', asset: { type: 'PLAYER', player: aQb } }
+      ]), context)).rejects.toThrow('Team A cannot trade an asset to itself');
+
+      await expect(analyzer.analyzeTradeProposal(createTransferTrade([
+        { fromTeamId: 'B', toTeamId: 'A', asset: { type: 'FAAB', amount: 150 } }
+      ]), context)).rejects.toThrow('Traded FAAB cannot exceed the 100 budget');
+
+      await expect(analyzer.analyzeTradeProposal(createTransferTrade([
+        { fromTeamId: 'B', toTeamId: 'A', asset: { type: 'PICK', pick: { season: 2025, round: 1, originalTeamId: 'B' } } }
+      ]), { ...context, rookieDraftHeld: true })).rejects.toThrow('The 2025 round 1 pick has already been used');
+
+      await expect(analyzer.analyzeTradeProposal(createTransferTrade([
+        { fromTeamId: 'B', toTeamId: 'C', asset: { type: 'PLAYER', player: aQb } }
+      ]), context)).rejects.toThrow('Team A is not part of trade trade-2');
+    });
+
+    it('should report simulated odds when the league season is known', async () => {
+      const season = createSeason();
+      const context: TradeContext = {
+        userId: 'user-d',
+        leagueId: 'league-1',
+        currentWeek: 5,
+        playoffWeeks: [7],
+        leagueSize: 4,
+        rosterNeeds: [],
+        season
+      };
+
+      const analysis = await analyzer.analyzeTradeProposal(createTrade(season), context);
+
+      expect(analysis.oddsImpact).toHaveLength(2);
+      expect(analysis.oddsImpact![0].teamId).toBe('D');
+      expect(analysis.reasoning.some(reason => reason.startsWith('Raises playoff odds from'))).toBe(true);
+    });
+  });
+});
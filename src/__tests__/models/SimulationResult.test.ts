@@ -4,7 +4,10 @@ import {
   SimulationResult, 
   OutcomeDistribution, 
   ConfidenceInterval, 
-  Factor 
+  Factor,
+  ScoreDistribution,
+  CorrelationReport,
+  ConvergenceReport
 } from '../../models/SimulationResult';
 
 describe('SimulationResult Model', () => {
@@ -226,4 +229,104 @@ describe('SimulationResult Model', () => {
       expect(probVeryLow).toBeCloseTo(0, 2);
     });
   });
-});
\ No newline at end of file
+
+  describe('ScoreDistribution', () => {
+    let distribution: ScoreDistribution;
+
+    beforeEach(() => {
+      const summary = { mean: 0, median: 0, standardDeviation: 1, percentile25: 0, percentile75: 0, minimum: 0, maximum: 0 };
+      distribution = new ScoreDistribution({
+        homeScore: { ...summary, mean: 24, median: 24 },
+        awayScore: { ...summary, mean: 21, median: 20 },
+        margin: { ...summary, mean: 3, median: 3 },
+        total: { ...summary, mean: 45, median: 44 },
+        homeWinProbability: 0.6,
+        awayWinProbability: 0.4,
+        tieProbability: 0,
+        marginFrequencies: { '-7': 0.2, '-3': 0.2, '3': 0.3, '7': 0.3 },
+        totalFrequencies: { '37': 0.25, '44': 0.25, '47': 0.25, '51': 0.25 }
+      });
+    });
+
+    it('should validate a score distribution attached to a result', async () => {
+      const result = new SimulationResult({ ...validSimulationResultData, scoreDistribution: distribution });
+      const errors = await validate(result);
+
+      expect(errors).toHaveLength(0);
+      expect(result.scoreDistribution).toBeInstanceOf(ScoreDistribution);
+    });
+
+    it('should calculate spread cover probabilities including pushes', () => {
+      const spread = distribution.getSpreadProbabilities(-3);
+
+      expect(spread.home).toBeCloseTo(0.3, 10);
+      expect(spread.push).toBeCloseTo(0.3, 10);
+      expect(spread.away).toBeCloseTo(0.4, 10);
+    });
+
+    it('should calculate half-point spreads without pushes', () => {
+      const spread = distribution.getSpreadProbabilities(-3.5);
+
+      expect(spread.push).toBe(0);
+      expect(spread.home + spread.away).toBeCloseTo(1, 10);
+    });
+
+    it('should calculate total probabilities', () => {
+      const total = distribution.getTotalProbabilities(44);
+
+      expect(total.over).toBeCloseTo(0.5, 10);
+      expect(total.push).toBeCloseTo(0.25, 10);
+      expect(total.under).toBeCloseTo(0.25, 10);
+    });
+
+    it('should derive fair lines from the medians', () => {
+      expect(distribution.getFairSpread()).toBe(-3);
+      expect(distribution.getFairTotal()).toBe(44);
+    });
+  });
+
+  describe('CorrelationReport', () => {
+    const report = new CorrelationReport({
+      variables: ['offense', 'turnovers'],
+      requested: [[1, -0.5], [-0.5, 1]],
+      achieved: [[1, -0.46], [-0.46, 1]],
+      sampleSize: 10000
+    });
+
+    it('should look up requested and achieved coefficients by name', () => {
+      expect(report.getPair('turnovers', 'offense')).toEqual({ requested: -0.5, achieved: -0.46 });
+      expect(() => report.getPair('offense', 'weather')).toThrow('Variable weather is not part of the correlation report');
+    });
+
+    it('should report the largest deviation from the requested matrix', () => {
+      expect(report.getMaxDeviation()).toBeCloseTo(0.04, 10);
+    });
+
+    it('should be instantiated on simulation results', () => {
+      const result = new SimulationResult({ scenarioId: 'scenario', correlationReport: { ...report } as CorrelationReport });
+
+      expect(result.correlationReport).toBeInstanceOf(CorrelationReport);
+    });
+  });
+
+  describe('ConvergenceReport', () => {
+    it('should be instantiated and validated on simulation results', async () => {
+      const result = new SimulationResult({
+        scenarioId: 'scenario',
+        convergence: {
+          estimate: 0.62,
+          standardError: 0.004,
+          threshold: 0.005,
+          requestedIterations: 100000,
+          converged: true,
+          stoppedEarly: true,
+          antitheticVariates: true,
+          controlVariates: ['offensive_efficiency']
+        } as ConvergenceReport
+      });
+
+      expect(result.convergence).toBeInstanceOf(ConvergenceReport);
+      expect(await validate(result.convergence!)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const FairOddsEngine = require('../../../public/fair-odds-engine.js');
+
+const { DEVIG_METHODS, impliedProbability, devig, consensusFairLine, findPositiveEV, expectedValue } = FairOddsEngine;
+
+describe('FairOddsEngine', () => {
+  const sum = (probabilities: number[]) => probabilities.reduce((acc, probability) => acc + probability, 0);
+
+  describe('devig', () => {
+    const twoWay = [-150, 130];
+    const threeWay = [-2000, 5000, 1000];
+
+    it('should return fair probabilities that sum to 1 for every method', () => {
+      DEVIG_METHODS.forEach((method: string) => {
+        expect(sum(devig(twoWay, method))).toBeCloseTo(1, 10);
+        expect(sum(devig(threeWay, method))).toBeCloseTo(1, 10);
+      });
+      expect(devig([-110, -110])).toEqual([0.5, 0.5]);
+    });
+
+    it('should scale by the overround or take an equal share of it', () => {
+      const implied: number[] = twoWay.map(impliedProbability);
+      const hold = sum(implied) - 1;
+
+      expect(devig(twoWay, 'multiplicative')[0]).toBeCloseTo(implied[0] / sum(implied), 10);
+      expect(devig(twoWay, 'additive')[0]).toBeCloseTo(implied[0] - hold / 2, 10);
+      // Shin's model reduces to the additive split on a two-way market
+      expect(devig(twoWay, 'shin')[0]).toBeCloseTo(devig(twoWay, 'additive')[0], 8);
+    });
+
+    it('should raise every implied probability to one power', () => {
+      const implied: number[] = twoWay.map(impliedProbability);
+      const fair = devig(twoWay, 'power');
+
+      expect(Math.log(fair[0]) / Math.log(implied[0])).toBeCloseTo(Math.log(fair[1]) / Math.log(implied[1]), 6);
+      expect(fair[0]).toBeGreaterThan(devig(twoWay, 'multiplicative')[0]);
+    });
+
+    it('should take more off the longshot of a three-way market with power and Shin', () => {
+      const multiplicative = devig(threeWay, 'multiplicative');
+
+      expect(devig(threeWay, 'power')[1]).toBeLessThan(multiplicative[1]);
+      expect(devig(threeWay, 'shin')[1]).toBeLessThan(multiplicative[1]);
+      expect(devig(threeWay, 'shin')[1]).toBeGreaterThan(0);
+      // The equal share is bigger than the longshot's implied probability
+      expect(devig(threeWay, 'additive')[1]).toBe(0);
+    });
+
+    it('should normalize a market without any hold', () => {
+      expect(devig([105, 105], 'power')).toEqual([0.5, 0.5]);
+      expect(devig([105, 105], 'shin')).toEqual([0.5, 0.5]);
+    });
+
+    it('should reject one-sided markets and unknown methods', () => {
+      expect(() => devig([-110])).toThrow('A market needs at least two priced outcomes to remove the vig');
+      expect(() => devig([-110, -110], 'logit')).toThrow('Unknown de-vig method: logit');
+    });
+  });
+
+  const pinnacle = { sportsbook: 'Pinnacle', outcomes: [{ name: 'home', price: -110 }, { name: 'away', price: -110 }] };
+  const draftKings = { sportsbook: 'DraftKings', outcomes: [{ name: 'home', price: -105 }, { name: 'away', price: -115 }] };
+  const fanDuel = { sportsbook: 'FanDuel', outcomes: [{ name: 'home', price: 115 }, { name: 'away', price: -135 }] };
+
+  describe('consensusFairLine', () => {
+    it('should average each book\'s fair line with sharp books weighted up', () => {
+      const consensus = consensusFairLine([pinnacle, draftKings]);
+      const home = (3 * 0.5 + devig([-105, -115])[0]) / 4;
+
+      expect(consensus.books).toEqual(['Pinnacle', 'DraftKings']);
+      expect(consensus.outcomes[0].fairProbability).toBeCloseTo(home, 10);
+      expect(sum(consensus.outcomes.map((outcome: any) => outcome.fairProbability))).toBeCloseTo(1, 10);
+    });
+
+    it('should match book weights ignoring case and punctuation and take custom weights', () => {
+      const circa = { ...draftKings, sportsbook: 'Circa Sports' };
+      const even = consensusFairLine([pinnacle, circa], { bookWeights: {} });
+
+      expect(consensusFairLine([pinnacle, circa]).outcomes[0].fairProbability)
+        .toBeCloseTo((3 * 0.5 + 2.5 * devig([-105, -115])[0]) / 5.5, 10);
+      expect(even.outcomes[0].fairProbability).toBeCloseTo((0.5 + devig([-105, -115])[0]) / 2, 10);
+    });
+
+    it('should leave out books missing an outcome and return null without a complete book', () => {
+      const missingAway = { sportsbook: 'BetMGM', outcomes: [{ name: 'home', price: 200 }, { name: 'away', price: 0 }] };
+
+      expect(consensusFairLine([pinnacle, missingAway]).books).toEqual(['Pinnacle']);
+      expect(consensusFairLine([missingAway])).toBeNull();
+      expect(consensusFairLine([{ sportsbook: 'Pinnacle', outcomes: [{ name: 'home', price: -110 }] }])).toBeNull();
+    });
+  });
+
+  describe('findPositiveEV', () => {
+    const market = { market: 'moneyline', gameId: 'evt-1', books: [pinnacle, draftKings, fanDuel] };
+
+    it('should flag prices that beat the consensus and carry the market details through', () => {
+      const fairHome = consensusFairLine(market.books).outcomes[0].fairProbability;
+      const opportunities = findPositiveEV([market]);
+
+      expect(opportunities).toEqual([
+        expect.objectContaining({ market: 'moneyline', gameId: 'evt-1', outcome: 'home', sportsbook: 'FanDuel', price: 115, consensusBooks: 3 })
+      ]);
+      expect(opportunities[0].ev).toBeCloseTo(expectedValue(fairHome, 115), 10);
+      expect(opportunities[0]).not.toHaveProperty('books');
+    });
+
+    it('should sort by EV and honour the threshold', () => {
+      const stale = { ...market, gameId: 'evt-2', books: [pinnacle, { ...fanDuel, outcomes: [{ name: 'home', price: 140 }, { name: 'away', price: -165 }] }] };
+      const opportunities = findPositiveEV([market, stale]);
+
+      expect(opportunities.map((opportunity: any) => opportunity.gameId)).toEqual(['evt-2', 'evt-1']);
+      expect(findPositiveEV([market], { evThreshold: 0.05 })).toEqual([]);
+    });
+
+    it('should need at least two books in the consensus', () => {
+      expect(findPositiveEV([{ ...market, books: [pinnacle, { ...fanDuel, outcomes: [fanDuel.outcomes[0]] }] }])).toEqual([]);
+      expect(findPositiveEV([{ ...market, books: [pinnacle, fanDuel] }], { minBooks: 3 })).toEqual([]);
+    });
+  });
+});
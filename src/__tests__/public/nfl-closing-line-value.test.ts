@@ -0,0 +1,88 @@
+const NFLClosingLineValue = require('../../../public/nfl-closing-line-value.js');
+
+const { calculateClv, summarizeClv, summarizeClvBy, marketForSelection } = NFLClosingLineValue;
+
+describe('NFLClosingLineValue', () => {
+  const implied = (odds: number) => (odds > 0 ? 100 / (odds + 100) : -odds / (-odds + 100));
+  const noVig = (odds: number, oppositeOdds: number) => implied(odds) / (implied(odds) + implied(oppositeOdds));
+
+  describe('calculateClv', () => {
+    it('should credit spreads and totals that beat the closing number', () => {
+      const price = { odds: -110, oppositeOdds: -110 };
+
+      expect(calculateClv({ type: 'spread', selection: 'home', line: -3, ...price }, { line: -4, ...price }))
+        .toEqual({ points: 1, probability: 0 });
+      expect(calculateClv({ type: 'spread', selection: 'away', line: 3, ...price }, { line: 4, ...price }).points).toBe(-1);
+      expect(calculateClv({ type: 'total', selection: 'over', line: 44.5, ...price }, { line: 46, ...price }).points).toBe(1.5);
+      expect(calculateClv({ type: 'total', selection: 'under', line: 44.5, ...price }, { line: 46, ...price }).points).toBe(-1.5);
+    });
+
+    it('should measure the price move in no-vig probability', () => {
+      const clv = calculateClv(
+        { type: 'moneyline', selection: 'away', line: null, odds: 150, oppositeOdds: -170 },
+        { line: null, odds: 130, oppositeOdds: -150 }
+      );
+
+      expect(clv.points).toBeNull();
+      expect(clv.probability).toBeCloseTo(noVig(130, -150) - noVig(150, -170), 10);
+      expect(clv.probability).toBeGreaterThan(0);
+    });
+
+    it('should fall back to implied probability without the other side and skip missing prices', () => {
+      const withoutOpposite = calculateClv({ type: 'moneyline', selection: 'home', odds: -120 }, { odds: -140, oppositeOdds: 120 });
+
+      expect(withoutOpposite.probability).toBeCloseTo(noVig(-140, 120) - implied(-120), 10);
+      expect(calculateClv({ type: 'spread', selection: 'home', line: -3, odds: null }, { line: -3.5, odds: -110 }))
+        .toEqual({ points: 0.5, probability: null });
+      expect(calculateClv({ type: 'total', selection: 'over', line: null, odds: -110 }, { line: 44, odds: null }))
+        .toEqual({ points: null, probability: null });
+    });
+  });
+
+  describe('marketForSelection', () => {
+    it('should read the pick\'s side of a betting line', () => {
+      const row = { spread_line: -3.5, spread_home_odds: -105, spread_away_odds: -115, home_moneyline: null };
+
+      expect(marketForSelection(row, 'spread', 'away')).toEqual({ line: 3.5, odds: -115, oppositeOdds: -105 });
+      expect(marketForSelection(row, 'moneyline', 'home')).toBeNull();
+    });
+  });
+
+  describe('summarizeClv', () => {
+    const picks = [
+      { type: 'spread', confidence: 'high', clvPoints: 1, clvProbability: 0, closingCapturedAt: '2025-10-19T17:00:00Z' },
+      { type: 'spread', confidence: 'medium', clvPoints: -0.5, clvProbability: 0.01, closingCapturedAt: '2025-10-19T17:00:00Z' },
+      { type: 'moneyline', confidence: 'high', clvPoints: null, clvProbability: 0.03, closingCapturedAt: '2025-10-19T20:25:00Z' },
+      { type: 'moneyline', clvPoints: null, clvProbability: null, closingCapturedAt: null }
+    ];
+
+    it('should average measured picks and count beating the close on the number before the price', () => {
+      const summary = summarizeClv(picks);
+
+      expect(summary.picks).toBe(4);
+      expect(summary.measured).toBe(3);
+      expect(summary.avgClvPoints).toBeCloseTo(0.25, 10);
+      expect(summary.avgClvProbability).toBeCloseTo(0.04 / 3, 10);
+      // The second pick got a better price but a worse number, so it did not beat the close
+      expect(summary.beatCloseRate).toBeCloseTo((2 / 3) * 100, 10);
+    });
+
+    it('should report no averages before any closing line is captured', () => {
+      expect(summarizeClv([picks[3]])).toEqual({
+        picks: 1,
+        measured: 0,
+        avgClvPoints: null,
+        avgClvProbability: null,
+        beatCloseRate: null
+      });
+    });
+
+    it('should group summaries by a pick field', () => {
+      const byConfidence = summarizeClvBy(picks, 'confidence');
+
+      expect(Object.keys(byConfidence)).toEqual(['high', 'medium', 'unknown']);
+      expect(byConfidence.high.measured).toBe(2);
+      expect(byConfidence.unknown.measured).toBe(0);
+    });
+  });
+});
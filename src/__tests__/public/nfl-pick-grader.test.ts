@@ -0,0 +1,117 @@
+const NFLPickGrader = require('../../../public/nfl-pick-grader.js');
+
+const { PICK_STATUS, gradeLeg, gradeParlay, decimalOdds, settlementPayout, validatePick } = NFLPickGrader;
+
+describe('NFLPickGrader', () => {
+  const final = (homeScore: number, awayScore: number) =>
+    ({ status: 'STATUS_FINAL', home_score: homeScore, away_score: awayScore });
+
+  describe('gradeLeg', () => {
+    it('should push spreads and totals that land on a whole number', () => {
+      expect(gradeLeg({ type: 'spread', selection: 'home', line: -3 }, final(24, 21), undefined))
+        .toEqual({ status: PICK_STATUS.PUSH, actualValue: 3 });
+      expect(gradeLeg({ type: 'spread', selection: 'away', line: 3 }, final(24, 21), undefined).status).toBe(PICK_STATUS.PUSH);
+      expect(gradeLeg({ type: 'total', selection: 'under', line: 45 }, final(24, 21), undefined))
+        .toEqual({ status: PICK_STATUS.PUSH, actualValue: 45 });
+      expect(gradeLeg({ type: 'moneyline', selection: 'away' }, final(20, 20), undefined).status).toBe(PICK_STATUS.PUSH);
+    });
+
+    it('should never push on half points', () => {
+      expect(gradeLeg({ type: 'spread', selection: 'home', line: -3.5 }, final(24, 21), undefined).status).toBe(PICK_STATUS.LOST);
+      expect(gradeLeg({ type: 'spread', selection: 'away', line: 3.5 }, final(24, 21), undefined).status).toBe(PICK_STATUS.WON);
+      expect(gradeLeg({ type: 'total', selection: 'over', line: 44.5 }, final(24, 21), undefined).status).toBe(PICK_STATUS.WON);
+      expect(gradeLeg({ type: 'total', selection: 'under', line: 44.5 }, final(24, 21), undefined).status).toBe(PICK_STATUS.LOST);
+    });
+
+    it('should grade player props against the box score line', () => {
+      const prop = { type: 'player_prop', selection: 'over', line: 74.5, statType: 'receiving_yards' };
+
+      expect(gradeLeg(prop, final(24, 21), { receiving_yards: 80 })).toEqual({ status: PICK_STATUS.WON, actualValue: 80 });
+      expect(gradeLeg({ ...prop, line: 80 }, final(24, 21), { receiving_yards: 80 }).status).toBe(PICK_STATUS.PUSH);
+      expect(gradeLeg({ ...prop, selection: 'under' }, final(24, 21), { receiving_yards: 80 }).status).toBe(PICK_STATUS.LOST);
+    });
+
+    it('should void postponed games and props for players without a box score line', () => {
+      const spread = { type: 'spread', selection: 'home', line: -3 };
+      const prop = { type: 'player_prop', selection: 'over', line: 74.5, statType: 'receiving_yards' };
+
+      expect(gradeLeg(spread, { status: 'STATUS_POSTPONED', home_score: 0, away_score: 0 }, undefined).status).toBe(PICK_STATUS.VOID);
+      expect(gradeLeg(spread, { status: 'canceled', home_score: 0, away_score: 0 }, undefined).status).toBe(PICK_STATUS.VOID);
+      expect(gradeLeg(prop, final(24, 21), null)).toEqual({ status: PICK_STATUS.VOID, actualValue: null });
+    });
+
+    it('should stay pending until the game is final and its box score is synced', () => {
+      const spread = { type: 'spread', selection: 'home', line: -3 };
+      const prop = { type: 'player_prop', selection: 'over', line: 74.5, statType: 'receiving_yards' };
+
+      expect(gradeLeg(spread, null, undefined).status).toBe(PICK_STATUS.PENDING);
+      expect(gradeLeg(spread, { status: 'STATUS_IN_PROGRESS', home_score: 14, away_score: 7 }, undefined).status).toBe(PICK_STATUS.PENDING);
+      expect(gradeLeg(prop, final(24, 21), undefined).status).toBe(PICK_STATUS.PENDING);
+    });
+  });
+
+  describe('gradeParlay', () => {
+    it('should lose on any losing leg and wait on pending ones', () => {
+      expect(gradeParlay([{ status: PICK_STATUS.WON, odds: -110 }, { status: PICK_STATUS.LOST, odds: -110 }]).status).toBe(PICK_STATUS.LOST);
+      expect(gradeParlay([{ status: PICK_STATUS.LOST, odds: -110 }, { status: PICK_STATUS.PENDING, odds: -110 }]).status).toBe(PICK_STATUS.LOST);
+      expect(gradeParlay([{ status: PICK_STATUS.WON, odds: -110 }, { status: PICK_STATUS.PENDING, odds: -110 }]).status).toBe(PICK_STATUS.PENDING);
+    });
+
+    it('should pay the quoted price only when every leg wins', () => {
+      const legs = [{ status: PICK_STATUS.WON, odds: -110 }, { status: PICK_STATUS.WON, odds: 150 }];
+
+      expect(gradeParlay(legs, 300)).toEqual({ status: PICK_STATUS.WON, decimalOdds: 4 });
+      expect(gradeParlay(legs).decimalOdds).toBeCloseTo((1 + 100 / 110) * 2.5, 10);
+    });
+
+    it('should re-price from the remaining legs after a push or void', () => {
+      const pushed = gradeParlay([
+        { status: PICK_STATUS.WON, odds: -110 },
+        { status: PICK_STATUS.PUSH, odds: 150 },
+        { status: PICK_STATUS.WON, odds: 120 }
+      ], 600);
+      const voided = gradeParlay([{ status: PICK_STATUS.VOID, odds: -110 }, { status: PICK_STATUS.WON, odds: 150 }], 264);
+
+      expect(pushed.status).toBe(PICK_STATUS.WON);
+      expect(pushed.decimalOdds).toBeCloseTo((1 + 100 / 110) * 2.2, 10);
+      expect(voided).toEqual({ status: PICK_STATUS.WON, decimalOdds: 2.5 });
+    });
+
+    it('should push or void when no leg is left standing', () => {
+      expect(gradeParlay([{ status: PICK_STATUS.PUSH, odds: -110 }, { status: PICK_STATUS.VOID, odds: -110 }]).status).toBe(PICK_STATUS.PUSH);
+      expect(gradeParlay([{ status: PICK_STATUS.VOID, odds: -110 }, { status: PICK_STATUS.VOID, odds: -110 }]).status).toBe(PICK_STATUS.VOID);
+    });
+  });
+
+  describe('payouts', () => {
+    it('should convert American odds, defaulting to -110', () => {
+      expect(decimalOdds(150)).toBe(2.5);
+      expect(decimalOdds(-200)).toBe(1.5);
+      expect(decimalOdds(null)).toBeCloseTo(1 + 100 / 110, 10);
+    });
+
+    it('should pay net units on wins and return the stake on pushes and voids', () => {
+      expect(settlementPayout(PICK_STATUS.WON, 2, decimalOdds(-110))).toBeCloseTo(2 * 100 / 110, 10);
+      expect(settlementPayout(PICK_STATUS.WON, undefined, 2.5)).toBe(1.5);
+      expect(settlementPayout(PICK_STATUS.LOST, 3, 2.5)).toBe(-3);
+      expect(settlementPayout(PICK_STATUS.PUSH, 3, 2.5)).toBe(0);
+      expect(settlementPayout(PICK_STATUS.VOID, 3, 2.5)).toBe(0);
+      expect(settlementPayout(PICK_STATUS.PENDING, 3, 2.5)).toBeNull();
+    });
+  });
+
+  describe('validatePick', () => {
+    it('should reject picks the grader cannot settle', () => {
+      expect(() => validatePick({ type: 'teaser' })).toThrow('Unsupported pick type: teaser');
+      expect(() => validatePick({ type: 'spread', selection: 'home', line: -3 })).toThrow('A spread pick needs a gameId');
+      expect(() => validatePick({ type: 'total', gameId: '401', selection: 'home', line: 44 }))
+        .toThrow('Selection for a total pick must be over or under');
+      expect(() => validatePick({ type: 'spread', gameId: '401', selection: 'home' })).toThrow('A spread pick needs a line');
+      expect(() => validatePick({ type: 'player_prop', gameId: '401', selection: 'over', line: 4.5, playerId: '9', statType: 'sacks' }))
+        .toThrow('Unsupported prop stat: sacks');
+      expect(() => validatePick({ type: 'parlay', legs: [{ type: 'moneyline', gameId: '401', selection: 'home' }] }))
+        .toThrow('A parlay needs at least two legs');
+      expect(() => validatePick({ type: 'moneyline', gameId: '401', selection: 'away' })).not.toThrow();
+    });
+  });
+});
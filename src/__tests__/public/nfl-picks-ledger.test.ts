@@ -0,0 +1,216 @@
+const NFLDatabaseService = require('../../../public/nfl-database-service.js');
+const NFLPicksLedger = require('../../../public/nfl-picks-ledger.js');
+
+describe('NFLPicksLedger', () => {
+  beforeAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  let database: any;
+  let ledger: any;
+
+  const run = (sql: string, params: any[] = []) => ledger.run(sql, params);
+
+  beforeEach(async () => {
+    database = new NFLDatabaseService(':memory:');
+    await database.initialize();
+    ledger = new NFLPicksLedger(database);
+
+    await run(`
+      INSERT INTO teams (id, espn_team_id, name, abbreviation, city, division, conference)
+      VALUES (1, 12, 'Kansas City Chiefs', 'KC', 'Kansas City', 'AFC West', 'AFC'),
+             (2, 21, 'Philadelphia Eagles', 'PHI', 'Philadelphia', 'NFC East', 'NFC')
+    `);
+    const games = [
+      [1, '401', 7, 'STATUS_FINAL', 24, 21, '2025-10-19T17:00:00Z'],
+      [2, '402', 7, 'STATUS_POSTPONED', 0, 0, '2025-10-19T20:25:00Z'],
+      [3, '403', 8, 'STATUS_SCHEDULED', 0, 0, '2025-10-26T17:00:00Z']
+    ];
+    for (const [id, espnId, week, status, homeScore, awayScore, date] of games) {
+      await run(`
+        INSERT INTO games (id, espn_game_id, week, season, home_team_id, away_team_id, game_date, status, home_score, away_score)
+        VALUES (?, ?, ?, 2025, 1, 2, ?, ?, ?, ?)
+      `, [id, espnId, week, date, status, homeScore, awayScore]);
+    }
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => database.db.close(resolve));
+  });
+
+  const spread = (overrides: Record<string, any> = {}) =>
+    ({ id: 'spread-1', type: 'spread', gameId: '401', selection: 'home', line: -3, odds: -110, ...overrides });
+
+  const parlay = (overrides: Record<string, any> = {}) => ({
+    id: 'parlay-1',
+    type: 'parlay',
+    odds: 600,
+    legs: [
+      { type: 'moneyline', gameId: '401', selection: 'home', odds: -150 },
+      { type: 'spread', gameId: '402', selection: 'away', line: 3.5, odds: -110 },
+      { type: 'total', gameId: '403', selection: 'over', line: 44.5, odds: -105 }
+    ],
+    ...overrides
+  });
+
+  describe('recordPick', () => {
+    it('should take the season and week from the game', async () => {
+      const pick = await ledger.recordPick(spread({ season: 2031, week: 1 }));
+      const parlayPick = await ledger.recordPick(parlay());
+
+      expect(pick).toEqual(expect.objectContaining({ season: 2025, week: 7, status: 'pending' }));
+      expect(parlayPick).toEqual(expect.objectContaining({ season: 2025, week: 7 }));
+      expect(parlayPick.legs.map((leg: any) => leg.gameId)).toEqual(['401', '402', '403']);
+    });
+
+    it('should reject picks on games missing from the schedule', async () => {
+      await expect(ledger.recordPick(spread({ gameId: '999' }))).rejects.toThrow('Game 999 is not in the schedule');
+
+      const { recorded, rejected, deferred } = await ledger.recordPicks([
+        spread(),
+        parlay({ legs: [parlay().legs[0], { type: 'moneyline', gameId: '998', selection: 'away' }] }),
+        spread({ id: 'teaser', type: 'teaser' })
+      ]);
+
+      expect(recorded).toHaveLength(1);
+      // The game may be scheduled by a later sync, so the browser keeps the pick
+      expect(deferred).toEqual([{ id: 'parlay-1', error: 'Game 998 is not in the schedule' }]);
+      expect(rejected).toEqual([{ id: 'teaser', error: 'Unsupported pick type: teaser' }]);
+    });
+
+    it('should store nothing when a parlay leg fails to insert', async () => {
+      const insert = ledger.run.bind(ledger);
+      let legs = 0;
+      jest.spyOn(ledger, 'run').mockImplementation((sql: any, params: any) =>
+        (String(sql).includes('INTO parlay_legs') && ++legs === 2 ? Promise.reject(new Error('disk I/O error')) : insert(sql, params)));
+
+      await expect(ledger.recordPick(parlay())).rejects.toThrow('disk I/O error');
+
+      (ledger.run as jest.Mock).mockRestore();
+      expect(await ledger.getPick('parlay-1')).toBeNull();
+      expect(await ledger.all('SELECT * FROM parlay_legs')).toHaveLength(0);
+      expect((await ledger.recordPick(parlay())).legs).toHaveLength(3);
+    });
+
+    it('should keep the first copy of a re-sent pick', async () => {
+      await ledger.recordPick(parlay());
+      const resent = await ledger.recordPick(parlay({ odds: 900 }));
+
+      expect(resent.odds).toBe(600);
+      expect(resent.legs).toHaveLength(3);
+    });
+  });
+
+  describe('gradePendingPicks', () => {
+    it('should push on the number and void postponed games', async () => {
+      await ledger.recordPick(spread({ stake: 2 }));
+      await ledger.recordPick(spread({ id: 'spread-2', line: -2.5 }));
+      await ledger.recordPick(spread({ id: 'postponed', gameId: '402' }));
+      await ledger.recordPick(spread({ id: 'upcoming', gameId: '403' }));
+
+      const result = await ledger.gradePendingPicks();
+
+      expect(result).toEqual({ checked: 4, settled: 3, pending: 1 });
+      expect(await ledger.getPick('spread-1')).toEqual(expect.objectContaining({ status: 'push', result: 3, payout: 0 }));
+      expect((await ledger.getPick('spread-2')).payout).toBeCloseTo(100 / 110, 10);
+      expect(await ledger.getPick('postponed')).toEqual(expect.objectContaining({ status: 'void', payout: 0 }));
+      expect((await ledger.getPick('upcoming')).status).toBe('pending');
+    });
+
+    it('should void props for players without a box score line once the box score is in', async () => {
+      await run(`
+        INSERT INTO players (id, espn_player_id, team_id, name, position)
+        VALUES (10, 3139477, 1, 'Patrick Mahomes', 'QB'), (11, 4241479, 1, 'Isiah Pacheco', 'RB')
+      `);
+      const prop = { type: 'player_prop', gameId: '401', selection: 'over', line: 249.5, statType: 'passing_yards', odds: -115 };
+      await ledger.recordPick({ ...prop, id: 'mahomes', playerId: '3139477' });
+      await ledger.recordPick({ ...prop, id: 'pacheco', playerId: '4241479', statType: 'rushing_yards', line: 59.5 });
+
+      await ledger.gradePendingPicks();
+      expect((await ledger.getPick('mahomes')).status).toBe('pending');
+
+      await run(`INSERT INTO player_stats (game_id, player_id, team_id, passing_yards) VALUES (1, 10, 1, 291)`);
+      await ledger.gradePendingPicks();
+
+      expect(await ledger.getPick('mahomes')).toEqual(expect.objectContaining({ status: 'won', result: 291 }));
+      expect((await ledger.getPick('mahomes')).payout).toBeCloseTo(100 / 115, 10);
+      expect(await ledger.getPick('pacheco')).toEqual(expect.objectContaining({ status: 'void', payout: 0 }));
+    });
+
+    it('should re-price a parlay without its voided leg', async () => {
+      await ledger.recordPick(parlay({ stake: 2 }));
+      await run(`UPDATE games SET status = 'STATUS_FINAL', home_score = 28, away_score = 17 WHERE espn_game_id = '403'`);
+
+      await ledger.gradePendingPicks();
+      const graded = await ledger.getPick('parlay-1');
+
+      expect(graded.status).toBe('won');
+      expect(graded.legs.map((leg: any) => leg.status)).toEqual(['won', 'void', 'won']);
+      expect(graded.payout).toBeCloseTo(2 * ((1 + 100 / 150) * (1 + 100 / 105) - 1), 10);
+    });
+  });
+
+  describe('betting lines', () => {
+    const bettingLine = (lastUpdated: string, homeOdds = -110) => ({
+      gameId: '401',
+      sportsbook: 'DraftKings',
+      lastUpdated,
+      moneyline: { home: -150, away: 130 },
+      spread: { home: -3, homeOdds, awayOdds: -110 }
+    });
+
+    it('should only store lines whose number or price changed', async () => {
+      expect(await ledger.storeBettingLines([bettingLine('2025-10-18T12:00:00Z')])).toEqual({ stored: 2, unchanged: 0, unmatched: 0 });
+      expect(await ledger.storeBettingLines([bettingLine('2025-10-18T18:00:00Z')])).toEqual({ stored: 0, unchanged: 2, unmatched: 0 });
+      expect(await ledger.storeBettingLines([bettingLine('2025-10-19T12:00:00Z', -120), { ...bettingLine(''), gameId: '999' }]))
+        .toEqual({ stored: 1, unchanged: 1, unmatched: 1 });
+
+      expect(await ledger.all('SELECT * FROM betting_lines WHERE line_type = ?', ['spread'])).toHaveLength(2);
+    });
+
+    it('should store no price for a pick the book has moved off, grading it at -110 without probability CLV', async () => {
+      await ledger.storeBettingLines([bettingLine('2025-10-18T12:00:00Z')]);
+      await ledger.recordPick(spread({ id: 'moved', line: -2.5, odds: undefined }));
+      await ledger.recordPick(spread({ id: 'unmatched', gameId: '403', odds: undefined }));
+      const unpricedParlay = await ledger.recordPick(parlay({ legs: parlay().legs.map(({ odds, ...leg }) => leg) }));
+
+      expect(await ledger.getPick('moved')).toEqual(expect.objectContaining({ odds: null, oppositeOdds: null, bookmaker: 'DraftKings' }));
+      expect((await ledger.getPick('unmatched')).odds).toBeNull();
+      expect(unpricedParlay.legs.map((leg: any) => leg.odds)).toEqual([null, null, null]);
+
+      await ledger.captureClosingLines(new Date('2025-10-19T18:00:00Z'));
+      await ledger.gradePendingPicks();
+      const graded = await ledger.getPick('moved');
+
+      expect(graded).toEqual(expect.objectContaining({ status: 'won', clvPoints: 0.5, clvProbability: null }));
+      expect(graded.payout).toBeCloseTo(100 / 110, 10);
+    });
+
+    it('should find the last line before a time, preferring the pick\'s book', async () => {
+      await ledger.storeBettingLines([
+        bettingLine('2025-10-18T12:00:00Z'),
+        bettingLine('2025-10-19T12:00:00Z', -120),
+        { ...bettingLine('2025-10-19T16:00:00Z', -125), sportsbook: 'FanDuel' },
+        bettingLine('2025-10-19T18:00:00Z', -130)
+      ]);
+      const kickoff = new Date('2025-10-19T17:00:00Z');
+
+      expect((await ledger.latestBettingLine(1, 'spread', 'DraftKings', kickoff)).spread_home_odds).toBe(-120);
+      expect((await ledger.latestBettingLine(1, 'spread', 'Caesars', kickoff)).spread_home_odds).toBe(-125);
+      expect((await ledger.latestBettingLine(1, 'spread', null, new Date('2025-10-18T13:00:00Z'))).spread_home_odds).toBe(-110);
+      expect(await ledger.latestBettingLine(1, 'total', 'DraftKings', kickoff)).toBeNull();
+    });
+  });
+
+  describe('settlePick', () => {
+    it('should pay a hand-settled pick at its price', async () => {
+      await ledger.recordPick(spread({ id: 'manual', gameId: '403', odds: 120, stake: 3 }));
+
+      expect((await ledger.settlePick('manual', 'won', 10)).payout).toBeCloseTo(3.6, 10);
+      await ledger.recordPick(spread({ id: 'unpriced', gameId: '403', odds: undefined }));
+      expect((await ledger.settlePick('unpriced', 'won', 10)).payout).toBeCloseTo(100 / 110, 10);
+      await expect(ledger.settlePick('manual', 'pending')).rejects.toThrow('Invalid pick status: pending');
+      await expect(ledger.settlePick('missing', 'lost')).rejects.toThrow('Pick missing not found');
+    });
+  });
+});
@@ -4,6 +4,34 @@ import { OpponentAdjustedStats } from '../models/OpponentAdjustedStats';
 import { Game } from '../models/Game';
 import { Team } from '../models/Team';
 import { Player } from '../models/Player';
+import { ConstraintExpression, ConstraintExpressionError } from '../core/constraint-expression';
+import { TeamRatingSnapshot } from '../core/team-rating-engine';
+import { OddsObservation, buildLineChart } from '../core/line-movement-tracker';
+import { WinProbabilityUpdate } from '../core/game-state-tracker';
+
+/**
+ * Where the gateway reads stored Elo/Glicko history from; DatabaseService
+ * implements it
+ */
+export interface TeamRatingHistorySource {
+  getTeamRatingHistory(teamId: string, from?: Date, to?: Date): Promise<TeamRatingSnapshot[]>;
+}
+
+/**
+ * Where the gateway reads stored odds history from; DatabaseService
+ * implements it
+ */
+export interface OddsHistorySource {
+  getOddsHistory(gameId: string, from?: Date, to?: Date): Promise<OddsObservation[]>;
+}
+
+/**
+ * Where the gateway reads live home win probabilities from, as scored by the
+ * in-game win probability model; GameStateTracker implements it
+ */
+export interface WinProbabilitySource {
+  getCurrentWinProbability(gameId: string): Promise<WinProbabilityUpdate | null>;
+}
 
 /**
  * API Gateway service that provides REST endpoints for the football analytics system
@@ -13,9 +41,20 @@ export class APIGateway {
   private port: number;
   private server: any;
   private isRunning: boolean = false;
-
-  constructor(port: number = 3000) {
+  private teamRatings?: TeamRatingHistorySource;
+  private oddsHistory?: OddsHistorySource;
+  private winProbabilities?: WinProbabilitySource;
+
+  constructor(
+    port: number = 3000,
+    teamRatings?: TeamRatingHistorySource,
+    oddsHistory?: OddsHistorySource,
+    winProbabilities?: WinProbabilitySource
+  ) {
     this.port = port;
+    this.teamRatings = teamRatings;
+    this.oddsHistory = oddsHistory;
+    this.winProbabilities = winProbabilities;
   }
 
   /**
@@ -126,10 +165,18 @@ export class APIGateway {
         await this.handleHistoricalEndpoint(method, id, req, res);
         break;
       case 'games':
-        await this.handleGamesEndpoint(method, id, req, res);
+        if (id && segments[4] === 'lines') {
+          await this.handleGameLinesEndpoint(method, id, req, res);
+        } else {
+          await this.handleGamesEndpoint(method, id, req, res);
+        }
         break;
       case 'teams':
-        await this.handleTeamsEndpoint(method, id, req, res);
+        if (id && segments[4] === 'ratings') {
+          await this.handleTeamRatingsEndpoint(method, id, req, res);
+        } else {
+          await this.handleTeamsEndpoint(method, id, req, res);
+        }
         break;
       case 'players':
         await this.handlePlayersEndpoint(method, id, req, res);
@@ -147,6 +194,10 @@ export class APIGateway {
       if (id) {
         // GET /api/v1/probabilities/{gameId}
         const probabilities = await this.getProbabilitiesForGame(id);
+        if (!probabilities) {
+          this.sendJSON(res, { error: `No win probability for game ${id}` }, 404);
+          return;
+        }
         this.sendJSON(res, probabilities);
       } else {
         // GET /api/v1/probabilities - get all active game probabilities
@@ -175,6 +226,15 @@ export class APIGateway {
     } else if (method === 'POST') {
       // POST /api/v1/predictions - create new prediction
       const body = await this.parseRequestBody(req);
+      const constraintError = this.validatePredictionConstraints(body);
+      if (constraintError) {
+        this.sendJSON(res, {
+          error: constraintError.message,
+          constraint: constraintError.constraintName,
+          position: constraintError.position
+        }, 400);
+        return;
+      }
       const prediction = await this.createPrediction(body);
       this.sendJSON(res, prediction, 201);
     } else {
@@ -218,6 +278,35 @@ export class APIGateway {
     }
   }
 
+  /**
+   * Handle game line history endpoint
+   */
+  private async handleGameLinesEndpoint(method: string, gameId: string, req: any, res: any): Promise<void> {
+    if (method !== 'GET') {
+      this.sendMethodNotAllowed(res);
+      return;
+    }
+    if (!this.oddsHistory) {
+      this.sendJSON(res, { error: 'Line history is not available' }, 503);
+      return;
+    }
+
+    // GET /api/v1/games/{gameId}/lines?from=&to=
+    const query = new URL(req.url, `http://localhost:${this.port}`).searchParams;
+    const [from, to] = ['from', 'to'].map(name => (query.has(name) ? new Date(query.get(name)!) : undefined));
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      this.sendBadRequest(res, 'from and to must be dates');
+      return;
+    }
+
+    const observations = await this.oddsHistory.getOddsHistory(gameId, from, to);
+    if (observations.length === 0) {
+      this.sendJSON(res, { error: `No line history for game ${gameId}` }, 404);
+      return;
+    }
+    this.sendJSON(res, { gameId, observations, series: buildLineChart(observations) });
+  }
+
   /**
    * Handle teams endpoints
    */
@@ -237,6 +326,35 @@ export class APIGateway {
     }
   }
 
+  /**
+   * Handle team rating history endpoint
+   */
+  private async handleTeamRatingsEndpoint(method: string, teamId: string, req: any, res: any): Promise<void> {
+    if (method !== 'GET') {
+      this.sendMethodNotAllowed(res);
+      return;
+    }
+    if (!this.teamRatings) {
+      this.sendJSON(res, { error: 'Team ratings are not available' }, 503);
+      return;
+    }
+
+    // GET /api/v1/teams/{teamId}/ratings?from=&to=
+    const query = new URL(req.url, `http://localhost:${this.port}`).searchParams;
+    const [from, to] = ['from', 'to'].map(name => (query.has(name) ? new Date(query.get(name)!) : undefined));
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+      this.sendBadRequest(res, 'from and to must be dates');
+      return;
+    }
+
+    const history = await this.teamRatings.getTeamRatingHistory(teamId, from, to);
+    if (history.length === 0) {
+      this.sendJSON(res, { error: `No rating history for team ${teamId}` }, 404);
+      return;
+    }
+    this.sendJSON(res, { teamId, history });
+  }
+
   /**
    * Handle players endpoints
    */
@@ -290,8 +408,10 @@ export class APIGateway {
         'GET /api/v1/historical/{teamId}': 'Get historical stats for team',
         'GET /api/v1/games': 'Get all games',
         'GET /api/v1/games/{gameId}': 'Get specific game',
+        'GET /api/v1/games/{gameId}/lines': 'Get line movement history for game by book and market',
         'GET /api/v1/teams': 'Get all teams',
         'GET /api/v1/teams/{teamId}': 'Get specific team',
+        'GET /api/v1/teams/{teamId}/ratings': 'Get Elo and Glicko-2 rating history for team',
         'GET /api/v1/players': 'Get all players',
         'GET /api/v1/players/{playerId}': 'Get specific player',
         'GET /health': 'Health check endpoint'
@@ -301,14 +421,26 @@ export class APIGateway {
   }
 
   // Data access methods (these would integrate with actual services)
-  private async getProbabilitiesForGame(gameId: string): Promise<GameProbabilities> {
-    // Mock implementation - would integrate with actual probability engine
+  private async getProbabilitiesForGame(gameId: string): Promise<GameProbabilities | null> {
     const { WinProbability, SpreadProbability, TotalProbability } = await import('../models/GameProbabilities');
+
+    // Win probability comes from the in-game model when a source is wired in;
+    // spread and total probabilities are still mock values
+    let winProbability = new WinProbability({ home: 0.55, away: 0.45 });
+    let timestamp = new Date();
+    if (this.winProbabilities) {
+      const update = await this.winProbabilities.getCurrentWinProbability(gameId);
+      if (!update) {
+        return null;
+      }
+      winProbability = new WinProbability({ home: update.homeWinProbability, away: 1 - update.homeWinProbability });
+      timestamp = new Date(update.timestamp);
+    }
     
     return new GameProbabilities({
       gameId,
-      timestamp: new Date(),
-      winProbability: new WinProbability({ home: 0.55, away: 0.45 }),
+      timestamp,
+      winProbability,
       spreadProbability: new SpreadProbability({ spread: -3.5, probability: 0.52, confidence: 0.85 }),
       totalProbability: new TotalProbability({ over: 0.48, under: 0.52, total: 47.5 }),
       playerProps: []
@@ -346,6 +478,36 @@ export class APIGateway {
     return [];
   }
 
+  /**
+   * Compile user-supplied scenario constraints before any simulation runs
+   */
+  private validatePredictionConstraints(data: any): ConstraintExpressionError | null {
+    if (!data || !Array.isArray(data.constraints)) {
+      return null;
+    }
+
+    const variableNames = Array.isArray(data.variables)
+      ? data.variables.map((variable: any) => variable?.name).filter((name: any) => typeof name === 'string')
+      : [];
+
+    for (const constraint of data.constraints) {
+      if (typeof constraint?.condition !== 'string') {
+        return new ConstraintExpressionError('Constraint condition must be a string', '', 0, constraint?.name);
+      }
+
+      try {
+        ConstraintExpression.compileConstraint(constraint, variableNames);
+      } catch (error) {
+        if (error instanceof ConstraintExpressionError) {
+          return error;
+        }
+        throw error;
+      }
+    }
+
+    return null;
+  }
+
   private async createPrediction(data: any): Promise<SimulationResult> {
     // Mock implementation
     const { OutcomeDistribution, ConfidenceInterval } = await import('../models/SimulationResult');
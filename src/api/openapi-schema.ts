@@ -89,6 +89,90 @@ export const openApiSchema = {
         }
       }
     },
+    '/api/v1/games/{gameId}/lines': {
+      get: {
+        summary: 'Get line movement history for a game',
+        description: 'Returns every stored price change by book and market, oldest first, with one chart series per market, side and book',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'gameId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Odds provider event id for the game'
+          },
+          {
+            name: 'from',
+            in: 'query',
+            required: false,
+            schema: { type: 'string', format: 'date-time' },
+            description: 'Earliest observation time'
+          },
+          {
+            name: 'to',
+            in: 'query',
+            required: false,
+            schema: { type: 'string', format: 'date-time' },
+            description: 'Latest observation time'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Game line history',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/LineHistory' }
+              }
+            }
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '404': { $ref: '#/components/responses/NotFound' }
+        }
+      }
+    },
+    '/api/v1/teams/{teamId}/ratings': {
+      get: {
+        summary: 'Get rating history for a team',
+        description: 'Returns the Elo and Glicko-2 ratings stored by the rating replay, oldest first',
+        security: [{ bearerAuth: [] }],
+        parameters: [
+          {
+            name: 'teamId',
+            in: 'path',
+            required: true,
+            schema: { type: 'string' },
+            description: 'Unique identifier for the team'
+          },
+          {
+            name: 'from',
+            in: 'query',
+            required: false,
+            schema: { type: 'string', format: 'date-time' },
+            description: 'Earliest snapshot date'
+          },
+          {
+            name: 'to',
+            in: 'query',
+            required: false,
+            schema: { type: 'string', format: 'date-time' },
+            description: 'Latest snapshot date'
+          }
+        ],
+        responses: {
+          '200': {
+            description: 'Team rating history',
+            content: {
+              'application/json': {
+                schema: { $ref: '#/components/schemas/TeamRatingHistory' }
+              }
+            }
+          },
+          '400': { $ref: '#/components/responses/BadRequest' },
+          '404': { $ref: '#/components/responses/NotFound' }
+        }
+      }
+    },
     '/api/v1/predictions': {
       get: {
         summary: 'Get all predictions',
@@ -196,6 +280,82 @@ export const openApiSchema = {
           executionTime: { type: 'number', description: 'Execution time in milliseconds' }
         }
       },
+      TeamRatingHistory: {
+        type: 'object',
+        properties: {
+          teamId: { type: 'string' },
+          history: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                division: { type: 'string', enum: ['NFL', 'FBS', 'FCS'] },
+                season: { type: 'integer' },
+                date: { type: 'string', format: 'date-time' },
+                event: { type: 'string', enum: ['game', 'season_start'] },
+                gameId: { type: 'string' },
+                opponentId: { type: 'string' },
+                elo: { type: 'number' },
+                eloChange: { type: 'number' },
+                glicko: {
+                  type: 'object',
+                  properties: {
+                    rating: { type: 'number' },
+                    deviation: { type: 'number' },
+                    volatility: { type: 'number' }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      LineHistory: {
+        type: 'object',
+        properties: {
+          gameId: { type: 'string' },
+          observations: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/OddsObservation' }
+          },
+          series: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                market: { type: 'string', enum: ['spread', 'total', 'moneyline', 'player_prop'] },
+                selection: { type: 'string', enum: ['home', 'away', 'over', 'under'] },
+                propKey: { type: 'string' },
+                sportsbook: { type: 'string' },
+                points: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      observedAt: { type: 'string', format: 'date-time' },
+                      point: { type: 'number', nullable: true },
+                      price: { type: 'integer' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      OddsObservation: {
+        type: 'object',
+        properties: {
+          gameId: { type: 'string' },
+          sportsbook: { type: 'string' },
+          market: { type: 'string', enum: ['spread', 'total', 'moneyline', 'player_prop'] },
+          selection: { type: 'string', enum: ['home', 'away', 'over', 'under'] },
+          propKey: { type: 'string', example: 'player_pass_yds:Patrick Mahomes' },
+          point: { type: 'number', nullable: true },
+          price: { type: 'integer', example: -110 },
+          observedAt: { type: 'string', format: 'date-time' }
+        }
+      },
       PredictionRequest: {
         type: 'object',
         required: ['gameId'],
@@ -5,6 +5,7 @@ import { Logger } from '../core/logger';
 import { Config } from '../core/config';
 import { MLModelService, IMLModelService } from '../core/ml-model-service';
 import { ShapExplainer, IShapExplainer } from '../core/shap-explainer';
+import { ModelRegistry } from '../core/model-registry';
 
 /**
  * Dependency injection container configuration
@@ -31,6 +32,12 @@ export class DIContainer {
     container.bind<IMLModelService>(TYPES.MLModelService).to(MLModelService).inSingletonScope();
     container.bind<IShapExplainer>(TYPES.ShapExplainer).to(ShapExplainer).inSingletonScope();
 
+    // Trained models only persist across restarts when a registry path is configured
+    const registryPath = container.get<Config>(TYPES.Config).get<string>('ml.registryPath');
+    if (registryPath) {
+      container.bind<ModelRegistry>(TYPES.ModelRegistry).toConstantValue(new ModelRegistry(registryPath));
+    }
+
     // Note: Other service bindings will be added as services are implemented
     // This follows the incremental development approach specified in the requirements
   }
@@ -15,6 +15,7 @@ export const TYPES = {
   ProbabilityEngine: Symbol.for('ProbabilityEngine'),
   MonteCarloService: Symbol.for('MonteCarloService'),
   MLModelService: Symbol.for('MLModelService'),
+  ModelRegistry: Symbol.for('ModelRegistry'),
   HistoricalStatsService: Symbol.for('HistoricalStatsService'),
   
   // API Services
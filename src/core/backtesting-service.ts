@@ -3,6 +3,10 @@ import { GameProbabilities } from '../models/GameProbabilities';
 import { SimulationResult } from '../models/SimulationResult';
 import { MLModelService } from './ml-model-service';
 import { Logger } from './logger';
+import { SeededRandom } from './seeded-random';
+import { CalibrationReport, calibrationReport } from './calibration';
+import { BettingLine } from '../types/game.types';
+import { ModelConfig, TrainingData } from '../types/ml.types';
 
 // Create a simple logger instance for testing
 const logger = {
@@ -20,7 +24,7 @@ export interface BacktestingMetrics {
   brierScore: number;
   logLoss: number;
   accuracy: number;
-  calibration: number;
+  calibration: number; // expected calibration error over ten probability buckets
   sharpness: number;
   totalPredictions: number;
 }
@@ -33,6 +37,7 @@ export interface BacktestingResult {
     endDate: Date;
   };
   metrics: BacktestingMetrics;
+  calibration: CalibrationReport;
   gameResults: GameBacktestResult[];
   performanceByWeek: WeeklyPerformance[];
 }
@@ -62,16 +67,108 @@ export interface HistoricalDataPoint {
   timestamp: Date;
 }
 
+export interface HistoricalOddsSource {
+  fetchHistoricalOdds(sport: 'nfl' | 'ncaaf', date: string): Promise<BettingLine[]>;
+}
+
+export interface WalkForwardOptions {
+  modelConfig: ModelConfig;
+  extractFeatures: (dataPoint: HistoricalDataPoint) => number[]; // values for modelConfig.features
+  sport?: 'nfl' | 'ncaaf';
+  minTrainingWeeks?: number; // season-to-date weeks needed before a week is predicted
+  betLeadHours?: number; // bets are placed at the lines this long before kickoff
+  minEdge?: number; // expected return per unit staked needed to bet
+  startingBankroll?: number;
+  flatStake?: number;
+  kellyFraction?: number;
+  maxStakeFraction?: number; // cap on a single Kelly stake, as a share of bankroll
+  bootstrapSamples?: number;
+  confidenceLevel?: number;
+  seed?: number;
+}
+
+export interface WalkForwardWindow {
+  season: number;
+  week: number;
+  trainingSize: number;
+  predictions: number;
+}
+
+export interface SimulatedBet {
+  gameId: string;
+  season: number;
+  week: number;
+  side: 'home' | 'away';
+  sportsbook: string;
+  odds: number; // American odds taken
+  modelProbability: number; // of the side bet on
+  expectedValue: number; // per unit staked at the model's probability
+  closingOdds?: number; // best closing price for the side
+  closingProbability?: number; // no-vig closing probability of the side, averaged over books
+  clv?: number; // expected return per unit if the closing line is the true price
+  won: boolean;
+  push: boolean; // tied game, the stake is returned
+  flatStake: number;
+  flatProfit: number;
+  kellyStake: number;
+  kellyProfit: number;
+}
+
+export interface StakingReport {
+  strategy: 'flat' | 'kelly';
+  bets: number;
+  totalStaked: number;
+  profit: number;
+  roi: number;
+  finalBankroll: number;
+  maxDrawdown: number; // largest peak-to-trough fall, as a share of the peak bankroll
+  roiConfidenceInterval: [number, number];
+}
+
+export interface WalkForwardResult {
+  modelType: string;
+  windows: WalkForwardWindow[];
+  metrics: BacktestingMetrics;
+  calibration: CalibrationReport;
+  marketMetrics: BacktestingMetrics | null; // no-vig closing lines scored on the same games
+  gameResults: GameBacktestResult[];
+  bets: SimulatedBet[];
+  flat: StakingReport;
+  kelly: StakingReport;
+  averageClv: number;
+  beatClosingLineRate: number;
+}
+
+const DEFAULT_WALK_FORWARD_OPTIONS: Omit<Required<WalkForwardOptions>, 'modelConfig' | 'extractFeatures'> = {
+  sport: 'nfl',
+  minTrainingWeeks: 3,
+  betLeadHours: 24,
+  minEdge: 0.02,
+  startingBankroll: 100,
+  flatStake: 1,
+  kellyFraction: 0.25,
+  maxStakeFraction: 0.05,
+  bootstrapSamples: 1000,
+  confidenceLevel: 0.95,
+  seed: 0
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
 export class BacktestingService {
   private mlModelService: MLModelService;
   private probabilityEngine: ProbabilityEngine;
 
+  private oddsSource?: HistoricalOddsSource;
+
   constructor(
     mlModelService: MLModelService,
-    probabilityEngine: ProbabilityEngine
+    probabilityEngine: ProbabilityEngine,
+    oddsSource?: HistoricalOddsSource
   ) {
     this.mlModelService = mlModelService;
     this.probabilityEngine = probabilityEngine;
+    this.oddsSource = oddsSource;
   }
 
   /**
@@ -130,6 +227,7 @@ export class BacktestingService {
       modelVersion: await this.getModelVersion(modelId),
       testPeriod: { startDate, endDate },
       metrics,
+      calibration: this.calibrationReport(gameResults),
       gameResults,
       performanceByWeek
     };
@@ -138,6 +236,84 @@ export class BacktestingService {
     return result;
   }
 
+  /**
+   * Walk forward through each season a week at a time: retrain a fresh model
+   * on the season to date, predict the coming week, and bet the moneyline
+   * against the historical lines available before kickoff. Bets are graded
+   * against the closing lines for closing-line value and staked both flat
+   * and by fractional Kelly.
+   */
+  async runWalkForwardBacktest(
+    historicalData: HistoricalDataPoint[],
+    walkForwardOptions: WalkForwardOptions
+  ): Promise<WalkForwardResult> {
+    if (!this.oddsSource) {
+      throw new Error('Walk-forward backtesting requires a historical odds source');
+    }
+
+    const options: Required<WalkForwardOptions> = { ...DEFAULT_WALK_FORWARD_OPTIONS, ...walkForwardOptions };
+    const oddsCache = new Map<string, Promise<BettingLine[]>>();
+    const windows: WalkForwardWindow[] = [];
+    const gameResults: GameBacktestResult[] = [];
+    const marketResults: GameBacktestResult[] = [];
+    const bets: SimulatedBet[] = [];
+    let kellyBankroll = options.startingBankroll;
+
+    logger.info(`Starting walk-forward backtest of ${options.modelConfig.type} over ${historicalData.length} games`);
+
+    for (const { season, week, training, testing } of this.walkForwardWindows(historicalData, options.minTrainingWeeks)) {
+      const modelId = (await this.mlModelService.createModel(options.modelConfig)).id;
+
+      try {
+        await this.mlModelService.trainModel(modelId, this.buildTrainingData(training, options));
+
+        // Stakes for the week are sized from the bankroll before any of its games settle
+        const weekBankroll = kellyBankroll;
+        for (const dataPoint of testing) {
+          const probability = await this.predictWalkForward(modelId, dataPoint, options);
+          gameResults.push(this.scoreGame(dataPoint, probability));
+
+          const kickoff = new Date(dataPoint.game.scheduledTime).getTime();
+          const betLines = this.linesForGame(await this.fetchOdds(oddsCache, kickoff - options.betLeadHours * HOUR_MS, options.sport), dataPoint.game);
+          const closingLines = this.linesForGame(await this.fetchOdds(oddsCache, kickoff, options.sport), dataPoint.game);
+
+          const closingHome = this.averageNoVigHomeProbability(closingLines);
+          if (closingHome !== null) {
+            marketResults.push(this.scoreGame(dataPoint, closingHome));
+          }
+
+          const bet = this.placeBet(dataPoint, season, week, probability, betLines, closingLines, weekBankroll, options);
+          if (bet) {
+            kellyBankroll += bet.kellyProfit;
+            bets.push(bet);
+          }
+        }
+
+        windows.push({ season, week, trainingSize: training.length, predictions: testing.length });
+      } finally {
+        await this.mlModelService.deleteModel(modelId);
+      }
+    }
+
+    const withClv = bets.filter(bet => bet.clv !== undefined);
+    const result: WalkForwardResult = {
+      modelType: options.modelConfig.type,
+      windows,
+      metrics: this.calculateOverallMetrics(gameResults),
+      calibration: this.calibrationReport(gameResults),
+      marketMetrics: marketResults.length > 0 ? this.calculateOverallMetrics(marketResults) : null,
+      gameResults,
+      bets,
+      flat: this.stakingReport('flat', bets, options),
+      kelly: this.stakingReport('kelly', bets, options),
+      averageClv: withClv.length > 0 ? withClv.reduce((sum, bet) => sum + bet.clv!, 0) / withClv.length : 0,
+      beatClosingLineRate: withClv.length > 0 ? withClv.filter(bet => bet.clv! > 0).length / withClv.length : 0
+    };
+
+    logger.info(`Walk-forward backtest placed ${bets.length} bets with flat ROI ${result.flat.roi} and Kelly ROI ${result.kelly.roi}`);
+    return result;
+  }
+
   /**
    * Compare performance of multiple models
    */
@@ -228,28 +404,17 @@ export class BacktestingService {
    * Calculate calibration metric
    */
   private calculateCalibration(gameResults: GameBacktestResult[]): number {
-    const bins = 10;
-    const binSize = 1.0 / bins;
-    let totalCalibrationError = 0;
-
-    for (let i = 0; i < bins; i++) {
-      const binStart = i * binSize;
-      const binEnd = (i + 1) * binSize;
-      
-      const binResults = gameResults.filter(result => 
-        result.predictedProbability >= binStart && result.predictedProbability < binEnd
-      );
-
-      if (binResults.length > 0) {
-        const avgPredicted = binResults.reduce((sum, r) => sum + r.predictedProbability, 0) / binResults.length;
-        const avgActual = binResults.reduce((sum, r) => sum + r.actualOutcome, 0) / binResults.length;
-        const binWeight = binResults.length / gameResults.length;
-        
-        totalCalibrationError += binWeight * Math.abs(avgPredicted - avgActual);
-      }
-    }
+    return this.calibrationReport(gameResults).expectedCalibrationError;
+  }
 
-    return totalCalibrationError;
+  /**
+   * Reliability diagram, ECE/MCE and Hosmer–Lemeshow test for the predictions
+   */
+  private calibrationReport(gameResults: GameBacktestResult[]): CalibrationReport {
+    return calibrationReport(
+      gameResults.map(result => result.predictedProbability),
+      gameResults.map(result => result.actualOutcome)
+    );
   }
 
   /**
@@ -311,6 +476,240 @@ export class BacktestingService {
     weeklyPerf.gamesCount = newCount;
   }
 
+  /**
+   * Season-to-date training sets for each week that has enough weeks before it
+   */
+  private walkForwardWindows(
+    historicalData: HistoricalDataPoint[],
+    minTrainingWeeks: number
+  ): Array<{ season: number; week: number; training: HistoricalDataPoint[]; testing: HistoricalDataPoint[] }> {
+    const bySeason = new Map<number, Map<number, HistoricalDataPoint[]>>();
+    historicalData.forEach(point => {
+      const weeks = bySeason.get(point.game.season) ?? new Map<number, HistoricalDataPoint[]>();
+      weeks.set(point.game.week, [...(weeks.get(point.game.week) ?? []), point]);
+      bySeason.set(point.game.season, weeks);
+    });
+
+    const windows: Array<{ season: number; week: number; training: HistoricalDataPoint[]; testing: HistoricalDataPoint[] }> = [];
+    Array.from(bySeason.keys()).sort((a, b) => a - b).forEach(season => {
+      const weeks = bySeason.get(season)!;
+      const order = Array.from(weeks.keys()).sort((a, b) => a - b);
+
+      order.forEach((week, index) => {
+        if (index < minTrainingWeeks) return;
+        windows.push({
+          season,
+          week,
+          training: order.slice(0, index).flatMap(earlier => weeks.get(earlier)!),
+          testing: [...weeks.get(week)!].sort((a, b) =>
+            new Date(a.game.scheduledTime).getTime() - new Date(b.game.scheduledTime).getTime())
+        });
+      });
+    });
+
+    return windows;
+  }
+
+  private buildTrainingData(training: HistoricalDataPoint[], options: WalkForwardOptions): TrainingData {
+    const timestamps = training.map(point => point.timestamp.getTime());
+
+    return {
+      features: training.map(point => options.extractFeatures(point)),
+      targets: training.map(point => point.actualOutcome),
+      featureNames: options.modelConfig.features,
+      metadata: {
+        size: training.length,
+        startDate: new Date(Math.min(...timestamps)),
+        endDate: new Date(Math.max(...timestamps)),
+        source: 'walk-forward'
+      }
+    };
+  }
+
+  private async predictWalkForward(modelId: string, dataPoint: HistoricalDataPoint, options: WalkForwardOptions): Promise<number> {
+    const prediction = await this.mlModelService.predict(modelId, {
+      values: options.extractFeatures(dataPoint),
+      names: options.modelConfig.features,
+      timestamp: dataPoint.timestamp,
+      gameId: dataPoint.game.id
+    });
+
+    return Math.max(0, Math.min(1, prediction.probability ?? prediction.value));
+  }
+
+  private scoreGame(dataPoint: HistoricalDataPoint, probability: number): GameBacktestResult {
+    return {
+      gameId: dataPoint.game.id,
+      actualOutcome: dataPoint.actualOutcome,
+      predictedProbability: probability,
+      brierScore: this.calculateBrierScore(probability, dataPoint.actualOutcome),
+      logLoss: this.calculateLogLoss(probability, dataPoint.actualOutcome),
+      predictionTimestamp: dataPoint.timestamp
+    };
+  }
+
+  /**
+   * Historical lines snapshot, fetched once per timestamp. A failed fetch
+   * leaves the games at that time without lines rather than ending the run.
+   */
+  private fetchOdds(cache: Map<string, Promise<BettingLine[]>>, time: number, sport: 'nfl' | 'ncaaf'): Promise<BettingLine[]> {
+    const date = new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+    if (!cache.has(date)) {
+      cache.set(date, this.oddsSource!.fetchHistoricalOdds(sport, date).catch(error => {
+        logger.warn(`No historical odds for ${date}`, error);
+        return [];
+      }));
+    }
+
+    return cache.get(date)!;
+  }
+
+  private linesForGame(lines: BettingLine[], game: Game): BettingLine[] {
+    const names = (team: Game['homeTeam']) => [team.name, `${team.city} ${team.name}`, team.abbreviation]
+      .filter(Boolean)
+      .map(name => name.toLowerCase());
+
+    return lines.filter(line =>
+      line.moneyline.home !== 0 && line.moneyline.away !== 0 && (
+        line.gameId === game.id || (
+          !!line.homeTeam && !!line.awayTeam &&
+          names(game.homeTeam).includes(line.homeTeam.toLowerCase()) &&
+          names(game.awayTeam).includes(line.awayTeam.toLowerCase())
+        )
+      ));
+  }
+
+  /**
+   * Bet the side with the larger edge at the best price on offer, if the
+   * edge clears options.minEdge
+   */
+  private placeBet(
+    dataPoint: HistoricalDataPoint,
+    season: number,
+    week: number,
+    homeProbability: number,
+    betLines: BettingLine[],
+    closingLines: BettingLine[],
+    bankroll: number,
+    options: Required<WalkForwardOptions>
+  ): SimulatedBet | null {
+    if (betLines.length === 0) return null;
+
+    const candidates = (['home', 'away'] as const).map(side => {
+      const best = betLines.reduce((a, b) => (this.americanToDecimal(b.moneyline[side]) > this.americanToDecimal(a.moneyline[side]) ? b : a));
+      const probability = side === 'home' ? homeProbability : 1 - homeProbability;
+      const decimal = this.americanToDecimal(best.moneyline[side]);
+      return { side, line: best, probability, decimal, expectedValue: probability * decimal - 1 };
+    });
+    const choice = candidates[0].expectedValue >= candidates[1].expectedValue ? candidates[0] : candidates[1];
+    if (choice.expectedValue < options.minEdge) return null;
+
+    const push = dataPoint.actualOutcome === 0.5;
+    const won = !push && (choice.side === 'home') === (dataPoint.actualOutcome === 1);
+    const kellyShare = Math.min(
+      options.maxStakeFraction,
+      options.kellyFraction * choice.expectedValue / (choice.decimal - 1)
+    );
+    const kellyStake = Math.max(0, bankroll) * kellyShare;
+    const settle = (stake: number) => (push ? 0 : won ? stake * (choice.decimal - 1) : -stake);
+
+    const closingHome = this.averageNoVigHomeProbability(closingLines);
+    const closingProbability = closingHome === null ? undefined : choice.side === 'home' ? closingHome : 1 - closingHome;
+    const closingOdds = closingLines.length > 0
+      ? closingLines.map(line => line.moneyline[choice.side]).reduce((a, b) => (this.americanToDecimal(b) > this.americanToDecimal(a) ? b : a))
+      : undefined;
+
+    return {
+      gameId: dataPoint.game.id,
+      season,
+      week,
+      side: choice.side,
+      sportsbook: choice.line.sportsbook,
+      odds: choice.line.moneyline[choice.side],
+      modelProbability: choice.probability,
+      expectedValue: choice.expectedValue,
+      closingOdds,
+      closingProbability,
+      clv: closingProbability === undefined ? undefined : closingProbability * choice.decimal - 1,
+      won,
+      push,
+      flatStake: options.flatStake,
+      flatProfit: settle(options.flatStake),
+      kellyStake,
+      kellyProfit: settle(kellyStake)
+    };
+  }
+
+  /**
+   * Home win probability with the bookmaker margin removed proportionally,
+   * averaged over books, or null without lines
+   */
+  private averageNoVigHomeProbability(lines: BettingLine[]): number | null {
+    if (lines.length === 0) return null;
+
+    const probabilities = lines.map(line => {
+      const home = 1 / this.americanToDecimal(line.moneyline.home);
+      const away = 1 / this.americanToDecimal(line.moneyline.away);
+      return home / (home + away);
+    });
+
+    return probabilities.reduce((sum, p) => sum + p, 0) / probabilities.length;
+  }
+
+  private americanToDecimal(americanOdds: number): number {
+    return americanOdds > 0 ? americanOdds / 100 + 1 : 100 / Math.abs(americanOdds) + 1;
+  }
+
+  /**
+   * ROI, drawdown of the bankroll as bets settle in kickoff order, and a
+   * percentile bootstrap interval for ROI from resampling the bets. Pushes
+   * return their stake, so it does not count as staked.
+   */
+  private stakingReport(
+    strategy: 'flat' | 'kelly',
+    bets: SimulatedBet[],
+    options: Required<WalkForwardOptions>
+  ): StakingReport {
+    const stakes = bets.map(bet => (bet.push ? 0 : strategy === 'flat' ? bet.flatStake : bet.kellyStake));
+    const profits = bets.map(bet => (strategy === 'flat' ? bet.flatProfit : bet.kellyProfit));
+    const roi = (indices: number[]) => {
+      const staked = indices.reduce((sum, i) => sum + stakes[i], 0);
+      return staked > 0 ? indices.reduce((sum, i) => sum + profits[i], 0) / staked : 0;
+    };
+
+    let bankroll = options.startingBankroll;
+    let peak = bankroll;
+    let maxDrawdown = 0;
+    profits.forEach(profit => {
+      bankroll += profit;
+      peak = Math.max(peak, bankroll);
+      maxDrawdown = Math.max(maxDrawdown, peak > 0 ? (peak - bankroll) / peak : 0);
+    });
+
+    let interval: [number, number] = [0, 0];
+    if (bets.length > 0) {
+      const rng = new SeededRandom(options.seed, strategy === 'flat' ? 0 : 1);
+      const resampled = Array.from({ length: options.bootstrapSamples }, () =>
+        roi(bets.map(() => Math.floor(rng.next() * bets.length)))
+      ).sort((a, b) => a - b);
+      const tail = (1 - options.confidenceLevel) / 2;
+      const at = (q: number) => resampled[Math.min(resampled.length - 1, Math.max(0, Math.round(q * (resampled.length - 1))))];
+      interval = [at(tail), at(1 - tail)];
+    }
+
+    return {
+      strategy,
+      bets: bets.length,
+      totalStaked: stakes.reduce((sum, stake) => sum + stake, 0),
+      profit: profits.reduce((sum, profit) => sum + profit, 0),
+      roi: roi(bets.map((_, i) => i)),
+      finalBankroll: bankroll,
+      maxDrawdown,
+      roiConfidenceInterval: interval
+    };
+  }
+
   /**
    * Get model version
    */
@@ -0,0 +1,433 @@
+import { NormalDistribution } from './probability-distributions';
+
+export type RatingLeague = 'nfl' | 'ncaa';
+
+export interface RatedTeam {
+  teamId: string;
+  conference?: string; // NCAA teams are shrunk toward their conference
+}
+
+export interface TeamRatingsConfig {
+  league: RatingLeague;
+  leagueAveragePoints: number; // prior mean points per team per game
+  leagueAverageStdDev: number;
+  homeFieldAdvantage: number; // prior mean, in points of margin
+  homeFieldStdDev: number;
+  restEffectStdDev: number; // prior sd of the margin per day of extra rest
+  teamStdDev: number; // prior sd of an offense or defense around its conference
+  conferenceStdDev: number; // prior sd of a conference mean; 0 for no conference level
+  scoreStdDev: number; // sd of one team's points around its expectation
+  weeklyDrift: number; // sd of the week-to-week change in a rating
+  seasonCarryover: number; // share of a rating kept into the next season
+}
+
+export const DEFAULT_TEAM_RATINGS_CONFIG: { [league in RatingLeague]: TeamRatingsConfig } = {
+  nfl: {
+    league: 'nfl',
+    leagueAveragePoints: 22,
+    leagueAverageStdDev: 3,
+    homeFieldAdvantage: 2,
+    homeFieldStdDev: 1,
+    restEffectStdDev: 0.2,
+    teamStdDev: 4,
+    conferenceStdDev: 0,
+    scoreStdDev: 10,
+    weeklyDrift: 0.5,
+    seasonCarryover: 0.6
+  },
+  ncaa: {
+    league: 'ncaa',
+    leagueAveragePoints: 28,
+    leagueAverageStdDev: 3,
+    homeFieldAdvantage: 3,
+    homeFieldStdDev: 1,
+    restEffectStdDev: 0.2,
+    teamStdDev: 6,
+    conferenceStdDev: 6,
+    scoreStdDev: 12,
+    weeklyDrift: 0.75,
+    seasonCarryover: 0.5
+  }
+};
+
+export interface FinalScore {
+  gameId: string;
+  date: Date;
+  homeTeamId: string;
+  awayTeamId: string;
+  homeScore: number;
+  awayScore: number;
+  neutralSite?: boolean;
+  homeRestDays?: number;
+  awayRestDays?: number;
+}
+
+export interface RatingEstimate {
+  mean: number;
+  stdDev: number;
+  lower: number; // credible interval at the requested level
+  upper: number;
+}
+
+/**
+ * Posterior team strength in points per game against an average opponent:
+ * offense is points scored above average, defense points prevented, and
+ * overall their sum
+ */
+export interface TeamRating {
+  teamId: string;
+  asOf: Date;
+  offense: RatingEstimate;
+  defense: RatingEstimate;
+  overall: RatingEstimate;
+  gamesPlayed: number;
+}
+
+export interface PregameOptions {
+  asOf?: Date;
+  neutralSite?: boolean;
+  homeRestDays?: number;
+  awayRestDays?: number;
+}
+
+/**
+ * Pregame expectations from the ratings. Parameter sd's cover rating
+ * uncertainty only; spread and total sd's add the game's own noise.
+ */
+export interface PregamePrior {
+  homeTeamId: string;
+  awayTeamId: string;
+  asOf: Date;
+  leagueAveragePoints: number;
+  homeExpectedPoints: number;
+  awayExpectedPoints: number;
+  homePointsStdDev: number;
+  awayPointsStdDev: number;
+  spread: number; // home line, negative when the home team is favored
+  spreadStdDev: number;
+  total: number;
+  totalStdDev: number;
+  homeWinProbability: number;
+}
+
+interface RatingsSnapshot {
+  asOf: Date;
+  mean: Float64Array;
+  covariance: Float64Array;
+  gamesPlayed: Int32Array;
+}
+
+// State layout: league average, home field, rest, then offense and defense per team
+const AVERAGE = 0;
+const HOME_FIELD = 1;
+const REST = 2;
+const FIRST_TEAM = 3;
+const MAX_REST_DIFFERENCE = 7;
+
+/**
+ * Season-long offense and defense ratings with home-field and rest effects,
+ * as a Gaussian linear model of each team's points filtered week by week.
+ * Teams in a conference share a conference-level prior, so an NCAA team's
+ * rating is shrunk toward its conference mean until its own games say
+ * otherwise. Ratings drift between weeks and regress between seasons.
+ */
+export class BayesianTeamRatings {
+  private config: TeamRatingsConfig;
+  private teams: RatedTeam[];
+  private teamIndex: Map<string, number> = new Map();
+  private size: number;
+  private mean: Float64Array;
+  private covariance: Float64Array;
+  private gamesPlayed: Int32Array;
+  private prior: RatingsSnapshot;
+  private snapshots: RatingsSnapshot[] = [];
+
+  constructor(teams: RatedTeam[], config: Partial<TeamRatingsConfig> & { league: RatingLeague }) {
+    this.config = { ...DEFAULT_TEAM_RATINGS_CONFIG[config.league], ...config };
+    this.teams = teams.map(team => ({ ...team }));
+    this.teams.forEach((team, i) => {
+      if (this.teamIndex.has(team.teamId)) {
+        throw new Error(`Team ${team.teamId} is listed twice`);
+      }
+      this.teamIndex.set(team.teamId, i);
+    });
+
+    this.size = FIRST_TEAM + 2 * this.teams.length;
+    const { mean, covariance } = this.priorState();
+    this.mean = mean;
+    this.covariance = covariance;
+    this.gamesPlayed = new Int32Array(this.teams.length);
+    this.prior = this.snapshot(new Date(0));
+  }
+
+  getConfig(): TeamRatingsConfig {
+    return { ...this.config };
+  }
+
+  /**
+   * Fold a week of final scores into the ratings. Ratings drift by
+   * weeklyDrift first, and the posterior is kept as of asOf (the last game
+   * date by default) for getRating and predictGame.
+   */
+  updateWeek(scores: FinalScore[], asOf?: Date): void {
+    const through = asOf ?? new Date(Math.max(...scores.map(score => score.date.getTime())));
+    if (isNaN(through.getTime())) {
+      throw new Error('A week without scores needs an asOf date');
+    }
+
+    const last = this.snapshots[this.snapshots.length - 1];
+    if (last && through.getTime() < last.asOf.getTime()) {
+      throw new Error(`Ratings were already updated through ${last.asOf.toISOString()}`);
+    }
+
+    scores.forEach(score => {
+      this.requireTeam(score.homeTeamId);
+      this.requireTeam(score.awayTeamId);
+    });
+
+    this.addDrift(this.config.weeklyDrift * this.config.weeklyDrift);
+
+    scores.forEach(score => {
+      const home = this.requireTeam(score.homeTeamId);
+      const away = this.requireTeam(score.awayTeamId);
+      const neutral = score.neutralSite === true;
+      const rest = restDifference(score.homeRestDays, score.awayRestDays);
+
+      this.observe(this.pointsObservation(home, away, neutral ? 0 : 0.5, rest / 2), score.homeScore);
+      this.observe(this.pointsObservation(away, home, neutral ? 0 : -0.5, -rest / 2), score.awayScore);
+      this.gamesPlayed[home]++;
+      this.gamesPlayed[away]++;
+    });
+
+    this.snapshots.push(this.snapshot(through));
+  }
+
+  /**
+   * Regress every rating toward the prior by seasonCarryover before a new
+   * season's first week
+   */
+  startSeason(asOf: Date): void {
+    const carryover = this.config.seasonCarryover;
+    const prior = this.priorState();
+    const scale = (index: number) => (index >= FIRST_TEAM ? carryover : 1);
+
+    for (let r = 0; r < this.size; r++) {
+      if (r >= FIRST_TEAM) {
+        this.mean[r] = carryover * this.mean[r] + (1 - carryover) * prior.mean[r];
+      }
+      for (let c = 0; c < this.size; c++) {
+        const refill = r >= FIRST_TEAM && c >= FIRST_TEAM ? (1 - carryover * carryover) * prior.covariance[r * this.size + c] : 0;
+        this.covariance[r * this.size + c] = scale(r) * scale(c) * this.covariance[r * this.size + c] + refill;
+      }
+    }
+    this.gamesPlayed.fill(0);
+
+    this.updateWeek([], asOf);
+  }
+
+  /**
+   * A team's rating from the last update on or before asOf
+   */
+  getRating(teamId: string, asOf: Date = new Date(), credibility: number = 0.9): TeamRating {
+    const index = this.requireTeam(teamId);
+    const state = this.stateAt(asOf);
+    const offense = FIRST_TEAM + 2 * index;
+    const defense = offense + 1;
+
+    return {
+      teamId,
+      asOf: state.asOf,
+      offense: estimate(state, [[offense, 1]], this.size, credibility),
+      defense: estimate(state, [[defense, 1]], this.size, credibility),
+      overall: estimate(state, [[offense, 1], [defense, 1]], this.size, credibility),
+      gamesPlayed: state.gamesPlayed[index]
+    };
+  }
+
+  /**
+   * Every team's rating, strongest overall first
+   */
+  getRatings(asOf: Date = new Date(), credibility: number = 0.9): TeamRating[] {
+    return this.teams
+      .map(team => this.getRating(team.teamId, asOf, credibility))
+      .sort((a, b) => b.overall.mean - a.overall.mean);
+  }
+
+  /**
+   * Home field advantage in points of margin, as estimated through asOf
+   */
+  getHomeFieldAdvantage(asOf: Date = new Date(), credibility: number = 0.9): RatingEstimate {
+    return estimate(this.stateAt(asOf), [[HOME_FIELD, 1]], this.size, credibility);
+  }
+
+  /**
+   * Expected points, spread and total for a matchup as of a date
+   */
+  predictGame(homeTeamId: string, awayTeamId: string, options: PregameOptions = {}): PregamePrior {
+    const home = this.requireTeam(homeTeamId);
+    const away = this.requireTeam(awayTeamId);
+    const state = this.stateAt(options.asOf ?? new Date());
+    const homeField = options.neutralSite ? 0 : 0.5;
+    const rest = restDifference(options.homeRestDays, options.awayRestDays) / 2;
+
+    const homePoints = this.pointsObservation(home, away, homeField, rest);
+    const awayPoints = this.pointsObservation(away, home, -homeField, -rest);
+    const margin = combine(homePoints, awayPoints, -1);
+    const total = combine(homePoints, awayPoints, 1);
+
+    const noise = this.config.scoreStdDev * this.config.scoreStdDev;
+    const marginMean = linearMean(state, margin);
+    const spreadStdDev = Math.sqrt(linearVariance(state, margin, this.size) + 2 * noise);
+
+    return {
+      homeTeamId,
+      awayTeamId,
+      asOf: state.asOf,
+      leagueAveragePoints: state.mean[AVERAGE],
+      homeExpectedPoints: linearMean(state, homePoints),
+      awayExpectedPoints: linearMean(state, awayPoints),
+      homePointsStdDev: Math.sqrt(linearVariance(state, homePoints, this.size)),
+      awayPointsStdDev: Math.sqrt(linearVariance(state, awayPoints, this.size)),
+      spread: -marginMean,
+      spreadStdDev,
+      total: linearMean(state, total),
+      totalStdDev: Math.sqrt(linearVariance(state, total, this.size) + 2 * noise),
+      homeWinProbability: new NormalDistribution(0, 1).cdf(marginMean / spreadStdDev)
+    };
+  }
+
+  private priorState(): { mean: Float64Array; covariance: Float64Array } {
+    const n = this.size;
+    const mean = new Float64Array(n);
+    const covariance = new Float64Array(n * n);
+    const c = this.config;
+
+    mean[AVERAGE] = c.leagueAveragePoints;
+    mean[HOME_FIELD] = c.homeFieldAdvantage;
+    covariance[AVERAGE * n + AVERAGE] = c.leagueAverageStdDev * c.leagueAverageStdDev;
+    covariance[HOME_FIELD * n + HOME_FIELD] = c.homeFieldStdDev * c.homeFieldStdDev;
+    covariance[REST * n + REST] = c.restEffectStdDev * c.restEffectStdDev;
+
+    // Integrating out a shared conference mean correlates its teams' ratings
+    const conferenceVariance = c.conferenceStdDev * c.conferenceStdDev;
+    const teamVariance = c.teamStdDev * c.teamStdDev;
+    this.teams.forEach((a, i) => {
+      this.teams.forEach((b, j) => {
+        const shared = a.conference !== undefined && a.conference === b.conference ? conferenceVariance : 0;
+        const variance = shared + (i === j ? teamVariance : 0);
+        for (const side of [0, 1]) {
+          covariance[(FIRST_TEAM + 2 * i + side) * n + FIRST_TEAM + 2 * j + side] = variance;
+        }
+      });
+    });
+
+    return { mean, covariance };
+  }
+
+  // One team's points: average + its offense - the opponent's defense + home field and rest shares
+  private pointsObservation(team: number, opponent: number, homeField: number, rest: number): Array<[number, number]> {
+    const terms: Array<[number, number]> = [
+      [AVERAGE, 1],
+      [FIRST_TEAM + 2 * team, 1],
+      [FIRST_TEAM + 2 * opponent + 1, -1]
+    ];
+    if (homeField !== 0) terms.push([HOME_FIELD, homeField]);
+    if (rest !== 0) terms.push([REST, rest]);
+    return terms;
+  }
+
+  // Scalar Kalman update with observation y = h·θ + N(0, scoreStdDev²)
+  private observe(terms: Array<[number, number]>, value: number): void {
+    const n = this.size;
+    const projected = new Float64Array(n);
+    for (let r = 0; r < n; r++) {
+      let sum = 0;
+      for (const [index, weight] of terms) {
+        sum += this.covariance[r * n + index] * weight;
+      }
+      projected[r] = sum;
+    }
+
+    let variance = this.config.scoreStdDev * this.config.scoreStdDev;
+    let expected = 0;
+    for (const [index, weight] of terms) {
+      variance += projected[index] * weight;
+      expected += this.mean[index] * weight;
+    }
+
+    const residual = value - expected;
+    for (let r = 0; r < n; r++) {
+      this.mean[r] += projected[r] * residual / variance;
+      const gain = projected[r] / variance;
+      for (let c = 0; c < n; c++) {
+        this.covariance[r * n + c] -= gain * projected[c];
+      }
+    }
+  }
+
+  private addDrift(variance: number): void {
+    for (let r = FIRST_TEAM; r < this.size; r++) {
+      this.covariance[r * this.size + r] += variance;
+    }
+  }
+
+  private snapshot(asOf: Date): RatingsSnapshot {
+    return {
+      asOf,
+      mean: Float64Array.from(this.mean),
+      covariance: Float64Array.from(this.covariance),
+      gamesPlayed: Int32Array.from(this.gamesPlayed)
+    };
+  }
+
+  private stateAt(asOf: Date): RatingsSnapshot {
+    let state = this.prior;
+    for (const snapshot of this.snapshots) {
+      if (snapshot.asOf.getTime() > asOf.getTime()) break;
+      state = snapshot;
+    }
+    return state;
+  }
+
+  private requireTeam(teamId: string): number {
+    const index = this.teamIndex.get(teamId);
+    if (index === undefined) {
+      throw new Error(`Unknown team ${teamId}`);
+    }
+    return index;
+  }
+}
+
+function restDifference(homeRestDays?: number, awayRestDays?: number): number {
+  if (homeRestDays === undefined || awayRestDays === undefined) return 0;
+  return Math.max(-MAX_REST_DIFFERENCE, Math.min(MAX_REST_DIFFERENCE, homeRestDays - awayRestDays));
+}
+
+// a + sign * b, merging repeated state indices
+function combine(a: Array<[number, number]>, b: Array<[number, number]>, sign: number): Array<[number, number]> {
+  const merged = new Map<number, number>();
+  a.forEach(([index, weight]) => merged.set(index, (merged.get(index) ?? 0) + weight));
+  b.forEach(([index, weight]) => merged.set(index, (merged.get(index) ?? 0) + sign * weight));
+  return Array.from(merged.entries()).filter(([, weight]) => weight !== 0);
+}
+
+function linearMean(state: RatingsSnapshot, terms: Array<[number, number]>): number {
+  return terms.reduce((sum, [index, weight]) => sum + state.mean[index] * weight, 0);
+}
+
+function linearVariance(state: RatingsSnapshot, terms: Array<[number, number]>, size: number): number {
+  let variance = 0;
+  for (const [i, wi] of terms) {
+    for (const [j, wj] of terms) {
+      variance += wi * wj * state.covariance[i * size + j];
+    }
+  }
+  return Math.max(0, variance);
+}
+
+function estimate(state: RatingsSnapshot, terms: Array<[number, number]>, size: number, credibility: number): RatingEstimate {
+  const mean = linearMean(state, terms);
+  const stdDev = Math.sqrt(linearVariance(state, terms, size));
+  const z = NormalDistribution.standardQuantile(0.5 + credibility / 2);
+  return { mean, stdDev, lower: mean - z * stdDev, upper: mean + z * stdDev };
+}
@@ -0,0 +1,294 @@
+import { CalibrationMethod, ModelCalibrator } from '../types/ml.types';
+
+/**
+ * Calibration diagnostics for binary win probabilities and the post-hoc
+ * recalibrators MLModelService applies when serving them
+ */
+
+export interface ReliabilityBin {
+  lower: number;
+  upper: number;
+  count: number;
+  meanPredicted: number | null; // null for an empty bin
+  observedRate: number | null;
+}
+
+export interface HosmerLemeshowResult {
+  statistic: number;
+  degreesOfFreedom: number;
+  pValue: number;
+  groups: Array<{ count: number; expected: number; observed: number }>;
+}
+
+export interface CalibrationReport {
+  bins: ReliabilityBin[]; // reliability diagram over equal-width probability buckets
+  expectedCalibrationError: number; // count-weighted mean gap between predicted and observed
+  maxCalibrationError: number; // largest gap over non-empty buckets
+  hosmerLemeshow: HosmerLemeshowResult | null; // null with fewer than three risk groups
+}
+
+const EPSILON = 1e-6;
+
+export function reliabilityDiagram(probabilities: number[], outcomes: number[], bins: number = 10): ReliabilityBin[] {
+  requireSamePairs(probabilities, outcomes);
+
+  const diagram: ReliabilityBin[] = Array.from({ length: bins }, (_, i) => ({
+    lower: i / bins,
+    upper: (i + 1) / bins,
+    count: 0,
+    meanPredicted: null,
+    observedRate: null
+  }));
+  const sums = diagram.map(() => ({ predicted: 0, observed: 0 }));
+
+  probabilities.forEach((p, i) => {
+    // A probability of exactly 1 belongs in the top bucket
+    const bin = Math.min(bins - 1, Math.floor(p * bins));
+    diagram[bin].count++;
+    sums[bin].predicted += p;
+    sums[bin].observed += outcomes[i];
+  });
+
+  diagram.forEach((bin, i) => {
+    if (bin.count > 0) {
+      bin.meanPredicted = sums[i].predicted / bin.count;
+      bin.observedRate = sums[i].observed / bin.count;
+    }
+  });
+
+  return diagram;
+}
+
+/**
+ * Hosmer–Lemeshow goodness-of-fit test over groups of equal size ordered by
+ * predicted probability. A small p-value means the predictions are
+ * miscalibrated somewhere along the range.
+ */
+export function hosmerLemeshowTest(probabilities: number[], outcomes: number[], groups: number = 10): HosmerLemeshowResult | null {
+  requireSamePairs(probabilities, outcomes);
+
+  const order = probabilities.map((_, i) => i).sort((a, b) => probabilities[a] - probabilities[b]);
+  const groupCount = Math.min(groups, order.length);
+  if (groupCount < 3) return null;
+
+  const summary = Array.from({ length: groupCount }, (_, g) => {
+    const members = order.slice(Math.floor(g * order.length / groupCount), Math.floor((g + 1) * order.length / groupCount));
+    return {
+      count: members.length,
+      expected: members.reduce((sum, i) => sum + probabilities[i], 0),
+      observed: members.reduce((sum, i) => sum + outcomes[i], 0)
+    };
+  });
+
+  const statistic = summary.reduce((sum, group) => {
+    const variance = group.expected * (1 - group.expected / group.count);
+    return variance > 0 ? sum + Math.pow(group.observed - group.expected, 2) / variance : sum;
+  }, 0);
+  const degreesOfFreedom = groupCount - 2;
+
+  return {
+    statistic,
+    degreesOfFreedom,
+    pValue: upperRegularizedGamma(degreesOfFreedom / 2, statistic / 2),
+    groups: summary
+  };
+}
+
+export function calibrationReport(
+  probabilities: number[],
+  outcomes: number[],
+  options: { bins?: number; groups?: number } = {}
+): CalibrationReport {
+  const bins = reliabilityDiagram(probabilities, outcomes, options.bins ?? 10);
+  const filled = bins.filter(bin => bin.count > 0);
+  const gap = (bin: ReliabilityBin) => Math.abs(bin.meanPredicted! - bin.observedRate!);
+
+  return {
+    bins,
+    expectedCalibrationError: probabilities.length > 0
+      ? filled.reduce((sum, bin) => sum + bin.count * gap(bin), 0) / probabilities.length
+      : 0,
+    maxCalibrationError: filled.reduce((max, bin) => Math.max(max, gap(bin)), 0),
+    hosmerLemeshow: hosmerLemeshowTest(probabilities, outcomes, options.groups ?? 10)
+  };
+}
+
+export function fitCalibrator(method: CalibrationMethod, probabilities: number[], outcomes: number[]): ModelCalibrator {
+  requireSamePairs(probabilities, outcomes);
+  if (probabilities.length === 0) {
+    throw new Error('Cannot fit a calibrator without predictions');
+  }
+
+  return method === 'platt'
+    ? fitPlattScaling(probabilities, outcomes)
+    : fitIsotonicRegression(probabilities, outcomes);
+}
+
+export function applyCalibrator(calibrator: ModelCalibrator, probability: number): number {
+  if (calibrator.method === 'platt') {
+    return sigmoid(calibrator.slope * logit(probability) + calibrator.intercept);
+  }
+
+  const { x, y } = calibrator;
+  if (probability <= x[0]) return y[0];
+  if (probability >= x[x.length - 1]) return y[y.length - 1];
+
+  let hi = 1;
+  while (x[hi] < probability) hi++;
+  const t = (probability - x[hi - 1]) / (x[hi] - x[hi - 1]);
+  return y[hi - 1] + t * (y[hi] - y[hi - 1]);
+}
+
+/**
+ * Logistic regression of the outcome on the log-odds of the raw probability,
+ * fitted by Newton's method against Platt's smoothed targets so a perfectly
+ * separated calibration set does not push the slope to infinity
+ */
+function fitPlattScaling(probabilities: number[], outcomes: number[]): ModelCalibrator {
+  const positives = outcomes.filter(y => y === 1).length;
+  const negatives = outcomes.length - positives;
+  const targets = outcomes.map(y => (y === 1 ? (positives + 1) / (positives + 2) : 1 / (negatives + 2)));
+  const z = probabilities.map(logit);
+
+  let slope = 1;
+  let intercept = 0;
+  for (let iteration = 0; iteration < 100; iteration++) {
+    let gSlope = 0;
+    let gIntercept = 0;
+    let hSlope = 1e-9;
+    let hCross = 0;
+    let hIntercept = 1e-9;
+
+    z.forEach((zi, i) => {
+      const p = sigmoid(slope * zi + intercept);
+      const residual = p - targets[i];
+      const weight = p * (1 - p);
+      gSlope += residual * zi;
+      gIntercept += residual;
+      hSlope += weight * zi * zi;
+      hCross += weight * zi;
+      hIntercept += weight;
+    });
+
+    const determinant = hSlope * hIntercept - hCross * hCross;
+    if (Math.abs(determinant) < 1e-12) break;
+
+    const stepSlope = (hIntercept * gSlope - hCross * gIntercept) / determinant;
+    const stepIntercept = (hSlope * gIntercept - hCross * gSlope) / determinant;
+    slope -= stepSlope;
+    intercept -= stepIntercept;
+
+    if (Math.abs(stepSlope) < 1e-10 && Math.abs(stepIntercept) < 1e-10) break;
+  }
+
+  return { method: 'platt', slope, intercept };
+}
+
+/**
+ * Pool-adjacent-violators fit of a non-decreasing step function, served by
+ * interpolating linearly between the fitted blocks
+ */
+function fitIsotonicRegression(probabilities: number[], outcomes: number[]): ModelCalibrator {
+  const order = probabilities.map((_, i) => i).sort((a, b) => probabilities[a] - probabilities[b]);
+  const blocks: Array<{ weight: number; sumX: number; sumY: number }> = [];
+
+  order.forEach(i => {
+    const previous = blocks[blocks.length - 1];
+    // Equal raw probabilities must map to one calibrated value
+    if (previous && previous.sumX / previous.weight === probabilities[i]) {
+      previous.weight++;
+      previous.sumX += probabilities[i];
+      previous.sumY += outcomes[i];
+    } else {
+      blocks.push({ weight: 1, sumX: probabilities[i], sumY: outcomes[i] });
+    }
+
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const before = blocks[blocks.length - 2];
+      if (before.sumY / before.weight < last.sumY / last.weight) break;
+      blocks.pop();
+      before.weight += last.weight;
+      before.sumX += last.sumX;
+      before.sumY += last.sumY;
+    }
+  });
+
+  return {
+    method: 'isotonic',
+    x: blocks.map(block => block.sumX / block.weight),
+    y: blocks.map(block => block.sumY / block.weight)
+  };
+}
+
+function requireSamePairs(probabilities: number[], outcomes: number[]): void {
+  if (probabilities.length !== outcomes.length) {
+    throw new Error(`Expected one outcome per probability, got ${outcomes.length} for ${probabilities.length}`);
+  }
+}
+
+function logit(p: number): number {
+  const clamped = Math.min(1 - EPSILON, Math.max(EPSILON, p));
+  return Math.log(clamped / (1 - clamped));
+}
+
+function sigmoid(x: number): number {
+  return 1 / (1 + Math.exp(-x));
+}
+
+// Q(a, x), the chi-square survival function at 2x with 2a degrees of freedom
+function upperRegularizedGamma(a: number, x: number): number {
+  if (x <= 0) return 1;
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return Math.max(0, 1 - sum * Math.exp(-x + a * Math.log(x) - logGamma(a)));
+  }
+
+  // Lentz's continued fraction
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 500; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.min(1, h * Math.exp(-x + a * Math.log(x) - logGamma(a)));
+}
+
+// Lanczos approximation
+function logGamma(z: number): number {
+  const g = 7;
+  const coefficients = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7
+  ];
+
+  if (z < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+  }
+
+  const shifted = z - 1;
+  let sum = coefficients[0];
+  for (let i = 1; i < g + 2; i++) {
+    sum += coefficients[i] / (shifted + i);
+  }
+  const t = shifted + g + 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+}
@@ -102,6 +102,11 @@ export class Config {
         cloudScaling: this.getEnvBoolean('MONTE_CARLO_CLOUD_SCALING', false)
       },
 
+      // ML Configuration
+      ml: {
+        registryPath: this.getEnvString('ML_MODEL_REGISTRY_PATH', '') // registry is disabled when empty
+      },
+
       // Logging Configuration
       logging: {
         level: this.getEnvString('LOG_LEVEL', 'info'),
@@ -0,0 +1,491 @@
+/**
+ * Sandboxed expression language for simulation constraints.
+ *
+ * Constraints are parsed into an AST and evaluated without `eval`. Only
+ * whitelisted game-state fields and the scenario's own variables can be
+ * referenced, e.g.:
+ *
+ *   gameState.fieldPosition.yardLine <= 20 && variables.red_zone_efficiency >= 0.4
+ */
+
+import { SimulationConstraint } from '../types/simulation.types';
+
+export type ConstraintValueType = 'number' | 'string' | 'boolean';
+
+/**
+ * Game-state fields that constraints may reference, with their types
+ */
+export const CONSTRAINT_GAME_STATE_FIELDS: { [path: string]: ConstraintValueType } = {
+  'score.home': 'number',
+  'score.away': 'number',
+  'timeRemaining.quarter': 'number',
+  'timeRemaining.minutes': 'number',
+  'timeRemaining.seconds': 'number',
+  'timeRemaining.overtime': 'boolean',
+  'fieldPosition.yardLine': 'number',
+  'fieldPosition.side': 'string',
+  'down': 'number',
+  'yardsToGo': 'number',
+  'timeouts.home': 'number',
+  'timeouts.away': 'number',
+  'momentum.value': 'number'
+};
+
+/**
+ * Functions available inside constraint expressions
+ */
+const CONSTRAINT_FUNCTIONS: { [name: string]: { arity: [number, number]; fn: (...args: number[]) => number } } = {
+  abs: { arity: [1, 1], fn: Math.abs },
+  min: { arity: [2, 8], fn: Math.min },
+  max: { arity: [2, 8], fn: Math.max },
+  round: { arity: [1, 1], fn: Math.round }
+};
+
+/**
+ * Raised when a constraint expression cannot be compiled or evaluated
+ */
+export class ConstraintExpressionError extends Error {
+  constructor(
+    public readonly reason: string,
+    public readonly expression: string,
+    public readonly position: number, // zero-based offset into the expression
+    public readonly constraintName?: string
+  ) {
+    super(`${constraintName ? `Constraint ${constraintName}: ` : ''}${reason} at position ${position}`);
+    this.name = 'ConstraintExpressionError';
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ConstraintExpressionError);
+    }
+  }
+}
+
+type TokenType = 'number' | 'string' | 'identifier' | 'operator' | 'paren' | 'comma' | 'dot' | 'end';
+
+interface Token {
+  type: TokenType;
+  value: string;
+  position: number;
+}
+
+type ExpressionNode =
+  | { kind: 'literal'; value: number | string | boolean; type: ConstraintValueType; position: number }
+  | { kind: 'field'; root: 'gameState' | 'variables'; path: string[]; type: ConstraintValueType; position: number }
+  | { kind: 'unary'; operator: string; operand: ExpressionNode; type: ConstraintValueType; position: number }
+  | { kind: 'binary'; operator: string; left: ExpressionNode; right: ExpressionNode; type: ConstraintValueType; position: number }
+  | { kind: 'call'; name: string; args: ExpressionNode[]; type: ConstraintValueType; position: number };
+
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!'];
+
+/**
+ * Split an expression into tokens
+ */
+function tokenize(expression: string): Token[] {
+  const tokens: Token[] = [];
+  let i = 0;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(expression[i + 1] || ''))) {
+      const match = /^[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?/.exec(expression.slice(i))!;
+      tokens.push({ type: 'number', value: match[0], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(expression.slice(i))!;
+      tokens.push({ type: 'identifier', value: match[0], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const end = expression.indexOf(char, i + 1);
+      if (end === -1) {
+        throw new ConstraintExpressionError('Unterminated string literal', expression, i);
+      }
+      tokens.push({ type: 'string', value: expression.slice(i + 1, end), position: i });
+      i = end + 1;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: 'paren', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === ',') {
+      tokens.push({ type: 'comma', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    if (char === '.') {
+      tokens.push({ type: 'dot', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => expression.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: i });
+      i += operator.length;
+      continue;
+    }
+
+    throw new ConstraintExpressionError(`Unexpected character '${char}'`, expression, i);
+  }
+
+  tokens.push({ type: 'end', value: '', position: expression.length });
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser with static type checking
+ */
+class ConstraintParser {
+  private tokens: Token[];
+  private index = 0;
+
+  constructor(
+    private readonly expression: string,
+    private readonly variableNames: Set<string>
+  ) {
+    this.tokens = tokenize(expression);
+  }
+
+  parse(): ExpressionNode {
+    const node = this.parseBinary(0);
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw this.error(`Unexpected '${token.value}'`, token.position);
+    }
+    return node;
+  }
+
+  private static readonly PRECEDENCE: string[][] = [
+    ['||'],
+    ['&&'],
+    ['==', '===', '!=', '!=='],
+    ['<', '<=', '>', '>='],
+    ['+', '-'],
+    ['*', '/', '%']
+  ];
+
+  private parseBinary(level: number): ExpressionNode {
+    if (level >= ConstraintParser.PRECEDENCE.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+    const operators = ConstraintParser.PRECEDENCE[level];
+
+    while (this.peek().type === 'operator' && operators.includes(this.peek().value)) {
+      const token = this.next();
+      const right = this.parseBinary(level + 1);
+      left = this.checkBinary(token, left, right);
+    }
+
+    return left;
+  }
+
+  private checkBinary(token: Token, left: ExpressionNode, right: ExpressionNode): ExpressionNode {
+    const operator = token.value;
+    let type: ConstraintValueType;
+
+    if (operator === '&&' || operator === '||') {
+      this.expectType(left, 'boolean', operator);
+      this.expectType(right, 'boolean', operator);
+      type = 'boolean';
+    } else if (['==', '===', '!=', '!=='].includes(operator)) {
+      if (left.type !== right.type) {
+        throw this.error(`Cannot compare ${left.type} with ${right.type}`, token.position);
+      }
+      type = 'boolean';
+    } else if (['<', '<=', '>', '>='].includes(operator)) {
+      this.expectType(left, 'number', operator);
+      this.expectType(right, 'number', operator);
+      type = 'boolean';
+    } else {
+      this.expectType(left, 'number', operator);
+      this.expectType(right, 'number', operator);
+      type = 'number';
+    }
+
+    return { kind: 'binary', operator, left, right, type, position: token.position };
+  }
+
+  private parseUnary(): ExpressionNode {
+    const token = this.peek();
+
+    if (token.type === 'operator' && (token.value === '!' || token.value === '-')) {
+      this.next();
+      const operand = this.parseUnary();
+      const type: ConstraintValueType = token.value === '!' ? 'boolean' : 'number';
+      this.expectType(operand, type, token.value);
+      return { kind: 'unary', operator: token.value, operand, type, position: token.position };
+    }
+
+    return this.parsePrimary();
+  }
+
+  private parsePrimary(): ExpressionNode {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+        return { kind: 'literal', value: Number(token.value), type: 'number', position: token.position };
+
+      case 'string':
+        return { kind: 'literal', value: token.value, type: 'string', position: token.position };
+
+      case 'paren':
+        if (token.value === '(') {
+          const node = this.parseBinary(0);
+          this.expect('paren', ')');
+          return node;
+        }
+        throw this.error(`Unexpected ')'`, token.position);
+
+      case 'identifier':
+        if (token.value === 'true' || token.value === 'false') {
+          return { kind: 'literal', value: token.value === 'true', type: 'boolean', position: token.position };
+        }
+        if (token.value === 'gameState' || token.value === 'variables') {
+          return this.parseField(token);
+        }
+        if (CONSTRAINT_FUNCTIONS[token.value] && this.peek().value === '(') {
+          return this.parseCall(token);
+        }
+        throw this.error(`Unknown identifier '${token.value}'`, token.position);
+
+      case 'end':
+        throw this.error('Unexpected end of expression', token.position);
+
+      default:
+        throw this.error(`Unexpected '${token.value}'`, token.position);
+    }
+  }
+
+  private parseField(rootToken: Token): ExpressionNode {
+    const path: string[] = [];
+
+    while (this.peek().type === 'dot') {
+      this.next();
+      const segment = this.next();
+      if (segment.type !== 'identifier') {
+        throw this.error('Expected field name after \'.\'', segment.position);
+      }
+      path.push(segment.value);
+    }
+
+    if (path.length === 0) {
+      throw this.error(`Expected a field of ${rootToken.value}`, rootToken.position);
+    }
+
+    const fieldPath = path.join('.');
+
+    if (rootToken.value === 'variables') {
+      if (path.length !== 1 || !this.variableNames.has(fieldPath)) {
+        throw this.error(`Unknown variable '${fieldPath}'`, rootToken.position);
+      }
+      return { kind: 'field', root: 'variables', path, type: 'number', position: rootToken.position };
+    }
+
+    const type = CONSTRAINT_GAME_STATE_FIELDS[fieldPath];
+    if (!type) {
+      throw this.error(`Field 'gameState.${fieldPath}' is not available to constraints`, rootToken.position);
+    }
+    return { kind: 'field', root: 'gameState', path, type, position: rootToken.position };
+  }
+
+  private parseCall(nameToken: Token): ExpressionNode {
+    const { arity } = CONSTRAINT_FUNCTIONS[nameToken.value];
+    const args: ExpressionNode[] = [];
+
+    this.expect('paren', '(');
+    if (this.peek().value !== ')') {
+      args.push(this.parseArgument(nameToken.value));
+      while (this.peek().type === 'comma') {
+        this.next();
+        args.push(this.parseArgument(nameToken.value));
+      }
+    }
+    this.expect('paren', ')');
+
+    if (args.length < arity[0] || args.length > arity[1]) {
+      throw this.error(`Wrong number of arguments to ${nameToken.value}()`, nameToken.position);
+    }
+
+    return { kind: 'call', name: nameToken.value, args, type: 'number', position: nameToken.position };
+  }
+
+  private parseArgument(functionName: string): ExpressionNode {
+    const arg = this.parseBinary(0);
+    this.expectType(arg, 'number', `${functionName}()`);
+    return arg;
+  }
+
+  private expectType(node: ExpressionNode, type: ConstraintValueType, operator: string): void {
+    if (node.type !== type) {
+      throw this.error(`'${operator}' expects a ${type} operand but got ${node.type}`, node.position);
+    }
+  }
+
+  private expect(type: TokenType, value: string): void {
+    const token = this.next();
+    if (token.type !== type || token.value !== value) {
+      throw this.error(`Expected '${value}'`, token.position);
+    }
+  }
+
+  private peek(): Token {
+    return this.tokens[this.index];
+  }
+
+  private next(): Token {
+    const token = this.tokens[this.index];
+    if (token.type !== 'end') {
+      this.index++;
+    }
+    return token;
+  }
+
+  private error(reason: string, position: number): ConstraintExpressionError {
+    return new ConstraintExpressionError(reason, this.expression, position);
+  }
+}
+
+/**
+ * A compiled, type-checked constraint expression
+ */
+export class ConstraintExpression {
+  private constructor(
+    readonly source: string,
+    private readonly root: ExpressionNode
+  ) {}
+
+  /**
+   * Parse and validate an expression against the scenario's variable names
+   */
+  static compile(source: string, variableNames: string[]): ConstraintExpression {
+    if (typeof source !== 'string' || source.trim() === '') {
+      throw new ConstraintExpressionError('Constraint condition is empty', String(source ?? ''), 0);
+    }
+
+    const root = new ConstraintParser(source, new Set(variableNames)).parse();
+    if (root.type !== 'boolean') {
+      throw new ConstraintExpressionError(`Constraint must evaluate to a boolean, not a ${root.type}`, source, 0);
+    }
+
+    return new ConstraintExpression(source, root);
+  }
+
+  /**
+   * Compile a scenario constraint, naming the constraint in any error
+   */
+  static compileConstraint(constraint: SimulationConstraint, variableNames: string[]): ConstraintExpression {
+    try {
+      return ConstraintExpression.compile(constraint.condition, variableNames);
+    } catch (error) {
+      if (error instanceof ConstraintExpressionError) {
+        throw new ConstraintExpressionError(error.reason, error.expression, error.position, constraint.name);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluate the expression against a game state and sampled variables
+   */
+  evaluate(gameState: any, variables: { [name: string]: number }): boolean {
+    return this.evaluateNode(this.root, { gameState, variables }) as boolean;
+  }
+
+  private evaluateNode(node: ExpressionNode, context: { gameState: any; variables: any }): number | string | boolean {
+    switch (node.kind) {
+      case 'literal':
+        return node.value;
+
+      case 'field':
+        return this.resolveField(node, context);
+
+      case 'unary': {
+        const operand = this.evaluateNode(node.operand, context);
+        return node.operator === '!' ? !operand : -(operand as number);
+      }
+
+      case 'call':
+        return CONSTRAINT_FUNCTIONS[node.name].fn(
+          ...node.args.map(arg => this.evaluateNode(arg, context) as number)
+        );
+
+      case 'binary':
+        return this.evaluateBinary(node, context);
+    }
+  }
+
+  private evaluateBinary(
+    node: Extract<ExpressionNode, { kind: 'binary' }>,
+    context: { gameState: any; variables: any }
+  ): number | string | boolean {
+    // Short-circuit logical operators
+    if (node.operator === '&&') {
+      return (this.evaluateNode(node.left, context) as boolean) && (this.evaluateNode(node.right, context) as boolean);
+    }
+    if (node.operator === '||') {
+      return (this.evaluateNode(node.left, context) as boolean) || (this.evaluateNode(node.right, context) as boolean);
+    }
+
+    const left = this.evaluateNode(node.left, context) as any;
+    const right = this.evaluateNode(node.right, context) as any;
+
+    switch (node.operator) {
+      case '==':
+      case '===':
+        return left === right;
+      case '!=':
+      case '!==':
+        return left !== right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return left / right;
+      case '%': return left % right;
+      default:
+        throw new ConstraintExpressionError(`Unsupported operator '${node.operator}'`, this.source, node.position);
+    }
+  }
+
+  private resolveField(
+    node: Extract<ExpressionNode, { kind: 'field' }>,
+    context: { gameState: any; variables: any }
+  ): number | string | boolean {
+    let value: any = context[node.root];
+    for (const segment of node.path) {
+      value = value !== null && value !== undefined ? value[segment] : undefined;
+    }
+
+    if (typeof value !== node.type) {
+      throw new ConstraintExpressionError(
+        `${node.root}.${node.path.join('.')} is not a ${node.type} in this game state`,
+        this.source,
+        node.position
+      );
+    }
+
+    return value;
+  }
+}
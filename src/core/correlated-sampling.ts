@@ -0,0 +1,348 @@
+import {
+  SimulationVariable,
+  DistributionConfig,
+  DistributionType,
+  CorrelationMoments
+} from '../types/simulation.types';
+import {
+  RandomSource,
+  NormalDistribution,
+  BetaDistribution,
+  GammaDistribution
+} from './probability-distributions';
+
+const PSD_TOLERANCE = 1e-10;
+
+/**
+ * Error raised when declared correlations do not form a valid correlation matrix
+ */
+export class CorrelationMatrixError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'CorrelationMatrixError';
+    Error.captureStackTrace(this, CorrelationMatrixError);
+  }
+}
+
+/**
+ * Symmetric correlation matrix over named simulation variables.
+ *
+ * Coefficients are correlations of the latent Gaussian copula; for normal
+ * marginals they equal the Pearson correlation of the sampled values.
+ */
+export class CorrelationMatrix {
+  constructor(
+    public readonly variables: string[],
+    public readonly values: number[][]
+  ) {}
+
+  /**
+   * Build the matrix from `VariableCorrelation` declarations. A pair may be
+   * declared on either variable, or on both with the same coefficient.
+   */
+  static fromVariables(variables: SimulationVariable[]): CorrelationMatrix {
+    const names = variables.map(v => v.name);
+    const index = new Map(names.map((name, i) => [name, i]));
+    const values: number[][] = names.map((_, i) => names.map((__, j) => (i === j ? 1 : 0)));
+    const declared = names.map(() => names.map(() => false));
+
+    for (const variable of variables) {
+      const i = index.get(variable.name)!;
+      for (const correlation of variable.correlation || []) {
+        const j = index.get(correlation.variable);
+        if (j === undefined) {
+          throw new CorrelationMatrixError(
+            `Variable ${variable.name} is correlated with unknown variable ${correlation.variable}`
+          );
+        }
+        if (i === j) {
+          throw new CorrelationMatrixError(`Variable ${variable.name} cannot be correlated with itself`);
+        }
+        if (!Number.isFinite(correlation.coefficient) || Math.abs(correlation.coefficient) > 1) {
+          throw new CorrelationMatrixError(
+            `Correlation between ${variable.name} and ${correlation.variable} must be between -1 and 1`
+          );
+        }
+        if (declared[i][j] && values[i][j] !== correlation.coefficient) {
+          throw new CorrelationMatrixError(
+            `Conflicting correlations declared between ${variable.name} and ${correlation.variable}`
+          );
+        }
+
+        values[i][j] = values[j][i] = correlation.coefficient;
+        declared[i][j] = declared[j][i] = true;
+      }
+    }
+
+    return new CorrelationMatrix(names, values);
+  }
+
+  /**
+   * Whether any pair of variables is correlated
+   */
+  hasCorrelations(): boolean {
+    return this.values.some((row, i) => row.some((value, j) => i !== j && value !== 0));
+  }
+
+  get(first: string, second: string): number {
+    const i = this.variables.indexOf(first);
+    const j = this.variables.indexOf(second);
+    if (i < 0 || j < 0) {
+      throw new CorrelationMatrixError(`Unknown variable ${i < 0 ? first : second}`);
+    }
+    return this.values[i][j];
+  }
+
+  isPositiveSemiDefinite(): boolean {
+    try {
+      this.cholesky();
+      return true;
+    } catch (error) {
+      if (error instanceof CorrelationMatrixError) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lower-triangular L with L·Lᵀ equal to the matrix. Singular (semi-definite)
+   * matrices are accepted; a zero pivot leaves its column empty.
+   */
+  cholesky(): number[][] {
+    const n = this.values.length;
+    const lower = this.values.map(() => new Array(n).fill(0));
+
+    for (let j = 0; j < n; j++) {
+      let diagonal = this.values[j][j];
+      for (let k = 0; k < j; k++) {
+        diagonal -= lower[j][k] * lower[j][k];
+      }
+
+      if (diagonal < -PSD_TOLERANCE) {
+        throw new CorrelationMatrixError(
+          `Correlation matrix over [${this.variables.join(', ')}] is not positive semi-definite`
+        );
+      }
+
+      const pivot = Math.sqrt(Math.max(0, diagonal));
+      lower[j][j] = pivot;
+
+      for (let i = j + 1; i < n; i++) {
+        let sum = this.values[i][j];
+        for (let k = 0; k < j; k++) {
+          sum -= lower[i][k] * lower[j][k];
+        }
+
+        if (pivot > PSD_TOLERANCE) {
+          lower[i][j] = sum / pivot;
+        } else if (Math.abs(sum) > PSD_TOLERANCE) {
+          // A zero pivot forces the rest of the column to zero
+          throw new CorrelationMatrixError(
+            `Correlation matrix over [${this.variables.join(', ')}] is not positive semi-definite`
+          );
+        }
+      }
+    }
+
+    return lower;
+  }
+}
+
+/**
+ * Samples scenario variables jointly through a Gaussian copula: correlated
+ * standard normals z = L·ε are mapped to uniforms Φ(z) and then through each
+ * variable's marginal quantile function.
+ */
+export class GaussianCopulaSampler {
+  private readonly lower: number[][];
+  private readonly quantiles: Array<(u: number, z: number) => number>;
+
+  constructor(
+    private readonly variables: SimulationVariable[],
+    public readonly correlation: CorrelationMatrix = CorrelationMatrix.fromVariables(variables)
+  ) {
+    this.lower = correlation.cholesky();
+    this.quantiles = variables.map(variable => GaussianCopulaSampler.createQuantile(variable.distribution));
+  }
+
+  sample(random: RandomSource = Math.random): { [name: string]: number } {
+    const n = this.variables.length;
+    const independent = new Array(n);
+    for (let i = 0; i < n; i += 2) {
+      const [first, second] = GaussianCopulaSampler.standardNormalPair(random);
+      independent[i] = first;
+      if (i + 1 < n) independent[i + 1] = second;
+    }
+
+    const sampled: { [name: string]: number } = {};
+    for (let i = 0; i < n; i++) {
+      let z = 0;
+      for (let k = 0; k <= i; k++) {
+        z += this.lower[i][k] * independent[k];
+      }
+      sampled[this.variables[i].name] = this.quantiles[i](NormalDistribution.standardCdf(z), z);
+    }
+
+    return sampled;
+  }
+
+  /**
+   * Marginal quantile function for a distribution config
+   */
+  static createQuantile(distribution: DistributionConfig): (u: number, z: number) => number {
+    const params = distribution.parameters;
+
+    switch (distribution.type) {
+      case DistributionType.NORMAL:
+        // Use z directly so normal marginals keep full tail precision
+        return (_u, z) => params.mean + params.stddev * z;
+
+      case DistributionType.UNIFORM:
+        return u => params.min + (params.max - params.min) * u;
+
+      case DistributionType.EXPONENTIAL:
+        return u => -Math.log(1 - Math.min(u, 1 - 1e-16)) / params.lambda;
+
+      case DistributionType.BETA: {
+        const beta = new BetaDistribution(params.alpha, params.beta);
+        return u => beta.quantile(u);
+      }
+
+      case DistributionType.GAMMA: {
+        const gamma = new GammaDistribution(params.shape, params.scale);
+        return u => gamma.quantile(u);
+      }
+
+      case DistributionType.POISSON:
+        return u => GaussianCopulaSampler.discreteQuantile(u, (k, previous) =>
+          k === 0 ? Math.exp(-params.lambda) : previous * params.lambda / k
+        );
+
+      case DistributionType.BINOMIAL: {
+        const { n, p } = params;
+        if (p >= 1) return () => n;
+        return u => GaussianCopulaSampler.discreteQuantile(u, (k, previous) =>
+          k === 0 ? Math.pow(1 - p, n) : previous * ((n - k + 1) / k) * (p / (1 - p)),
+          n
+        );
+      }
+
+      default:
+        throw new Error(`Unsupported distribution type: ${distribution.type}`);
+    }
+  }
+
+  /**
+   * Smallest k whose cumulative probability reaches u, walking the pmf recurrence
+   */
+  private static discreteQuantile(
+    u: number,
+    probability: (k: number, previous: number) => number,
+    max: number = Infinity
+  ): number {
+    let k = 0;
+    let pmf = probability(0, 0);
+    let cumulative = pmf;
+
+    while (cumulative < u && k < max) {
+      k++;
+      pmf = probability(k, pmf);
+      if (pmf === 0 && k > 0 && cumulative > 0.5) break;
+      cumulative += pmf;
+    }
+
+    return k;
+  }
+
+  private static standardNormalPair(random: RandomSource): [number, number] {
+    let u = 0;
+    while (u === 0) u = random();
+    const v = random();
+    const radius = Math.sqrt(-2 * Math.log(u));
+    return [radius * Math.cos(2 * Math.PI * v), radius * Math.sin(2 * Math.PI * v)];
+  }
+}
+
+/**
+ * Accumulates sample moments to report the empirical correlation achieved
+ */
+export class CorrelationTracker {
+  private count = 0;
+  private readonly sums: number[];
+  private readonly sumSquares: number[];
+  private readonly crossProducts: number[][];
+
+  constructor(public readonly variables: string[]) {
+    this.sums = variables.map(() => 0);
+    this.sumSquares = variables.map(() => 0);
+    this.crossProducts = variables.map(() => variables.map(() => 0));
+  }
+
+  static fromMoments(moments: CorrelationMoments): CorrelationTracker {
+    const tracker = new CorrelationTracker(moments.variables);
+    tracker.merge(moments);
+    return tracker;
+  }
+
+  get sampleSize(): number {
+    return this.count;
+  }
+
+  record(sample: { [name: string]: number }): void {
+    const values = this.variables.map(name => sample[name]);
+    this.count++;
+    for (let i = 0; i < values.length; i++) {
+      this.sums[i] += values[i];
+      this.sumSquares[i] += values[i] * values[i];
+      for (let j = i + 1; j < values.length; j++) {
+        this.crossProducts[i][j] += values[i] * values[j];
+      }
+    }
+  }
+
+  merge(moments: CorrelationMoments): void {
+    const positions = moments.variables.map(name => this.variables.indexOf(name));
+    if (positions.some(position => position < 0) || positions.length !== this.variables.length) {
+      throw new CorrelationMatrixError('Cannot merge correlation moments over different variables');
+    }
+
+    this.count += moments.count;
+    positions.forEach((i, a) => {
+      this.sums[i] += moments.sums[a];
+      this.sumSquares[i] += moments.sumSquares[a];
+      positions.forEach((j, b) => {
+        if (a < b) {
+          const [low, high] = i < j ? [i, j] : [j, i];
+          this.crossProducts[low][high] += moments.crossProducts[a][b];
+        }
+      });
+    });
+  }
+
+  toMoments(): CorrelationMoments {
+    return {
+      variables: [...this.variables],
+      count: this.count,
+      sums: [...this.sums],
+      sumSquares: [...this.sumSquares],
+      crossProducts: this.crossProducts.map(row => [...row])
+    };
+  }
+
+  /**
+   * Empirical Pearson correlation matrix; pairs involving a constant variable are 0
+   */
+  correlation(): number[][] {
+    const n = this.count;
+    const variances = this.sums.map((sum, i) => this.sumSquares[i] - (sum * sum) / n);
+
+    return this.variables.map((_, i) => this.variables.map((__, j) => {
+      if (i === j) return 1;
+      const [low, high] = i < j ? [i, j] : [j, i];
+      const covariance = this.crossProducts[low][high] - (this.sums[i] * this.sums[j]) / n;
+      const denominator = Math.sqrt(variances[i] * variances[j]);
+      return n > 1 && denominator > 0 ? covariance / denominator : 0;
+    }));
+  }
+}
@@ -7,6 +7,10 @@ import { TeamRepository } from '../repositories/TeamRepository';
 import { PlayerRepository } from '../repositories/PlayerRepository';
 import { TeamStatisticsRepository } from '../repositories/TeamStatisticsRepository';
 import { PlayerStatisticsRepository } from '../repositories/PlayerStatisticsRepository';
+import { PlayByPlayRecord, fieldFields } from './play-by-play-importer';
+import { RatingDivision, TeamRatingSnapshot } from './team-rating-engine';
+import { RatingLeague } from './bayesian-team-ratings';
+import { OddsMarket, OddsObservation, OddsSelection } from './line-movement-tracker';
 
 export class DatabaseService {
   private databaseManager: DatabaseManager;
@@ -100,6 +104,268 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * Replace the imported play-by-play stored for a game. Imports live in
+   * play_by_play rather than game_states so retention never drops them.
+   * Returns the number of plays written.
+   */
+  async savePlayByPlayData(gameId: string, plays: PlayByPlayRecord[]): Promise<number> {
+    if (!this.dataSource) {
+      throw new Error('Database not initialized');
+    }
+
+    const queryRunner = this.dataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+      const [game] = await queryRunner.query(
+        'SELECT home_team_id, away_team_id FROM games WHERE id = $1',
+        [gameId]
+      );
+      if (!game) {
+        throw new Error(`Game ${gameId} not found`);
+      }
+
+      await queryRunner.query('DELETE FROM play_by_play WHERE game_id = $1', [gameId]);
+
+      for (const [sequence, play] of plays.entries()) {
+        await queryRunner.query(
+          `INSERT INTO play_by_play (
+            game_id, sequence, timestamp, home_score, away_score, quarter, time_remaining,
+            possession_team_id, field_position, down, yards_to_go,
+            home_timeouts, away_timeouts, last_play
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+          [
+            gameId,
+            sequence,
+            play.timestamp,
+            play.homeScore,
+            play.awayScore,
+            play.quarter,
+            `${play.minutesRemaining}:${String(play.secondsRemaining).padStart(2, '0')}`,
+            play.possession === 'home' ? game.home_team_id : game.away_team_id,
+            play.yardsToEndZone,
+            play.down,
+            play.yardsToGo,
+            play.homeTimeouts,
+            play.awayTimeouts,
+            play.lastPlay ? JSON.stringify(play.lastPlay) : null
+          ]
+        );
+      }
+
+      await queryRunner.commitTransaction();
+      return plays.length;
+    } catch (error) {
+      await queryRunner.rollbackTransaction();
+      throw error;
+    } finally {
+      await queryRunner.release();
+    }
+  }
+
+  /**
+   * Imported play-by-play for a game, in order
+   */
+  async getPlayByPlayData(gameId: string): Promise<PlayByPlayRecord[]> {
+    if (!this.dataSource) {
+      throw new Error('Database not initialized');
+    }
+
+    const rows: any[] = await this.dataSource.query(
+      `SELECT p.*, g.home_team_id
+         FROM play_by_play p
+         JOIN games g ON g.id = p.game_id
+        WHERE p.game_id = $1
+        ORDER BY p.sequence`,
+      [gameId]
+    );
+
+    return rows.map(row => {
+      const [minutes, seconds] = String(row.time_remaining ?? '0:00').split(':').map(Number);
+      const possession: 'home' | 'away' = row.possession_team_id === row.home_team_id ? 'home' : 'away';
+
+      return {
+        timestamp: new Date(row.timestamp),
+        quarter: Number(row.quarter),
+        overtime: Number(row.quarter) > 4,
+        minutesRemaining: minutes || 0,
+        secondsRemaining: seconds || 0,
+        homeScore: Number(row.home_score),
+        awayScore: Number(row.away_score),
+        possession,
+        // field_position counts yards to the end zone of the team in possession
+        ...fieldFields(possession, Number(row.field_position)),
+        down: row.down === null ? null : Number(row.down),
+        yardsToGo: row.yards_to_go === null ? null : Number(row.yards_to_go),
+        homeTimeouts: Number(row.home_timeouts),
+        awayTimeouts: Number(row.away_timeouts),
+        lastPlay: typeof row.last_play === 'string' ? JSON.parse(row.last_play) : row.last_play ?? undefined
+      };
+    });
+  }
+
+  /**
+   * Replace a league's stored rating history with a fresh replay. Returns the
+   * number of snapshots written.
+   */
+  async saveTeamRatingHistory(league: RatingLeague, snapshots: TeamRatingSnapshot[]): Promise<number> {
+    if (!this.dataSource) {
+      throw new Error('Database not initialized');
+    }
+
+    const queryRunner = this.dataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+      await queryRunner.query('DELETE FROM team_rating_history WHERE league = $1', [league]);
+
+      // sequence keeps a season's regression ahead of games on the same date
+      for (const [sequence, snapshot] of snapshots.entries()) {
+        await queryRunner.query(
+          `INSERT INTO team_rating_history (
+            league, team_id, division, season, date, event, sequence, game_id, opponent_id,
+            elo, elo_change, glicko_rating, glicko_deviation, glicko_volatility
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+          [
+            league,
+            snapshot.teamId,
+            snapshot.division,
+            snapshot.season,
+            snapshot.date,
+            snapshot.event,
+            sequence,
+            snapshot.gameId ?? null,
+            snapshot.opponentId ?? null,
+            snapshot.elo,
+            snapshot.eloChange,
+            snapshot.glicko.rating,
+            snapshot.glicko.deviation,
+            snapshot.glicko.volatility
+          ]
+        );
+      }
+
+      await queryRunner.commitTransaction();
+      return snapshots.length;
+    } catch (error) {
+      await queryRunner.rollbackTransaction();
+      throw error;
+    } finally {
+      await queryRunner.release();
+    }
+  }
+
+  /**
+   * A team's stored rating history in date order, optionally within a range
+   */
+  async getTeamRatingHistory(teamId: string, from?: Date, to?: Date): Promise<TeamRatingSnapshot[]> {
+    if (!this.dataSource) {
+      throw new Error('Database not initialized');
+    }
+
+    const rows: any[] = await this.dataSource.query(
+      `SELECT *
+         FROM team_rating_history
+        WHERE team_id = $1
+          AND ($2::timestamptz IS NULL OR date >= $2)
+          AND ($3::timestamptz IS NULL OR date <= $3)
+        ORDER BY date, sequence`,
+      [teamId, from ?? null, to ?? null]
+    );
+
+    return rows.map(row => ({
+      teamId: row.team_id,
+      division: row.division as RatingDivision,
+      season: Number(row.season),
+      date: new Date(row.date),
+      event: row.event,
+      gameId: row.game_id ?? undefined,
+      opponentId: row.opponent_id ?? undefined,
+      elo: Number(row.elo),
+      eloChange: Number(row.elo_change),
+      glicko: {
+        rating: Number(row.glicko_rating),
+        deviation: Number(row.glicko_deviation),
+        volatility: Number(row.glicko_volatility)
+      }
+    }));
+  }
+
+  /**
+   * Append observed prices to the odds history. Returns the number of
+   * observations written.
+   */
+  async saveOddsObservations(observations: OddsObservation[]): Promise<number> {
+    if (!this.dataSource) {
+      throw new Error('Database not initialized');
+    }
+
+    const queryRunner = this.dataSource.createQueryRunner();
+    await queryRunner.connect();
+    await queryRunner.startTransaction();
+
+    try {
+      for (const observation of observations) {
+        await queryRunner.query(
+          `INSERT INTO odds_history (
+            game_id, sportsbook, market, selection, prop_key, point, price, observed_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [
+            observation.gameId,
+            observation.sportsbook,
+            observation.market,
+            observation.selection,
+            observation.propKey ?? null,
+            observation.point,
+            observation.price,
+            observation.observedAt
+          ]
+        );
+      }
+
+      await queryRunner.commitTransaction();
+      return observations.length;
+    } catch (error) {
+      await queryRunner.rollbackTransaction();
+      throw error;
+    } finally {
+      await queryRunner.release();
+    }
+  }
+
+  /**
+   * A game's stored odds history in time order, optionally within a range
+   */
+  async getOddsHistory(gameId: string, from?: Date, to?: Date): Promise<OddsObservation[]> {
+    if (!this.dataSource) {
+      throw new Error('Database not initialized');
+    }
+
+    const rows: any[] = await this.dataSource.query(
+      `SELECT *
+         FROM odds_history
+        WHERE game_id = $1
+          AND ($2::timestamptz IS NULL OR observed_at >= $2)
+          AND ($3::timestamptz IS NULL OR observed_at <= $3)
+        ORDER BY observed_at`,
+      [gameId, from ?? null, to ?? null]
+    );
+
+    return rows.map(row => ({
+      gameId: row.game_id,
+      sportsbook: row.sportsbook,
+      market: row.market as OddsMarket,
+      selection: row.selection as OddsSelection,
+      propKey: row.prop_key ?? undefined,
+      point: row.point === null ? null : Number(row.point),
+      price: Number(row.price),
+      observedAt: new Date(row.observed_at)
+    }));
+  }
+
   async getConnectionInfo(): Promise<{
     isConnected: boolean;
     database: string;
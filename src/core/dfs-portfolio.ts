@@ -0,0 +1,311 @@
+import { FantasyPlayer, PlayerProjection, OptimalLineup, Position } from '../types/fantasy.types';
+import { LineupOptimizer, LineupConstraints, LineupInfeasibleError } from './lineup-optimizer';
+import { NormalDistribution } from './probability-distributions';
+import { SeededRandom } from './seeded-random';
+import { generateSeed } from './reproducibility';
+
+export type DFSSite = 'DRAFTKINGS' | 'FANDUEL';
+
+/**
+ * Share of portfolio lineups a player may appear in, from 0 to 1
+ */
+export interface ExposureLimit {
+  min?: number;
+  max?: number;
+}
+
+export interface PortfolioOptions {
+  lineups: number;
+  exposures?: { [playerId: string]: ExposureLimit };
+  maxExposure?: number; // default cap for players without their own limit
+  maxSharedPlayers?: number; // between any two lineups, default one fewer than the lineup size
+  randomness?: number; // projection noise in units of each player's own standard deviation, default 1
+  seed?: number;
+}
+
+export interface PortfolioLineup {
+  lineup: OptimalLineup;
+  playerIds: string[];
+  projectedPoints: number; // unperturbed projections, excluding stack bonuses
+  salary: number;
+  correlationBonus: number;
+}
+
+export interface PlayerExposure {
+  playerId: string;
+  name: string;
+  position: Position;
+  team: string;
+  count: number;
+  exposure: number;
+  minExposure?: number;
+  maxExposure?: number;
+}
+
+export interface LineupPortfolio {
+  lineups: PortfolioLineup[];
+  exposures: PlayerExposure[];
+  seed: number;
+}
+
+/**
+ * Upload column names for each lineup slot. Slots missing here are not
+ * offered in the site's classic NFL contests.
+ */
+const SITE_COLUMNS: { [site in DFSSite]: { [slot: string]: string } } = {
+  DRAFTKINGS: { QB: 'QB', RB: 'RB', WR: 'WR', TE: 'TE', FLEX: 'FLEX', DEF: 'DST' },
+  FANDUEL: { QB: 'QB', RB: 'RB', WR: 'WR', TE: 'TE', FLEX: 'FLEX', DEF: 'DEF' }
+};
+
+const SLOT_ORDER = ['QB', 'RB', 'WR', 'TE', 'FLEX', 'SUPERFLEX', 'K', 'DEF'];
+const RESERVE_SLOTS = ['BENCH', 'IR'];
+
+/**
+ * Builds multi-entry DFS portfolios. Lineups are solved one at a time on
+ * randomly perturbed projections, with exposure caps, overlap limits and
+ * stack rules passed to the exact lineup optimizer as constraints.
+ */
+export class DFSPortfolioGenerator {
+  constructor(private readonly optimizer: LineupOptimizer = new LineupOptimizer()) {}
+
+  async generatePortfolio(
+    players: FantasyPlayer[],
+    projections: PlayerProjection[],
+    constraints: LineupConstraints,
+    options: PortfolioOptions
+  ): Promise<LineupPortfolio> {
+    this.validateOptions(options);
+
+    const total = options.lineups;
+    const seed = options.seed ?? generateSeed();
+    const random = new SeededRandom(seed);
+    const randomness = options.randomness ?? 1;
+    const lineupSize = Object.entries(constraints.positions)
+      .filter(([slot]) => !RESERVE_SLOTS.includes(slot))
+      .reduce((sum, [, count]) => sum + count, 0);
+    const maxShared = options.maxSharedPlayers ?? lineupSize - 1;
+
+    const basePoints = new Map(projections.map(p => [p.playerId, p.projectedPoints]));
+    const limits = new Map<string, { minCount: number; maxCount: number }>();
+    for (const player of players) {
+      const limit = options.exposures?.[player.playerId];
+      const max = limit?.max ?? options.maxExposure ?? 1;
+      limits.set(player.playerId, {
+        minCount: Math.ceil((limit?.min ?? 0) * total - 1e-9),
+        maxCount: Math.floor(max * total + 1e-9)
+      });
+    }
+
+    const conflicts = this.exposureConflicts(players, projections, constraints, options, limits, total);
+    if (conflicts.length > 0) {
+      throw new LineupInfeasibleError(conflicts);
+    }
+
+    const counts = new Map<string, number>();
+    const lineups: PortfolioLineup[] = [];
+
+    for (let k = 0; k < total; k++) {
+      const remaining = total - k;
+      const mustStart = new Set(constraints.mustStart || []);
+      const mustBench = new Set(constraints.mustBench || []);
+
+      limits.forEach(({ minCount, maxCount }, playerId) => {
+        const count = counts.get(playerId) || 0;
+        if (count >= maxCount) mustBench.add(playerId);
+        // Start a player now if every remaining lineup is needed to reach the minimum
+        else if (minCount - count >= remaining) mustStart.add(playerId);
+      });
+
+      const result = await this.solveEntry(k, players, this.perturbProjections(projections, random.split(k), randomness), {
+        ...constraints,
+        mustStart: Array.from(mustStart),
+        mustBench: Array.from(mustBench),
+        overlapLimits: [
+          ...(constraints.overlapLimits || []),
+          ...lineups.map(previous => ({ players: previous.playerIds, maxShared }))
+        ]
+      });
+
+      const playerIds = this.lineupEntries(result.lineup).map(([, player]) => player.playerId);
+      playerIds.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+
+      lineups.push({
+        lineup: result.lineup,
+        playerIds,
+        projectedPoints: playerIds.reduce((sum, id) => sum + (basePoints.get(id) || 0), 0),
+        salary: result.salary || 0,
+        correlationBonus: result.correlationBonus
+      });
+    }
+
+    return {
+      lineups,
+      exposures: this.buildExposureReport(players, counts, total, options),
+      seed
+    };
+  }
+
+  /**
+   * Upload CSV for DraftKings or FanDuel. siteIds maps our player ids to the
+   * site's ids; players without an entry are written with their own id.
+   */
+  toCsv(portfolio: LineupPortfolio, site: DFSSite, siteIds: { [playerId: string]: string } = {}): string {
+    if (portfolio.lineups.length === 0) return '';
+
+    const columns = SITE_COLUMNS[site];
+    const rows = portfolio.lineups.map(({ lineup }) =>
+      this.lineupEntries(lineup).map(([slot, player]) => {
+        if (!columns[slot]) {
+          throw new Error(`${site} lineups have no ${slot} slot`);
+        }
+        return { column: columns[slot], id: siteIds[player.playerId] ?? player.playerId };
+      })
+    );
+
+    const header = rows[0].map(entry => entry.column);
+    rows.forEach((row, i) => {
+      if (row.map(entry => entry.column).join(',') !== header.join(',')) {
+        throw new Error(`Lineup ${i + 1} does not match the ${site} roster format`);
+      }
+    });
+
+    return [header, ...rows.map(row => row.map(entry => entry.id))]
+      .map(row => row.map(value => this.escapeCsv(value)).join(','))
+      .join('\n') + '\n';
+  }
+
+  private async solveEntry(
+    index: number,
+    players: FantasyPlayer[],
+    projections: PlayerProjection[],
+    constraints: LineupConstraints
+  ) {
+    try {
+      return await this.optimizer.solveLineup(players, projections, constraints);
+    } catch (error) {
+      if (error instanceof LineupInfeasibleError) {
+        throw new LineupInfeasibleError(error.reasons.map(reason => `Lineup ${index + 1}: ${reason}`));
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Draw each projection from its own uncertainty so repeated solves explore
+   * different near-optimal lineups
+   */
+  private perturbProjections(projections: PlayerProjection[], random: SeededRandom, randomness: number): PlayerProjection[] {
+    if (randomness === 0) return projections;
+
+    return projections.map(projection => {
+      const standardDeviation = (projection.confidenceInterval[1] - projection.confidenceInterval[0]) / 4;
+      const z = NormalDistribution.standardQuantile(Math.max(Number.EPSILON, random.next()));
+      return { ...projection, projectedPoints: projection.projectedPoints + randomness * standardDeviation * z };
+    });
+  }
+
+  private lineupEntries(lineup: OptimalLineup): Array<[string, FantasyPlayer]> {
+    const entries: Array<[string, FantasyPlayer]> = [];
+    for (const slot of SLOT_ORDER) {
+      const value = (lineup as any)[slot];
+      if (Array.isArray(value)) {
+        value.forEach(player => entries.push([slot, player]));
+      } else if (value) {
+        entries.push([slot, value]);
+      }
+    }
+    return entries;
+  }
+
+  private buildExposureReport(
+    players: FantasyPlayer[],
+    counts: Map<string, number>,
+    total: number,
+    options: PortfolioOptions
+  ): PlayerExposure[] {
+    return players
+      .filter(player => counts.has(player.playerId) || options.exposures?.[player.playerId])
+      .map(player => {
+        const count = counts.get(player.playerId) || 0;
+        const limit = options.exposures?.[player.playerId];
+        return {
+          playerId: player.playerId,
+          name: player.name,
+          position: player.position,
+          team: player.team,
+          count,
+          exposure: count / total,
+          minExposure: limit?.min,
+          maxExposure: limit?.max ?? options.maxExposure
+        };
+      })
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Minimum exposures no portfolio can meet. A player is forced into the
+   * remaining lineups once the minimum needs all of them, so a minimum the
+   * caps, the bench or the projections rule out would otherwise only fail
+   * partway through, or not at all.
+   */
+  private exposureConflicts(
+    players: FantasyPlayer[],
+    projections: PlayerProjection[],
+    constraints: LineupConstraints,
+    options: PortfolioOptions,
+    limits: Map<string, { minCount: number; maxCount: number }>,
+    total: number
+  ): string[] {
+    const reasons: string[] = [];
+    const mustStart = new Set(constraints.mustStart || []);
+    const mustBench = new Set(constraints.mustBench || []);
+    const projected = new Set(projections.map(p => p.playerId));
+
+    for (const [playerId, limit] of Object.entries(options.exposures || {})) {
+      if ((limit.min ?? 0) > 0 && !limits.has(playerId)) {
+        reasons.push(`${playerId} has a minimum exposure but is not in the player pool`);
+      }
+    }
+
+    limits.forEach(({ minCount, maxCount }, playerId) => {
+      const needed = mustStart.has(playerId) ? total : minCount;
+      const allowed = mustBench.has(playerId) ? 0 : maxCount;
+      if (needed === 0) return;
+
+      if (needed > allowed) {
+        reasons.push(`${playerId} must appear in ${needed} of ${total} lineups but is allowed in ${allowed}`);
+      } else if (!projected.has(playerId)) {
+        reasons.push(`${playerId} has a minimum exposure but no projection`);
+      }
+    });
+
+    return reasons;
+  }
+
+  private validateOptions(options: PortfolioOptions): void {
+    if (!Number.isInteger(options.lineups) || options.lineups < 1) {
+      throw new Error('Portfolio must contain at least one lineup');
+    }
+
+    const inRange = (value: number | undefined) => value === undefined || (value >= 0 && value <= 1);
+    if (!inRange(options.maxExposure)) {
+      throw new Error('Maximum exposure must be between 0 and 1');
+    }
+    for (const [playerId, limit] of Object.entries(options.exposures || {})) {
+      if (!inRange(limit.min) || !inRange(limit.max)) {
+        throw new Error(`Exposure limits for ${playerId} must be between 0 and 1`);
+      }
+      if ((limit.min ?? 0) > (limit.max ?? 1)) {
+        throw new Error(`Minimum exposure for ${playerId} exceeds its maximum`);
+      }
+    }
+
+    if (options.randomness !== undefined && options.randomness < 0) {
+      throw new Error('Projection randomness cannot be negative');
+    }
+  }
+
+  private escapeCsv(value: string): string {
+    return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  }
+}
@@ -0,0 +1,108 @@
+import { DraftPickAsset } from '../types/fantasy.types';
+import { ProspectAnalysis } from '../models/ProspectAnalysis';
+import { ProspectAnalysisService } from './prospect-analysis-service';
+
+/**
+ * Share of rookie-draft picks that produced at least one top-24 positional
+ * season within three years, by overall pick
+ */
+export const ROOKIE_PICK_HIT_RATES: Array<{ throughPick: number; hitRate: number }> = [
+  { throughPick: 3, hitRate: 0.62 },
+  { throughPick: 6, hitRate: 0.5 },
+  { throughPick: 12, hitRate: 0.38 },
+  { throughPick: 24, hitRate: 0.2 },
+  { throughPick: 36, hitRate: 0.1 },
+  { throughPick: Infinity, hitRate: 0.05 }
+];
+
+/**
+ * Fantasy points in a season from a player who hit, by position
+ */
+const HIT_SEASON_POINTS: { [position: string]: number } = { QB: 300, RB: 220, WR: 220, TE: 160 };
+const AVERAGE_HIT_SEASON_POINTS = 215;
+
+const SEASON_DISCOUNT = 0.8; // each season before the pick is made
+const PROSPECT_WEIGHT = 0.5; // weight of the prospect's own bust risk against the slot's history
+
+export interface PickValuationOptions {
+  leagueSize: number;
+  currentSeason: number;
+  rookieDraftHeld?: boolean; // this season's rookie draft is over, so its picks are used
+  rookieClass?: ProspectAnalysis[]; // the pick's draft class, when it has been scouted
+}
+
+export interface PickValuation {
+  expectedPoints: number; // season-equivalent fantasy points
+  hitRate: number;
+  overallPick: number; // expected overall pick when the slot is not yet known
+  projectedProspect?: string;
+}
+
+/**
+ * Values rookie-draft picks in fantasy points. With a scouted class the
+ * prospect expected at the pick sets the position and adjusts the slot's
+ * historical hit rate by the prospect's bust risk; otherwise the hit rate
+ * alone is used. Picks in this season's draft keep their value until it is held.
+ */
+export class DraftPickValuator {
+  private prospectAnalysisService: ProspectAnalysisService;
+
+  constructor(prospectAnalysisService: ProspectAnalysisService = new ProspectAnalysisService()) {
+    this.prospectAnalysisService = prospectAnalysisService;
+  }
+
+  valuePick(pick: DraftPickAsset, options: PickValuationOptions): PickValuation {
+    if (pick.season < options.currentSeason || (pick.season === options.currentSeason && options.rookieDraftHeld)) {
+      throw new Error(`The ${pick.season} round ${pick.round} pick has already been used`);
+    }
+    if (!Number.isInteger(pick.round) || pick.round < 1) {
+      throw new Error('Draft pick round must be a positive integer');
+    }
+    if (pick.pick !== undefined && (pick.pick < 1 || pick.pick > options.leagueSize)) {
+      throw new Error(`Draft pick slot must be between 1 and ${options.leagueSize}`);
+    }
+
+    const ranked = options.rookieClass
+      ? this.prospectAnalysisService.rankFantasyProspects(options.rookieClass)
+      : [];
+    const discount = Math.pow(SEASON_DISCOUNT, Math.max(pick.season - options.currentSeason - 1, 0));
+    const firstPick = (pick.round - 1) * options.leagueSize + 1;
+
+    // An unknown slot is worth the average of every slot in its round
+    const slots = pick.pick !== undefined
+      ? [firstPick + pick.pick - 1]
+      : Array.from({ length: options.leagueSize }, (_, i) => firstPick + i);
+    const valuations = slots.map(overall => this.valueSlot(overall, ranked));
+
+    const average = (key: 'expectedPoints' | 'hitRate') =>
+      valuations.reduce((sum, v) => sum + v[key], 0) / valuations.length;
+
+    return {
+      expectedPoints: average('expectedPoints') * discount,
+      hitRate: average('hitRate'),
+      overallPick: slots.reduce((sum, slot) => sum + slot, 0) / slots.length,
+      projectedProspect: slots.length === 1 ? valuations[0].prospect?.playerName : undefined
+    };
+  }
+
+  private valueSlot(
+    overall: number,
+    ranked: ProspectAnalysis[]
+  ): { expectedPoints: number; hitRate: number; prospect?: ProspectAnalysis } {
+    const historical = ROOKIE_PICK_HIT_RATES.find(band => overall <= band.throughPick)!.hitRate;
+    const prospect = ranked[overall - 1];
+
+    if (!prospect) {
+      return { expectedPoints: historical * AVERAGE_HIT_SEASON_POINTS, hitRate: historical };
+    }
+
+    const prospectHitRate = 1 - (prospect.bustRisk ?? 50) / 100;
+    const hitRate = (1 - PROSPECT_WEIGHT) * historical + PROSPECT_WEIGHT * prospectHitRate;
+
+    return {
+      expectedPoints: hitRate * (HIT_SEASON_POINTS[prospect.position] ?? AVERAGE_HIT_SEASON_POINTS),
+      hitRate,
+      prospect
+    };
+  }
+}
@@ -1,6 +1,8 @@
+import { EventEmitter } from 'events';
 import { RedisCache } from './redis-cache';
 import { GameState } from '../models/GameState';
 import { GameEvent, EvidenceType } from './bayesian-updater';
+import { InGameWinProbabilityModel } from './in-game-win-probability';
 import { Play, PlayType, PlayResult } from '../types/game.types';
 
 /**
@@ -46,6 +48,19 @@ export interface GameStateSnapshot {
   version: number;
 }
 
+/**
+ * Home win probability after a state update and how much the play that led
+ * to it moved that probability
+ */
+export interface WinProbabilityUpdate {
+  gameId: string;
+  timestamp: Date;
+  homeWinProbability: number;
+  winProbabilityAdded: number; // home WPA of the last play, 0 for the first state
+  pregameSpread: number;
+  play?: Play;
+}
+
 /**
  * Event processing pipeline configuration
  */
@@ -57,11 +72,14 @@ export interface EventProcessingConfig {
 }
 
 /**
- * Game state tracker with Redis-backed persistence and momentum calculation
+ * Game state tracker with Redis-backed persistence and momentum calculation.
+ * With an in-game win probability model it also emits 'win_probability'
+ * with the WP and WPA of every state update.
  */
-export class GameStateTracker {
+export class GameStateTracker extends EventEmitter {
   private readonly GAME_STATE_PREFIX = 'game_state:';
   private readonly MOMENTUM_PREFIX = 'momentum:';
+  private readonly WIN_PROBABILITY_PREFIX = 'win_probability:';
   private readonly EVENTS_PREFIX = 'events:';
   private readonly SNAPSHOT_PREFIX = 'snapshot:';
   
@@ -78,15 +96,18 @@ export class GameStateTracker {
 
   constructor(
     private redisCache: RedisCache,
-    config: Partial<EventProcessingConfig> = {}
+    config: Partial<EventProcessingConfig> = {},
+    private winProbabilityModel?: InGameWinProbabilityModel
   ) {
+    super();
     this.config = { ...this.DEFAULT_CONFIG, ...config };
   }
 
   /**
-   * Initialize tracking for a game
+   * Initialize tracking for a game. The pregame spread is the home line the
+   * win probability model uses for the rest of the game.
    */
-  async initializeGame(gameState: GameState): Promise<void> {
+  async initializeGame(gameState: GameState, pregameSpread: number = 0): Promise<void> {
     const gameId = gameState.game.id;
     
     // Store initial game state
@@ -107,6 +128,16 @@ export class GameStateTracker {
     };
     
     await this.persistSnapshot(snapshot);
+
+    if (this.winProbabilityModel) {
+      await this.persistWinProbability({
+        gameId,
+        timestamp: new Date(),
+        homeWinProbability: await this.winProbabilityModel.predictGameState(gameState, pregameSpread),
+        winProbabilityAdded: 0,
+        pregameSpread
+      });
+    }
     
     // Initialize event queue
     this.eventQueue.set(gameId, []);
@@ -135,10 +166,29 @@ export class GameStateTracker {
     
     // Update snapshot
     await this.updateSnapshot(gameId, gameState, momentum, recentEvents);
+
+    if (this.winProbabilityModel) {
+      await this.updateWinProbability(gameState);
+    }
     
     return momentum;
   }
 
+  /**
+   * Latest home win probability for a game
+   */
+  async getCurrentWinProbability(gameId: string): Promise<WinProbabilityUpdate | null> {
+    const key = `${this.WIN_PROBABILITY_PREFIX}${gameId}`;
+    const data = await this.redisCache.get<string>(key);
+
+    if (!data) return null;
+
+    const parsedData = JSON.parse(data);
+    parsedData.timestamp = new Date(parsedData.timestamp);
+
+    return parsedData as WinProbabilityUpdate;
+  }
+
   /**
    * Add event to processing queue
    */
@@ -256,7 +306,8 @@ export class GameStateTracker {
       `${this.GAME_STATE_PREFIX}${gameId}`,
       `${this.MOMENTUM_PREFIX}${gameId}`,
       `${this.EVENTS_PREFIX}${gameId}`,
-      `${this.SNAPSHOT_PREFIX}${gameId}`
+      `${this.SNAPSHOT_PREFIX}${gameId}`,
+      `${this.WIN_PROBABILITY_PREFIX}${gameId}`
     ];
     
     for (const key of keys) {
@@ -571,6 +622,37 @@ export class GameStateTracker {
     await this.redisCache.set(key, JSON.stringify(momentum), { ttl: 3600 }); // 1 hour TTL
   }
 
+  /**
+   * Score the new state and credit the change in win probability to the
+   * play that produced it
+   */
+  private async updateWinProbability(gameState: GameState): Promise<void> {
+    const gameId = gameState.game.id;
+    const previous = await this.getCurrentWinProbability(gameId);
+    const pregameSpread = previous?.pregameSpread ?? 0;
+    const homeWinProbability = await this.winProbabilityModel!.predictGameState(gameState, pregameSpread);
+
+    const update: WinProbabilityUpdate = {
+      gameId,
+      timestamp: new Date(),
+      homeWinProbability,
+      winProbabilityAdded: previous ? homeWinProbability - previous.homeWinProbability : 0,
+      pregameSpread,
+      play: gameState.lastPlay
+    };
+
+    await this.persistWinProbability(update);
+    this.emit('win_probability', update);
+  }
+
+  /**
+   * Persist win probability to Redis
+   */
+  private async persistWinProbability(update: WinProbabilityUpdate): Promise<void> {
+    const key = `${this.WIN_PROBABILITY_PREFIX}${update.gameId}`;
+    await this.redisCache.set(key, JSON.stringify(update), { ttl: 3600 }); // 1 hour TTL
+  }
+
   /**
    * Persist event to Redis
    */
@@ -3,6 +3,7 @@ import { GameState } from '../models/GameState';
 import { Team } from '../models/Team';
 import { Player } from '../models/Player';
 import { DatabaseService } from './database-service';
+import { PlayByPlayRecord } from './play-by-play-importer';
 // Create a simple logger instance for testing
 const logger = {
   info: (message: string, meta?: any) => console.log(`[INFO] ${message}`, meta),
@@ -52,10 +53,12 @@ export interface ReplayMetadata {
 
 export interface GameContext {
   quarter: number;
+  overtime: boolean;
   timeRemaining: string;
-  down: number;
-  yardsToGo: number;
+  down: number | null; // null before kickoffs and tries
+  yardsToGo: number | null;
   fieldPosition: number;
+  yardsToEndZone: number; // for the team in possession
   possession: 'home' | 'away';
   score: { home: number; away: number };
 }
@@ -235,8 +238,7 @@ export class HistoricalDataReplay {
   /**
    * Build game state from play data
    */
-  private buildGameStateFromPlay(play: any, game: Game): GameState {
-    // This would construct a GameState object from play-by-play data
+  private buildGameStateFromPlay(play: PlayByPlayRecord, game: Game): GameState {
     return {
       game,
       score: {
@@ -246,7 +248,8 @@ export class HistoricalDataReplay {
       timeRemaining: {
         quarter: play.quarter,
         minutes: play.minutesRemaining,
-        seconds: play.secondsRemaining
+        seconds: play.secondsRemaining,
+        overtime: play.overtime
       },
       possession: play.possession === 'home' ? game.homeTeam : game.awayTeam,
       fieldPosition: {
@@ -255,6 +258,10 @@ export class HistoricalDataReplay {
       },
       down: play.down,
       yardsToGo: play.yardsToGo,
+      timeouts: {
+        home: play.homeTimeouts,
+        away: play.awayTimeouts
+      },
       momentum: this.calculateMomentum(play)
     } as GameState;
   }
@@ -262,13 +269,15 @@ export class HistoricalDataReplay {
   /**
    * Extract game context from play
    */
-  private extractGameContext(play: any): GameContext {
+  private extractGameContext(play: PlayByPlayRecord): GameContext {
     return {
       quarter: play.quarter,
+      overtime: play.overtime,
       timeRemaining: `${play.minutesRemaining}:${play.secondsRemaining.toString().padStart(2, '0')}`,
       down: play.down,
       yardsToGo: play.yardsToGo,
       fieldPosition: play.yardLine,
+      yardsToEndZone: play.yardsToEndZone,
       possession: play.possession,
       score: {
         home: play.homeScore,
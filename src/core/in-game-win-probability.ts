@@ -0,0 +1,194 @@
+import { MLModelService } from './ml-model-service';
+import { ReplayDataPoint } from './historical-data-replay';
+import { GameState } from '../models/GameState';
+import { FeatureVector, Model, ModelType, TrainingData } from '../types/ml.types';
+import { IN_GAME_WIN_PROBABILITY_SCHEMA } from './probability-features';
+
+export const IN_GAME_WP_FEATURES = IN_GAME_WIN_PROBABILITY_SCHEMA.features;
+
+// The API endpoint this model serves
+const PROBABILITIES_ENDPOINT = 'probabilities';
+
+// A bigger lead, more home timeouts, fewer away timeouts or a more negative
+// home spread can never lower the home team's win probability
+export const IN_GAME_WP_MONOTONE_CONSTRAINTS: { [feature: string]: number } = {
+  scoreDifferential: 1,
+  homeTimeouts: 1,
+  awayTimeouts: -1,
+  pregameSpread: -1
+};
+
+export const DEFAULT_IN_GAME_WP_HYPERPARAMETERS: Record<string, any> = {
+  objective: 'binary:logistic',
+  max_depth: 4,
+  learning_rate: 0.1,
+  n_estimators: 150,
+  min_child_weight: 5,
+  monotone_constraints: IN_GAME_WP_MONOTONE_CONSTRAINTS
+};
+
+/**
+ * Game situation from the home team's side, the inputs of the in-game model
+ */
+export interface InGameSituation {
+  scoreDifferential: number; // home minus away
+  secondsRemaining: number; // in regulation, or in the overtime period
+  overtime: boolean;
+  possession: 'home' | 'away';
+  down: number; // 0 before kickoffs and tries
+  yardsToGo: number;
+  yardsToEndZone: number; // for the team in possession
+  homeTimeouts: number;
+  awayTimeouts: number;
+  pregameSpread: number; // home line, negative when the home team was favored
+}
+
+/**
+ * Read a situation off a game state. Replayed states are plain objects, so
+ * this only reads fields and never calls GameState methods.
+ */
+export function situationFromGameState(gameState: GameState, pregameSpread: number = 0): InGameSituation {
+  const { quarter, minutes, seconds } = gameState.timeRemaining;
+  const overtime = gameState.timeRemaining.overtime === true || quarter > 4;
+  const clock = minutes * 60 + seconds;
+  const possession = gameState.possession?.id === gameState.game.homeTeam.id ? 'home' : 'away';
+  const ownTerritory = gameState.fieldPosition.side === possession;
+  const hasDown = gameState.down >= 1 && gameState.down <= 4;
+
+  return {
+    scoreDifferential: gameState.score.home - gameState.score.away,
+    secondsRemaining: overtime ? clock : Math.max(0, 4 - quarter) * 15 * 60 + clock,
+    overtime,
+    possession,
+    down: hasDown ? gameState.down : 0,
+    yardsToGo: hasDown ? gameState.yardsToGo : 0,
+    yardsToEndZone: ownTerritory ? 100 - gameState.fieldPosition.yardLine : gameState.fieldPosition.yardLine,
+    homeTimeouts: gameState.timeouts?.home ?? 3,
+    awayTimeouts: gameState.timeouts?.away ?? 3,
+    pregameSpread
+  };
+}
+
+export function inGameFeatureVector(situation: InGameSituation): FeatureVector {
+  return {
+    values: [
+      situation.scoreDifferential,
+      situation.secondsRemaining,
+      situation.overtime ? 1 : 0,
+      situation.possession === 'home' ? 1 : 0,
+      situation.down,
+      situation.yardsToGo,
+      situation.yardsToEndZone,
+      situation.homeTimeouts,
+      situation.awayTimeouts,
+      situation.pregameSpread
+    ],
+    names: [...IN_GAME_WP_FEATURES],
+    timestamp: new Date()
+  };
+}
+
+/**
+ * One row per replayed state, labelled 1 for a home win, 0 for a loss and
+ * 0.5 for a tie
+ */
+export function buildInGameTrainingData(
+  data: ReplayDataPoint[],
+  pregameSpreads: { [gameId: string]: number } = {}
+): TrainingData {
+  const features: number[][] = [];
+  const targets: number[] = [];
+  const timestamps: number[] = [];
+
+  data.forEach(point => {
+    const { winner } = point.finalOutcome;
+    const label = winner === 'home' ? 1 : winner === 'away' ? 0 : 0.5;
+    point.gameStates.forEach(snapshot => {
+      const situation = situationFromGameState(snapshot.gameState, pregameSpreads[point.game.id] ?? 0);
+      features.push(inGameFeatureVector(situation).values);
+      targets.push(label);
+      timestamps.push(snapshot.timestamp.getTime());
+    });
+  });
+
+  return {
+    features,
+    targets,
+    featureNames: [...IN_GAME_WP_FEATURES],
+    metadata: {
+      size: features.length,
+      startDate: new Date(timestamps.length > 0 ? Math.min(...timestamps) : 0),
+      endDate: new Date(timestamps.length > 0 ? Math.max(...timestamps) : 0),
+      source: 'play_by_play'
+    }
+  };
+}
+
+/**
+ * Home win probability from the current game situation, trained on replayed
+ * game states and served through MLModelService as a gradient boosted model
+ * with monotone constraints. It is the model behind /api/v1/probabilities.
+ */
+export class InGameWinProbabilityModel {
+  private mlModelService: MLModelService;
+  private modelId: string | undefined;
+  private checkedModelId: string | undefined; // last model found to match the endpoint's schema
+
+  constructor(mlModelService: MLModelService, modelId?: string) {
+    this.mlModelService = mlModelService;
+    this.modelId = modelId;
+  }
+
+  getModelId(): string | undefined {
+    return this.modelId;
+  }
+
+  /**
+   * Train on replayed games; the first call creates the served model
+   */
+  async train(
+    data: ReplayDataPoint[],
+    pregameSpreads: { [gameId: string]: number } = {},
+    validation: ReplayDataPoint[] = []
+  ): Promise<Model> {
+    const trainingData = buildInGameTrainingData(data, pregameSpreads);
+    if (trainingData.features.length === 0) {
+      throw new Error('No game states to train the in-game win probability model on');
+    }
+
+    if (!this.modelId) {
+      const model = await this.mlModelService.createModel({
+        type: ModelType.XGBOOST,
+        hyperparameters: { ...DEFAULT_IN_GAME_WP_HYPERPARAMETERS },
+        features: [...IN_GAME_WP_FEATURES],
+        targetVariable: 'homeWin',
+        validationSplit: 0,
+        crossValidationFolds: 0,
+        endpoint: PROBABILITIES_ENDPOINT
+      });
+      this.modelId = model.id;
+    }
+
+    const validationData = validation.length > 0 ? buildInGameTrainingData(validation, pregameSpreads) : undefined;
+    return this.mlModelService.trainModel(this.modelId, trainingData, validationData);
+  }
+
+  async predict(situation: InGameSituation): Promise<number> {
+    if (!this.modelId) {
+      throw new Error('In-game win probability model has not been trained');
+    }
+
+    // A model handed in by id may never have been bound to the endpoint
+    if (this.checkedModelId !== this.modelId) {
+      await this.mlModelService.assertEndpointSchema(this.modelId, PROBABILITIES_ENDPOINT);
+      this.checkedModelId = this.modelId;
+    }
+
+    const prediction = await this.mlModelService.predict(this.modelId, inGameFeatureVector(situation));
+    return prediction.probability ?? prediction.value;
+  }
+
+  async predictGameState(gameState: GameState, pregameSpread: number = 0): Promise<number> {
+    return this.predict(situationFromGameState(gameState, pregameSpread));
+  }
+}
@@ -0,0 +1,430 @@
+/**
+ * Small dense linear and 0/1 integer programming solvers.
+ *
+ * Sized for lineup problems (hundreds of variables, tens of rows): a
+ * bounded-variable two-phase primal simplex provides LP relaxations for a
+ * depth-first branch-and-bound.
+ */
+
+const EPSILON = 1e-9;
+const INTEGRALITY_TOLERANCE = 1e-6;
+const DEGENERATE_PIVOTS_BEFORE_BLAND = 50;
+
+export type ConstraintSense = '<=' | '>=' | '=';
+
+export interface LinearConstraint {
+  terms: Array<[number, number]>; // [variable index, coefficient]
+  sense: ConstraintSense;
+  rhs: number;
+  name?: string;
+}
+
+export interface LinearProgram {
+  variableCount: number;
+  objective: number[]; // maximized
+  constraints: LinearConstraint[];
+  lowerBounds?: number[]; // default 0
+  upperBounds?: number[]; // default Infinity
+}
+
+export type LinearProgramStatus = 'OPTIMAL' | 'INFEASIBLE' | 'UNBOUNDED';
+
+export interface LinearProgramSolution {
+  status: LinearProgramStatus;
+  value: number;
+  values: number[];
+  /** Objective lost per unit each variable moves off its current bound (0 when basic) */
+  penalties?: number[];
+}
+
+export interface IntegerProgram extends LinearProgram {
+  integerVariables: number[];
+}
+
+export interface IntegerProgramOptions {
+  maxNodes?: number;
+  /**
+   * Reject an integral solution the linear model cannot express; return the
+   * variables whose current values should be excluded by a no-good cut.
+   */
+  rejectSolution?: (values: number[]) => number[] | null;
+}
+
+export interface IntegerProgramSolution {
+  status: 'OPTIMAL' | 'INFEASIBLE' | 'NODE_LIMIT';
+  value: number;
+  values: number[];
+  bound: number; // best upper bound proven on the objective
+  nodesExplored: number;
+}
+
+/**
+ * Bounded-variable primal simplex. Nonbasic variables at their upper bound
+ * are complemented (x = u - x') so every nonbasic variable sits at zero.
+ */
+export class SimplexSolver {
+  private tableau: number[][] = [];
+  private rhs: number[] = [];
+  private basis: number[] = [];
+  private cost: number[] = [];
+  private upper: number[] = [];
+  private flipped: boolean[] = [];
+
+  solve(program: LinearProgram): LinearProgramSolution {
+    const n = program.variableCount;
+    const lower = program.lowerBounds || new Array(n).fill(0);
+    const structuralUpper = program.upperBounds || new Array(n).fill(Infinity);
+
+    for (let j = 0; j < n; j++) {
+      if (structuralUpper[j] < lower[j] - EPSILON) {
+        return { status: 'INFEASIBLE', value: -Infinity, values: [] };
+      }
+    }
+
+    // Shift variables to x = lower + x~ so every column starts at zero
+    const rows = program.constraints.map(constraint => {
+      let rhs = constraint.rhs;
+      const dense = new Array(n).fill(0);
+      for (const [j, coefficient] of constraint.terms) {
+        dense[j] += coefficient;
+        rhs -= coefficient * lower[j];
+      }
+      return { dense, sense: constraint.sense, rhs };
+    });
+
+    // Normalize to non-negative right-hand sides
+    for (const row of rows) {
+      if (row.rhs < 0) {
+        row.rhs = -row.rhs;
+        row.dense = row.dense.map(value => -value);
+        row.sense = row.sense === '<=' ? '>=' : row.sense === '>=' ? '<=' : '=';
+      }
+    }
+
+    const m = rows.length;
+    const slackCount = rows.filter(row => row.sense !== '=').length;
+    const artificialRows = rows.map((row, i) => (row.sense === '<=' ? -1 : i)).filter(i => i >= 0);
+    const columnCount = n + slackCount + artificialRows.length;
+
+    this.tableau = rows.map(() => new Array(columnCount).fill(0));
+    this.rhs = rows.map(row => row.rhs);
+    this.basis = new Array(m).fill(-1);
+    this.upper = new Array(columnCount).fill(Infinity);
+    this.flipped = new Array(columnCount).fill(false);
+
+    for (let j = 0; j < n; j++) {
+      this.upper[j] = structuralUpper[j] - lower[j];
+    }
+
+    let slack = n;
+    let artificial = n + slackCount;
+    const artificialColumns: number[] = [];
+    rows.forEach((row, i) => {
+      for (let j = 0; j < n; j++) {
+        this.tableau[i][j] = row.dense[j];
+      }
+      if (row.sense === '<=') {
+        this.tableau[i][slack] = 1;
+        this.basis[i] = slack++;
+      } else {
+        if (row.sense === '>=') {
+          this.tableau[i][slack++] = -1;
+        }
+        this.tableau[i][artificial] = 1;
+        this.basis[i] = artificial;
+        artificialColumns.push(artificial++);
+      }
+    });
+
+    // Phase 1: drive artificial variables to zero
+    if (artificialColumns.length > 0) {
+      this.cost = new Array(columnCount).fill(0);
+      artificialColumns.forEach(j => { this.cost[j] = -1; });
+      this.optimize();
+
+      const infeasibility = this.basis.reduce(
+        (sum, j, i) => sum + (artificialColumns.includes(j) ? this.rhs[i] : 0), 0
+      );
+      if (infeasibility > 1e-7) {
+        return { status: 'INFEASIBLE', value: -Infinity, values: [] };
+      }
+      artificialColumns.forEach(j => { this.upper[j] = 0; });
+    }
+
+    // Phase 2: original objective
+    this.cost = new Array(columnCount).fill(0);
+    for (let j = 0; j < n; j++) {
+      this.cost[j] = this.flipped[j] ? -program.objective[j] : program.objective[j];
+    }
+    if (!this.optimize()) {
+      return { status: 'UNBOUNDED', value: Infinity, values: [] };
+    }
+
+    const shifted = new Array(columnCount).fill(0);
+    this.basis.forEach((j, i) => { shifted[j] = this.rhs[i]; });
+    const values = new Array(n);
+    let value = 0;
+    for (let j = 0; j < n; j++) {
+      const x = this.flipped[j] ? this.upper[j] - shifted[j] : shifted[j];
+      values[j] = lower[j] + x;
+      value += program.objective[j] * values[j];
+    }
+
+    const inBasis = new Set(this.basis);
+    const penalties = new Array(n).fill(0);
+    for (let j = 0; j < n; j++) {
+      if (!inBasis.has(j)) penalties[j] = Math.max(0, -this.reducedCost(j));
+    }
+
+    return { status: 'OPTIMAL', value, values, penalties };
+  }
+
+  /**
+   * Pivot until no reduced cost is positive; false when unbounded
+   */
+  private optimize(): boolean {
+    const m = this.rhs.length;
+    const columnCount = this.upper.length;
+    let degeneratePivots = 0;
+
+    for (let iteration = 0; iteration < 50 * (m + columnCount) + 1000; iteration++) {
+      const useBland = degeneratePivots > DEGENERATE_PIVOTS_BEFORE_BLAND;
+      const inBasis = new Array(columnCount).fill(false);
+      this.basis.forEach(j => { inBasis[j] = true; });
+
+      // Entering column: largest reduced cost, or lowest index under Bland's rule
+      let entering = -1;
+      let bestReducedCost = EPSILON;
+      for (let j = 0; j < columnCount; j++) {
+        if (inBasis[j] || this.upper[j] <= EPSILON) continue;
+        const reducedCost = this.reducedCost(j);
+        if (reducedCost > bestReducedCost) {
+          entering = j;
+          bestReducedCost = reducedCost;
+          if (useBland) break;
+        }
+      }
+
+      if (entering < 0) {
+        return true;
+      }
+
+      // Ratio test, including the entering variable's own upper bound
+      let step = this.upper[entering];
+      let leaving = -1;
+      let leavesAtUpper = false;
+      for (let i = 0; i < m; i++) {
+        const a = this.tableau[i][entering];
+        let ratio = Infinity;
+        let atUpper = false;
+        if (a > EPSILON) {
+          ratio = Math.max(0, this.rhs[i]) / a;
+        } else if (a < -EPSILON && this.upper[this.basis[i]] < Infinity) {
+          ratio = Math.max(0, this.upper[this.basis[i]] - this.rhs[i]) / -a;
+          atUpper = true;
+        }
+        const better = ratio < step - EPSILON ||
+          (useBland && leaving >= 0 && Math.abs(ratio - step) <= EPSILON && this.basis[i] < this.basis[leaving]);
+        if (better) {
+          step = ratio;
+          leaving = i;
+          leavesAtUpper = atUpper;
+        }
+      }
+
+      if (step === Infinity) {
+        return false;
+      }
+      degeneratePivots = step <= EPSILON ? degeneratePivots + 1 : 0;
+
+      if (leaving < 0) {
+        this.complementNonbasic(entering);
+      } else {
+        if (leavesAtUpper) {
+          this.complementBasic(leaving);
+        }
+        this.pivot(leaving, entering);
+      }
+    }
+
+    throw new Error('Simplex iteration limit exceeded');
+  }
+
+  private reducedCost(j: number): number {
+    let reducedCost = this.cost[j];
+    for (let i = 0; i < this.rhs.length; i++) {
+      const a = this.tableau[i][j];
+      if (a !== 0) reducedCost -= this.cost[this.basis[i]] * a;
+    }
+    return reducedCost;
+  }
+
+  private complementNonbasic(j: number): void {
+    const u = this.upper[j];
+    for (let i = 0; i < this.rhs.length; i++) {
+      const a = this.tableau[i][j];
+      if (a !== 0) {
+        this.rhs[i] -= a * u;
+        this.tableau[i][j] = -a;
+      }
+    }
+    this.cost[j] = -this.cost[j];
+    this.flipped[j] = !this.flipped[j];
+  }
+
+  private complementBasic(row: number): void {
+    const j = this.basis[row];
+    const tableauRow = this.tableau[row];
+    for (let k = 0; k < tableauRow.length; k++) {
+      if (k !== j) tableauRow[k] = -tableauRow[k];
+    }
+    this.rhs[row] = this.upper[j] - this.rhs[row];
+    this.cost[j] = -this.cost[j];
+    this.flipped[j] = !this.flipped[j];
+  }
+
+  private pivot(row: number, column: number): void {
+    const pivotRow = this.tableau[row];
+    const pivotValue = pivotRow[column];
+    for (let k = 0; k < pivotRow.length; k++) {
+      pivotRow[k] /= pivotValue;
+    }
+    this.rhs[row] /= pivotValue;
+
+    for (let i = 0; i < this.rhs.length; i++) {
+      if (i === row) continue;
+      const factor = this.tableau[i][column];
+      if (factor === 0) continue;
+      const target = this.tableau[i];
+      for (let k = 0; k < target.length; k++) {
+        if (pivotRow[k] !== 0) target[k] -= factor * pivotRow[k];
+      }
+      this.rhs[i] -= factor * this.rhs[row];
+    }
+
+    this.basis[row] = column;
+  }
+}
+
+/**
+ * Depth-first branch-and-bound for problems whose integer variables are 0/1
+ */
+export class BranchAndBoundSolver {
+  private readonly simplex = new SimplexSolver();
+
+  solve(program: IntegerProgram, options: IntegerProgramOptions = {}): IntegerProgramSolution {
+    const n = program.variableCount;
+    const maxNodes = options.maxNodes ?? 200000;
+    const integer = new Set(program.integerVariables);
+
+    interface Node {
+      lower: number[];
+      upper: number[];
+      cuts: LinearConstraint[];
+    }
+
+    const stack: Node[] = [{
+      lower: program.lowerBounds ? [...program.lowerBounds] : new Array(n).fill(0),
+      upper: program.upperBounds ? [...program.upperBounds] : new Array(n).fill(Infinity),
+      cuts: []
+    }];
+
+    let incumbent: number[] | null = null;
+    let incumbentValue = -Infinity;
+    let nodesExplored = 0;
+    let rootBound = -Infinity;
+    const openBounds: number[] = [];
+
+    while (stack.length > 0) {
+      if (nodesExplored >= maxNodes) {
+        // Stopping early proves nothing, so this is never INFEASIBLE; values
+        // are empty when no integral solution was found before the limit
+        return {
+          status: 'NODE_LIMIT',
+          value: incumbentValue,
+          values: incumbent || [],
+          bound: Math.max(incumbentValue, ...openBounds, rootBound),
+          nodesExplored
+        };
+      }
+
+      const node = stack.pop()!;
+      openBounds.pop();
+      nodesExplored++;
+
+      const relaxation = this.simplex.solve({
+        variableCount: n,
+        objective: program.objective,
+        constraints: [...program.constraints, ...node.cuts],
+        lowerBounds: node.lower,
+        upperBounds: node.upper
+      });
+
+      if (relaxation.status === 'UNBOUNDED') {
+        throw new Error('Integer program relaxation is unbounded');
+      }
+      if (relaxation.status === 'INFEASIBLE') continue;
+      if (nodesExplored === 1) rootBound = relaxation.value;
+      if (relaxation.value <= incumbentValue + INTEGRALITY_TOLERANCE) continue;
+
+      // Branch on the most fractional integer variable
+      let branchVariable = -1;
+      let bestFractionality = INTEGRALITY_TOLERANCE;
+      for (const j of integer) {
+        const fractionality = Math.abs(relaxation.values[j] - Math.round(relaxation.values[j]));
+        if (fractionality > bestFractionality) {
+          bestFractionality = fractionality;
+          branchVariable = j;
+        }
+      }
+
+      if (branchVariable < 0) {
+        const values = relaxation.values.map((value, j) => (integer.has(j) ? Math.round(value) : value));
+        const excluded = options.rejectSolution ? options.rejectSolution(values) : null;
+
+        if (excluded && excluded.length > 0) {
+          // No-good cut: at least one of the excluded variables must change
+          const terms: Array<[number, number]> = excluded.map(j => [j, values[j] === 1 ? 1 : -1]);
+          const ones = excluded.filter(j => values[j] === 1).length;
+          stack.push({ ...node, cuts: [...node.cuts, { terms, sense: '<=', rhs: ones - 1 }] });
+          openBounds.push(relaxation.value);
+          continue;
+        }
+
+        incumbent = values;
+        incumbentValue = program.objective.reduce((sum, c, j) => sum + c * values[j], 0);
+        continue;
+      }
+
+      // Reduced-cost fixing: moving a variable off its bound costs at least its
+      // penalty, so once that exceeds the gap to the incumbent it stays put
+      const lower = [...node.lower];
+      const upper = [...node.upper];
+      if (incumbent && relaxation.penalties) {
+        const gap = relaxation.value - incumbentValue;
+        for (const j of integer) {
+          if (relaxation.penalties[j] <= gap || j === branchVariable) continue;
+          if (relaxation.values[j] <= lower[j] + INTEGRALITY_TOLERANCE) upper[j] = lower[j];
+          else if (relaxation.values[j] >= upper[j] - INTEGRALITY_TOLERANCE) lower[j] = upper[j];
+        }
+      }
+
+      // Explore the x = 1 branch first to find good incumbents early
+      const down = { lower, upper: [...upper], cuts: node.cuts };
+      down.upper[branchVariable] = 0;
+      const up = { lower: [...lower], upper, cuts: node.cuts };
+      up.lower[branchVariable] = 1;
+
+      stack.push(down, up);
+      openBounds.push(relaxation.value, relaxation.value);
+    }
+
+    return {
+      status: incumbent ? 'OPTIMAL' : 'INFEASIBLE',
+      value: incumbentValue,
+      values: incumbent || [],
+      bound: incumbentValue,
+      nodesExplored
+    };
+  }
+}
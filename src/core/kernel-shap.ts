@@ -0,0 +1,235 @@
+import { SeededRandom } from './seeded-random';
+
+/**
+ * Model output for a batch of feature rows
+ */
+export type BatchPredictor = (rows: number[][]) => Promise<number[]>;
+
+export interface KernelShapOptions {
+  samples?: number; // coalitions to evaluate; all of them are used when there are fewer
+  seed?: number;
+}
+
+export interface KernelShapResult {
+  shapValues: number[];
+  baseValue: number; // mean output over the background data
+  prediction: number;
+}
+
+/**
+ * Model-agnostic KernelSHAP (Lundberg & Lee 2017). Features outside a
+ * coalition take their values from each background row in turn, and the
+ * Shapley values are the Shapley-kernel weighted least squares fit over the
+ * coalitions, constrained to sum to prediction - baseValue. With few enough
+ * features every coalition is enumerated and the values are exact for the
+ * background distribution.
+ */
+export async function kernelShap(
+  predict: BatchPredictor,
+  x: number[],
+  background: number[][],
+  options: KernelShapOptions = {}
+): Promise<KernelShapResult> {
+  if (background.length === 0) {
+    throw new Error('KernelSHAP requires at least one background row');
+  }
+  if (background.some(row => row.length !== x.length)) {
+    throw new Error(`Background rows must have ${x.length} features`);
+  }
+
+  const baseValue = mean(await predict(background));
+  const [prediction] = await predict([x]);
+  const shapValues = new Array(x.length).fill(0);
+
+  // A feature that matches every background row cannot change the output
+  const varying = x.map((_, i) => i).filter(i => background.some(row => row[i] !== x[i]));
+  if (varying.length === 0) {
+    return { shapValues, baseValue, prediction };
+  }
+  if (varying.length === 1) {
+    shapValues[varying[0]] = prediction - baseValue;
+    return { shapValues, baseValue, prediction };
+  }
+
+  const samples = options.samples ?? 2 * x.length + 2048;
+  const coalitions = Math.pow(2, varying.length) - 2 <= samples
+    ? enumerateCoalitions(varying.length)
+    : sampleCoalitions(varying.length, samples, new SeededRandom(options.seed ?? 0));
+
+  const values: number[] = [];
+  for (const { mask } of coalitions) {
+    const rows = background.map(row => {
+      const hybrid = [...row];
+      varying.forEach((feature, k) => {
+        if (mask[k]) hybrid[feature] = x[feature];
+      });
+      return hybrid;
+    });
+    values.push(mean(await predict(rows)));
+  }
+
+  const fitted = solveConstrained(
+    coalitions.map(c => c.mask),
+    coalitions.map(c => c.weight),
+    values.map(v => v - baseValue),
+    prediction - baseValue
+  );
+  varying.forEach((feature, k) => {
+    shapValues[feature] = fitted[k];
+  });
+
+  return { shapValues, baseValue, prediction };
+}
+
+/**
+ * A seeded sample of rows without replacement, for keeping the background of
+ * explanations that run over many samples small. Rows are returned as is when
+ * there are no more than size of them.
+ */
+export function subsampleBackground(rows: number[][], size: number, seed = 0): number[][] {
+  if (rows.length <= size) {
+    return rows;
+  }
+
+  const rng = new SeededRandom(seed);
+  const order = rows.map((_, i) => i);
+  for (let k = 0; k < size; k++) {
+    const swap = k + Math.floor(rng.next() * (order.length - k));
+    [order[k], order[swap]] = [order[swap], order[k]];
+  }
+  return order.slice(0, size).map(i => rows[i]);
+}
+
+interface Coalition {
+  mask: boolean[];
+  weight: number;
+}
+
+// Shapley kernel weight of a coalition of the given size
+function kernelWeight(features: number, size: number): number {
+  return (features - 1) / (binomial(features, size) * size * (features - size));
+}
+
+function enumerateCoalitions(features: number): Coalition[] {
+  const coalitions: Coalition[] = [];
+
+  for (let bits = 1; bits < Math.pow(2, features) - 1; bits++) {
+    const mask = Array.from({ length: features }, (_, k) => (bits & (1 << k)) !== 0);
+    const size = mask.filter(Boolean).length;
+    coalitions.push({ mask, weight: kernelWeight(features, size) });
+  }
+
+  return coalitions;
+}
+
+/**
+ * Draw coalition sizes from the Shapley kernel's size distribution and
+ * members uniformly, each with its complement. Sampling does the weighting,
+ * so a coalition's weight is how often it was drawn.
+ */
+function sampleCoalitions(features: number, samples: number, rng: SeededRandom): Coalition[] {
+  const sizeWeights = Array.from({ length: features - 1 }, (_, i) => (features - 1) / ((i + 1) * (features - i - 1)));
+  const totalSizeWeight = sizeWeights.reduce((sum, w) => sum + w, 0);
+  const drawn = new Map<string, Coalition>();
+
+  const add = (mask: boolean[]) => {
+    const key = mask.map(bit => (bit ? '1' : '0')).join('');
+    const existing = drawn.get(key);
+    if (existing) {
+      existing.weight += 1;
+    } else {
+      drawn.set(key, { mask, weight: 1 });
+    }
+  };
+
+  for (let s = 0; s < samples; s += 2) {
+    let target = rng.next() * totalSizeWeight;
+    let size = 1;
+    while (size < features - 1 && target >= sizeWeights[size - 1]) {
+      target -= sizeWeights[size - 1];
+      size++;
+    }
+
+    const order = Array.from({ length: features }, (_, k) => k);
+    for (let k = 0; k < size; k++) {
+      const swap = k + Math.floor(rng.next() * (features - k));
+      [order[k], order[swap]] = [order[swap], order[k]];
+    }
+
+    const mask = new Array(features).fill(false);
+    order.slice(0, size).forEach(k => {
+      mask[k] = true;
+    });
+    add(mask);
+    add(mask.map(bit => !bit));
+  }
+
+  return Array.from(drawn.values());
+}
+
+/**
+ * Weighted least squares of y on the masks with the coefficients summing to
+ * total, solved by substituting the last coefficient out
+ */
+function solveConstrained(masks: boolean[][], weights: number[], y: number[], total: number): number[] {
+  const n = masks[0].length;
+  const last = n - 1;
+  const a = Array.from({ length: last }, () => new Array(last).fill(0));
+  const b = new Array(last).fill(0);
+
+  masks.forEach((mask, r) => {
+    const zLast = mask[last] ? 1 : 0;
+    const d = mask.slice(0, last).map(bit => (bit ? 1 : 0) - zLast);
+    const target = y[r] - zLast * total;
+    for (let i = 0; i < last; i++) {
+      b[i] += weights[r] * d[i] * target;
+      for (let j = 0; j < last; j++) {
+        a[i][j] += weights[r] * d[i] * d[j];
+      }
+    }
+  });
+
+  const phi = solveLinearSystem(a, b);
+  phi.push(total - phi.reduce((sum, value) => sum + value, 0));
+  return phi;
+}
+
+// Gaussian elimination with partial pivoting
+function solveLinearSystem(a: number[][], b: number[]): number[] {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    if (Math.abs(m[col][col]) < 1e-12) {
+      throw new Error('KernelSHAP regression is singular; increase the number of samples');
+    }
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) {
+        m[row][k] -= factor * m[col][k];
+      }
+    }
+  }
+
+  return m.map((row, i) => row[n] / row[i]);
+}
+
+function binomial(n: number, k: number): number {
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = result * (n - k + i) / i;
+  }
+  return result;
+}
+
+function mean(values: number[]): number {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
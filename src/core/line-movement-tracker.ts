@@ -0,0 +1,688 @@
+import { AlertingService, AlertRule } from './alerting-service';
+import { BettingLine, PlayerPropLine } from '../types/game.types';
+
+// Create a simple logger instance for testing
+const logger = {
+  info: (message: string, meta?: any) => console.log(`[INFO] ${message}`, meta),
+  error: (message: string, error?: any) => console.error(`[ERROR] ${message}`, error),
+  warn: (message: string, meta?: any) => console.warn(`[WARN] ${message}`, meta),
+  debug: (message: string, meta?: any) => console.debug(`[DEBUG] ${message}`, meta)
+};
+
+export type OddsMarket = 'spread' | 'total' | 'moneyline' | 'player_prop';
+export type OddsSelection = 'home' | 'away' | 'over' | 'under';
+
+/**
+ * One price seen at one book at one moment
+ */
+export interface OddsObservation {
+  gameId: string;
+  sportsbook: string;
+  market: OddsMarket;
+  selection: OddsSelection;
+  propKey?: string; // player prop market and player, e.g. player_pass_yds:Patrick Mahomes
+  point: number | null; // spread from the selection's side, total or prop line
+  price: number; // American odds
+  observedAt: Date;
+}
+
+/**
+ * Share of bets on one side of a market, for reverse line movement
+ */
+export interface BettingSplit {
+  gameId: string;
+  market: OddsMarket;
+  propKey?: string;
+  selection: OddsSelection;
+  ticketShare: number; // 0-1
+}
+
+export interface LineMovementSignal {
+  type: 'steam' | 'reverse_line_movement';
+  gameId: string;
+  market: OddsMarket;
+  propKey?: string;
+  direction: OddsSelection; // side the books moved toward
+  books: string[];
+  pointMove: number; // average move toward the direction, in points
+  probabilityMove: number; // average no-vig probability move toward the direction
+  windowStart: Date;
+  windowEnd: Date;
+  ticketShare?: number; // public share on the other side, for reverse line movement
+}
+
+export interface LineChartSeries {
+  market: OddsMarket;
+  selection: OddsSelection;
+  propKey?: string;
+  sportsbook: string;
+  points: Array<{ observedAt: Date; point: number | null; price: number }>;
+}
+
+/**
+ * Where observations are persisted; DatabaseService implements it
+ */
+export interface OddsHistoryStore {
+  saveOddsObservations(observations: OddsObservation[]): Promise<number>;
+  getOddsHistory(gameId: string, from?: Date, to?: Date): Promise<OddsObservation[]>;
+}
+
+export interface LineMovementConfig {
+  steamWindowMinutes: number;
+  steamMinBooks: number;
+  minPointMove: number;
+  minProbabilityMove: number;
+  rlmMinTicketShare: number; // public share that makes a side the public side
+  rlmMinBooks: number;
+  alertCooldownMinutes: number;
+  maxSignals: number; // oldest signals are dropped past this many
+  gameRetentionHours: number; // with a store, games with no price change for this long are forgotten
+}
+
+export const DEFAULT_LINE_MOVEMENT_CONFIG: LineMovementConfig = {
+  steamWindowMinutes: 10,
+  steamMinBooks: 3,
+  minPointMove: 0.5,
+  minProbabilityMove: 0.02,
+  rlmMinTicketShare: 0.6,
+  rlmMinBooks: 2,
+  alertCooldownMinutes: 30,
+  maxSignals: 1000,
+  gameRetentionHours: 168
+};
+
+/**
+ * Alert rules the tracker fires through AlertingService.triggerAlert. Their
+ * metrics are not exported to Prometheus, so the evaluation loop skips them.
+ */
+export const LINE_MOVEMENT_ALERT_RULES: AlertRule[] = [
+  {
+    id: 'odds_steam_move',
+    name: 'Steam Move',
+    description: 'Several books moved the same line the same way within minutes',
+    condition: { metric: 'odds_steam_move_books', operator: 'gte', threshold: DEFAULT_LINE_MOVEMENT_CONFIG.steamMinBooks },
+    severity: 'info',
+    enabled: true,
+    cooldownMinutes: DEFAULT_LINE_MOVEMENT_CONFIG.alertCooldownMinutes,
+    notificationChannels: ['slack']
+  },
+  {
+    id: 'odds_reverse_line_movement',
+    name: 'Reverse Line Movement',
+    description: 'Books moved the line against the side taking most of the bets',
+    condition: { metric: 'odds_reverse_line_movement_books', operator: 'gte', threshold: DEFAULT_LINE_MOVEMENT_CONFIG.rlmMinBooks },
+    severity: 'info',
+    enabled: true,
+    cooldownMinutes: DEFAULT_LINE_MOVEMENT_CONFIG.alertCooldownMinutes,
+    notificationChannels: ['slack']
+  }
+];
+
+const PRIMARY_SELECTION: Record<OddsMarket, OddsSelection> = {
+  spread: 'home',
+  moneyline: 'home',
+  total: 'over',
+  player_prop: 'over'
+};
+
+const OPPOSITE_SELECTION: Record<OddsSelection, OddsSelection> = {
+  home: 'away',
+  away: 'home',
+  over: 'under',
+  under: 'over'
+};
+
+/**
+ * A book's two-sided market at one moment, seen from the primary side
+ * (home for sides, over for totals and props)
+ */
+interface BookState {
+  point: number | null;
+  probability: number;
+}
+
+function impliedProbability(americanOdds: number): number {
+  return americanOdds > 0 ? 100 / (americanOdds + 100) : -americanOdds / (-americanOdds + 100);
+}
+
+/**
+ * Observations for every market in an OddsAPIConnector betting line. The
+ * connector reports markets a book is not offering with prices of 0 (and a
+ * total line of 0), so those are skipped rather than recorded as a pick'em
+ * or a move.
+ */
+export function observationsFromBettingLine(line: BettingLine, observedAt: Date = line.lastUpdated): OddsObservation[] {
+  const base = { gameId: line.gameId, sportsbook: line.sportsbook, observedAt };
+  const observations: OddsObservation[] = [];
+
+  if (line.spread.homeOdds && line.spread.awayOdds) {
+    observations.push(
+      { ...base, market: 'spread', selection: 'home', point: line.spread.home, price: line.spread.homeOdds },
+      { ...base, market: 'spread', selection: 'away', point: line.spread.away, price: line.spread.awayOdds }
+    );
+  }
+  if (line.total.line && line.total.overOdds && line.total.underOdds) {
+    observations.push(
+      { ...base, market: 'total', selection: 'over', point: line.total.line, price: line.total.overOdds },
+      { ...base, market: 'total', selection: 'under', point: line.total.line, price: line.total.underOdds }
+    );
+  }
+  if (line.moneyline.home && line.moneyline.away) {
+    observations.push(
+      { ...base, market: 'moneyline', selection: 'home', point: null, price: line.moneyline.home },
+      { ...base, market: 'moneyline', selection: 'away', point: null, price: line.moneyline.away }
+    );
+  }
+
+  return observations;
+}
+
+/**
+ * Observations for a player prop line
+ */
+export function observationsFromPropLine(line: PlayerPropLine, observedAt: Date = line.lastUpdated): OddsObservation[] {
+  const base = {
+    gameId: line.gameId,
+    sportsbook: line.sportsbook,
+    market: 'player_prop' as OddsMarket,
+    propKey: `${line.market}:${line.player}`,
+    point: line.line,
+    observedAt
+  };
+
+  const observations: OddsObservation[] = [];
+  if (line.overOdds !== null) {
+    observations.push({ ...base, selection: 'over', price: line.overOdds });
+  }
+  if (line.underOdds !== null) {
+    observations.push({ ...base, selection: 'under', price: line.underOdds });
+  }
+  return observations;
+}
+
+/**
+ * Keep each book's main line for every player prop. Books quoting alternate
+ * lines return several points per player, and tracking them under one prop
+ * would read each alternate as a move; the main line is the one priced
+ * closest to even on both sides, and a two-sided quote beats a one-sided one.
+ */
+export function mainPropLines(lines: PlayerPropLine[]): PlayerPropLine[] {
+  const imbalance = (line: PlayerPropLine) =>
+    line.overOdds !== null && line.underOdds !== null
+      ? Math.abs(impliedProbability(line.overOdds) - impliedProbability(line.underOdds))
+      : Infinity;
+
+  const main = new Map<string, PlayerPropLine>();
+  lines.forEach(line => {
+    const key = `${line.gameId}|${line.sportsbook}|${line.market}|${line.player}`;
+    const current = main.get(key);
+    if (!current || imbalance(line) < imbalance(current)) {
+      main.set(key, line);
+    }
+  });
+  return [...main.values()];
+}
+
+/**
+ * Group observations into one chart series per market, side and book
+ */
+export function buildLineChart(observations: OddsObservation[]): LineChartSeries[] {
+  const series = new Map<string, LineChartSeries>();
+
+  [...observations]
+    .sort((a, b) => a.observedAt.getTime() - b.observedAt.getTime())
+    .forEach(observation => {
+      const key = `${observation.market}|${observation.propKey ?? ''}|${observation.selection}|${observation.sportsbook}`;
+      if (!series.has(key)) {
+        series.set(key, {
+          market: observation.market,
+          selection: observation.selection,
+          propKey: observation.propKey,
+          sportsbook: observation.sportsbook,
+          points: []
+        });
+      }
+      series.get(key)!.points.push({ observedAt: observation.observedAt, point: observation.point, price: observation.price });
+    });
+
+  return Array.from(series.values());
+}
+
+/**
+ * Time-series store of every observed price per book, with steam move and
+ * reverse line movement detection across books. With an OddsHistoryStore the
+ * full history lives in the store, and memory holds only what detection reads.
+ */
+export class LineMovementTracker {
+  private readonly config: LineMovementConfig;
+  private readonly history: Map<string, OddsObservation[]> = new Map(); // by game
+  private readonly lastChanged: Map<string, number> = new Map(); // by game
+  private readonly latest: Map<string, OddsObservation> = new Map(); // by market, side and book
+  private readonly splits: Map<string, BettingSplit> = new Map(); // by market
+  private readonly lastAlerted: Map<string, Date> = new Map();
+  private readonly signals: LineMovementSignal[] = [];
+  private clock = 0; // latest observation time seen
+
+  constructor(
+    private readonly store?: OddsHistoryStore,
+    private readonly alertingService?: AlertingService,
+    config: Partial<LineMovementConfig> = {}
+  ) {
+    this.config = { ...DEFAULT_LINE_MOVEMENT_CONFIG, ...config };
+
+    if (this.alertingService) {
+      const existing = new Set(this.alertingService.getAllRules().map(rule => rule.id));
+      LINE_MOVEMENT_ALERT_RULES
+        .filter(rule => !existing.has(rule.id))
+        .forEach(rule => this.alertingService!.addRule({ ...rule, cooldownMinutes: this.config.alertCooldownMinutes }));
+    }
+  }
+
+  async recordBettingLines(lines: BettingLine[], observedAt?: Date): Promise<LineMovementSignal[]> {
+    return this.recordObservations(lines.flatMap(line => observationsFromBettingLine(line, observedAt ?? line.lastUpdated)));
+  }
+
+  async recordPlayerProps(lines: PlayerPropLine[], observedAt?: Date): Promise<LineMovementSignal[]> {
+    return this.recordObservations(
+      mainPropLines(lines).flatMap(line => observationsFromPropLine(line, observedAt ?? line.lastUpdated))
+    );
+  }
+
+  /**
+   * Record observations and return any new signals. A price that has not
+   * changed since the book's last observation adds nothing and is dropped.
+   */
+  async recordObservations(observations: OddsObservation[]): Promise<LineMovementSignal[]> {
+    const changed = [...observations]
+      .sort((a, b) => a.observedAt.getTime() - b.observedAt.getTime())
+      .filter(observation => {
+        const key = this.observationKey(observation);
+        const previous = this.latest.get(key);
+        if (previous && previous.observedAt.getTime() > observation.observedAt.getTime()) {
+          return false; // arrived out of order
+        }
+        if (previous && previous.point === observation.point && previous.price === observation.price) {
+          return false;
+        }
+        this.latest.set(key, observation);
+        return true;
+      });
+
+    if (changed.length === 0) {
+      return [];
+    }
+
+    changed.forEach(observation => {
+      if (!this.history.has(observation.gameId)) {
+        this.history.set(observation.gameId, []);
+      }
+      this.history.get(observation.gameId)!.push(observation);
+      const time = observation.observedAt.getTime();
+      this.lastChanged.set(observation.gameId, Math.max(this.lastChanged.get(observation.gameId) ?? time, time));
+      this.clock = Math.max(this.clock, time);
+    });
+
+    if (this.store) {
+      await this.store.saveOddsObservations(changed);
+    }
+
+    // Only markets that moved can raise new signals
+    const markets = new Set(changed.map(observation => this.marketKey(observation.gameId, observation.market, observation.propKey)));
+    const games = Array.from(new Set(changed.map(observation => observation.gameId)));
+    const signals = this.raiseSignals(games.flatMap(gameId => this.detectMarketSignals(gameId, markets)));
+
+    if (this.store) {
+      games.forEach(gameId => this.pruneHistory(gameId));
+      this.expireGames();
+    }
+    return signals;
+  }
+
+  /**
+   * Record the public's share of bets on a side; reverse line movement is
+   * checked against the latest split
+   */
+  async recordBettingSplit(split: BettingSplit): Promise<LineMovementSignal[]> {
+    if (split.ticketShare < 0 || split.ticketShare > 1) {
+      throw new Error('ticketShare must be between 0 and 1');
+    }
+    const key = this.marketKey(split.gameId, split.market, split.propKey);
+    this.splits.set(key, split);
+    return this.raiseSignals(this.detectMarketSignals(split.gameId, new Set([key])));
+  }
+
+  /**
+   * Full line history for a game in time order, from the store when there is one
+   */
+  async getLineHistory(gameId: string, from?: Date, to?: Date): Promise<OddsObservation[]> {
+    const observations = this.store
+      ? await this.store.getOddsHistory(gameId, from, to)
+      : (this.history.get(gameId) || []).filter(observation =>
+        (!from || observation.observedAt >= from) && (!to || observation.observedAt <= to));
+
+    return [...observations].sort((a, b) => a.observedAt.getTime() - b.observedAt.getTime());
+  }
+
+  async getLineChart(gameId: string, from?: Date, to?: Date): Promise<LineChartSeries[]> {
+    return buildLineChart(await this.getLineHistory(gameId, from, to));
+  }
+
+  /**
+   * Signals raised so far, up to config.maxSignals, newest first
+   */
+  getSignals(gameId?: string): LineMovementSignal[] {
+    return this.signals
+      .filter(signal => !gameId || signal.gameId === gameId)
+      .sort((a, b) => b.windowEnd.getTime() - a.windowEnd.getTime());
+  }
+
+  /**
+   * Steam moves and reverse line movement in a game's recorded history as
+   * of its latest observation
+   */
+  detectSignals(gameId: string): LineMovementSignal[] {
+    return this.detectMarketSignals(gameId);
+  }
+
+  private detectMarketSignals(gameId: string, only?: Set<string>): LineMovementSignal[] {
+    const observations = this.history.get(gameId) || [];
+    const markets = new Map<string, OddsObservation[]>();
+    observations.forEach(observation => {
+      const key = this.marketKey(gameId, observation.market, observation.propKey);
+      if (only && !only.has(key)) {
+        return;
+      }
+      if (!markets.has(key)) {
+        markets.set(key, []);
+      }
+      markets.get(key)!.push(observation);
+    });
+
+    const signals: LineMovementSignal[] = [];
+    markets.forEach((marketObservations, key) => {
+      const { market, propKey } = marketObservations[0];
+      const windowEnd = new Date(Math.max(...marketObservations.map(observation => observation.observedAt.getTime())));
+      const books = Array.from(new Set(marketObservations.map(observation => observation.sportsbook))).sort();
+
+      // Steam: books moving together inside the window
+      const windowStart = new Date(windowEnd.getTime() - this.config.steamWindowMinutes * 60 * 1000);
+      const steam = this.movesBetween(marketObservations, books, windowStart, windowEnd);
+      const steamSide = this.dominantSide(steam, this.config.steamMinBooks);
+      if (steamSide) {
+        signals.push(this.signal('steam', gameId, market, propKey, steamSide, steam, windowStart, windowEnd));
+      }
+
+      // Reverse line movement: books moving off the public side since opening
+      const split = this.splits.get(key);
+      if (split) {
+        const publicSide = split.ticketShare >= this.config.rlmMinTicketShare
+          ? split.selection
+          : split.ticketShare <= 1 - this.config.rlmMinTicketShare ? OPPOSITE_SELECTION[split.selection] : null;
+        if (publicSide) {
+          const opening = new Date(Math.min(...marketObservations.map(observation => observation.observedAt.getTime())));
+          const moves = this.movesBetween(marketObservations, books, opening, windowEnd);
+          const againstPublic = OPPOSITE_SELECTION[publicSide];
+          const movedAgainst = moves.filter(move => move.side === againstPublic);
+          if (movedAgainst.length >= this.config.rlmMinBooks) {
+            signals.push({
+              ...this.signal('reverse_line_movement', gameId, market, propKey, againstPublic, movedAgainst, opening, windowEnd),
+              ticketShare: publicSide === split.selection ? split.ticketShare : 1 - split.ticketShare
+            });
+          }
+        }
+      }
+    });
+
+    return signals;
+  }
+
+  /**
+   * Once a game's observations are persisted, keep in memory only what
+   * detection reads: each book's opening prices for reverse line movement,
+   * and the steam window of each market with the last price before it.
+   * History holds each side and book in time order, as out-of-order
+   * observations are dropped.
+   */
+  private pruneHistory(gameId: string): void {
+    const observations = this.history.get(gameId);
+    if (!observations) {
+      return;
+    }
+
+    const windowMs = this.config.steamWindowMinutes * 60 * 1000;
+    const windowStarts = new Map<string, number>();
+    observations.forEach(observation => {
+      const key = this.marketKey(gameId, observation.market, observation.propKey);
+      windowStarts.set(key, Math.max(windowStarts.get(key) ?? -Infinity, observation.observedAt.getTime() - windowMs));
+    });
+
+    const kept = new Set<OddsObservation>();
+    const opened = new Set<string>();
+    observations.forEach(observation => {
+      const key = this.observationKey(observation);
+      if (!opened.has(key)) {
+        opened.add(key);
+        kept.add(observation);
+      }
+    });
+
+    const beforeWindow = new Set<string>();
+    for (let i = observations.length - 1; i >= 0; i--) {
+      const observation = observations[i];
+      const key = this.observationKey(observation);
+      const windowStart = windowStarts.get(this.marketKey(gameId, observation.market, observation.propKey))!;
+      if (observation.observedAt.getTime() > windowStart) {
+        kept.add(observation);
+      } else if (!beforeWindow.has(key)) {
+        beforeWindow.add(key);
+        kept.add(observation);
+      }
+    }
+
+    if (kept.size < observations.length) {
+      this.history.set(gameId, observations.filter(observation => kept.has(observation)));
+    }
+  }
+
+  /**
+   * Forget games whose prices have not changed within config.gameRetentionHours
+   */
+  private expireGames(): void {
+    const retentionMs = this.config.gameRetentionHours * 60 * 60 * 1000;
+    const expired = new Set<string>();
+    this.lastChanged.forEach((time, gameId) => {
+      if (this.clock - time > retentionMs) {
+        expired.add(gameId);
+      }
+    });
+    if (expired.size === 0) {
+      return;
+    }
+
+    expired.forEach(gameId => {
+      this.history.delete(gameId);
+      this.lastChanged.delete(gameId);
+    });
+    this.latest.forEach((observation, key) => {
+      if (expired.has(observation.gameId)) {
+        this.latest.delete(key);
+      }
+    });
+    this.splits.forEach((split, key) => {
+      if (expired.has(split.gameId)) {
+        this.splits.delete(key);
+      }
+    });
+    this.lastAlerted.forEach((_, key) => {
+      if (expired.has(key.slice(0, key.indexOf('|')))) {
+        this.lastAlerted.delete(key);
+      }
+    });
+  }
+
+  /**
+   * Each book's move from `from` to `to`. A book that opened after `from` is
+   * measured from its first price.
+   */
+  private movesBetween(
+    observations: OddsObservation[],
+    books: string[],
+    from: Date,
+    to: Date
+  ): Array<{ sportsbook: string; side: OddsSelection; pointMove: number; probabilityMove: number }> {
+    const moves: Array<{ sportsbook: string; side: OddsSelection; pointMove: number; probabilityMove: number }> = [];
+    const market = observations[0].market;
+    const primary = PRIMARY_SELECTION[market];
+
+    books.forEach(sportsbook => {
+      const bookObservations = observations.filter(observation => observation.sportsbook === sportsbook);
+      const opening = new Date(Math.min(...bookObservations.map(observation => observation.observedAt.getTime())));
+      const before = this.bookState(bookObservations, new Date(Math.max(from.getTime(), opening.getTime())));
+      const after = this.bookState(bookObservations, to);
+      if (!before || !after) {
+        return;
+      }
+
+      // Positive moves favour the primary side: a home spread laying more
+      // points, a higher total, or a higher no-vig probability
+      let pointMove = 0;
+      if (before.point !== null && after.point !== null) {
+        pointMove = market === 'spread' ? before.point - after.point : after.point - before.point;
+      }
+      const probabilityMove = after.probability - before.probability;
+
+      let side: OddsSelection | null = null;
+      if (Math.abs(pointMove) >= this.config.minPointMove) {
+        side = pointMove > 0 ? primary : OPPOSITE_SELECTION[primary];
+      } else if (pointMove === 0 && Math.abs(probabilityMove) >= this.config.minProbabilityMove) {
+        side = probabilityMove > 0 ? primary : OPPOSITE_SELECTION[primary];
+      }
+
+      if (side) {
+        const sign = side === primary ? 1 : -1;
+        moves.push({ sportsbook, side, pointMove: sign * pointMove, probabilityMove: sign * probabilityMove });
+      }
+    });
+
+    return moves;
+  }
+
+  /**
+   * A book's primary-side point and no-vig probability as of a moment
+   */
+  private bookState(observations: OddsObservation[], asOf: Date): BookState | null {
+    const latestFor = (selection: OddsSelection) => observations
+      .filter(observation => observation.selection === selection && observation.observedAt.getTime() <= asOf.getTime())
+      .sort((a, b) => b.observedAt.getTime() - a.observedAt.getTime())[0];
+
+    const primary = PRIMARY_SELECTION[observations[0].market];
+    const side = latestFor(primary);
+    if (!side) {
+      return null;
+    }
+    const other = latestFor(OPPOSITE_SELECTION[primary]);
+
+    const sideProbability = impliedProbability(side.price);
+    const probability = other ? sideProbability / (sideProbability + impliedProbability(other.price)) : sideProbability;
+    return { point: side.point, probability };
+  }
+
+  private dominantSide(
+    moves: Array<{ side: OddsSelection }>,
+    minBooks: number
+  ): OddsSelection | null {
+    const counts = new Map<OddsSelection, number>();
+    moves.forEach(move => counts.set(move.side, (counts.get(move.side) || 0) + 1));
+    const [side, count] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+    return side && count >= minBooks ? side : null;
+  }
+
+  private signal(
+    type: LineMovementSignal['type'],
+    gameId: string,
+    market: OddsMarket,
+    propKey: string | undefined,
+    direction: OddsSelection,
+    moves: Array<{ sportsbook: string; side: OddsSelection; pointMove: number; probabilityMove: number }>,
+    windowStart: Date,
+    windowEnd: Date
+  ): LineMovementSignal {
+    const withSide = moves.filter(move => move.side === direction);
+    const average = (values: number[]) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    return {
+      type,
+      gameId,
+      market,
+      propKey,
+      direction,
+      books: withSide.map(move => move.sportsbook),
+      pointMove: average(withSide.map(move => move.pointMove)),
+      probabilityMove: average(withSide.map(move => move.probabilityMove)),
+      windowStart,
+      windowEnd
+    };
+  }
+
+  /**
+   * Keep signals outside their cooldown, remember them and alert on them.
+   * Cooldowns run on observation time so a replay raises the same signals.
+   */
+  private raiseSignals(detected: LineMovementSignal[]): LineMovementSignal[] {
+    const cooldownMs = this.config.alertCooldownMinutes * 60 * 1000;
+
+    const raised = detected.filter(signal => {
+      const key = `${this.marketKey(signal.gameId, signal.market, signal.propKey)}|${signal.type}|${signal.direction}`;
+      const last = this.lastAlerted.get(key);
+      if (last && signal.windowEnd.getTime() - last.getTime() < cooldownMs) {
+        return false;
+      }
+      this.lastAlerted.set(key, signal.windowEnd);
+      return true;
+    });
+
+    raised.forEach(signal => {
+      this.signals.push(signal);
+      if (this.signals.length > this.config.maxSignals) {
+        this.signals.shift();
+      }
+      logger.info('Line movement detected', {
+        type: signal.type,
+        gameId: signal.gameId,
+        market: signal.market,
+        direction: signal.direction,
+        books: signal.books
+      });
+
+      if (this.alertingService) {
+        const labels: Record<string, string> = {
+          gameId: signal.gameId,
+          market: signal.market,
+          direction: signal.direction,
+          books: signal.books.join(','),
+          pointMove: signal.pointMove.toFixed(1)
+        };
+        if (signal.propKey) {
+          labels.propKey = signal.propKey;
+        }
+        if (signal.ticketShare !== undefined) {
+          labels.ticketShare = signal.ticketShare.toFixed(2);
+        }
+        this.alertingService.triggerAlert(
+          signal.type === 'steam' ? 'odds_steam_move' : 'odds_reverse_line_movement',
+          signal.books.length,
+          labels
+        );
+      }
+    });
+
+    return raised;
+  }
+
+  private observationKey(observation: OddsObservation): string {
+    return `${this.marketKey(observation.gameId, observation.market, observation.propKey)}|${observation.selection}|${observation.sportsbook}`;
+  }
+
+  private marketKey(gameId: string, market: OddsMarket, propKey?: string): string {
+    return `${gameId}|${market}|${propKey ?? ''}`;
+  }
+}
@@ -6,8 +6,10 @@ import {
   LeagueSettings, 
   OptimizationConstraints,
   RiskLevel,
-  AlternativeOption
+  AlternativeOption,
+  Position
 } from '../types/fantasy.types';
+import { BranchAndBoundSolver, IntegerProgram, LinearConstraint } from './integer-programming';
 
 export interface LineupConstraints {
   positions: { [key: string]: number };
@@ -17,6 +19,10 @@ export interface LineupConstraints {
   mustBench?: string[];
   maxRisk?: RiskLevel;
   correlations?: CorrelationRule[];
+  stacks?: StackRule[];
+  maxPlayersPerTeam?: number;
+  games?: { [team: string]: string }; // team -> game id
+  overlapLimits?: OverlapLimit[];
 }
 
 export interface CorrelationRule {
@@ -25,15 +31,84 @@ export interface CorrelationRule {
   bonus: number;
 }
 
+/**
+ * Require at least one team (or game) to contribute minPlayers starters.
+ * Games are looked up through LineupConstraints.games.
+ */
+export interface StackRule {
+  type: 'TEAM' | 'GAME';
+  minPlayers: number;
+  positions?: Position[]; // positions counted toward the stack, default all
+  include?: Position[]; // positions the stack must contain, e.g. ['QB']
+}
+
+/**
+ * Cap how many of the given players may start together
+ */
+export interface OverlapLimit {
+  players: string[];
+  maxShared: number;
+}
+
 export interface OptimizationResult {
   lineup: OptimalLineup;
   projectedPoints: number;
   salary?: number;
   riskScore: number;
   correlationBonus: number;
+  optimal: boolean; // false only when the search hit its node limit
+  nodesExplored: number;
+}
+
+interface LineupSlot {
+  type: string;
+  eligible: Position[];
+}
+
+interface LineupModel {
+  players: any[];
+  rules: CorrelationRule[];
+  program: IntegerProgram;
+  rejectSolution?: (values: number[]) => number[] | null;
+}
+
+/**
+ * Positions each starting slot accepts
+ */
+const SLOT_ELIGIBILITY: { [slot: string]: Position[] } = {
+  QB: ['QB'],
+  RB: ['RB'],
+  WR: ['WR'],
+  TE: ['TE'],
+  K: ['K'],
+  DEF: ['DEF'],
+  FLEX: ['RB', 'WR', 'TE'],
+  SUPERFLEX: ['QB', 'RB', 'WR', 'TE']
+};
+
+const RESERVE_SLOTS = ['BENCH', 'IR'];
+const MULTI_PLAYER_SLOTS = ['RB', 'WR'];
+
+/**
+ * Highest lineup risk score allowed at each risk level
+ */
+const RISK_THRESHOLDS: { [level in RiskLevel]: number } = {
+  CONSERVATIVE: 0.25,
+  MODERATE: 0.4,
+  AGGRESSIVE: Infinity
+};
+
+export class LineupInfeasibleError extends Error {
+  constructor(public readonly reasons: string[]) {
+    super(`Lineup constraints are infeasible: ${reasons.join('; ')}`);
+    this.name = 'LineupInfeasibleError';
+    Error.captureStackTrace(this, LineupInfeasibleError);
+  }
 }
 
 export class LineupOptimizer {
+  private readonly solver = new BranchAndBoundSolver();
+
   /**
    * Optimize lineup using mathematical optimization
    */
@@ -42,6 +117,19 @@ export class LineupOptimizer {
     projections: PlayerProjection[],
     constraints: LineupConstraints
   ): Promise<OptimalLineup> {
+    const result = await this.solveLineup(players, projections, constraints);
+    return result.lineup;
+  }
+
+  /**
+   * Provably optimal lineup with its points, salary, risk and stack bonus.
+   * Throws LineupInfeasibleError when no lineup satisfies the constraints.
+   */
+  async solveLineup(
+    players: FantasyPlayer[],
+    projections: PlayerProjection[],
+    constraints: LineupConstraints
+  ): Promise<OptimizationResult> {
     try {
       console.log(`Optimizing lineup with ${players.length} players`);
 
@@ -59,9 +147,7 @@ export class LineupOptimizer {
         }));
 
       // Run optimization algorithm
-      const result = await this.runOptimization(availablePlayers, constraints);
-
-      return result.lineup;
+      return await this.runOptimization(availablePlayers, constraints);
     } catch (error) {
       console.error('Error optimizing lineup:', error);
       throw error;
@@ -170,6 +256,16 @@ export class LineupOptimizer {
       }
     }
 
+    // Calculate SUPERFLEX projection
+    if (lineup.SUPERFLEX) {
+      const proj = projectionMap.get(lineup.SUPERFLEX.playerId);
+      if (proj) {
+        totalProjection += proj.projectedPoints;
+        totalVariance += this.calculatePlayerVariance(proj);
+        positionBreakdown['SUPERFLEX'] = proj.projectedPoints;
+      }
+    }
+
     // Calculate K projection
     if (lineup.K) {
       const proj = projectionMap.get(lineup.K.playerId);
@@ -334,110 +430,348 @@ export class LineupOptimizer {
     players: any[],
     constraints: LineupConstraints
   ): Promise<OptimizationResult> {
-    // This is a simplified greedy algorithm
-    // In production, you'd use a proper MILP solver like GLPK or CBC
-    
-    const lineup: any = {};
-    let totalProjection = 0;
-    let totalSalary = 0;
-    const usedPlayers = new Set<string>();
+    const slots = this.buildSlots(constraints.positions);
+    // The model leaves out players it cannot place, so a must-start among
+    // them would be dropped silently rather than make the lineup infeasible
+    if (this.mustStartConflicts(players, constraints, slots).length > 0) {
+      throw new LineupInfeasibleError(this.diagnoseInfeasibility(players, constraints, slots));
+    }
+    const model = this.buildLineupModel(players, constraints, slots);
+    const solution = this.solver.solve(model.program, { rejectSolution: model.rejectSolution });
 
-    // Sort players by value (points per dollar for DFS, or just points for season-long)
-    const sortedPlayers = players.sort((a, b) => {
-      const aValue = constraints.maxSalary ? 
-        a.projection.projectedPoints / (a.salary || 1) :
-        a.projection.projectedPoints;
-      const bValue = constraints.maxSalary ?
-        b.projection.projectedPoints / (b.salary || 1) :
-        b.projection.projectedPoints;
-      return bValue - aValue;
-    });
+    if (solution.status === 'INFEASIBLE') {
+      throw new LineupInfeasibleError(this.diagnoseInfeasibility(players, constraints, slots));
+    }
+    if (solution.values.length === 0) {
+      throw new Error(`Lineup search stopped after ${solution.nodesExplored} nodes without finding a lineup`);
+    }
 
-    // Fill required positions
-    for (const [position, count] of Object.entries(constraints.positions)) {
-      const positionPlayers = sortedPlayers.filter(p => 
-        p.position === position && 
-        !usedPlayers.has(p.playerId) &&
-        !constraints.mustBench?.includes(p.playerId)
-      );
+    const selected = model.players.filter((_, i) => solution.values[i] === 1);
+    const correlationBonus = model.rules.reduce(
+      (sum, rule, r) => sum + (solution.values[model.players.length + r] === 1 ? rule.bonus : 0), 0
+    );
 
-      if (position === 'QB' && count > 0) {
-        const qb = positionPlayers[0];
-        if (qb) {
-          lineup.QB = qb;
-          usedPlayers.add(qb.playerId);
-          totalProjection += qb.projection.projectedPoints;
-          totalSalary += qb.salary || 0;
-        }
-      } else if (position === 'RB') {
-        lineup.RB = [];
-        for (let i = 0; i < count && i < positionPlayers.length; i++) {
-          const rb = positionPlayers[i];
-          lineup.RB.push(rb);
-          usedPlayers.add(rb.playerId);
-          totalProjection += rb.projection.projectedPoints;
-          totalSalary += rb.salary || 0;
-        }
-      } else if (position === 'WR') {
-        lineup.WR = [];
-        for (let i = 0; i < count && i < positionPlayers.length; i++) {
-          const wr = positionPlayers[i];
-          lineup.WR.push(wr);
-          usedPlayers.add(wr.playerId);
-          totalProjection += wr.projection.projectedPoints;
-          totalSalary += wr.salary || 0;
-        }
-      } else if (position === 'TE' && count > 0) {
-        const te = positionPlayers[0];
-        if (te) {
-          lineup.TE = te;
-          usedPlayers.add(te.playerId);
-          totalProjection += te.projection.projectedPoints;
-          totalSalary += te.salary || 0;
-        }
-      } else if (position === 'K' && count > 0) {
-        const k = positionPlayers[0];
-        if (k) {
-          lineup.K = k;
-          usedPlayers.add(k.playerId);
-          totalProjection += k.projection.projectedPoints;
-          totalSalary += k.salary || 0;
-        }
-      } else if (position === 'DEF' && count > 0) {
-        const def = positionPlayers[0];
-        if (def) {
-          lineup.DEF = def;
-          usedPlayers.add(def.playerId);
-          totalProjection += def.projection.projectedPoints;
-          totalSalary += def.salary || 0;
-        }
+    return {
+      lineup: this.assignSlots(selected, slots),
+      projectedPoints: selected.reduce((sum, p) => sum + p.projection.projectedPoints, 0),
+      salary: selected.reduce((sum, p) => sum + (p.salary || 0), 0),
+      riskScore: this.calculateLineupRisk(selected),
+      correlationBonus,
+      optimal: solution.status === 'OPTIMAL',
+      nodesExplored: solution.nodesExplored
+    };
+  }
+
+  /**
+   * Expand position counts into individual starting slots, dedicated slots first
+   */
+  private buildSlots(positions: { [key: string]: number }): LineupSlot[] {
+    const slots: LineupSlot[] = [];
+
+    for (const [type, count] of Object.entries(positions)) {
+      if (RESERVE_SLOTS.includes(type) || !count) continue;
+
+      const eligible = SLOT_ELIGIBILITY[type];
+      if (!eligible) {
+        throw new Error(`Unsupported lineup slot: ${type}`);
+      }
+      if (count > 1 && !MULTI_PLAYER_SLOTS.includes(type)) {
+        throw new Error(`Lineup holds a single ${type} slot, got ${count}`);
+      }
+      for (let i = 0; i < count; i++) {
+        slots.push({ type, eligible });
       }
     }
 
-    // Fill FLEX if required
-    if (constraints.positions.FLEX) {
-      const flexEligible = sortedPlayers.filter(p => 
-        ['RB', 'WR', 'TE'].includes(p.position) &&
-        !usedPlayers.has(p.playerId) &&
-        !constraints.mustBench?.includes(p.playerId)
+    return slots.sort((a, b) => a.eligible.length - b.eligible.length);
+  }
+
+  /**
+   * 0/1 model: one variable per eligible player, then indicators for each
+   * correlation rule and each candidate stack team or game. Slot eligibility is enforced through Hall's condition: every group of
+   * positions may use at most the slots that accept one of them.
+   */
+  private buildLineupModel(players: any[], constraints: LineupConstraints, slots: LineupSlot[]): LineupModel {
+    const positions = Array.from(new Set(slots.flatMap(slot => slot.eligible)));
+    const mustBench = new Set(constraints.mustBench || []);
+    const pool = players.filter(p => positions.includes(p.position) && !mustBench.has(p.playerId));
+    const index = new Map(pool.map((p, i) => [p.playerId, i]));
+
+    const rules = (constraints.correlations || []).filter(rule =>
+      rule.bonus !== 0 && rule.players.length > 0 && rule.players.every(id => index.has(id))
+    );
+
+    // One indicator per candidate team or game of each stack rule
+    const stackGroups = (constraints.stacks || []).map(stack => {
+      const groupOf = (p: any) => (stack.type === 'TEAM' ? p.team : constraints.games?.[p.team]);
+      const counted = pool.filter(p => groupOf(p) && (!stack.positions || stack.positions.includes(p.position)));
+      const groups = Array.from(new Set(counted.map(groupOf))).filter(group =>
+        counted.filter(p => groupOf(p) === group).length >= stack.minPlayers &&
+        (stack.include || []).every(position => counted.some(p => groupOf(p) === group && p.position === position))
       );
+      return { stack, groupOf, groups };
+    });
+    const stackVariableCount = stackGroups.reduce((sum, { groups }) => sum + groups.length, 0);
+
+    const variableCount = pool.length + rules.length + stackVariableCount;
+    const objective = [
+      ...pool.map(p => p.projection.projectedPoints),
+      ...rules.map(rule => rule.bonus),
+      ...new Array(stackVariableCount).fill(0)
+    ];
+    const lowerBounds = new Array(variableCount).fill(0);
+    const upperBounds = new Array(variableCount).fill(1);
+
+    for (const id of constraints.mustStart || []) {
+      const i = index.get(id);
+      if (i !== undefined) lowerBounds[i] = 1;
+    }
+
+    const playerTerms = (filter: (p: any) => boolean, coefficient: (p: any) => number = () => 1) =>
+      pool.map((p, i) => [i, filter(p) ? coefficient(p) : 0] as [number, number]).filter(([, c]) => c !== 0);
+
+    const rows: LinearConstraint[] = [
+      { terms: playerTerms(() => true), sense: '=', rhs: slots.length, name: 'slots' }
+    ];
+
+    const capacity = (mask: number) =>
+      slots.filter(slot => positions.some((position, k) => (mask & (1 << k)) && slot.eligible.includes(position))).length;
 
-      if (flexEligible.length > 0) {
-        const flex = flexEligible[0];
-        lineup.FLEX = flex;
-        usedPlayers.add(flex.playerId);
-        totalProjection += flex.projection.projectedPoints;
-        totalSalary += flex.salary || 0;
+    for (let mask = 1; mask < (1 << positions.length); mask++) {
+      const limit = capacity(mask);
+      if (limit >= slots.length) continue;
+
+      // Skip groups already implied by a split into two smaller groups
+      let implied = false;
+      for (let part = (mask - 1) & mask; part > 0 && !implied; part = (part - 1) & mask) {
+        implied = limit >= capacity(part) + capacity(mask ^ part);
       }
+      if (implied) continue;
+
+      const group = positions.filter((_, k) => mask & (1 << k));
+      rows.push({
+        terms: playerTerms(p => group.includes(p.position)),
+        sense: '<=',
+        rhs: limit,
+        name: `capacity:${group.join('/')}`
+      });
+    }
+
+    if (constraints.maxSalary !== undefined) {
+      rows.push({ terms: playerTerms(() => true, p => p.salary || 0), sense: '<=', rhs: constraints.maxSalary, name: 'maxSalary' });
+    }
+    if (constraints.minSalary !== undefined) {
+      rows.push({ terms: playerTerms(() => true, p => p.salary || 0), sense: '>=', rhs: constraints.minSalary, name: 'minSalary' });
+    }
+
+    // A bonus is earned only when every player in the rule starts
+    rules.forEach((rule, r) => {
+      const indicator = pool.length + r;
+      const members = rule.players.map(id => index.get(id)!);
+      if (rule.bonus > 0) {
+        members.forEach(i => rows.push({ terms: [[indicator, 1], [i, -1]], sense: '<=', rhs: 0 }));
+      } else {
+        rows.push({
+          terms: [[indicator, 1], ...members.map(i => [i, -1] as [number, number])],
+          sense: '>=',
+          rhs: 1 - members.length
+        });
+      }
+    });
+
+    let stackVariable = pool.length + rules.length;
+    stackGroups.forEach(({ stack, groupOf, groups }, k) => {
+      const indicators: Array<[number, number]> = [];
+      for (const group of groups) {
+        const indicator = stackVariable++;
+        indicators.push([indicator, 1]);
+        const inGroup = (p: any) => groupOf(p) === group && (!stack.positions || stack.positions.includes(p.position));
+        rows.push({ terms: [[indicator, -stack.minPlayers], ...playerTerms(inGroup)], sense: '>=', rhs: 0 });
+        for (const position of stack.include || []) {
+          rows.push({ terms: [[indicator, -1], ...playerTerms(p => inGroup(p) && p.position === position)], sense: '>=', rhs: 0 });
+        }
+      }
+      rows.push({ terms: indicators, sense: '>=', rhs: 1, name: `stack:${k}` });
+    });
+
+    if (constraints.maxPlayersPerTeam !== undefined) {
+      for (const team of Array.from(new Set(pool.map(p => p.team)))) {
+        rows.push({ terms: playerTerms(p => p.team === team), sense: '<=', rhs: constraints.maxPlayersPerTeam, name: `team:${team}` });
+      }
+    }
+
+    for (const limit of constraints.overlapLimits || []) {
+      const shared = new Set(limit.players);
+      rows.push({ terms: playerTerms(p => shared.has(p.playerId)), sense: '<=', rhs: limit.maxShared, name: 'overlap' });
+    }
+
+    // Lineup risk sqrt(sum variance) / sum points is not linear. The relaxation
+    // sum variance <= t^2 * maxPoints * sum points is valid for every feasible
+    // lineup; exact violations are cut off as they are found.
+    let rejectSolution: ((values: number[]) => number[] | null) | undefined;
+    const threshold = constraints.maxRisk ? RISK_THRESHOLDS[constraints.maxRisk] : Infinity;
+
+    if (threshold < Infinity) {
+      const maxPoints = pool
+        .map(p => p.projection.projectedPoints)
+        .sort((a, b) => b - a)
+        .slice(0, slots.length)
+        .reduce((sum, points) => sum + Math.max(0, points), 0);
+
+      rows.push({
+        terms: playerTerms(
+          () => true,
+          p => this.calculatePlayerVariance(p.projection) - threshold * threshold * maxPoints * p.projection.projectedPoints
+        ),
+        sense: '<=',
+        rhs: 0,
+        name: 'maxRisk'
+      });
+
+      const playerVariables = pool.map((_, i) => i);
+      rejectSolution = values => {
+        const lineup = pool.filter((_, i) => values[i] === 1);
+        return this.calculateLineupRisk(lineup) < threshold ? null : playerVariables;
+      };
     }
 
     return {
-      lineup,
-      projectedPoints: totalProjection,
-      salary: totalSalary,
-      riskScore: this.calculateLineupRisk(lineup),
-      correlationBonus: 0
+      players: pool,
+      rules,
+      program: {
+        variableCount,
+        objective,
+        constraints: rows,
+        lowerBounds,
+        upperBounds,
+        integerVariables: Array.from({ length: variableCount }, (_, j) => j)
+      },
+      rejectSolution
+    };
+  }
+
+  /**
+   * Must-start players no lineup can hold: benched, missing from the
+   * projected pool or eligible for none of the slots
+   */
+  private mustStartConflicts(players: any[], constraints: LineupConstraints, slots: LineupSlot[]): string[] {
+    const reasons: string[] = [];
+    const mustBench = new Set(constraints.mustBench || []);
+
+    for (const id of constraints.mustStart || []) {
+      const player = players.find(p => p.playerId === id);
+      if (mustBench.has(id)) {
+        reasons.push(`${id} is both a must-start and a must-bench player`);
+      } else if (!player) {
+        reasons.push(`Must-start player ${id} is not in the player pool or has no projection`);
+      } else if (!slots.some(slot => slot.eligible.includes(player.position))) {
+        reasons.push(`Must-start player ${id} is not eligible for any lineup slot`);
+      }
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Explain why no lineup exists, testing each constraint group in isolation
+   */
+  private diagnoseInfeasibility(players: any[], constraints: LineupConstraints, slots: LineupSlot[]): string[] {
+    const reasons = this.mustStartConflicts(players, constraints, slots);
+    const mustBench = new Set(constraints.mustBench || []);
+    const available = players.filter(p => !mustBench.has(p.playerId));
+
+    for (const type of Array.from(new Set(slots.map(slot => slot.type)))) {
+      const needed = slots.filter(slot => slot.type === type).length;
+      const eligible = SLOT_ELIGIBILITY[type];
+      const count = available.filter(p => eligible.includes(p.position)).length;
+      if (count < needed) {
+        reasons.push(`Need ${needed} ${type} player(s), only ${count} available`);
+      }
+    }
+
+    if (reasons.length > 0) return reasons;
+
+    const { maxSalary, minSalary, maxRisk, mustStart } = constraints;
+    const relaxations: Array<[string, Partial<LineupConstraints>]> = [];
+
+    if (maxSalary !== undefined || minSalary !== undefined) {
+      relaxations.push([
+        maxSalary !== undefined && minSalary !== undefined
+          ? `No lineup has a salary between ${minSalary} and ${maxSalary}`
+          : maxSalary !== undefined
+            ? `No lineup fits under the ${maxSalary} salary cap`
+            : `No lineup reaches the ${minSalary} salary floor`,
+        { maxSalary: undefined, minSalary: undefined }
+      ]);
+    }
+    if (maxRisk) {
+      relaxations.push([`No lineup stays within the ${maxRisk} risk level`, { maxRisk: undefined }]);
+    }
+    if (mustStart && mustStart.length > 0) {
+      relaxations.push([`Must-start players ${mustStart.join(', ')} cannot all fit the lineup`, { mustStart: [] }]);
+    }
+    if (constraints.stacks && constraints.stacks.length > 0) {
+      relaxations.push(['No lineup satisfies the stack rules', { stacks: [] }]);
+    }
+    if (constraints.maxPlayersPerTeam !== undefined) {
+      relaxations.push([`No lineup uses at most ${constraints.maxPlayersPerTeam} players per team`, { maxPlayersPerTeam: undefined }]);
+    }
+    if (constraints.overlapLimits && constraints.overlapLimits.length > 0) {
+      relaxations.push(['No lineup stays within the player overlap limits', { overlapLimits: [] }]);
+    }
+
+    for (const [reason, relaxed] of relaxations) {
+      const model = this.buildLineupModel(players, { ...constraints, ...relaxed }, slots);
+      // Only a lineup actually found shows the relaxation is the cause
+      if (this.solver.solve(model.program, { rejectSolution: model.rejectSolution }).values.length > 0) {
+        reasons.push(reason);
+      }
+    }
+
+    return reasons.length > 0
+      ? reasons
+      : ['No lineup satisfies all of the lineup constraints together'];
+  }
+
+  /**
+   * Place the chosen players into slots with augmenting-path matching.
+   * Higher projections are placed first so they claim dedicated slots.
+   */
+  private assignSlots(players: any[], slots: LineupSlot[]): OptimalLineup {
+    const selected = [...players].sort((a, b) => b.projection.projectedPoints - a.projection.projectedPoints);
+    const owner = new Array(slots.length).fill(-1);
+
+    const assign = (p: number, visited: boolean[]): boolean => {
+      // Take an open slot before displacing anyone already placed
+      const open = slots.findIndex((slot, s) => owner[s] < 0 && slot.eligible.includes(selected[p].position));
+      if (open >= 0) {
+        owner[open] = p;
+        return true;
+      }
+      for (let s = 0; s < slots.length; s++) {
+        if (visited[s] || !slots[s].eligible.includes(selected[p].position)) continue;
+        visited[s] = true;
+        if (owner[s] < 0 || assign(owner[s], visited)) {
+          owner[s] = p;
+          return true;
+        }
+      }
+      return false;
     };
+
+    selected.forEach((_, p) => assign(p, new Array(slots.length).fill(false)));
+
+    const lineup: any = { RB: [], WR: [] };
+    slots.forEach((slot, s) => {
+      const player = selected[owner[s]];
+      if (MULTI_PLAYER_SLOTS.includes(slot.type)) {
+        lineup[slot.type].push(player);
+      } else {
+        lineup[slot.type] = player;
+      }
+    });
+
+    return lineup;
   }
 
   private calculatePlayerVariance(projection: PlayerProjection): number {
@@ -445,26 +779,17 @@ export class LineupOptimizer {
     return Math.pow(range / 4, 2); // Approximate variance from confidence interval
   }
 
-  private calculateLineupRisk(lineup: any): number {
-    // Calculate overall lineup risk based on player variance and correlations
-    let totalRisk = 0;
-    let playerCount = 0;
-
-    Object.values(lineup).forEach((player: any) => {
-      if (Array.isArray(player)) {
-        player.forEach(p => {
-          if (p && p.projection) {
-            totalRisk += this.calculatePlayerVariance(p.projection);
-            playerCount++;
-          }
-        });
-      } else if (player && player.projection) {
-        totalRisk += this.calculatePlayerVariance(player.projection);
-        playerCount++;
-      }
-    });
+  /**
+   * Lineup risk on the same scale as calculateLineupProjection:
+   * standard deviation of total points relative to the projection
+   */
+  private calculateLineupRisk(players: any[]): number {
+    if (players.length === 0) return 0;
+
+    const totalVariance = players.reduce((sum, p) => sum + this.calculatePlayerVariance(p.projection), 0);
+    const totalProjection = players.reduce((sum, p) => sum + p.projection.projectedPoints, 0);
 
-    return playerCount > 0 ? totalRisk / playerCount : 0;
+    return totalProjection > 0 ? Math.sqrt(totalVariance) / totalProjection : Infinity;
   }
 
   private addPlayersToUsedSet(lineup: OptimalLineup, usedPlayers: Set<string>, overlapRate: number) {
@@ -474,6 +799,7 @@ export class LineupOptimizer {
       ...lineup.WR,
       lineup.TE,
       lineup.FLEX,
+      lineup.SUPERFLEX,
       lineup.K,
       lineup.DEF
     ].filter(Boolean);
@@ -489,7 +815,7 @@ export class LineupOptimizer {
     const byePlayers: string[] = [];
     const currentWeek = new Date().getWeek(); // You'd implement this
 
-    [lineup.QB, ...lineup.RB, ...lineup.WR, lineup.TE, lineup.FLEX, lineup.K, lineup.DEF]
+    [lineup.QB, ...lineup.RB, ...lineup.WR, lineup.TE, lineup.FLEX, lineup.SUPERFLEX, lineup.K, lineup.DEF]
       .filter(Boolean)
       .forEach(player => {
         if (player.byeWeek === currentWeek) {
@@ -503,7 +829,7 @@ export class LineupOptimizer {
   private getInjuredPlayers(lineup: OptimalLineup): string[] {
     const injuredPlayers: string[] = [];
 
-    [lineup.QB, ...lineup.RB, ...lineup.WR, lineup.TE, lineup.FLEX, lineup.K, lineup.DEF]
+    [lineup.QB, ...lineup.RB, ...lineup.WR, lineup.TE, lineup.FLEX, lineup.SUPERFLEX, lineup.K, lineup.DEF]
       .filter(Boolean)
       .forEach(player => {
         if (['QUESTIONABLE', 'DOUBTFUL', 'OUT'].includes(player.injuryStatus)) {
@@ -523,7 +849,7 @@ export class LineupOptimizer {
     const projectionMap = new Map(projections.map(p => [p.playerId, p]));
 
     // Analyze top performers
-    const topPerformers = [lineup.QB, ...lineup.RB, ...lineup.WR, lineup.TE, lineup.FLEX]
+    const topPerformers = [lineup.QB, ...lineup.RB, ...lineup.WR, lineup.TE, lineup.FLEX, lineup.SUPERFLEX]
       .filter(Boolean)
       .map(player => ({
         player,
@@ -572,6 +898,7 @@ export class LineupOptimizer {
       ...lineup.WR.map(p => p.playerId),
       lineup.TE?.playerId,
       lineup.FLEX?.playerId,
+      lineup.SUPERFLEX?.playerId,
       lineup.K?.playerId,
       lineup.DEF?.playerId
     ].filter(Boolean));
@@ -599,8 +926,8 @@ export class LineupOptimizer {
   }
 
   private determineRiskLevel(riskScore: number): RiskLevel {
-    if (riskScore < 0.25) return 'CONSERVATIVE';
-    if (riskScore < 0.4) return 'MODERATE';
+    if (riskScore < RISK_THRESHOLDS.CONSERVATIVE) return 'CONSERVATIVE';
+    if (riskScore < RISK_THRESHOLDS.MODERATE) return 'MODERATE';
     return 'AGGRESSIVE';
   }
 }
@@ -0,0 +1,306 @@
+import { FantasyPlayer, PlayerProjection, OptimalLineup, Position } from '../types/fantasy.types';
+import { SimulationVariable, VariableType, DistributionType, VariableSamples } from '../types/simulation.types';
+import { LineupOptimizer, LineupConstraints } from './lineup-optimizer';
+import { MonteCarloService } from './monte-carlo-service';
+import { CorrelationMatrix } from './correlated-sampling';
+
+/**
+ * Correlation between the fantasy points of two players by position and
+ * whether they are teammates or opponents in the same game
+ */
+export interface PlayerCorrelationRule {
+  positions: [Position, Position];
+  relation: 'TEAMMATE' | 'OPPONENT';
+  coefficient: number;
+}
+
+/**
+ * Typical weekly fantasy point correlations in the NFL
+ */
+export const DEFAULT_PLAYER_CORRELATIONS: PlayerCorrelationRule[] = [
+  { positions: ['QB', 'WR'], relation: 'TEAMMATE', coefficient: 0.4 },
+  { positions: ['QB', 'TE'], relation: 'TEAMMATE', coefficient: 0.3 },
+  { positions: ['QB', 'RB'], relation: 'TEAMMATE', coefficient: 0.1 },
+  { positions: ['QB', 'K'], relation: 'TEAMMATE', coefficient: 0.2 },
+  { positions: ['RB', 'DEF'], relation: 'TEAMMATE', coefficient: 0.2 },
+  { positions: ['RB', 'RB'], relation: 'TEAMMATE', coefficient: -0.15 },
+  { positions: ['WR', 'WR'], relation: 'TEAMMATE', coefficient: -0.05 },
+  { positions: ['QB', 'QB'], relation: 'OPPONENT', coefficient: 0.2 },
+  { positions: ['QB', 'WR'], relation: 'OPPONENT', coefficient: 0.15 },
+  { positions: ['QB', 'DEF'], relation: 'OPPONENT', coefficient: -0.4 },
+  { positions: ['RB', 'DEF'], relation: 'OPPONENT', coefficient: -0.2 },
+  { positions: ['WR', 'DEF'], relation: 'OPPONENT', coefficient: -0.25 },
+  { positions: ['TE', 'DEF'], relation: 'OPPONENT', coefficient: -0.2 }
+];
+
+export type SelectionTarget =
+  | { type: 'OPPONENT'; playerIds: string[] } // head-to-head against a known lineup
+  | { type: 'CASH_LINE'; score: number } // fixed cash line
+  | { type: 'CASH_LINE'; percentile: number; field: string[][] }; // percentile of simulated field lineups
+
+export interface SimulatedSelectionOptions {
+  target: SelectionTarget;
+  targetPlayers?: FantasyPlayer[]; // opponent or field players outside the selectable pool
+  iterations?: number;
+  candidates?: number; // distinct lineups to evaluate
+  correlations?: PlayerCorrelationRule[];
+  seed?: number;
+}
+
+export interface LineupEvaluation {
+  lineup: OptimalLineup;
+  playerIds: string[];
+  expectedPoints: number;
+  standardDeviation: number;
+  winProbability: number;
+  standardError: number;
+}
+
+export interface SimulatedLineupSelection {
+  best: LineupEvaluation;
+  candidates: LineupEvaluation[]; // by descending win probability
+  iterations: number;
+  seed: number;
+  correlationShrinkage: number; // share of requested correlation removed to keep the matrix valid
+}
+
+const DEFAULT_ITERATIONS = 10000;
+const DEFAULT_CANDIDATES = 25;
+const SAMPLE_BLEND = 0.5;
+
+/**
+ * Chooses lineups by simulated win probability rather than expected points.
+ * Player points are sampled jointly through MonteCarloService; candidate
+ * lineups come from the exact optimizer run on the mean projections and on
+ * projections blended toward individual simulated weeks, which favours the
+ * stacks that win together.
+ */
+export class LineupSimulator {
+  constructor(
+    private readonly monteCarloService: MonteCarloService,
+    private readonly optimizer: LineupOptimizer = new LineupOptimizer()
+  ) {}
+
+  async selectLineup(
+    players: FantasyPlayer[],
+    projections: PlayerProjection[],
+    constraints: LineupConstraints,
+    options: SimulatedSelectionOptions
+  ): Promise<SimulatedLineupSelection> {
+    const projectionMap = new Map(projections.map(p => [p.playerId, p]));
+    const playerMap = new Map([...(options.targetPlayers || []), ...players].map(p => [p.playerId, p]));
+
+    // Opponent and field players are simulated too, so their scores share our correlations
+    const simulated = Array.from(new Set([
+      ...players.filter(p => projectionMap.has(p.playerId)).map(p => p.playerId),
+      ...this.targetPlayerIds(options.target)
+    ]));
+    for (const id of simulated) {
+      if (!playerMap.has(id) || !projectionMap.has(id)) {
+        throw new Error(`Player ${id} needs a player record and a projection to be simulated`);
+      }
+    }
+
+    const { variables, shrinkage } = this.buildVariables(
+      simulated.map(id => playerMap.get(id)!),
+      projectionMap,
+      constraints.games || {},
+      options.correlations || DEFAULT_PLAYER_CORRELATIONS
+    );
+
+    const samples = await this.monteCarloService.sampleVariables(
+      variables,
+      options.iterations ?? DEFAULT_ITERATIONS,
+      options.seed !== undefined ? { randomSeed: options.seed } : {}
+    );
+    if (samples.values.length === 0) {
+      throw new Error('Simulation returned no player outcomes');
+    }
+
+    const column = new Map(samples.variables.map((id, i) => [id, i]));
+    const candidates = await this.generateCandidates(players, projections, constraints, samples, column, options);
+    const lines = this.targetLines(options.target, samples, column);
+
+    const evaluations = candidates
+      .map(lineup => this.evaluate(lineup, samples, column, lines))
+      .sort((a, b) => b.winProbability - a.winProbability || b.expectedPoints - a.expectedPoints);
+
+    return {
+      best: evaluations[0],
+      candidates: evaluations,
+      iterations: samples.values.length,
+      seed: samples.seed,
+      correlationShrinkage: shrinkage
+    };
+  }
+
+  /**
+   * Normal marginals with the optimizer's spread (a quarter of the confidence
+   * interval), joined by rule-based correlations. Rules can combine into an
+   * invalid matrix, so coefficients are scaled down until it is positive
+   * semi-definite.
+   */
+  private buildVariables(
+    players: FantasyPlayer[],
+    projections: Map<string, PlayerProjection>,
+    games: { [team: string]: string },
+    rules: PlayerCorrelationRule[]
+  ): { variables: SimulationVariable[]; shrinkage: number } {
+    const coefficient = (a: FantasyPlayer, b: FantasyPlayer): number => {
+      const relation = a.team === b.team
+        ? 'TEAMMATE'
+        : games[a.team] && games[a.team] === games[b.team] ? 'OPPONENT' : null;
+      if (!relation) return 0;
+
+      const rule = rules.find(r => r.relation === relation && (
+        (r.positions[0] === a.position && r.positions[1] === b.position) ||
+        (r.positions[0] === b.position && r.positions[1] === a.position)
+      ));
+      return rule ? rule.coefficient : 0;
+    };
+
+    const pairs: Array<[number, number, number]> = [];
+    for (let i = 0; i < players.length; i++) {
+      for (let j = i + 1; j < players.length; j++) {
+        const rho = coefficient(players[i], players[j]);
+        if (rho !== 0) pairs.push([i, j, rho]);
+      }
+    }
+
+    const build = (scale: number): SimulationVariable[] => players.map((player, i) => {
+      const projection = projections.get(player.playerId)!;
+      const stddev = (projection.confidenceInterval[1] - projection.confidenceInterval[0]) / 4;
+      return {
+        name: player.playerId,
+        type: VariableType.CONTINUOUS,
+        distribution: { type: DistributionType.NORMAL, parameters: { mean: projection.projectedPoints, stddev } },
+        correlation: pairs
+          .filter(([first]) => first === i)
+          .map(([, second, rho]) => ({ variable: players[second].playerId, coefficient: rho * scale }))
+      };
+    });
+
+    const isValid = (scale: number) => CorrelationMatrix.fromVariables(build(scale)).isPositiveSemiDefinite();
+    if (pairs.length === 0 || isValid(1)) {
+      return { variables: build(1), shrinkage: 0 };
+    }
+
+    let low = 0;
+    let high = 1;
+    for (let step = 0; step < 30; step++) {
+      const middle = (low + high) / 2;
+      if (isValid(middle)) low = middle;
+      else high = middle;
+    }
+
+    return { variables: build(low), shrinkage: 1 - low };
+  }
+
+  private async generateCandidates(
+    players: FantasyPlayer[],
+    projections: PlayerProjection[],
+    constraints: LineupConstraints,
+    samples: VariableSamples,
+    column: Map<string, number>,
+    options: SimulatedSelectionOptions
+  ): Promise<OptimalLineup[]> {
+    const wanted = options.candidates ?? DEFAULT_CANDIDATES;
+    const lineups = new Map<string, OptimalLineup>();
+
+    const add = (lineup: OptimalLineup) => {
+      lineups.set(this.lineupPlayerIds(lineup).sort().join(','), lineup);
+    };
+
+    add(await this.optimizer.optimizeLineup(players, projections, constraints));
+
+    // Spread the blended weeks evenly over the sample; stop after enough
+    // attempts even if many weeks lead to the same lineup
+    for (let attempt = 0; lineups.size < wanted && attempt < wanted * 3; attempt++) {
+      const row = samples.values[(attempt * 7919) % samples.values.length];
+      const blended = projections.map(projection => {
+        const i = column.get(projection.playerId);
+        if (i === undefined) return projection;
+        return {
+          ...projection,
+          projectedPoints: projection.projectedPoints + SAMPLE_BLEND * (row[i] - projection.projectedPoints)
+        };
+      });
+      add(await this.optimizer.optimizeLineup(players, blended, constraints));
+    }
+
+    return Array.from(lineups.values());
+  }
+
+  /**
+   * Score to beat in each simulated week
+   */
+  private targetLines(target: SelectionTarget, samples: VariableSamples, column: Map<string, number>): number[] {
+    if (target.type === 'OPPONENT') {
+      return samples.values.map(row => this.score(target.playerIds, row, column));
+    }
+    if ('score' in target) {
+      return samples.values.map(() => target.score);
+    }
+
+    if (target.field.length === 0) {
+      throw new Error('A cash-line percentile needs at least one field lineup');
+    }
+    if (target.percentile <= 0 || target.percentile >= 100) {
+      throw new Error('Cash-line percentile must be between 0 and 100');
+    }
+
+    return samples.values.map(row => {
+      const scores = target.field.map(lineup => this.score(lineup, row, column)).sort((a, b) => a - b);
+      const rank = Math.min(scores.length - 1, Math.ceil((target.percentile / 100) * scores.length) - 1);
+      return scores[Math.max(0, rank)];
+    });
+  }
+
+  private evaluate(
+    lineup: OptimalLineup,
+    samples: VariableSamples,
+    column: Map<string, number>,
+    lines: number[]
+  ): LineupEvaluation {
+    const playerIds = this.lineupPlayerIds(lineup);
+    const n = samples.values.length;
+    let wins = 0;
+    let sum = 0;
+    let sumSquares = 0;
+
+    samples.values.forEach((row, i) => {
+      const score = this.score(playerIds, row, column);
+      sum += score;
+      sumSquares += score * score;
+      if (score > lines[i]) wins += 1;
+      else if (score === lines[i]) wins += 0.5;
+    });
+
+    const mean = sum / n;
+    const winProbability = wins / n;
+
+    return {
+      lineup,
+      playerIds,
+      expectedPoints: mean,
+      standardDeviation: Math.sqrt(Math.max(0, sumSquares / n - mean * mean)),
+      winProbability,
+      standardError: Math.sqrt(winProbability * (1 - winProbability) / n)
+    };
+  }
+
+  private score(playerIds: string[], row: number[], column: Map<string, number>): number {
+    return playerIds.reduce((sum, id) => sum + row[column.get(id)!], 0);
+  }
+
+  private targetPlayerIds(target: SelectionTarget): string[] {
+    if (target.type === 'OPPONENT') return target.playerIds;
+    return 'field' in target ? target.field.flat() : [];
+  }
+
+  private lineupPlayerIds(lineup: OptimalLineup): string[] {
+    return [lineup.QB, ...lineup.RB, ...lineup.WR, lineup.TE, lineup.FLEX, lineup.SUPERFLEX, lineup.K, lineup.DEF]
+      .filter((player): player is FantasyPlayer => Boolean(player))
+      .map(player => player.playerId);
+  }
+}
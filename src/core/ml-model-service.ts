@@ -1,4 +1,4 @@
-import { injectable, inject } from 'inversify';
+import { injectable, inject, optional } from 'inversify';
 import { v4 as uuidv4 } from 'uuid';
 import { 
   Model, 
@@ -14,17 +14,33 @@ import {
   EnsembleConfig,
   ModelPerformanceMetrics,
   Explanation,
-  GlobalExplanation
+  GlobalExplanation,
+  CalibrationMethod,
+  ModelCalibrator
 } from '../types/ml.types';
 import { Logger } from 'winston';
 import { TYPES } from '../container/types';
 import { IShapExplainer, VisualizationData, ConsistencyReport } from './shap-explainer';
+import { XGBoostModel, SerializedXGBoostModel } from './models/xgboost-model';
+import { NeuralNetworkModel, SerializedNeuralNetwork } from './models/neural-network-model';
+import { ModelRegistry, ModelVersionDiff, RegisteredModelVersion } from './model-registry';
+import { ENDPOINT_FEATURE_SCHEMAS, compareFeatureSchema } from './probability-features';
+import { CalibrationReport, applyCalibrator, calibrationReport, fitCalibrator } from './calibration';
+
+type ServedModel = XGBoostModel | NeuralNetworkModel;
+
+export interface CalibrationResult {
+  calibrator: ModelCalibrator;
+  before: CalibrationReport; // raw probabilities on the calibration data
+  after: CalibrationReport; // calibrated probabilities on the same data
+}
 
 export interface IMLModelService {
   createModel(config: ModelConfig): Promise<Model>;
-  trainModel(modelId: string, trainingData: TrainingData): Promise<Model>;
+  trainModel(modelId: string, trainingData: TrainingData, validationData?: TrainingData): Promise<Model>;
   predict(modelId: string, features: FeatureVector): Promise<Prediction>;
   validateModel(modelId: string, testData: TrainingData): Promise<ValidationResult>;
+  calibrateModel(modelId: string, calibrationData: TrainingData, method?: CalibrationMethod): Promise<CalibrationResult>;
   deployModel(modelId: string): Promise<Model>;
   getModel(modelId: string): Promise<Model | null>;
   listModels(type?: ModelType, status?: ModelStatus): Promise<Model[]>;
@@ -33,6 +49,9 @@ export interface IMLModelService {
   // Versioning
   createModelVersion(baseModelId: string, config: ModelConfig): Promise<Model>;
   compareModels(modelId1: string, modelId2: string, testData: TrainingData): Promise<ValidationResult[]>;
+  rollbackModel(name: string): Promise<Model>;
+  diffModelVersions(name: string, fromVersion: string, toVersion: string): Promise<ModelVersionDiff>;
+  restoreFromRegistry(): Promise<Model[]>;
   
   // A/B Testing
   createABTest(config: ABTestConfig): Promise<string>;
@@ -59,10 +78,12 @@ export class MLModelService implements IMLModelService {
   private abTests: Map<string, ABTestConfig> = new Map();
   private abTestResults: Map<string, ABTestResult> = new Map();
   private performanceMetrics: Map<string, ModelPerformanceMetrics[]> = new Map();
+  private servingModels: Map<string, ServedModel> = new Map();
 
   constructor(
     @inject(TYPES.Logger) private logger: Logger,
-    @inject(TYPES.ShapExplainer) private shapExplainer: IShapExplainer
+    @inject(TYPES.ShapExplainer) private shapExplainer: IShapExplainer,
+    @inject(TYPES.ModelRegistry) @optional() private registry?: ModelRegistry
   ) {}
 
   async createModel(config: ModelConfig): Promise<Model> {
@@ -89,7 +110,8 @@ export class MLModelService implements IMLModelService {
       },
       hyperparameters: config.hyperparameters,
       features: config.features,
-      targetVariable: config.targetVariable
+      targetVariable: config.targetVariable,
+      endpoint: config.endpoint
     };
 
     this.models.set(modelId, model);
@@ -98,7 +120,7 @@ export class MLModelService implements IMLModelService {
     return model;
   }
 
-  async trainModel(modelId: string, trainingData: TrainingData): Promise<Model> {
+  async trainModel(modelId: string, trainingData: TrainingData, validationData?: TrainingData): Promise<Model> {
     const model = this.models.get(modelId);
     if (!model) {
       throw new Error(`Model ${modelId} not found`);
@@ -110,13 +132,29 @@ export class MLModelService implements IMLModelService {
       // Update model status
       model.status = ModelStatus.TRAINING;
       model.lastTrained = new Date();
+      model.calibrator = undefined;
       model.metadata.trainingDataSize = trainingData.features.length;
-
-      // Simulate training process based on model type
-      const accuracy = await this.performTraining(model, trainingData);
+      model.metadata.validationDataSize = validationData?.features.length ?? 0;
+
+      let accuracy: number;
+      switch (model.type) {
+        case ModelType.XGBOOST:
+          accuracy = await this.trainXGBoost(model, trainingData, validationData);
+          break;
+        case ModelType.NEURAL_NETWORK:
+          accuracy = await this.trainNeuralNetwork(model, trainingData);
+          break;
+        default:
+          // Simulate training process based on model type
+          accuracy = await this.performTraining(model, trainingData);
+      }
       
       model.accuracy = accuracy;
       model.status = ModelStatus.TRAINED;
+
+      if (this.registry) {
+        await this.registry.register(model, trainingData, model.parentVersion);
+      }
       
       this.logger.info(`Training completed for model ${modelId} with accuracy ${accuracy}`);
       
@@ -138,6 +176,12 @@ export class MLModelService implements IMLModelService {
       throw new Error(`Model ${modelId} is not ready for predictions. Status: ${model.status}`);
     }
 
+    // Trained versions can serve before they are ever deployed, so the
+    // endpoint's schema is checked here too
+    if (model.endpoint) {
+      this.checkEndpointSchema(model, model.endpoint);
+    }
+
     const startTime = Date.now();
     
     // Simulate prediction based on model type
@@ -199,12 +243,57 @@ export class MLModelService implements IMLModelService {
     const validationResult = this.calculateValidationMetrics(predictions, actualValues, crossValidationScores);
     
     model.metadata.testDataSize = testData.features.length;
+
+    if (this.registry) {
+      await this.registry.recordValidation(model.name, model.version, validationResult);
+    }
     
     this.logger.info(`Validation completed for model ${modelId} with accuracy ${validationResult.accuracy}`);
     
     return validationResult;
   }
 
+  /**
+   * Fit a recalibrator for a binary model's win probabilities on held-out
+   * data and attach it to the model version, so predict serves calibrated
+   * probabilities from then on
+   */
+  async calibrateModel(modelId: string, calibrationData: TrainingData, method: CalibrationMethod = 'platt'): Promise<CalibrationResult> {
+    const model = this.models.get(modelId);
+    if (!model) {
+      throw new Error(`Model ${modelId} not found`);
+    }
+
+    const served = this.servingModels.get(modelId);
+    if (!served || this.classificationOutput(served) !== 'binary') {
+      throw new Error(`Model ${modelId} does not serve binary probabilities to calibrate`);
+    }
+
+    const raw: number[] = [];
+    for (const values of calibrationData.features) {
+      raw.push(await served.predict({ values, names: calibrationData.featureNames, timestamp: new Date() }));
+    }
+
+    const calibrator = fitCalibrator(method, raw, calibrationData.targets);
+    model.calibrator = calibrator;
+
+    if (this.registry) {
+      await this.registry.recordCalibration(model.name, model.version, calibrator);
+    }
+
+    const result: CalibrationResult = {
+      calibrator,
+      before: calibrationReport(raw, calibrationData.targets),
+      after: calibrationReport(raw.map(p => applyCalibrator(calibrator, p)), calibrationData.targets)
+    };
+
+    this.logger.info(
+      `Calibrated model ${modelId} with ${method} scaling: ECE ${result.before.expectedCalibrationError} -> ${result.after.expectedCalibrationError}`
+    );
+
+    return result;
+  }
+
   async deployModel(modelId: string): Promise<Model> {
     const model = this.models.get(modelId);
     if (!model) {
@@ -215,14 +304,36 @@ export class MLModelService implements IMLModelService {
       throw new Error(`Model ${modelId} must be trained before deployment`);
     }
 
-    model.status = ModelStatus.DEPLOYED;
-    model.deployedAt = new Date();
+    // A model bound to an endpoint must take exactly the features it sends
+    if (model.endpoint) {
+      this.checkEndpointSchema(model, model.endpoint);
+    }
+
+    if (this.registry) {
+      await this.registry.promote(model.name, model.version);
+    }
+
+    // Serve the model rebuilt from its serialized artifact, as a restart would
+    this.serveArtifact(model);
+    this.markDeployed(model);
     
     this.logger.info(`Deployed model ${modelId}`);
     
     return model;
   }
 
+  /**
+   * Throw unless the model takes exactly the features the endpoint sends,
+   * whatever endpoint the model itself is bound to
+   */
+  async assertEndpointSchema(modelId: string, endpoint: string): Promise<void> {
+    const model = this.models.get(modelId);
+    if (!model) {
+      throw new Error(`Model ${modelId} not found`);
+    }
+    this.checkEndpointSchema(model, endpoint);
+  }
+
   async getModel(modelId: string): Promise<Model | null> {
     return this.models.get(modelId) || null;
   }
@@ -242,7 +353,13 @@ export class MLModelService implements IMLModelService {
   }
 
   async deleteModel(modelId: string): Promise<boolean> {
+    const model = this.models.get(modelId);
+    if (model && this.registry) {
+      await this.registry.unregister(model.name, model.version);
+    }
+
     const deleted = this.models.delete(modelId);
+    this.servingModels.delete(modelId);
     if (deleted) {
       this.logger.info(`Deleted model ${modelId}`);
     }
@@ -265,6 +382,8 @@ export class MLModelService implements IMLModelService {
     const newModel = await this.createModel(config);
     newModel.name = baseModel.name;
     newModel.version = newVersion;
+    newModel.parentVersion = baseModel.version;
+    newModel.endpoint = config.endpoint ?? baseModel.endpoint;
     
     return newModel;
   }
@@ -280,6 +399,60 @@ export class MLModelService implements IMLModelService {
     return results;
   }
 
+  /**
+   * Put the previously promoted version of a model back into production,
+   * loading it from the registry if it is not in memory
+   */
+  async rollbackModel(name: string): Promise<Model> {
+    const registry = this.requireRegistry();
+    const entry = await registry.rollback(name);
+    const version = entry.production!;
+
+    let model = Array.from(this.models.values()).find(m => m.name === name && m.version === version);
+    if (!model) {
+      model = await this.restoreVersion(await registry.getVersion(name, version));
+    }
+
+    this.serveArtifact(model);
+    this.markDeployed(model);
+
+    this.logger.info(`Rolled back ${name} to version ${version}`);
+
+    return model;
+  }
+
+  async diffModelVersions(name: string, fromVersion: string, toVersion: string): Promise<ModelVersionDiff> {
+    return this.requireRegistry().diff(name, fromVersion, toVersion);
+  }
+
+  /**
+   * Load every registered version into memory, serving the production
+   * version of each model from its stored artifact
+   */
+  async restoreFromRegistry(): Promise<Model[]> {
+    const registry = this.requireRegistry();
+    const restored: Model[] = [];
+
+    for (const name of await registry.listModels()) {
+      const entry = (await registry.getEntry(name))!;
+
+      for (const record of entry.versions) {
+        if (this.models.has(record.modelId)) continue;
+
+        const model = await this.restoreVersion(record);
+        if (entry.production === record.version) {
+          this.serveArtifact(model);
+          this.markDeployed(model);
+        }
+        restored.push(model);
+      }
+    }
+
+    this.logger.info(`Restored ${restored.length} model versions from the registry`);
+
+    return restored;
+  }
+
   async createABTest(config: ABTestConfig): Promise<string> {
     const testId = uuidv4();
     this.abTests.set(testId, config);
@@ -428,6 +601,116 @@ export class MLModelService implements IMLModelService {
     );
   }
 
+  private checkEndpointSchema(model: Model, endpoint: string): void {
+    const schema = ENDPOINT_FEATURE_SCHEMAS[endpoint];
+    if (!schema) {
+      throw new Error(`No feature schema for endpoint ${endpoint} of model ${model.name}`);
+    }
+    const mismatch = compareFeatureSchema(model.features, schema);
+    if (mismatch) {
+      const problems = [
+        mismatch.missing.length > 0 ? `missing ${mismatch.missing.join(', ')}` : '',
+        mismatch.unexpected.length > 0 ? `unexpected ${mismatch.unexpected.join(', ')}` : '',
+        mismatch.reordered ? 'features out of order' : ''
+      ].filter(Boolean);
+      throw new Error(
+        `Model ${model.name} ${model.version} does not match the ${schema.name} v${schema.version} feature schema: ${problems.join('; ')}`
+      );
+    }
+  }
+
+  private requireRegistry(): ModelRegistry {
+    if (!this.registry) {
+      throw new Error('Model registry is not configured');
+    }
+    return this.registry;
+  }
+
+  private async restoreVersion(record: RegisteredModelVersion): Promise<Model> {
+    const model: Model = {
+      id: record.modelId,
+      name: record.name,
+      type: record.type,
+      version: record.version,
+      status: ModelStatus.TRAINED,
+      accuracy: record.accuracy,
+      createdAt: new Date(record.registeredAt),
+      lastTrained: new Date(record.trainedAt),
+      metadata: record.metadata,
+      hyperparameters: record.hyperparameters,
+      features: record.featureSchema,
+      targetVariable: record.targetVariable,
+      artifact: record.hasArtifact ? await this.registry!.loadArtifact(record.name, record.version) : undefined,
+      parentVersion: record.parentVersion,
+      calibrator: record.calibrator,
+      endpoint: record.endpoint
+    };
+
+    this.models.set(model.id, model);
+
+    return model;
+  }
+
+  private serveArtifact(model: Model): void {
+    if (model.artifact && model.type === ModelType.XGBOOST) {
+      this.servingModels.set(model.id, XGBoostModel.fromJSON(model.artifact as SerializedXGBoostModel));
+    } else if (model.artifact && model.type === ModelType.NEURAL_NETWORK) {
+      this.servingModels.set(model.id, NeuralNetworkModel.fromJSON(model.artifact as SerializedNeuralNetwork));
+    }
+  }
+
+  // Only one version of a model is deployed at a time; the one it replaces stays usable as trained
+  private markDeployed(model: Model): void {
+    this.models.forEach(other => {
+      if (other !== model && other.name === model.name && other.status === ModelStatus.DEPLOYED) {
+        other.status = ModelStatus.TRAINED;
+      }
+    });
+
+    model.status = ModelStatus.DEPLOYED;
+    model.deployedAt = new Date();
+  }
+
+  /**
+   * Fit a gradient boosted model, keep its serialized trees on the model and
+   * score it as 1 - mean absolute error on the training data
+   */
+  private async trainXGBoost(model: Model, trainingData: TrainingData, validationData?: TrainingData): Promise<number> {
+    const xgboost = new XGBoostModel(XGBoostModel.fromHyperparameters(model.hyperparameters));
+    await xgboost.train(trainingData, validationData);
+
+    model.artifact = xgboost.toJSON();
+    this.servingModels.set(model.id, xgboost);
+
+    return this.scoreTrainedModel(xgboost, trainingData);
+  }
+
+  /**
+   * Fit a feed-forward network, keep its serialized weights on the model and
+   * record the epochs actually run in the model metadata
+   */
+  private async trainNeuralNetwork(model: Model, trainingData: TrainingData): Promise<number> {
+    const network = new NeuralNetworkModel(NeuralNetworkModel.fromHyperparameters(model.hyperparameters));
+    await network.train(trainingData);
+
+    model.artifact = network.toJSON();
+    model.metadata.trainingHistory = network.getTrainingHistory();
+    this.servingModels.set(model.id, network);
+
+    return this.scoreTrainedModel(network, trainingData);
+  }
+
+  // 1 - mean absolute error on the training data
+  private async scoreTrainedModel(served: ServedModel, trainingData: TrainingData): Promise<number> {
+    let totalError = 0;
+    for (let i = 0; i < trainingData.features.length; i++) {
+      const features: FeatureVector = { values: trainingData.features[i], names: trainingData.featureNames, timestamp: new Date() };
+      totalError += Math.abs(await served.predict(features) - trainingData.targets[i]);
+    }
+
+    return Math.min(1, Math.max(0, 1 - totalError / trainingData.features.length));
+  }
+
   private async performTraining(model: Model, trainingData: TrainingData): Promise<number> {
     // Simulate training time based on model type and data size
     const trainingTime = this.calculateTrainingTime(model.type, trainingData.features.length);
@@ -451,6 +734,11 @@ export class MLModelService implements IMLModelService {
   }
 
   private async performPrediction(model: Model, features: FeatureVector): Promise<Prediction> {
+    const served = this.servingModels.get(model.id);
+    if (served) {
+      return this.predictWithServedModel(model, served, features);
+    }
+
     // Simulate prediction time
     await this.sleep(10 + Math.random() * 20);
     
@@ -467,6 +755,48 @@ export class MLModelService implements IMLModelService {
     return prediction;
   }
 
+  private async predictWithServedModel(model: Model, served: ServedModel, features: FeatureVector): Promise<Prediction> {
+    let value = await served.predict(features);
+    const output = this.classificationOutput(served);
+
+    // Classification confidence is the probability of the predicted class
+    let probability: number | undefined;
+    let uncalibratedProbability: number | undefined;
+    let confidence = model.accuracy;
+    if (output === 'binary') {
+      if (model.calibrator) {
+        uncalibratedProbability = value;
+        value = applyCalibrator(model.calibrator, value);
+      }
+      probability = value;
+      confidence = Math.max(value, 1 - value);
+    } else if (output === 'multiclass') {
+      probability = Math.max(...await served.predictProba(features));
+      confidence = probability;
+    }
+
+    return {
+      value,
+      confidence,
+      probability,
+      uncalibratedProbability,
+      timestamp: new Date(),
+      modelId: model.id,
+      modelVersion: model.version,
+      features
+    };
+  }
+
+  private classificationOutput(served: ServedModel): 'binary' | 'multiclass' | null {
+    if (served instanceof XGBoostModel) {
+      const objective = served.getConfig().objective;
+      return objective === 'binary:logistic' ? 'binary' : objective === 'multi:softprob' ? 'multiclass' : null;
+    }
+
+    const activation = served.getConfig().outputActivation;
+    return activation === 'sigmoid' ? 'binary' : activation === 'softmax' ? 'multiclass' : null;
+  }
+
   private async performCrossValidationFold(model: Model, data: TrainingData, fold: number, totalFolds: number): Promise<number> {
     // Simulate cross-validation fold
     await this.sleep(50 + Math.random() * 100);
@@ -0,0 +1,340 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { Model, ModelCalibrator, ModelMetadata, ModelType, TrainingData, ValidationResult } from '../types/ml.types';
+import { canonicalJson } from './reproducibility';
+
+export type ValidationMetrics = Omit<ValidationResult, 'testResults'>;
+
+/**
+ * Everything needed to rebuild and audit one trained version of a model
+ */
+export interface RegisteredModelVersion {
+  modelId: string;
+  name: string;
+  version: string;
+  type: ModelType;
+  registeredAt: string;
+  trainedAt: string;
+  accuracy: number;
+  metadata: ModelMetadata;
+  hyperparameters: Record<string, any>;
+  featureSchema: string[];
+  targetVariable: string;
+  trainingDataFingerprint: string;
+  validationMetrics?: ValidationMetrics;
+  calibrator?: ModelCalibrator;
+  parentVersion?: string; // version this one was derived from
+  endpoint?: string;
+  hasArtifact: boolean;
+}
+
+export interface PromotionEvent {
+  version: string;
+  action: 'PROMOTE' | 'ROLLBACK';
+  at: string;
+}
+
+export interface RegistryEntry {
+  name: string;
+  production: string | null;
+  versions: RegisteredModelVersion[];
+  promotions: PromotionEvent[];
+}
+
+export interface ModelVersionDiff {
+  name: string;
+  from: string;
+  to: string;
+  hyperparameters: Array<{ key: string; from: any; to: any }>;
+  features: { added: string[]; removed: string[]; reordered: boolean };
+  targetVariableChanged: boolean;
+  trainingDataChanged: boolean;
+  metrics: { [metric: string]: { from: number; to: number; delta: number } };
+  lineage: string[]; // versions from `from` down to `to`, empty when `to` does not descend from a registered `from`
+}
+
+export class ModelRegistryError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'ModelRegistryError';
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, ModelRegistryError);
+    }
+  }
+}
+
+/**
+ * SHA-256 of the rows, targets and feature names a model was trained on
+ */
+export function fingerprintTrainingData(data: TrainingData): string {
+  return createHash('sha256')
+    .update(canonicalJson({ featureNames: data.featureNames, features: data.features, targets: data.targets }))
+    .digest('hex');
+}
+
+/**
+ * File-backed registry of trained model versions. Each model name gets a
+ * directory holding entry.json (versions, lineage and promotion history) and
+ * one serialized artifact per version. Files are replaced atomically so a
+ * crash never leaves a half-written entry.
+ */
+export class ModelRegistry {
+  private rootDir: string;
+
+  constructor(rootDir: string) {
+    this.rootDir = rootDir;
+  }
+
+  async register(
+    model: Model,
+    trainingData: TrainingData,
+    parentVersion?: string
+  ): Promise<RegisteredModelVersion> {
+    const entry = (await this.readEntry(model.name)) ?? { name: model.name, production: null, versions: [], promotions: [] };
+
+    const record: RegisteredModelVersion = {
+      modelId: model.id,
+      name: model.name,
+      version: model.version,
+      type: model.type,
+      registeredAt: new Date().toISOString(),
+      trainedAt: model.lastTrained.toISOString(),
+      accuracy: model.accuracy,
+      metadata: { ...model.metadata },
+      hyperparameters: { ...model.hyperparameters },
+      featureSchema: [...model.features],
+      targetVariable: model.targetVariable,
+      trainingDataFingerprint: fingerprintTrainingData(trainingData),
+      parentVersion,
+      endpoint: model.endpoint,
+      hasArtifact: model.artifact !== undefined
+    };
+
+    if (model.artifact !== undefined) {
+      await this.writeJson(this.artifactPath(model.name, model.version), model.artifact);
+    }
+
+    // Retraining an existing version replaces its record and drops stale validation metrics and calibration
+    entry.versions = [...entry.versions.filter(v => v.version !== model.version), record];
+    await this.writeEntry(entry);
+
+    return record;
+  }
+
+  async recordValidation(name: string, version: string, result: ValidationResult): Promise<RegisteredModelVersion> {
+    const entry = await this.requireEntry(name);
+    const record = this.requireVersion(entry, version);
+    const { testResults, ...metrics } = result;
+
+    record.validationMetrics = metrics;
+    await this.writeEntry(entry);
+
+    return record;
+  }
+
+  async recordCalibration(name: string, version: string, calibrator: ModelCalibrator): Promise<RegisteredModelVersion> {
+    const entry = await this.requireEntry(name);
+    const record = this.requireVersion(entry, version);
+
+    record.calibrator = calibrator;
+    await this.writeEntry(entry);
+
+    return record;
+  }
+
+  /**
+   * Drop a version and its artifact, and the model's directory with its last
+   * version. Returns false when the version was never registered.
+   */
+  async unregister(name: string, version: string): Promise<boolean> {
+    const entry = await this.readEntry(name);
+    if (!entry || !entry.versions.some(v => v.version === version)) {
+      return false;
+    }
+    if (entry.production === version) {
+      throw new ModelRegistryError(`Version ${version} of ${name} is in production; roll back before removing it`);
+    }
+
+    entry.versions = entry.versions.filter(v => v.version !== version);
+    if (entry.versions.length === 0) {
+      await fs.rm(this.modelDir(name), { recursive: true, force: true });
+    } else {
+      await fs.rm(this.artifactPath(name, version), { force: true });
+      await this.writeEntry(entry);
+    }
+
+    return true;
+  }
+
+  async listModels(): Promise<string[]> {
+    try {
+      const names = await fs.readdir(this.rootDir);
+      const entries = await Promise.all(names.map(name => this.readEntry(decodeURIComponent(name))));
+      return entries.filter((entry): entry is RegistryEntry => entry !== null).map(entry => entry.name);
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async getEntry(name: string): Promise<RegistryEntry | null> {
+    return this.readEntry(name);
+  }
+
+  async getVersion(name: string, version: string): Promise<RegisteredModelVersion> {
+    return this.requireVersion(await this.requireEntry(name), version);
+  }
+
+  async loadArtifact(name: string, version: string): Promise<Record<string, any>> {
+    const record = await this.getVersion(name, version);
+    if (!record.hasArtifact) {
+      throw new ModelRegistryError(`Version ${version} of ${name} has no stored artifact`);
+    }
+    return JSON.parse(await fs.readFile(this.artifactPath(name, version), 'utf8'));
+  }
+
+  async promote(name: string, version: string): Promise<RegistryEntry> {
+    const entry = await this.requireEntry(name);
+    this.requireVersion(entry, version);
+
+    entry.production = version;
+    entry.promotions.push({ version, action: 'PROMOTE', at: new Date().toISOString() });
+    await this.writeEntry(entry);
+
+    return entry;
+  }
+
+  /**
+   * Put the version that was in production before the current one back.
+   * Repeated rollbacks walk further back through the promotion history.
+   */
+  async rollback(name: string): Promise<RegistryEntry> {
+    const entry = await this.requireEntry(name);
+    const history = this.productionHistory(entry);
+
+    if (history.length < 2) {
+      throw new ModelRegistryError(`No earlier production version of ${name} to roll back to`);
+    }
+
+    const version = history[history.length - 2];
+    entry.production = version;
+    entry.promotions.push({ version, action: 'ROLLBACK', at: new Date().toISOString() });
+    await this.writeEntry(entry);
+
+    return entry;
+  }
+
+  async diff(name: string, from: string, to: string): Promise<ModelVersionDiff> {
+    const entry = await this.requireEntry(name);
+    const a = this.requireVersion(entry, from);
+    const b = this.requireVersion(entry, to);
+
+    const keys = Array.from(new Set([...Object.keys(a.hyperparameters), ...Object.keys(b.hyperparameters)])).sort();
+    const hyperparameters = keys
+      .filter(key => canonicalJson(a.hyperparameters[key]) !== canonicalJson(b.hyperparameters[key]))
+      .map(key => ({ key, from: a.hyperparameters[key], to: b.hyperparameters[key] }));
+
+    const added = b.featureSchema.filter(f => !a.featureSchema.includes(f));
+    const removed = a.featureSchema.filter(f => !b.featureSchema.includes(f));
+    const reordered = added.length === 0 && removed.length === 0 &&
+      a.featureSchema.some((f, i) => b.featureSchema[i] !== f);
+
+    const metrics: ModelVersionDiff['metrics'] = {
+      accuracy: { from: a.accuracy, to: b.accuracy, delta: b.accuracy - a.accuracy }
+    };
+    if (a.validationMetrics && b.validationMetrics) {
+      (['accuracy', 'precision', 'recall', 'f1Score', 'auc', 'mse', 'mae', 'r2'] as const).forEach(metric => {
+        const x = a.validationMetrics![metric];
+        const y = b.validationMetrics![metric];
+        if (typeof x === 'number' && typeof y === 'number') {
+          metrics[`validation.${metric}`] = { from: x, to: y, delta: y - x };
+        }
+      });
+    }
+
+    return {
+      name,
+      from,
+      to,
+      hyperparameters,
+      features: { added, removed, reordered },
+      targetVariableChanged: a.targetVariable !== b.targetVariable,
+      trainingDataChanged: a.trainingDataFingerprint !== b.trainingDataFingerprint,
+      metrics,
+      lineage: this.lineage(entry, from, to)
+    };
+  }
+
+  // Versions in production over time, with rollbacks undoing the promotions they revert
+  private productionHistory(entry: RegistryEntry): string[] {
+    const stack: string[] = [];
+    entry.promotions.forEach(event => {
+      if (event.action === 'ROLLBACK') {
+        stack.pop();
+      } else if (stack[stack.length - 1] !== event.version) {
+        stack.push(event.version);
+      }
+    });
+    return stack;
+  }
+
+  private lineage(entry: RegistryEntry, from: string, to: string): string[] {
+    const chain: string[] = [];
+    let current: RegisteredModelVersion | undefined = this.requireVersion(entry, to);
+
+    while (current) {
+      chain.unshift(current.version);
+      if (current.version === from) return chain;
+      const parent: string | undefined = current.parentVersion;
+      current = parent ? entry.versions.find(v => v.version === parent) : undefined;
+    }
+
+    return [];
+  }
+
+  private async requireEntry(name: string): Promise<RegistryEntry> {
+    const entry = await this.readEntry(name);
+    if (!entry) {
+      throw new ModelRegistryError(`Model ${name} is not registered`);
+    }
+    return entry;
+  }
+
+  private requireVersion(entry: RegistryEntry, version: string): RegisteredModelVersion {
+    const record = entry.versions.find(v => v.version === version);
+    if (!record) {
+      throw new ModelRegistryError(`Version ${version} of ${entry.name} is not registered`);
+    }
+    return record;
+  }
+
+  private modelDir(name: string): string {
+    return path.join(this.rootDir, encodeURIComponent(name));
+  }
+
+  private artifactPath(name: string, version: string): string {
+    return path.join(this.modelDir(name), `${encodeURIComponent(version)}.artifact.json`);
+  }
+
+  private async readEntry(name: string): Promise<RegistryEntry | null> {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.modelDir(name), 'entry.json'), 'utf8'));
+    } catch (error: any) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') return null;
+      throw error;
+    }
+  }
+
+  private async writeEntry(entry: RegistryEntry): Promise<void> {
+    await this.writeJson(path.join(this.modelDir(entry.name), 'entry.json'), entry);
+  }
+
+  private async writeJson(file: string, value: any): Promise<void> {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify(value));
+    await fs.rename(temp, file);
+  }
+}
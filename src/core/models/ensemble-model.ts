@@ -1,9 +1,17 @@
 import { TrainingData, FeatureVector, EnsembleConfig } from '../../types/ml.types';
-import { XGBoostModel } from './xgboost-model';
-import { NeuralNetworkModel } from './neural-network-model';
+import { XGBoostModel, SerializedXGBoostModel } from './xgboost-model';
+import { NeuralNetworkModel, SerializedNeuralNetwork } from './neural-network-model';
 
 export type BaseModel = XGBoostModel | NeuralNetworkModel;
 
+export interface SerializedEnsemble {
+  format: 'ensemble-ts';
+  version: 1;
+  config: EnsembleConfig;
+  featureNames: string[];
+  members: Array<SerializedXGBoostModel | SerializedNeuralNetwork>;
+}
+
 export class EnsembleModel {
   private config: EnsembleConfig;
   private models: BaseModel[] = [];
@@ -26,6 +34,38 @@ export class EnsembleModel {
     this.weights = this.weights.map(w => w / weightSum);
   }
 
+  /**
+   * Rebuild a trained ensemble from toJSON output
+   */
+  static fromJSON(serialized: SerializedEnsemble): EnsembleModel {
+    if (!serialized || serialized.format !== 'ensemble-ts' || !Array.isArray(serialized.members)) {
+      throw new Error('Invalid serialized ensemble');
+    }
+
+    const members = serialized.members.map(member => member.format === 'xgboost-ts'
+      ? XGBoostModel.fromJSON(member)
+      : NeuralNetworkModel.fromJSON(member));
+    const ensemble = new EnsembleModel(serialized.config, members);
+    ensemble.featureNames = [...serialized.featureNames];
+    ensemble.isTrained = true;
+
+    return ensemble;
+  }
+
+  toJSON(): SerializedEnsemble {
+    if (!this.isTrained) {
+      throw new Error('Ensemble must be trained before it can be serialized');
+    }
+
+    return {
+      format: 'ensemble-ts',
+      version: 1,
+      config: { ...this.config },
+      featureNames: [...this.featureNames],
+      members: this.models.map(model => model.toJSON())
+    };
+  }
+
   async train(trainingData: TrainingData): Promise<void> {
     try {
       this.featureNames = trainingData.featureNames;
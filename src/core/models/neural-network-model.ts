@@ -1,5 +1,6 @@
-import * as tf from '@tensorflow/tfjs';
-import { TrainingData, FeatureVector, Prediction, ModelConfig } from '../../types/ml.types';
+import { promises as fs } from 'fs';
+import { TrainingData, FeatureVector, TrainingHistory } from '../../types/ml.types';
+import { SeededRandom } from '../seeded-random';
 
 export interface NeuralNetworkConfig {
   hiddenLayers?: number[];
@@ -16,15 +17,69 @@ export interface NeuralNetworkConfig {
     l2?: number;
   };
   earlyStoppingPatience?: number;
+  attributionSteps?: number; // integrated gradients steps from the mean input
+  seed?: number;
 }
 
+export interface DenseLayer {
+  weights: number[][]; // [output unit][input unit]
+  biases: number[];
+}
+
+export interface SerializedNeuralNetwork {
+  format: 'mlp-ts';
+  version: 1;
+  config: NeuralNetworkConfig;
+  featureNames: string[];
+  classes: number[];
+  featureMeans: number[];
+  featureScales: number[];
+  layers: DenseLayer[];
+  history: TrainingHistory;
+  featureImportances: { [featureName: string]: number };
+}
+
+// Hyperparameter names used by MLModelService configs
+const HYPERPARAMETER_ALIASES: { [name: string]: keyof NeuralNetworkConfig } = {
+  hidden_layers: 'hiddenLayers',
+  output_activation: 'outputActivation',
+  learning_rate: 'learningRate',
+  batch_size: 'batchSize',
+  validation_split: 'validationSplit',
+  early_stopping_patience: 'earlyStoppingPatience',
+  attribution_steps: 'attributionSteps',
+  random_state: 'seed'
+};
+
+const ADAM_BETA1 = 0.9;
+const ADAM_BETA2 = 0.999;
+const RMSPROP_RHO = 0.9;
+const OPTIMIZER_EPSILON = 1e-7;
+const PROBABILITY_EPSILON = 1e-7;
+const IMPORTANCE_SAMPLE_SIZE = 200;
+
+interface ForwardPass {
+  activations: number[][]; // input (standardized) followed by each layer's output
+  preActivations: number[][];
+  masks: Array<number[] | null>; // inverted dropout scale per hidden unit
+}
+
+/**
+ * Multi-layer perceptron trained on the CPU with mini-batch backpropagation.
+ * Inputs are standardized with the training mean and deviation; the last
+ * validationSplit share of the rows is held out for early stopping, as Keras
+ * does. Softmax outputs treat the distinct targets as class labels.
+ */
 export class NeuralNetworkModel {
   private config: NeuralNetworkConfig;
-  private model: tf.Sequential | null = null;
+  private layers: DenseLayer[] | null = null;
   private isTrained: boolean = false;
   private featureNames: string[] = [];
-  private inputShape: number = 0;
-  private outputShape: number = 1;
+  private classes: number[] = [];
+  private featureMeans: number[] = [];
+  private featureScales: number[] = [];
+  private history: TrainingHistory | null = null;
+  private featureImportances: { [featureName: string]: number } = {};
 
   constructor(config: NeuralNetworkConfig) {
     this.config = {
@@ -36,81 +91,127 @@ export class NeuralNetworkModel {
         learningRate: 0.001,
         batchSize: 32,
         epochs: 100,
-        validationSplit: 0.2
+        validationSplit: 0.2,
+        attributionSteps: 32,
+        seed: 0
       },
       ...config
     };
   }
 
+  static fromHyperparameters(hyperparameters: Record<string, any>): NeuralNetworkConfig {
+    const config: Record<string, any> = {};
+    Object.entries(hyperparameters).forEach(([name, value]) => {
+      config[HYPERPARAMETER_ALIASES[name] ?? name] = value;
+    });
+    return config as NeuralNetworkConfig;
+  }
+
+  static fromJSON(serialized: SerializedNeuralNetwork): NeuralNetworkModel {
+    if (!serialized || serialized.format !== 'mlp-ts' || !Array.isArray(serialized.layers)) {
+      throw new Error('Invalid serialized neural network');
+    }
+
+    const model = new NeuralNetworkModel(serialized.config);
+    model.featureNames = [...serialized.featureNames];
+    model.classes = [...serialized.classes];
+    model.featureMeans = [...serialized.featureMeans];
+    model.featureScales = [...serialized.featureScales];
+    model.layers = cloneLayers(serialized.layers);
+    model.history = { ...serialized.history };
+    model.featureImportances = { ...serialized.featureImportances };
+    model.isTrained = true;
+    return model;
+  }
+
+  toJSON(): SerializedNeuralNetwork {
+    if (!this.isTrained || !this.layers || !this.history) {
+      throw new Error('Model must be trained before it can be serialized');
+    }
+
+    return {
+      format: 'mlp-ts',
+      version: 1,
+      config: { ...this.config },
+      featureNames: [...this.featureNames],
+      classes: [...this.classes],
+      featureMeans: [...this.featureMeans],
+      featureScales: [...this.featureScales],
+      layers: cloneLayers(this.layers),
+      history: { ...this.history },
+      featureImportances: { ...this.featureImportances }
+    };
+  }
+
   async train(trainingData: TrainingData): Promise<void> {
     try {
+      this.validateData(trainingData);
       this.featureNames = trainingData.featureNames;
-      this.inputShape = trainingData.featureNames.length;
-      
-      // Build the model architecture
-      this.buildModel();
-      
-      // Prepare training data
-      const { xTrain, yTrain } = this.prepareTrainingData(trainingData);
-      
-      // Train the model
-      await this.trainModel(xTrain, yTrain);
-      
+      this.classes = this.config.outputActivation === 'softmax'
+        ? Array.from(new Set(trainingData.targets)).sort((a, b) => a - b)
+        : [];
+
+      // Hold out the last rows for validation
+      const total = trainingData.features.length;
+      const trainCount = Math.max(1, Math.floor(total * (1 - this.config.validationSplit!)));
+      const trainRows = trainingData.features.slice(0, trainCount);
+      const trainTargets = trainingData.targets.slice(0, trainCount);
+      const validationRows = trainingData.features.slice(trainCount);
+      const validationTargets = trainingData.targets.slice(trainCount);
+
+      this.fitScaler(trainRows);
+      const rng = new SeededRandom(this.config.seed!);
+      this.layers = this.initializeLayers(rng.split(0));
+
+      this.history = this.fit(
+        trainRows.map(row => this.standardize(row)),
+        trainTargets.map(t => this.encodeTarget(t)),
+        validationRows.map(row => this.standardize(row)),
+        validationTargets.map(t => this.encodeTarget(t)),
+        rng.split(1)
+      );
       this.isTrained = true;
+      this.featureImportances = this.calculateFeatureImportance(trainRows);
     } catch (error) {
+      this.isTrained = false;
       throw new Error(`Neural network training failed: ${error}`);
     }
   }
 
+  /**
+   * Regression output, sigmoid probability, or the most likely class label
+   * for softmax outputs (see predictProba for the distribution)
+   */
   async predict(features: FeatureVector): Promise<number> {
-    if (!this.isTrained || !this.model) {
-      throw new Error('Model must be trained before making predictions');
-    }
+    const output = this.predictOutput(features);
 
-    if (features.names.length !== this.featureNames.length) {
-      throw new Error(`Feature count mismatch. Expected ${this.featureNames.length}, got ${features.names.length}`);
+    if (this.config.outputActivation !== 'softmax') {
+      return output[0];
     }
+    return this.classes[output.indexOf(Math.max(...output))];
+  }
 
-    // Convert features to tensor
-    const inputTensor = tf.tensor2d([features.values], [1, features.values.length]);
-    
-    try {
-      const prediction = this.model.predict(inputTensor) as tf.Tensor;
-      const result = await prediction.data();
-      
-      // Clean up tensors
-      inputTensor.dispose();
-      prediction.dispose();
-      
-      return result[0];
-    } catch (error) {
-      inputTensor.dispose();
-      throw new Error(`Prediction failed: ${error}`);
+  async predictProba(features: FeatureVector): Promise<number[]> {
+    const output = this.predictOutput(features);
+
+    switch (this.config.outputActivation) {
+      case 'softmax':
+        return output;
+      case 'sigmoid':
+        return [1 - output[0], output[0]];
+      default:
+        throw new Error('Class probabilities require a sigmoid or softmax output');
     }
   }
 
   async predictBatch(featuresArray: FeatureVector[]): Promise<number[]> {
-    if (!this.isTrained || !this.model) {
-      throw new Error('Model must be trained before making predictions');
-    }
+    const predictions: number[] = [];
 
-    // Convert all features to a single tensor
-    const batchData = featuresArray.map(f => f.values);
-    const inputTensor = tf.tensor2d(batchData);
-    
-    try {
-      const predictions = this.model.predict(inputTensor) as tf.Tensor;
-      const results = await predictions.data();
-      
-      // Clean up tensors
-      inputTensor.dispose();
-      predictions.dispose();
-      
-      return Array.from(results);
-    } catch (error) {
-      inputTensor.dispose();
-      throw new Error(`Batch prediction failed: ${error}`);
+    for (const features of featuresArray) {
+      predictions.push(await this.predict(features));
     }
+
+    return predictions;
   }
 
   getConfig(): NeuralNetworkConfig {
@@ -121,206 +222,456 @@ export class NeuralNetworkModel {
     return this.isTrained;
   }
 
-  private buildModel(): void {
-    this.model = tf.sequential();
+  getClasses(): number[] {
+    return [...this.classes];
+  }
 
-    // Input layer
-    this.model.add(tf.layers.dense({
-      inputShape: [this.inputShape],
-      units: this.config.hiddenLayers![0],
-      activation: this.config.activation!,
-      kernelRegularizer: this.getRegularizer()
-    }));
+  private validateData(data: TrainingData): void {
+    if (data.features.length === 0) {
+      throw new Error('Training data must contain at least one sample');
+    }
+    if (data.features.length !== data.targets.length) {
+      throw new Error(`Got ${data.features.length} feature rows for ${data.targets.length} targets`);
+    }
+    data.features.forEach(row => {
+      if (row.length !== data.featureNames.length) {
+        throw new Error(`Feature count mismatch. Expected ${data.featureNames.length}, got ${row.length}`);
+      }
+    });
+    if (this.config.outputActivation === 'sigmoid' && data.targets.some(t => t < 0 || t > 1)) {
+      throw new Error('Sigmoid output targets must be between 0 and 1');
+    }
+  }
 
-    // Add dropout if specified
-    if (this.config.dropout) {
-      this.model.add(tf.layers.dropout({ rate: this.config.dropout }));
+  private encodeTarget(target: number): number[] {
+    if (this.config.outputActivation !== 'softmax') {
+      return [target];
     }
+    return this.classes.map(label => (label === target ? 1 : 0));
+  }
+
+  private fitScaler(rows: number[][]): void {
+    const numFeatures = this.featureNames.length;
+    this.featureMeans = Array.from({ length: numFeatures }, (_, i) =>
+      rows.reduce((sum, row) => sum + row[i], 0) / rows.length
+    );
+    this.featureScales = Array.from({ length: numFeatures }, (_, i) => {
+      const variance = rows.reduce((sum, row) => sum + (row[i] - this.featureMeans[i]) ** 2, 0) / rows.length;
+      return variance > 0 ? Math.sqrt(variance) : 1; // constant columns pass through centred
+    });
+  }
+
+  private standardize(values: number[]): number[] {
+    return values.map((value, i) => (value - this.featureMeans[i]) / this.featureScales[i]);
+  }
+
+  // Glorot uniform weights and zero biases, as Keras dense layers start
+  private initializeLayers(rng: SeededRandom): DenseLayer[] {
+    const outputUnits = this.config.outputActivation === 'softmax' ? this.classes.length : 1;
+    const sizes = [this.featureNames.length, ...this.config.hiddenLayers!, outputUnits];
+
+    return sizes.slice(1).map((units, l) => {
+      const inputs = sizes[l];
+      const limit = Math.sqrt(6 / (inputs + units));
+      return {
+        weights: Array.from({ length: units }, () =>
+          Array.from({ length: inputs }, () => (rng.next() * 2 - 1) * limit)
+        ),
+        biases: new Array(units).fill(0)
+      };
+    });
+  }
 
-    // Hidden layers
-    for (let i = 1; i < this.config.hiddenLayers!.length; i++) {
-      this.model.add(tf.layers.dense({
-        units: this.config.hiddenLayers![i],
-        activation: this.config.activation!,
-        kernelRegularizer: this.getRegularizer()
-      }));
+  private fit(
+    trainRows: number[][],
+    trainTargets: number[][],
+    validationRows: number[][],
+    validationTargets: number[][],
+    rng: SeededRandom
+  ): TrainingHistory {
+    const layers = this.layers!;
+    const optimizerState = layers.map(layer => ({
+      m: layer.weights.map(row => row.map(() => 0)),
+      v: layer.weights.map(row => row.map(() => 0)),
+      mb: layer.biases.map(() => 0),
+      vb: layer.biases.map(() => 0)
+    }));
+    const history: TrainingHistory = { epochs: 0, loss: [], valLoss: [], metrics: { mse: [], mae: [] }, stoppedEarly: false };
+    const monitorValidation = validationRows.length > 0;
+
+    let step = 0;
+    let bestLoss = Infinity;
+    let bestLayers = cloneLayers(layers);
+    let bestEpoch = 0;
+    let epochsSinceBest = 0;
+
+    for (let epoch = 0; epoch < this.config.epochs!; epoch++) {
+      const epochRng = rng.split(epoch);
+      const order = shuffle(trainRows.length, epochRng.split(0));
+
+      for (let start = 0; start < order.length; start += this.config.batchSize!) {
+        const batch = order.slice(start, start + this.config.batchSize!);
+        const gradients = layers.map(layer => ({
+          weights: layer.weights.map(row => row.map(() => 0)),
+          biases: layer.biases.map(() => 0)
+        }));
+
+        batch.forEach((row, b) => {
+          const pass = this.forward(trainRows[row], this.config.dropout ? epochRng.split(start + b + 1) : undefined);
+          const output = pass.activations[pass.activations.length - 1];
+          const outputDelta = this.lossGradient(output, trainTargets[row]);
+          this.backward(pass, outputDelta, gradients);
+        });
+
+        step++;
+        layers.forEach((layer, l) => {
+          this.applyGradients(layer, gradients[l], optimizerState[l], batch.length, step);
+        });
+      }
 
-      if (this.config.dropout) {
-        this.model.add(tf.layers.dropout({ rate: this.config.dropout }));
+      const trainScores = this.score(trainRows, trainTargets);
+      history.loss.push(trainScores.loss);
+      history.metrics.mse.push(trainScores.mse);
+      history.metrics.mae.push(trainScores.mae);
+      if (monitorValidation) {
+        history.valLoss.push(this.score(validationRows, validationTargets).loss);
+      }
+      history.epochs = epoch + 1;
+
+      // Early stopping restores the weights from the best monitored epoch
+      if (!this.config.earlyStoppingPatience) {
+        continue;
+      }
+      const monitored = monitorValidation ? history.valLoss[epoch] : history.loss[epoch];
+      if (monitored < bestLoss) {
+        bestLoss = monitored;
+        bestLayers = cloneLayers(layers);
+        bestEpoch = epoch + 1;
+        epochsSinceBest = 0;
+      } else if (++epochsSinceBest >= this.config.earlyStoppingPatience) {
+        history.stoppedEarly = true;
+        break;
       }
     }
 
-    // Output layer
-    this.model.add(tf.layers.dense({
-      units: this.outputShape,
-      activation: this.config.outputActivation!
-    }));
+    if (this.config.earlyStoppingPatience) {
+      this.layers = bestLayers;
+      history.bestEpoch = bestEpoch;
+    }
 
-    // Compile the model
-    this.model.compile({
-      optimizer: this.getOptimizer(),
-      loss: this.getLossFunction(),
-      metrics: ['mse', 'mae']
-    });
+    return history;
   }
 
-  private prepareTrainingData(trainingData: TrainingData): { xTrain: tf.Tensor2D; yTrain: tf.Tensor2D } {
-    const xTrain = tf.tensor2d(trainingData.features);
-    const yTrain = tf.tensor2d(trainingData.targets.map(t => [t])); // Reshape to 2D
-    
-    return { xTrain, yTrain };
+  private forward(input: number[], dropoutRng?: SeededRandom): ForwardPass {
+    const layers = this.layers!;
+    const rate = dropoutRng ? this.config.dropout ?? 0 : 0;
+    const activations: number[][] = [input];
+    const preActivations: number[][] = [];
+    const masks: Array<number[] | null> = [];
+
+    layers.forEach((layer, l) => {
+      const previous = activations[l];
+      const z = layer.weights.map((row, j) =>
+        row.reduce((sum, w, i) => sum + w * previous[i], layer.biases[j])
+      );
+      const isOutput = l === layers.length - 1;
+      let a = activate(z, isOutput ? this.config.outputActivation! : this.config.activation!);
+
+      // Inverted dropout after each hidden layer
+      let mask: number[] | null = null;
+      if (!isOutput && rate > 0) {
+        mask = a.map(() => (dropoutRng!.next() < rate ? 0 : 1 / (1 - rate)));
+        a = a.map((value, j) => value * mask![j]);
+      }
+
+      preActivations.push(z);
+      activations.push(a);
+      masks.push(mask);
+    });
+
+    return { activations, preActivations, masks };
   }
 
-  private async trainModel(xTrain: tf.Tensor2D, yTrain: tf.Tensor2D): Promise<void> {
-    if (!this.model) {
-      throw new Error('Model not built');
+  /**
+   * Backpropagate a gradient with respect to the output layer's
+   * pre-activations, accumulating weight gradients when given, and return
+   * the gradient with respect to the (standardized) input
+   */
+  private backward(
+    pass: ForwardPass,
+    outputDelta: number[],
+    gradients?: Array<{ weights: number[][]; biases: number[] }>
+  ): number[] {
+    const layers = this.layers!;
+    let delta = outputDelta;
+
+    for (let l = layers.length - 1; l >= 0; l--) {
+      const input = pass.activations[l];
+
+      if (gradients) {
+        delta.forEach((d, j) => {
+          gradients[l].biases[j] += d;
+          input.forEach((x, i) => {
+            gradients[l].weights[j][i] += d * x;
+          });
+        });
+      }
+
+      const inputGradient = input.map((_, i) =>
+        delta.reduce((sum, d, j) => sum + d * layers[l].weights[j][i], 0)
+      );
+      if (l === 0) {
+        return inputGradient;
+      }
+
+      // Through the previous hidden layer's dropout and activation
+      const mask = pass.masks[l - 1];
+      const masked = mask ? inputGradient.map((g, i) => g * mask[i]) : inputGradient;
+      delta = activationGradient(pass.preActivations[l - 1], masked, this.config.activation!);
     }
 
-    const callbacks: tf.Callback[] = [];
+    return [];
+  }
 
-    // Early stopping callback
-    if (this.config.earlyStoppingPatience) {
-      callbacks.push(tf.callbacks.earlyStopping({
-        monitor: 'val_loss',
-        patience: this.config.earlyStoppingPatience,
-        restoreBestWeights: true
-      }));
+  // Gradient of the loss with respect to the output pre-activations
+  private lossGradient(output: number[], target: number[]): number[] {
+    switch (this.config.outputActivation) {
+      case 'sigmoid':
+      case 'softmax':
+        return output.map((p, k) => p - target[k]); // cross-entropy through sigmoid / softmax
+      case 'linear':
+      default:
+        return output.map((y, k) => 2 * (y - target[k]));
     }
+  }
 
-    try {
-      await this.model.fit(xTrain, yTrain, {
-        epochs: this.config.epochs!,
-        batchSize: this.config.batchSize!,
-        validationSplit: this.config.validationSplit!,
-        callbacks,
-        verbose: 0 // Silent training
+  private applyGradients(
+    layer: DenseLayer,
+    gradients: { weights: number[][]; biases: number[] },
+    state: { m: number[][]; v: number[][]; mb: number[]; vb: number[] },
+    batchSize: number,
+    step: number
+  ): void {
+    const { l1 = 0, l2 = 0 } = this.config.regularization ?? {};
+    const lr = this.config.learningRate!;
+
+    const update = (gradient: number, m: number, v: number): { delta: number; m: number; v: number } => {
+      switch (this.config.optimizer) {
+        case 'sgd':
+          return { delta: lr * gradient, m, v };
+        case 'rmsprop': {
+          const nextV = RMSPROP_RHO * v + (1 - RMSPROP_RHO) * gradient * gradient;
+          return { delta: (lr * gradient) / (Math.sqrt(nextV) + OPTIMIZER_EPSILON), m, v: nextV };
+        }
+        case 'adam':
+        default: {
+          const nextM = ADAM_BETA1 * m + (1 - ADAM_BETA1) * gradient;
+          const nextV = ADAM_BETA2 * v + (1 - ADAM_BETA2) * gradient * gradient;
+          const mHat = nextM / (1 - Math.pow(ADAM_BETA1, step));
+          const vHat = nextV / (1 - Math.pow(ADAM_BETA2, step));
+          return { delta: (lr * mHat) / (Math.sqrt(vHat) + OPTIMIZER_EPSILON), m: nextM, v: nextV };
+        }
+      }
+    };
+
+    layer.weights.forEach((row, j) => {
+      row.forEach((w, i) => {
+        // Kernel penalties: l1 * sum|w| + l2 * sum w^2
+        const gradient = gradients.weights[j][i] / batchSize + l1 * Math.sign(w) + 2 * l2 * w;
+        const result = update(gradient, state.m[j][i], state.v[j][i]);
+        row[i] -= result.delta;
+        state.m[j][i] = result.m;
+        state.v[j][i] = result.v;
+      });
+    });
+
+    layer.biases.forEach((b, j) => {
+      const result = update(gradients.biases[j] / batchSize, state.mb[j], state.vb[j]);
+      layer.biases[j] -= result.delta;
+      state.mb[j] = result.m;
+      state.vb[j] = result.v;
+    });
+  }
+
+  private score(rows: number[][], targets: number[][]): { loss: number; mse: number; mae: number } {
+    let loss = 0;
+    let mse = 0;
+    let mae = 0;
+
+    rows.forEach((row, r) => {
+      const output = this.forward(row).activations[this.layers!.length];
+      const target = targets[r];
+
+      output.forEach((y, k) => {
+        mse += (y - target[k]) ** 2 / output.length;
+        mae += Math.abs(y - target[k]) / output.length;
       });
-    } finally {
-      // Clean up tensors
-      xTrain.dispose();
-      yTrain.dispose();
+
+      switch (this.config.outputActivation) {
+        case 'sigmoid': {
+          const p = clampProbability(output[0]);
+          loss -= target[0] * Math.log(p) + (1 - target[0]) * Math.log(1 - p);
+          break;
+        }
+        case 'softmax':
+          loss -= Math.log(clampProbability(output[target.indexOf(1)]));
+          break;
+        case 'linear':
+        default:
+          loss += (output[0] - target[0]) ** 2;
+      }
+    });
+
+    const { l1 = 0, l2 = 0 } = this.config.regularization ?? {};
+    const penalty = this.layers!.reduce((sum, layer) =>
+      sum + layer.weights.reduce((rowSum, row) =>
+        rowSum + row.reduce((s, w) => s + l1 * Math.abs(w) + l2 * w * w, 0), 0), 0);
+
+    return { loss: loss / rows.length + penalty, mse: mse / rows.length, mae: mae / rows.length };
+  }
+
+  private predictOutput(features: FeatureVector): number[] {
+    if (!this.isTrained || !this.layers) {
+      throw new Error('Model must be trained before making predictions');
     }
+
+    if (features.names.length !== this.featureNames.length) {
+      throw new Error(`Feature count mismatch. Expected ${this.featureNames.length}, got ${features.names.length}`);
+    }
+
+    return this.forward(this.standardize(features.values)).activations[this.layers.length];
   }
 
-  private getOptimizer(): tf.Optimizer {
-    switch (this.config.optimizer) {
-      case 'adam':
-        return tf.train.adam(this.config.learningRate!);
-      case 'sgd':
-        return tf.train.sgd(this.config.learningRate!);
-      case 'rmsprop':
-        return tf.train.rmsprop(this.config.learningRate!);
-      default:
-        return tf.train.adam(this.config.learningRate!);
+  /**
+   * Integrated gradients from the training mean (the zero standardized input)
+   * to the features. Each attribution is in output units and together they
+   * sum to the prediction minus the prediction at the mean. Softmax models
+   * explain the predicted class probability.
+   */
+  explainPrediction(features: FeatureVector): { [featureName: string]: number } {
+    if (!this.isTrained || !this.layers) {
+      throw new Error('Model must be trained to explain predictions');
     }
+
+    const attributions = this.integratedGradients(this.standardize(features.values));
+    const explanation: { [featureName: string]: number } = {};
+    this.featureNames.forEach((name, i) => {
+      explanation[name] = attributions[i];
+    });
+    return explanation;
   }
 
-  private getLossFunction(): string {
-    switch (this.config.outputActivation!) {
+  private integratedGradients(input: number[]): number[] {
+    const steps = this.config.attributionSteps!;
+    const output = this.forward(input).activations[this.layers!.length];
+    const explained = this.config.outputActivation === 'softmax' ? output.indexOf(Math.max(...output)) : 0;
+    const totals = new Array<number>(input.length).fill(0);
+
+    // Midpoint Riemann sum along the straight path from the baseline
+    for (let s = 0; s < steps; s++) {
+      const alpha = (s + 0.5) / steps;
+      const pass = this.forward(input.map(x => alpha * x));
+      const gradient = this.backward(pass, this.outputGradient(pass, explained));
+      gradient.forEach((g, i) => {
+        totals[i] += g / steps;
+      });
+    }
+
+    return totals.map((g, i) => g * input[i]);
+  }
+
+  // Gradient of the explained output with respect to the output pre-activations
+  private outputGradient(pass: ForwardPass, explained: number): number[] {
+    const output = pass.activations[pass.activations.length - 1];
+
+    switch (this.config.outputActivation) {
       case 'sigmoid':
-        return 'binaryCrossentropy';
+        return [output[0] * (1 - output[0])];
       case 'softmax':
-        return 'categoricalCrossentropy';
+        return output.map((p, k) => output[explained] * ((k === explained ? 1 : 0) - p));
       case 'linear':
       default:
-        return 'meanSquaredError';
+        return [1];
     }
   }
 
   // Get model architecture summary
   getArchitectureSummary(): { layers: any[]; totalParams: number } {
-    if (!this.model) {
+    if (!this.layers) {
       throw new Error('Model must be built to get architecture summary');
     }
 
-    const layers = this.model.layers.map((layer: any, index: number) => ({
-      index,
-      name: layer.name,
-      type: layer.getClassName(),
-      outputShape: layer.outputShape,
-      params: layer.countParams()
-    }));
+    const layers: any[] = [];
+    this.layers.forEach((layer, l) => {
+      layers.push({
+        index: layers.length,
+        name: `dense_${l + 1}`,
+        type: 'Dense',
+        outputShape: [null, layer.biases.length],
+        params: layer.biases.length * (layer.weights[0].length + 1)
+      });
+      if (this.config.dropout && l < this.layers!.length - 1) {
+        layers.push({
+          index: layers.length,
+          name: `dropout_${l + 1}`,
+          type: 'Dropout',
+          outputShape: [null, layer.biases.length],
+          params: 0
+        });
+      }
+    });
 
     const totalParams = layers.reduce((sum, layer) => sum + layer.params, 0);
 
     return { layers, totalParams };
   }
 
-  // Get training history (mock implementation)
-  getTrainingHistory(): { loss: number[]; valLoss: number[]; metrics: { [key: string]: number[] } } {
-    if (!this.isTrained) {
+  /**
+   * Per-epoch loss, validation loss and metrics for the epochs actually run
+   */
+  getTrainingHistory(): TrainingHistory {
+    if (!this.isTrained || !this.history) {
       throw new Error('Model must be trained to get training history');
     }
 
-    // Simulate training history
-    const epochs = this.config.epochs!;
-    const loss: number[] = [];
-    const valLoss: number[] = [];
-    
-    let currentLoss = 1.0;
-    let currentValLoss = 1.2;
-    
-    for (let i = 0; i < epochs; i++) {
-      // Simulate decreasing loss with some noise
-      currentLoss *= (0.95 + Math.random() * 0.1);
-      currentValLoss *= (0.96 + Math.random() * 0.08);
-      
-      loss.push(currentLoss);
-      valLoss.push(currentValLoss);
-    }
-
     return {
-      loss,
-      valLoss,
-      metrics: {
-        mse: loss.map(l => l * 0.8 + Math.random() * 0.2),
-        mae: loss.map(l => Math.sqrt(l) * 0.9 + Math.random() * 0.1)
-      }
+      ...this.history,
+      loss: [...this.history.loss],
+      valLoss: [...this.history.valLoss],
+      metrics: { mse: [...this.history.metrics.mse], mae: [...this.history.metrics.mae] }
     };
   }
 
-  // Feature importance for neural networks (using gradient-based method simulation)
+  /**
+   * Mean absolute integrated-gradients attribution over the training rows,
+   * normalized to sum to 1
+   */
   getFeatureImportance(): { [featureName: string]: number } {
-    if (!this.isTrained || !this.model) {
+    if (!this.isTrained || !this.layers) {
       throw new Error('Model must be trained to get feature importance');
     }
 
-    const importance: { [featureName: string]: number } = {};
-    
-    // Simulate gradient-based feature importance
-    for (let i = 0; i < this.featureNames.length; i++) {
-      const featureName = this.featureNames[i];
-      // Simulate importance based on connection weights to first hidden layer
-      importance[featureName] = Math.abs(Math.random() - 0.5) * 2;
-    }
+    return { ...this.featureImportances };
+  }
 
-    // Normalize to sum to 1
-    const total = Object.values(importance).reduce((sum, val) => sum + val, 0);
-    if (total > 0) {
-      Object.keys(importance).forEach(feature => {
-        importance[feature] /= total;
-      });
-    }
+  private calculateFeatureImportance(rows: number[][]): { [featureName: string]: number } {
+    const sample = rows.slice(0, IMPORTANCE_SAMPLE_SIZE).map(row => this.standardize(row));
+    const totals = new Array<number>(this.featureNames.length).fill(0);
 
-    return importance;
-  }
+    sample.forEach(input => {
+      this.integratedGradients(input).forEach((attribution, i) => {
+        totals[i] += Math.abs(attribution);
+      });
+    });
 
-  private getRegularizer(): any | undefined {
-    if (!this.config.regularization) {
-      return undefined;
-    }
+    // Fall back to equal shares when the network output is flat
+    const total = totals.reduce((sum, val) => sum + val, 0);
+    const importance: { [featureName: string]: number } = {};
+    this.featureNames.forEach((name, i) => {
+      importance[name] = total > 0 ? totals[i] / total : 1 / this.featureNames.length;
+    });
 
-    const { l1, l2 } = this.config.regularization;
-    
-    if (l1 && l2) {
-      return tf.regularizers.l1l2({ l1, l2 });
-    } else if (l1) {
-      return tf.regularizers.l1({ l1 });
-    } else if (l2) {
-      return tf.regularizers.l2({ l2 });
-    }
-    
-    return undefined;
+    return importance;
   }
 
   // Cross-validation support
@@ -354,12 +705,9 @@ export class NeuralNetworkModel {
         metadata: trainingData.metadata
       };
 
-      // Create a new model for this fold
-      const originalModel = this.model;
-      this.model = null;
-      this.isTrained = false;
-
-      await this.train(foldTrainingData);
+      // Train a fresh network for this fold so the current one is kept
+      const foldModel = new NeuralNetworkModel(this.config);
+      await foldModel.train(foldTrainingData);
 
       // Evaluate on validation set
       let totalError = 0;
@@ -369,8 +717,8 @@ export class NeuralNetworkModel {
           names: trainingData.featureNames,
           timestamp: new Date()
         };
-        
-        const prediction = await this.predict(features);
+
+        const prediction = await foldModel.predict(features);
         const error = Math.abs(prediction - validationTargets[i]);
         totalError += error;
       }
@@ -378,15 +726,6 @@ export class NeuralNetworkModel {
       const meanError = totalError / validationFeatures.length;
       const foldScore = Math.max(0, 1 - meanError);
       scores.push(isNaN(foldScore) ? 0 : foldScore); // Handle NaN case
-
-      // Dispose of the fold model
-      if (this.model) {
-        (this.model as any).dispose();
-      }
-      
-      // Restore original model
-      this.model = originalModel;
-      this.isTrained = originalModel !== null;
     }
 
     return scores;
@@ -394,24 +733,81 @@ export class NeuralNetworkModel {
 
   // Model saving and loading
   async saveModel(path: string): Promise<void> {
-    if (!this.model) {
+    if (!this.layers) {
       throw new Error('No model to save');
     }
-    
-    await this.model.save(`file://${path}`);
+
+    await fs.writeFile(path, JSON.stringify(this.toJSON()));
   }
 
   async loadModel(path: string): Promise<void> {
-    this.model = await tf.loadLayersModel(`file://${path}`) as tf.Sequential;
-    this.isTrained = true;
+    const loaded = NeuralNetworkModel.fromJSON(JSON.parse(await fs.readFile(path, 'utf8')));
+    Object.assign(this, loaded);
   }
 
-  // Dispose of the model to free memory
+  // Release the trained weights
   dispose(): void {
-    if (this.model) {
-      (this.model as any).dispose();
-      this.model = null;
-      this.isTrained = false;
+    this.layers = null;
+    this.history = null;
+    this.isTrained = false;
+  }
+}
+
+function activate(z: number[], activation: string): number[] {
+  switch (activation) {
+    case 'relu':
+      return z.map(v => Math.max(0, v));
+    case 'sigmoid':
+      return z.map(v => 1 / (1 + Math.exp(-v)));
+    case 'tanh':
+      return z.map(v => Math.tanh(v));
+    case 'softmax': {
+      const max = Math.max(...z);
+      const exps = z.map(v => Math.exp(v - max));
+      const total = exps.reduce((sum, e) => sum + e, 0);
+      return exps.map(e => e / total);
     }
+    case 'linear':
+    default:
+      return [...z];
   }
-}
\ No newline at end of file
+}
+
+// Chain a gradient with respect to a layer's outputs back through its activation
+function activationGradient(z: number[], gradient: number[], activation: string): number[] {
+  switch (activation) {
+    case 'relu':
+      return gradient.map((g, i) => (z[i] > 0 ? g : 0));
+    case 'sigmoid':
+      return gradient.map((g, i) => {
+        const s = 1 / (1 + Math.exp(-z[i]));
+        return g * s * (1 - s);
+      });
+    case 'tanh':
+      return gradient.map((g, i) => g * (1 - Math.tanh(z[i]) ** 2));
+    case 'softmax': {
+      const s = activate(z, 'softmax');
+      const dot = s.reduce((sum, p, i) => sum + p * gradient[i], 0);
+      return s.map((p, i) => p * (gradient[i] - dot));
+    }
+    default:
+      return [...gradient];
+  }
+}
+
+function shuffle(length: number, rng: SeededRandom): number[] {
+  const order = Array.from({ length }, (_, i) => i);
+  for (let i = length - 1; i > 0; i--) {
+    const j = Math.floor(rng.next() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+function clampProbability(p: number): number {
+  return Math.min(1 - PROBABILITY_EPSILON, Math.max(PROBABILITY_EPSILON, p));
+}
+
+function cloneLayers(layers: DenseLayer[]): DenseLayer[] {
+  return layers.map(layer => ({ weights: layer.weights.map(row => [...row]), biases: [...layer.biases] }));
+}
@@ -1,4 +1,5 @@
-import { TrainingData, FeatureVector, Prediction, ModelConfig } from '../../types/ml.types';
+import { TrainingData, FeatureVector } from '../../types/ml.types';
+import { SeededRandom } from '../seeded-random';
 
 export interface XGBoostConfig {
   maxDepth?: number;
@@ -11,11 +12,94 @@ export interface XGBoostConfig {
   objective?: 'reg:squarederror' | 'binary:logistic' | 'multi:softprob';
   evalMetric?: string;
   earlyStoppingRounds?: number;
+  minChildWeight?: number;
+  gamma?: number;
+  numClass?: number; // multi:softprob only; inferred from the distinct targets when omitted
+  // 1 keeps the output non-decreasing in a feature, -1 non-increasing; by position or feature name
+  monotoneConstraints?: number[] | { [featureName: string]: number };
+  seed?: number;
 }
 
+/**
+ * One node of a regression tree. Leaves have feature -1; internal nodes send
+ * rows with value < threshold left and missing values to the default side.
+ * The value of an internal node is the cover-weighted mean of its leaves.
+ */
+export interface XGBoostTreeNode {
+  feature: number;
+  threshold: number;
+  left: number;
+  right: number;
+  defaultLeft: boolean;
+  value: number;
+  cover: number;
+  gain: number;
+}
+
+export interface XGBoostTree {
+  classIndex: number;
+  nodes: XGBoostTreeNode[];
+}
+
+export interface SerializedXGBoostModel {
+  format: 'xgboost-ts';
+  version: 1;
+  config: XGBoostConfig;
+  featureNames: string[];
+  classes: number[];
+  baseMargin: number[];
+  trees: XGBoostTree[];
+  bestIteration?: number;
+  bestScore?: number;
+}
+
+// Hyperparameter names used by the native library and MLModelService configs
+const HYPERPARAMETER_ALIASES: { [name: string]: keyof XGBoostConfig } = {
+  max_depth: 'maxDepth',
+  learning_rate: 'learningRate',
+  eta: 'learningRate',
+  n_estimators: 'nEstimators',
+  colsample_bytree: 'colsampleBytree',
+  reg_alpha: 'regAlpha',
+  alpha: 'regAlpha',
+  reg_lambda: 'regLambda',
+  lambda: 'regLambda',
+  eval_metric: 'evalMetric',
+  early_stopping_rounds: 'earlyStoppingRounds',
+  min_child_weight: 'minChildWeight',
+  num_class: 'numClass',
+  monotone_constraints: 'monotoneConstraints',
+  random_state: 'seed'
+};
+
+interface SplitCandidate {
+  feature: number;
+  threshold: number;
+  defaultLeft: boolean;
+  gain: number;
+  leftWeight: number; // unscaled leaf weights of the two sides, within the node's bounds
+  rightWeight: number;
+}
+
+const MIN_HESSIAN = 1e-16;
+const PROBABILITY_EPSILON = 1e-15;
+
+/**
+ * Second-order gradient boosted regression trees with exact greedy splits,
+ * sparsity-aware default directions and XGBoost's regularized leaf weights.
+ * Binary and multi-class models boost in log-odds space; multi:softprob grows
+ * one tree per class each round.
+ */
 export class XGBoostModel {
   private config: XGBoostConfig;
-  private model: any = null;
+  private model: {
+    classes: number[];
+    baseMargin: number[];
+    trees: XGBoostTree[];
+    featureImportances: { [featureName: string]: number };
+    bestIteration?: number;
+    bestScore?: number;
+  } | null = null;
   private isTrained: boolean = false;
   private featureNames: string[] = [];
 
@@ -30,46 +114,128 @@ export class XGBoostModel {
       regLambda: 1,
       objective: 'reg:squarederror',
       evalMetric: 'rmse',
+      minChildWeight: 1,
+      gamma: 0,
+      seed: 0,
       ...config
     };
   }
 
-  async train(trainingData: TrainingData): Promise<void> {
+  /**
+   * Build a config from MLModelService hyperparameters, which may use the
+   * native library's snake_case names
+   */
+  static fromHyperparameters(hyperparameters: Record<string, any>): XGBoostConfig {
+    const config: Record<string, any> = {};
+    Object.entries(hyperparameters).forEach(([name, value]) => {
+      config[HYPERPARAMETER_ALIASES[name] ?? name] = value;
+    });
+    return config as XGBoostConfig;
+  }
+
+  static fromJSON(serialized: SerializedXGBoostModel): XGBoostModel {
+    if (!serialized || serialized.format !== 'xgboost-ts' || !Array.isArray(serialized.trees)) {
+      throw new Error('Invalid serialized XGBoost model');
+    }
+
+    const model = new XGBoostModel(serialized.config);
+    model.featureNames = [...serialized.featureNames];
+    model.model = {
+      classes: [...serialized.classes],
+      baseMargin: [...serialized.baseMargin],
+      trees: serialized.trees.map(tree => ({ classIndex: tree.classIndex, nodes: tree.nodes.map(node => ({ ...node })) })),
+      featureImportances: {},
+      bestIteration: serialized.bestIteration,
+      bestScore: serialized.bestScore
+    };
+    model.model.featureImportances = model.calculateFeatureImportances(model.model.trees);
+    model.isTrained = true;
+    return model;
+  }
+
+  toJSON(): SerializedXGBoostModel {
+    if (!this.isTrained || !this.model) {
+      throw new Error('Model must be trained before it can be serialized');
+    }
+
+    return {
+      format: 'xgboost-ts',
+      version: 1,
+      config: { ...this.config },
+      featureNames: [...this.featureNames],
+      classes: [...this.model.classes],
+      baseMargin: [...this.model.baseMargin],
+      trees: this.model.trees.map(tree => ({ classIndex: tree.classIndex, nodes: tree.nodes.map(node => ({ ...node })) })),
+      bestIteration: this.model.bestIteration,
+      bestScore: this.model.bestScore
+    };
+  }
+
+  /**
+   * Fit the ensemble. With earlyStoppingRounds set, validationData is scored
+   * with evalMetric after every round and the model is cut back to the best
+   * round once the metric has not improved for that many rounds.
+   */
+  async train(trainingData: TrainingData, validationData?: TrainingData): Promise<void> {
     try {
+      this.validateData(trainingData, trainingData.featureNames.length);
+      if (this.config.earlyStoppingRounds !== undefined) {
+        if (!validationData) {
+          throw new Error('Early stopping requires validation data');
+        }
+        this.validateData(validationData, trainingData.featureNames.length);
+      }
+
       this.featureNames = trainingData.featureNames;
-      
-      // Simulate XGBoost training process
-      // In a real implementation, this would use the actual XGBoost library
-      await this.simulateTraining(trainingData);
-      
+      this.model = this.fit(trainingData, validationData);
       this.isTrained = true;
     } catch (error) {
       throw new Error(`XGBoost training failed: ${error}`);
     }
   }
 
+  /**
+   * Regression value, positive-class probability, or the most likely class
+   * label for multi:softprob (see predictProba for the full distribution)
+   */
   async predict(features: FeatureVector): Promise<number> {
-    if (!this.isTrained) {
-      throw new Error('Model must be trained before making predictions');
-    }
+    const probabilities = this.predictOutput(features);
 
-    if (features.names.length !== this.featureNames.length) {
-      throw new Error(`Feature count mismatch. Expected ${this.featureNames.length}, got ${features.names.length}`);
+    if (this.config.objective !== 'multi:softprob') {
+      return probabilities[0];
     }
 
-    // Simulate XGBoost prediction
-    // In a real implementation, this would use the trained XGBoost model
-    return this.simulatePrediction(features.values);
+    let best = 0;
+    probabilities.forEach((p, k) => {
+      if (p > probabilities[best]) best = k;
+    });
+    return this.model!.classes[best];
+  }
+
+  /**
+   * Class probabilities, ordered as getClasses(); [1 - p, p] for binary:logistic
+   */
+  async predictProba(features: FeatureVector): Promise<number[]> {
+    const output = this.predictOutput(features);
+
+    switch (this.config.objective) {
+      case 'multi:softprob':
+        return output;
+      case 'binary:logistic':
+        return [1 - output[0], output[0]];
+      default:
+        throw new Error('Class probabilities require a classification objective');
+    }
   }
 
   async predictBatch(featuresArray: FeatureVector[]): Promise<number[]> {
     const predictions: number[] = [];
-    
+
     for (const features of featuresArray) {
       const prediction = await this.predict(features);
       predictions.push(prediction);
     }
-    
+
     return predictions;
   }
 
@@ -93,184 +259,523 @@ export class XGBoostModel {
     return this.isTrained;
   }
 
-  private async simulateTraining(trainingData: TrainingData): Promise<void> {
-    // Simulate training time based on data size and complexity
-    const trainingTime = Math.min(1000, trainingData.features.length * 2);
-    await new Promise(resolve => setTimeout(resolve, trainingTime));
-
-    // Create a more sophisticated gradient boosting simulation
-    const trees = this.buildGradientBoostingTrees(trainingData);
-    
-    this.model = {
-      trees,
-      learningRate: this.config.learningRate!,
-      baseScore: this.calculateBaseScore(trainingData.targets),
-      featureImportances: this.calculateFeatureImportances(trees, trainingData.featureNames),
-      trainingAccuracy: this.evaluateModel(trainingData)
+  getClasses(): number[] {
+    return this.model ? [...this.model.classes] : [];
+  }
+
+  getTrees(): XGBoostTree[] {
+    return this.model ? this.model.trees : [];
+  }
+
+  getBaseMargin(): number[] {
+    return this.model ? [...this.model.baseMargin] : [];
+  }
+
+  /**
+   * Round (1-based) kept by early stopping and its validation score
+   */
+  getBestIteration(): { iteration: number; score: number } | null {
+    if (!this.model || this.model.bestIteration === undefined) {
+      return null;
+    }
+    return { iteration: this.model.bestIteration, score: this.model.bestScore! };
+  }
+
+  private validateData(data: TrainingData, numFeatures: number): void {
+    if (data.features.length === 0) {
+      throw new Error('Training data must contain at least one sample');
+    }
+    if (data.features.length !== data.targets.length) {
+      throw new Error(`Got ${data.features.length} feature rows for ${data.targets.length} targets`);
+    }
+    data.features.forEach(row => {
+      if (row.length !== numFeatures) {
+        throw new Error(`Feature count mismatch. Expected ${numFeatures}, got ${row.length}`);
+      }
+    });
+    if (this.config.objective === 'binary:logistic' && data.targets.some(t => t < 0 || t > 1)) {
+      throw new Error('binary:logistic targets must be between 0 and 1');
+    }
+  }
+
+  private fit(trainingData: TrainingData, validationData?: TrainingData): NonNullable<XGBoostModel['model']> {
+    const { features, targets } = trainingData;
+    const classes = this.resolveClasses(targets);
+    const numOutputs = this.config.objective === 'multi:softprob' ? classes.length : 1;
+    const baseMargin = this.calculateBaseMargin(targets, numOutputs);
+    const labels = targets.map(t => this.encodeLabel(t, classes));
+    const validationLabels = validationData?.targets.map(t => this.encodeLabel(t, classes));
+
+    const margins = features.map(() => [...baseMargin]);
+    const validationMargins = validationData?.features.map(() => [...baseMargin]);
+    const trees: XGBoostTree[] = [];
+    const rng = new SeededRandom(this.config.seed!);
+    const metric = this.resolveEvalMetric();
+    const constraints = this.resolveMonotoneConstraints(trainingData.featureNames);
+
+    let bestIteration: number | undefined;
+    let bestScore: number | undefined;
+
+    for (let round = 0; round < this.config.nEstimators!; round++) {
+      const roundRng = rng.split(round);
+      const rows = this.sampleRows(features.length, roundRng);
+      const { gradients, hessians } = this.calculateGradients(margins, labels, numOutputs);
+
+      for (let k = 0; k < numOutputs; k++) {
+        const columns = this.sampleColumns(trainingData.featureNames.length, roundRng.split(k));
+        const nodes = this.buildTree(features, gradients[k], hessians[k], rows, columns, constraints);
+        trees.push({ classIndex: k, nodes });
+
+        features.forEach((row, i) => {
+          margins[i][k] += this.predictTree(nodes, row);
+        });
+        validationData?.features.forEach((row, i) => {
+          validationMargins![i][k] += this.predictTree(nodes, row);
+        });
+      }
+
+      if (validationData && this.config.earlyStoppingRounds !== undefined) {
+        const score = this.evaluate(metric, validationMargins!, validationLabels!);
+        if (bestScore === undefined || score < bestScore) {
+          bestScore = score;
+          bestIteration = round + 1;
+        } else if (round + 1 - bestIteration! >= this.config.earlyStoppingRounds) {
+          break;
+        }
+      }
+    }
+
+    // Drop the rounds after the best validation score
+    const kept = bestIteration !== undefined ? trees.slice(0, bestIteration * numOutputs) : trees;
+
+    return {
+      classes,
+      baseMargin,
+      trees: kept,
+      featureImportances: this.calculateFeatureImportances(kept),
+      bestIteration,
+      bestScore
     };
   }
 
-  private buildGradientBoostingTrees(trainingData: TrainingData): any[] {
-    const trees: any[] = [];
-    const numTrees = Math.min(this.config.nEstimators!, 50); // Limit for simulation
-    
-    for (let i = 0; i < numTrees; i++) {
-      const tree = {
-        depth: Math.min(this.config.maxDepth!, 10),
-        splits: this.generateTreeSplits(trainingData.featureNames.length),
-        leafValues: this.generateLeafValues(),
-        featureIndices: this.selectRandomFeatures(trainingData.featureNames.length)
-      };
-      trees.push(tree);
-    }
-    
-    return trees;
-  }
-
-  private generateTreeSplits(numFeatures: number): any[] {
-    const numSplits = Math.floor(Math.random() * numFeatures) + 1;
-    const splits = [];
-    
-    for (let i = 0; i < numSplits; i++) {
-      splits.push({
-        featureIndex: Math.floor(Math.random() * numFeatures),
-        threshold: Math.random() * 2 - 1, // Random threshold between -1 and 1
-        leftChild: Math.random() > 0.5 ? null : Math.floor(Math.random() * 10),
-        rightChild: Math.random() > 0.5 ? null : Math.floor(Math.random() * 10)
-      });
+  private resolveMonotoneConstraints(featureNames: string[]): number[] {
+    const configured = this.config.monotoneConstraints;
+    if (!configured) {
+      return featureNames.map(() => 0);
+    }
+
+    const constraints = Array.isArray(configured)
+      ? featureNames.map((_, i) => configured[i] ?? 0)
+      : featureNames.map(name => configured[name] ?? 0);
+
+    if (Array.isArray(configured) && configured.length > featureNames.length) {
+      throw new Error(`Got ${configured.length} monotone constraints for ${featureNames.length} features`);
+    }
+    if (!Array.isArray(configured)) {
+      const unknown = Object.keys(configured).find(name => !featureNames.includes(name));
+      if (unknown) {
+        throw new Error(`Monotone constraint on unknown feature ${unknown}`);
+      }
+    }
+    if (this.config.objective === 'multi:softprob' && constraints.some(c => c !== 0)) {
+      throw new Error('Monotone constraints are not supported for multi:softprob');
     }
-    
-    return splits;
+    const invalid = constraints.find(c => c !== -1 && c !== 0 && c !== 1);
+    if (invalid !== undefined) {
+      throw new Error(`Monotone constraints must be -1, 0 or 1, got ${invalid}`);
+    }
+
+    return constraints;
   }
 
-  private generateLeafValues(): number[] {
-    const numLeaves = Math.floor(Math.random() * 8) + 2; // 2-10 leaves
-    return Array.from({ length: numLeaves }, () => (Math.random() - 0.5) * 2);
+  private resolveClasses(targets: number[]): number[] {
+    if (this.config.objective !== 'multi:softprob') {
+      return this.config.objective === 'binary:logistic' ? [0, 1] : [];
+    }
+
+    if (this.config.numClass !== undefined) {
+      const classes = Array.from({ length: this.config.numClass }, (_, k) => k);
+      const unknown = targets.find(t => !classes.includes(t));
+      if (unknown !== undefined) {
+        throw new Error(`Target ${unknown} is not a class between 0 and ${this.config.numClass - 1}`);
+      }
+      return classes;
+    }
+
+    const classes = Array.from(new Set(targets)).sort((a, b) => a - b);
+    if (classes.length < 2) {
+      throw new Error('multi:softprob needs at least two classes');
+    }
+    return classes;
   }
 
-  private selectRandomFeatures(numFeatures: number): number[] {
-    const numSelected = Math.max(1, Math.floor(numFeatures * (this.config.colsampleBytree || 1.0)));
-    const indices = Array.from({ length: numFeatures }, (_, i) => i);
-    
-    // Fisher-Yates shuffle and take first numSelected
-    for (let i = indices.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [indices[i], indices[j]] = [indices[j], indices[i]];
+  private encodeLabel(target: number, classes: number[]): number {
+    if (this.config.objective !== 'multi:softprob') {
+      return target;
     }
-    
-    return indices.slice(0, numSelected);
+    const index = classes.indexOf(target);
+    if (index === -1) {
+      throw new Error(`Target ${target} is not one of the training classes`);
+    }
+    return index;
   }
 
-  private calculateBaseScore(targets: number[]): number {
-    // For regression, use mean; for classification, use log-odds
+  private calculateBaseMargin(targets: number[], numOutputs: number): number[] {
+    const mean = targets.reduce((sum, t) => sum + t, 0) / targets.length;
+
     switch (this.config.objective) {
-      case 'binary:logistic':
-        const positiveRate = targets.filter(t => t > 0.5).length / targets.length;
-        return Math.log(positiveRate / (1 - positiveRate + 1e-15));
+      case 'binary:logistic': {
+        const p = Math.min(1 - 1e-6, Math.max(1e-6, mean));
+        return [Math.log(p / (1 - p))];
+      }
+      case 'multi:softprob':
+        return Array(numOutputs).fill(0);
       case 'reg:squarederror':
       default:
-        return targets.reduce((sum, t) => sum + t, 0) / targets.length;
+        return [mean];
     }
   }
 
-  private calculateFeatureImportances(trees: any[], featureNames: string[]): { [key: string]: number } {
-    const importances: { [key: string]: number } = {};
-    
-    // Initialize all features with zero importance
-    featureNames.forEach(name => {
-      importances[name] = 0;
-    });
-    
-    // Calculate importance based on tree usage
-    trees.forEach(tree => {
-      tree.featureIndices.forEach((featureIndex: number) => {
-        const featureName = featureNames[featureIndex];
-        if (featureName) {
-          importances[featureName] += 1 / trees.length; // Normalize by number of trees
+  private calculateGradients(
+    margins: number[][],
+    labels: number[],
+    numOutputs: number
+  ): { gradients: number[][]; hessians: number[][] } {
+    const gradients = Array.from({ length: numOutputs }, () => new Array<number>(labels.length));
+    const hessians = Array.from({ length: numOutputs }, () => new Array<number>(labels.length));
+
+    labels.forEach((label, i) => {
+      switch (this.config.objective) {
+        case 'binary:logistic': {
+          const p = sigmoid(margins[i][0]);
+          gradients[0][i] = p - label;
+          hessians[0][i] = Math.max(p * (1 - p), MIN_HESSIAN);
+          break;
         }
-      });
-    });
-    
-    // Add some randomness to make it more realistic
-    Object.keys(importances).forEach(feature => {
-      importances[feature] *= (0.8 + Math.random() * 0.4); // Multiply by 0.8-1.2
+        case 'multi:softprob': {
+          const probabilities = softmax(margins[i]);
+          probabilities.forEach((p, k) => {
+            gradients[k][i] = p - (k === label ? 1 : 0);
+            hessians[k][i] = Math.max(2 * p * (1 - p), MIN_HESSIAN);
+          });
+          break;
+        }
+        case 'reg:squarederror':
+        default:
+          gradients[0][i] = margins[i][0] - label;
+          hessians[0][i] = 1;
+      }
     });
-    
-    // Normalize to sum to 1
-    const total = Object.values(importances).reduce((sum, val) => sum + val, 0);
-    if (total > 0) {
-      Object.keys(importances).forEach(feature => {
-        importances[feature] /= total;
+
+    return { gradients, hessians };
+  }
+
+  private sampleRows(numRows: number, rng: SeededRandom): number[] {
+    const all = Array.from({ length: numRows }, (_, i) => i);
+    if (this.config.subsample! >= 1) {
+      return all;
+    }
+
+    const sampled = all.filter(() => rng.next() < this.config.subsample!);
+    return sampled.length > 0 ? sampled : [Math.floor(rng.next() * numRows)];
+  }
+
+  private sampleColumns(numFeatures: number, rng: SeededRandom): number[] {
+    const numSelected = Math.max(1, Math.floor(numFeatures * this.config.colsampleBytree!));
+    const indices = Array.from({ length: numFeatures }, (_, i) => i);
+
+    // Partial Fisher-Yates shuffle
+    for (let i = 0; i < numSelected; i++) {
+      const j = i + Math.floor(rng.next() * (numFeatures - i));
+      [indices[i], indices[j]] = [indices[j], indices[i]];
+    }
+
+    return indices.slice(0, numSelected).sort((a, b) => a - b);
+  }
+
+  private buildTree(
+    features: number[][],
+    gradients: number[],
+    hessians: number[],
+    rows: number[],
+    columns: number[],
+    constraints: number[]
+  ): XGBoostTreeNode[] {
+    const nodes: XGBoostTreeNode[] = [];
+
+    // Leaf weights under a node are kept within [lower, upper] so every split
+    // on a constrained feature orders its subtrees' outputs
+    const grow = (nodeRows: number[], depth: number, lower: number, upper: number): number => {
+      const index = nodes.length;
+      let G = 0;
+      let H = 0;
+      nodeRows.forEach(i => {
+        G += gradients[i];
+        H += hessians[i];
       });
+
+      nodes.push({
+        feature: -1,
+        threshold: 0,
+        left: -1,
+        right: -1,
+        defaultLeft: true,
+        value: this.config.learningRate! * clamp(this.leafWeight(G, H), lower, upper),
+        cover: H,
+        gain: 0
+      });
+
+      if (depth >= this.config.maxDepth!) {
+        return index;
+      }
+
+      const split = this.findBestSplit(features, gradients, hessians, nodeRows, columns, constraints, G, H, lower, upper);
+      if (!split) {
+        return index;
+      }
+
+      const leftRows: number[] = [];
+      const rightRows: number[] = [];
+      nodeRows.forEach(i => {
+        (goesLeft(features[i][split.feature], split.threshold, split.defaultLeft) ? leftRows : rightRows).push(i);
+      });
+
+      // A constrained split caps each side at the midpoint of the two weights
+      const constraint = constraints[split.feature];
+      const middle = (split.leftWeight + split.rightWeight) / 2;
+      const left = grow(leftRows, depth + 1, constraint < 0 ? middle : lower, constraint > 0 ? middle : upper);
+      const right = grow(rightRows, depth + 1, constraint > 0 ? middle : lower, constraint < 0 ? middle : upper);
+      const node = nodes[index];
+
+      node.feature = split.feature;
+      node.threshold = split.threshold;
+      node.defaultLeft = split.defaultLeft;
+      node.gain = split.gain;
+      node.left = left;
+      node.right = right;
+      node.value = (nodes[left].value * nodes[left].cover + nodes[right].value * nodes[right].cover) / H;
+
+      return index;
+    };
+
+    grow(rows, 0, -Infinity, Infinity);
+    return nodes;
+  }
+
+  private findBestSplit(
+    features: number[][],
+    gradients: number[],
+    hessians: number[],
+    rows: number[],
+    columns: number[],
+    constraints: number[],
+    G: number,
+    H: number,
+    lower: number,
+    upper: number
+  ): SplitCandidate | null {
+    const parentScore = this.boundedScore(G, H, lower, upper);
+    const minChildWeight = this.config.minChildWeight!;
+    let best: SplitCandidate | null = null;
+
+    for (const feature of columns) {
+      const present = rows.filter(i => !Number.isNaN(features[i][feature]));
+      present.sort((a, b) => features[a][feature] - features[b][feature]);
+
+      // Rows missing this feature follow whichever default direction scores better
+      let presentG = 0;
+      let presentH = 0;
+      present.forEach(i => {
+        presentG += gradients[i];
+        presentH += hessians[i];
+      });
+      const missingG = G - presentG;
+      const missingH = H - presentH;
+      const directions = present.length < rows.length ? [true, false] : [true];
+
+      let GL = 0;
+      let HL = 0;
+      for (let p = 0; p < present.length - 1; p++) {
+        const i = present[p];
+        GL += gradients[i];
+        HL += hessians[i];
+
+        const value = features[i][feature];
+        const next = features[present[p + 1]][feature];
+        if (value === next) {
+          continue;
+        }
+
+        for (const defaultLeft of directions) {
+          const leftG = GL + (defaultLeft ? missingG : 0);
+          const leftH = HL + (defaultLeft ? missingH : 0);
+          const rightG = G - leftG;
+          const rightH = H - leftH;
+          if (leftH < minChildWeight || rightH < minChildWeight) {
+            continue;
+          }
+
+          const leftWeight = clamp(this.leafWeight(leftG, leftH), lower, upper);
+          const rightWeight = clamp(this.leafWeight(rightG, rightH), lower, upper);
+          if (constraints[feature] * (rightWeight - leftWeight) < 0) {
+            continue;
+          }
+
+          const gain = 0.5 * (
+            this.boundedScore(leftG, leftH, lower, upper) + this.boundedScore(rightG, rightH, lower, upper) - parentScore
+          ) - this.config.gamma!;
+          if (gain > 0 && (!best || gain > best.gain)) {
+            best = { feature, threshold: (value + next) / 2, defaultLeft, gain, leftWeight, rightWeight };
+          }
+        }
+      }
     }
-    
-    return importances;
+
+    return best;
+  }
+
+  // L1 soft-thresholds the gradient sum before the L2-regularized Newton step
+  private thresholdL1(G: number): number {
+    const alpha = this.config.regAlpha!;
+    if (G > alpha) return G - alpha;
+    if (G < -alpha) return G + alpha;
+    return 0;
+  }
+
+  private leafWeight(G: number, H: number): number {
+    return -this.thresholdL1(G) / (H + this.config.regLambda!);
   }
 
-  private evaluateModel(trainingData: TrainingData): number {
-    // Simulate model evaluation based on data complexity and configuration
-    const baseAccuracy = 0.7;
-    const complexityBonus = Math.min(0.15, this.config.maxDepth! * 0.02);
-    const dataBonus = Math.min(0.1, trainingData.features.length * 0.001);
-    const randomNoise = (Math.random() - 0.5) * 0.1;
-    
-    return Math.max(0.5, Math.min(0.95, baseAccuracy + complexityBonus + dataBonus + randomNoise));
+  private structureScore(G: number, H: number): number {
+    const thresholded = this.thresholdL1(G);
+    return (thresholded * thresholded) / (H + this.config.regLambda!);
   }
 
-  private simulatePrediction(features: number[]): number {
-    if (!this.model) {
-      throw new Error('Model not initialized');
+  // Loss reduction of a leaf whose weight is held within [lower, upper]
+  private boundedScore(G: number, H: number, lower: number, upper: number): number {
+    const weight = this.leafWeight(G, H);
+    const bounded = clamp(weight, lower, upper);
+    if (bounded === weight) {
+      return this.structureScore(G, H);
     }
+    return -(2 * this.thresholdL1(G) * bounded + (H + this.config.regLambda!) * bounded * bounded);
+  }
 
-    // Start with base score
-    let prediction = this.model.baseScore;
-    
-    // Add predictions from each tree
-    for (const tree of this.model.trees) {
-      const treePrediction = this.predictFromTree(tree, features);
-      prediction += this.model.learningRate * treePrediction;
+  private predictTree(nodes: XGBoostTreeNode[], values: number[]): number {
+    let node = nodes[0];
+    while (node.feature !== -1) {
+      node = nodes[goesLeft(values[node.feature], node.threshold, node.defaultLeft) ? node.left : node.right];
     }
+    return node.value;
+  }
+
+  private predictMargins(values: number[]): number[] {
+    const margins = [...this.model!.baseMargin];
+    for (const tree of this.model!.trees) {
+      margins[tree.classIndex] += this.predictTree(tree.nodes, values);
+    }
+    return margins;
+  }
 
-    // Apply objective function transformation
+  private transform(margins: number[]): number[] {
     switch (this.config.objective) {
       case 'binary:logistic':
-        return 1 / (1 + Math.exp(-prediction)); // Sigmoid
-      case 'reg:squarederror':
-        return prediction;
+        return [sigmoid(margins[0])];
       case 'multi:softprob':
-        return Math.exp(prediction) / (1 + Math.exp(prediction)); // Softmax approximation
+        return softmax(margins);
+      case 'reg:squarederror':
       default:
-        return prediction;
-    }
-  }
-
-  private predictFromTree(tree: any, features: number[]): number {
-    // Simulate tree traversal
-    let currentNode = 0;
-    const maxDepth = tree.depth;
-    
-    for (let depth = 0; depth < maxDepth && currentNode < tree.splits.length; depth++) {
-      const split = tree.splits[currentNode];
-      if (!split) break;
-      
-      const featureValue = features[split.featureIndex] || 0;
-      
-      if (featureValue <= split.threshold) {
-        currentNode = split.leftChild || (currentNode * 2 + 1);
-      } else {
-        currentNode = split.rightChild || (currentNode * 2 + 2);
-      }
-      
-      // Prevent infinite loops
-      if (currentNode >= tree.splits.length) break;
+        return margins;
     }
-    
-    // Return leaf value (simulate with some randomness based on path)
-    const leafIndex = currentNode % tree.leafValues.length;
-    return tree.leafValues[leafIndex];
   }
 
+  private predictOutput(features: FeatureVector): number[] {
+    if (!this.isTrained || !this.model) {
+      throw new Error('Model must be trained before making predictions');
+    }
 
+    if (features.names.length !== this.featureNames.length) {
+      throw new Error(`Feature count mismatch. Expected ${this.featureNames.length}, got ${features.names.length}`);
+    }
+
+    return this.transform(this.predictMargins(features.values));
+  }
+
+  private resolveEvalMetric(): string {
+    const metric = this.config.evalMetric!;
+    const supported: { [objective: string]: string[] } = {
+      'reg:squarederror': ['rmse', 'mae'],
+      'binary:logistic': ['logloss', 'error', 'rmse', 'mae'],
+      'multi:softprob': ['mlogloss', 'merror']
+    };
+    const defaults: { [objective: string]: string } = {
+      'reg:squarederror': 'rmse',
+      'binary:logistic': 'logloss',
+      'multi:softprob': 'mlogloss'
+    };
+    const objective = this.config.objective!;
+
+    if (supported[objective].includes(metric)) {
+      return metric;
+    }
+    if (this.config.earlyStoppingRounds !== undefined) {
+      throw new Error(`Eval metric ${metric} is not supported for ${objective}`);
+    }
+    return defaults[objective];
+  }
+
+  private evaluate(metric: string, margins: number[][], labels: number[]): number {
+    const outputs = margins.map(m => this.transform(m));
+    const mean = (f: (output: number[], label: number) => number) =>
+      outputs.reduce((sum, output, i) => sum + f(output, labels[i]), 0) / outputs.length;
+
+    switch (metric) {
+      case 'rmse':
+        return Math.sqrt(mean((output, label) => (output[0] - label) ** 2));
+      case 'mae':
+        return mean((output, label) => Math.abs(output[0] - label));
+      case 'logloss':
+        return mean((output, label) => {
+          const p = Math.min(1 - PROBABILITY_EPSILON, Math.max(PROBABILITY_EPSILON, output[0]));
+          return -(label * Math.log(p) + (1 - label) * Math.log(1 - p));
+        });
+      case 'error':
+        return mean((output, label) => ((output[0] > 0.5 ? 1 : 0) !== (label > 0.5 ? 1 : 0) ? 1 : 0));
+      case 'mlogloss':
+        return mean((output, label) => -Math.log(Math.max(PROBABILITY_EPSILON, output[label])));
+      case 'merror':
+      default:
+        return mean((output, label) => (output.indexOf(Math.max(...output)) !== label ? 1 : 0));
+    }
+  }
+
+  private calculateFeatureImportances(trees: XGBoostTree[]): { [key: string]: number } {
+    const importances: { [key: string]: number } = {};
+
+    // Initialize all features with zero importance
+    this.featureNames.forEach(name => {
+      importances[name] = 0;
+    });
+
+    // Total split gain per feature
+    trees.forEach(tree => {
+      tree.nodes.forEach(node => {
+        if (node.feature !== -1) {
+          importances[this.featureNames[node.feature]] += node.gain;
+        }
+      });
+    });
+
+    // Normalize to sum to 1
+    const total = Object.values(importances).reduce((sum, val) => sum + val, 0);
+    if (total > 0) {
+      Object.keys(importances).forEach(feature => {
+        importances[feature] /= total;
+      });
+    }
+
+    return importances;
+  }
 
   // Cross-validation support
   async crossValidate(trainingData: TrainingData, folds: number = 5): Promise<number[]> {
@@ -285,15 +790,13 @@ export class XGBoostModel {
       const validationFeatures = trainingData.features.slice(startIdx, endIdx);
       const validationTargets = trainingData.targets.slice(startIdx, endIdx);
 
-      // Create training set (excluding validation)
-      const trainFeatures = [
-        ...trainingData.features.slice(0, startIdx),
-        ...trainingData.features.slice(endIdx)
-      ];
-      const trainTargets = [
-        ...trainingData.targets.slice(0, startIdx),
-        ...trainingData.targets.slice(endIdx)
-      ];
+      // Create training set (excluding validation); a single fold trains and scores on everything
+      const trainFeatures = folds > 1
+        ? [...trainingData.features.slice(0, startIdx), ...trainingData.features.slice(endIdx)]
+        : trainingData.features;
+      const trainTargets = folds > 1
+        ? [...trainingData.targets.slice(0, startIdx), ...trainingData.targets.slice(endIdx)]
+        : trainingData.targets;
 
       // Train on fold training data
       const foldTrainingData: TrainingData = {
@@ -313,7 +816,7 @@ export class XGBoostModel {
           names: trainingData.featureNames,
           timestamp: new Date()
         };
-        
+
         const prediction = await this.predict(features);
         const error = Math.abs(prediction - validationTargets[i]);
         totalError += error;
@@ -327,43 +830,37 @@ export class XGBoostModel {
     return scores;
   }
 
-  // Get prediction explanation (SHAP-like values)
+  /**
+   * Per-feature contributions in margin space (Saabas): each split credits its
+   * feature with the change in node value along the decision path, so the
+   * contributions plus the bias sum to the raw margin. Multi-class models
+   * explain the predicted class.
+   */
   explainPrediction(features: FeatureVector): { [featureName: string]: number } {
     if (!this.isTrained || !this.model) {
       throw new Error('Model must be trained to explain predictions');
     }
 
-    const explanation: { [featureName: string]: number } = {};
-    const baseValue = this.model.baseScore;
-    
-    // Calculate contribution of each feature
-    for (let i = 0; i < features.names.length; i++) {
-      const featureName = features.names[i];
-      const featureValue = features.values[i];
-      
-      // Simulate SHAP-like contribution calculation
-      let contribution = 0;
-      
-      for (const tree of this.model.trees) {
-        if (tree.featureIndices.includes(i)) {
-          // Calculate how this feature affects the tree prediction
-          const treeContribution = this.calculateFeatureContribution(tree, i, featureValue);
-          contribution += this.model.learningRate * treeContribution;
-        }
+    const margins = this.predictMargins(features.values);
+    const explained = margins.indexOf(Math.max(...margins));
+    const contributions = new Array<number>(this.featureNames.length).fill(0);
+
+    for (const tree of this.model.trees) {
+      if (tree.classIndex !== explained) continue;
+
+      let node = tree.nodes[0];
+      while (node.feature !== -1) {
+        const child = tree.nodes[goesLeft(features.values[node.feature], node.threshold, node.defaultLeft) ? node.left : node.right];
+        contributions[node.feature] += child.value - node.value;
+        node = child;
       }
-      
-      explanation[featureName] = contribution;
     }
-    
-    return explanation;
-  }
 
-  private calculateFeatureContribution(tree: any, featureIndex: number, featureValue: number): number {
-    // Simulate feature contribution calculation
-    const importance = this.model.featureImportances[this.featureNames[featureIndex]] || 0;
-    const normalizedValue = Math.tanh(featureValue); // Normalize feature value
-    
-    return importance * normalizedValue * (Math.random() * 0.4 + 0.8); // Add some variance
+    const explanation: { [featureName: string]: number } = {};
+    features.names.forEach((name, i) => {
+      explanation[name] = contributions[i] ?? 0;
+    });
+    return explanation;
   }
 
   // Get model complexity metrics
@@ -372,9 +869,16 @@ export class XGBoostModel {
       throw new Error('Model must be trained to get complexity metrics');
     }
 
+    const depth = (nodes: XGBoostTreeNode[], index: number): number => {
+      const node = nodes[index];
+      return node.feature === -1 ? 0 : 1 + Math.max(depth(nodes, node.left), depth(nodes, node.right));
+    };
+
     const numTrees = this.model.trees.length;
-    const avgDepth = this.model.trees.reduce((sum: number, tree: any) => sum + tree.depth, 0) / numTrees;
-    const totalNodes = this.model.trees.reduce((sum: number, tree: any) => sum + tree.splits.length, 0);
+    const avgDepth = numTrees > 0
+      ? this.model.trees.reduce((sum, tree) => sum + depth(tree.nodes, 0), 0) / numTrees
+      : 0;
+    const totalNodes = this.model.trees.reduce((sum, tree) => sum + tree.nodes.length, 0);
 
     return { numTrees, avgDepth, totalNodes };
   }
@@ -412,4 +916,23 @@ export class XGBoostModel {
       allResults: results
     };
   }
-}
\ No newline at end of file
+}
+
+export function goesLeft(value: number, threshold: number, defaultLeft: boolean): boolean {
+  return Number.isNaN(value) ? defaultLeft : value < threshold;
+}
+
+function sigmoid(margin: number): number {
+  return 1 / (1 + Math.exp(-margin));
+}
+
+function softmax(margins: number[]): number[] {
+  const max = Math.max(...margins);
+  const exps = margins.map(m => Math.exp(m - max));
+  const total = exps.reduce((sum, e) => sum + e, 0);
+  return exps.map(e => e / total);
+}
+
+function clamp(value: number, lower: number, upper: number): number {
+  return Math.min(upper, Math.max(lower, value));
+}
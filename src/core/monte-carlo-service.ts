@@ -5,16 +5,40 @@ import {
   SimulationScenario, 
   SimulationConfig, 
   SimulationProgress, 
+  SimulationVariable,
+  VariableSamples,
   WorkerTask, 
   WorkerResult,
+  WorkerPartialResult,
+  WorkerStartedMessage,
+  EstimatorMoments,
+  ConstraintType,
   SimulationBatch,
   BatchStatus,
   BatchPriority,
   ComputeDemand
 } from '../types/simulation.types';
-import { SimulationResult, OutcomeDistribution, ConfidenceInterval, Factor } from '../models/SimulationResult';
+import { 
+  SimulationResult, 
+  OutcomeDistribution, 
+  ConfidenceInterval, 
+  Factor,
+  ScoreDistribution,
+  ScoreSummary,
+  CorrelationReport,
+  ConvergenceReport,
+  ReproducibilityManifest
+} from '../models/SimulationResult';
 import { Logger } from './logger';
 import { CloudComputeManager } from './cloud-compute-manager';
+import { ConstraintExpression } from './constraint-expression';
+import { CorrelationMatrix, CorrelationTracker } from './correlated-sampling';
+import { OutcomeEstimator, distributionMean } from './outcome-estimator';
+import { GENERATOR_NAME } from './seeded-random';
+import { hashScenario, getCodeVersion, generateSeed } from './reproducibility';
+
+const DEFAULT_MIN_ITERATIONS = 1000;
+const DEFAULT_TASK_SIZE = 1000;
 
 export class MonteCarloService {
   private workers: Worker[] = [];
@@ -54,6 +78,11 @@ export class MonteCarloService {
     const startTime = Date.now();
     const finalConfig = { ...this.defaultConfig, ...config };
     
+    // Every run is seeded so its result can be reproduced from the manifest
+    if (finalConfig.randomSeed === undefined) {
+      finalConfig.randomSeed = generateSeed();
+    }
+    
     this.logger.info(`Starting Monte Carlo simulation for scenario ${scenario.id}`, {
       scenarioId: scenario.id,
       iterations: scenario.iterations,
@@ -63,12 +92,13 @@ export class MonteCarloService {
     try {
       // Validate scenario
       this.validateScenario(scenario);
+      this.validateVarianceReduction(scenario, finalConfig);
       
       // Create progress tracker
       const progress: SimulationProgress = {
         scenarioId: scenario.id,
         completedIterations: 0,
-        totalIterations: scenario.iterations,
+        totalIterations: this.plannedIterations(scenario, finalConfig),
         estimatedTimeRemaining: 0
       };
       
@@ -76,10 +106,10 @@ export class MonteCarloService {
       
       // Distribute work across workers
       const workerTasks = this.createWorkerTasks(scenario, finalConfig);
-      const workerResults = await this.executeWorkerTasks(workerTasks, progress);
+      const workerResults = await this.executeWorkerTasks(workerTasks, progress, scenario, finalConfig);
       
       // Aggregate results
-      const result = this.aggregateResults(scenario.id, workerResults, Date.now() - startTime);
+      const result = this.aggregateResults(scenario, workerResults, Date.now() - startTime, finalConfig);
       
       this.activeJobs.delete(scenario.id);
       
@@ -87,7 +117,8 @@ export class MonteCarloService {
         scenarioId: scenario.id,
         iterations: result.iterations,
         executionTime: result.executionTime,
-        mean: result.outcomes.mean
+        mean: result.outcomes.mean,
+        standardError: result.convergence?.standardError
       });
       
       return result;
@@ -99,6 +130,65 @@ export class MonteCarloService {
     }
   }
 
+  /**
+   * Draw joint samples of the given variables through the worker pool without
+   * simulating a game, e.g. correlated fantasy points for lineup selection.
+   * Rows follow iteration order, so a seed always reproduces the same matrix.
+   */
+  async sampleVariables(
+    variables: SimulationVariable[],
+    iterations: number,
+    config?: Partial<SimulationConfig>
+  ): Promise<VariableSamples> {
+    const finalConfig: SimulationConfig = {
+      ...this.defaultConfig,
+      ...config,
+      controlVariates: [],
+      recordSamples: true,
+      variablesOnly: true
+    };
+    if (finalConfig.randomSeed === undefined) {
+      finalConfig.randomSeed = generateSeed();
+    }
+
+    const scenario = {
+      id: uuidv4(),
+      iterations,
+      variables,
+      constraints: []
+    } as unknown as SimulationScenario;
+
+    this.validateIterations(iterations);
+    this.validateVariables(variables);
+
+    const progress: SimulationProgress = {
+      scenarioId: scenario.id,
+      completedIterations: 0,
+      totalIterations: this.plannedIterations(scenario, finalConfig),
+      estimatedTimeRemaining: 0
+    };
+    this.activeJobs.set(scenario.id, progress);
+
+    try {
+      const workerResults = await this.executeWorkerTasks(
+        this.createWorkerTasks(scenario, finalConfig), progress, scenario, finalConfig
+      );
+
+      const values = workerResults
+        .filter(result => result.samples)
+        .sort((a, b) => (a.iterationRange?.[0] ?? 0) - (b.iterationRange?.[0] ?? 0))
+        .flatMap(result => result.samples!);
+
+      return {
+        variables: variables.map(variable => variable.name),
+        values,
+        seed: finalConfig.randomSeed
+      };
+    } finally {
+      this.activeJobs.delete(scenario.id);
+    }
+  }
+
   /**
    * Run multiple simulations in batch
    */
@@ -230,60 +320,90 @@ export class MonteCarloService {
       throw new Error('Scenario must have an ID');
     }
     
-    if (scenario.iterations < 1) {
-      throw new Error('Iterations must be at least 1');
-    }
-    
-    if (scenario.iterations > 1000000) {
-      throw new Error('Iterations cannot exceed 1,000,000');
-    }
+    this.validateIterations(scenario.iterations);
     
     if (!scenario.gameState) {
       throw new Error('Scenario must have a game state');
     }
     
-    if (!scenario.variables || scenario.variables.length === 0) {
+    this.validateVariables(scenario.variables);
+    
+    // Validate constraints
+    const variableNames = scenario.variables.map(variable => variable.name);
+    for (const constraint of scenario.constraints || []) {
+      if (!constraint.condition) {
+        throw new Error(`Constraint ${constraint.name} must have a condition`);
+      }
+      ConstraintExpression.compileConstraint(constraint, variableNames);
+    }
+  }
+
+  private validateIterations(iterations: number): void {
+    if (iterations < 1) {
+      throw new Error('Iterations must be at least 1');
+    }
+    
+    if (iterations > 1000000) {
+      throw new Error('Iterations cannot exceed 1,000,000');
+    }
+  }
+
+  private validateVariables(variables: SimulationVariable[]): void {
+    if (!variables || variables.length === 0) {
       throw new Error('Scenario must have at least one variable');
     }
     
     // Validate variable distributions
-    for (const variable of scenario.variables) {
+    for (const variable of variables) {
       if (!variable.distribution || !variable.distribution.type) {
         throw new Error(`Variable ${variable.name} must have a distribution type`);
       }
     }
     
-    // Validate constraints
-    for (const constraint of scenario.constraints || []) {
-      if (!constraint.condition) {
-        throw new Error(`Constraint ${constraint.name} must have a condition`);
+    // Correlations must form a positive semi-definite matrix
+    CorrelationMatrix.fromVariables(variables).cholesky();
+  }
+
+  /**
+   * Validate variance reduction options against the scenario
+   */
+  private validateVarianceReduction(scenario: SimulationScenario, config: SimulationConfig): void {
+    const controls = config.controlVariates || [];
+    if (controls.length === 0) {
+      return;
+    }
+    
+    for (const name of controls) {
+      if (!scenario.variables.some(variable => variable.name === name)) {
+        throw new Error(`Control variate ${name} is not a scenario variable`);
       }
     }
+    
+    // Hard constraints resample variables, so their simulated mean is no longer known
+    if ((scenario.constraints || []).some(constraint => constraint.type === ConstraintType.HARD)) {
+      throw new Error('Control variates cannot be used with hard constraints');
+    }
   }
 
   /**
-   * Create worker tasks from scenario
+   * Create worker tasks from scenario. Tasks have a fixed size rather than
+   * one per worker, so results are aggregated identically for any worker count.
    */
   private createWorkerTasks(scenario: SimulationScenario, config: SimulationConfig): WorkerTask[] {
-    const tasksPerWorker = Math.ceil(scenario.iterations / config.parallelWorkers!);
     const tasks: WorkerTask[] = [];
+    const taskSize = this.getTaskSize(config);
+    const ranges = config.iterationRanges || [[0, scenario.iterations]];
     
-    let currentIteration = 0;
-    for (let i = 0; i < config.parallelWorkers!; i++) {
-      const startIteration = currentIteration;
-      const endIteration = Math.min(currentIteration + tasksPerWorker, scenario.iterations);
-      
-      if (startIteration < endIteration) {
+    for (const [rangeStart, rangeEnd] of ranges) {
+      for (let startIteration = rangeStart; startIteration < rangeEnd; startIteration += taskSize) {
         tasks.push({
           id: uuidv4(),
           scenarioId: scenario.id,
           startIteration,
-          endIteration,
+          endIteration: Math.min(startIteration + taskSize, rangeEnd),
           scenario,
           config
         });
-        
-        currentIteration = endIteration;
       }
     }
     
@@ -291,37 +411,121 @@ export class MonteCarloService {
   }
 
   /**
-   * Execute worker tasks in parallel
+   * Iterations per worker task; even with antithetic variates so pairs never straddle tasks
+   */
+  private getTaskSize(config: SimulationConfig): number {
+    const taskSize = Math.max(1, Math.floor(config.taskSize || DEFAULT_TASK_SIZE));
+    return config.antitheticVariates && taskSize % 2 === 1 ? taskSize + 1 : taskSize;
+  }
+
+  private plannedIterations(scenario: SimulationScenario, config: SimulationConfig): number {
+    return config.iterationRanges
+      ? config.iterationRanges.reduce((sum, [start, end]) => sum + (end - start), 0)
+      : scenario.iterations;
+  }
+
+  /**
+   * Execute worker tasks in parallel, stopping them early once the win
+   * probability standard error drops below the convergence threshold
    */
   private async executeWorkerTasks(
     tasks: WorkerTask[], 
-    progress: SimulationProgress
+    progress: SimulationProgress,
+    scenario: SimulationScenario,
+    config: SimulationConfig
   ): Promise<WorkerResult[]> {
-    const promises = tasks.map((task, index) => 
-      this.executeWorkerTask(task, this.workers[index % this.workers.length], progress)
+    const assignments = tasks.map((task, index) => ({ task, worker: this.workers[index % this.workers.length] }));
+    const completed = new Map<string, number>();
+    const moments = new Map<string, EstimatorMoments>();
+    const minIterations = Math.min(config.minIterations ?? DEFAULT_MIN_ITERATIONS, scenario.iterations);
+    // Replaying recorded iteration ranges must not stop at a different point,
+    // and variable sampling has no outcome to converge
+    let stopped = Boolean(config.iterationRanges) || Boolean(config.variablesOnly);
+
+    const onPartial = (partial: WorkerPartialResult) => {
+      completed.set(partial.taskId, partial.iterations);
+      moments.set(partial.taskId, partial.estimatorMoments);
+
+      progress.completedIterations = Array.from(completed.values()).reduce((sum, n) => sum + n, 0);
+      progress.estimatedTimeRemaining = this.estimateTimeRemaining(progress);
+
+      const convergence = this.calculateConvergence(scenario, config, Array.from(moments.values()), false);
+      progress.currentResult = { iterations: progress.completedIterations, convergence };
+      this.eventEmitter.emit('progress', progress);
+
+      if (!stopped && convergence.converged && progress.completedIterations >= minIterations) {
+        stopped = true;
+        this.logger.info(`Simulation ${scenario.id} converged after ${progress.completedIterations} iterations`, {
+          scenarioId: scenario.id,
+          standardError: convergence.standardError
+        });
+        assignments
+          .filter(({ task }) => !finished.has(task.id))
+          .forEach(({ task, worker }) => worker.postMessage({ type: 'stop', taskId: task.id }));
+      }
+    };
+
+    const finished = new Set<string>();
+    const promises = assignments.map(({ task, worker }, index) => 
+      this.executeWorkerTask(task, worker, Math.floor(index / this.workers.length), progress, onPartial, completed).then(result => {
+        finished.add(task.id);
+        return result;
+      })
     );
     
     return Promise.all(promises);
   }
 
   /**
-   * Execute a single worker task
+   * Execute a single worker task. Workers run their tasks one at a time, so the
+   * timeout restarts when the worker reports it has started this task; until
+   * then it allows for the tasks queued ahead of it.
    */
   private async executeWorkerTask(
     task: WorkerTask, 
     worker: Worker, 
-    progress: SimulationProgress
+    queuePosition: number,
+    progress: SimulationProgress,
+    onPartial: (partial: WorkerPartialResult) => void,
+    completed: Map<string, number>
   ): Promise<WorkerResult> {
     return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
+      const cleanup = () => {
+        clearTimeout(timeout);
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+      };
+
+      const timeoutMs = task.config.timeoutMs || 300000;
+      const startTimeout = (ms: number) => setTimeout(() => {
+        cleanup();
         reject(new Error(`Worker task ${task.id} timed out`));
-      }, task.config.timeoutMs || 300000);
+      }, ms);
+      let timeout = startTimeout(timeoutMs * (queuePosition + 1));
 
-      worker.once('message', (result: WorkerResult) => {
-        clearTimeout(timeout);
+      // Workers may run several tasks, so only handle messages for this one
+      const onMessage = (message: WorkerResult | WorkerPartialResult | WorkerStartedMessage) => {
+        if (message.taskId !== task.id) {
+          return;
+        }
+
+        if ('started' in message && message.started) {
+          clearTimeout(timeout);
+          timeout = startTimeout(timeoutMs);
+          return;
+        }
+
+        if ('partial' in message && message.partial) {
+          onPartial(message);
+          return;
+        }
+
+        const result = message as WorkerResult;
+        cleanup();
         
         // Update progress
-        progress.completedIterations += result.iterations;
+        completed.set(task.id, result.iterations);
+        progress.completedIterations = Array.from(completed.values()).reduce((sum, n) => sum + n, 0);
         progress.estimatedTimeRemaining = this.estimateTimeRemaining(progress);
         
         this.eventEmitter.emit('progress', progress);
@@ -331,26 +535,64 @@ export class MonteCarloService {
         } else {
           resolve(result);
         }
-      });
+      };
 
-      worker.once('error', (error) => {
-        clearTimeout(timeout);
+      const onError = (error: Error) => {
+        cleanup();
         reject(error);
-      });
+      };
+
+      worker.on('message', onMessage);
+      worker.once('error', onError);
 
       worker.postMessage(task);
     });
   }
 
+  /**
+   * Win probability estimate and standard error from merged estimator moments
+   */
+  private calculateConvergence(
+    scenario: SimulationScenario,
+    config: SimulationConfig,
+    moments: EstimatorMoments[],
+    stoppedEarly: boolean
+  ): ConvergenceReport {
+    const controls = config.controlVariates || [];
+    const estimator = new OutcomeEstimator(controls);
+    moments.forEach(m => estimator.merge(m));
+
+    const expectations = controls.map(name =>
+      distributionMean(scenario.variables.find(variable => variable.name === name)!.distribution)
+    );
+    const { mean, standardError } = estimator.estimate(expectations);
+    const threshold = config.convergenceThreshold;
+
+    return new ConvergenceReport({
+      estimate: mean,
+      standardError,
+      threshold,
+      requestedIterations: this.plannedIterations(scenario, config),
+      converged: threshold !== undefined && threshold > 0 && standardError <= threshold,
+      stoppedEarly,
+      antitheticVariates: Boolean(config.antitheticVariates),
+      controlVariates: controls
+    });
+  }
+
   /**
    * Aggregate results from multiple workers
    */
   private aggregateResults(
-    scenarioId: string, 
+    scenario: SimulationScenario, 
     workerResults: WorkerResult[], 
-    totalExecutionTime: number
+    totalExecutionTime: number,
+    config: SimulationConfig = this.defaultConfig
   ): SimulationResult {
+    const scenarioId = scenario.id;
     const allOutcomes: number[] = [];
+    const homeScores: number[] = [];
+    const awayScores: number[] = [];
     const allFactors: { [key: string]: number[] } = {};
     let totalIterations = 0;
 
@@ -359,6 +601,11 @@ export class MonteCarloService {
       allOutcomes.push(...result.outcomes);
       totalIterations += result.iterations;
       
+      if (result.homeScores && result.awayScores) {
+        homeScores.push(...result.homeScores);
+        awayScores.push(...result.awayScores);
+      }
+      
       // Aggregate factors
       for (const [factorName, factorValue] of Object.entries(result.factors)) {
         if (!allFactors[factorName]) {
@@ -368,6 +615,10 @@ export class MonteCarloService {
       }
     }
 
+    if (allOutcomes.length === 0) {
+      throw new Error(`No simulated games satisfied the hard constraints of scenario ${scenarioId}`);
+    }
+
     // Calculate outcome distribution
     const outcomes = this.calculateOutcomeDistribution(allOutcomes);
     
@@ -377,16 +628,154 @@ export class MonteCarloService {
     // Calculate key factors
     const keyFactors = this.calculateKeyFactors(allFactors);
 
+    // Spreads, totals and win probability all come from the same simulated games
+    const scoreDistribution = homeScores.length === allOutcomes.length
+      ? this.calculateScoreDistribution(homeScores, awayScores)
+      : undefined;
+
+    const correlationReport = this.calculateCorrelationReport(scenario, workerResults);
+
+    // Workers without estimator moments (e.g. cloud batches) fall back to plain outcomes
+    const estimatorMoments = workerResults.every(result => result.estimatorMoments)
+      ? workerResults.map(result => result.estimatorMoments!)
+      : [this.momentsFromOutcomes(allOutcomes)];
+    const iterationRanges = workerResults.every(result => result.iterationRange)
+      ? this.mergeIterationRanges(workerResults.map(result => result.iterationRange!))
+      : undefined;
+    const processedIterations = iterationRanges
+      ? iterationRanges.reduce((sum, [start, end]) => sum + (end - start), 0)
+      : undefined;
+    const convergence = this.calculateConvergence(
+      scenario,
+      estimatorMoments[0].controls.length > 0 ? config : { ...config, controlVariates: [] },
+      estimatorMoments,
+      processedIterations !== undefined && processedIterations < this.plannedIterations(scenario, config)
+    );
+
+    const reproducibility = config.randomSeed !== undefined
+      ? new ReproducibilityManifest({
+        seed: config.randomSeed,
+        scenarioHash: hashScenario(scenario),
+        codeVersion: getCodeVersion(),
+        generator: GENERATOR_NAME,
+        taskSize: this.getTaskSize(config),
+        antitheticVariates: Boolean(config.antitheticVariates),
+        iterationRanges
+      })
+      : undefined;
+
     return new SimulationResult({
       scenarioId,
       iterations: totalIterations,
       outcomes,
       confidenceInterval,
       keyFactors,
-      executionTime: totalExecutionTime
+      executionTime: totalExecutionTime,
+      scoreDistribution,
+      correlationReport,
+      convergence,
+      reproducibility
     });
   }
 
+  /**
+   * Sort and join completed iteration ranges, e.g. [[0, 1000], [1000, 1450]] -> [[0, 1450]]
+   */
+  private mergeIterationRanges(ranges: Array<[number, number]>): Array<[number, number]> {
+    const merged: Array<[number, number]> = [];
+    for (const [start, end] of [...ranges].sort((a, b) => a[0] - b[0])) {
+      if (end <= start) continue;
+      const last = merged[merged.length - 1];
+      if (last && last[1] === start) {
+        last[1] = end;
+      } else {
+        merged.push([start, end]);
+      }
+    }
+    return merged;
+  }
+
+  private momentsFromOutcomes(outcomes: number[]): EstimatorMoments {
+    const estimator = new OutcomeEstimator();
+    outcomes.forEach(outcome => estimator.record(outcome));
+    return estimator.toMoments();
+  }
+
+  /**
+   * Compare declared correlations with those achieved by the sampled variables
+   */
+  private calculateCorrelationReport(
+    scenario: SimulationScenario,
+    workerResults: WorkerResult[]
+  ): CorrelationReport | undefined {
+    const moments = workerResults
+      .map(result => result.correlationMoments)
+      .filter((m): m is NonNullable<typeof m> => m !== undefined);
+
+    if (moments.length === 0) {
+      return undefined;
+    }
+
+    const requested = CorrelationMatrix.fromVariables(scenario.variables);
+    const tracker = new CorrelationTracker(requested.variables);
+    moments.forEach(m => tracker.merge(m));
+
+    return new CorrelationReport({
+      variables: requested.variables,
+      requested: requested.values,
+      achieved: tracker.correlation(),
+      sampleSize: tracker.sampleSize
+    });
+  }
+
+  /**
+   * Calculate final-score distribution from simulated games
+   */
+  private calculateScoreDistribution(homeScores: number[], awayScores: number[]): ScoreDistribution {
+    const n = homeScores.length;
+    const margins: number[] = [];
+    const totals: number[] = [];
+    const marginFrequencies: { [margin: string]: number } = {};
+    const totalFrequencies: { [total: string]: number } = {};
+    let homeWins = 0;
+    let awayWins = 0;
+
+    for (let i = 0; i < n; i++) {
+      const margin = homeScores[i] - awayScores[i];
+      const total = homeScores[i] + awayScores[i];
+      margins.push(margin);
+      totals.push(total);
+
+      if (margin > 0) homeWins++;
+      else if (margin < 0) awayWins++;
+
+      marginFrequencies[margin] = (marginFrequencies[margin] || 0) + 1 / n;
+      totalFrequencies[total] = (totalFrequencies[total] || 0) + 1 / n;
+    }
+
+    return new ScoreDistribution({
+      homeScore: this.summarizeScores(homeScores),
+      awayScore: this.summarizeScores(awayScores),
+      margin: this.summarizeScores(margins),
+      total: this.summarizeScores(totals),
+      homeWinProbability: homeWins / n,
+      awayWinProbability: awayWins / n,
+      tieProbability: (n - homeWins - awayWins) / n,
+      marginFrequencies,
+      totalFrequencies
+    });
+  }
+
+  /**
+   * Summarize a list of scores or score-derived values
+   */
+  private summarizeScores(values: number[]): ScoreSummary {
+    const { mean, median, standardDeviation, percentile25, percentile75, minimum, maximum } =
+      this.calculateOutcomeDistribution([...values]);
+
+    return new ScoreSummary({ mean, median, standardDeviation, percentile25, percentile75, minimum, maximum });
+  }
+
   /**
    * Calculate outcome distribution statistics
    */
@@ -556,7 +945,8 @@ export class MonteCarloService {
       const results: SimulationResult[] = [];
       for (const [scenarioId, results_] of scenarioResults.entries()) {
         const totalExecutionTime = results_.reduce((sum, r) => sum + r.executionTime, 0);
-        const aggregatedResult = this.aggregateResults(scenarioId, results_, totalExecutionTime);
+        const scenario = scenarios.find(s => s.id === scenarioId)!;
+        const aggregatedResult = this.aggregateResults(scenario, results_, totalExecutionTime, batch.config);
         results.push(aggregatedResult);
       }
 
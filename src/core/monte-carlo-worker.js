@@ -1,4 +1,23 @@
 const { parentPort } = require('worker_threads');
+const {
+  PlayOutcomeDistributions,
+  DEFAULT_PLAY_OUTCOME_PARAMETERS
+} = require('./probability-distributions');
+const { ConstraintExpression } = require('./constraint-expression');
+const {
+  CorrelationMatrix,
+  GaussianCopulaSampler,
+  CorrelationTracker
+} = require('./correlated-sampling');
+const { OutcomeEstimator } = require('./outcome-estimator');
+const { SeededRandom } = require('./seeded-random');
+
+const QUARTER_SECONDS = 15 * 60;
+const OVERTIME_SECONDS = 10 * 60;
+const MAX_PLAYS_PER_GAME = 400;
+const MAX_CONSTRAINT_RESAMPLES = 100;
+const BASELINE_TURNOVERS_PER_GAME = 1.5;
+const DEFAULT_REPORT_INTERVAL = 250;
 
 /**
  * Monte Carlo simulation worker thread
@@ -8,39 +27,139 @@ const { parentPort } = require('worker_threads');
 class SimulationWorker {
   constructor() {
     this.random = Math.random;
+    this.compiledConstraints = new Map();
+    this.copulaSampler = null;
+    this.correlationTracker = null;
+    this.stoppedTasks = new Set();
+    this.pendingTasks = new Set();
+  }
+
+  /**
+   * Record a task waiting in the queue so it can be stopped before it starts
+   */
+  queueTask(taskId) {
+    this.pendingTasks.add(taskId);
   }
 
   /**
-   * Execute simulation task
+   * Ask a running or queued task to return the iterations completed so far.
+   * Stops for tasks that already finished are ignored rather than kept forever.
    */
-  async executeTask(task) {
+  stopTask(taskId) {
+    if (this.pendingTasks.has(taskId)) {
+      this.stoppedTasks.add(taskId);
+    }
+  }
+
+  /**
+   * Execute simulation task, reporting partial estimator moments through onPartial
+   */
+  async executeTask(task, onPartial) {
     const startTime = Date.now();
+    const baseRandom = this.random;
+    this.pendingTasks.add(task.id);
     
     try {
       const outcomes = [];
+      const samples = [];
+      const homeScores = [];
+      const awayScores = [];
       const factors = {};
+      let rejectedIterations = 0;
+      
+      // Each iteration draws from its own stream of the seeded generator,
+      // so results do not depend on how iterations are split across tasks
+      const seeded = task.config.randomSeed !== undefined && task.config.randomSeed !== null
+        ? new SeededRandom(task.config.randomSeed)
+        : null;
+      let processedThrough = task.startIteration;
+      
+      // Compile constraints up front; invalid expressions fail the task
+      this.compileConstraints(task.scenario);
+      this.prepareSampling(task.scenario);
       
-      // Initialize random seed if provided
-      if (task.config.randomSeed) {
-        this.initializeRandom(task.config.randomSeed + task.startIteration);
+      // Antithetic pairs replay the first iteration's uniforms mirrored
+      const antithetic = task.config.antitheticVariates ? this.createAntitheticSource(baseRandom) : null;
+      if (antithetic) {
+        this.random = antithetic;
       }
       
+      const controls = task.config.controlVariates || [];
+      const estimator = new OutcomeEstimator(controls);
+      const reportInterval = Math.max(1, task.config.reportInterval || DEFAULT_REPORT_INTERVAL);
+      let unit = { outcome: 0, controls: controls.map(() => 0), members: 0 };
+      let unitsSinceReport = 0;
+      
       // Run iterations
       for (let i = task.startIteration; i < task.endIteration; i++) {
-        const outcome = await this.runSingleIteration(task.scenario, i);
-        outcomes.push(outcome.value);
+        if (this.stoppedTasks.has(task.id)) {
+          break;
+        }
         
-        // Aggregate factors
-        for (const [factorName, factorValue] of Object.entries(outcome.factors)) {
-          if (!factors[factorName]) {
-            factors[factorName] = 0;
+        const position = i - task.startIteration;
+        const stream = seeded ? seeded.split(i).source : baseRandom;
+        if (antithetic) {
+          position % 2 === 0 ? antithetic.record(stream) : antithetic.mirror(stream);
+        } else {
+          this.random = stream;
+        }
+        
+        const outcome = task.config.variablesOnly
+          ? this.sampleIteration(task.scenario)
+          : await this.runSingleIteration(task.scenario, i);
+        processedThrough = i + 1;
+        if (outcome.rejected) {
+          rejectedIterations++;
+        } else {
+          outcomes.push(outcome.value);
+          if (task.config.recordSamples) {
+            samples.push(task.scenario.variables.map(variable => outcome.variables[variable.name]));
+          }
+          homeScores.push(outcome.score.home);
+          awayScores.push(outcome.score.away);
+          if (this.correlationTracker) {
+            this.correlationTracker.record(outcome.variables);
+          }
+          
+          unit.outcome += outcome.value;
+          controls.forEach((name, c) => { unit.controls[c] += outcome.variables[name]; });
+          unit.members++;
+          
+          // Aggregate factors
+          for (const [factorName, factorValue] of Object.entries(outcome.factors)) {
+            if (!factors[factorName]) {
+              factors[factorName] = 0;
+            }
+            factors[factorName] += factorValue;
           }
-          factors[factorName] += factorValue;
+        }
+        
+        const unitComplete = !antithetic || position % 2 === 1 || i === task.endIteration - 1;
+        if (!unitComplete) {
+          continue;
+        }
+        
+        if (unit.members > 0) {
+          estimator.record(unit.outcome / unit.members, unit.controls.map(sum => sum / unit.members));
+        }
+        unit = { outcome: 0, controls: controls.map(() => 0), members: 0 };
+        
+        // Stream partial results and give stop requests a chance to arrive
+        if (onPartial && ++unitsSinceReport * (antithetic ? 2 : 1) >= reportInterval) {
+          unitsSinceReport = 0;
+          onPartial({
+            taskId: task.id,
+            scenarioId: task.scenarioId,
+            partial: true,
+            iterations: outcomes.length,
+            estimatorMoments: estimator.toMoments()
+          });
+          await new Promise(resolve => setImmediate(resolve));
         }
       }
       
       // Average factors
-      const iterationCount = task.endIteration - task.startIteration;
+      const iterationCount = outcomes.length;
       for (const factorName of Object.keys(factors)) {
         factors[factorName] /= iterationCount;
       }
@@ -52,6 +171,13 @@ class SimulationWorker {
         scenarioId: task.scenarioId,
         iterations: iterationCount,
         outcomes,
+        homeScores,
+        awayScores,
+        rejectedIterations,
+        correlationMoments: this.correlationTracker ? this.correlationTracker.toMoments() : undefined,
+        estimatorMoments: estimator.toMoments(),
+        iterationRange: [task.startIteration, processedThrough],
+        samples: task.config.recordSamples ? samples : undefined,
         factors,
         executionTime
       };
@@ -66,28 +192,76 @@ class SimulationWorker {
         executionTime: Date.now() - startTime,
         error: error.message
       };
+    } finally {
+      this.random = baseRandom;
+      this.pendingTasks.delete(task.id);
+      this.stoppedTasks.delete(task.id);
     }
   }
 
+  /**
+   * Uniform source that records draws, then replays them as 1 - u for the
+   * antithetic partner. Draws beyond the recorded stream are fresh; record
+   * and mirror optionally switch the underlying fresh stream.
+   */
+  createAntitheticSource(random) {
+    let fresh = random;
+    let recorded = [];
+    let replay = null;
+    let position = 0;
+    
+    const source = () => {
+      if (replay) {
+        const u = position < replay.length ? replay[position++] : 0;
+        return u > 0 ? 1 - u : fresh();
+      }
+      const u = fresh();
+      recorded.push(u);
+      return u;
+    };
+    source.record = (stream = fresh) => {
+      fresh = stream;
+      replay = null;
+      recorded = [];
+    };
+    source.mirror = (stream = fresh) => {
+      fresh = stream;
+      replay = recorded;
+      position = 0;
+    };
+    return source;
+  }
+
   /**
    * Run a single simulation iteration
    */
   async runSingleIteration(scenario, iterationIndex) {
-    const gameState = { ...scenario.gameState };
+    const gameState = scenario.gameState;
+    const constraints = scenario.constraints || [];
     const factors = {};
     
-    // Sample variables according to their distributions
-    const sampledVariables = {};
-    for (const variable of scenario.variables) {
-      sampledVariables[variable.name] = this.sampleFromDistribution(variable.distribution);
-      factors[variable.name] = sampledVariables[variable.name];
-    }
+    // Sample variables, resampling while a hard constraint is violated
+    let sampledVariables;
+    let attempts = 0;
+    do {
+      if (attempts++ >= MAX_CONSTRAINT_RESAMPLES) {
+        return { rejected: true };
+      }
+      sampledVariables = this.sampleVariables(scenario.variables);
+    } while (!this.satisfiesHardConstraints(constraints, gameState, sampledVariables));
     
-    // Apply correlations
-    this.applyCorrelations(sampledVariables, scenario.variables);
+    for (const [name, value] of Object.entries(sampledVariables)) {
+      factors[name] = value;
+    }
     
-    // Simulate game outcome
-    const outcome = this.simulateGameOutcome(gameState, sampledVariables, scenario.constraints);
+    // Play out the rest of the game
+    const score = this.simulateGameOutcome(gameState, sampledVariables);
+    const value = this.applyPenaltyConstraints(
+      this.calculateHomeResult(score),
+      constraints,
+      gameState,
+      sampledVariables
+    );
     
     // Calculate additional factors
     factors['momentum'] = this.calculateMomentumFactor(gameState);
@@ -96,11 +270,60 @@ class SimulationWorker {
     factors['score_differential'] = this.calculateScoreDifferentialFactor(gameState);
     
     return {
-      value: outcome,
+      value,
+      score: { home: score.home, away: score.away },
+      variables: sampledVariables,
       factors
     };
   }
 
+  /**
+   * Sample the scenario variables only, for callers that need joint draws
+   * rather than a game result
+   */
+  sampleIteration(scenario) {
+    const constraints = scenario.constraints || [];
+    let sampledVariables;
+    let attempts = 0;
+    do {
+      if (attempts++ >= MAX_CONSTRAINT_RESAMPLES) {
+        return { rejected: true };
+      }
+      sampledVariables = this.sampleVariables(scenario.variables);
+    } while (!this.satisfiesHardConstraints(constraints, scenario.gameState, sampledVariables));
+    
+    return { value: 0, score: { home: 0, away: 0 }, variables: sampledVariables, factors: {} };
+  }
+
+  /**
+   * Use a Gaussian copula for the task when the scenario declares correlations
+   */
+  prepareSampling(scenario) {
+    const matrix = CorrelationMatrix.fromVariables(scenario.variables);
+    if (matrix.hasCorrelations()) {
+      this.copulaSampler = new GaussianCopulaSampler(scenario.variables, matrix);
+      this.correlationTracker = new CorrelationTracker(matrix.variables);
+    } else {
+      this.copulaSampler = null;
+      this.correlationTracker = null;
+    }
+  }
+
+  /**
+   * Sample every scenario variable, jointly when correlations are declared
+   */
+  sampleVariables(variables) {
+    if (this.copulaSampler) {
+      return this.copulaSampler.sample(this.random);
+    }
+    
+    const sampledVariables = {};
+    for (const variable of variables) {
+      sampledVariables[variable.name] = this.sampleFromDistribution(variable.distribution);
+    }
+    return sampledVariables;
+  }
+
   /**
    * Sample from probability distribution
    */
@@ -254,93 +477,439 @@ class SimulationWorker {
   }
 
   /**
-   * Apply variable correlations
+   * Check every hard constraint against the sampled variables
    */
-  applyCorrelations(sampledVariables, variables) {
-    for (const variable of variables) {
-      if (variable.correlation && variable.correlation.length > 0) {
-        let adjustment = 0;
-        for (const corr of variable.correlation) {
-          if (sampledVariables[corr.variable] !== undefined) {
-            adjustment += corr.coefficient * sampledVariables[corr.variable];
-          }
-        }
-        sampledVariables[variable.name] += adjustment * 0.1; // Scale adjustment
+  satisfiesHardConstraints(constraints, gameState, variables) {
+    return constraints
+      .filter(constraint => constraint.type === 'hard')
+      .every(constraint => this.evaluateConstraint(constraint, gameState, variables));
+  }
+
+  /**
+   * Deduct penalties for violated penalty constraints from an iteration value
+   */
+  applyPenaltyConstraints(value, constraints, gameState, variables) {
+    for (const constraint of constraints) {
+      if (constraint.type === 'penalty' && !this.evaluateConstraint(constraint, gameState, variables)) {
+        value -= constraint.penalty || 0.1;
       }
     }
+    
+    return Math.max(0, Math.min(1, value));
   }
 
   /**
-   * Simulate game outcome based on current state and variables
+   * Home team result of a simulated game: 1 for a win, 0.5 for a tie, 0 for a loss
    */
-  simulateGameOutcome(gameState, variables, constraints) {
-    // Basic win probability calculation
-    let winProbability = 0.5; // Start neutral
+  calculateHomeResult(score) {
+    if (score.home > score.away) return 1;
+    if (score.home < score.away) return 0;
+    return 0.5;
+  }
+
+  /**
+   * Simulate the remainder of the game play by play and return the final score
+   */
+  simulateGameOutcome(gameState, variables) {
+    const models = this.buildPlayModels(variables);
+    const sim = this.createSimulationState(gameState);
+    
+    if (sim.clock <= 0) {
+      this.endPeriod(sim, models);
+    }
     
-    // Adjust for score differential
-    const scoreDiff = gameState.score.home - gameState.score.away;
-    winProbability += scoreDiff * 0.02; // 2% per point
+    let plays = 0;
+    while (!sim.final && plays < MAX_PLAYS_PER_GAME) {
+      this.simulatePlay(sim, models);
+      plays++;
+    }
+    
+    return { home: sim.score.home, away: sim.score.away, plays };
+  }
+
+  /**
+   * Build per-team play-outcome distributions from the sampled variables.
+   * Efficiency variables are expressed from the home team's perspective.
+   */
+  buildPlayModels(variables) {
+    const offense = variables.offensive_efficiency !== undefined ? variables.offensive_efficiency : 0.5;
+    const defense = variables.defensive_efficiency !== undefined ? variables.defensive_efficiency : 0.5;
+    const momentum = variables.momentum || 0;
+    const weather = variables.weather_impact || 0;
+    const turnoverScale = variables.turnovers !== undefined
+      ? Math.max(0.25, variables.turnovers / BASELINE_TURNOVERS_PER_GAME)
+      : 1;
     
-    // Adjust for time remaining
-    const timeRemaining = gameState.timeRemaining.minutes + gameState.timeRemaining.seconds / 60;
-    const gameProgress = 1 - (timeRemaining / (15 * 4)); // Normalize to game progress
-    winProbability += (winProbability - 0.5) * gameProgress * 0.5; // Amplify lead as time runs out
+    const homeStrength = 1 + (offense - 0.5) * 0.4 + momentum * 0.1;
+    const awayStrength = 1 - (defense - 0.5) * 0.4 - momentum * 0.1;
     
-    // Adjust for field position
-    if (gameState.fieldPosition.yardLine <= 20) {
-      winProbability += gameState.possession.id === gameState.game.homeTeam.id ? 0.1 : -0.1;
+    return {
+      home: this.createPlayModel(homeStrength, weather, turnoverScale),
+      away: this.createPlayModel(awayStrength, weather, turnoverScale)
+    };
+  }
+
+  /**
+   * Create a play-outcome model scaled by offensive strength and conditions
+   */
+  createPlayModel(strength, weather, turnoverScale) {
+    const base = DEFAULT_PLAY_OUTCOME_PARAMETERS;
+    const factor = Math.max(0.5, Math.min(1.5, strength));
+    const passingConditions = Math.max(0.5, Math.min(1.5, 1 + weather));
+    
+    return new PlayOutcomeDistributions({
+      rushMean: base.rushMean * factor,
+      completionRate: Math.min(0.85, base.completionRate * Math.sqrt(factor) * passingConditions),
+      completionYardsMean: base.completionYardsMean * factor,
+      interceptionRate: base.interceptionRate * turnoverScale / factor,
+      fumbleRate: base.fumbleRate * turnoverScale / factor
+    });
+  }
+
+  /**
+   * Convert a game state into the mutable state used by the drive simulator.
+   * Field position is tracked as yards to the offense's end zone.
+   */
+  createSimulationState(gameState) {
+    const homeId = gameState.game && gameState.game.homeTeam ? gameState.game.homeTeam.id : undefined;
+    const offense = gameState.possession && gameState.possession.id !== homeId ? 'away' : 'home';
+    const yardLine = gameState.fieldPosition ? gameState.fieldPosition.yardLine : 25;
+    const ownTerritory = !gameState.fieldPosition || gameState.fieldPosition.side === offense;
+    const yardsToEndZone = Math.min(99, Math.max(1, ownTerritory ? 100 - yardLine : yardLine));
+    const timeRemaining = gameState.timeRemaining;
+    const timeouts = gameState.timeouts || {};
+    
+    return {
+      score: { home: gameState.score.home, away: gameState.score.away },
+      quarter: timeRemaining.quarter,
+      clock: timeRemaining.minutes * 60 + timeRemaining.seconds,
+      overtime: timeRemaining.overtime === true || timeRemaining.quarter > 4,
+      offense,
+      yardsToEndZone,
+      down: Math.min(4, Math.max(1, gameState.down || 1)),
+      yardsToGo: Math.min(yardsToEndZone, Math.max(1, gameState.yardsToGo || 10)),
+      timeouts: {
+        home: timeouts.home !== undefined ? timeouts.home : 3,
+        away: timeouts.away !== undefined ? timeouts.away : 3
+      },
+      final: false
+    };
+  }
+
+  /**
+   * Simulate one snap: fourth-down decisions, kicks or a scrimmage play
+   */
+  simulatePlay(sim, models) {
+    const model = models[sim.offense];
+    const situation = this.describeSituation(sim);
+    
+    const kick = this.chooseKick(sim, model, situation);
+    if (kick === 'field_goal') {
+      this.attemptFieldGoal(sim, models);
+      this.tickClock(sim, models, 5);
+      return;
+    }
+    if (kick === 'punt') {
+      this.punt(sim, models);
+      this.tickClock(sim, models, 8);
+      return;
     }
     
-    // Apply variable effects
-    for (const [varName, varValue] of Object.entries(variables)) {
-      switch (varName) {
-        case 'offensive_efficiency':
-          winProbability += (varValue - 0.5) * 0.3;
-          break;
-        case 'defensive_efficiency':
-          winProbability += (varValue - 0.5) * 0.2;
-          break;
-        case 'weather_impact':
-          winProbability += (varValue - 0.5) * 0.1;
-          break;
-        case 'momentum':
-          winProbability += (varValue - 0.5) * 0.15;
-          break;
+    const play = this.random() < this.getPassRate(model, situation)
+      ? model.samplePass(this.random)
+      : model.sampleRush(this.random);
+    
+    const possessionChanged = this.applyScrimmagePlay(sim, models, play);
+    let elapsed = 7;
+    if (!play.clockStops && !possessionChanged) {
+      elapsed += this.getRunoffSeconds(sim, situation);
+    }
+    
+    this.tickClock(sim, models, elapsed);
+  }
+
+  /**
+   * Summarize the game situation from the offense's perspective
+   */
+  describeSituation(sim) {
+    const defense = this.opponent(sim.offense);
+    const margin = sim.score[sim.offense] - sim.score[defense];
+    const endOfHalf = sim.quarter === 2 && sim.clock <= 120;
+    const endOfGame = (sim.quarter === 4 || sim.overtime) && sim.clock <= 300;
+    
+    return { margin, endOfHalf, endOfGame };
+  }
+
+  /**
+   * Decide whether the offense kicks on this snap
+   */
+  chooseKick(sim, model, situation) {
+    const fieldGoalProbability = model.fieldGoalProbability(sim.yardsToEndZone + 17);
+    const inRange = fieldGoalProbability >= 0.5;
+    
+    // Last snap of the half, or a tying/winning kick at the end of the game
+    if (sim.clock <= 10 && fieldGoalProbability >= 0.3) {
+      if (situation.endOfHalf) return 'field_goal';
+      if (situation.endOfGame && situation.margin <= 0 && situation.margin >= -3) return 'field_goal';
+    }
+    
+    if (sim.down < 4) {
+      return null;
+    }
+    
+    const mustScoreTouchdown = situation.endOfGame && situation.margin < -3;
+    const trailingLate = situation.endOfGame && situation.margin < 0;
+    
+    if (mustScoreTouchdown) return null;
+    if (trailingLate && !inRange) return null;
+    if (sim.yardsToGo <= 1 && sim.yardsToEndZone <= 50) return null;
+    if (inRange) return 'field_goal';
+    return 'punt';
+  }
+
+  /**
+   * Probability of calling a pass given the game situation
+   */
+  getPassRate(model, situation) {
+    if (situation.endOfGame && situation.margin < 0) return 0.8;
+    if (situation.endOfHalf && situation.margin <= 0) return 0.75;
+    if (situation.endOfGame && situation.margin > 0) return 0.3;
+    return model.parameters.passRate;
+  }
+
+  /**
+   * Seconds that run off between a play ending in bounds and the next snap,
+   * including timeouts used to stop the clock
+   */
+  getRunoffSeconds(sim, situation) {
+    const defense = this.opponent(sim.offense);
+    
+    if ((situation.endOfGame || situation.endOfHalf) && situation.margin <= 0) {
+      if (sim.clock <= 60 && sim.timeouts[sim.offense] > 0) {
+        sim.timeouts[sim.offense]--;
+        return 0;
       }
+      return 12; // hurry-up
     }
     
-    // Apply constraints
-    for (const constraint of constraints) {
-      if (!this.evaluateConstraint(constraint, gameState, variables)) {
-        if (constraint.type === 'hard') {
-          // Hard constraint violation - return extreme value
-          return constraint.penalty || 0;
-        } else if (constraint.type === 'penalty') {
-          winProbability -= constraint.penalty || 0.1;
-        }
+    if (situation.endOfGame && situation.margin > 0) {
+      if (sim.clock <= 180 && sim.timeouts[defense] > 0) {
+        sim.timeouts[defense]--;
+        return 0;
+      }
+      return 38; // milking the clock
+    }
+    
+    return 32;
+  }
+
+  /**
+   * Apply a scrimmage play to the simulation. Returns true when possession changed.
+   */
+  applyScrimmagePlay(sim, models, play) {
+    const yardsToEndZone = sim.yardsToEndZone - play.yards;
+    
+    if (play.turnover) {
+      this.changePossession(sim, 100 - yardsToEndZone);
+      return true;
+    }
+    
+    if (yardsToEndZone <= 0) {
+      this.scoreTouchdown(sim, models);
+      return true;
+    }
+    
+    if (yardsToEndZone >= 100) {
+      this.scoreSafety(sim, models);
+      return true;
+    }
+    
+    sim.yardsToEndZone = yardsToEndZone;
+    if (play.yards >= sim.yardsToGo) {
+      sim.down = 1;
+      sim.yardsToGo = Math.min(10, yardsToEndZone);
+      return false;
+    }
+    
+    sim.down++;
+    sim.yardsToGo -= play.yards;
+    if (sim.down > 4) {
+      this.changePossession(sim, 100 - yardsToEndZone);
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * Kick a field goal from the current spot
+   */
+  attemptFieldGoal(sim, models) {
+    const model = models[sim.offense];
+    const probability = model.fieldGoalProbability(sim.yardsToEndZone + 17);
+    
+    if (this.random() < probability) {
+      this.addPoints(sim, sim.offense, 3);
+      if (!sim.final) {
+        this.kickoff(sim, models, this.opponent(sim.offense));
       }
+      return;
     }
     
-    // Clamp probability
-    winProbability = Math.max(0, Math.min(1, winProbability));
+    // Missed kicks go over at the spot of the kick, or the 20 if closer
+    this.changePossession(sim, Math.min(80, 100 - (sim.yardsToEndZone + 7)));
+  }
+
+  /**
+   * Punt the ball away
+   */
+  punt(sim, models) {
+    const landing = sim.yardsToEndZone - models[sim.offense].samplePuntNet(this.random);
+    this.changePossession(sim, landing <= 0 ? 80 : 100 - landing);
+  }
+
+  /**
+   * Score a touchdown and try the extra point
+   */
+  scoreTouchdown(sim, models) {
+    const scoringTeam = sim.offense;
+    this.addPoints(sim, scoringTeam, 6);
+    if (sim.final) {
+      return;
+    }
     
-    return winProbability;
+    if (this.random() < models[scoringTeam].extraPointProbability()) {
+      this.addPoints(sim, scoringTeam, 1);
+    }
+    this.kickoff(sim, models, this.opponent(scoringTeam));
+  }
+
+  /**
+   * Score a safety; the offense then free-kicks from its own 20
+   */
+  scoreSafety(sim, models) {
+    const defense = this.opponent(sim.offense);
+    this.addPoints(sim, defense, 2);
+    if (!sim.final) {
+      this.kickoff(sim, models, defense, 15);
+    }
   }
 
   /**
-   * Evaluate constraint condition
+   * Add points to a team; any score ends an overtime period (sudden death)
+   */
+  addPoints(sim, team, points) {
+    sim.score[team] += points;
+    if (sim.overtime) {
+      sim.final = true;
+    }
+  }
+
+  /**
+   * Kick off to the receiving team
+   */
+  kickoff(sim, models, receivingTeam, extraYards = 0) {
+    const kickingModel = models[this.opponent(receivingTeam)];
+    const start = Math.min(99, kickingModel.sampleKickoffStart(this.random) + extraYards);
+    
+    sim.offense = receivingTeam;
+    sim.yardsToEndZone = 100 - start;
+    sim.down = 1;
+    sim.yardsToGo = Math.min(10, sim.yardsToEndZone);
+  }
+
+  /**
+   * Hand the ball to the defense, which gains it with the given yards to its end zone
+   */
+  changePossession(sim, yardsToEndZone) {
+    sim.offense = this.opponent(sim.offense);
+    sim.yardsToEndZone = yardsToEndZone >= 100 ? 80 : Math.max(1, yardsToEndZone);
+    sim.down = 1;
+    sim.yardsToGo = Math.min(10, sim.yardsToEndZone);
+  }
+
+  /**
+   * Run the clock, stopping at the two-minute warning and ending periods
+   */
+  tickClock(sim, models, seconds) {
+    if (sim.final) {
+      return;
+    }
+    
+    const twoMinuteWarning = !sim.overtime && (sim.quarter === 2 || sim.quarter === 4);
+    if (twoMinuteWarning && sim.clock > 120 && sim.clock - seconds < 120) {
+      sim.clock = 120;
+      return;
+    }
+    
+    sim.clock -= seconds;
+    if (sim.clock <= 0) {
+      this.endPeriod(sim, models);
+    }
+  }
+
+  /**
+   * Advance to the next quarter, halftime, overtime or the end of the game
+   */
+  endPeriod(sim, models) {
+    if (sim.overtime || (sim.quarter >= 4 && sim.score.home !== sim.score.away)) {
+      sim.final = true;
+      return;
+    }
+    
+    if (sim.quarter >= 4) {
+      sim.quarter = 5;
+      sim.overtime = true;
+      sim.clock = OVERTIME_SECONDS;
+      sim.timeouts = { home: 2, away: 2 };
+      this.kickoff(sim, models, this.random() < 0.5 ? 'home' : 'away');
+      return;
+    }
+    
+    sim.quarter++;
+    sim.clock = QUARTER_SECONDS;
+    
+    if (sim.quarter === 3) {
+      // The opening kickoff is not tracked, so the second-half receiver is a coin flip
+      sim.timeouts = { home: 3, away: 3 };
+      this.kickoff(sim, models, this.random() < 0.5 ? 'home' : 'away');
+    }
+  }
+
+  /**
+   * Get the other team
+   */
+  opponent(team) {
+    return team === 'home' ? 'away' : 'home';
+  }
+
+  /**
+   * Compile the scenario's constraint conditions with the sandboxed expression language
+   */
+  compileConstraints(scenario) {
+    const variableNames = scenario.variables.map(variable => variable.name);
+    this.compiledConstraints = new Map();
+    
+    for (const constraint of scenario.constraints || []) {
+      this.compiledConstraints.set(
+        constraint.condition,
+        ConstraintExpression.compileConstraint(constraint, variableNames)
+      );
+    }
+  }
+
+  /**
+   * Evaluate constraint condition. Evaluation errors propagate instead of
+   * silently counting as a violation.
    */
   evaluateConstraint(constraint, gameState, variables) {
-    try {
-      // Simple constraint evaluation - in production, use a safer expression evaluator
-      const context = { gameState, variables };
-      return eval(`(function() { 
-        const { gameState, variables } = arguments[0]; 
-        return ${constraint.condition}; 
-      })`)(context);
-    } catch (error) {
-      return false; // Constraint evaluation failed
+    let expression = this.compiledConstraints.get(constraint.condition);
+    if (!expression) {
+      expression = ConstraintExpression.compileConstraint(constraint, Object.keys(variables));
+      this.compiledConstraints.set(constraint.condition, expression);
     }
+    
+    return expression.evaluate(gameState, variables);
   }
 
   /**
@@ -378,34 +947,42 @@ class SimulationWorker {
    * Initialize pseudo-random number generator with seed
    */
   initializeRandom(seed) {
-    // Simple linear congruential generator
-    let currentSeed = seed;
-    this.random = () => {
-      currentSeed = (currentSeed * 1664525 + 1013904223) % Math.pow(2, 32);
-      return currentSeed / Math.pow(2, 32);
-    };
+    this.random = new SeededRandom(seed).source;
   }
 }
 
 // Worker message handler
 if (parentPort) {
   const worker = new SimulationWorker();
+  let queue = Promise.resolve();
   
-  parentPort.on('message', async (task) => {
-    try {
-      const result = await worker.executeTask(task);
-      parentPort.postMessage(result);
-    } catch (error) {
-      parentPort.postMessage({
-        taskId: task.id,
-        scenarioId: task.scenarioId,
-        iterations: 0,
-        outcomes: [],
-        factors: {},
-        executionTime: 0,
-        error: error.message
-      });
+  parentPort.on('message', (message) => {
+    if (message.type === 'stop') {
+      worker.stopTask(message.taskId);
+      return;
     }
+    
+    // Tasks yield while streaming partial results, so run them one at a time
+    const task = message;
+    worker.queueTask(task.id);
+    queue = queue.then(async () => {
+      // The service times each task from this point, not from when it was queued
+      parentPort.postMessage({ taskId: task.id, scenarioId: task.scenarioId, started: true });
+      try {
+        const result = await worker.executeTask(task, partial => parentPort.postMessage(partial));
+        parentPort.postMessage(result);
+      } catch (error) {
+        parentPort.postMessage({
+          taskId: task.id,
+          scenarioId: task.scenarioId,
+          iterations: 0,
+          outcomes: [],
+          factors: {},
+          executionTime: 0,
+          error: error.message
+        });
+      }
+    });
   });
 }
 
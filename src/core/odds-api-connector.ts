@@ -4,7 +4,7 @@ import { Config } from './config';
 import { Logger } from './logger';
 import { HttpAPIConnector } from './http-api-connector';
 import { APIRequest, APIResponse, APIError } from '../types/api.types';
-import { BettingLine } from '../types/game.types';
+import { BettingLine, PlayerPropLine } from '../types/game.types';
 
 /**
  * The Odds API response structure
@@ -45,8 +45,20 @@ interface OddsAPIOutcome {
   name: string;
   price: number; // American odds format
   point?: number; // For spreads and totals
+  description?: string; // Player name for player props
 }
 
+/**
+ * Player prop markets fetched when none are given
+ */
+const DEFAULT_PROP_MARKETS = [
+  'player_pass_yds',
+  'player_pass_tds',
+  'player_rush_yds',
+  'player_receptions',
+  'player_reception_yds'
+];
+
 /**
  * Odds API configuration
  */
@@ -206,6 +218,46 @@ export class OddsAPIConnector extends HttpAPIConnector {
     }
   }
 
+  /**
+   * Fetch player prop prices for one game. The Odds API only serves props
+   * through its per-event endpoint.
+   */
+  async fetchPlayerPropOdds(
+    eventId: string,
+    markets: string[] = DEFAULT_PROP_MARKETS,
+    sport: 'nfl' | 'ncaaf' = 'nfl'
+  ): Promise<PlayerPropLine[]> {
+    try {
+      const sportKey = sport === 'nfl' ? 'americanfootball_nfl' : 'americanfootball_ncaaf';
+      const params = new URLSearchParams({
+        apiKey: this.oddsConfig.apiKey,
+        regions: 'us',
+        markets: markets.join(','),
+        oddsFormat: 'american',
+        dateFormat: 'iso'
+      });
+
+      const request: APIRequest = {
+        url: `${this.oddsConfig.endpoints.sports}/${sportKey}/events/${eventId}/odds?${params.toString()}`,
+        method: 'GET'
+      };
+
+      const response = await this.executeRequest<OddsAPIResponse>(request);
+      return this.mapPropResponseToPropLines(response.data);
+    } catch (error) {
+      this.logger.error('Failed to fetch player prop odds', error instanceof Error ? error : new Error(String(error)), {
+        eventId,
+        markets
+      });
+      throw new APIError(
+        'Failed to fetch player prop odds',
+        undefined,
+        error,
+        true
+      );
+    }
+  }
+
   /**
    * Fetch available sports
    */
@@ -292,11 +344,12 @@ export class OddsAPIConnector extends HttpAPIConnector {
           awayMoneyline = awayOutcome?.price || 0;
         }
 
-        // Extract spread odds
+        // Extract spread odds; as with moneylines, a price of 0 means the book
+        // is not offering the market, so it cannot pass for a pick'em at -110
         let homeSpread = 0;
         let awaySpread = 0;
-        let homeSpreadOdds = -110;
-        let awaySpreadOdds = -110;
+        let homeSpreadOdds = 0;
+        let awaySpreadOdds = 0;
         if (spreadsMarket) {
           const homeOutcome = spreadsMarket.outcomes.find(o => o.name === game.home_team);
           const awayOutcome = spreadsMarket.outcomes.find(o => o.name === game.away_team);
@@ -312,8 +365,8 @@ export class OddsAPIConnector extends HttpAPIConnector {
 
         // Extract total odds
         let totalLine = 0;
-        let overOdds = -110;
-        let underOdds = -110;
+        let overOdds = 0;
+        let underOdds = 0;
         if (totalsMarket) {
           const overOutcome = totalsMarket.outcomes.find(o => o.name === 'Over');
           const underOutcome = totalsMarket.outcomes.find(o => o.name === 'Under');
@@ -344,7 +397,10 @@ export class OddsAPIConnector extends HttpAPIConnector {
             home: homeMoneyline,
             away: awayMoneyline
           },
-          lastUpdated: new Date(bookmaker.last_update)
+          lastUpdated: new Date(bookmaker.last_update),
+          homeTeam: game.home_team,
+          awayTeam: game.away_team,
+          commenceTime: new Date(game.commence_time)
         };
 
         bettingLines.push(bettingLine);
@@ -354,6 +410,49 @@ export class OddsAPIConnector extends HttpAPIConnector {
     return bettingLines;
   }
 
+  /**
+   * Pair each player's Over and Under into one prop line per book, market and
+   * point. Books quoting alternate lines return several per player.
+   */
+  private mapPropResponseToPropLines(event: OddsAPIResponse): PlayerPropLine[] {
+    const propLines: PlayerPropLine[] = [];
+
+    (event?.bookmakers || []).forEach(bookmaker => {
+      bookmaker.markets.forEach(market => {
+        const byPlayer = new Map<string, PlayerPropLine>();
+
+        market.outcomes.forEach(outcome => {
+          if (!outcome.description || outcome.point === undefined) {
+            return;
+          }
+          const key = `${outcome.description}|${outcome.point}`;
+          if (!byPlayer.has(key)) {
+            byPlayer.set(key, {
+              gameId: event.id,
+              sportsbook: bookmaker.title,
+              market: market.key,
+              player: outcome.description,
+              line: outcome.point,
+              overOdds: null,
+              underOdds: null,
+              lastUpdated: new Date(market.last_update || bookmaker.last_update)
+            });
+          }
+          const propLine = byPlayer.get(key)!;
+          if (outcome.name === 'Over') {
+            propLine.overOdds = outcome.price;
+          } else if (outcome.name === 'Under') {
+            propLine.underOdds = outcome.price;
+          }
+        });
+
+        propLines.push(...byPlayer.values());
+      });
+    });
+
+    return propLines;
+  }
+
   /**
    * Get current rate limit usage
    */
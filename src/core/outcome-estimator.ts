@@ -0,0 +1,195 @@
+import {
+  DistributionConfig,
+  DistributionType,
+  EstimatorMoments
+} from '../types/simulation.types';
+
+const SINGULAR_TOLERANCE = 1e-12;
+
+export interface OutcomeEstimate {
+  mean: number;
+  standardError: number;
+  coefficients: number[]; // control variate coefficients, ordered as controls
+}
+
+/**
+ * Expected value of a simulation variable's distribution
+ */
+export function distributionMean(distribution: DistributionConfig): number {
+  const params = distribution.parameters;
+
+  switch (distribution.type) {
+    case DistributionType.NORMAL:
+      return params.mean;
+    case DistributionType.UNIFORM:
+      return (params.min + params.max) / 2;
+    case DistributionType.BETA:
+      return params.alpha / (params.alpha + params.beta);
+    case DistributionType.GAMMA:
+      return params.shape * params.scale;
+    case DistributionType.POISSON:
+      return params.lambda;
+    case DistributionType.BINOMIAL:
+      return params.n * params.p;
+    case DistributionType.EXPONENTIAL:
+      return 1 / params.lambda;
+    default:
+      throw new Error(`Unsupported distribution type: ${distribution.type}`);
+  }
+}
+
+/**
+ * Running estimator of the mean simulated outcome with optional control variates.
+ *
+ * Each recorded unit is one iteration, or one antithetic pair averaged. Only
+ * raw moments are kept so partial results from several workers can be merged.
+ */
+export class OutcomeEstimator {
+  private count = 0;
+  private sumOutcome = 0;
+  private sumOutcomeSquares = 0;
+  private readonly sumControls: number[];
+  private readonly sumControlProducts: number[][];
+  private readonly sumOutcomeControls: number[];
+
+  constructor(public readonly controls: string[] = []) {
+    this.sumControls = controls.map(() => 0);
+    this.sumControlProducts = controls.map(() => controls.map(() => 0));
+    this.sumOutcomeControls = controls.map(() => 0);
+  }
+
+  static fromMoments(moments: EstimatorMoments): OutcomeEstimator {
+    const estimator = new OutcomeEstimator(moments.controls);
+    estimator.merge(moments);
+    return estimator;
+  }
+
+  get sampleSize(): number {
+    return this.count;
+  }
+
+  record(outcome: number, controls: number[] = []): void {
+    this.count++;
+    this.sumOutcome += outcome;
+    this.sumOutcomeSquares += outcome * outcome;
+
+    for (let i = 0; i < this.controls.length; i++) {
+      this.sumControls[i] += controls[i];
+      this.sumOutcomeControls[i] += outcome * controls[i];
+      for (let j = 0; j < this.controls.length; j++) {
+        this.sumControlProducts[i][j] += controls[i] * controls[j];
+      }
+    }
+  }
+
+  merge(moments: EstimatorMoments): void {
+    if (moments.controls.join() !== this.controls.join()) {
+      throw new Error('Cannot merge estimator moments with different control variates');
+    }
+
+    this.count += moments.count;
+    this.sumOutcome += moments.sumOutcome;
+    this.sumOutcomeSquares += moments.sumOutcomeSquares;
+    for (let i = 0; i < this.controls.length; i++) {
+      this.sumControls[i] += moments.sumControls[i];
+      this.sumOutcomeControls[i] += moments.sumOutcomeControls[i];
+      for (let j = 0; j < this.controls.length; j++) {
+        this.sumControlProducts[i][j] += moments.sumControlProducts[i][j];
+      }
+    }
+  }
+
+  toMoments(): EstimatorMoments {
+    return {
+      controls: [...this.controls],
+      count: this.count,
+      sumOutcome: this.sumOutcome,
+      sumOutcomeSquares: this.sumOutcomeSquares,
+      sumControls: [...this.sumControls],
+      sumControlProducts: this.sumControlProducts.map(row => [...row]),
+      sumOutcomeControls: [...this.sumOutcomeControls]
+    };
+  }
+
+  /**
+   * Estimate the mean outcome and its standard error. With control variates
+   * the regression estimator ȳ - β·(c̄ - μ) is used, where μ are the known
+   * control expectations.
+   */
+  estimate(expectations: number[] = []): OutcomeEstimate {
+    const n = this.count;
+    const k = this.controls.length;
+
+    if (n === 0) {
+      return { mean: NaN, standardError: Infinity, coefficients: this.controls.map(() => 0) };
+    }
+
+    const meanOutcome = this.sumOutcome / n;
+    const outcomeSS = Math.max(0, this.sumOutcomeSquares - n * meanOutcome * meanOutcome);
+
+    if (k === 0 || n <= k + 1) {
+      return {
+        mean: meanOutcome,
+        standardError: n > 1 ? Math.sqrt(outcomeSS / (n - 1) / n) : Infinity,
+        coefficients: this.controls.map(() => 0)
+      };
+    }
+
+    const meanControls = this.sumControls.map(sum => sum / n);
+    const controlSS = this.sumControlProducts.map((row, i) =>
+      row.map((sum, j) => sum - n * meanControls[i] * meanControls[j])
+    );
+    const crossSS = this.sumOutcomeControls.map((sum, i) => sum - n * meanControls[i] * meanOutcome);
+
+    const coefficients = solveLinearSystem(controlSS, crossSS);
+    const offsets = meanControls.map((mean, i) => mean - expectations[i]);
+    const mean = meanOutcome - dot(coefficients, offsets);
+
+    // Residual variance of the regression, inflated for the control mean offset
+    const residualSS = Math.max(0, outcomeSS - dot(coefficients, crossSS));
+    const residualVariance = residualSS / (n - k - 1);
+    const leverage = dot(offsets, solveLinearSystem(controlSS, offsets));
+
+    return {
+      mean,
+      standardError: Math.sqrt(residualVariance * (1 / n + leverage)),
+      coefficients
+    };
+  }
+}
+
+function dot(a: number[], b: number[]): number {
+  return a.reduce((sum, value, i) => sum + value * b[i], 0);
+}
+
+/**
+ * Gaussian elimination with partial pivoting; degenerate directions get a zero coefficient
+ */
+function solveLinearSystem(matrix: number[][], vector: number[]): number[] {
+  const n = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+  const scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])), 0);
+
+  const pivotRows: number[] = new Array(n).fill(-1);
+  for (let col = 0, row = 0; col < n && row < n; col++) {
+    let best = row;
+    for (let i = row + 1; i < n; i++) {
+      if (Math.abs(a[i][col]) > Math.abs(a[best][col])) best = i;
+    }
+    if (Math.abs(a[best][col]) <= SINGULAR_TOLERANCE * Math.max(1, scale)) {
+      continue;
+    }
+
+    [a[row], a[best]] = [a[best], a[row]];
+    for (let i = 0; i < n; i++) {
+      if (i === row) continue;
+      const factor = a[i][col] / a[row][col];
+      for (let j = col; j <= n; j++) {
+        a[i][j] -= factor * a[row][j];
+      }
+    }
+    pivotRows[col] = row++;
+  }
+
+  return pivotRows.map((row, col) => (row < 0 ? 0 : a[row][n] / a[row][col]));
+}
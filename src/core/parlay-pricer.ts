@@ -0,0 +1,382 @@
+import { SimulationVariable, VariableCorrelation, VariableType, DistributionType } from '../types/simulation.types';
+import { MonteCarloService } from './monte-carlo-service';
+import { NormalDistribution } from './probability-distributions';
+
+export const HOME_POINTS = 'home_points';
+export const AWAY_POINTS = 'away_points';
+
+/**
+ * Projected final score of the game the parlay is built on
+ */
+export interface GameScoreProjection {
+  homePoints: number;
+  awayPoints: number;
+  stdDev?: number; // per team
+  correlation?: number; // between the two teams' points
+}
+
+/**
+ * A player or team stat a prop leg settles on. Normal when stdDev is given,
+ * Poisson (for counts such as touchdowns) otherwise. Correlations may name
+ * home_points, away_points or other stats.
+ */
+export interface StatProjection {
+  name: string;
+  mean: number;
+  stdDev?: number;
+  team?: 'home' | 'away';
+  correlations?: VariableCorrelation[];
+}
+
+export type ParlayLeg =
+  | { type: 'moneyline'; side: 'home' | 'away' }
+  | { type: 'spread'; side: 'home' | 'away'; line: number }
+  | { type: 'total'; selection: 'over' | 'under'; line: number }
+  | { type: 'player_prop'; stat: string; selection: 'over' | 'under'; line: number };
+
+export interface SameGameParlayRequest {
+  game: GameScoreProjection;
+  stats?: StatProjection[];
+  legs: ParlayLeg[];
+  offeredOdds: number; // American odds of the whole ticket
+  iterations?: number;
+  seed?: number;
+}
+
+export interface LegProbability<L> {
+  leg: L;
+  winProbability: number;
+  pushProbability: number;
+}
+
+export interface ParlayPrice {
+  legs: Array<LegProbability<ParlayLeg>>;
+  jointProbability: number; // every leg wins in the same simulated game
+  independentProbability: number; // product of the legs, as if unrelated
+  correlationLift: number; // joint over independent
+  pushProbability: number; // no leg lost but one pushed; refunded
+  fairOdds: number | null;
+  offeredOdds: number;
+  offeredProbability: number;
+  expectedValue: number; // per unit staked at the offered odds
+  standardError: number; // of the joint probability
+  iterations: number;
+  seed: number;
+}
+
+export type TeaserLeg =
+  | { type: 'spread'; line: number; projectedMargin: number } // line and margin from the side's point of view
+  | { type: 'total'; selection: 'over' | 'under'; line: number; projectedTotal: number };
+
+export interface TeaserRequest {
+  legs: TeaserLeg[]; // one per game
+  points: number; // teaser points, e.g. 6
+  offeredOdds: number;
+  reducedOdds?: { [legs: number]: number }; // price paid when pushes cut the ticket to fewer legs
+}
+
+export interface TeaserLegProbability extends LegProbability<TeaserLeg> {
+  teasedLine: number;
+  keyNumbersCrossed: number[];
+}
+
+export interface TeaserPrice {
+  legs: TeaserLegProbability[];
+  winProbability: number; // every leg wins
+  pushProbability: number; // refunded
+  fairOdds: number | null;
+  offeredOdds: number;
+  offeredProbability: number;
+  breakEvenLegProbability: number; // per leg, at the offered odds
+  expectedValue: number;
+}
+
+const DEFAULT_ITERATIONS = 20000;
+const DEFAULT_TEAM_STD_DEV = 10;
+const DEFAULT_SCORE_CORRELATION = 0.1;
+// A stat tagged with a team moves with that team's scoring unless told
+// otherwise. A hand-set guess, not fitted to data; pass correlations fitted
+// for the stat when they are known.
+const DEFAULT_TEAM_STAT_CORRELATION = 0.4;
+
+export const KEY_NUMBERS = [3, 7];
+const NFL_MARGIN_STD_DEV = 13.5;
+const NFL_TOTAL_STD_DEV = 10;
+const MAX_MARGIN = 70;
+/**
+ * How much more (or less) often NFL games finish on a margin than a normal
+ * curve says, roughly fitted to historical final margins. Field goals and
+ * touchdowns pile results on 3 and 7; overtime makes ties rare.
+ */
+const MARGIN_WEIGHTS: { [margin: number]: number } = {
+  0: 0.1, 1: 0.6, 2: 0.6, 3: 2.6, 4: 0.9, 5: 0.6, 6: 1.0, 7: 1.8, 8: 0.7, 10: 1.3, 14: 1.3, 17: 1.2
+};
+
+type LegResult = 'win' | 'loss' | 'push';
+
+/**
+ * Prices same-game parlays from jointly simulated games, so correlated legs
+ * (a quarterback's passing yards and the team winning) are priced together
+ * rather than multiplied as if independent. Teasers across games are priced
+ * leg by leg from a margin distribution with the NFL's key numbers.
+ *
+ * The same-game model is deliberately simple: each team's points are normal
+ * around the projection, and stats are tied to them and to each other only
+ * through the correlations given (or the defaults above). It knows nothing
+ * of key numbers or overtime, so margins of 3 and 7 are no likelier than
+ * their neighbours and rounded scores tie far more often than NFL games do.
+ * Moneyline legs therefore settle on the unrounded margin; spreads and
+ * totals on whole-number lines push at the rounded scores' rate.
+ */
+export class ParlayPricer {
+  constructor(private readonly monteCarloService: MonteCarloService) {}
+
+  async priceSameGameParlay(request: SameGameParlayRequest): Promise<ParlayPrice> {
+    if (request.legs.length < 2) {
+      throw new Error('A parlay needs at least two legs');
+    }
+    const offeredDecimal = americanToDecimal(request.offeredOdds);
+    const stats = request.stats || [];
+    for (const leg of request.legs) {
+      if (leg.type === 'player_prop' && !stats.some(stat => stat.name === leg.stat)) {
+        throw new Error(`No projection for stat ${leg.stat}`);
+      }
+    }
+
+    const samples = await this.monteCarloService.sampleVariables(
+      this.buildVariables(request.game, stats),
+      request.iterations ?? DEFAULT_ITERATIONS,
+      request.seed !== undefined ? { randomSeed: request.seed } : {}
+    );
+    const n = samples.values.length;
+    if (n === 0) {
+      throw new Error('Simulation returned no games');
+    }
+
+    const column = new Map(samples.variables.map((name, i) => [name, i]));
+    const wins = request.legs.map(() => 0);
+    const pushes = request.legs.map(() => 0);
+    let jointWins = 0;
+    let ticketPushes = 0;
+
+    samples.values.forEach(row => {
+      const results = request.legs.map(leg => this.settleLeg(leg, row, column));
+      results.forEach((result, i) => {
+        if (result === 'win') wins[i]++;
+        else if (result === 'push') pushes[i]++;
+      });
+      if (results.every(result => result === 'win')) jointWins++;
+      else if (!results.includes('loss')) ticketPushes++;
+    });
+
+    const legs = request.legs.map((leg, i) => ({ leg, winProbability: wins[i] / n, pushProbability: pushes[i] / n }));
+    const jointProbability = jointWins / n;
+    const independentProbability = legs.reduce((product, leg) => product * leg.winProbability, 1);
+    const pushProbability = ticketPushes / n;
+
+    return {
+      legs,
+      jointProbability,
+      independentProbability,
+      correlationLift: independentProbability > 0 ? jointProbability / independentProbability : 0,
+      pushProbability,
+      fairOdds: fairOdds(jointProbability, pushProbability),
+      offeredOdds: request.offeredOdds,
+      offeredProbability: 1 / offeredDecimal,
+      expectedValue: jointProbability * offeredDecimal + pushProbability - 1,
+      standardError: Math.sqrt(jointProbability * (1 - jointProbability) / n),
+      iterations: n,
+      seed: samples.seed
+    };
+  }
+
+  /**
+   * Price a teaser whose legs are in different games. Pushed legs drop out:
+   * the ticket is paid at reducedOdds for the legs left, and refunded when no
+   * reduced price is given.
+   */
+  priceTeaser(request: TeaserRequest): TeaserPrice {
+    if (request.legs.length < 2) {
+      throw new Error('A teaser needs at least two legs');
+    }
+    if (request.points <= 0) {
+      throw new Error('Teaser points must be positive');
+    }
+    const offeredDecimal = americanToDecimal(request.offeredOdds);
+
+    const legs = request.legs.map(leg => this.priceTeaserLeg(leg, request.points));
+
+    // Walk every win/push/loss combination of the independent legs
+    let winProbability = 0;
+    let pushProbability = 0;
+    let expectedReturn = 0;
+    const combine = (index: number, probability: number, legsWon: number): void => {
+      if (probability === 0) return;
+      if (index === legs.length) {
+        if (legsWon === legs.length) {
+          winProbability += probability;
+          expectedReturn += probability * offeredDecimal;
+        } else if (request.reducedOdds?.[legsWon] !== undefined) {
+          expectedReturn += probability * americanToDecimal(request.reducedOdds[legsWon]);
+        } else {
+          pushProbability += probability;
+          expectedReturn += probability;
+        }
+        return;
+      }
+      const leg = legs[index];
+      combine(index + 1, probability * leg.winProbability, legsWon + 1);
+      combine(index + 1, probability * leg.pushProbability, legsWon);
+    };
+    combine(0, 1, 0);
+
+    return {
+      legs,
+      winProbability,
+      pushProbability,
+      fairOdds: fairOdds(winProbability, pushProbability),
+      offeredOdds: request.offeredOdds,
+      offeredProbability: 1 / offeredDecimal,
+      breakEvenLegProbability: Math.pow(1 / offeredDecimal, 1 / legs.length),
+      expectedValue: expectedReturn - 1
+    };
+  }
+
+  /**
+   * Probability of each final margin for a side projected to win by
+   * projectedMargin, with the key-number weights applied
+   */
+  marginDistribution(projectedMargin: number): Map<number, number> {
+    const weights = new Map<number, number>();
+    let total = 0;
+    for (let margin = -MAX_MARGIN; margin <= MAX_MARGIN; margin++) {
+      const z = (margin - projectedMargin) / NFL_MARGIN_STD_DEV;
+      const weight = Math.exp(-0.5 * z * z) * (MARGIN_WEIGHTS[Math.abs(margin)] ?? 1);
+      weights.set(margin, weight);
+      total += weight;
+    }
+    weights.forEach((weight, margin) => weights.set(margin, weight / total));
+    return weights;
+  }
+
+  private priceTeaserLeg(leg: TeaserLeg, points: number): TeaserLegProbability {
+    if (leg.type === 'spread') {
+      const teasedLine = leg.line + points;
+      let winProbability = 0;
+      let pushProbability = 0;
+      this.marginDistribution(leg.projectedMargin).forEach((probability, margin) => {
+        if (margin + teasedLine > 0) winProbability += probability;
+        else if (margin + teasedLine === 0) pushProbability += probability;
+      });
+
+      // Margins the tease turns from a loss into a cover: losing by up to
+      // the dog's new number, or winning by less than the favourite laid
+      const keyNumbersCrossed = KEY_NUMBERS.filter(key =>
+        [key, -key].some(margin => margin > -teasedLine && margin <= -leg.line));
+
+      return { leg, teasedLine, winProbability, pushProbability, keyNumbersCrossed };
+    }
+
+    const teasedLine = leg.selection === 'over' ? leg.line - points : leg.line + points;
+    const totals = new NormalDistribution(leg.projectedTotal, NFL_TOTAL_STD_DEV);
+    let winProbability = 0;
+    let pushProbability = 0;
+    for (let total = 0; total <= 2 * MAX_MARGIN + 60; total++) {
+      // Integer totals, from a normal curve with continuity correction
+      const probability = totals.cdf(total + 0.5) - totals.cdf(total - 0.5);
+      if (total === teasedLine) pushProbability += probability;
+      else if ((total > teasedLine) === (leg.selection === 'over')) winProbability += probability;
+    }
+
+    return { leg, teasedLine, winProbability, pushProbability, keyNumbersCrossed: [] };
+  }
+
+  private buildVariables(game: GameScoreProjection, stats: StatProjection[]): SimulationVariable[] {
+    const stdDev = game.stdDev ?? DEFAULT_TEAM_STD_DEV;
+    const normal = (name: string, mean: number, stddev: number, correlation: VariableCorrelation[] = []): SimulationVariable => ({
+      name,
+      type: VariableType.CONTINUOUS,
+      distribution: { type: DistributionType.NORMAL, parameters: { mean, stddev } },
+      correlation
+    });
+
+    const variables: SimulationVariable[] = [
+      normal(HOME_POINTS, game.homePoints, stdDev, [
+        { variable: AWAY_POINTS, coefficient: game.correlation ?? DEFAULT_SCORE_CORRELATION }
+      ]),
+      normal(AWAY_POINTS, game.awayPoints, stdDev)
+    ];
+
+    stats.forEach(stat => {
+      const correlation = [...(stat.correlations || [])];
+      const teamPoints = stat.team === 'home' ? HOME_POINTS : stat.team === 'away' ? AWAY_POINTS : null;
+      if (teamPoints && !correlation.some(c => c.variable === teamPoints)) {
+        correlation.push({ variable: teamPoints, coefficient: DEFAULT_TEAM_STAT_CORRELATION });
+      }
+
+      variables.push(stat.stdDev !== undefined
+        ? normal(stat.name, stat.mean, stat.stdDev, correlation)
+        : {
+          name: stat.name,
+          type: VariableType.DISCRETE,
+          distribution: { type: DistributionType.POISSON, parameters: { lambda: stat.mean } },
+          correlation
+        });
+    });
+
+    return variables;
+  }
+
+  /**
+   * Settle a leg on one simulated game. Scores and stats are rounded to
+   * whole numbers so integer lines can push. A moneyline goes to the side
+   * ahead before rounding, standing in for overtime.
+   */
+  private settleLeg(leg: ParlayLeg, row: number[], column: Map<string, number>): LegResult {
+    const raw = (name: string) => row[column.get(name)!];
+    const value = (name: string) => Math.max(0, Math.round(raw(name)));
+    const compare = (difference: number): LegResult => (difference > 0 ? 'win' : difference < 0 ? 'loss' : 'push');
+
+    const home = value(HOME_POINTS);
+    const away = value(AWAY_POINTS);
+    const margin = (side: 'home' | 'away') => (side === 'home' ? home - away : away - home);
+
+    switch (leg.type) {
+      case 'moneyline': {
+        const unroundedMargin = raw(HOME_POINTS) - raw(AWAY_POINTS);
+        return compare(leg.side === 'home' ? unroundedMargin : -unroundedMargin);
+      }
+      case 'spread':
+        return compare(margin(leg.side) + leg.line);
+      case 'total':
+        return compare(leg.selection === 'over' ? home + away - leg.line : leg.line - home - away);
+      case 'player_prop': {
+        const stat = value(leg.stat);
+        return compare(leg.selection === 'over' ? stat - leg.line : leg.line - stat);
+      }
+    }
+  }
+}
+
+/**
+ * Decimal odds of an American price
+ */
+function americanToDecimal(odds: number): number {
+  if (!Number.isFinite(odds) || Math.abs(odds) < 100) {
+    throw new Error(`Invalid American odds: ${odds}`);
+  }
+  return odds > 0 ? 1 + odds / 100 : 1 + 100 / Math.abs(odds);
+}
+
+/**
+ * American odds that break even given win and refund probabilities
+ */
+function fairOdds(winProbability: number, pushProbability: number): number | null {
+  const probability = winProbability / (1 - pushProbability);
+  if (!(probability > 0 && probability < 1)) {
+    return null;
+  }
+  return probability >= 0.5
+    ? Math.round(-100 * probability / (1 - probability))
+    : Math.round(100 * (1 - probability) / probability);
+}
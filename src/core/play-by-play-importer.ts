@@ -0,0 +1,638 @@
+import { promises as fs } from 'fs';
+import * as path from 'path';
+import { DatabaseService } from './database-service';
+
+// Create a simple logger instance for testing
+const logger = {
+  info: (message: string, meta?: any) => console.log(`[INFO] ${message}`, meta),
+  error: (message: string, error?: any) => console.error(`[ERROR] ${message}`, error),
+  warn: (message: string, meta?: any) => console.warn(`[WARN] ${message}`, meta),
+  debug: (message: string, meta?: any) => console.debug(`[DEBUG] ${message}`, meta)
+};
+
+export type PlayByPlaySource = 'espn' | 'nflverse';
+
+export type NormalizedPlayType =
+  | 'kickoff'
+  | 'run'
+  | 'pass'
+  | 'punt'
+  | 'field_goal'
+  | 'extra_point'
+  | 'two_point'
+  | 'kneel'
+  | 'spike'
+  | 'penalty'
+  | 'other';
+
+export interface PlayByPlayPenalty {
+  team: 'home' | 'away' | null;
+  type: string;
+  yards: number;
+  declined: boolean;
+  offsetting: boolean;
+  noPlay: boolean; // the penalty wiped out the snap
+}
+
+export interface ImportedPlay {
+  sourcePlayId: string;
+  playType: NormalizedPlayType;
+  description: string;
+  offense: 'home' | 'away';
+  penalty?: PlayByPlayPenalty;
+  review?: 'upheld' | 'reversed'; // scores and spots already reflect the ruling
+  scoringPlay: boolean;
+}
+
+/**
+ * Game situation before a snap, with the play that led to it. The last
+ * record of a game is the final state after the last snap.
+ */
+export interface PlayByPlayRecord {
+  timestamp: Date;
+  quarter: number; // 5 and up in overtime
+  overtime: boolean;
+  minutesRemaining: number;
+  secondsRemaining: number;
+  homeScore: number;
+  awayScore: number;
+  possession: 'home' | 'away';
+  yardLine: number; // 1-50, in fieldSide's half
+  fieldSide: 'home' | 'away';
+  yardsToEndZone: number; // for the team in possession
+  down: number | null; // null before kickoffs and tries
+  yardsToGo: number | null;
+  homeTimeouts: number;
+  awayTimeouts: number;
+  lastPlay?: ImportedPlay;
+}
+
+export interface ImportedGame {
+  source: PlayByPlaySource;
+  sourceGameId: string;
+  season?: number;
+  week?: number;
+  homeTeam: string; // abbreviations as the source writes them
+  awayTeam: string;
+  kickoff?: Date;
+  finalScore: { home: number; away: number };
+  plays: PlayByPlayRecord[];
+}
+
+export interface PlayByPlayImportResult {
+  imported: Array<{ gameId: string; sourceGameId: string; states: number }>;
+  skipped: string[]; // source game ids with no matching game
+}
+
+/**
+ * Maps a game in a play-by-play file to our game id, or null to skip it
+ */
+export type GameIdResolver = (game: ImportedGame) => Promise<string | null> | string | null;
+
+// A snap or a timeout, in the order the source lists them
+type PlayEvent =
+  | { kind: 'timeout'; quarter: number; team: 'home' | 'away' | null }
+  | {
+      kind: 'snap';
+      quarter: number;
+      clockSeconds: number;
+      yardsToEndZone: number;
+      down: number | null;
+      yardsToGo: number | null;
+      homeScoreAfter: number;
+      awayScoreAfter: number;
+      timeouts?: { home: number; away: number }; // before the snap, when the source tracks them
+      wallclock?: Date;
+      play: ImportedPlay;
+    };
+
+const QUARTER_SECONDS = 15 * 60;
+
+/**
+ * Normalize an ESPN game summary (header plus drives) or play-by-play
+ * response. Quarter and half breaks, timeouts and other clock events
+ * produce no state; a penalty that wipes out a play is kept as the snap it
+ * was, and when ESPN lists a corrected play twice the last version wins.
+ */
+export function parseESPNPlayByPlay(data: any): ImportedGame {
+  const competition = data.header?.competitions?.[0];
+  const competitors: any[] = competition?.competitors ?? [];
+  const home = competitors.find(c => c.homeAway === 'home');
+  const away = competitors.find(c => c.homeAway === 'away');
+  if (!home || !away) {
+    throw new Error('ESPN play-by-play is missing the home and away competitors');
+  }
+
+  const sideOfTeamId = (teamId: any): 'home' | 'away' | null =>
+    String(teamId) === String(home.team.id) ? 'home' : String(teamId) === String(away.team.id) ? 'away' : null;
+  const sideOfAbbreviation = sideLookup(home.team.abbreviation, away.team.abbreviation);
+
+  const rawPlays: any[] = data.plays ?? [
+    ...(data.drives?.previous ?? []).flatMap((drive: any) => drive.plays ?? []),
+    ...(data.drives?.current?.plays ?? [])
+  ];
+
+  // Keep the last version of corrected plays, in their original position
+  const latest = new Map<string, any>();
+  rawPlays.forEach(play => latest.set(String(play.id), play));
+  const plays = rawPlays
+    .filter(play => latest.get(String(play.id)) === play)
+    .sort((a, b) => Number(a.sequenceNumber ?? 0) - Number(b.sequenceNumber ?? 0));
+
+  const events: PlayEvent[] = [];
+  plays.forEach(play => {
+    const typeText = String(play.type?.text ?? '').toLowerCase();
+    const text = String(play.text ?? '');
+    const quarter = Number(play.period?.number ?? 1);
+
+    if (typeText.includes('timeout')) {
+      const match = text.match(/timeout #\d+ by ([A-Z]{2,4})/i);
+      events.push({ kind: 'timeout', quarter, team: match ? sideOfAbbreviation(match[1]) : null });
+      return;
+    }
+
+    const playType = espnPlayType(typeText);
+    const offense = sideOfTeamId(play.start?.team?.id);
+    if (!playType || !offense) return;
+
+    const down = Number(play.start?.down ?? 0);
+    events.push({
+      kind: 'snap',
+      quarter,
+      clockSeconds: parseClock(play.clock?.displayValue),
+      yardsToEndZone: Number(play.start?.yardsToEndzone ?? 0) || 0,
+      down: down >= 1 && down <= 4 ? down : null,
+      yardsToGo: down >= 1 && down <= 4 ? Number(play.start?.distance ?? 0) : null,
+      homeScoreAfter: Number(play.homeScore ?? 0),
+      awayScoreAfter: Number(play.awayScore ?? 0),
+      wallclock: play.wallclock ? new Date(play.wallclock) : undefined,
+      play: {
+        sourcePlayId: String(play.id),
+        playType,
+        description: text,
+        offense,
+        penalty: parseESPNPenalty(text, typeText, sideOfAbbreviation),
+        review: parseReview(text),
+        scoringPlay: play.scoringPlay === true
+      }
+    });
+  });
+
+  const kickoff = competition.date ? new Date(competition.date) : undefined;
+  const records = withFinalScore(buildRecords(events, kickoff), parseNumber(home.score), parseNumber(away.score));
+  const last = records[records.length - 1];
+
+  return {
+    source: 'espn',
+    sourceGameId: String(data.header?.id ?? competition.id),
+    season: data.header?.season?.year,
+    week: data.header?.week,
+    homeTeam: home.team.abbreviation,
+    awayTeam: away.team.abbreviation,
+    kickoff,
+    finalScore: { home: last?.homeScore ?? 0, away: last?.awayScore ?? 0 },
+    plays: records
+  };
+}
+
+const NFLVERSE_COLUMNS = [
+  'game_id', 'season', 'week', 'game_date', 'home_team', 'away_team', 'home_score', 'away_score',
+  'play_id', 'qtr', 'quarter_seconds_remaining', 'time_of_day', 'posteam', 'down', 'ydstogo', 'yardline_100',
+  'play_type', 'desc', 'total_home_score', 'total_away_score', 'home_timeouts_remaining', 'away_timeouts_remaining',
+  'timeout', 'timeout_team', 'penalty', 'penalty_team', 'penalty_type', 'penalty_yards',
+  'replay_or_challenge', 'replay_or_challenge_result', 'touchdown', 'field_goal_result', 'extra_point_result',
+  'two_point_attempt', 'two_point_conv_result', 'safety'
+];
+
+/**
+ * Normalize nflverse play-by-play CSV, which may hold many games. Rows are
+ * kept in file order within each game; GAME, END QUARTER, END GAME,
+ * timeout and two-minute warning rows produce no state.
+ */
+export function parseNflversePlayByPlay(csv: string): ImportedGame[] {
+  const rows = parseCsv(csv);
+  if (rows.length === 0) return [];
+
+  const header = rows[0];
+  const column = (name: string) => header.indexOf(name);
+  for (const required of ['game_id', 'home_team', 'away_team', 'posteam', 'qtr', 'total_home_score', 'total_away_score']) {
+    if (column(required) === -1) {
+      throw new Error(`nflverse play-by-play is missing the ${required} column`);
+    }
+  }
+
+  // Full nflverse files carry hundreds of columns; rows keep only these
+  const columns = NFLVERSE_COLUMNS
+    .map(name => [name, column(name)] as const)
+    .filter(([, index]) => index !== -1);
+
+  const byGame = new Map<string, Array<{ [key: string]: string }>>();
+  for (const row of rows.slice(1)) {
+    if (row.length <= 1) continue;
+
+    const record: { [key: string]: string } = {};
+    columns.forEach(([name, index]) => {
+      record[name] = row[index] ?? '';
+    });
+
+    const gameRows = byGame.get(record.game_id);
+    if (gameRows) {
+      gameRows.push(record);
+    } else {
+      byGame.set(record.game_id, [record]);
+    }
+  }
+
+  return Array.from(byGame.entries()).map(([gameId, gameRows]) => {
+    const first = gameRows[0];
+    const sideOf = sideLookup(first.home_team, first.away_team);
+    const gameDate = first.game_date ? `${first.game_date}T00:00:00Z` : undefined;
+    let dayOffset = 0;
+    let previousTime = -1;
+
+    const events: PlayEvent[] = [];
+    gameRows.forEach(row => {
+      const quarter = Number(row.qtr) || 1;
+      const playType = nflversePlayType(row);
+      const time = clockTime(row.time_of_day);
+
+      // time_of_day is UTC and wraps past midnight during night games
+      let wallclock: Date | undefined;
+      if (gameDate && time !== null) {
+        if (time < previousTime) dayOffset++;
+        previousTime = time;
+        wallclock = new Date(new Date(gameDate).getTime() + (dayOffset * 86400 + time) * 1000);
+      }
+
+      if (row.timeout === '1' && !playType) {
+        events.push({ kind: 'timeout', quarter, team: sideOf(row.timeout_team) });
+        return;
+      }
+
+      const offense = sideOf(row.posteam);
+      if (!playType || !offense) return;
+
+      const down = Number(row.down);
+      const homeTimeouts = parseNumber(row.home_timeouts_remaining);
+      const awayTimeouts = parseNumber(row.away_timeouts_remaining);
+      events.push({
+        kind: 'snap',
+        quarter,
+        clockSeconds: Number(row.quarter_seconds_remaining) || 0,
+        yardsToEndZone: Number(row.yardline_100) || 0,
+        down: down >= 1 && down <= 4 ? down : null,
+        yardsToGo: down >= 1 && down <= 4 ? Number(row.ydstogo) : null,
+        homeScoreAfter: Number(row.total_home_score) || 0,
+        awayScoreAfter: Number(row.total_away_score) || 0,
+        timeouts: homeTimeouts !== null && awayTimeouts !== null ? { home: homeTimeouts, away: awayTimeouts } : undefined,
+        wallclock,
+        play: {
+          sourcePlayId: row.play_id,
+          playType,
+          description: row.desc,
+          offense,
+          penalty: row.penalty === '1'
+            ? {
+                team: sideOf(row.penalty_team),
+                type: row.penalty_type && row.penalty_type !== 'NA' ? row.penalty_type : 'Penalty',
+                yards: Number(row.penalty_yards) || 0,
+                declined: /declined/i.test(row.desc),
+                offsetting: /offsetting/i.test(row.desc),
+                noPlay: row.play_type === 'no_play'
+              }
+            : undefined,
+          review: row.replay_or_challenge === '1'
+            ? (row.replay_or_challenge_result === 'reversed' ? 'reversed' : 'upheld')
+            : undefined,
+          scoringPlay: row.touchdown === '1' || row.field_goal_result === 'made' || row.extra_point_result === 'good' ||
+            row.two_point_conv_result === 'success' || row.safety === '1'
+        }
+      });
+    });
+
+    // home_score and away_score, when present, hold the final score on every row
+    const last = gameRows[gameRows.length - 1];
+    const kickoff = gameDate ? new Date(gameDate) : undefined;
+    const records = withFinalScore(buildRecords(events, kickoff), parseNumber(last.home_score), parseNumber(last.away_score));
+    const final = records[records.length - 1];
+
+    return {
+      source: 'nflverse' as const,
+      sourceGameId: gameId,
+      season: first.season ? Number(first.season) : undefined,
+      week: first.week ? Number(first.week) : undefined,
+      homeTeam: first.home_team,
+      awayTeam: first.away_team,
+      kickoff,
+      finalScore: { home: final?.homeScore ?? 0, away: final?.awayScore ?? 0 },
+      plays: records
+    };
+  });
+}
+
+/**
+ * Reads ESPN JSON and nflverse CSV play-by-play files and stores each
+ * game's state sequence through the DatabaseService, replacing any states
+ * already stored for that game
+ */
+export class PlayByPlayImporter {
+  private databaseService: DatabaseService;
+  private resolveGameId: GameIdResolver;
+
+  constructor(databaseService: DatabaseService, resolveGameId: GameIdResolver = game => game.sourceGameId) {
+    this.databaseService = databaseService;
+    this.resolveGameId = resolveGameId;
+  }
+
+  async importFile(filePath: string): Promise<PlayByPlayImportResult> {
+    const content = await fs.readFile(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    let games: ImportedGame[];
+    if (extension === '.json') {
+      games = [parseESPNPlayByPlay(JSON.parse(content))];
+    } else if (extension === '.csv') {
+      games = parseNflversePlayByPlay(content);
+    } else {
+      throw new Error(`Unsupported play-by-play file ${filePath}; expected .json or .csv`);
+    }
+
+    return this.storeGames(games);
+  }
+
+  /**
+   * Import every .json and .csv file in a directory, in name order
+   */
+  async importDirectory(directory: string): Promise<PlayByPlayImportResult> {
+    const files = (await fs.readdir(directory))
+      .filter(file => ['.json', '.csv'].includes(path.extname(file).toLowerCase()))
+      .sort();
+
+    const result: PlayByPlayImportResult = { imported: [], skipped: [] };
+    for (const file of files) {
+      const fileResult = await this.importFile(path.join(directory, file));
+      result.imported.push(...fileResult.imported);
+      result.skipped.push(...fileResult.skipped);
+    }
+
+    logger.info(`Imported play-by-play for ${result.imported.length} games from ${directory}`);
+    return result;
+  }
+
+  async storeGames(games: ImportedGame[]): Promise<PlayByPlayImportResult> {
+    const result: PlayByPlayImportResult = { imported: [], skipped: [] };
+
+    for (const game of games) {
+      const gameId = await this.resolveGameId(game);
+      if (!gameId) {
+        logger.warn(`No game matches ${game.source} game ${game.sourceGameId}; skipping its play-by-play`);
+        result.skipped.push(game.sourceGameId);
+        continue;
+      }
+
+      await this.databaseService.savePlayByPlayData(gameId, game.plays);
+      result.imported.push({ gameId, sourceGameId: game.sourceGameId, states: game.plays.length });
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Turn snaps into pre-snap states: the score is the one after the previous
+ * snap, timeouts reset at halftime and to two each in overtime, and a final
+ * state after the last snap closes the game
+ */
+function buildRecords(events: PlayEvent[], kickoff?: Date): PlayByPlayRecord[] {
+  const records: PlayByPlayRecord[] = [];
+  const score = { home: 0, away: 0 };
+  const timeouts = { home: 3, away: 3 };
+  let quarter = 1;
+  let lastSnap: Extract<PlayEvent, { kind: 'snap' }> | undefined;
+  let lastTime = -Infinity;
+
+  // Timestamps must be strictly increasing for the states to sort back into order
+  const nextTimestamp = (wallclock: Date | undefined, quarterNumber: number, clockSeconds: number): Date => {
+    const elapsed = (quarterNumber - 1) * QUARTER_SECONDS + (QUARTER_SECONDS - clockSeconds);
+    const candidate = wallclock && !isNaN(wallclock.getTime())
+      ? wallclock.getTime()
+      : (kickoff ? kickoff.getTime() : 0) + elapsed * 1000;
+    lastTime = Math.max(candidate, lastTime + 1);
+    return new Date(lastTime);
+  };
+
+  events.forEach(event => {
+    if (event.quarter !== quarter) {
+      if (event.quarter === 3 && quarter <= 2) {
+        timeouts.home = timeouts.away = 3;
+      } else if (event.quarter >= 5 && quarter <= 4) {
+        timeouts.home = timeouts.away = 2;
+      }
+      quarter = event.quarter;
+    }
+
+    if (event.kind === 'timeout') {
+      if (event.team) timeouts[event.team] = Math.max(0, timeouts[event.team] - 1);
+      return;
+    }
+
+    if (event.timeouts) {
+      timeouts.home = event.timeouts.home;
+      timeouts.away = event.timeouts.away;
+    }
+
+    records.push({
+      timestamp: nextTimestamp(event.wallclock, event.quarter, event.clockSeconds),
+      ...clockFields(event.quarter, event.clockSeconds),
+      homeScore: score.home,
+      awayScore: score.away,
+      possession: event.play.offense,
+      ...fieldFields(event.play.offense, event.yardsToEndZone),
+      down: event.down,
+      yardsToGo: event.yardsToGo,
+      homeTimeouts: timeouts.home,
+      awayTimeouts: timeouts.away,
+      lastPlay: lastSnap?.play
+    });
+
+    score.home = event.homeScoreAfter;
+    score.away = event.awayScoreAfter;
+    lastSnap = event;
+  });
+
+  if (lastSnap) {
+    records.push({
+      timestamp: nextTimestamp(undefined, lastSnap.quarter, 0),
+      ...clockFields(lastSnap.quarter, 0),
+      homeScore: score.home,
+      awayScore: score.away,
+      possession: lastSnap.play.offense,
+      ...fieldFields(lastSnap.play.offense, lastSnap.yardsToEndZone),
+      down: null,
+      yardsToGo: null,
+      homeTimeouts: timeouts.home,
+      awayTimeouts: timeouts.away,
+      lastPlay: lastSnap.play
+    });
+  }
+
+  return records;
+}
+
+// The feed's final score wins over a last play that was scored before a late correction
+function withFinalScore(records: PlayByPlayRecord[], home: number | null, away: number | null): PlayByPlayRecord[] {
+  const last = records[records.length - 1];
+  if (last && home !== null && away !== null) {
+    last.homeScore = home;
+    last.awayScore = away;
+  }
+  return records;
+}
+
+// Blank, NA and non-numeric values are missing
+function parseNumber(value: any): number | null {
+  if (value === undefined || value === null || value === '' || value === 'NA') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+function clockFields(quarter: number, clockSeconds: number) {
+  return {
+    quarter,
+    overtime: quarter > 4,
+    minutesRemaining: Math.floor(clockSeconds / 60),
+    secondsRemaining: Math.round(clockSeconds % 60)
+  };
+}
+
+/**
+ * Yard line and side of the field from the distance to the offense's end zone
+ */
+export function fieldFields(
+  offense: 'home' | 'away',
+  yardsToEndZone: number
+): Pick<PlayByPlayRecord, 'yardLine' | 'fieldSide' | 'yardsToEndZone'> {
+  const defense = offense === 'home' ? 'away' : 'home';
+  return yardsToEndZone >= 50
+    ? { yardLine: 100 - yardsToEndZone, fieldSide: offense, yardsToEndZone }
+    : { yardLine: yardsToEndZone, fieldSide: defense, yardsToEndZone };
+}
+
+function sideLookup(homeAbbreviation: string, awayAbbreviation: string) {
+  return (abbreviation: string | undefined): 'home' | 'away' | null => {
+    const normalized = String(abbreviation ?? '').toUpperCase();
+    if (normalized === String(homeAbbreviation).toUpperCase()) return 'home';
+    if (normalized === String(awayAbbreviation).toUpperCase()) return 'away';
+    return null;
+  };
+}
+
+function espnPlayType(typeText: string): NormalizedPlayType | null {
+  if (/end (of )?(period|half|game|regulation)|two-minute|coin toss/.test(typeText)) return null;
+  if (typeText.includes('kickoff')) return 'kickoff';
+  if (typeText.includes('punt')) return 'punt';
+  if (typeText.includes('extra point')) return 'extra_point';
+  if (/two[- ]point/.test(typeText)) return 'two_point';
+  if (typeText.includes('field goal')) return 'field_goal';
+  if (typeText.includes('kneel')) return 'kneel';
+  if (typeText.includes('spike')) return 'spike';
+  if (/pass|sack|interception/.test(typeText)) return 'pass';
+  if (/rush|run/.test(typeText)) return 'run';
+  if (typeText === 'penalty') return 'penalty';
+  return typeText ? 'other' : null;
+}
+
+function nflversePlayType(row: { [key: string]: string }): NormalizedPlayType | null {
+  if (row.two_point_attempt === '1') return 'two_point';
+  switch (row.play_type) {
+    case 'kickoff': return 'kickoff';
+    case 'run': return 'run';
+    case 'pass': return 'pass';
+    case 'punt': return 'punt';
+    case 'field_goal': return 'field_goal';
+    case 'extra_point': return 'extra_point';
+    case 'qb_kneel': return 'kneel';
+    case 'qb_spike': return 'spike';
+    // no_play rows are also used for timeouts and the two-minute warning
+    case 'no_play': return row.penalty === '1' ? 'penalty' : null;
+    default: return null;
+  }
+}
+
+function parseESPNPenalty(
+  text: string,
+  typeText: string,
+  sideOf: (abbreviation: string | undefined) => 'home' | 'away' | null
+): PlayByPlayPenalty | undefined {
+  const match = text.match(/PENALTY on ([A-Z]{2,4})-[^,]*,\s*([^,]+?)(?:,\s*(\d+) yards?)?(?:,|\.|$)/i);
+  if (!match && typeText !== 'penalty') return undefined;
+
+  return {
+    team: match ? sideOf(match[1]) : null,
+    type: match ? match[2].trim() : 'Penalty',
+    yards: match?.[3] ? Number(match[3]) : 0,
+    declined: /declined/i.test(text),
+    offsetting: /offsetting/i.test(text),
+    noPlay: typeText === 'penalty' || /no play/i.test(text)
+  };
+}
+
+function parseReview(text: string): 'upheld' | 'reversed' | undefined {
+  if (/reversed|overturned/i.test(text)) return 'reversed';
+  if (/(challenged|replay|review)/i.test(text) && /(upheld|stands|confirmed)/i.test(text)) return 'upheld';
+  return undefined;
+}
+
+// "12:34" to seconds
+function parseClock(display: string | undefined): number {
+  const [minutes, seconds] = String(display ?? '0:00').split(':').map(Number);
+  return (minutes || 0) * 60 + (seconds || 0);
+}
+
+// "HH:MM:SS" to seconds after midnight, or null
+function clockTime(value: string | undefined): number | null {
+  const match = String(value ?? '').match(/(\d{1,2}):(\d{2}):(\d{2})/);
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null;
+}
+
+// RFC 4180 fields: quoted values may contain commas, doubled quotes and newlines
+function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
@@ -2,12 +2,33 @@
  * Probability distribution classes for Bayesian inference
  */
 
+/**
+ * Source of uniform random numbers in [0, 1)
+ */
+export type RandomSource = () => number;
+
 export abstract class ProbabilityDistribution {
   abstract mean(): number;
   abstract variance(): number;
   abstract pdf(x: number): number;
   abstract cdf(x: number): number;
-  abstract sample(): number;
+  abstract quantile(p: number): number;
+  abstract sample(random?: RandomSource): number;
+
+  /**
+   * Invert a monotone CDF by bisection on [lower, upper]
+   */
+  protected bisectQuantile(p: number, lower: number, upper: number): number {
+    for (let i = 0; i < 100 && upper - lower > 1e-12 * Math.max(1, Math.abs(upper)); i++) {
+      const mid = (lower + upper) / 2;
+      if (this.cdf(mid) < p) {
+        lower = mid;
+      } else {
+        upper = mid;
+      }
+    }
+    return (lower + upper) / 2;
+  }
 }
 
 /**
@@ -42,14 +63,66 @@ export class NormalDistribution extends ProbabilityDistribution {
     return 0.5 * (1 + this.erf((x - this.mu) / (this.sigma * Math.sqrt(2))));
   }
 
-  sample(): number {
+  quantile(p: number): number {
+    return this.mu + this.sigma * NormalDistribution.standardQuantile(p);
+  }
+
+  sample(random: RandomSource = Math.random): number {
     // Box-Muller transform
-    const u1 = Math.random();
-    const u2 = Math.random();
+    const u1 = random();
+    const u2 = random();
     const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
     return z0 * this.sigma + this.mu;
   }
 
+  /**
+   * Standard normal CDF with small relative error in both tails
+   */
+  static standardCdf(z: number): number {
+    // Complementary error function (Numerical Recipes erfcc), evaluated at -z/sqrt(2)
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.5 * x);
+    const tail = 0.5 * t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 +
+      t * (0.09678418 + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 +
+      t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+    return z >= 0 ? 1 - tail : tail;
+  }
+
+  /**
+   * Inverse of the standard normal CDF (Acklam's rational approximation)
+   */
+  static standardQuantile(p: number): number {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+      1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+      6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+      -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+      3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+      const q = Math.sqrt(-2 * Math.log(p));
+      return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    if (p > 1 - pLow) {
+      const q = Math.sqrt(-2 * Math.log(1 - p));
+      return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+        ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+  }
+
   private erf(x: number): number {
     // Approximation of error function
     const a1 = 0.254829592;
@@ -113,10 +186,16 @@ export class BetaDistribution extends ProbabilityDistribution {
     return this.incompleteBeta(x, this.alpha, this.beta);
   }
 
-  sample(): number {
+  quantile(p: number): number {
+    if (p <= 0) return 0;
+    if (p >= 1) return 1;
+    return this.bisectQuantile(p, 0, 1);
+  }
+
+  sample(random: RandomSource = Math.random): number {
     // Use gamma distribution sampling to generate beta samples
-    const gamma1 = this.sampleGamma(this.alpha, 1);
-    const gamma2 = this.sampleGamma(this.beta, 1);
+    const gamma1 = this.sampleGamma(this.alpha, 1, random);
+    const gamma2 = this.sampleGamma(this.beta, 1, random);
     return gamma1 / (gamma1 + gamma2);
   }
 
@@ -200,10 +279,10 @@ export class BetaDistribution extends ProbabilityDistribution {
     return Math.log(this.gammaFunction(z));
   }
 
-  private sampleGamma(shape: number, scale: number): number {
+  private sampleGamma(shape: number, scale: number, random: RandomSource): number {
     // Marsaglia and Tsang's method for gamma distribution
     if (shape < 1) {
-      return this.sampleGamma(shape + 1, scale) * Math.pow(Math.random(), 1 / shape);
+      return this.sampleGamma(shape + 1, scale, random) * Math.pow(random(), 1 / shape);
     }
     
     const d = shape - 1 / 3;
@@ -214,12 +293,12 @@ export class BetaDistribution extends ProbabilityDistribution {
       let v: number;
       
       do {
-        x = this.sampleNormal(0, 1);
+        x = this.sampleNormal(0, 1, random);
         v = 1 + c * x;
       } while (v <= 0);
       
       v = v * v * v;
-      const u = Math.random();
+      const u = random();
       
       if (u < 1 - 0.0331 * x * x * x * x) {
         return d * v * scale;
@@ -231,9 +310,9 @@ export class BetaDistribution extends ProbabilityDistribution {
     }
   }
 
-  private sampleNormal(mu: number, sigma: number): number {
-    const u1 = Math.random();
-    const u2 = Math.random();
+  private sampleNormal(mu: number, sigma: number, random: RandomSource): number {
+    const u1 = random();
+    const u2 = random();
     const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
     return z0 * sigma + mu;
   }
@@ -284,14 +363,25 @@ export class GammaDistribution extends ProbabilityDistribution {
       return 1 - (1 + t) * Math.exp(-t);
     }
     
-    // General case using incomplete gamma function approximation
+    // General case using the regularized incomplete gamma function
     const normalizedX = x / this.scale;
-    return Math.min(1, this.incompleteGamma(this.shape, normalizedX) / this.gammaFunction(this.shape));
+    return this.incompleteGamma(this.shape, normalizedX);
   }
 
-  sample(): number {
+  quantile(p: number): number {
+    if (p <= 0) return 0;
+    if (p >= 1) return Infinity;
+
+    let upper = this.mean() + 10 * Math.sqrt(this.variance());
+    while (this.cdf(upper) < p) {
+      upper *= 2;
+    }
+    return this.bisectQuantile(p, 0, upper);
+  }
+
+  sample(random: RandomSource = Math.random): number {
     // Use the same method as in BetaDistribution
-    return this.sampleGamma(this.shape, this.scale);
+    return this.sampleGamma(this.shape, this.scale, random);
   }
 
   private gammaFunction(z: number): number {
@@ -316,30 +406,50 @@ export class GammaDistribution extends ProbabilityDistribution {
   }
 
   private incompleteGamma(a: number, x: number): number {
-    // Series expansion for incomplete gamma function
-    if (x === 0) return 0;
-    
-    let sum = 1;
-    let term = 1;
-    let n = 1;
-    
-    while (Math.abs(term) > 1e-15 && n < 100) {
-      term *= x / (a + n - 1);
-      sum += term;
-      n++;
+    // Regularized lower incomplete gamma function P(a, x)
+    if (x <= 0) return 0;
+    const logPrefix = -x + a * Math.log(x) - this.logGamma(a);
+
+    if (x < a + 1) {
+      // Series expansion
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 500; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+      }
+      return Math.min(1, sum * Math.exp(logPrefix));
     }
-    
-    return Math.exp(-x + a * Math.log(x) - this.logGamma(a)) * sum;
+
+    // Continued fraction for the upper tail (modified Lentz's method)
+    let b = x + 1 - a;
+    let c = 1e300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < 1e-300) d = 1e-300;
+      c = b + an / c;
+      if (Math.abs(c) < 1e-300) c = 1e-300;
+      d = 1 / d;
+      const del = d * c;
+      h *= del;
+      if (Math.abs(del - 1) < 1e-15) break;
+    }
+    return Math.max(0, 1 - Math.exp(logPrefix) * h);
   }
 
   private logGamma(z: number): number {
     return Math.log(this.gammaFunction(z));
   }
 
-  private sampleGamma(shape: number, scale: number): number {
+  private sampleGamma(shape: number, scale: number, random: RandomSource): number {
     // Marsaglia and Tsang's method
     if (shape < 1) {
-      return this.sampleGamma(shape + 1, scale) * Math.pow(Math.random(), 1 / shape);
+      return this.sampleGamma(shape + 1, scale, random) * Math.pow(random(), 1 / shape);
     }
     
     const d = shape - 1 / 3;
@@ -350,12 +460,12 @@ export class GammaDistribution extends ProbabilityDistribution {
       let v: number;
       
       do {
-        x = this.sampleNormal(0, 1);
+        x = this.sampleNormal(0, 1, random);
         v = 1 + c * x;
       } while (v <= 0);
       
       v = v * v * v;
-      const u = Math.random();
+      const u = random();
       
       if (u < 1 - 0.0331 * x * x * x * x) {
         return d * v * scale;
@@ -367,10 +477,176 @@ export class GammaDistribution extends ProbabilityDistribution {
     }
   }
 
-  private sampleNormal(mu: number, sigma: number): number {
-    const u1 = Math.random();
-    const u2 = Math.random();
+  private sampleNormal(mu: number, sigma: number, random: RandomSource): number {
+    const u1 = random();
+    const u2 = random();
     const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
     return z0 * sigma + mu;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * League-average parameters for a single team's play outcomes
+ */
+export interface PlayOutcomeParameters {
+  passRate: number;
+  rushMean: number;
+  rushStdDev: number;
+  breakawayRate: number;
+  breakawayMean: number;
+  completionRate: number;
+  completionYardsMean: number;
+  completionYardsShape: number;
+  sackRate: number;
+  sackYards: number;
+  interceptionRate: number;
+  fumbleRate: number;
+  puntNetMean: number;
+  puntNetStdDev: number;
+  touchbackRate: number;
+  kickoffReturnMean: number;
+  kickoffReturnStdDev: number;
+  fieldGoalIntercept: number;
+  fieldGoalSlope: number;
+  extraPointRate: number;
+}
+
+export const DEFAULT_PLAY_OUTCOME_PARAMETERS: PlayOutcomeParameters = {
+  passRate: 0.58,
+  rushMean: 4.2,
+  rushStdDev: 4.5,
+  breakawayRate: 0.04,
+  breakawayMean: 15,
+  completionRate: 0.64,
+  completionYardsMean: 11.2,
+  completionYardsShape: 1.8,
+  sackRate: 0.065,
+  sackYards: 7,
+  interceptionRate: 0.023,
+  fumbleRate: 0.009,
+  puntNetMean: 41,
+  puntNetStdDev: 7,
+  touchbackRate: 0.6,
+  kickoffReturnMean: 24,
+  kickoffReturnStdDev: 7,
+  fieldGoalIntercept: 6.0,
+  fieldGoalSlope: 0.105,
+  extraPointRate: 0.94
+};
+
+export type ScrimmagePlayType = 'rush' | 'pass';
+
+/**
+ * Result of a single scrimmage play
+ */
+export interface ScrimmagePlayOutcome {
+  type: ScrimmagePlayType;
+  yards: number;
+  turnover: boolean;
+  clockStops: boolean;
+}
+
+/**
+ * Play-outcome distributions used by the drive simulator
+ */
+export class PlayOutcomeDistributions {
+  readonly parameters: PlayOutcomeParameters;
+  private rushYards: NormalDistribution;
+  private breakawayYards: GammaDistribution;
+  private completionYards: GammaDistribution;
+  private puntNet: NormalDistribution;
+  private kickoffReturn: NormalDistribution;
+
+  constructor(parameters: Partial<PlayOutcomeParameters> = {}) {
+    this.parameters = { ...DEFAULT_PLAY_OUTCOME_PARAMETERS, ...parameters };
+    const p = this.parameters;
+
+    this.rushYards = new NormalDistribution(p.rushMean, p.rushStdDev);
+    this.breakawayYards = new GammaDistribution(1.5, p.breakawayMean / 1.5);
+    this.completionYards = new GammaDistribution(
+      p.completionYardsShape,
+      p.completionYardsMean / p.completionYardsShape
+    );
+    this.puntNet = new NormalDistribution(p.puntNetMean, p.puntNetStdDev);
+    this.kickoffReturn = new NormalDistribution(p.kickoffReturnMean, p.kickoffReturnStdDev);
+  }
+
+  /**
+   * Sample a designed run
+   */
+  sampleRush(random: RandomSource = Math.random): ScrimmagePlayOutcome {
+    if (random() < this.parameters.fumbleRate) {
+      return { type: 'rush', yards: 0, turnover: true, clockStops: true };
+    }
+
+    let yards = Math.max(-5, Math.round(this.rushYards.sample(random)));
+    if (random() < this.parameters.breakawayRate) {
+      yards += Math.round(this.breakawayYards.sample(random));
+    }
+
+    // Roughly one run in ten ends out of bounds
+    return { type: 'rush', yards, turnover: false, clockStops: random() < 0.1 };
+  }
+
+  /**
+   * Sample a called pass, including sacks and interceptions
+   */
+  samplePass(random: RandomSource = Math.random): ScrimmagePlayOutcome {
+    const p = this.parameters;
+
+    if (random() < p.sackRate) {
+      if (random() < p.fumbleRate * 5) {
+        return { type: 'pass', yards: -p.sackYards, turnover: true, clockStops: true };
+      }
+      return { type: 'pass', yards: -p.sackYards, turnover: false, clockStops: false };
+    }
+
+    if (random() < p.interceptionRate) {
+      return { type: 'pass', yards: 0, turnover: true, clockStops: true };
+    }
+
+    if (random() < p.completionRate) {
+      const yards = Math.max(0, Math.round(this.completionYards.sample(random)));
+      if (random() < p.fumbleRate) {
+        return { type: 'pass', yards, turnover: true, clockStops: true };
+      }
+      // About a quarter of completions end out of bounds
+      return { type: 'pass', yards, turnover: false, clockStops: random() < 0.25 };
+    }
+
+    return { type: 'pass', yards: 0, turnover: false, clockStops: true };
+  }
+
+  /**
+   * Sample net punt distance in yards
+   */
+  samplePuntNet(random: RandomSource = Math.random): number {
+    return Math.max(10, Math.round(this.puntNet.sample(random)));
+  }
+
+  /**
+   * Sample the receiving team's starting position after a kickoff,
+   * in yards from its own goal line
+   */
+  sampleKickoffStart(random: RandomSource = Math.random): number {
+    if (random() < this.parameters.touchbackRate) {
+      return 25;
+    }
+    return Math.min(99, Math.max(1, Math.round(this.kickoffReturn.sample(random))));
+  }
+
+  /**
+   * Probability of making a field goal from the given kick distance
+   */
+  fieldGoalProbability(kickDistance: number): number {
+    const { fieldGoalIntercept, fieldGoalSlope } = this.parameters;
+    return 1 / (1 + Math.exp(-(fieldGoalIntercept - fieldGoalSlope * kickDistance)));
+  }
+
+  /**
+   * Probability of converting a kicked extra point
+   */
+  extraPointProbability(): number {
+    return this.parameters.extraPointRate;
+  }
+}
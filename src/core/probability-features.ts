@@ -0,0 +1,57 @@
+/**
+ * Ordered model inputs, as sent to the model serving an endpoint. Models take
+ * features positionally, so a deployed model must list exactly these names in
+ * this order.
+ */
+export interface FeatureSchema {
+  name: string;
+  version: number;
+  features: string[];
+}
+
+/**
+ * Inputs of the in-game win probability model, from the home team's side.
+ * inGameFeatureVector builds them from a game situation.
+ */
+export const IN_GAME_WIN_PROBABILITY_SCHEMA: FeatureSchema = {
+  name: 'in-game-win-probability',
+  version: 1,
+  features: [
+    'scoreDifferential', // home minus away
+    'secondsRemaining',
+    'overtime',
+    'homePossession',
+    'down',
+    'yardsToGo',
+    'yardsToEndZone', // for the team in possession
+    'homeTimeouts',
+    'awayTimeouts',
+    'pregameSpread' // home line
+  ]
+};
+
+/**
+ * Schema of the model behind each API endpoint. A model bound to an endpoint
+ * can only be deployed when its features match.
+ */
+export const ENDPOINT_FEATURE_SCHEMAS: { [endpoint: string]: FeatureSchema } = {
+  probabilities: IN_GAME_WIN_PROBABILITY_SCHEMA
+};
+
+export interface SchemaMismatch {
+  missing: string[];
+  unexpected: string[];
+  reordered: boolean;
+}
+
+/**
+ * Differences between a model's features and a schema, or null when they match
+ */
+export function compareFeatureSchema(features: string[], schema: FeatureSchema): SchemaMismatch | null {
+  const missing = schema.features.filter(name => !features.includes(name));
+  const unexpected = features.filter(name => !schema.features.includes(name));
+  const reordered = missing.length === 0 && unexpected.length === 0 &&
+    features.some((name, i) => schema.features[i] !== name);
+
+  return missing.length > 0 || unexpected.length > 0 || reordered ? { missing, unexpected, reordered } : null;
+}
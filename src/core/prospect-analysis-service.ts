@@ -158,6 +158,21 @@ export class ProspectAnalysisService {
     }
   }
 
+  /**
+   * Fantasy-relevant prospects in the order rookie drafts tend to take
+   * them: NFL draft capital first, then lower bust risk
+   */
+  rankFantasyProspects(prospects: ProspectAnalysis[]): ProspectAnalysis[] {
+    const fantasyPositions = [Position.QB, Position.RB, Position.WR, Position.TE];
+
+    return prospects
+      .filter(prospect => fantasyPositions.includes(prospect.position))
+      .sort((a, b) =>
+        a.draftProjection.projectedPick - b.draftProjection.projectedPick ||
+        (a.bustRisk ?? 50) - (b.bustRisk ?? 50)
+      );
+  }
+
   /**
    * Generate draft projection using statistical models
    */
@@ -0,0 +1,211 @@
+import { DatabaseService } from './database-service';
+import { defaultDatabaseConfig } from './database-config';
+import { RatingLeague } from './bayesian-team-ratings';
+import {
+  RatedGame,
+  RatingDivision,
+  TeamRatingConfig,
+  TeamRatingEngine,
+  TeamRatingState,
+  seasonForDate
+} from './team-rating-engine';
+import { GameStatus } from '../types/common.types';
+
+// Create a simple logger instance for testing
+const logger = {
+  info: (message: string, meta?: any) => console.log(`[INFO] ${message}`, meta),
+  error: (message: string, error?: any) => console.error(`[ERROR] ${message}`, error),
+  warn: (message: string, meta?: any) => console.warn(`[WARN] ${message}`, meta),
+  debug: (message: string, meta?: any) => console.debug(`[DEBUG] ${message}`, meta)
+};
+
+const NFL_CONFERENCES = ['AFC', 'NFC'];
+
+// FCS conferences past and present, normalized by normalizeConference. The
+// teams table stores a team's conference and, in division, its sub-division
+// within it ('East', 'West'), so conference is all there is to go on.
+const FCS_CONFERENCES = new Set([
+  'asun', 'atlantic sun', 'asun wac',
+  'big sky',
+  'big south', 'big south ovc',
+  'caa', 'coastal athletic', 'colonial athletic',
+  'fcs independents',
+  'great west',
+  'ivy', 'ivy league',
+  'meac', 'mid eastern athletic',
+  'missouri valley', 'mvfc',
+  'nec', 'northeast',
+  'ohio valley', 'ovc',
+  'patriot', 'patriot league',
+  'pioneer',
+  'socon', 'southern',
+  'southland',
+  'swac', 'southwestern athletic',
+  'uac', 'united athletic'
+]);
+
+function normalizeConference(conference: string): string {
+  return conference
+    .toLowerCase()
+    .replace(/\b(conference|football|association)\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+export interface RatingReplayOptions {
+  fromSeason?: number;
+  config?: Partial<TeamRatingConfig>;
+  persist?: boolean; // store the history, true by default
+}
+
+export interface RatingReplayResult {
+  league: RatingLeague;
+  teams: number;
+  games: number;
+  skippedGames: number; // against opponents outside the league's teams
+  seasons: number[];
+  snapshotsStored: number;
+  ratings: TeamRatingState[];
+  engine: TeamRatingEngine;
+}
+
+/**
+ * Division a stored team is rated in, or null when it belongs to the other
+ * league. NCAA teams are FCS when their conference is an FCS conference.
+ */
+export function ratingDivisionForTeam(league: RatingLeague, conference: string): RatingDivision | null {
+  const isNfl = NFL_CONFERENCES.includes(String(conference).toUpperCase());
+  if (league === 'nfl') {
+    return isNfl ? 'NFL' : null;
+  }
+  if (isNfl) {
+    return null;
+  }
+  return FCS_CONFERENCES.has(normalizeConference(String(conference ?? ''))) ? 'FCS' : 'FBS';
+}
+
+/**
+ * Rebuild Elo and Glicko-2 ratings from the final scores in the games table
+ * and store the resulting history
+ */
+export class RatingReplay {
+  private databaseService: DatabaseService;
+
+  constructor(databaseService: DatabaseService) {
+    this.databaseService = databaseService;
+  }
+
+  async replay(league: RatingLeague, options: RatingReplayOptions = {}): Promise<RatingReplayResult> {
+    const engine = new TeamRatingEngine({ ...options.config, league });
+
+    const teams: any[] = await this.databaseService.query('SELECT id, conference FROM teams');
+    const storedTeams = new Set(teams.map(team => team.id));
+    teams.forEach(team => {
+      const division = ratingDivisionForTeam(league, team.conference);
+      if (division) {
+        engine.addTeam(team.id, division);
+      }
+    });
+
+    const rows: any[] = await this.databaseService.query(
+      `SELECT id, home_team_id, away_team_id, home_score, away_score, scheduled_time
+         FROM games
+        WHERE status = $1
+        ORDER BY scheduled_time`,
+      [GameStatus.FINAL]
+    );
+
+    const games: RatedGame[] = [];
+    let skippedGames = 0;
+    rows.forEach(row => {
+      const date = new Date(row.scheduled_time);
+      const season = seasonForDate(date);
+      if (options.fromSeason !== undefined && season < options.fromSeason) {
+        return;
+      }
+      // FBS schedules include FCS opponents the teams table never lists
+      if (league === 'ncaa') {
+        [row.home_team_id, row.away_team_id].forEach(teamId => {
+          const opponent = teamId === row.home_team_id ? row.away_team_id : row.home_team_id;
+          if (!storedTeams.has(teamId) && !engine.hasTeam(teamId) && engine.hasTeam(opponent)) {
+            engine.addTeam(teamId, 'FCS');
+          }
+        });
+      }
+      if (!engine.hasTeam(row.home_team_id) || !engine.hasTeam(row.away_team_id)) {
+        // Both sides outside the league is the other league's game, not a skip
+        if (engine.hasTeam(row.home_team_id) || engine.hasTeam(row.away_team_id)) {
+          skippedGames++;
+        }
+        return;
+      }
+      games.push({
+        gameId: row.id,
+        date,
+        season,
+        homeTeamId: row.home_team_id,
+        awayTeamId: row.away_team_id,
+        homeScore: Number(row.home_score),
+        awayScore: Number(row.away_score)
+      });
+    });
+
+    engine.processGames(games);
+
+    const snapshotsStored = options.persist === false
+      ? 0
+      : await this.databaseService.saveTeamRatingHistory(league, engine.getAllHistory());
+
+    const result: RatingReplayResult = {
+      league,
+      teams: engine.getRatings().length,
+      games: games.length,
+      skippedGames,
+      seasons: Array.from(new Set(games.map(game => game.season))),
+      snapshotsStored,
+      ratings: engine.getRatings(),
+      engine
+    };
+
+    logger.info('Rating replay completed', {
+      league,
+      teams: result.teams,
+      games: result.games,
+      skippedGames,
+      seasons: result.seasons,
+      snapshotsStored
+    });
+
+    return result;
+  }
+}
+
+/**
+ * Command line entry: rating-replay <nfl|ncaa> [fromSeason]
+ */
+async function runRatingReplay(args: string[]): Promise<void> {
+  const [league, fromSeason] = args;
+  if (league !== 'nfl' && league !== 'ncaa') {
+    throw new Error('Usage: rating-replay <nfl|ncaa> [fromSeason]');
+  }
+
+  const databaseService = new DatabaseService(defaultDatabaseConfig);
+  await databaseService.initialize();
+  try {
+    const result = await new RatingReplay(databaseService).replay(league, {
+      fromSeason: fromSeason !== undefined ? Number(fromSeason) : undefined
+    });
+    result.ratings.slice(0, 25).forEach((team, rank) => {
+      console.log(`${String(rank + 1).padStart(3)}  ${team.teamId}  ${team.division}  Elo ${team.elo.toFixed(0)}  Glicko ${team.glicko.rating.toFixed(0)} ±${team.glicko.deviation.toFixed(0)}`);
+    });
+  } finally {
+    await databaseService.close();
+  }
+}
+
+if (require.main === module) {
+  runRatingReplay(process.argv.slice(2)).catch(error => {
+    logger.error('Rating replay failed', error);
+    process.exit(1);
+  });
+}
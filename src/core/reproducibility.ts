@@ -0,0 +1,63 @@
+import { createHash, randomBytes } from 'crypto';
+import { execSync } from 'child_process';
+import { SimulationScenario } from '../types/simulation.types';
+
+let cachedCodeVersion: string | undefined;
+
+/**
+ * JSON with object keys sorted so equal values always serialize identically
+ */
+export function canonicalJson(value: any): string {
+  if (value && typeof value.toISOString === 'function') {
+    return JSON.stringify(value.toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of everything in a scenario that affects simulated outcomes.
+ * The generated id and free-form metadata are excluded.
+ */
+export function hashScenario(scenario: SimulationScenario): string {
+  const { id, metadata, ...inputs } = scenario;
+  return createHash('sha256').update(canonicalJson(inputs)).digest('hex');
+}
+
+/**
+ * Deployed code version: APP_VERSION when set, otherwise the git commit
+ */
+export function getCodeVersion(): string {
+  if (cachedCodeVersion === undefined) {
+    cachedCodeVersion = process.env.APP_VERSION || readGitCommit() || 'unknown';
+  }
+  return cachedCodeVersion;
+}
+
+/**
+ * Fresh seed for runs that did not request one, so every result stays reproducible
+ */
+export function generateSeed(): number {
+  return randomBytes(4).readUInt32LE(0);
+}
+
+function readGitCommit(): string | undefined {
+  try {
+    return execSync('git rev-parse HEAD', {
+      cwd: __dirname,
+      stdio: ['ignore', 'pipe', 'ignore'],
+      timeout: 2000
+    }).toString().trim() || undefined;
+  } catch {
+    return undefined;
+  }
+}
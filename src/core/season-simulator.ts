@@ -0,0 +1,422 @@
+import { FantasyPlayer, RosterRequirements, Position } from '../types/fantasy.types';
+import { Player } from '../models/Player';
+import { FantasyMLEngine } from './fantasy-ml-engine';
+import { NormalDistribution } from './probability-distributions';
+import { SeededRandom } from './seeded-random';
+import { generateSeed } from './reproducibility';
+
+export interface LeagueTeam {
+  teamId: string;
+  name: string;
+  roster: FantasyPlayer[];
+  wins: number;
+  losses: number;
+  ties?: number;
+  pointsFor: number;
+}
+
+export interface ScheduledMatchup {
+  week: number;
+  homeTeamId: string;
+  awayTeamId: string;
+}
+
+/**
+ * A league part-way through its season. Records and points cover every week
+ * before currentWeek; schedule entries from currentWeek on are simulated.
+ */
+export interface LeagueSeason {
+  teams: LeagueTeam[];
+  schedule: ScheduledMatchup[];
+  currentWeek: number;
+  rosterPositions: RosterRequirements;
+  playoffTeams: number;
+  playoffWeeks: number[];
+}
+
+/**
+ * Weekly points for one player: mean and standard deviation
+ */
+export interface ProjectionRange {
+  projectedPoints: number;
+  standardDeviation: number;
+}
+
+export type RosterProjections = Map<string, Map<number, ProjectionRange>>; // playerId -> week -> range
+
+export interface SeasonSimulationOptions {
+  iterations?: number;
+  seed?: number;
+  projections?: RosterProjections; // reuse ranges from projectRosters
+}
+
+/**
+ * Change in a team's odds from winning this week's game rather than losing it
+ */
+export interface WinValue {
+  playoffProbability: number;
+  championshipProbability: number;
+}
+
+export interface TeamSeasonOdds {
+  teamId: string;
+  name: string;
+  expectedWins: number;
+  playoffProbability: number;
+  byeProbability: number;
+  championshipProbability: number;
+  seedProbabilities: number[]; // index 0 is the top seed
+  winValue: WinValue | null; // null without a game this week
+}
+
+export interface SeasonSimulation {
+  week: number;
+  teams: TeamSeasonOdds[]; // by descending championship probability
+  iterations: number;
+  seed: number;
+}
+
+interface WeeklyStrength {
+  mean: number;
+  standardDeviation: number;
+}
+
+const DEFAULT_ITERATIONS = 10000;
+const DEDICATED_SLOTS: Position[] = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+const FLEX_POSITIONS: Position[] = ['RB', 'WR', 'TE'];
+const SUPERFLEX_POSITIONS: Position[] = ['QB', 'RB', 'WR', 'TE'];
+const LONG_TERM_ABSENCES = ['IR', 'PUP'];
+const CURRENT_WEEK_ABSENCES = ['OUT'];
+
+/**
+ * Simulates the rest of a fantasy season: the remaining regular-season
+ * schedule, then a reseeded single-elimination bracket. Each team starts its
+ * best projected lineup every week and its score is drawn from the summed
+ * player ranges of FantasyMLEngine.
+ */
+export class SeasonSimulator {
+  private fantasyMLEngine: FantasyMLEngine;
+
+  constructor(fantasyMLEngine: FantasyMLEngine) {
+    this.fantasyMLEngine = fantasyMLEngine;
+  }
+
+  async simulateSeason(season: LeagueSeason, options: SeasonSimulationOptions = {}): Promise<SeasonSimulation> {
+    this.validateSeason(season);
+
+    const iterations = options.iterations ?? DEFAULT_ITERATIONS;
+    if (!Number.isInteger(iterations) || iterations < 1) {
+      throw new Error('Iterations must be a positive integer');
+    }
+
+    const seed = options.seed ?? generateSeed();
+    const projections = options.projections ?? await this.projectRosters(season);
+    const strength = this.calculateStrength(season, projections);
+
+    return this.run(season, strength, iterations, seed);
+  }
+
+  /**
+   * Projection ranges for every rostered player in every week still to be
+   * played. Players on bye are skipped; a failed projection falls back to the
+   * player's own weekly projection with a 25% standard deviation.
+   */
+  async projectRosters(season: LeagueSeason): Promise<RosterProjections> {
+    const projections: RosterProjections = new Map();
+
+    for (const team of season.teams) {
+      for (const player of team.roster) {
+        const weeks = new Map<number, ProjectionRange>();
+
+        for (const week of this.remainingWeeks(season)) {
+          if (player.byeWeek === week) continue;
+
+          try {
+            const range = await this.fantasyMLEngine.generateProjectionRange(this.toModelPlayer(player), week);
+            const [low, high] = range.projection.confidenceInterval;
+            weeks.set(week, {
+              projectedPoints: range.projection.projectedPoints,
+              standardDeviation: Math.max(0, (high - low) / 4)
+            });
+          } catch (error) {
+            console.error(`Error projecting ${player.playerId} for week ${week}:`, error);
+            weeks.set(week, {
+              projectedPoints: player.projectedPoints,
+              standardDeviation: Math.abs(player.projectedPoints) * 0.25
+            });
+          }
+        }
+
+        projections.set(player.playerId, weeks);
+      }
+    }
+
+    return projections;
+  }
+
+  private run(
+    season: LeagueSeason,
+    strength: Map<string, Map<number, WeeklyStrength>>,
+    iterations: number,
+    seed: number
+  ): SeasonSimulation {
+    const teams = season.teams;
+    const index = new Map(teams.map((team, i) => [team.teamId, i]));
+    const regularWeeks = Array.from(new Set(
+      season.schedule.filter(m => m.week >= season.currentWeek).map(m => m.week)
+    )).sort((a, b) => a - b);
+    const rounds = Math.ceil(Math.log2(season.playoffTeams));
+    const byes = Math.pow(2, rounds) - season.playoffTeams;
+
+    const n = teams.length;
+    const wins = new Float64Array(n);
+    const playoffs = new Float64Array(n);
+    const byeCounts = new Float64Array(n);
+    const titles = new Float64Array(n);
+    const seeds = teams.map(() => new Float64Array(season.playoffTeams));
+    const conditional = teams.map(() => ({
+      won: 0, lost: 0, playoffsWon: 0, playoffsLost: 0, titlesWon: 0, titlesLost: 0
+    }));
+
+    const root = new SeededRandom(seed);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+      // One stream per iteration and one draw per team per week, so two
+      // leagues run with the same seed share their random numbers
+      const random = root.split(iteration);
+      const score = (teamIndex: number, week: number, z: number): number => {
+        const weekly = strength.get(teams[teamIndex].teamId)!.get(week);
+        return weekly ? weekly.mean + weekly.standardDeviation * z : 0;
+      };
+      const drawWeek = () => teams.map(() => NormalDistribution.standardQuantile(this.uniform(random)));
+
+      const record = teams.map(team => ({ wins: team.wins + 0.5 * (team.ties || 0), points: team.pointsFor }));
+      const thisWeek = new Array<number | null>(n).fill(null);
+
+      for (const week of regularWeeks) {
+        const z = drawWeek();
+        for (const matchup of season.schedule) {
+          if (matchup.week !== week) continue;
+          const home = index.get(matchup.homeTeamId)!;
+          const away = index.get(matchup.awayTeamId)!;
+          const homeScore = score(home, week, z[home]);
+          const awayScore = score(away, week, z[away]);
+          const homeResult = homeScore > awayScore ? 1 : homeScore < awayScore ? 0 : 0.5;
+
+          record[home].wins += homeResult;
+          record[away].wins += 1 - homeResult;
+          record[home].points += homeScore;
+          record[away].points += awayScore;
+
+          if (week === season.currentWeek) {
+            thisWeek[home] = homeResult;
+            thisWeek[away] = 1 - homeResult;
+          }
+        }
+      }
+
+      // Standings: wins with ties as halves, then points for
+      const standings = teams
+        .map((_, i) => i)
+        .sort((a, b) => record[b].wins - record[a].wins || record[b].points - record[a].points || a - b);
+      const seeded = standings.slice(0, season.playoffTeams);
+
+      // Reseeded bracket: the top seeds sit out the first round, then the
+      // best remaining seed always meets the worst
+      let alive = seeded.slice(byes);
+      let advanced = seeded.slice(0, byes);
+      for (let round = 0; round < rounds; round++) {
+        const week = season.playoffWeeks[round];
+        const z = drawWeek();
+        alive.sort((a, b) => seeded.indexOf(a) - seeded.indexOf(b));
+
+        const winners: number[] = [];
+        for (let i = 0; i < alive.length / 2; i++) {
+          const higher = alive[i];
+          const lower = alive[alive.length - 1 - i];
+          winners.push(score(lower, week, z[lower]) > score(higher, week, z[higher]) ? lower : higher);
+        }
+        alive = [...advanced, ...winners];
+        advanced = [];
+      }
+      const champion = alive[0];
+
+      teams.forEach((_, i) => {
+        wins[i] += record[i].wins;
+        const seedIndex = seeded.indexOf(i);
+        const madePlayoffs = seedIndex >= 0 ? 1 : 0;
+        const wonTitle = champion === i ? 1 : 0;
+
+        playoffs[i] += madePlayoffs;
+        titles[i] += wonTitle;
+        if (seedIndex >= 0) seeds[i][seedIndex] += 1;
+        if (seedIndex >= 0 && seedIndex < byes) byeCounts[i] += 1;
+
+        const stats = conditional[i];
+        if (thisWeek[i] === 1) {
+          stats.won += 1;
+          stats.playoffsWon += madePlayoffs;
+          stats.titlesWon += wonTitle;
+        } else if (thisWeek[i] === 0) {
+          stats.lost += 1;
+          stats.playoffsLost += madePlayoffs;
+          stats.titlesLost += wonTitle;
+        }
+      });
+    }
+
+    const playsThisWeek = new Set(season.schedule
+      .filter(m => m.week === season.currentWeek)
+      .flatMap(m => [m.homeTeamId, m.awayTeamId]));
+
+    const odds = teams.map((team, i): TeamSeasonOdds => {
+      const stats = conditional[i];
+      let winValue: WinValue | null = null;
+      if (playsThisWeek.has(team.teamId)) {
+        // A result that never varies across simulations cannot change the odds
+        winValue = stats.won > 0 && stats.lost > 0
+          ? {
+            playoffProbability: stats.playoffsWon / stats.won - stats.playoffsLost / stats.lost,
+            championshipProbability: stats.titlesWon / stats.won - stats.titlesLost / stats.lost
+          }
+          : { playoffProbability: 0, championshipProbability: 0 };
+      }
+
+      return {
+        teamId: team.teamId,
+        name: team.name,
+        expectedWins: wins[i] / iterations,
+        playoffProbability: playoffs[i] / iterations,
+        byeProbability: byeCounts[i] / iterations,
+        championshipProbability: titles[i] / iterations,
+        seedProbabilities: Array.from(seeds[i], count => count / iterations),
+        winValue
+      };
+    });
+
+    return {
+      week: season.currentWeek,
+      teams: odds.sort((a, b) => b.championshipProbability - a.championshipProbability ||
+        b.playoffProbability - a.playoffProbability),
+      iterations,
+      seed
+    };
+  }
+
+  /**
+   * Mean and spread of each team's score in each remaining week, from the
+   * best projected lineup it can start that week
+   */
+  private calculateStrength(
+    season: LeagueSeason,
+    projections: RosterProjections
+  ): Map<string, Map<number, WeeklyStrength>> {
+    const strength = new Map<string, Map<number, WeeklyStrength>>();
+
+    for (const team of season.teams) {
+      const weeks = new Map<number, WeeklyStrength>();
+
+      for (const week of this.remainingWeeks(season)) {
+        const available = team.roster
+          .filter(player => !LONG_TERM_ABSENCES.includes(player.injuryStatus))
+          .filter(player => week !== season.currentWeek || !CURRENT_WEEK_ABSENCES.includes(player.injuryStatus))
+          .map(player => ({ player, range: projections.get(player.playerId)?.get(week) }))
+          .filter((entry): entry is { player: FantasyPlayer; range: ProjectionRange } => entry.range !== undefined);
+
+        const starters = this.selectStarters(available, season.rosterPositions);
+        weeks.set(week, {
+          mean: starters.reduce((sum, range) => sum + range.projectedPoints, 0),
+          standardDeviation: Math.sqrt(starters.reduce((sum, range) => sum + range.standardDeviation ** 2, 0))
+        });
+      }
+
+      strength.set(team.teamId, weeks);
+    }
+
+    return strength;
+  }
+
+  /**
+   * Fill dedicated slots first, then FLEX, then SUPERFLEX. Each slot's
+   * eligible positions contain the previous ones', so taking the best
+   * remaining player at every step is optimal.
+   */
+  private selectStarters(
+    available: Array<{ player: FantasyPlayer; range: ProjectionRange }>,
+    requirements: RosterRequirements
+  ): ProjectionRange[] {
+    const remaining = [...available].sort((a, b) => b.range.projectedPoints - a.range.projectedPoints);
+    const starters: ProjectionRange[] = [];
+
+    const fill = (positions: Position[], count: number) => {
+      for (let slot = 0; slot < count; slot++) {
+        const i = remaining.findIndex(entry => positions.includes(entry.player.position));
+        if (i < 0) return; // an empty slot scores nothing
+        starters.push(remaining[i].range);
+        remaining.splice(i, 1);
+      }
+    };
+
+    DEDICATED_SLOTS.forEach(position => fill([position], requirements[position] || 0));
+    fill(FLEX_POSITIONS, requirements.FLEX || 0);
+    fill(SUPERFLEX_POSITIONS, requirements.SUPERFLEX || 0);
+
+    return starters;
+  }
+
+  private remainingWeeks(season: LeagueSeason): number[] {
+    return Array.from(new Set([
+      ...season.schedule.filter(m => m.week >= season.currentWeek).map(m => m.week),
+      ...season.playoffWeeks.filter(week => week >= season.currentWeek)
+    ])).sort((a, b) => a - b);
+  }
+
+  private validateSeason(season: LeagueSeason): void {
+    const teamIds = new Set(season.teams.map(team => team.teamId));
+    if (teamIds.size !== season.teams.length) {
+      throw new Error('Team ids must be unique');
+    }
+
+    for (const matchup of season.schedule) {
+      for (const teamId of [matchup.homeTeamId, matchup.awayTeamId]) {
+        if (!teamIds.has(teamId)) {
+          throw new Error(`Schedule references unknown team ${teamId}`);
+        }
+      }
+    }
+
+    if (!Number.isInteger(season.playoffTeams) || season.playoffTeams < 2 || season.playoffTeams > season.teams.length) {
+      throw new Error(`Playoff teams must be between 2 and ${season.teams.length}`);
+    }
+
+    const rounds = Math.ceil(Math.log2(season.playoffTeams));
+    if (season.playoffWeeks.length < rounds) {
+      throw new Error(`Need ${rounds} playoff weeks for ${season.playoffTeams} playoff teams, got ${season.playoffWeeks.length}`);
+    }
+
+    const lastRegularWeek = Math.max(...season.schedule.map(m => m.week));
+    if (season.playoffWeeks.some(week => week <= lastRegularWeek)) {
+      throw new Error('Playoff weeks must come after the regular season');
+    }
+    if (season.playoffWeeks[0] < season.currentWeek) {
+      throw new Error('Season simulation must start before the playoffs');
+    }
+  }
+
+  /**
+   * The engine reads only identity, position and team from the player
+   */
+  private toModelPlayer(player: FantasyPlayer): Player {
+    return {
+      id: player.playerId,
+      name: player.name,
+      position: player.position,
+      team: player.team,
+      injuryStatus: player.injuryStatus
+    } as unknown as Player;
+  }
+
+  private uniform(random: SeededRandom): number {
+    return Math.max(Number.EPSILON, random.next());
+  }
+}
@@ -0,0 +1,101 @@
+import { RandomSource } from './probability-distributions';
+
+export const GENERATOR_NAME = 'xoshiro128**';
+
+const TWO_POW_32 = 4294967296;
+const GOLDEN_RATIO = 0x9e3779b9;
+
+/**
+ * Murmur3 finalizer, a bijective 32-bit mixer
+ */
+function fmix32(h: number): number {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+function rotl(x: number, k: number): number {
+  return (x << k) | (x >>> (32 - k));
+}
+
+/**
+ * Split a seed into 32-bit words so seeds above 2^32 are not truncated
+ */
+function seedWords(seed: number): number[] {
+  if (!Number.isSafeInteger(seed)) {
+    throw new Error(`Random seed must be a safe integer, got ${seed}`);
+  }
+  const magnitude = Math.abs(seed);
+  return [magnitude >>> 0, Math.floor(magnitude / TWO_POW_32) >>> 0, seed < 0 ? 1 : 0];
+}
+
+/**
+ * Seeded xoshiro128** generator. Child streams are derived from the seed
+ * and a key path rather than from the current position, so the stream for
+ * a given key is the same no matter how work is divided between workers.
+ */
+export class SeededRandom {
+  private readonly state = new Uint32Array(4);
+  public readonly keys: number[];
+
+  constructor(public readonly seed: number, ...keys: number[]) {
+    this.keys = keys.map(key => key >>> 0);
+    const path = [...seedWords(seed), ...this.keys];
+
+    // Each state word hashes the full path with its own lane constant
+    for (let lane = 0; lane < 4; lane++) {
+      let h = fmix32(Math.imul(lane + 1, GOLDEN_RATIO));
+      for (const word of path) {
+        h = fmix32((h ^ fmix32((word + Math.imul(lane + 1, GOLDEN_RATIO)) >>> 0)) + GOLDEN_RATIO);
+      }
+      this.state[lane] = h;
+    }
+
+    // The all-zero state is a fixed point of xoshiro
+    if (this.state.every(word => word === 0)) {
+      this.state[0] = 1;
+    }
+  }
+
+  /**
+   * Next raw 32-bit output
+   */
+  nextUint32(): number {
+    const s = this.state;
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+
+    return result;
+  }
+
+  /**
+   * Uniform double in [0, 1)
+   */
+  next(): number {
+    return this.nextUint32() / TWO_POW_32;
+  }
+
+  /**
+   * Independent child stream identified by key
+   */
+  split(key: number): SeededRandom {
+    return new SeededRandom(this.seed, ...this.keys, key);
+  }
+
+  /**
+   * Bind next() for APIs that take a RandomSource
+   */
+  get source(): RandomSource {
+    return () => this.next();
+  }
+}
@@ -13,12 +13,27 @@ import {
   FeatureInteraction,
   FeatureContribution
 } from '../types/ml.types';
+import { SerializedXGBoostModel } from './models/xgboost-model';
+import { NeuralNetworkModel, SerializedNeuralNetwork } from './models/neural-network-model';
+import { EnsembleModel, SerializedEnsemble } from './models/ensemble-model';
+import { treeShap, treeShapInteractions, treeMargins, expectedTreeMargin } from './tree-shap';
+import { kernelShap, subsampleBackground, KernelShapOptions, KernelShapResult } from './kernel-shap';
+
+const MAX_BACKGROUND_ROWS = 100;
+const MAX_INTERACTION_SAMPLES = 25; // interaction values cost two TreeSHAP passes per feature
+// Global explanations run KernelSHAP once per sample, so each run gets fewer
+// coalitions and background rows than a single explanation
+const GLOBAL_COALITION_SAMPLES = 256;
+const GLOBAL_BACKGROUND_ROWS = 20;
 
 export interface IShapExplainer {
   explainPrediction(model: Model, features: FeatureVector, prediction: number): Promise<Explanation>;
   generateGlobalExplanation(model: Model, sampleData: FeatureVector[]): Promise<GlobalExplanation>;
   calculateShapValues(model: Model, features: FeatureVector, baseValue: number): Promise<ShapValue[]>;
+  calculateShapInteractionValues(model: Model, features: FeatureVector): Promise<number[][]>;
+  setBackgroundData(modelId: string, background: FeatureVector[]): void;
   visualizeFeatureImportance(explanation: Explanation): VisualizationData;
+  visualizeDependence(model: Model, sampleData: FeatureVector[], featureName: string): Promise<VisualizationData>;
   validateExplanationConsistency(explanations: Explanation[]): ConsistencyReport;
 }
 
@@ -30,6 +45,8 @@ export interface VisualizationData {
     shapValues: number[];
     baseValue: number;
     prediction: number;
+    interactionFeature?: string; // dependence plots: feature with the strongest interaction, used for colouring
+    interactionValues?: number[];
   };
   metadata: {
     modelId: string;
@@ -47,10 +64,28 @@ export interface ConsistencyReport {
   recommendations: string[];
 }
 
+// Output of a trained model for one row, for models explained by KernelSHAP
+type RowPredictor = (row: number[]) => Promise<number>;
+
+interface KernelExplainable {
+  featureNames: string[];
+  defaultBackground?: number[][];
+  // Softmax networks are explained through the probability of the class predicted for x
+  outputFor(x: number[]): Promise<RowPredictor>;
+}
+
+/**
+ * SHAP explanations for trained models. Gradient boosted trees get exact
+ * TreeSHAP in margin space; neural networks and ensembles get KernelSHAP
+ * against a background dataset. Models without a trained artifact only have
+ * simulated predictions, so their contributions are simulated as well.
+ */
 @injectable()
 export class ShapExplainer implements IShapExplainer {
   private shapCache: Map<string, ShapValue[]> = new Map();
   private globalExplanationCache: Map<string, GlobalExplanation> = new Map();
+  private backgroundData: Map<string, FeatureVector[]> = new Map();
+  private kernelModels: WeakMap<Record<string, any>, KernelExplainable> = new WeakMap();
 
   constructor(
     @inject(TYPES.Logger) private logger: Logger
@@ -113,19 +148,16 @@ export class ShapExplainer implements IShapExplainer {
       }
 
       // Calculate SHAP values for all samples
-      const allShapValues: ShapValue[][] = [];
-      
-      for (const sample of sampleData.slice(0, Math.min(100, sampleData.length))) {
-        const baseValue = await this.calculateBaseValue(model, sample);
-        const shapValues = await this.calculateShapValues(model, sample, baseValue);
-        allShapValues.push(shapValues);
-      }
+      const samples = sampleData.slice(0, Math.min(100, sampleData.length));
+      const allShapValues = await this.explainSamples(model, samples);
 
       // Aggregate feature importances across all samples
       const aggregatedImportances = this.aggregateFeatureImportances(allShapValues);
       
       // Calculate feature interactions
-      const featureInteractions = this.calculateFeatureInteractions(allShapValues);
+      const featureInteractions = this.isTreeModel(model)
+        ? await this.aggregateInteractionValues(model, samples)
+        : this.calculateFeatureInteractions(allShapValues);
       
       // Calculate model complexity score
       const modelComplexity = this.calculateModelComplexity(model, aggregatedImportances);
@@ -157,29 +189,15 @@ export class ShapExplainer implements IShapExplainer {
     }
 
     try {
-      const shapValues: ShapValue[] = [];
-
-      // Calculate SHAP values based on model type
-      switch (model.type) {
-        case ModelType.XGBOOST:
-          shapValues.push(...await this.calculateXGBoostShapValues(model, features, baseValue));
-          break;
-        case ModelType.NEURAL_NETWORK:
-          shapValues.push(...await this.calculateNeuralNetworkShapValues(model, features, baseValue));
-          break;
-        case ModelType.LINEAR_REGRESSION:
-        case ModelType.LOGISTIC_REGRESSION:
-          shapValues.push(...await this.calculateLinearShapValues(model, features, baseValue));
-          break;
-        case ModelType.ENSEMBLE:
-          shapValues.push(...await this.calculateEnsembleShapValues(model, features, baseValue));
-          break;
-        default:
-          shapValues.push(...await this.calculateGenericShapValues(model, features, baseValue));
-      }
+      const attribution = await this.attribute(model, features);
+      const shapValues = attribution
+        ? this.toShapValues(features, attribution)
+        : await this.calculateSimulatedShapValues(model, features, baseValue);
 
       // Validate SHAP values sum to prediction - base_value
-      this.validateShapValues(shapValues, baseValue);
+      if (attribution) {
+        this.validateShapValues(shapValues, attribution.baseValue, attribution.prediction);
+      }
 
       // Cache the results
       this.shapCache.set(cacheKey, shapValues);
@@ -192,6 +210,95 @@ export class ShapExplainer implements IShapExplainer {
     }
   }
 
+  /**
+   * Exact SHAP interaction values for a tree model, as a matrix over the
+   * feature vector's features. Each row sums to that feature's SHAP value.
+   */
+  async calculateShapInteractionValues(model: Model, features: FeatureVector): Promise<number[][]> {
+    this.validateModel(model);
+    this.validateFeatureVector(features);
+
+    if (!this.isTreeModel(model)) {
+      throw new Error(`SHAP interaction values require a trained tree model; model ${model.id} has no trees`);
+    }
+
+    const artifact = model.artifact as SerializedXGBoostModel;
+    const x = this.alignFeatures(features, artifact.featureNames);
+    const interactions = treeShapInteractions(artifact.trees, x, this.explainedClass(artifact, x));
+
+    return features.names.map(row => features.names.map(column => {
+      const i = artifact.featureNames.indexOf(row);
+      const j = artifact.featureNames.indexOf(column);
+      return i === -1 || j === -1 ? 0 : interactions[i][j];
+    }));
+  }
+
+  /**
+   * Background rows KernelSHAP integrates missing features over for a model.
+   * Without one, a network is explained against its training feature means.
+   */
+  setBackgroundData(modelId: string, background: FeatureVector[]): void {
+    if (background.length === 0) {
+      throw new Error('Background data cannot be empty');
+    }
+    background.forEach(row => this.validateFeatureVector(row));
+
+    this.backgroundData.set(modelId, background.slice(0, MAX_BACKGROUND_ROWS));
+    this.clearCachedShapValues(modelId);
+  }
+
+  /**
+   * One feature's SHAP value against its value across a sample, coloured by
+   * the feature it interacts with most when interaction values are available
+   */
+  async visualizeDependence(model: Model, sampleData: FeatureVector[], featureName: string): Promise<VisualizationData> {
+    this.validateModel(model);
+    if (sampleData.length === 0) {
+      throw new Error('Sample data is required for a dependence plot');
+    }
+    sampleData.forEach(sample => this.validateFeatureVector(sample));
+
+    const index = sampleData[0].names.indexOf(featureName);
+    if (index === -1) {
+      throw new Error(`Feature ${featureName} is not in the sample data`);
+    }
+
+    const samples = sampleData.slice(0, Math.min(100, sampleData.length));
+    const allShapValues = await this.explainSamples(model, samples);
+    const predictions = allShapValues.map(shapValues =>
+      shapValues.reduce((sum, sv) => sum + sv.shapValue, shapValues[0]?.baseValue ?? 0));
+
+    let interactionFeature: string | undefined;
+    let interactionValues: number[] | undefined;
+    if (this.isTreeModel(model)) {
+      const strongest = (await this.aggregateInteractionValues(model, samples))
+        .find(interaction => interaction.feature1 === featureName || interaction.feature2 === featureName);
+      if (strongest) {
+        interactionFeature = strongest.feature1 === featureName ? strongest.feature2 : strongest.feature1;
+        const interactionIndex = samples[0].names.indexOf(interactionFeature);
+        interactionValues = samples.map(sample => sample.values[interactionIndex]);
+      }
+    }
+
+    return {
+      type: 'dependence',
+      data: {
+        features: samples.map(() => featureName),
+        values: samples.map(sample => sample.values[index]),
+        shapValues: allShapValues.map(shapValues => shapValues[index].shapValue),
+        baseValue: allShapValues[0][index].baseValue,
+        prediction: predictions.reduce((sum, p) => sum + p, 0) / predictions.length,
+        interactionFeature,
+        interactionValues
+      },
+      metadata: {
+        modelId: model.id,
+        timestamp: new Date(),
+        featureCount: 1
+      }
+    };
+  }
+
   visualizeFeatureImportance(explanation: Explanation): VisualizationData {
     const shapValues = explanation.shapValues || [];
     
@@ -289,8 +396,23 @@ export class ShapExplainer implements IShapExplainer {
   }
 
   private async calculateBaseValue(model: Model, features: FeatureVector): Promise<number> {
-    // For demonstration, return a mock base value
-    // In a real implementation, this would be the expected value of the model
+    const artifact = model.artifact;
+
+    if (this.isTreeModel(model)) {
+      const trees = artifact as SerializedXGBoostModel;
+      const classIndex = this.explainedClass(trees, this.alignFeatures(features, trees.featureNames));
+      return trees.baseMargin[classIndex] + expectedTreeMargin(trees.trees, classIndex);
+    }
+
+    const explainable = artifact ? this.kernelExplainable(artifact) : null;
+    if (explainable) {
+      const output = await explainable.outputFor(this.alignFeatures(features, explainable.featureNames));
+      const background = this.backgroundRows(model, explainable);
+      const outputs = await Promise.all(background.map(row => output(row)));
+      return outputs.reduce((sum, value) => sum + value, 0) / outputs.length;
+    }
+
+    // Simulated models have no expected value to report
     switch (model.type) {
       case ModelType.LOGISTIC_REGRESSION:
         return 0.5; // Probability baseline
@@ -301,57 +423,208 @@ export class ShapExplainer implements IShapExplainer {
     }
   }
 
-  private async calculateXGBoostShapValues(model: Model, features: FeatureVector, baseValue: number): Promise<ShapValue[]> {
-    // Simulate XGBoost SHAP calculation
-    // In a real implementation, this would use the XGBoost library's SHAP integration
-    return features.names.map((name, index) => ({
-      featureName: name,
-      shapValue: (Math.random() - 0.5) * 0.3, // Random SHAP value for demo
-      featureValue: features.values[index],
-      baseValue
-    }));
+  /**
+   * Shapley values for a model with a trained artifact, aligned with the
+   * feature vector, or null for a simulated model
+   */
+  private async attribute(
+    model: Model,
+    features: FeatureVector,
+    background?: number[][],
+    options?: KernelShapOptions
+  ): Promise<KernelShapResult | null> {
+    const artifact = model.artifact;
+    if (!artifact) {
+      return null;
+    }
+
+    if (this.isTreeModel(model)) {
+      const trees = artifact as SerializedXGBoostModel;
+      const x = this.alignFeatures(features, trees.featureNames);
+      const classIndex = this.explainedClass(trees, x);
+
+      return {
+        shapValues: this.toVectorOrder(treeShap(trees.trees, x, classIndex), trees.featureNames, features),
+        baseValue: trees.baseMargin[classIndex] + expectedTreeMargin(trees.trees, classIndex),
+        prediction: treeMargins(trees.trees, trees.baseMargin, x)[classIndex]
+      };
+    }
+
+    const explainable = this.kernelExplainable(artifact);
+    if (!explainable) {
+      throw new Error(`Unsupported model artifact format: ${artifact.format}`);
+    }
+
+    const x = this.alignFeatures(features, explainable.featureNames);
+    const output = await explainable.outputFor(x);
+    const result = await kernelShap(
+      rows => Promise.all(rows.map(row => output(row))),
+      x,
+      background ?? this.backgroundRows(model, explainable),
+      options
+    );
+
+    return { ...result, shapValues: this.toVectorOrder(result.shapValues, explainable.featureNames, features) };
   }
 
-  private async calculateNeuralNetworkShapValues(model: Model, features: FeatureVector, baseValue: number): Promise<ShapValue[]> {
-    // Simulate Deep SHAP calculation for neural networks
-    // In a real implementation, this would use DeepSHAP or GradientSHAP
-    return features.names.map((name, index) => ({
-      featureName: name,
-      shapValue: (Math.random() - 0.5) * 0.2, // Smaller values for NN
-      featureValue: features.values[index],
-      baseValue
-    }));
+  private isTreeModel(model: Model): boolean {
+    return model.artifact?.format === 'xgboost-ts';
   }
 
-  private async calculateLinearShapValues(model: Model, features: FeatureVector, baseValue: number): Promise<ShapValue[]> {
-    // For linear models, SHAP values are simply the feature value * coefficient
-    // Simulating coefficient values
-    return features.names.map((name, index) => {
-      const coefficient = (Math.random() - 0.5) * 2; // Mock coefficient
-      const shapValue = features.values[index] * coefficient;
-      
-      return {
-        featureName: name,
-        shapValue,
-        featureValue: features.values[index],
-        baseValue
+  // Multi-class boosters are explained through the margin of the class they predict
+  private explainedClass(trees: SerializedXGBoostModel, x: number[]): number {
+    const margins = treeMargins(trees.trees, trees.baseMargin, x);
+    return margins.indexOf(Math.max(...margins));
+  }
+
+  private kernelExplainable(artifact: Record<string, any>): KernelExplainable | null {
+    const cached = this.kernelModels.get(artifact);
+    if (cached) {
+      return cached;
+    }
+
+    let explainable: KernelExplainable;
+    if (artifact.format === 'mlp-ts') {
+      const serialized = artifact as SerializedNeuralNetwork;
+      const network = NeuralNetworkModel.fromJSON(serialized);
+      const vector = (row: number[]): FeatureVector => ({ values: row, names: serialized.featureNames, timestamp: new Date() });
+
+      explainable = {
+        featureNames: serialized.featureNames,
+        defaultBackground: [serialized.featureMeans],
+        outputFor: async x => {
+          if (serialized.config.outputActivation !== 'softmax') {
+            return row => network.predict(vector(row));
+          }
+          const probabilities = await network.predictProba(vector(x));
+          const predicted = probabilities.indexOf(Math.max(...probabilities));
+          return async row => (await network.predictProba(vector(row)))[predicted];
+        }
+      };
+    } else if (artifact.format === 'ensemble-ts') {
+      const serialized = artifact as SerializedEnsemble;
+      const ensemble = EnsembleModel.fromJSON(serialized);
+      const network = serialized.members.find(member => member.format === 'mlp-ts') as SerializedNeuralNetwork | undefined;
+
+      explainable = {
+        featureNames: serialized.featureNames,
+        defaultBackground: network ? [network.featureMeans] : undefined,
+        outputFor: async () => row => ensemble.predict({ values: row, names: serialized.featureNames, timestamp: new Date() })
       };
+    } else {
+      return null;
+    }
+
+    this.kernelModels.set(artifact, explainable);
+    return explainable;
+  }
+
+  private backgroundRows(model: Model, explainable: KernelExplainable): number[][] {
+    const configured = this.backgroundData.get(model.id);
+    if (configured) {
+      return configured.map(row => this.alignFeatures(row, explainable.featureNames));
+    }
+    if (explainable.defaultBackground) {
+      return explainable.defaultBackground;
+    }
+    throw new Error(`KernelSHAP needs background data for model ${model.id}; call setBackgroundData first`);
+  }
+
+  /**
+   * SHAP values for each sample. KernelSHAP models are explained against a
+   * small subsample of their background, or of the samples themselves when
+   * none is configured, with a capped number of coalitions.
+   */
+  private async explainSamples(model: Model, samples: FeatureVector[]): Promise<ShapValue[][]> {
+    const explainable = model.artifact && !this.isTreeModel(model) ? this.kernelExplainable(model.artifact) : null;
+    const background = explainable
+      ? subsampleBackground(
+        this.backgroundData.has(model.id)
+          ? this.backgroundRows(model, explainable)
+          : samples.map(sample => this.alignFeatures(sample, explainable.featureNames)),
+        GLOBAL_BACKGROUND_ROWS
+      )
+      : undefined;
+
+    const allShapValues: ShapValue[][] = [];
+    for (const sample of samples) {
+      if (background) {
+        const attribution = await this.attribute(model, sample, background, { samples: GLOBAL_COALITION_SAMPLES });
+        allShapValues.push(this.toShapValues(sample, attribution!));
+      } else {
+        allShapValues.push(await this.calculateShapValues(model, sample, await this.calculateBaseValue(model, sample)));
+      }
+    }
+
+    return allShapValues;
+  }
+
+  /**
+   * Mean absolute SHAP interaction value of every feature pair, counting
+   * both halves of the split interaction
+   */
+  private async aggregateInteractionValues(model: Model, samples: FeatureVector[]): Promise<FeatureInteraction[]> {
+    const names = samples[0].names;
+    const totals = names.map(() => new Array(names.length).fill(0));
+    const explained = samples.slice(0, MAX_INTERACTION_SAMPLES);
+
+    for (const sample of explained) {
+      const interactions = await this.calculateShapInteractionValues(model, sample);
+      interactions.forEach((row, i) => row.forEach((value, j) => {
+        totals[i][j] += Math.abs(value);
+      }));
+    }
+
+    const featureInteractions: FeatureInteraction[] = [];
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        featureInteractions.push({
+          feature1: names[i],
+          feature2: names[j],
+          interactionStrength: (totals[i][j] + totals[j][i]) / explained.length
+        });
+      }
+    }
+
+    return featureInteractions.sort((a, b) => b.interactionStrength - a.interactionStrength);
+  }
+
+  private alignFeatures(features: FeatureVector, featureNames: string[]): number[] {
+    return featureNames.map(name => {
+      const index = features.names.indexOf(name);
+      if (index === -1) {
+        throw new Error(`Feature ${name} used by the model is missing from the feature vector`);
+      }
+      return features.values[index];
     });
   }
 
-  private async calculateEnsembleShapValues(model: Model, features: FeatureVector, baseValue: number): Promise<ShapValue[]> {
-    // For ensemble models, aggregate SHAP values from component models
-    // This is a simplified version - real implementation would need access to component models
+  // Features the model does not use contribute nothing
+  private toVectorOrder(values: number[], featureNames: string[], features: FeatureVector): number[] {
+    return features.names.map(name => {
+      const index = featureNames.indexOf(name);
+      return index === -1 ? 0 : values[index];
+    });
+  }
+
+  private toShapValues(features: FeatureVector, attribution: KernelShapResult): ShapValue[] {
     return features.names.map((name, index) => ({
       featureName: name,
-      shapValue: (Math.random() - 0.5) * 0.25, // Averaged SHAP values
+      shapValue: attribution.shapValues[index],
       featureValue: features.values[index],
-      baseValue
+      baseValue: attribution.baseValue
     }));
   }
 
-  private async calculateGenericShapValues(model: Model, features: FeatureVector, baseValue: number): Promise<ShapValue[]> {
-    // Generic SHAP calculation using permutation-based approach
+  private clearCachedShapValues(modelId: string): void {
+    Array.from(this.shapCache.keys())
+      .filter(key => key.startsWith(`${modelId}_`))
+      .forEach(key => this.shapCache.delete(key));
+    this.globalExplanationCache.delete(modelId);
+  }
+
+  private async calculateSimulatedShapValues(model: Model, features: FeatureVector, baseValue: number): Promise<ShapValue[]> {
+    // Simulated predictions have no learned function to attribute
     return features.names.map((name, index) => ({
       featureName: name,
       shapValue: (Math.random() - 0.5) * 0.2,
@@ -498,9 +771,9 @@ export class ShapExplainer implements IShapExplainer {
     return gini / (n * sum);
   }
 
-  private validateShapValues(shapValues: ShapValue[], baseValue: number): void {
+  private validateShapValues(shapValues: ShapValue[], baseValue: number, prediction: number): void {
     const sum = shapValues.reduce((sum, sv) => sum + sv.shapValue, 0);
-    const expectedSum = 0; // SHAP values should sum to (prediction - baseValue)
+    const expectedSum = prediction - baseValue; // SHAP values should sum to (prediction - baseValue)
     const tolerance = 0.001;
 
     if (Math.abs(sum - expectedSum) > tolerance) {
@@ -8,6 +8,12 @@ import {
   ConstraintType
 } from '../types/simulation.types';
 import { GameState } from '../models/GameState';
+import { ConstraintExpression } from './constraint-expression';
+import { CorrelationMatrix } from './correlated-sampling';
+import { PregamePrior } from './bayesian-team-ratings';
+
+// The worker scales each side's play success by 1 ± (efficiency - 0.5) * 0.4
+const EFFICIENCY_STRENGTH_SCALE = 0.4;
 
 /**
  * Builder class for creating Monte Carlo simulation scenarios
@@ -179,8 +185,9 @@ export class SimulationScenarioBuilder {
       throw new Error('Both variables must exist before adding correlation');
     }
 
-    if (!var1.correlation) var1.correlation = [];
-    if (!var2.correlation) var2.correlation = [];
+    // Re-declaring a pair replaces its coefficient
+    var1.correlation = (var1.correlation || []).filter(c => c.variable !== variable2);
+    var2.correlation = (var2.correlation || []).filter(c => c.variable !== variable1);
 
     var1.correlation.push({ variable: variable2, coefficient });
     var2.correlation.push({ variable: variable1, coefficient });
@@ -232,6 +239,27 @@ export class SimulationScenarioBuilder {
     return this;
   }
 
+  /**
+   * Center the offensive and defensive efficiency variables on team ratings.
+   * Expected points relative to the league average map to the strengths the
+   * simulation worker applies, and rating uncertainty sets the Beta spread.
+   */
+  withPregamePrior(prior: PregamePrior): SimulationScenarioBuilder {
+    const average = prior.leagueAveragePoints;
+    const offense = efficiencyBeta(
+      0.5 + (prior.homeExpectedPoints / average - 1) / EFFICIENCY_STRENGTH_SCALE,
+      prior.homePointsStdDev / average / EFFICIENCY_STRENGTH_SCALE
+    );
+    const defense = efficiencyBeta(
+      0.5 - (prior.awayExpectedPoints / average - 1) / EFFICIENCY_STRENGTH_SCALE,
+      prior.awayPointsStdDev / average / EFFICIENCY_STRENGTH_SCALE
+    );
+
+    this.setBetaVariable('offensive_efficiency', offense.alpha, offense.beta);
+    this.setBetaVariable('defensive_efficiency', defense.alpha, defense.beta);
+    return this.addMetadata('pregamePrior', prior);
+  }
+
   /**
    * Create a standard football game scenario
    */
@@ -263,6 +291,13 @@ export class SimulationScenarioBuilder {
     return builder;
   }
 
+  /**
+   * Create a standard football game scenario centered on team ratings
+   */
+  static createRatedGameScenario(gameState: GameState, prior: PregamePrior, iterations: number = 10000): SimulationScenarioBuilder {
+    return SimulationScenarioBuilder.createFootballGameScenario(gameState, iterations).withPregamePrior(prior);
+  }
+
   /**
    * Create a red zone scenario
    */
@@ -309,6 +344,18 @@ export class SimulationScenarioBuilder {
     return builder;
   }
 
+  // Replace a declared variable in place so its correlations still apply
+  private setBetaVariable(name: string, alpha: number, beta: number): void {
+    const existing = this.scenario.variables!.find(variable => variable.name === name);
+    if (!existing) {
+      this.addBetaVariable(name, alpha, beta);
+      return;
+    }
+    existing.type = VariableType.CONTINUOUS;
+    existing.distribution = { type: DistributionType.BETA, parameters: { alpha, beta } };
+    existing.bounds = { min: 0, max: 1 };
+  }
+
   /**
    * Validate and build the scenario
    */
@@ -359,6 +406,14 @@ export class SimulationScenarioBuilder {
         }
       }
     }
+
+    // Correlations must form a valid (positive semi-definite) correlation matrix
+    CorrelationMatrix.fromVariables(this.scenario.variables).cholesky();
+
+    // Compile constraint conditions so bad expressions fail before simulation
+    for (const constraint of this.scenario.constraints || []) {
+      ConstraintExpression.compileConstraint(constraint, variableNames);
+    }
   }
 
   /**
@@ -414,4 +469,12 @@ export class SimulationScenarioBuilder {
         throw new Error(`Unsupported distribution type: ${type} for variable ${variable.name}`);
     }
   }
-}
\ No newline at end of file
+}
+
+// Method-of-moments Beta for an efficiency mean and sd, kept away from 0 and 1
+function efficiencyBeta(mean: number, stdDev: number): { alpha: number; beta: number } {
+  const m = Math.max(0.05, Math.min(0.95, mean));
+  const variance = Math.max(stdDev * stdDev, 1e-6);
+  const concentration = Math.max(2, m * (1 - m) / variance - 1);
+  return { alpha: m * concentration, beta: (1 - m) * concentration };
+}
@@ -0,0 +1,447 @@
+import { RatingLeague } from './bayesian-team-ratings';
+
+export type RatingDivision = 'NFL' | 'FBS' | 'FCS';
+
+export interface RatedGame {
+  gameId: string;
+  date: Date;
+  season: number;
+  homeTeamId: string;
+  awayTeamId: string;
+  homeScore: number;
+  awayScore: number;
+  neutralSite?: boolean;
+}
+
+export interface GlickoSettings {
+  initialDeviation: number;
+  initialVolatility: number;
+  tau: number; // constrains how fast volatility can change
+  seasonDeviationInflation: number; // added in quadrature to each deviation between seasons
+}
+
+export interface TeamRatingConfig {
+  league: RatingLeague;
+  initialRatings: { [division in RatingDivision]?: number };
+  kFactor: number;
+  homeFieldAdvantage: number; // Elo points
+  seasonRegression: number; // share of the gap to the division mean closed between seasons
+  eloPerPoint: number; // Elo difference worth one point of spread
+  glicko: GlickoSettings;
+}
+
+export const DEFAULT_TEAM_RATING_CONFIG: { [league in RatingLeague]: TeamRatingConfig } = {
+  nfl: {
+    league: 'nfl',
+    initialRatings: { NFL: 1500 },
+    kFactor: 20,
+    homeFieldAdvantage: 48,
+    seasonRegression: 1 / 3,
+    eloPerPoint: 25,
+    glicko: { initialDeviation: 350, initialVolatility: 0.06, tau: 0.5, seasonDeviationInflation: 100 }
+  },
+  ncaa: {
+    league: 'ncaa',
+    // FCS programs start well below FBS; crossover games move the two pools apart or together
+    initialRatings: { FBS: 1500, FCS: 1200 },
+    kFactor: 25,
+    homeFieldAdvantage: 55,
+    seasonRegression: 0.4,
+    eloPerPoint: 25,
+    glicko: { initialDeviation: 350, initialVolatility: 0.06, tau: 0.5, seasonDeviationInflation: 120 }
+  }
+};
+
+export interface GlickoRating {
+  rating: number;
+  deviation: number;
+  volatility: number;
+}
+
+export interface TeamRatingState {
+  teamId: string;
+  division: RatingDivision;
+  elo: number;
+  glicko: GlickoRating;
+  gamesPlayed: number; // this season
+}
+
+/**
+ * One point in a team's rating history: after a game, or after the
+ * between-season regression
+ */
+export interface TeamRatingSnapshot {
+  teamId: string;
+  division: RatingDivision;
+  season: number;
+  date: Date;
+  event: 'game' | 'season_start';
+  gameId?: string;
+  opponentId?: string;
+  elo: number;
+  eloChange: number;
+  glicko: GlickoRating;
+}
+
+export interface RatingMatchup {
+  eloWinProbability: number;
+  glickoWinProbability: number;
+  spread: number; // home line from Elo, negative when the home team is favored
+}
+
+// Glicko-2 works on this scale internally
+const GLICKO_SCALE = 173.7178;
+const CONVERGENCE_TOLERANCE = 1e-6;
+
+/**
+ * Margin-of-victory Elo and Glicko-2 ratings for one league. Elo moves after
+ * every game; Glicko-2 moves once per rating period (a week of games). Between
+ * seasons each team is pulled toward its own division's mean, so FCS teams
+ * regress toward the FCS level rather than the FBS one and the gap between
+ * divisions is carried by crossover results.
+ */
+export class TeamRatingEngine {
+  private config: TeamRatingConfig;
+  private teams: Map<string, TeamRatingState> = new Map();
+  private history: Map<string, TeamRatingSnapshot[]> = new Map();
+  private season: number | null = null;
+
+  constructor(config: Partial<TeamRatingConfig> & { league: RatingLeague }) {
+    const defaults = DEFAULT_TEAM_RATING_CONFIG[config.league];
+    this.config = { ...defaults, ...config, glicko: { ...defaults.glicko, ...config.glicko } };
+  }
+
+  getConfig(): TeamRatingConfig {
+    return { ...this.config, glicko: { ...this.config.glicko } };
+  }
+
+  /**
+   * Add a team at its division's starting rating, or at a known rating
+   */
+  addTeam(teamId: string, division: RatingDivision, seed: { elo?: number; glicko?: Partial<GlickoRating> } = {}): void {
+    if (this.teams.has(teamId)) {
+      throw new Error(`Team ${teamId} is already rated`);
+    }
+    const initial = this.config.initialRatings[division];
+    if (initial === undefined) {
+      throw new Error(`Division ${division} is not part of the ${this.config.league} ratings`);
+    }
+
+    this.teams.set(teamId, {
+      teamId,
+      division,
+      elo: seed.elo ?? initial,
+      glicko: {
+        rating: initial,
+        deviation: this.config.glicko.initialDeviation,
+        volatility: this.config.glicko.initialVolatility,
+        ...seed.glicko
+      },
+      gamesPlayed: 0
+    });
+    this.history.set(teamId, []);
+  }
+
+  hasTeam(teamId: string): boolean {
+    return this.teams.has(teamId);
+  }
+
+  /**
+   * Replay games in date order, one rating period per week, regressing at
+   * each new season
+   */
+  processGames(games: RatedGame[]): void {
+    const sorted = [...games].sort((a, b) => a.date.getTime() - b.date.getTime());
+    let period: RatedGame[] = [];
+    let periodKey: string | null = null;
+
+    for (const game of sorted) {
+      const key = `${game.season}:${ratingPeriodStart(game.date).getTime()}`;
+      if (key !== periodKey && period.length > 0) {
+        this.processPeriod(period);
+        period = [];
+      }
+      if (this.season !== null && game.season < this.season) {
+        throw new Error(`Game ${game.gameId} is from season ${game.season}, ratings are already in ${this.season}`);
+      }
+      if (game.season !== this.season && period.length === 0) {
+        this.startSeason(game.season, game.date);
+      }
+      periodKey = key;
+      period.push(game);
+    }
+
+    if (period.length > 0) {
+      this.processPeriod(period);
+    }
+  }
+
+  /**
+   * Regress every team toward its division mean and widen Glicko deviations.
+   * The first season only records the starting ratings.
+   */
+  startSeason(season: number, date: Date): void {
+    if (this.season !== null && season <= this.season) {
+      throw new Error(`Ratings are already in season ${this.season}`);
+    }
+
+    if (this.season !== null) {
+      const regression = this.config.seasonRegression;
+      const eloMeans = this.divisionMeans(team => team.elo);
+      const glickoMeans = this.divisionMeans(team => team.glicko.rating);
+      const { initialDeviation, seasonDeviationInflation } = this.config.glicko;
+
+      this.teams.forEach(team => {
+        team.elo -= regression * (team.elo - eloMeans.get(team.division)!);
+        team.glicko.rating -= regression * (team.glicko.rating - glickoMeans.get(team.division)!);
+        team.glicko.deviation = Math.min(
+          initialDeviation,
+          Math.sqrt(team.glicko.deviation ** 2 + seasonDeviationInflation ** 2)
+        );
+      });
+    }
+
+    this.season = season;
+    this.teams.forEach(team => {
+      team.gamesPlayed = 0;
+      this.record(team, { season, date, event: 'season_start', eloChange: 0 });
+    });
+  }
+
+  /**
+   * Apply one rating period. Elo updates game by game; Glicko-2 rates every
+   * team against its opponents' ratings from the start of the period.
+   */
+  processPeriod(games: RatedGame[]): void {
+    if (this.season === null) {
+      throw new Error('Start a season before rating games');
+    }
+    games.forEach(game => {
+      this.requireTeam(game.homeTeamId);
+      this.requireTeam(game.awayTeamId);
+      if (game.season !== this.season) {
+        throw new Error(`Game ${game.gameId} is not in season ${this.season}`);
+      }
+    });
+
+    const before = new Map(Array.from(this.teams.values()).map(team => [team.teamId, { ...team.glicko }]));
+    const results = new Map<string, Array<{ opponent: GlickoRating; advantage: number; score: number }>>();
+    const periodSnapshots: TeamRatingSnapshot[] = [];
+
+    [...games].sort((a, b) => a.date.getTime() - b.date.getTime()).forEach(game => {
+      const home = this.requireTeam(game.homeTeamId);
+      const away = this.requireTeam(game.awayTeamId);
+      const advantage = game.neutralSite ? 0 : this.config.homeFieldAdvantage;
+      const homeScore = game.homeScore > game.awayScore ? 1 : game.homeScore < game.awayScore ? 0 : 0.5;
+
+      const change = this.eloChange(home.elo + advantage - away.elo, homeScore, game.homeScore - game.awayScore);
+      home.elo += change;
+      away.elo -= change;
+      home.gamesPlayed++;
+      away.gamesPlayed++;
+
+      const push = (teamId: string, entry: { opponent: GlickoRating; advantage: number; score: number }) => {
+        results.set(teamId, [...(results.get(teamId) ?? []), entry]);
+      };
+      push(home.teamId, { opponent: before.get(away.teamId)!, advantage, score: homeScore });
+      push(away.teamId, { opponent: before.get(home.teamId)!, advantage: -advantage, score: 1 - homeScore });
+
+      const context = { season: game.season, date: game.date, event: 'game' as const, gameId: game.gameId };
+      periodSnapshots.push(this.record(home, { ...context, opponentId: away.teamId, eloChange: change }));
+      periodSnapshots.push(this.record(away, { ...context, opponentId: home.teamId, eloChange: -change }));
+    });
+
+    this.teams.forEach(team => {
+      team.glicko = this.glickoUpdate(before.get(team.teamId)!, results.get(team.teamId) ?? []);
+    });
+    periodSnapshots.forEach(snapshot => {
+      snapshot.glicko = { ...this.teams.get(snapshot.teamId)!.glicko };
+    });
+  }
+
+  getRating(teamId: string): TeamRatingState {
+    const team = this.requireTeam(teamId);
+    return { ...team, glicko: { ...team.glicko } };
+  }
+
+  /**
+   * Current ratings, highest Elo first, optionally for one division
+   */
+  getRatings(division?: RatingDivision): TeamRatingState[] {
+    return Array.from(this.teams.keys())
+      .map(teamId => this.getRating(teamId))
+      .filter(team => division === undefined || team.division === division)
+      .sort((a, b) => b.elo - a.elo);
+  }
+
+  getHistory(teamId: string, from?: Date, to?: Date): TeamRatingSnapshot[] {
+    this.requireTeam(teamId);
+    return this.history.get(teamId)!.filter(snapshot =>
+      (!from || snapshot.date.getTime() >= from.getTime()) && (!to || snapshot.date.getTime() <= to.getTime())
+    );
+  }
+
+  /**
+   * Every team's history in date order, as stored by the replay
+   */
+  getAllHistory(): TeamRatingSnapshot[] {
+    return Array.from(this.history.values())
+      .reduce((all, snapshots) => all.concat(snapshots), [] as TeamRatingSnapshot[])
+      .sort((a, b) => a.date.getTime() - b.date.getTime());
+  }
+
+  predict(homeTeamId: string, awayTeamId: string, neutralSite: boolean = false): RatingMatchup {
+    const home = this.requireTeam(homeTeamId);
+    const away = this.requireTeam(awayTeamId);
+    const advantage = neutralSite ? 0 : this.config.homeFieldAdvantage;
+    const eloDifference = home.elo + advantage - away.elo;
+
+    return {
+      eloWinProbability: eloExpected(eloDifference),
+      glickoWinProbability: glickoExpected(home.glicko, away.glicko, advantage),
+      spread: -eloDifference / this.config.eloPerPoint
+    };
+  }
+
+  // FiveThirtyEight-style multiplier: log of the margin, damped when the favorite wins big
+  private eloChange(difference: number, score: number, margin: number): number {
+    const winnerDifference = score === 0.5 ? 0 : score === 1 ? difference : -difference;
+    const multiplier = Math.log(Math.max(1, Math.abs(margin)) + 1) * 2.2 / (winnerDifference * 0.001 + 2.2);
+    return this.config.kFactor * multiplier * (score - eloExpected(difference));
+  }
+
+  // One Glicko-2 rating period (Glickman, "Example of the Glicko-2 system")
+  private glickoUpdate(
+    current: GlickoRating,
+    results: Array<{ opponent: GlickoRating; advantage: number; score: number }>
+  ): GlickoRating {
+    const mu = (current.rating - 1500) / GLICKO_SCALE;
+    const phi = current.deviation / GLICKO_SCALE;
+    const sigma = current.volatility;
+
+    if (results.length === 0) {
+      const idle = Math.min(this.config.glicko.initialDeviation / GLICKO_SCALE, Math.sqrt(phi * phi + sigma * sigma));
+      return { rating: current.rating, deviation: idle * GLICKO_SCALE, volatility: sigma };
+    }
+
+    let inverseVariance = 0;
+    let improvement = 0;
+    results.forEach(({ opponent, advantage, score }) => {
+      const opponentMu = (opponent.rating - 1500 - advantage) / GLICKO_SCALE;
+      const g = glickoG(opponent.deviation / GLICKO_SCALE);
+      const expected = 1 / (1 + Math.exp(-g * (mu - opponentMu)));
+      inverseVariance += g * g * expected * (1 - expected);
+      improvement += g * (score - expected);
+    });
+    const v = 1 / inverseVariance;
+    const delta = v * improvement;
+
+    const newSigma = this.glickoVolatility(phi, sigma, v, delta);
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * improvement;
+
+    return { rating: 1500 + GLICKO_SCALE * newMu, deviation: GLICKO_SCALE * newPhi, volatility: newSigma };
+  }
+
+  // Illinois-algorithm root of the volatility equation
+  private glickoVolatility(phi: number, sigma: number, v: number, delta: number): number {
+    const tau = this.config.glicko.tau;
+    const a = Math.log(sigma * sigma);
+    const f = (x: number) => {
+      const ex = Math.exp(x);
+      const denominator = phi * phi + v + ex;
+      return ex * (delta * delta - phi * phi - v - ex) / (2 * denominator * denominator) - (x - a) / (tau * tau);
+    };
+
+    let A = a;
+    let B: number;
+    if (delta * delta > phi * phi + v) {
+      B = Math.log(delta * delta - phi * phi - v);
+    } else {
+      let k = 1;
+      while (f(a - k * tau) < 0) k++;
+      B = a - k * tau;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+      const C = A + (A - B) * fA / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else {
+        fA /= 2;
+      }
+      B = C;
+      fB = fC;
+    }
+
+    return Math.exp(A / 2);
+  }
+
+  private divisionMeans(value: (team: TeamRatingState) => number): Map<RatingDivision, number> {
+    const sums = new Map<RatingDivision, { total: number; count: number }>();
+    this.teams.forEach(team => {
+      const sum = sums.get(team.division) ?? { total: 0, count: 0 };
+      sums.set(team.division, { total: sum.total + value(team), count: sum.count + 1 });
+    });
+    return new Map(Array.from(sums.entries()).map(([division, { total, count }]) => [division, total / count]));
+  }
+
+  private record(
+    team: TeamRatingState,
+    entry: Pick<TeamRatingSnapshot, 'season' | 'date' | 'event' | 'eloChange' | 'gameId' | 'opponentId'>
+  ): TeamRatingSnapshot {
+    const snapshot: TeamRatingSnapshot = {
+      teamId: team.teamId,
+      division: team.division,
+      ...entry,
+      elo: team.elo,
+      glicko: { ...team.glicko }
+    };
+    this.history.get(team.teamId)!.push(snapshot);
+    return snapshot;
+  }
+
+  private requireTeam(teamId: string): TeamRatingState {
+    const team = this.teams.get(teamId);
+    if (!team) {
+      throw new Error(`Unknown team ${teamId}`);
+    }
+    return team;
+  }
+}
+
+/**
+ * Start of the Tuesday-to-Monday football week containing a date (UTC)
+ */
+export function ratingPeriodStart(date: Date): Date {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 5) % 7));
+  return start;
+}
+
+/**
+ * Season a game date belongs to; January and February games close out the
+ * previous year's season
+ */
+export function seasonForDate(date: Date): number {
+  return date.getUTCMonth() < 2 ? date.getUTCFullYear() - 1 : date.getUTCFullYear();
+}
+
+function eloExpected(difference: number): number {
+  return 1 / (1 + Math.pow(10, -difference / 400));
+}
+
+function glickoG(phi: number): number {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+function glickoExpected(home: GlickoRating, away: GlickoRating, advantage: number): number {
+  const combined = Math.sqrt(home.deviation ** 2 + away.deviation ** 2) / GLICKO_SCALE;
+  const difference = (home.rating + advantage - away.rating) / GLICKO_SCALE;
+  return 1 / (1 + Math.exp(-glickoG(combined) * difference));
+}
@@ -4,11 +4,19 @@ import {
   FantasyPlayer,
   PlayerProjection,
   FantasyLeague,
-  TradeOpportunity
+  TradeOpportunity,
+  TeamOddsChange,
+  TradeTransfer,
+  TradeAsset,
+  TeamTradeBreakdown
 } from '../types/fantasy.types';
 import { DatabaseService } from './database-service';
 import { FantasyMLEngine } from './fantasy-ml-engine';
 import { PlayerRepository } from '../repositories/PlayerRepository';
+import { SeasonSimulator, LeagueSeason, SeasonSimulationOptions } from './season-simulator';
+import { DraftPickValuator } from './draft-pick-valuation';
+import { ProspectAnalysis } from '../models/ProspectAnalysis';
+import { generateSeed } from './reproducibility';
 
 export interface TradeContext {
   userId: string;
@@ -17,11 +25,23 @@ export interface TradeContext {
   playoffWeeks: number[];
   leagueSize: number;
   rosterNeeds: string[];
+  season?: LeagueSeason; // score the trade by simulated playoff odds when known
+  teamId?: string; // team the top-level analysis is for, default the proposer
+  currentSeason?: number; // default the current calendar year
+  rookieDraftHeld?: boolean; // this season's rookie draft is over
+  rookieClasses?: { [season: number]: ProspectAnalysis[] }; // scouted classes for pick values
+  faabBudget?: number; // full season budget, default 100
 }
 
+/**
+ * Value of one trade asset. Draft picks and FAAB use the same shape as
+ * players: picks only have future value and FAAB only this season's.
+ */
 export interface PlayerValue {
   playerId: string;
+  assetType?: 'PLAYER' | 'PICK' | 'FAAB';
   restOfSeasonValue: number;
+  futureValue?: number; // season-equivalent points after this season
   playoffValue: number;
   positionalValue: number;
   scarcityMultiplier: number;
@@ -30,25 +50,34 @@ export interface PlayerValue {
 
 export interface TradeImpact {
   shortTermImpact: number; // Next 4 weeks
-  longTermImpact: number; // Rest of season
+  longTermImpact: number; // Rest of season and future seasons
   playoffImpact: number; // Playoff weeks only
   rosterBalance: number; // How it affects roster construction
   riskAdjustment: number; // Injury/consistency risk
 }
 
+const DEFAULT_FAAB_BUDGET = 100;
+const FAAB_BUDGET_POINTS = 60; // waiver points a full season budget buys
+
 export class TradeAnalyzer {
   private databaseService: DatabaseService;
   private fantasyMLEngine: FantasyMLEngine;
   private playerRepository: PlayerRepository;
+  private seasonSimulator: SeasonSimulator;
+  private draftPickValuator: DraftPickValuator;
 
   constructor(
     databaseService: DatabaseService,
     fantasyMLEngine: FantasyMLEngine,
-    playerRepository: PlayerRepository
+    playerRepository: PlayerRepository,
+    seasonSimulator?: SeasonSimulator,
+    draftPickValuator?: DraftPickValuator
   ) {
     this.databaseService = databaseService;
     this.fantasyMLEngine = fantasyMLEngine;
     this.playerRepository = playerRepository;
+    this.seasonSimulator = seasonSimulator || new SeasonSimulator(fantasyMLEngine);
+    this.draftPickValuator = draftPickValuator || new DraftPickValuator();
   }
 
   /**
@@ -61,37 +90,69 @@ export class TradeAnalyzer {
     try {
       console.log(`Analyzing trade proposal ${trade.id}`);
 
-      // Calculate player values
-      const givingValues = await this.calculatePlayersValue(
-        trade.givingPlayers,
-        context
-      );
-      
-      const receivingValues = await this.calculatePlayersValue(
-        trade.receivingPlayers,
-        context
-      );
+      const transfers = this.getTransfers(trade);
+      const teamIds = this.getParticipants(trade, transfers);
+      const perspective = context.teamId ?? trade.proposedBy;
+      if (!teamIds.includes(perspective)) {
+        throw new Error(`Team ${perspective} is not part of trade ${trade.id}`);
+      }
 
-      // Calculate trade impact
-      const impact = await this.calculateTradeImpact(
-        givingValues,
-        receivingValues,
-        context
-      );
+      // Value every asset once, then split the values by team
+      const values: PlayerValue[] = [];
+      for (const transfer of transfers) {
+        values.push(await this.calculateAssetValue(transfer.asset, context));
+      }
+
+      // Simulate the season with and without the trade
+      const oddsImpact = context.season
+        ? await this.calculatePlayoffOddsImpact(trade, context.season)
+        : undefined;
+
+      const breakdowns: TeamTradeBreakdown[] = [];
+      let givingValues: PlayerValue[] = [];
+      let receivingValues: PlayerValue[] = [];
+      let impact: TradeImpact | undefined;
+
+      for (const [index, teamId] of teamIds.entries()) {
+        const giving = values.filter((_, i) => transfers[i].fromTeamId === teamId);
+        const receiving = values.filter((_, i) => transfers[i].toTeamId === teamId);
+        const teamImpact = await this.calculateTradeImpact(giving, receiving, context);
+        const teamFairValue = this.calculateFairValue(giving, receiving);
+
+        breakdowns.push({
+          teamId,
+          fairValue: teamFairValue,
+          recommendation: this.generateTradeRecommendation(teamFairValue, teamImpact, oddsImpact?.[index]),
+          valueSent: this.sumTradeValue(giving),
+          valueReceived: this.sumTradeValue(receiving),
+          impact: {
+            shortTerm: teamImpact.shortTermImpact,
+            longTerm: teamImpact.longTermImpact,
+            playoffImpact: teamImpact.playoffImpact,
+            rosterBalance: teamImpact.rosterBalance,
+            riskAdjustment: teamImpact.riskAdjustment
+          }
+        });
 
-      // Calculate fair value
-      const fairValue = this.calculateFairValue(givingValues, receivingValues);
+        if (teamId === perspective) {
+          givingValues = giving;
+          receivingValues = receiving;
+          impact = teamImpact;
+        }
+      }
 
-      // Generate recommendation
-      const recommendation = this.generateTradeRecommendation(fairValue, impact);
+      const own = breakdowns[teamIds.indexOf(perspective)];
+      const fairValue = own.fairValue;
+      const recommendation = own.recommendation;
 
       // Generate reasoning
       const reasoning = await this.generateTradeReasoning(
         trade,
         givingValues,
         receivingValues,
-        impact,
-        context
+        impact!,
+        context,
+        oddsImpact?.[teamIds.indexOf(perspective)]
       );
 
       // Find alternative offers
@@ -105,10 +166,12 @@ export class TradeAnalyzer {
         recommendation,
         reasoning,
         impactAnalysis: {
-          shortTerm: impact.shortTermImpact,
-          longTerm: impact.longTermImpact,
-          playoffImpact: impact.playoffImpact
+          shortTerm: own.impact.shortTerm,
+          longTerm: own.impact.longTerm,
+          playoffImpact: own.impact.playoffImpact
         },
+        oddsImpact,
+        teams: breakdowns,
         alternativeOffers
       };
     } catch (error) {
@@ -188,6 +251,76 @@ export class TradeAnalyzer {
     return values;
   }
 
+  /**
+   * Change in playoff and championship odds for every team in a trade. The
+   * season is simulated with and without the trade on the same seed and
+   * projections, so the difference comes from the rosters alone. Teams come
+   * in trade order, proposer first; only players change the rosters.
+   */
+  async calculatePlayoffOddsImpact(
+    trade: TradeProposal,
+    season: LeagueSeason,
+    options: SeasonSimulationOptions = {}
+  ): Promise<TeamOddsChange[]> {
+    const transfers = this.getTransfers(trade);
+
+    // Trade parties are league team ids, or for two-team proposals whichever
+    // team rosters the players that side sends
+    const teams = this.getParticipants(trade, transfers).map(label => {
+      const sent = transfers
+        .filter(t => t.fromTeamId === label && t.asset.type === 'PLAYER')
+        .map(t => (t.asset as { player: FantasyPlayer }).player.playerId);
+      const team = season.teams.find(t => t.teamId === label) ?? season.teams.find(t =>
+        sent.length > 0 && sent.every(id => t.roster.some(p => p.playerId === id))
+      );
+      if (!team) {
+        throw new Error(`Team ${label} is not in the league`);
+      }
+      return { label, team };
+    });
+    if (new Set(teams.map(t => t.team.teamId)).size !== teams.length) {
+      throw new Error('Every side of the trade must be a different team in the league');
+    }
+
+    const rosters = new Map(season.teams.map(team => [team.teamId, [...team.roster]]));
+    const teamOf = new Map(teams.map(({ label, team }) => [label, team.teamId]));
+    for (const transfer of transfers) {
+      if (transfer.asset.type !== 'PLAYER') continue;
+      const player = transfer.asset.player;
+      const from = rosters.get(teamOf.get(transfer.fromTeamId)!)!;
+      const index = from.findIndex(p => p.playerId === player.playerId);
+      if (index < 0) {
+        throw new Error(`Player ${player.playerId} is not rostered by team ${teamOf.get(transfer.fromTeamId)}`);
+      }
+      from.splice(index, 1);
+      rosters.get(teamOf.get(transfer.toTeamId)!)!.push(player);
+    }
+    const traded: LeagueSeason = {
+      ...season,
+      teams: season.teams.map(team => ({ ...team, roster: rosters.get(team.teamId)! }))
+    };
+
+    const shared = {
+      ...options,
+      seed: options.seed ?? generateSeed(),
+      projections: options.projections ?? await this.seasonSimulator.projectRosters(season)
+    };
+    const before = await this.seasonSimulator.simulateSeason(season, shared);
+    const after = await this.seasonSimulator.simulateSeason(traded, shared);
+
+    return teams.map(({ team: { teamId } }) => {
+      const previous = before.teams.find(t => t.teamId === teamId)!;
+      const next = after.teams.find(t => t.teamId === teamId)!;
+      return {
+        teamId,
+        playoffProbabilityBefore: previous.playoffProbability,
+        playoffProbabilityAfter: next.playoffProbability,
+        championshipProbabilityBefore: previous.championshipProbability,
+        championshipProbabilityAfter: next.championshipProbability
+      };
+    });
+  }
+
   /**
    * Generate trade suggestions based on team needs
    */
@@ -230,6 +363,110 @@ export class TradeAnalyzer {
 
   // Private helper methods
 
+  /**
+   * Asset moves of a trade. Two-team proposals without transfers swap
+   * givingPlayers and receivingPlayers between proposer and recipient.
+   */
+  private getTransfers(trade: TradeProposal): TradeTransfer[] {
+    if (!trade.transfers || trade.transfers.length === 0) {
+      return [
+        ...trade.givingPlayers.map(player => ({
+          fromTeamId: trade.proposedBy,
+          toTeamId: trade.proposedTo,
+          asset: { type: 'PLAYER' as const, player }
+        })),
+        ...trade.receivingPlayers.map(player => ({
+          fromTeamId: trade.proposedTo,
+          toTeamId: trade.proposedBy,
+          asset: { type: 'PLAYER' as const, player }
+        }))
+      ];
+    }
+
+    for (const transfer of trade.transfers) {
+      if (transfer.fromTeamId === transfer.toTeamId) {
+        throw new Error(`Team ${transfer.fromTeamId} cannot trade an asset to itself`);
+      }
+      if (transfer.asset.type === 'FAAB' && !(transfer.asset.amount > 0)) {
+        throw new Error('Traded FAAB must be a positive amount');
+      }
+    }
+
+    return trade.transfers;
+  }
+
+  /**
+   * Teams that send or receive anything, proposer first
+   */
+  private getParticipants(trade: TradeProposal, transfers: TradeTransfer[]): string[] {
+    const teams = new Set<string>();
+    if (transfers.some(t => t.fromTeamId === trade.proposedBy || t.toTeamId === trade.proposedBy)) {
+      teams.add(trade.proposedBy);
+    }
+    transfers.forEach(t => {
+      teams.add(t.fromTeamId);
+      teams.add(t.toTeamId);
+    });
+    return Array.from(teams);
+  }
+
+  private async calculateAssetValue(asset: TradeAsset, context: TradeContext): Promise<PlayerValue> {
+    switch (asset.type) {
+      case 'PLAYER': {
+        const [value] = await this.calculatePlayersValue([asset.player], context);
+        return { ...value, assetType: 'PLAYER' };
+      }
+
+      case 'PICK': {
+        const { pick } = asset;
+        const valuation = this.draftPickValuator.valuePick(pick, {
+          leagueSize: context.leagueSize,
+          currentSeason: context.currentSeason ?? new Date().getFullYear(),
+          rookieDraftHeld: context.rookieDraftHeld,
+          rookieClass: context.rookieClasses?.[pick.season]
+        });
+        return {
+          playerId: `${pick.season}-R${pick.round}${pick.pick !== undefined ? `.${pick.pick}` : ''}-${pick.originalTeamId}`,
+          assetType: 'PICK',
+          restOfSeasonValue: 0,
+          futureValue: valuation.expectedPoints,
+          playoffValue: 0,
+          positionalValue: 1.0,
+          scarcityMultiplier: 1.0,
+          injuryRisk: 0
+        };
+      }
+
+      case 'FAAB': {
+        const budget = context.faabBudget ?? DEFAULT_FAAB_BUDGET;
+        if (asset.amount > budget) {
+          throw new Error(`Traded FAAB cannot exceed the ${budget} budget`);
+        }
+        return {
+          playerId: `FAAB-${asset.amount}`,
+          assetType: 'FAAB',
+          restOfSeasonValue: (asset.amount / budget) * FAAB_BUDGET_POINTS,
+          playoffValue: 0,
+          positionalValue: 1.0,
+          scarcityMultiplier: 1.0,
+          injuryRisk: 0
+        };
+      }
+    }
+  }
+
+  /**
+   * Risk- and scarcity-adjusted points of one asset
+   */
+  private calculateTradeValue(value: PlayerValue): number {
+    return (value.restOfSeasonValue + (value.futureValue || 0)) *
+      value.positionalValue * value.scarcityMultiplier * (1 - value.injuryRisk);
+  }
+
+  private sumTradeValue(values: PlayerValue[]): number {
+    return values.reduce((sum, value) => sum + this.calculateTradeValue(value), 0);
+  }
+
   private async calculatePlayerValue(
     player: FantasyPlayer,
     context: TradeContext
@@ -299,9 +536,10 @@ export class TradeAnalyzer {
       context
     );
 
-    // Long-term impact (rest of season)
-    const longTermImpact = (receivingTotal.restOfSeasonValue - givingTotal.restOfSeasonValue) / 
-                          Math.max(givingTotal.restOfSeasonValue, 1);
+    // Long-term impact (rest of season and future seasons)
+    const givingLongTerm = givingTotal.restOfSeasonValue + givingTotal.futureValue;
+    const receivingLongTerm = receivingTotal.restOfSeasonValue + receivingTotal.futureValue;
+    const longTermImpact = (receivingLongTerm - givingLongTerm) / Math.max(givingLongTerm, 1);
 
     // Playoff impact
     const playoffImpact = (receivingTotal.playoffValue - givingTotal.playoffValue) / 
@@ -330,26 +568,27 @@ export class TradeAnalyzer {
     givingValues: PlayerValue[],
     receivingValues: PlayerValue[]
   ): number {
-    const givingTotal = this.sumPlayerValues(givingValues);
-    const receivingTotal = this.sumPlayerValues(receivingValues);
-
-    // Calculate value difference as percentage
-    const totalGiving = givingTotal.restOfSeasonValue * givingTotal.positionalValue * givingTotal.scarcityMultiplier;
-    const totalReceiving = receivingTotal.restOfSeasonValue * receivingTotal.positionalValue * receivingTotal.scarcityMultiplier;
-
-    // Adjust for injury risk
-    const riskAdjustedGiving = totalGiving * (1 - givingTotal.injuryRisk);
-    const riskAdjustedReceiving = totalReceiving * (1 - receivingTotal.injuryRisk);
+    // Each asset is adjusted on its own so packages of several assets are not
+    // scored on summed multipliers
+    const riskAdjustedGiving = this.sumTradeValue(givingValues);
+    const riskAdjustedReceiving = this.sumTradeValue(receivingValues);
 
     return (riskAdjustedReceiving - riskAdjustedGiving) / Math.max(riskAdjustedGiving, 1);
   }
 
   private generateTradeRecommendation(
     fairValue: number,
-    impact: TradeImpact
+    impact: TradeImpact,
+    oddsChange?: TeamOddsChange
   ): 'ACCEPT' | 'REJECT' | 'COUNTER' {
     // Consider multiple factors for recommendation
     let score = fairValue;
+
+    // Simulated playoff odds are the most direct measure; ten points of
+    // playoff probability outweighs the acceptance margin on its own
+    if (oddsChange) {
+      score += (oddsChange.playoffProbabilityAfter - oddsChange.playoffProbabilityBefore) * 2;
+    }
     
     // Weight playoff impact more heavily
     score += impact.playoffImpact * 0.3;
@@ -370,10 +609,20 @@ export class TradeAnalyzer {
     givingValues: PlayerValue[],
     receivingValues: PlayerValue[],
     impact: TradeImpact,
-    context: TradeContext
+    context: TradeContext,
+    oddsChange?: TeamOddsChange
   ): Promise<string[]> {
     const reasoning = [];
 
+    if (oddsChange) {
+      const before = (oddsChange.playoffProbabilityBefore * 100).toFixed(1);
+      const after = (oddsChange.playoffProbabilityAfter * 100).toFixed(1);
+      if (after !== before) {
+        const direction = oddsChange.playoffProbabilityAfter > oddsChange.playoffProbabilityBefore ? 'Raises' : 'Lowers';
+        reasoning.push(`${direction} playoff odds from ${before}% to ${after}%`);
+      }
+    }
+
     // Value analysis
     const fairValue = this.calculateFairValue(givingValues, receivingValues);
     if (fairValue > 0.1) {
@@ -430,6 +679,7 @@ export class TradeAnalyzer {
 
   private sumPlayerValues(values: PlayerValue[]): {
     restOfSeasonValue: number;
+    futureValue: number;
     playoffValue: number;
     positionalValue: number;
     scarcityMultiplier: number;
@@ -437,12 +687,14 @@ export class TradeAnalyzer {
   } {
     return values.reduce((sum, value) => ({
       restOfSeasonValue: sum.restOfSeasonValue + value.restOfSeasonValue,
+      futureValue: sum.futureValue + (value.futureValue || 0),
       playoffValue: sum.playoffValue + value.playoffValue,
       positionalValue: sum.positionalValue + value.positionalValue,
       scarcityMultiplier: sum.scarcityMultiplier + value.scarcityMultiplier,
       injuryRisk: sum.injuryRisk + value.injuryRisk
     }), {
       restOfSeasonValue: 0,
+      futureValue: 0,
       playoffValue: 0,
       positionalValue: 0,
       scarcityMultiplier: 0,
@@ -526,8 +778,13 @@ export class TradeAnalyzer {
     givingValues: PlayerValue[],
     receivingValues: PlayerValue[]
   ): number {
-    const givingRisk = givingValues.reduce((sum, v) => sum + v.injuryRisk, 0) / givingValues.length;
-    const receivingRisk = receivingValues.reduce((sum, v) => sum + v.injuryRisk, 0) / receivingValues.length;
+    // Only players carry injury risk; a side without players has none
+    const averageRisk = (values: PlayerValue[]) => {
+      const players = values.filter(v => (v.assetType ?? 'PLAYER') === 'PLAYER');
+      return players.length > 0 ? players.reduce((sum, v) => sum + v.injuryRisk, 0) / players.length : 0;
+    };
+    const givingRisk = averageRisk(givingValues);
+    const receivingRisk = averageRisk(receivingValues);
     
     return givingRisk - receivingRisk; // Positive if receiving players are less risky
   }
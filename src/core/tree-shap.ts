@@ -0,0 +1,195 @@
+import { XGBoostTree, XGBoostTreeNode, goesLeft } from './models/xgboost-model';
+
+/**
+ * Exact path-dependent TreeSHAP (Lundberg, Erion & Lee 2018, algorithm 2)
+ * over the trees of a gradient boosted model. Contributions are in margin
+ * space and use node covers as the background distribution, so for each
+ * class they sum to the tree margin minus expectedTreeMargin.
+ */
+
+interface PathElement {
+  feature: number;
+  zeroFraction: number; // share of training rows that reach this point without conditioning on the feature
+  oneFraction: number; // 1 when x follows this branch, 0 otherwise
+  weight: number;
+}
+
+// Conditioning used to derive interaction values: 1 fixes the feature to x, -1 marginalises it
+type Condition = -1 | 0 | 1;
+
+export function treeShap(trees: XGBoostTree[], x: number[], classIndex: number = 0): number[] {
+  return conditionedTreeShap(trees, x, classIndex, 0, -1);
+}
+
+/**
+ * Raw margin per class, as the boosted model computes before its link function
+ */
+export function treeMargins(trees: XGBoostTree[], baseMargin: number[], x: number[]): number[] {
+  const margins = [...baseMargin];
+  trees.forEach(tree => {
+    let node = tree.nodes[0];
+    while (node.feature !== -1) {
+      node = tree.nodes[goesLeft(x[node.feature], node.threshold, node.defaultLeft) ? node.left : node.right];
+    }
+    margins[tree.classIndex] += node.value;
+  });
+  return margins;
+}
+
+/**
+ * Margin the trees predict on average over the training data
+ */
+export function expectedTreeMargin(trees: XGBoostTree[], classIndex: number = 0): number {
+  return trees
+    .filter(tree => tree.classIndex === classIndex)
+    .reduce((sum, tree) => sum + tree.nodes[0].value, 0);
+}
+
+/**
+ * SHAP interaction values as a features × features matrix. Off-diagonal
+ * entries split each pairwise interaction evenly between the two features;
+ * the diagonal holds the main effects, so every row sums to that feature's
+ * SHAP value.
+ */
+export function treeShapInteractions(trees: XGBoostTree[], x: number[], classIndex: number = 0): number[][] {
+  const phi = treeShap(trees, x, classIndex);
+  const interactions = x.map(() => new Array(x.length).fill(0));
+  const used = usedFeatures(trees, classIndex);
+
+  used.forEach(j => {
+    const on = conditionedTreeShap(trees, x, classIndex, 1, j);
+    const off = conditionedTreeShap(trees, x, classIndex, -1, j);
+    used.forEach(i => {
+      if (i !== j) interactions[i][j] = (on[i] - off[i]) / 2;
+    });
+  });
+
+  used.forEach(i => {
+    const offDiagonal = interactions[i].reduce((sum, value, j) => (j === i ? sum : sum + value), 0);
+    interactions[i][i] = phi[i] - offDiagonal;
+  });
+
+  return interactions;
+}
+
+function usedFeatures(trees: XGBoostTree[], classIndex: number): number[] {
+  const features = new Set<number>();
+  trees
+    .filter(tree => tree.classIndex === classIndex)
+    .forEach(tree => tree.nodes.forEach(node => {
+      if (node.feature !== -1) features.add(node.feature);
+    }));
+  return Array.from(features).sort((a, b) => a - b);
+}
+
+function conditionedTreeShap(
+  trees: XGBoostTree[],
+  x: number[],
+  classIndex: number,
+  condition: Condition,
+  conditionFeature: number
+): number[] {
+  const phi = new Array(x.length).fill(0);
+
+  trees
+    .filter(tree => tree.classIndex === classIndex)
+    .forEach(tree => recurse(tree.nodes, x, phi, condition, conditionFeature, 0, [], 1, 1, -1, 1));
+
+  return phi;
+}
+
+function recurse(
+  nodes: XGBoostTreeNode[],
+  x: number[],
+  phi: number[],
+  condition: Condition,
+  conditionFeature: number,
+  index: number,
+  parentPath: PathElement[],
+  zeroFraction: number,
+  oneFraction: number,
+  parentFeature: number,
+  conditionFraction: number
+): void {
+  if (conditionFraction === 0) return;
+
+  // The conditioned feature is handled by conditionFraction instead of the path
+  const path = condition !== 0 && parentFeature === conditionFeature
+    ? parentPath
+    : extendPath(parentPath, zeroFraction, oneFraction, parentFeature);
+  const node = nodes[index];
+
+  if (node.feature === -1) {
+    for (let i = 1; i < path.length; i++) {
+      const weight = unwindPath(path, i).reduce((sum, element) => sum + element.weight, 0);
+      const element = path[i];
+      phi[element.feature] += weight * (element.oneFraction - element.zeroFraction) * node.value * conditionFraction;
+    }
+    return;
+  }
+
+  const hot = goesLeft(x[node.feature], node.threshold, node.defaultLeft) ? node.left : node.right;
+  const cold = hot === node.left ? node.right : node.left;
+
+  // A feature split on again higher up the path keeps a single path entry
+  let incomingZero = 1;
+  let incomingOne = 1;
+  let childPath = path;
+  if (condition === 0 || node.feature !== conditionFeature) {
+    const previous = path.findIndex((element, i) => i > 0 && element.feature === node.feature);
+    if (previous !== -1) {
+      incomingZero = path[previous].zeroFraction;
+      incomingOne = path[previous].oneFraction;
+      childPath = unwindPath(path, previous);
+    }
+  }
+
+  const hotZero = nodes[hot].cover / node.cover;
+  const coldZero = nodes[cold].cover / node.cover;
+  let hotCondition = conditionFraction;
+  let coldCondition = conditionFraction;
+  if (node.feature === conditionFeature && condition > 0) {
+    coldCondition = 0;
+  } else if (node.feature === conditionFeature && condition < 0) {
+    hotCondition *= hotZero;
+    coldCondition *= coldZero;
+  }
+
+  recurse(nodes, x, phi, condition, conditionFeature, hot, childPath, hotZero * incomingZero, incomingOne, node.feature, hotCondition);
+  recurse(nodes, x, phi, condition, conditionFeature, cold, childPath, coldZero * incomingZero, 0, node.feature, coldCondition);
+}
+
+function extendPath(path: PathElement[], zeroFraction: number, oneFraction: number, feature: number): PathElement[] {
+  const depth = path.length;
+  const extended = path.map(element => ({ ...element }));
+  extended.push({ feature, zeroFraction, oneFraction, weight: depth === 0 ? 1 : 0 });
+
+  for (let i = depth - 1; i >= 0; i--) {
+    extended[i + 1].weight += oneFraction * extended[i].weight * (i + 1) / (depth + 1);
+    extended[i].weight = zeroFraction * extended[i].weight * (depth - i) / (depth + 1);
+  }
+
+  return extended;
+}
+
+// Undo the extension for path[index], leaving the weights of the remaining subsets
+function unwindPath(path: PathElement[], index: number): PathElement[] {
+  const depth = path.length - 1;
+  const { zeroFraction, oneFraction } = path[index];
+  const weights = path.map(element => element.weight);
+  let next = weights[depth];
+
+  for (let j = depth - 1; j >= 0; j--) {
+    if (oneFraction !== 0) {
+      const previous = weights[j];
+      weights[j] = next * (depth + 1) / ((j + 1) * oneFraction);
+      next = previous - weights[j] * zeroFraction * (depth - j) / (depth + 1);
+    } else {
+      weights[j] = weights[j] * (depth + 1) / (zeroFraction * (depth - j));
+    }
+  }
+
+  return path
+    .filter((_, i) => i !== index)
+    .map((element, i) => ({ ...element, weight: weights[i] }));
+}
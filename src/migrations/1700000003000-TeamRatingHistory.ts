@@ -0,0 +1,44 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Elo and Glicko-2 rating history, rebuilt by the rating replay
+ */
+export class TeamRatingHistory1700000003000 implements MigrationInterface {
+  name = 'TeamRatingHistory1700000003000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE "team_rating_history" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "league" character varying NOT NULL,
+        "team_id" uuid NOT NULL,
+        "division" character varying NOT NULL,
+        "season" integer NOT NULL,
+        "date" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "event" character varying NOT NULL,
+        "sequence" integer NOT NULL,
+        "game_id" uuid,
+        "opponent_id" uuid,
+        "elo" numeric(8,2) NOT NULL,
+        "elo_change" numeric(8,2) NOT NULL,
+        "glicko_rating" numeric(8,2) NOT NULL,
+        "glicko_deviation" numeric(8,2) NOT NULL,
+        "glicko_volatility" numeric(8,6) NOT NULL,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_team_rating_history" PRIMARY KEY ("id")
+      )
+    `);
+
+    await queryRunner.query(`
+      ALTER TABLE "team_rating_history" ADD CONSTRAINT "FK_team_rating_history_team"
+      FOREIGN KEY ("team_id") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE NO ACTION
+    `);
+
+    await queryRunner.query(`CREATE INDEX "IDX_team_rating_history_team_date" ON "team_rating_history" ("team_id", "date")`);
+    await queryRunner.query(`CREATE INDEX "IDX_team_rating_history_league" ON "team_rating_history" ("league")`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP TABLE "team_rating_history"`);
+  }
+}
@@ -0,0 +1,33 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Every observed price per book, for line movement replay
+ */
+export class OddsHistory1700000004000 implements MigrationInterface {
+  name = 'OddsHistory1700000004000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    // game_id is the odds provider's event id, so it has no foreign key
+    await queryRunner.query(`
+      CREATE TABLE "odds_history" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "game_id" character varying NOT NULL,
+        "sportsbook" character varying NOT NULL,
+        "market" character varying NOT NULL,
+        "selection" character varying NOT NULL,
+        "prop_key" character varying,
+        "point" numeric(6,1),
+        "price" integer NOT NULL,
+        "observed_at" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_odds_history" PRIMARY KEY ("id")
+      )
+    `);
+
+    await queryRunner.query(`CREATE INDEX "IDX_odds_history_game_observed" ON "odds_history" ("game_id", "observed_at")`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP TABLE "odds_history"`);
+  }
+}
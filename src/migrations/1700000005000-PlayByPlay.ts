@@ -0,0 +1,44 @@
+import { MigrationInterface, QueryRunner } from 'typeorm';
+
+/**
+ * Imported play-by-play for backtesting. Kept apart from game_states, whose
+ * retention policy and cleanup would drop historical seasons.
+ */
+export class PlayByPlay1700000005000 implements MigrationInterface {
+  name = 'PlayByPlay1700000005000';
+
+  public async up(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`
+      CREATE TABLE "play_by_play" (
+        "id" uuid NOT NULL DEFAULT uuid_generate_v4(),
+        "game_id" uuid NOT NULL,
+        "sequence" integer NOT NULL,
+        "timestamp" TIMESTAMP WITH TIME ZONE NOT NULL,
+        "home_score" integer NOT NULL,
+        "away_score" integer NOT NULL,
+        "quarter" integer NOT NULL,
+        "time_remaining" character varying NOT NULL,
+        "possession_team_id" uuid,
+        "field_position" integer NOT NULL,
+        "down" integer,
+        "yards_to_go" integer,
+        "home_timeouts" integer NOT NULL,
+        "away_timeouts" integer NOT NULL,
+        "last_play" jsonb,
+        "created_at" TIMESTAMP NOT NULL DEFAULT now(),
+        CONSTRAINT "PK_play_by_play" PRIMARY KEY ("id")
+      )
+    `);
+
+    await queryRunner.query(`
+      ALTER TABLE "play_by_play" ADD CONSTRAINT "FK_play_by_play_game"
+      FOREIGN KEY ("game_id") REFERENCES "games"("id") ON DELETE CASCADE ON UPDATE NO ACTION
+    `);
+
+    await queryRunner.query(`CREATE UNIQUE INDEX "IDX_play_by_play_game_sequence" ON "play_by_play" ("game_id", "sequence")`);
+  }
+
+  public async down(queryRunner: QueryRunner): Promise<void> {
+    await queryRunner.query(`DROP TABLE "play_by_play"`);
+  }
+}
@@ -5,9 +5,13 @@ import {
   ValidateNested, 
   Min,
   Max,
-  IsNotEmpty 
+  IsNotEmpty,
+  IsOptional,
+  IsObject,
+  IsBoolean
 } from 'class-validator';
 import { Type } from 'class-transformer';
+import { SimulationConfig } from '../types/simulation.types';
 
 export class OutcomeDistribution {
   @IsNumber()
@@ -132,6 +136,251 @@ export class Factor {
   }
 }
 
+export class ScoreSummary {
+  @IsNumber()
+  mean!: number;
+
+  @IsNumber()
+  median!: number;
+
+  @IsNumber()
+  @Min(0)
+  standardDeviation!: number;
+
+  @IsNumber()
+  percentile25!: number;
+
+  @IsNumber()
+  percentile75!: number;
+
+  @IsNumber()
+  minimum!: number;
+
+  @IsNumber()
+  maximum!: number;
+
+  constructor(data: Partial<ScoreSummary> = {}) {
+    Object.assign(this, data);
+  }
+}
+
+/**
+ * Final-score distribution of the simulated games
+ */
+export class ScoreDistribution {
+  @ValidateNested()
+  @Type(() => ScoreSummary)
+  homeScore!: ScoreSummary;
+
+  @ValidateNested()
+  @Type(() => ScoreSummary)
+  awayScore!: ScoreSummary;
+
+  @ValidateNested()
+  @Type(() => ScoreSummary)
+  margin!: ScoreSummary; // home minus away
+
+  @ValidateNested()
+  @Type(() => ScoreSummary)
+  total!: ScoreSummary;
+
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  homeWinProbability!: number;
+
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  awayWinProbability!: number;
+
+  @IsNumber()
+  @Min(0)
+  @Max(1)
+  tieProbability!: number;
+
+  @IsObject()
+  marginFrequencies!: { [margin: string]: number }; // share of games ending with each home margin
+
+  @IsObject()
+  totalFrequencies!: { [total: string]: number }; // share of games ending with each combined score
+
+  constructor(data: Partial<ScoreDistribution> = {}) {
+    Object.assign(this, data);
+
+    if (data.homeScore) this.homeScore = new ScoreSummary(data.homeScore);
+    if (data.awayScore) this.awayScore = new ScoreSummary(data.awayScore);
+    if (data.margin) this.margin = new ScoreSummary(data.margin);
+    if (data.total) this.total = new ScoreSummary(data.total);
+  }
+
+  /**
+   * Cover probabilities for a spread quoted on the home team (e.g. -3.5)
+   */
+  getSpreadProbabilities(homeSpread: number): { home: number; away: number; push: number } {
+    const result = { home: 0, away: 0, push: 0 };
+
+    for (const [margin, share] of Object.entries(this.marginFrequencies)) {
+      const adjusted = Number(margin) + homeSpread;
+      if (adjusted > 0) result.home += share;
+      else if (adjusted < 0) result.away += share;
+      else result.push += share;
+    }
+
+    return result;
+  }
+
+  /**
+   * Over/under probabilities for a total line
+   */
+  getTotalProbabilities(line: number): { over: number; under: number; push: number } {
+    const result = { over: 0, under: 0, push: 0 };
+
+    for (const [total, share] of Object.entries(this.totalFrequencies)) {
+      const points = Number(total);
+      if (points > line) result.over += share;
+      else if (points < line) result.under += share;
+      else result.push += share;
+    }
+
+    return result;
+  }
+
+  /**
+   * Median-based fair spread quoted on the home team
+   */
+  getFairSpread(): number {
+    return this.margin.median === 0 ? 0 : -this.margin.median;
+  }
+
+  /**
+   * Median-based fair total
+   */
+  getFairTotal(): number {
+    return this.total.median;
+  }
+}
+
+export class CorrelationReport {
+  @IsArray()
+  @IsString({ each: true })
+  variables!: string[];
+
+  @IsArray()
+  requested!: number[][]; // declared correlation matrix, ordered as variables
+
+  @IsArray()
+  achieved!: number[][]; // empirical Pearson correlation of the sampled values
+
+  @IsNumber()
+  @Min(0)
+  sampleSize!: number;
+
+  constructor(data: Partial<CorrelationReport> = {}) {
+    Object.assign(this, data);
+  }
+
+  /**
+   * Requested and achieved correlation for a pair of variables
+   */
+  getPair(first: string, second: string): { requested: number; achieved: number } {
+    const i = this.variables.indexOf(first);
+    const j = this.variables.indexOf(second);
+    if (i < 0 || j < 0) {
+      throw new Error(`Variable ${i < 0 ? first : second} is not part of the correlation report`);
+    }
+    return { requested: this.requested[i][j], achieved: this.achieved[i][j] };
+  }
+
+  /**
+   * Largest absolute gap between requested and achieved coefficients
+   */
+  getMaxDeviation(): number {
+    let deviation = 0;
+    this.requested.forEach((row, i) => row.forEach((value, j) => {
+      deviation = Math.max(deviation, Math.abs(value - this.achieved[i][j]));
+    }));
+    return deviation;
+  }
+}
+
+export class ConvergenceReport {
+  @IsNumber()
+  estimate!: number; // win probability estimate after variance reduction
+
+  @IsNumber()
+  @Min(0)
+  standardError!: number;
+
+  @IsOptional()
+  @IsNumber()
+  threshold?: number;
+
+  @IsNumber()
+  @Min(1)
+  requestedIterations!: number;
+
+  @IsBoolean()
+  converged!: boolean; // standard error at or below the threshold
+
+  @IsBoolean()
+  stoppedEarly!: boolean;
+
+  @IsBoolean()
+  antitheticVariates!: boolean;
+
+  @IsArray()
+  @IsString({ each: true })
+  controlVariates!: string[];
+
+  constructor(data: Partial<ConvergenceReport> = {}) {
+    Object.assign(this, data);
+  }
+}
+
+export class ReproducibilityManifest {
+  @IsNumber()
+  seed!: number;
+
+  @IsString()
+  @IsNotEmpty()
+  scenarioHash!: string; // SHA-256 of the scenario inputs
+
+  @IsString()
+  @IsNotEmpty()
+  codeVersion!: string;
+
+  @IsString()
+  generator!: string;
+
+  @IsNumber()
+  @Min(1)
+  taskSize!: number;
+
+  @IsBoolean()
+  antitheticVariates!: boolean;
+
+  @IsOptional()
+  @IsArray()
+  iterationRanges?: Array<[number, number]>; // iterations actually simulated
+
+  constructor(data: Partial<ReproducibilityManifest> = {}) {
+    Object.assign(this, data);
+  }
+
+  /**
+   * Simulation config that replays exactly the recorded run
+   */
+  toReplayConfig(): Partial<SimulationConfig> {
+    return {
+      randomSeed: this.seed,
+      taskSize: this.taskSize,
+      antitheticVariates: this.antitheticVariates,
+      iterationRanges: this.iterationRanges
+    };
+  }
+}
+
 export class SimulationResult {
   @IsString()
   @IsNotEmpty()
@@ -139,7 +388,7 @@ export class SimulationResult {
 
   @IsNumber()
   @Min(1)
-  iterations!: number;
+  iterations!: number; // iterations actually simulated, fewer than requested when stopped early
 
   @ValidateNested()
   @Type(() => OutcomeDistribution)
@@ -158,6 +407,26 @@ export class SimulationResult {
   @Min(0)
   executionTime!: number; // in milliseconds
 
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => ScoreDistribution)
+  scoreDistribution?: ScoreDistribution;
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => CorrelationReport)
+  correlationReport?: CorrelationReport;
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => ConvergenceReport)
+  convergence?: ConvergenceReport;
+
+  @IsOptional()
+  @ValidateNested()
+  @Type(() => ReproducibilityManifest)
+  reproducibility?: ReproducibilityManifest;
+
   constructor(data: Partial<SimulationResult> = {}) {
     Object.assign(this, data);
     
@@ -171,6 +440,18 @@ export class SimulationResult {
     if (data.keyFactors) {
       this.keyFactors = data.keyFactors.map(factor => new Factor(factor));
     }
+    if (data.scoreDistribution) {
+      this.scoreDistribution = new ScoreDistribution(data.scoreDistribution);
+    }
+    if (data.correlationReport) {
+      this.correlationReport = new CorrelationReport(data.correlationReport);
+    }
+    if (data.convergence) {
+      this.convergence = new ConvergenceReport(data.convergence);
+    }
+    if (data.reproducibility) {
+      this.reproducibility = new ReproducibilityManifest(data.reproducibility);
+    }
   }
 
   /**
@@ -16,7 +16,12 @@ export {
   SimulationResult, 
   OutcomeDistribution, 
   ConfidenceInterval, 
-  Factor 
+  Factor,
+  ScoreDistribution,
+  ScoreSummary,
+  CorrelationReport,
+  ConvergenceReport,
+  ReproducibilityManifest
 } from './SimulationResult';
 export { 
   OpponentAdjustedStats, 
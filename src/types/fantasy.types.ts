@@ -76,6 +76,7 @@ export interface RosterRequirements {
   WR: number;
   TE: number;
   FLEX?: number;
+  SUPERFLEX?: number;
   K: number;
   DEF: number;
   BENCH: number;
@@ -183,6 +184,7 @@ export interface OptimalLineup {
   WR: FantasyPlayer[];
   TE: FantasyPlayer;
   FLEX?: FantasyPlayer;
+  SUPERFLEX?: FantasyPlayer;
   K: FantasyPlayer;
   DEF: FantasyPlayer;
 }
@@ -212,10 +214,29 @@ export interface TradeProposal {
   receivingPlayers: FantasyPlayer[];
   proposedBy: string;
   proposedTo: string;
+  transfers?: TradeTransfer[]; // replaces the player lists for pick, FAAB and multi-team trades
   status: 'PENDING' | 'ACCEPTED' | 'REJECTED' | 'COUNTERED';
   createdAt: Date;
 }
 
+export interface DraftPickAsset {
+  season: number;
+  round: number;
+  pick?: number; // slot within the round once the draft order is set
+  originalTeamId: string;
+}
+
+export type TradeAsset =
+  | { type: 'PLAYER'; player: FantasyPlayer }
+  | { type: 'PICK'; pick: DraftPickAsset }
+  | { type: 'FAAB'; amount: number };
+
+export interface TradeTransfer {
+  fromTeamId: string;
+  toTeamId: string;
+  asset: TradeAsset;
+}
+
 export interface TradeAnalysis {
   fairValue: number; // -1 to 1 scale
   recommendation: 'ACCEPT' | 'REJECT' | 'COUNTER';
@@ -225,9 +246,34 @@ export interface TradeAnalysis {
     longTerm: number;
     playoffImpact: number;
   };
+  oddsImpact?: TeamOddsChange[]; // present when the league season was simulated
+  teams?: TeamTradeBreakdown[]; // every team in the trade, proposer first
   alternativeOffers?: TradeProposal[];
 }
 
+export interface TeamTradeBreakdown {
+  teamId: string;
+  fairValue: number;
+  recommendation: 'ACCEPT' | 'REJECT' | 'COUNTER';
+  valueSent: number;
+  valueReceived: number;
+  impact: {
+    shortTerm: number;
+    longTerm: number;
+    playoffImpact: number;
+    rosterBalance: number;
+    riskAdjustment: number;
+  };
+}
+
+export interface TeamOddsChange {
+  teamId: string;
+  playoffProbabilityBefore: number;
+  playoffProbabilityAfter: number;
+  championshipProbabilityBefore: number;
+  championshipProbabilityAfter: number;
+}
+
 export interface WeeklyStrategy {
   week: number;
   priorities: string[];
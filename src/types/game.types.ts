@@ -160,6 +160,20 @@ export interface BettingLine {
     away: number;
   };
   lastUpdated: Date;
+  homeTeam?: string; // team names as the sportsbook lists them
+  awayTeam?: string;
+  commenceTime?: Date;
+}
+
+export interface PlayerPropLine {
+  gameId: string;
+  sportsbook: string;
+  market: string; // Odds API market key, e.g. player_pass_yds
+  player: string;
+  line: number;
+  overOdds: number | null;
+  underOdds: number | null;
+  lastUpdated: Date;
 }
 
 export interface GameScore {
@@ -30,8 +30,18 @@ export interface Model {
   hyperparameters: Record<string, any>;
   features: string[];
   targetVariable: string;
+  artifact?: Record<string, any>; // serialized trained model, for types that train a real model
+  parentVersion?: string; // version this one was created from
+  calibrator?: ModelCalibrator; // applied to served win probabilities
+  endpoint?: string; // API endpoint the model serves; deploys must match its feature schema
 }
 
+export type CalibrationMethod = 'platt' | 'isotonic';
+
+export type ModelCalibrator =
+  | { method: 'platt'; slope: number; intercept: number } // sigmoid(slope * logit(p) + intercept)
+  | { method: 'isotonic'; x: number[]; y: number[] }; // non-decreasing points, interpolated linearly
+
 export interface ModelMetadata {
   description: string;
   author: string;
@@ -40,6 +50,16 @@ export interface ModelMetadata {
   validationDataSize: number;
   testDataSize: number;
   crossValidationFolds: number;
+  trainingHistory?: TrainingHistory;
+}
+
+export interface TrainingHistory {
+  epochs: number; // epochs actually run
+  loss: number[];
+  valLoss: number[];
+  metrics: { [metric: string]: number[] };
+  bestEpoch?: number; // epoch whose weights early stopping restored
+  stoppedEarly: boolean;
 }
 
 export interface TrainingData {
@@ -66,6 +86,7 @@ export interface Prediction {
   value: number;
   confidence: number;
   probability?: number;
+  uncalibratedProbability?: number; // model output before the model's calibrator was applied
   timestamp: Date;
   modelId: string;
   modelVersion: string;
@@ -143,6 +164,7 @@ export interface ModelConfig {
   crossValidationFolds: number;
   earlyStoppingRounds?: number;
   maxIterations?: number;
+  endpoint?: string; // API endpoint the model will serve
 }
 
 export interface ABTestConfig {
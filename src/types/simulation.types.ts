@@ -55,7 +55,7 @@ export interface VariableCorrelation {
 export interface SimulationConstraint {
   name: string;
   type: ConstraintType;
-  condition: string; // JavaScript expression
+  condition: string; // Sandboxed constraint expression, see core/constraint-expression
   penalty?: number; // Penalty for violating constraint
 }
 
@@ -72,6 +72,14 @@ export interface SimulationConfig {
   randomSeed?: number;
   enableCaching?: boolean;
   timeoutMs?: number;
+  minIterations?: number; // iterations to run before checking convergence
+  reportInterval?: number; // iterations between partial worker results
+  antitheticVariates?: boolean; // simulate iterations in mirrored pairs
+  controlVariates?: string[]; // scenario variables used as control variates
+  taskSize?: number; // iterations per worker task; keep fixed for reproducible results
+  iterationRanges?: Array<[number, number]>; // replay exactly these iterations, from a reproducibility manifest
+  recordSamples?: boolean; // return the sampled variables of every iteration
+  variablesOnly?: boolean; // sample variables without playing out the game
 }
 
 export interface SimulationProgress {
@@ -91,16 +99,61 @@ export interface WorkerTask {
   config: SimulationConfig;
 }
 
+export interface CorrelationMoments {
+  variables: string[];
+  count: number;
+  sums: number[];
+  sumSquares: number[];
+  crossProducts: number[][]; // upper triangle, [i][j] with i < j
+}
+
+export interface EstimatorMoments {
+  controls: string[];
+  count: number; // iterations, or antithetic pairs
+  sumOutcome: number;
+  sumOutcomeSquares: number;
+  sumControls: number[];
+  sumControlProducts: number[][];
+  sumOutcomeControls: number[];
+}
+
+export interface WorkerPartialResult {
+  taskId: string;
+  scenarioId: string;
+  partial: true;
+  iterations: number; // iterations completed so far
+  estimatorMoments: EstimatorMoments;
+}
+
+export interface WorkerStartedMessage {
+  taskId: string;
+  scenarioId: string;
+  started: true; // sent when the worker takes the task off its queue
+}
+
 export interface WorkerResult {
   taskId: string;
   scenarioId: string;
   iterations: number;
-  outcomes: number[];
+  outcomes: number[]; // home result per iteration: 1 win, 0.5 tie, 0 loss
+  homeScores?: number[]; // final home score per iteration
+  awayScores?: number[]; // final away score per iteration
+  rejectedIterations?: number; // iterations whose hard constraints could not be satisfied
+  correlationMoments?: CorrelationMoments; // sample moments of correlated variables
+  estimatorMoments?: EstimatorMoments; // moments of the win probability estimator
+  iterationRange?: [number, number]; // iterations processed, shorter than the task when stopped early
+  samples?: number[][]; // per iteration, variable values in scenario order (recordSamples)
   factors: { [key: string]: number };
   executionTime: number;
   error?: string;
 }
 
+export interface VariableSamples {
+  variables: string[];
+  values: number[][]; // one row per iteration, columns in variables order
+  seed: number;
+}
+
 export interface SimulationBatch {
   id: string;
   scenarios: SimulationScenario[];